@@ -4,6 +4,7 @@
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+CREATE EXTENSION IF NOT EXISTS vector;
 
 -- User tiers enum
 CREATE TYPE user_tier AS ENUM ('free', 'pro', 'team');
@@ -23,6 +24,7 @@ CREATE TABLE IF NOT EXISTS users (
     stripe_customer_id VARCHAR(255),
     stripe_subscription_id VARCHAR(255),
     referral_code VARCHAR(50),
+    is_admin BOOLEAN DEFAULT false,
     last_login TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -33,6 +35,18 @@ CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_stripe_customer_id ON users(stripe_customer_id);
 CREATE INDEX idx_users_tier ON users(tier);
 
+-- Teams table
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX idx_users_team_id ON users(team_id);
+
 -- Conversations table
 CREATE TABLE IF NOT EXISTS conversations (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -46,6 +60,10 @@ CREATE TABLE IF NOT EXISTS conversations (
 CREATE INDEX idx_conversations_user_id ON conversations(user_id);
 CREATE INDEX idx_conversations_created_at ON conversations(created_at DESC);
 
+-- Running summary of older turns, so long conversations fit the model's context
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS memory_summary TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS memory_summary_until TIMESTAMP;
+
 -- Messages table
 CREATE TABLE IF NOT EXISTS messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -60,6 +78,7 @@ CREATE TABLE IF NOT EXISTS messages (
     biases TEXT[],
     controversies TEXT[],
     limitations TEXT,
+    claims JSONB,
     metadata JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -153,6 +172,575 @@ CREATE TABLE IF NOT EXISTS feedback (
 CREATE INDEX idx_feedback_user_id ON feedback(user_id);
 CREATE INDEX idx_feedback_message_id ON feedback(message_id);
 CREATE INDEX idx_feedback_rating ON feedback(rating);
+-- One feedback entry per user and message; resubmitting replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_user_message ON feedback(user_id, message_id);
+
+-- Confidence calibrations fitted from feedback by scripts/calibrate-confidence.js
+-- weights: factor weights summing to 1; mapping: logistic { slope, intercept } from the
+-- weighted score to the displayed confidence; thresholds: { high, medium } on the displayed scale
+CREATE TABLE IF NOT EXISTS confidence_calibrations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version INTEGER NOT NULL UNIQUE,
+    weights JSONB NOT NULL,
+    mapping JSONB,
+    thresholds JSONB NOT NULL,
+    metrics JSONB,
+    sample_size INTEGER NOT NULL DEFAULT 0,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMP
+);
+
+-- At most one calibration is active
+CREATE UNIQUE INDEX IF NOT EXISTS idx_confidence_calibrations_active ON confidence_calibrations(is_active) WHERE is_active;
+
+-- Model routing table (which LLM answers for each tier)
+-- Rows are tried in priority order; later rows are fallbacks when a provider errors.
+-- Overrides the MODEL_ROUTE_<TIER> environment variables when present.
+CREATE TABLE IF NOT EXISTS model_routes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tier user_tier NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0,
+    provider VARCHAR(50) NOT NULL, -- openai, azure, anthropic, ollama, local, mock
+    model VARCHAR(255) NOT NULL,
+    temperature NUMERIC(3, 2),
+    max_tokens INTEGER,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for model routes
+CREATE INDEX idx_model_routes_tier ON model_routes(tier, priority);
+
+-- Domain reputation registry
+-- domain is a host ("nature.com", also matching its subdomains) or a suffix rule ("*.gov").
+-- Rows with a team_id override the global (NULL team) entry for that team's members.
+-- Rows with a search_priority are searched directly for every question, lowest first.
+CREATE TABLE IF NOT EXISTS domain_reputations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    domain VARCHAR(255) NOT NULL,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL CHECK (score >= 0 AND score <= 100),
+    category VARCHAR(50) NOT NULL,
+    search_priority INTEGER,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for domain reputations
+CREATE UNIQUE INDEX idx_domain_reputations_domain_team
+    ON domain_reputations(domain, COALESCE(team_id, '00000000-0000-0000-0000-000000000000'));
+CREATE INDEX idx_domain_reputations_team_id ON domain_reputations(team_id);
+
+-- Audit history of registry changes (kept when the entry is deleted)
+CREATE TABLE IF NOT EXISTS domain_reputation_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reputation_id UUID REFERENCES domain_reputations(id) ON DELETE SET NULL,
+    domain VARCHAR(255) NOT NULL,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    previous JSONB,
+    current JSONB,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for domain reputation history
+CREATE INDEX idx_domain_reputation_history_domain ON domain_reputation_history(domain, created_at DESC);
+
+-- Seed the global registry
+INSERT INTO domain_reputations (domain, score, category, search_priority) VALUES
+    ('*.gov', 95, 'government', 1),
+    ('*.gov.uk', 95, 'government', 2),
+    ('*.gov.ca', 95, 'government', 3),
+    ('*.gov.au', 95, 'government', 4),
+    ('*.edu', 90, 'academic', 5),
+    ('*.ac.uk', 90, 'academic', 6),
+    ('nature.com', 95, 'scientific_journal', 7),
+    ('science.org', 95, 'scientific_journal', 8),
+    ('sciencedirect.com', 90, 'scientific_journal', 9),
+    ('pubmed.ncbi.nlm.nih.gov', 95, 'scientific_journal', 10),
+    ('scholar.google.com', 85, 'academic', 11),
+    ('who.int', 95, 'international_org', 12),
+    ('un.org', 90, 'international_org', 13),
+    ('worldbank.org', 90, 'international_org', 14),
+    ('reuters.com', 85, 'news_agency', 15),
+    ('apnews.com', 85, 'news_agency', 16),
+    ('bbc.com', 80, 'news_agency', 17),
+    ('npr.org', 80, 'news_agency', 18),
+    ('pbs.org', 80, 'news', 19),
+    ('snopes.com', 85, 'fact_checker', 20),
+    ('factcheck.org', 85, 'fact_checker', 21),
+    ('arxiv.org', 85, 'academic', NULL),
+    ('imf.org', 90, 'international_org', NULL),
+    ('bbc.co.uk', 80, 'news_agency', NULL),
+    ('economist.com', 80, 'news', NULL),
+    ('ft.com', 80, 'news', NULL),
+    ('wsj.com', 75, 'news', NULL),
+    ('nytimes.com', 75, 'news', NULL),
+    ('washingtonpost.com', 75, 'news', NULL),
+    ('theguardian.com', 75, 'news', NULL),
+    ('politifact.com', 80, 'fact_checker', NULL),
+    ('wikipedia.org', 70, 'encyclopedia', NULL),
+    ('britannica.com', 85, 'encyclopedia', NULL),
+    ('arstechnica.com', 70, 'publication', NULL),
+    ('scientificamerican.com', 80, 'publication', NULL),
+    ('technologyreview.com', 75, 'publication', NULL),
+    ('wired.com', 65, 'publication', NULL),
+    ('medium.com', 45, 'blog', NULL),
+    ('substack.com', 50, 'blog', NULL),
+    ('reddit.com', 30, 'social_media', NULL),
+    ('quora.com', 35, 'social_media', NULL),
+    ('youtube.com', 40, 'social_media', NULL),
+    ('twitter.com', 25, 'social_media', NULL),
+    ('facebook.com', 25, 'social_media', NULL)
+ON CONFLICT DO NOTHING;
+
+-- Team source policies
+-- allow: when a team has any allow rules, only those domains are searched and used
+-- block: never searched or used
+-- boost: searched first, and their reputation score is raised by boost points
+CREATE TABLE IF NOT EXISTS team_source_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    domain VARCHAR(255) NOT NULL,
+    rule_type VARCHAR(10) NOT NULL CHECK (rule_type IN ('allow', 'block', 'boost')),
+    boost INTEGER CHECK (boost > 0 AND boost <= 50),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (team_id, domain)
+);
+
+-- Create indexes for team source rules
+CREATE INDEX idx_team_source_rules_team_id ON team_source_rules(team_id);
+
+-- Knowledge base: private document collections searched alongside the web
+-- A collection belongs to a team when team_id is set, otherwise only to its owner.
+CREATE TABLE IF NOT EXISTS document_collections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for document collections
+CREATE INDEX idx_document_collections_user_id ON document_collections(user_id);
+CREATE INDEX idx_document_collections_team_id ON document_collections(team_id);
+
+CREATE TABLE IF NOT EXISTS documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    collection_id UUID NOT NULL REFERENCES document_collections(id) ON DELETE CASCADE,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(500) NOT NULL,
+    filename VARCHAR(500) NOT NULL,
+    mime_type VARCHAR(100),
+    size_bytes INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'ready', 'failed')),
+    error TEXT,
+    chunk_count INTEGER DEFAULT 0,
+    embedding_provider VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for documents
+CREATE INDEX idx_documents_collection_id ON documents(collection_id);
+
+-- Chunks are embedded with 1536-dimension vectors (OpenAI text-embedding-3-small or the local embedder)
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    collection_id UUID NOT NULL REFERENCES document_collections(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    embedding vector(1536) NOT NULL,
+    embedding_provider VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for document chunks
+CREATE INDEX idx_document_chunks_document_id ON document_chunks(document_id);
+CREATE INDEX idx_document_chunks_collection_id ON document_chunks(collection_id);
+CREATE INDEX idx_document_chunks_embedding ON document_chunks USING hnsw (embedding vector_cosine_ops);
+
+-- Nearest chunks to a query embedding within the given collections. Only chunks
+-- embedded by the same provider are compared, since vectors from different
+-- providers are not comparable.
+CREATE OR REPLACE FUNCTION match_document_chunks(
+    query_embedding vector(1536),
+    collection_ids UUID[],
+    provider VARCHAR,
+    match_count INTEGER DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID,
+    document_id UUID,
+    collection_id UUID,
+    chunk_index INTEGER,
+    content TEXT,
+    similarity FLOAT
+) AS $$
+    SELECT
+        c.id,
+        c.document_id,
+        c.collection_id,
+        c.chunk_index,
+        c.content,
+        1 - (c.embedding <=> query_embedding) AS similarity
+    FROM document_chunks c
+    WHERE c.collection_id = ANY(collection_ids)
+      AND c.embedding_provider = provider
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count;
+$$ LANGUAGE sql STABLE;
+
+-- Shared conversations: read-only public links to a snapshot of a conversation.
+-- The snapshot is copied when the link is created, so later messages or edits
+-- are not shown. Links stop working once expired or revoked.
+CREATE TABLE IF NOT EXISTS shared_conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token VARCHAR(64) UNIQUE NOT NULL,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255),
+    snapshot JSONB NOT NULL,
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    view_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for shared conversations
+CREATE INDEX idx_shared_conversations_conversation_id ON shared_conversations(conversation_id);
+CREATE INDEX idx_shared_conversations_user_id ON shared_conversations(user_id);
+
+-- Conversation search: full-text over message content, cited source titles and
+-- domains, and conversation titles, plus optional semantic search over message
+-- embeddings. Filters: answer confidence level, date range and cited domain.
+CREATE OR REPLACE FUNCTION message_search_document(content TEXT, sources JSONB)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', coalesce(content, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce((
+            SELECT string_agg(concat_ws(' ', s->>'title', s->>'domain'), ' ')
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(sources) = 'array' THEN sources ELSE '[]'::jsonb END) s
+        ), '')), 'B');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX idx_messages_search ON messages USING gin (message_search_document(content, sources));
+CREATE INDEX idx_conversations_title_search ON conversations USING gin (to_tsvector('english', coalesce(title, '')));
+
+-- Whether a message passes the search filters. Confidence and domain filters only match answers.
+CREATE OR REPLACE FUNCTION message_matches_filters(
+    m messages,
+    confidence_filter VARCHAR,
+    date_from TIMESTAMP,
+    date_to TIMESTAMP,
+    source_domain VARCHAR
+)
+RETURNS BOOLEAN AS $$
+    SELECT (date_from IS NULL OR m.created_at >= date_from)
+        AND (date_to IS NULL OR m.created_at < date_to)
+        AND (confidence_filter IS NULL OR coalesce(m.confidence_level, CASE
+            WHEN m.confidence_score >= 80 THEN 'high'
+            WHEN m.confidence_score >= 50 THEN 'medium'
+            WHEN m.confidence_score IS NOT NULL THEN 'low'
+        END) = confidence_filter)
+        AND (source_domain IS NULL OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(m.sources) = 'array' THEN m.sources ELSE '[]'::jsonb END) s
+            WHERE lower(s->>'domain') = source_domain
+               OR lower(s->>'domain') LIKE '%.' || source_domain
+        ));
+$$ LANGUAGE sql STABLE;
+
+-- Messages matching a web-style query (quotes, OR, -term) in their content,
+-- sources or conversation title, best first. With no query, the most recent
+-- messages passing the filters.
+CREATE OR REPLACE FUNCTION search_messages(
+    search_user_id UUID,
+    search_query TEXT DEFAULT NULL,
+    confidence_filter VARCHAR DEFAULT NULL,
+    date_from TIMESTAMP DEFAULT NULL,
+    date_to TIMESTAMP DEFAULT NULL,
+    source_domain VARCHAR DEFAULT NULL,
+    match_count INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+    id UUID,
+    conversation_id UUID,
+    title VARCHAR,
+    conversation_updated_at TIMESTAMP,
+    role VARCHAR,
+    content TEXT,
+    sources JSONB,
+    confidence_score INTEGER,
+    confidence_level VARCHAR,
+    created_at TIMESTAMP,
+    rank REAL
+) AS $$
+    SELECT
+        m.id,
+        m.conversation_id,
+        c.title,
+        c.updated_at,
+        m.role,
+        m.content,
+        m.sources,
+        m.confidence_score,
+        m.confidence_level,
+        m.created_at,
+        CASE WHEN q.query IS NULL THEN 0 ELSE
+            ts_rank(message_search_document(m.content, m.sources), q.query) +
+            CASE WHEN to_tsvector('english', coalesce(c.title, '')) @@ q.query THEN 0.5 ELSE 0 END
+        END::REAL AS rank
+    FROM messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    CROSS JOIN (SELECT CASE WHEN search_query IS NULL THEN NULL ELSE websearch_to_tsquery('english', search_query) END AS query) q
+    WHERE c.user_id = search_user_id
+      AND (q.query IS NULL
+        OR message_search_document(m.content, m.sources) @@ q.query
+        OR to_tsvector('english', coalesce(c.title, '')) @@ q.query)
+      AND message_matches_filters(m, confidence_filter, date_from, date_to, source_domain)
+    ORDER BY rank DESC, m.created_at DESC
+    LIMIT match_count;
+$$ LANGUAGE sql STABLE;
+
+-- Message embeddings for semantic search, kept apart from messages so loading a
+-- conversation does not send vectors
+CREATE TABLE IF NOT EXISTS message_embeddings (
+    message_id UUID PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    embedding vector(1536) NOT NULL,
+    embedding_provider VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for message embeddings
+CREATE INDEX idx_message_embeddings_user_id ON message_embeddings(user_id);
+CREATE INDEX idx_message_embeddings_embedding ON message_embeddings USING hnsw (embedding vector_cosine_ops);
+
+-- A user's messages nearest to a query embedding that pass the search filters.
+-- Only embeddings from the same provider are compared.
+CREATE OR REPLACE FUNCTION match_message_embeddings(
+    query_embedding vector(1536),
+    search_user_id UUID,
+    provider VARCHAR,
+    confidence_filter VARCHAR DEFAULT NULL,
+    date_from TIMESTAMP DEFAULT NULL,
+    date_to TIMESTAMP DEFAULT NULL,
+    source_domain VARCHAR DEFAULT NULL,
+    match_count INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    conversation_id UUID,
+    title VARCHAR,
+    conversation_updated_at TIMESTAMP,
+    role VARCHAR,
+    content TEXT,
+    sources JSONB,
+    confidence_score INTEGER,
+    confidence_level VARCHAR,
+    created_at TIMESTAMP,
+    similarity FLOAT
+) AS $$
+    SELECT
+        m.id,
+        m.conversation_id,
+        c.title,
+        c.updated_at,
+        m.role,
+        m.content,
+        m.sources,
+        m.confidence_score,
+        m.confidence_level,
+        m.created_at,
+        1 - (e.embedding <=> query_embedding) AS similarity
+    FROM message_embeddings e
+    JOIN messages m ON m.id = e.message_id
+    JOIN conversations c ON c.id = m.conversation_id
+    WHERE e.user_id = search_user_id
+      AND e.embedding_provider = provider
+      AND message_matches_filters(m, confidence_filter, date_from, date_to, source_domain)
+    ORDER BY e.embedding <=> query_embedding
+    LIMIT match_count;
+$$ LANGUAGE sql STABLE;
+
+-- Conversation organization: folders, tags, pinning and archiving. Archived
+-- conversations are hidden from the default list but kept, unlike deleted ones.
+CREATE TABLE IF NOT EXISTS conversation_folders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, name)
+);
+
+-- Deleting a folder leaves its conversations unfiled
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES conversation_folders(id) ON DELETE SET NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+-- Lists sort by the latest message, since renaming or pinning also moves updated_at
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMP;
+UPDATE conversations SET last_message_at = updated_at WHERE last_message_at IS NULL;
+
+-- Create indexes for conversation organization
+CREATE INDEX idx_conversation_folders_user_id ON conversation_folders(user_id);
+CREATE INDEX idx_conversations_folder_id ON conversations(folder_id);
+CREATE INDEX idx_conversations_tags ON conversations USING gin (tags);
+CREATE INDEX idx_conversations_user_list ON conversations(user_id, archived_at, pinned_at DESC, last_message_at DESC);
+
+-- Team workspaces: members have an owner, admin or member role, share one
+-- pooled query quota and can share conversations into the team's space.
+-- Invitations are tied to an email address and accepted through a one-time token.
+CREATE TYPE team_role AS ENUM ('owner', 'admin', 'member');
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS team_role team_role;
+UPDATE users u
+SET team_role = CASE WHEN t.owner_id = u.id THEN 'owner'::team_role ELSE 'member'::team_role END
+FROM teams t
+WHERE u.team_id = t.id AND u.team_role IS NULL;
+
+-- Members draw on the team's quota instead of their own
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS usage_limit INTEGER DEFAULT 1000;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS usage_count INTEGER DEFAULT 0;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS usage_reset_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP + INTERVAL '30 days';
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS team_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role team_role NOT NULL DEFAULT 'member',
+    -- SHA-256 of the token; the token itself is only shown once
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT team_invitations_role_check CHECK (role <> 'owner')
+);
+
+-- Conversations shared into a team space are readable by every member
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+
+-- Create indexes for team workspaces
+CREATE INDEX idx_team_invitations_team_id ON team_invitations(team_id);
+CREATE INDEX idx_team_invitations_email ON team_invitations(lower(email));
+CREATE INDEX idx_conversations_team_id ON conversations(team_id) WHERE team_id IS NOT NULL;
+
+-- Idempotency keys for the public API: a retried request with the same key
+-- gets the stored response instead of running (and counting) the request again
+CREATE TABLE IF NOT EXISTS api_idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    -- SHA-256 of the method, path and body, so a key cannot be reused for a different request
+    request_hash VARCHAR(64) NOT NULL,
+    -- NULL until the first request finishes
+    status_code INTEGER,
+    response JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE(api_key_id, idempotency_key)
+);
+
+CREATE INDEX idx_api_idempotency_keys_created_at ON api_idempotency_keys(created_at);
+
+-- Outbound webhooks: personal endpoints get events about their owner's activity,
+-- team endpoints (team_id set) get events about every member and the pooled quota
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    -- Kept readable because every delivery is signed with it
+    secret VARCHAR(100) NOT NULL,
+    events TEXT[] NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event sent to an endpoint, kept as the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP
+);
+
+-- Create indexes for webhooks
+CREATE INDEX idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+CREATE INDEX idx_webhook_endpoints_team_id ON webhook_endpoints(team_id);
+CREATE INDEX idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending');
+
+-- Tier changes waiting to be sent as subscription.changed webhooks. A trigger records
+-- them, so the event fires whichever code path changes users.tier; the webhook worker
+-- sends them and sets notified_at.
+CREATE TABLE IF NOT EXISTS subscription_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    previous_tier user_tier,
+    tier user_tier,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    notified_at TIMESTAMP
+);
+
+CREATE INDEX idx_subscription_changes_pending ON subscription_changes(created_at) WHERE notified_at IS NULL;
+
+CREATE OR REPLACE FUNCTION record_subscription_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO subscription_changes (user_id, previous_tier, tier)
+    VALUES (NEW.id, OLD.tier, NEW.tier);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_users_subscription_change AFTER UPDATE OF tier ON users
+    FOR EACH ROW WHEN (OLD.tier IS DISTINCT FROM NEW.tier)
+    EXECUTE FUNCTION record_subscription_change();
+
+-- Scoped API keys: each key grants some of read, chat, fact_check and admin, has its
+-- own requests-per-minute limit and optional monthly query quota. Keys created before
+-- scopes existed keep full access. Rotation replaces key_hash and keeps the old hash
+-- working until previous_key_expires_at.
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{admin}';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS monthly_quota INTEGER;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limit_per_minute INTEGER NOT NULL DEFAULT 60;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS previous_key_hash VARCHAR(64);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS previous_key_expires_at TIMESTAMP;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Create indexes for scoped API keys
+CREATE INDEX idx_api_keys_previous_key_hash ON api_keys(previous_key_hash) WHERE previous_key_hash IS NOT NULL;
+-- Queries made with each key, for its quota and usage breakdown
+CREATE INDEX idx_usage_logs_api_key_id ON usage_logs((metadata->>'apiKeyId'), created_at) WHERE metadata ? 'apiKeyId';
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -170,6 +758,27 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_conversation_folders_updated_at BEFORE UPDATE ON conversation_folders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_model_routes_updated_at BEFORE UPDATE ON model_routes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_teams_updated_at BEFORE UPDATE ON teams
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_domain_reputations_updated_at BEFORE UPDATE ON domain_reputations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_document_collections_updated_at BEFORE UPDATE ON document_collections
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_endpoints_updated_at BEFORE UPDATE ON webhook_endpoints
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Row Level Security (RLS) policies
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
@@ -179,6 +788,23 @@ ALTER TABLE usage_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE subscription_history ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shared_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_embeddings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_folders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE domain_reputations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE domain_reputation_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_source_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE model_routes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE confidence_calibrations ENABLE ROW LEVEL SECURITY;
 
 -- Users can only see their own data
 CREATE POLICY users_policy ON users
@@ -205,6 +831,99 @@ CREATE POLICY payments_policy ON payments
 CREATE POLICY feedback_policy ON feedback
     FOR ALL USING (auth.uid() = user_id OR user_id IS NULL);
 
+-- Public links are read through the backend by token, so only owners have direct access
+CREATE POLICY shared_conversations_policy ON shared_conversations
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY message_embeddings_policy ON message_embeddings
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY conversation_folders_policy ON conversation_folders
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Team members can read conversations shared into their team and the messages in them
+CREATE POLICY conversations_team_read_policy ON conversations
+    FOR SELECT USING (team_id IS NOT NULL AND team_id = (SELECT team_id FROM users WHERE id = auth.uid()));
+
+CREATE POLICY messages_team_read_policy ON messages
+    FOR SELECT USING (conversation_id IN (
+        SELECT id FROM conversations
+        WHERE team_id IS NOT NULL AND team_id = (SELECT team_id FROM users WHERE id = auth.uid())
+    ));
+
+-- Invitations are read and accepted through the backend by token
+CREATE POLICY team_invitations_policy ON team_invitations
+    FOR ALL USING (team_id = (SELECT team_id FROM users WHERE id = auth.uid() AND team_role IN ('owner', 'admin')));
+
+-- Idempotency records are only read and written by the backend for the key's owner
+CREATE POLICY api_idempotency_keys_policy ON api_idempotency_keys
+    FOR ALL USING (api_key_id IN (SELECT id FROM api_keys WHERE user_id = auth.uid()));
+
+-- Team endpoints are managed through the backend, which checks team permissions
+CREATE POLICY webhook_endpoints_policy ON webhook_endpoints
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY webhook_deliveries_policy ON webhook_deliveries
+    FOR ALL USING (endpoint_id IN (SELECT id FROM webhook_endpoints WHERE user_id = auth.uid()));
+
+CREATE POLICY subscription_changes_policy ON subscription_changes
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Personal collections belong to their owner, team collections to every member of the team
+CREATE POLICY document_collections_policy ON document_collections
+    FOR ALL USING (
+        (team_id IS NULL AND auth.uid() = user_id)
+        OR team_id = (SELECT team_id FROM users WHERE id = auth.uid())
+    );
+
+-- Documents and chunks follow their collection (the subqueries only see accessible collections)
+CREATE POLICY documents_policy ON documents
+    FOR ALL USING (collection_id IN (SELECT id FROM document_collections));
+
+CREATE POLICY document_chunks_policy ON document_chunks
+    FOR ALL USING (collection_id IN (SELECT id FROM document_collections));
+
+-- Members can read their team; its owner and admins can change it
+CREATE POLICY teams_member_read_policy ON teams
+    FOR SELECT USING (id = (SELECT team_id FROM users WHERE id = auth.uid()));
+
+CREATE POLICY teams_manage_policy ON teams
+    FOR ALL USING (
+        auth.uid() = owner_id
+        OR id = (SELECT team_id FROM users WHERE id = auth.uid() AND team_role IN ('owner', 'admin'))
+    );
+
+-- Everyone reads the global registry and members their team's overrides; only site admins edit it
+CREATE POLICY domain_reputations_read_policy ON domain_reputations
+    FOR SELECT USING (team_id IS NULL OR team_id = (SELECT team_id FROM users WHERE id = auth.uid()));
+
+CREATE POLICY domain_reputations_admin_policy ON domain_reputations
+    FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin));
+
+CREATE POLICY domain_reputation_history_policy ON domain_reputation_history
+    FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin));
+
+-- Every member's searches follow the team's source policy; owners and admins edit it
+CREATE POLICY team_source_rules_read_policy ON team_source_rules
+    FOR SELECT USING (team_id = (SELECT team_id FROM users WHERE id = auth.uid()));
+
+CREATE POLICY team_source_rules_manage_policy ON team_source_rules
+    FOR ALL USING (team_id = (SELECT team_id FROM users WHERE id = auth.uid() AND team_role IN ('owner', 'admin')));
+
+-- Routes are read for every signed-in user's answers; only site admins change them
+CREATE POLICY model_routes_read_policy ON model_routes
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY model_routes_admin_policy ON model_routes
+    FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin));
+
+-- The active calibration scores every signed-in user's answers; only site admins fit and activate them
+CREATE POLICY confidence_calibrations_read_policy ON confidence_calibrations
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY confidence_calibrations_admin_policy ON confidence_calibrations
+    FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin));
+
 -- Create function to reset usage counts monthly
 CREATE OR REPLACE FUNCTION reset_monthly_usage()
 RETURNS void AS $$
@@ -213,6 +932,11 @@ BEGIN
     SET usage_count = 0, 
         usage_reset_date = CURRENT_TIMESTAMP + INTERVAL '30 days'
     WHERE usage_reset_date <= CURRENT_TIMESTAMP;
+
+    UPDATE teams
+    SET usage_count = 0,
+        usage_reset_date = CURRENT_TIMESTAMP + INTERVAL '30 days'
+    WHERE usage_reset_date <= CURRENT_TIMESTAMP;
 END;
 $$ LANGUAGE plpgsql;
 
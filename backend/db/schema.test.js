@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSchemaDatabase, asUser } from '../testing/schemaDatabase.js';
+
+const OWNER = '10000000-0000-4000-8000-000000000001';
+const ADMIN = '10000000-0000-4000-8000-000000000002';
+const MEMBER = '10000000-0000-4000-8000-000000000003';
+const OUTSIDER = '10000000-0000-4000-8000-000000000004';
+const SITE_ADMIN = '10000000-0000-4000-8000-000000000005';
+
+const TEAM = '20000000-0000-4000-8000-000000000001';
+const OTHER_TEAM = '20000000-0000-4000-8000-000000000002';
+
+let pg;
+
+before(async () => {
+  pg = await createSchemaDatabase();
+
+  await pg.exec(`
+    INSERT INTO users (id, email, password_hash, name, is_admin) VALUES
+      ('${OWNER}', 'owner@example.com', 'x', 'Owner', false),
+      ('${ADMIN}', 'admin@example.com', 'x', 'Admin', false),
+      ('${MEMBER}', 'member@example.com', 'x', 'Member', false),
+      ('${OUTSIDER}', 'outsider@example.com', 'x', 'Outsider', false),
+      ('${SITE_ADMIN}', 'site@example.com', 'x', 'Site admin', true);
+    INSERT INTO teams (id, name, owner_id) VALUES ('${TEAM}', 'Research', '${OWNER}'), ('${OTHER_TEAM}', 'Other', '${OUTSIDER}');
+    UPDATE users SET team_id = '${TEAM}', team_role = 'owner' WHERE id = '${OWNER}';
+    UPDATE users SET team_id = '${TEAM}', team_role = 'admin' WHERE id = '${ADMIN}';
+    UPDATE users SET team_id = '${TEAM}', team_role = 'member' WHERE id = '${MEMBER}';
+    UPDATE users SET team_id = '${OTHER_TEAM}', team_role = 'owner' WHERE id = '${OUTSIDER}';
+  `);
+});
+
+after(async () => {
+  await pg.close();
+});
+
+// Rows of a query run as the user, or the error Postgres raised
+async function queryAs(userId, sql, params = []) {
+  try {
+    return (await asUser(pg, userId, tx => tx.query(sql, params))).rows;
+  } catch (error) {
+    return error;
+  }
+}
+
+test('every table has row level security enabled', async () => {
+  const { rows } = await pg.query(`
+    SELECT c.relname FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public' AND c.relkind = 'r' AND NOT c.relrowsecurity
+  `);
+
+  assert.deepEqual(rows, []);
+});
+
+test('team members read their team\'s source rules; only its owner and admins change them', async () => {
+  await pg.exec(`INSERT INTO team_source_rules (team_id, domain, rule_type) VALUES
+    ('${TEAM}', 'nature.com', 'allow'), ('${OTHER_TEAM}', 'example.com', 'block')`);
+  const insert = `INSERT INTO team_source_rules (team_id, domain, rule_type) VALUES ($1, 'cdc.gov', 'boost') RETURNING id`;
+
+  assert.deepEqual(await queryAs(MEMBER, 'SELECT domain FROM team_source_rules'), [{ domain: 'nature.com' }]);
+  assert.match((await queryAs(MEMBER, insert, [TEAM])).message, /row-level security/);
+  assert.deepEqual(await queryAs(MEMBER, 'DELETE FROM team_source_rules RETURNING id'), []);
+
+  assert.equal((await queryAs(ADMIN, insert, [TEAM])).length, 1);
+  assert.equal((await queryAs(OWNER, 'DELETE FROM team_source_rules RETURNING domain')).length, 1);
+  assert.match((await queryAs(ADMIN, insert, [OTHER_TEAM])).message, /row-level security/);
+});
+
+test('personal collections are private, team collections are shared, and documents and chunks follow them', async () => {
+  const PERSONAL = '30000000-0000-4000-8000-000000000001';
+  const SHARED = '30000000-0000-4000-8000-000000000002';
+  const PERSONAL_DOCUMENT = '40000000-0000-4000-8000-000000000001';
+  const SHARED_DOCUMENT = '40000000-0000-4000-8000-000000000002';
+
+  await pg.exec(`
+    INSERT INTO document_collections (id, user_id, team_id, name) VALUES
+      ('${PERSONAL}', '${MEMBER}', NULL, 'Notes'), ('${SHARED}', '${OWNER}', '${TEAM}', 'Handbook');
+    INSERT INTO documents (id, collection_id, title, filename) VALUES
+      ('${PERSONAL_DOCUMENT}', '${PERSONAL}', 'Notes', 'notes.txt'), ('${SHARED_DOCUMENT}', '${SHARED}', 'Leave', 'leave.txt');
+    INSERT INTO document_chunks (document_id, collection_id, chunk_index, content, embedding, embedding_provider)
+    SELECT id, collection_id, 0, title, array_fill(0.1::real, ARRAY[1536])::vector, 'local' FROM documents;
+  `);
+  const visible = async (userId) => (await queryAs(userId, `
+    SELECT (SELECT array_agg(name ORDER BY name) FROM document_collections) AS collections,
+           (SELECT array_agg(title ORDER BY title) FROM documents) AS documents,
+           (SELECT array_agg(content ORDER BY content) FROM document_chunks) AS chunks`))[0];
+
+  assert.deepEqual(await visible(MEMBER), { collections: ['Handbook', 'Notes'], documents: ['Leave', 'Notes'], chunks: ['Leave', 'Notes'] });
+  assert.deepEqual(await visible(OWNER), { collections: ['Handbook'], documents: ['Leave'], chunks: ['Leave'] });
+  assert.deepEqual(await visible(OUTSIDER), { collections: null, documents: null, chunks: null });
+
+  const upload = `INSERT INTO documents (collection_id, title, filename) VALUES ($1, 'x', 'x.txt') RETURNING id`;
+  assert.equal((await queryAs(ADMIN, upload, [SHARED])).length, 1);
+  assert.match((await queryAs(OWNER, upload, [PERSONAL])).message, /row-level security/);
+  assert.deepEqual(await queryAs(OUTSIDER, 'DELETE FROM document_chunks RETURNING id'), []);
+});
+
+test('signed-in users read calibrations; only site admins add and activate them', async () => {
+  await pg.exec(`INSERT INTO confidence_calibrations (version, weights, thresholds, is_active)
+    VALUES (1, '{}', '{"high": 80, "medium": 60}', true)`);
+  const insert = `INSERT INTO confidence_calibrations (version, weights, thresholds) VALUES (2, '{}', '{}') RETURNING version`;
+  const activate = 'UPDATE confidence_calibrations SET is_active = false RETURNING version';
+
+  assert.deepEqual(await queryAs(MEMBER, 'SELECT version FROM confidence_calibrations'), [{ version: 1 }]);
+  assert.deepEqual(await queryAs('', 'SELECT version FROM confidence_calibrations'), []);
+  assert.match((await queryAs(OWNER, insert)).message, /row-level security/);
+  assert.deepEqual(await queryAs(OWNER, activate), []);
+
+  assert.deepEqual(await queryAs(SITE_ADMIN, insert), [{ version: 2 }]);
+  assert.deepEqual(await queryAs(SITE_ADMIN, activate), [{ version: 1 }]);
+});
+
+test('signed-in users read model routes; only site admins change them', async () => {
+  await pg.exec(`INSERT INTO model_routes (tier, provider, model) VALUES ('free', 'openai', 'gpt-4o-mini')`);
+  const insert = `INSERT INTO model_routes (tier, provider, model) VALUES ('pro', 'anthropic', 'claude') RETURNING provider`;
+
+  assert.deepEqual(await queryAs(MEMBER, 'SELECT model FROM model_routes'), [{ model: 'gpt-4o-mini' }]);
+  assert.deepEqual(await queryAs('', 'SELECT model FROM model_routes'), []);
+  assert.match((await queryAs(OWNER, insert)).message, /row-level security/);
+  assert.deepEqual(await queryAs(OWNER, 'UPDATE model_routes SET is_active = false RETURNING model'), []);
+
+  assert.deepEqual(await queryAs(SITE_ADMIN, insert), [{ provider: 'anthropic' }]);
+  assert.deepEqual(await queryAs(SITE_ADMIN, 'DELETE FROM model_routes RETURNING model'), [{ model: 'gpt-4o-mini' }]);
+});
+
+test('members read their own team; only its owner and admins rename it', async () => {
+  const rename = `UPDATE teams SET name = 'Renamed' WHERE id = $1 RETURNING id`;
+
+  assert.deepEqual(await queryAs(MEMBER, 'SELECT name FROM teams'), [{ name: 'Research' }]);
+  assert.deepEqual(await queryAs(MEMBER, rename, [TEAM]), []);
+  assert.equal((await queryAs(ADMIN, rename, [TEAM])).length, 1);
+  assert.equal((await queryAs(OWNER, rename, [TEAM])).length, 1);
+  assert.deepEqual(await queryAs(ADMIN, rename, [OTHER_TEAM]), []);
+});
+
+test('domain reputations are read globally and per team; only site admins edit them and see their history', async () => {
+  await pg.exec(`
+    INSERT INTO domain_reputations (domain, team_id, score, category) VALUES
+      ('wiki.example', NULL, 60, 'reference'), ('intranet.example', '${TEAM}', 90, 'internal'),
+      ('rival.example', '${OTHER_TEAM}', 90, 'internal');
+    INSERT INTO domain_reputation_history (domain, action, changed_by) VALUES ('wiki.example', 'create', '${SITE_ADMIN}');
+  `);
+  // The schema seeds a global registry, so only the .example rows are compared
+  const domains = `SELECT domain FROM domain_reputations WHERE domain LIKE '%.example' ORDER BY domain`;
+  const insert = `INSERT INTO domain_reputations (domain, score, category) VALUES ('example.com', 10, 'blog') RETURNING domain`;
+
+  assert.deepEqual(await queryAs(MEMBER, domains), [{ domain: 'intranet.example' }, { domain: 'wiki.example' }]);
+  assert.deepEqual(await queryAs(OUTSIDER, domains), [{ domain: 'rival.example' }, { domain: 'wiki.example' }]);
+  assert.match((await queryAs(OWNER, insert)).message, /row-level security/);
+  assert.deepEqual(await queryAs(OWNER, 'UPDATE domain_reputations SET score = 0 RETURNING domain'), []);
+  assert.deepEqual(await queryAs(OWNER, 'SELECT domain FROM domain_reputation_history'), []);
+
+  assert.deepEqual(await queryAs(SITE_ADMIN, insert), [{ domain: 'example.com' }]);
+  assert.equal((await queryAs(SITE_ADMIN, domains)).length, 3);
+  assert.deepEqual(await queryAs(SITE_ADMIN, 'SELECT domain FROM domain_reputation_history'), [{ domain: 'wiki.example' }]);
+});
@@ -0,0 +1,21 @@
+import { createClient } from '@supabase/supabase-js';
+import WebSocket from 'ws';
+
+let client = null;
+
+/**
+ * Shared Supabase client, created on first use so that importing a service has
+ * no side effects. Nothing here subscribes to realtime channels, but the client
+ * needs a WebSocket implementation to start, and Node only ships one from 22.
+ * @returns {Object} Supabase client
+ */
+export function getSupabase() {
+  if (!client) {
+    client = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY,
+      { realtime: { transport: globalThis.WebSocket || WebSocket } }
+    );
+  }
+  return client;
+}
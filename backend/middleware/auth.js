@@ -1,6 +1,9 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import { createClient } from '@supabase/supabase-js';
 import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { getTeam, hasTeamPermission } from '../services/teamService.js';
+import { hasScope } from '../services/apiKeyService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -8,12 +11,6 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'auth-middleware' },
 });
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 /**
  * Middleware to authenticate JWT tokens
  */
@@ -52,9 +49,9 @@ export async function authenticateToken(req, res, next) {
       }
       
       // Get fresh user data from database
-      const { data: user, error } = await supabase
+      const { data: user, error } = await getSupabase()
         .from('users')
-        .select('id, email, name, tier, usage_limit, usage_count, status')
+        .select('id, email, name, tier, usage_limit, usage_count, status, team_id, team_role, is_admin')
         .eq('id', decoded.id)
         .single();
       
@@ -82,15 +79,18 @@ export async function authenticateToken(req, res, next) {
         id: user.id,
         email: user.email,
         name: user.name,
-        tier: user.tier,
+        tier: effectiveTier(user),
         usageLimit: user.usage_limit,
         usageCount: user.usage_count,
+        teamId: user.team_id,
+        teamRole: user.team_id ? user.team_role || 'member' : null,
+        isAdmin: user.is_admin === true,
       };
       
       // Log authenticated request
       logger.info('Authenticated request', {
         userId: user.id,
-        tier: user.tier,
+        tier: req.user.tier,
         endpoint: req.originalUrl,
         method: req.method,
       });
@@ -141,6 +141,87 @@ export function requireTier(allowedTiers) {
   };
 }
 
+/**
+ * Middleware to check the user's role in their team. Loads the team into
+ * req.team, since member permissions depend on its settings.
+ * @param {string} permission - Permission from teamService, e.g. 'manage_members'
+ */
+export function requireTeamPermission(permission) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required',
+        message: 'Please login to access this feature',
+      });
+    }
+    
+    if (!req.user.teamId) {
+      return res.status(403).json({
+        error: 'Team required',
+        message: 'Join a team to access this feature',
+      });
+    }
+    
+    try {
+      req.team = req.team || await getTeam(req.user.teamId);
+      
+      if (!req.team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+      
+      if (!hasTeamPermission(req.user, permission, req.team)) {
+        logger.warn('Team permission denied', {
+          userId: req.user.id,
+          teamRole: req.user.teamRole,
+          permission,
+          endpoint: req.originalUrl,
+        });
+        
+        return res.status(403).json({ 
+          error: 'Insufficient permissions',
+          message: 'Your role in this team does not allow this action',
+          teamRole: req.user.teamRole,
+          requiredPermission: permission,
+        });
+      }
+      
+      next();
+    } catch (error) {
+      logger.error('Team permission check error', { 
+        error: error.message,
+        userId: req.user.id,
+      });
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+/**
+ * Middleware to restrict a route to administrators
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      message: 'Please login to access this feature',
+    });
+  }
+  
+  if (!req.user.isAdmin) {
+    logger.warn('Admin access denied', {
+      userId: req.user.id,
+      endpoint: req.originalUrl,
+    });
+    
+    return res.status(403).json({ 
+      error: 'Admin access required',
+      message: 'This feature is only available to administrators',
+    });
+  }
+  
+  next();
+}
+
 /**
  * Middleware to check API key for external API access
  */
@@ -155,12 +236,13 @@ export async function authenticateApiKey(req, res, next) {
       });
     }
     
-    // Look up API key in database
-    const { data: apiKeyData, error } = await supabase
+    // Look up API key in database; a rotated key's old secret matches previous_key_hash
+    const keyHash = hashApiKey(apiKey);
+    const { data: apiKeyData, error } = await getSupabase()
       .from('api_keys')
-      .select('id, user_id, name, last_used, is_active')
-      .eq('key_hash', hashApiKey(apiKey))
-      .single();
+      .select('id, user_id, name, last_used, is_active, usage_count, scopes, expires_at, monthly_quota, rate_limit_per_minute, key_hash, previous_key_expires_at')
+      .or(`key_hash.eq.${keyHash},previous_key_hash.eq.${keyHash}`)
+      .maybeSingle();
     
     if (error || !apiKeyData || !apiKeyData.is_active) {
       logger.warn('Invalid API key attempt', { 
@@ -173,10 +255,28 @@ export async function authenticateApiKey(req, res, next) {
       });
     }
     
+    const now = new Date();
+    const rotatedSecret = apiKeyData.key_hash !== keyHash;
+    
+    if (rotatedSecret && !(new Date(apiKeyData.previous_key_expires_at) > now)) {
+      return res.status(403).json({ 
+        error: 'API key expired',
+        message: 'This API key was rotated and its grace period has ended; use the new key',
+      });
+    }
+    
+    if (apiKeyData.expires_at && new Date(apiKeyData.expires_at) <= now) {
+      logger.warn('Expired API key used', { apiKeyId: apiKeyData.id, ip: req.ip });
+      return res.status(403).json({ 
+        error: 'API key expired',
+        message: `This API key expired on ${apiKeyData.expires_at}; create a new key in Settings`,
+      });
+    }
+    
     // Get user associated with API key
-    const { data: user, error: userError } = await supabase
+    const { data: user, error: userError } = await getSupabase()
       .from('users')
-      .select('id, email, tier, usage_limit, usage_count, status')
+      .select('id, email, tier, usage_limit, usage_count, status, team_id')
       .eq('id', apiKeyData.user_id)
       .single();
     
@@ -188,7 +288,7 @@ export async function authenticateApiKey(req, res, next) {
     }
     
     // Check if user has API access (team tier only)
-    if (user.tier !== 'team') {
+    if (effectiveTier(user) !== 'team') {
       return res.status(403).json({ 
         error: 'API access denied',
         message: 'API access requires a Team subscription',
@@ -197,11 +297,11 @@ export async function authenticateApiKey(req, res, next) {
     }
     
     // Update last used timestamp
-    await supabase
+    await getSupabase()
       .from('api_keys')
       .update({ 
         last_used: new Date().toISOString(),
-        usage_count: apiKeyData.usage_count + 1,
+        usage_count: (apiKeyData.usage_count || 0) + 1,
       })
       .eq('id', apiKeyData.id);
     
@@ -209,13 +309,22 @@ export async function authenticateApiKey(req, res, next) {
     req.user = {
       id: user.id,
       email: user.email,
-      tier: user.tier,
+      tier: effectiveTier(user),
       usageLimit: user.usage_limit,
       usageCount: user.usage_count,
+      teamId: user.team_id,
       apiKeyId: apiKeyData.id,
       apiKeyName: apiKeyData.name,
+      apiKeyScopes: apiKeyData.scopes,
+      apiKeyQuota: apiKeyData.monthly_quota,
+      apiKeyRateLimit: apiKeyData.rate_limit_per_minute,
     };
     
+    // Clients still on a rotated key's old secret are told when it stops working
+    if (rotatedSecret) {
+      res.set('X-API-Key-Expires', new Date(apiKeyData.previous_key_expires_at).toISOString());
+    }
+    
     logger.info('API key authenticated', {
       userId: user.id,
       apiKeyId: apiKeyData.id,
@@ -234,11 +343,44 @@ export async function authenticateApiKey(req, res, next) {
   }
 }
 
+/**
+ * Middleware to check the API key grants a scope; admin keys have every scope
+ * @param {string} scope - One of API_KEY_SCOPES
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const scopes = req.user?.apiKeyScopes || [];
+    
+    if (!hasScope(scopes, scope)) {
+      logger.warn('API key scope denied', {
+        apiKeyId: req.user?.apiKeyId,
+        requiredScope: scope,
+        endpoint: req.originalUrl,
+      });
+      
+      return res.status(403).json({ 
+        error: 'Insufficient scope',
+        message: `This API key needs the ${scope} scope`,
+        requiredScope: scope,
+        scopes,
+      });
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Members of a team are on the team plan whatever their own tier
+ */
+function effectiveTier(user) {
+  return user.team_id ? 'team' : user.tier;
+}
+
 /**
  * Hash API key for secure storage
  */
 function hashApiKey(apiKey) {
-  const crypto = require('crypto');
   return crypto.createHash('sha256').update(apiKey).digest('hex');
 }
 
@@ -264,7 +406,7 @@ export async function optionalAuth(req, res, next) {
     }
     
     // Get user data
-    const { data: user } = await supabase
+    const { data: user } = await getSupabase()
       .from('users')
       .select('id, email, name, tier')
       .eq('id', decoded.id)
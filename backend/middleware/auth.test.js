@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireScope } from './auth.js';
+
+function run(middleware, user) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let nextCalled = false;
+  middleware({ user, originalUrl: '/api/v1/ask' }, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('requireScope lets a key with the scope through', () => {
+  assert.equal(run(requireScope('chat'), { apiKeyScopes: ['read', 'chat'] }).nextCalled, true);
+});
+
+test('requireScope lets admin keys through for any scope', () => {
+  assert.equal(run(requireScope('fact_check'), { apiKeyScopes: ['admin'] }).nextCalled, true);
+});
+
+test('requireScope rejects a key without the scope with 403', () => {
+  const { res, nextCalled } = run(requireScope('chat'), { apiKeyScopes: ['read'] });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Insufficient scope');
+  assert.equal(res.body.requiredScope, 'chat');
+});
+
+test('requireScope rejects requests without key scopes', () => {
+  assert.equal(run(requireScope('read'), {}).res.statusCode, 403);
+});
@@ -1,5 +1,5 @@
 import rateLimit from 'express-rate-limit';
-import { checkUsageLimit } from '../services/usageService.js';
+import { checkUsageLimit, checkApiKeyQuota } from '../services/usageService.js';
 import winston from 'winston';
 
 const logger = winston.createLogger({
@@ -80,12 +80,13 @@ export function createUsageRateLimiter() {
         
         return res.status(429).json({
           error: 'Usage limit exceeded',
-          message: `You have used ${usage.used} out of ${usage.limit} queries this month.`,
+          message: `${usage.pooled ? 'Your team has' : 'You have'} used ${usage.used} out of ${usage.limit} queries this month.`,
           usage: {
             used: usage.used,
             limit: usage.limit,
             remaining: usage.remaining,
             resetDate: usage.resetDate,
+            pooled: usage.pooled,
           },
           upgradeUrl: '/pricing',
         });
@@ -133,12 +134,13 @@ export const strictRateLimiter = rateLimit({
 });
 
 /**
- * API key rate limiter for external API access
+ * API key rate limiter for external API access. Each key has its own
+ * requests-per-minute limit (60 unless set on the key).
  */
 export function createApiKeyRateLimiter() {
   return rateLimit({
     windowMs: 60 * 1000, // 1 minute
-    max: 60, // 60 requests per minute
+    max: (req) => req.user?.apiKeyRateLimit || 60,
     keyGenerator: (req) => {
       // Use API key as the identifier
       return req.user?.apiKeyId || req.ip;
@@ -151,13 +153,59 @@ export function createApiKeyRateLimiter() {
       
       res.status(429).json({
         error: 'Rate limit exceeded',
-        message: 'API rate limit exceeded. Maximum 60 requests per minute.',
+        message: `API rate limit exceeded. Maximum ${req.user?.apiKeyRateLimit || 60} requests per minute.`,
         retryAfter: 60,
       });
     },
   });
 }
 
+/**
+ * Per-key monthly quota for API key requests, on top of the account's quota
+ */
+export function createApiKeyQuotaLimiter() {
+  return async (req, res, next) => {
+    if (!req.user?.apiKeyQuota) {
+      return next();
+    }
+    
+    try {
+      const quota = await checkApiKeyQuota(req.user.apiKeyId, req.user.apiKeyQuota);
+      
+      if (!quota.allowed) {
+        logger.warn('API key quota exceeded', {
+          apiKeyId: req.user.apiKeyId,
+          used: quota.used,
+          limit: quota.limit,
+        });
+        
+        return res.status(429).json({
+          error: 'API key quota exceeded',
+          message: `This API key has used ${quota.used} out of its ${quota.limit} queries this month.`,
+          usage: {
+            used: quota.used,
+            limit: quota.limit,
+            remaining: quota.remaining,
+            resetDate: quota.resetDate,
+            pooled: false,
+          },
+        });
+      }
+      
+      next();
+      
+    } catch (error) {
+      logger.error('API key quota limiter error', { 
+        error: error.message,
+        apiKeyId: req.user.apiKeyId,
+      });
+      
+      // Allow request to proceed on error (fail open)
+      next();
+    }
+  };
+}
+
 /**
  * Dynamic rate limiter that adjusts based on server load
  */
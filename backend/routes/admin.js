@@ -0,0 +1,297 @@
+import express from 'express';
+import Joi from 'joi';
+import winston from 'winston';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  DOMAIN_CATEGORIES,
+  normalizeDomainRule,
+  getReputationRegistry,
+  listDomainReputations,
+  createDomainReputation,
+  updateDomainReputation,
+  deleteDomainReputation,
+  getDomainReputationHistory,
+} from '../services/domainReputationService.js';
+import {
+  DEFAULT_CALIBRATION,
+  getActiveCalibration,
+  listCalibrations,
+  activateCalibration,
+} from '../services/calibrationService.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'admin-routes' },
+});
+
+// Validation schemas
+const domainRule = Joi.string().trim().max(255).custom((value, helpers) => {
+  try {
+    return normalizeDomainRule(value);
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+});
+
+const createDomainSchema = Joi.object({
+  domain: domainRule.required(),
+  teamId: Joi.string().uuid().allow(null).optional(),
+  score: Joi.number().integer().min(0).max(100).required(),
+  category: Joi.string().valid(...DOMAIN_CATEGORIES).required(),
+  searchPriority: Joi.number().integer().min(0).allow(null).optional(),
+  notes: Joi.string().max(2000).allow('', null).optional(),
+});
+
+const updateDomainSchema = Joi.object({
+  score: Joi.number().integer().min(0).max(100).optional(),
+  category: Joi.string().valid(...DOMAIN_CATEGORIES).optional(),
+  searchPriority: Joi.number().integer().min(0).allow(null).optional(),
+  notes: Joi.string().max(2000).allow('', null).optional(),
+}).min(1);
+
+const registryQuerySchema = Joi.object({
+  teamId: Joi.string().uuid().optional(),
+  search: Joi.string().trim().max(255).allow('').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+const historyQuerySchema = Joi.object({
+  domain: domainRule.required(),
+  teamId: Joi.string().uuid().optional(),
+});
+
+const lookupQuerySchema = Joi.object({
+  host: Joi.string().trim().max(2048).required(),
+  teamId: Joi.string().uuid().optional(),
+});
+
+// Apply authentication and admin check to all admin routes
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * List the global domain registry, or one team's overrides with ?teamId=
+ */
+router.get('/domains', async (req, res) => {
+  try {
+    const { error: validationError, value } = registryQuerySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const result = await listDomainReputations(value);
+
+    res.json({
+      success: true,
+      domains: result.domains,
+      categories: DOMAIN_CATEGORIES,
+      pagination: {
+        page: result.page,
+        limit: value.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+    });
+
+  } catch (error) {
+    logger.error('List domains error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch domain registry' });
+  }
+});
+
+/**
+ * Resolve how a host is scored, showing which registry entry matched
+ */
+router.get('/domains/lookup', async (req, res) => {
+  try {
+    const { error: validationError, value } = lookupQuerySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const registry = await getReputationRegistry(value.teamId);
+
+    res.json({
+      success: true,
+      reputation: registry.lookup(value.host),
+    });
+
+  } catch (error) {
+    logger.error('Domain lookup error', { error: error.message });
+    res.status(500).json({ error: 'Failed to look up domain' });
+  }
+});
+
+/**
+ * Audit history for a domain, including entries that have since been deleted
+ */
+router.get('/domains/history', async (req, res) => {
+  try {
+    const { error: validationError, value } = historyQuerySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const history = await getDomainReputationHistory(value.domain, value.teamId);
+
+    res.json({
+      success: true,
+      history,
+    });
+
+  } catch (error) {
+    logger.error('Domain history error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch domain history' });
+  }
+});
+
+/**
+ * Add a domain to the global registry, or a team override with teamId
+ */
+router.post('/domains', async (req, res) => {
+  try {
+    const { error: validationError, value } = createDomainSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const domain = await createDomainReputation(value, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      domain,
+    });
+
+  } catch (error) {
+    if (error.message === 'Domain already exists in this registry') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Create domain error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create domain' });
+  }
+});
+
+/**
+ * Update a registry entry
+ */
+router.put('/domains/:id', async (req, res) => {
+  try {
+    const { error: validationError, value } = updateDomainSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const domain = await updateDomainReputation(req.params.id, value, req.user.id);
+
+    res.json({
+      success: true,
+      domain,
+    });
+
+  } catch (error) {
+    if (error.message === 'Domain reputation not found') {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    logger.error('Update domain error', { error: error.message });
+    res.status(500).json({ error: 'Failed to update domain' });
+  }
+});
+
+/**
+ * Remove a registry entry; its history is kept
+ */
+router.delete('/domains/:id', async (req, res) => {
+  try {
+    await deleteDomainReputation(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Domain deleted successfully',
+    });
+
+  } catch (error) {
+    if (error.message === 'Domain reputation not found') {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    logger.error('Delete domain error', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete domain' });
+  }
+});
+
+/**
+ * List confidence calibration versions with their evaluation metrics
+ */
+router.get('/calibrations', async (req, res) => {
+  try {
+    const [calibrations, active] = await Promise.all([
+      listCalibrations(),
+      getActiveCalibration(),
+    ]);
+
+    res.json({
+      success: true,
+      activeVersion: active.version,
+      defaults: DEFAULT_CALIBRATION,
+      calibrations,
+    });
+
+  } catch (error) {
+    logger.error('List calibrations error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch calibrations' });
+  }
+});
+
+/**
+ * Apply a calibration version to new answers; version 0 restores the default weights
+ */
+router.post('/calibrations/:version/activate', async (req, res) => {
+  try {
+    const { error: validationError, value: version } = Joi.number().integer().min(0).validate(req.params.version);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    await activateCalibration(version);
+
+    res.json({
+      success: true,
+      message: `Calibration version ${version} activated`,
+    });
+
+  } catch (error) {
+    if (error.message === 'Calibration not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Activate calibration error', { error: error.message });
+    res.status(500).json({ error: 'Failed to activate calibration' });
+  }
+});
+
+export default router;
@@ -1,204 +1,692 @@
-const express = require('express');
+import express from 'express';
+import Joi from 'joi';
+import winston from 'winston';
+import { authenticateToken } from '../middleware/auth.js';
+import { createUsageRateLimiter } from '../middleware/rateLimiter.js';
+import { answerQuestion } from '../services/answerService.js';
+import { runFactCheck } from '../services/factCheckService.js';
+import { performWebSearch } from '../services/searchService.js';
+import { getEnabledSearchProviders } from '../services/searchProviders/index.js';
+import { formatSource } from '../services/aiService.js';
+import {
+  EXPORT_FORMATS,
+  getConversation,
+  isConversationOwner,
+  listConversations,
+  updateConversation,
+  generateConversationTitle,
+  listConversationTags,
+  deleteConversation,
+  exportConversation,
+} from '../services/conversationService.js';
+import { listFolders, createFolder, renameFolder, deleteFolder } from '../services/folderService.js';
+import { FEEDBACK_TYPES, submitFeedback, deleteFeedback } from '../services/feedbackService.js';
+import { CONFIDENCE_FILTERS, searchConversations } from '../services/conversationSearchService.js';
+import { getTeam, hasTeamPermission } from '../services/teamService.js';
+
 const router = express.Router();
-const { chatAuthMiddleware } = require('../middleware/auth');
-const { pool } = require('../db/config');
-const openai = require('../services/openaiService');
-const searchService = require('../services/searchService');
-
-// Send a message and get AI response
-router.post('/message', chatAuthMiddleware, async (req, res) => {
-  const { message, conversationId } = req.body;
-  const userId = req.user.id;
-
-  try {
-    // Validate input
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    // Create or get conversation
-    let convId = conversationId;
-    if (!convId) {
-      // Create new conversation
-      const convResult = await pool.query(
-        'INSERT INTO conversations (user_id, title, created_at) VALUES ($1, $2, NOW()) RETURNING id',
-        [userId, message.substring(0, 100)]
-      );
-      convId = convResult.rows[0].id;
-    }
-
-    // Save user message
-    await pool.query(
-      'INSERT INTO messages (conversation_id, role, content, created_at) VALUES ($1, $2, $3, NOW())',
-      [convId, 'user', message]
-    );
-
-    // Perform web search
-    const searchResults = await searchService.search(message);
-
-    // Generate AI response with search results
-    const aiResponse = await openai.generateResponse(message, searchResults);
-
-    // Calculate confidence score based on search results
-    const confidenceScore = calculateConfidenceScore(searchResults, aiResponse);
-
-    // Save AI response
-    const aiMessageResult = await pool.query(
-      `INSERT INTO messages (conversation_id, role, content, confidence_score, sources, created_at) 
-       VALUES ($1, $2, $3, $4, $5, NOW()) 
-       RETURNING id, content, confidence_score, sources`,
-      [convId, 'assistant', aiResponse.content, confidenceScore, JSON.stringify(aiResponse.sources)]
-    );
-
-    // Log usage
-    await pool.query(
-      'INSERT INTO usage_logs (user_id, action, tokens_used, created_at) VALUES ($1, $2, $3, NOW())',
-      [userId, 'chat_message', aiResponse.tokensUsed || 0]
-    );
 
-    res.json({
-      conversationId: convId,
-      message: aiMessageResult.rows[0],
-      confidenceScore,
-      sources: aiResponse.sources
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'chat-routes' },
+});
+
+// Validation schemas
+const messageSchema = Joi.object({
+  message: Joi.string().trim().min(1).max(4000).required(),
+  conversationId: Joi.string().uuid().allow(null).optional(),
+  searchOnly: Joi.boolean().optional(),
+  searchProvider: Joi.string().custom((value, helpers) => (
+    getEnabledSearchProviders().includes(value) ? value : helpers.error('any.invalid')
+  )).optional(),
+  collectionIds: Joi.array().items(Joi.string().uuid()).max(20).optional(),
+  mode: Joi.string().valid('standard', 'research').optional(),
+});
+
+const factCheckSchema = Joi.object({
+  claim: Joi.string().trim().min(3).max(1000).required(),
+  conversationId: Joi.string().uuid().allow(null).optional(),
+  searchProvider: Joi.string().custom((value, helpers) => (
+    getEnabledSearchProviders().includes(value) ? value : helpers.error('any.invalid')
+  )).optional(),
+});
+
+const exportSchema = Joi.object({
+  format: Joi.string().valid(...EXPORT_FORMATS).default('json'),
+  messageId: Joi.string().uuid().optional(),
+});
+
+// Download type and file extension for each export format
+const EXPORT_FILES = {
+  json: ['application/json', 'json'],
+  markdown: ['text/markdown', 'md'],
+  txt: ['text/plain', 'txt'],
+  html: ['text/html', 'html'],
+  pdf: ['application/pdf', 'pdf'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'docx'],
+  bibtex: ['application/x-bibtex', 'bib'],
+  ris: ['application/x-research-info-systems', 'ris'],
+  'csl-json': ['application/vnd.citationstyles.csl+json', 'json'],
+};
+
+// Dates as YYYY-MM-DD (the whole day) or full ISO timestamps
+const searchDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/)
+  .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value));
+
+const searchSchema = Joi.object({
+  q: Joi.string().trim().max(500).allow(''),
+  semantic: Joi.boolean().default(false),
+  confidence: Joi.string().valid(...CONFIDENCE_FILTERS),
+  from: searchDate,
+  to: searchDate,
+  domain: Joi.string().trim().lowercase().max(255).pattern(/^[a-z0-9.-]+$/),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+}).or('q', 'confidence', 'from', 'to', 'domain');
+
+const listFiltersSchema = Joi.object({
+  // 'none' lists conversations that are not in a folder
+  folderId: Joi.alternatives(Joi.string().uuid(), Joi.string().valid('none')),
+  tag: Joi.string().trim().lowercase().max(30),
+  archived: Joi.boolean().default(false),
+  // 'team' lists conversations members have shared into the user's team
+  scope: Joi.string().valid('mine', 'team').default('mine'),
+});
+
+const tagSchema = Joi.string().trim().lowercase().min(1).max(30);
+
+const updateConversationSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255),
+  pinned: Joi.boolean(),
+  archived: Joi.boolean(),
+  folderId: Joi.string().uuid().allow(null),
+  tags: Joi.array().items(tagSchema).max(20),
+  sharedWithTeam: Joi.boolean(),
+}).min(1);
+
+const folderSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+});
+
+const feedbackSchema = Joi.object({
+  feedbackType: Joi.string().valid(...FEEDBACK_TYPES).required(),
+  rating: Joi.when('feedbackType', {
+    is: 'thumbs',
+    then: Joi.number().valid(1, 5).required(),
+    otherwise: Joi.number().integer().min(1).max(5).required(),
+  }),
+  comment: Joi.string().trim().max(2000).allow('', null).optional(),
+});
+
+const usageLimiter = createUsageRateLimiter();
+
+// Apply authentication to all chat routes
+router.use(authenticateToken);
+
+/**
+ * Send a message and get AI response
+ */
+router.post('/message', usageLimiter, async (req, res) => {
+  try {
+    const { error: validationError, value } = messageSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    if (value.searchOnly) {
+      const search = await performWebSearch(value.message, 10, {
+        provider: value.searchProvider,
+        teamId: req.user.teamId,
+      });
+      return res.json({
+        success: true,
+        sources: search.results.map(formatSource),
+        metadata: search.metadata,
+      });
+    }
+
+    const result = await answerQuestion({
+      question: value.message,
+      userId: req.user.id,
+      tier: req.user.tier,
+      conversationId: value.conversationId,
+      searchProvider: value.searchProvider,
+      teamId: req.user.teamId,
+      collectionIds: value.collectionIds,
+      mode: value.mode,
     });
+
+    if (!result.success) {
+      return res.status(502).json({
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json(result);
+
   } catch (error) {
-    console.error('Chat error:', error);
+    if (error.message === 'Conversation not found') {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    logger.error('Send message error', { error: error.message, userId: req.user.id });
     res.status(500).json({ error: 'Failed to process message' });
   }
 });
 
-// Get user's conversations
-router.get('/conversations', chatAuthMiddleware, async (req, res) => {
-  const userId = req.user.id;
+/**
+ * Send a message and stream the answer as Server-Sent Events
+ *
+ * Events: search_started, sources, confidence, token, claims, complete, error
+ */
+router.post('/message/stream', usageLimiter, async (req, res) => {
+  const { error: validationError, value } = messageSchema.validate(req.body);
+
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: validationError.details[0].message,
+    });
+  }
 
+  // Checked before the stream starts so a shared conversation gets a real 404
   try {
-    const result = await pool.query(
-      `SELECT c.id, c.title, c.created_at, c.updated_at,
-              COUNT(m.id) as message_count,
-              MAX(m.created_at) as last_message_at
-       FROM conversations c
-       LEFT JOIN messages m ON c.id = m.conversation_id
-       WHERE c.user_id = $1
-       GROUP BY c.id
-       ORDER BY COALESCE(MAX(m.created_at), c.created_at) DESC
-       LIMIT 50`,
-      [userId]
-    );
+    if (value.conversationId && !(await isConversationOwner(value.conversationId, req.user.id))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+  } catch (error) {
+    logger.error('Stream message error', { error: error.message, userId: req.user.id });
+    return res.status(500).json({ error: 'Failed to process message' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // Stop generating tokens once the client has gone away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const result = await answerQuestion({
+      question: value.message,
+      userId: req.user.id,
+      tier: req.user.tier,
+      conversationId: value.conversationId,
+      searchProvider: value.searchProvider,
+      teamId: req.user.teamId,
+      collectionIds: value.collectionIds,
+      mode: value.mode,
+    }, {
+      onEvent: (event, data) => sendEvent(res, event, data),
+      signal: controller.signal,
+    });
+
+    if (result.success) {
+      sendEvent(res, 'complete', result);
+    } else {
+      sendEvent(res, 'error', {
+        error: result.error,
+        message: result.message,
+      });
+    }
 
-    res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching conversations:', error);
+    logger.error('Stream message error', { error: error.message, userId: req.user.id });
+    sendEvent(res, 'error', {
+      error: 'Failed to process message',
+      message: error.message,
+    });
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * Check a claim against fact-checkers and primary sources and return a verdict card
+ */
+router.post('/fact-check', usageLimiter, async (req, res) => {
+  try {
+    const { error: validationError, value } = factCheckSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const result = await runFactCheck({
+      claim: value.claim,
+      userId: req.user.id,
+      tier: req.user.tier,
+      conversationId: value.conversationId,
+      searchProvider: value.searchProvider,
+      teamId: req.user.teamId,
+    });
+
+    if (!result.success) {
+      return res.status(502).json({
+        error: result.error,
+        message: result.message,
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.message === 'Conversation not found') {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    logger.error('Fact-check error', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to check claim' });
+  }
+});
+
+/**
+ * List user's conversations, optionally in a folder, with a tag or archived,
+ * or the conversations shared into their team with ?scope=team
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const { error: validationError, value: filters } = listFiltersSchema.validate({
+      folderId: req.query.folderId,
+      tag: req.query.tag,
+      archived: req.query.archived,
+      scope: req.query.scope,
+    });
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const { scope, ...listFilters } = filters;
+    if (scope === 'team' && !req.user.teamId) {
+      return res.status(403).json({ error: 'Team required' });
+    }
+
+    const result = await listConversations(req.user.id, page, limit, {
+      ...listFilters,
+      teamId: scope === 'team' ? req.user.teamId : null,
+    });
+
+    res.json({
+      success: true,
+      conversations: result.conversations,
+      pagination: {
+        page: result.page,
+        limit,
+        total: result.total,
+        totalPages: result.totalPages,
+      },
+    });
+
+  } catch (error) {
+    logger.error('List conversations error', { error: error.message });
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 });
 
-// Get specific conversation with messages
-router.get('/conversation/:id', chatAuthMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const conversationId = req.params.id;
+/**
+ * List the tags on the user's conversations with how often each is used
+ */
+router.get('/conversations/tags', async (req, res) => {
+  try {
+    const tags = await listConversationTags(req.user.id);
+    res.json({ success: true, tags });
+  } catch (error) {
+    logger.error('List tags error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
 
+/**
+ * Search the user's conversations by message content, cited sources and titles
+ */
+router.get('/conversations/search', async (req, res) => {
   try {
-    // Verify conversation belongs to user
-    const convResult = await pool.query(
-      'SELECT id, title, created_at FROM conversations WHERE id = $1 AND user_id = $2',
-      [conversationId, userId]
-    );
+    const { error: validationError, value } = searchSchema.validate(req.query);
 
-    if (convResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Conversation not found' });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
     }
 
-    // Get messages
-    const messagesResult = await pool.query(
-      'SELECT id, role, content, confidence_score, sources, created_at FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
-      [conversationId]
-    );
+    const { results, semantic } = await searchConversations(req.user.id, {
+      query: value.q || null,
+      semantic: value.semantic,
+      confidence: value.confidence,
+      from: value.from,
+      to: value.to,
+      domain: value.domain,
+      limit: value.limit,
+    });
+
+    res.json({ success: true, results, semantic });
+
+  } catch (error) {
+    logger.error('Search conversations error', { error: error.message });
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+/**
+ * Get a conversation with its messages; team members can read conversations shared with the team
+ */
+router.get('/conversation/:id', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.user.id, { teamId: req.user.teamId });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
     res.json({
-      conversation: convResult.rows[0],
-      messages: messagesResult.rows.map(msg => ({
-        ...msg,
-        sources: msg.sources ? JSON.parse(msg.sources) : []
-      }))
+      success: true,
+      conversation,
     });
+
   } catch (error) {
-    console.error('Error fetching conversation:', error);
+    logger.error('Get conversation error', { error: error.message });
     res.status(500).json({ error: 'Failed to fetch conversation' });
   }
 });
 
-// Delete conversation
-router.delete('/conversation/:id', chatAuthMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const conversationId = req.params.id;
+/**
+ * Export a conversation, or the sources its answers cite as BibTeX, RIS or CSL-JSON
+ */
+router.get('/conversation/:id/export', async (req, res) => {
+  try {
+    const { error: validationError, value } = exportSchema.validate(req.query);
 
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const exported = await exportConversation(req.params.id, req.user.id, value.format, {
+      messageId: value.messageId,
+    });
+    const [contentType, extension] = EXPORT_FILES[value.format];
+
+    // PDF and DOCX come back as binary Buffers
+    const binary = Buffer.isBuffer(exported);
+
+    res.set({
+      'Content-Type': binary ? contentType : `${contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="conversation-${req.params.id}.${extension}"`,
+    });
+    res.send(binary || typeof exported === 'string' ? exported : JSON.stringify(exported, null, 2));
+
+  } catch (error) {
+    if (error.message === 'Conversation not found') {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    logger.error('Export conversation error', { error: error.message });
+    res.status(500).json({ error: 'Failed to export conversation' });
+  }
+});
+
+/**
+ * Rename, pin, archive, tag, move a conversation into a folder or share it with the team
+ */
+router.patch('/conversation/:id', async (req, res) => {
   try {
-    // Verify conversation belongs to user and delete
-    const result = await pool.query(
-      'DELETE FROM conversations WHERE id = $1 AND user_id = $2 RETURNING id',
-      [conversationId, userId]
-    );
+    const { error: validationError, value } = updateConversationSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
 
-    if (result.rows.length === 0) {
+    // Anyone can make their conversation private again; sharing depends on the team role
+    const { sharedWithTeam, ...updates } = value;
+    if (sharedWithTeam) {
+      const team = req.user.teamId ? await getTeam(req.user.teamId) : null;
+
+      if (!hasTeamPermission(req.user, 'share_conversations', team)) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: team ? 'Your role in this team does not allow sharing conversations' : 'Join a team to share conversations',
+        });
+      }
+    }
+    if (sharedWithTeam !== undefined) {
+      updates.teamId = sharedWithTeam ? req.user.teamId : null;
+    }
+
+    const conversation = await updateConversation(req.params.id, req.user.id, updates);
+
+    res.json({
+      success: true,
+      conversation,
+    });
+
+  } catch (error) {
+    if (error.message === 'Conversation not found' || error.message === 'Folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Update conversation error', { error: error.message });
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+/**
+ * Replace a conversation's title with one written by the model from its first exchange
+ */
+router.post('/conversation/:id/title', async (req, res) => {
+  try {
+    const { title, generated } = await generateConversationTitle(req.params.id, req.user.id, {
+      tier: req.user.tier,
+    });
+
+    res.json({
+      success: true,
+      title,
+      generated,
+    });
+
+  } catch (error) {
+    if (error.message === 'Conversation not found') {
       return res.status(404).json({ error: 'Conversation not found' });
     }
+    if (error.message === 'Conversation has no messages') {
+      return res.status(400).json({ error: 'Conversation has no messages' });
+    }
+    logger.error('Generate title error', { error: error.message });
+    res.status(500).json({ error: 'Failed to generate title' });
+  }
+});
+
+/**
+ * Delete a conversation
+ */
+router.delete('/conversation/:id', async (req, res) => {
+  try {
+    await deleteConversation(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully',
+    });
 
-    res.json({ message: 'Conversation deleted successfully' });
   } catch (error) {
-    console.error('Error deleting conversation:', error);
+    if (error.message === 'Conversation not found or access denied') {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    logger.error('Delete conversation error', { error: error.message });
     res.status(500).json({ error: 'Failed to delete conversation' });
   }
 });
 
-// Helper function to calculate confidence score
-function calculateConfidenceScore(searchResults, aiResponse) {
-  let score = 0;
-  let factors = 0;
+/**
+ * List the user's conversation folders
+ */
+router.get('/folders', async (req, res) => {
+  try {
+    const folders = await listFolders(req.user.id);
+    res.json({ success: true, folders });
+  } catch (error) {
+    logger.error('List folders error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch folders' });
+  }
+});
 
-  // Factor 1: Number of quality sources
-  if (searchResults && searchResults.length > 0) {
-    const qualitySources = searchResults.filter(s => 
-      s.url.includes('.gov') || 
-      s.url.includes('.edu') || 
-      s.url.includes('pubmed') ||
-      s.url.includes('scholar')
-    );
-    score += (qualitySources.length / searchResults.length) * 30;
-    factors++;
+/**
+ * Create a folder
+ */
+router.post('/folders', async (req, res) => {
+  try {
+    const { error: validationError, value } = folderSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const folder = await createFolder(req.user.id, value.name);
+    res.status(201).json({ success: true, folder });
+
+  } catch (error) {
+    if (error.message === 'Folder already exists') {
+      return res.status(409).json({ error: 'Folder already exists' });
+    }
+    logger.error('Create folder error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create folder' });
   }
+});
 
-  // Factor 2: Source consensus
-  if (aiResponse.sources && aiResponse.sources.length > 2) {
-    score += 25;
-    factors++;
+/**
+ * Rename a folder
+ */
+router.patch('/folders/:id', async (req, res) => {
+  try {
+    const { error: validationError, value } = folderSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const folder = await renameFolder(req.params.id, req.user.id, value.name);
+    res.json({ success: true, folder });
+
+  } catch (error) {
+    if (error.message === 'Folder not found') {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (error.message === 'Folder already exists') {
+      return res.status(409).json({ error: 'Folder already exists' });
+    }
+    logger.error('Rename folder error', { error: error.message });
+    res.status(500).json({ error: 'Failed to rename folder' });
   }
+});
 
-  // Factor 3: Recency of sources
-  const recentSources = searchResults.filter(s => {
-    const date = new Date(s.publishedDate);
-    const yearAgo = new Date();
-    yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-    return date > yearAgo;
-  });
-  if (recentSources.length > 0) {
-    score += (recentSources.length / searchResults.length) * 20;
-    factors++;
+/**
+ * Delete a folder; its conversations are kept and become unfiled
+ */
+router.delete('/folders/:id', async (req, res) => {
+  try {
+    await deleteFolder(req.params.id, req.user.id);
+    res.json({ success: true, message: 'Folder deleted successfully' });
+  } catch (error) {
+    if (error.message === 'Folder not found') {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    logger.error('Delete folder error', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete folder' });
   }
+});
+
+/**
+ * Rate an answer: thumbs up (5) or down (1), or 1-5 stars. Ratings feed confidence calibration.
+ */
+router.post('/message/:id/feedback', async (req, res) => {
+  try {
+    const { error: validationError, value } = feedbackSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const feedback = await submitFeedback(req.params.id, req.user.id, value);
+
+    res.json({
+      success: true,
+      feedback,
+    });
+
+  } catch (error) {
+    if (error.message === 'Message not found or access denied') {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    logger.error('Submit feedback error', { error: error.message });
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+/**
+ * Withdraw feedback on an answer
+ */
+router.delete('/message/:id/feedback', async (req, res) => {
+  try {
+    await deleteFeedback(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Feedback removed',
+    });
 
-  // Factor 4: AI response certainty
-  const uncertainPhrases = ['might be', 'could be', 'possibly', 'unclear', 'uncertain'];
-  const hasUncertainty = uncertainPhrases.some(phrase => 
-    aiResponse.content.toLowerCase().includes(phrase)
-  );
-  if (!hasUncertainty) {
-    score += 25;
-    factors++;
+  } catch (error) {
+    logger.error('Delete feedback error', { error: error.message });
+    res.status(500).json({ error: 'Failed to remove feedback' });
   }
+});
 
-  // Calculate final score
-  const finalScore = factors > 0 ? Math.round(score) : 50;
-  return Math.min(100, Math.max(0, finalScore));
+/**
+ * Write a single Server-Sent Event, flushing past the compression middleware
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
 }
 
-module.exports = router;
\ No newline at end of file
+export default router;
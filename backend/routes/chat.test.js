@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import chatRouter from './chat.js';
+
+const OWNER_ID = '11111111-1111-4111-8111-111111111111';
+const MEMBER_ID = '22222222-2222-4222-8222-222222222222';
+const TEAM_ID = '33333333-3333-4333-8333-333333333333';
+const SHARED_CONVERSATION_ID = '44444444-4444-4444-8444-444444444444';
+const MEMBER_CONVERSATION_ID = '55555555-5555-4555-8555-555555555555';
+
+const member = {
+  id: MEMBER_ID,
+  email: 'member@example.com',
+  name: 'Member',
+  tier: 'team',
+  usage_limit: 1000,
+  usage_count: 0,
+  usage_reset_date: new Date(Date.now() + 86400000).toISOString(),
+  status: 'active',
+  team_id: TEAM_ID,
+  team_role: 'member',
+  is_admin: false,
+};
+
+let db;
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+
+  db = createFakeDatabase({
+    users: [member],
+    teams: [{ id: TEAM_ID, name: 'Research', owner_id: OWNER_ID, usage_count: 0, usage_limit: 1000, usage_reset_date: member.usage_reset_date }],
+    conversations: [
+      { id: SHARED_CONVERSATION_ID, user_id: OWNER_ID, team_id: TEAM_ID },
+      { id: MEMBER_CONVERSATION_ID, user_id: MEMBER_ID, team_id: null, tags: [] },
+    ],
+  }, {
+    rpc: { search_messages: () => [] },
+  }).install();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRouter);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/chat`;
+});
+
+after(() => {
+  server.close();
+  db.restore();
+});
+
+function send(method, path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ id: MEMBER_ID }, process.env.JWT_SECRET)}`,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+test('a teammate cannot add messages to a conversation shared with the team', async () => {
+  const response = await send('POST', '/message', {
+    message: 'Can I add to this?',
+    conversationId: SHARED_CONVERSATION_ID,
+  });
+
+  assert.equal(response.status, 404);
+  assert.deepEqual(await response.json(), { error: 'Conversation not found' });
+  assert.deepEqual(db.writes(), []);
+});
+
+test('streaming into a conversation shared with the team is refused before the stream starts', async () => {
+  const response = await send('POST', '/message/stream', {
+    message: 'Can I add to this?',
+    conversationId: SHARED_CONVERSATION_ID,
+  });
+
+  assert.equal(response.status, 404);
+  assert.match(response.headers.get('content-type'), /application\/json/);
+  assert.deepEqual(await response.json(), { error: 'Conversation not found' });
+  assert.deepEqual(db.writes(), []);
+});
+
+test('a teammate cannot fact-check into a conversation shared with the team', async () => {
+  const response = await send('POST', '/fact-check', {
+    claim: 'The shared conversation is writable',
+    conversationId: SHARED_CONVERSATION_ID,
+  });
+
+  assert.equal(response.status, 404);
+  assert.deepEqual(db.writes(), []);
+});
+
+test('tags are trimmed, lower-cased and deduplicated', async () => {
+  const response = await send('PATCH', `/conversation/${MEMBER_CONVERSATION_ID}`, {
+    tags: [' Health ', 'health', 'DIET', 'diet'],
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).conversation.tags, ['health', 'diet']);
+  assert.deepEqual(db.writes('conversations').map(write => write.body), [{ tags: ['health', 'diet'] }]);
+});
+
+test('empty and over-long tags are rejected', async () => {
+  const blank = await send('PATCH', `/conversation/${MEMBER_CONVERSATION_ID}`, { tags: ['   '] });
+  const long = await send('PATCH', `/conversation/${MEMBER_CONVERSATION_ID}`, { tags: ['x'.repeat(31)] });
+
+  assert.equal(blank.status, 400);
+  assert.equal(long.status, 400);
+});
+
+test('search needs a query or a filter, and rejects malformed filters before searching', async () => {
+  const invalid = ['', '?confidence=certain', '?from=March', '?to=2024-02-30T25:00', '?domain=example.com/path', '?q=x&limit=51'];
+
+  for (const query of invalid) {
+    const response = await send('GET', `/conversations/search${query}`);
+    assert.equal(response.status, 400, query);
+  }
+  assert.equal(db.requests.some(request => request.table === 'rpc/search_messages'), false);
+});
+
+test('search passes the parsed filters on', async () => {
+  const response = await send('GET', '/conversations/search?q=%20coffee%20&confidence=high&to=2024-03-01&domain=WWW.CDC.gov&limit=5');
+
+  assert.equal(response.status, 200);
+  const [request] = db.requests.filter(entry => entry.table === 'rpc/search_messages');
+  assert.deepEqual(request.body, {
+    search_user_id: MEMBER_ID,
+    confidence_filter: 'high',
+    date_from: null,
+    date_to: '2024-03-02T00:00:00.000Z',
+    source_domain: 'cdc.gov',
+    search_query: 'coffee',
+    match_count: 100,
+  });
+});
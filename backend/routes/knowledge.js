@@ -0,0 +1,220 @@
+import express from 'express';
+import Joi from 'joi';
+import multer from 'multer';
+import winston from 'winston';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  listCollections,
+  createCollection,
+  deleteCollection,
+  listDocuments,
+  addDocument,
+  deleteDocument,
+} from '../services/knowledgeBaseService.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'knowledge-routes' },
+});
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.KNOWLEDGE_BASE_MAX_UPLOAD_MB) || 20) * 1024 * 1024;
+
+// Uploads are held in memory only until their text is extracted
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+// Validation schemas
+const createCollectionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow('', null).optional(),
+  shared: Joi.boolean().optional(),
+});
+
+const uploadSchema = Joi.object({
+  title: Joi.string().trim().max(255).allow('').optional(),
+});
+
+// Apply authentication to all knowledge base routes
+router.use(authenticateToken);
+
+/**
+ * Accept a single file in the "file" field, reporting upload errors as 400s
+ */
+function handleUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+          : error.message,
+      });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+}
+
+/**
+ * List the user's collections and their team's shared collections
+ */
+router.get('/collections', async (req, res) => {
+  try {
+    const collections = await listCollections(req.user);
+
+    res.json({
+      success: true,
+      collections,
+    });
+
+  } catch (error) {
+    logger.error('List collections error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+/**
+ * Create a collection
+ */
+router.post('/collections', async (req, res) => {
+  try {
+    const { error: validationError, value } = createCollectionSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    if (value.shared && !req.user.teamId) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: 'Join a team to share collections',
+      });
+    }
+
+    const collection = await createCollection(req.user, value);
+
+    res.status(201).json({
+      success: true,
+      collection,
+    });
+
+  } catch (error) {
+    logger.error('Create collection error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+/**
+ * Delete a collection and its documents
+ */
+router.delete('/collections/:id', async (req, res) => {
+  try {
+    await deleteCollection(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+    });
+
+  } catch (error) {
+    if (error.message === 'Collection not found or access denied') {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    logger.error('Delete collection error', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+/**
+ * List the documents in a collection
+ */
+router.get('/collections/:id/documents', async (req, res) => {
+  try {
+    const documents = await listDocuments(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      documents,
+    });
+
+  } catch (error) {
+    if (error.message === 'Collection not found or access denied') {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    logger.error('List documents error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+/**
+ * Upload a document; it is indexed in the background
+ */
+router.post('/collections/:id/documents', handleUpload, async (req, res) => {
+  try {
+    const { error: validationError, value } = uploadSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: 'Attach a file in the "file" field',
+      });
+    }
+
+    const document = await addDocument(req.params.id, req.user, req.file, value.title);
+
+    res.status(202).json({
+      success: true,
+      document,
+    });
+
+  } catch (error) {
+    if (error.message === 'Collection not found or access denied') {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    if (error.message.startsWith('Unsupported file type')) {
+      return res.status(415).json({ error: 'Unsupported file type', message: error.message });
+    }
+    logger.error('Upload document error', { error: error.message });
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+/**
+ * Delete a document
+ */
+router.delete('/documents/:id', async (req, res) => {
+  try {
+    await deleteDocument(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully',
+    });
+
+  } catch (error) {
+    if (error.message === 'Document not found or access denied') {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    logger.error('Delete document error', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import express from 'express';
+import Joi from 'joi';
+import winston from 'winston';
+import { authenticateToken } from '../middleware/auth.js';
+import { publicEndpointLimiter } from '../middleware/rateLimiter.js';
+import {
+  createShare,
+  listShares,
+  revokeShare,
+  getSharedConversation,
+  renderSharePreview,
+} from '../services/shareService.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'share-routes' },
+});
+
+// Validation schemas
+const createShareSchema = Joi.object({
+  // Omit for a link that never expires
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null).optional(),
+});
+
+// Conversation and share IDs are UUIDs; anything else would fail the cast in Postgres
+const idSchema = Joi.string().uuid().required();
+
+// Expired and revoked links answer 410 so the page can say why it is gone
+const SHARE_ERRORS = {
+  'Share not found': [404, 'This shared conversation does not exist'],
+  'Share expired': [410, 'This shared link has expired'],
+  'Share revoked': [410, 'This shared link has been turned off by its owner'],
+};
+
+/**
+ * Frontend page and link preview URLs for a share token
+ */
+function shareUrls(req, token) {
+  const previewBase = process.env.SHARE_PREVIEW_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    url: `${process.env.FRONTEND_URL}/share/${token}`,
+    previewUrl: `${previewBase}/api/share/${token}/preview`,
+  };
+}
+
+function withUrls(req, share) {
+  return { ...share, ...shareUrls(req, share.token) };
+}
+
+/**
+ * Reject a malformed ID path parameter with 400 before it reaches the database
+ */
+function validateId(param) {
+  return (req, res, next) => {
+    const { error } = idSchema.label(param).validate(req.params[param]);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.details[0].message,
+      });
+    }
+    next();
+  };
+}
+
+function sendShareError(res, error, fallback) {
+  const known = SHARE_ERRORS[error.message];
+  if (known) {
+    return res.status(known[0]).json({ error: error.message, message: known[1] });
+  }
+  logger.error(fallback, { error: error.message });
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Read a shared conversation (public)
+ */
+router.get('/:token', publicEndpointLimiter, async (req, res) => {
+  try {
+    const shared = await getSharedConversation(req.params.token);
+    res.json({ conversation: shared });
+  } catch (error) {
+    sendShareError(res, error, 'Failed to load shared conversation');
+  }
+});
+
+/**
+ * Open Graph preview of a shared conversation that forwards browsers to the frontend page (public)
+ */
+router.get('/:token/preview', publicEndpointLimiter, async (req, res) => {
+  const { url, previewUrl } = shareUrls(req, req.params.token);
+  try {
+    const shared = await getSharedConversation(req.params.token, { countView: false });
+    res.type('html').send(renderSharePreview(shared, { pageUrl: url, previewUrl }));
+  } catch (error) {
+    if (SHARE_ERRORS[error.message]) {
+      // Let the frontend page explain that the link is gone
+      return res.redirect(url);
+    }
+    logger.error('Share preview error', { error: error.message });
+    res.status(500).json({ error: 'Failed to load shared conversation' });
+  }
+});
+
+// Managing links requires the owner's account
+router.use(authenticateToken);
+
+/**
+ * Share a snapshot of a conversation
+ */
+router.post('/conversation/:id', validateId('id'), async (req, res) => {
+  try {
+    const { error: validationError, value } = createShareSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const share = await createShare(req.params.id, req.user.id, value);
+    res.status(201).json({ share: withUrls(req, share) });
+
+  } catch (error) {
+    if (error.message === 'Conversation not found') {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (error.message === 'Conversation has no messages') {
+      return res.status(400).json({ error: 'Conversation has no messages' });
+    }
+    logger.error('Create share error', { error: error.message });
+    res.status(500).json({ error: 'Failed to share conversation' });
+  }
+});
+
+/**
+ * List a conversation's shared links
+ */
+router.get('/conversation/:id', validateId('id'), async (req, res) => {
+  try {
+    const shares = await listShares(req.params.id, req.user.id);
+    res.json({ shares: shares.map(share => withUrls(req, share)) });
+  } catch (error) {
+    logger.error('List shares error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch shared links' });
+  }
+});
+
+/**
+ * Revoke a shared link
+ */
+router.delete('/:shareId', validateId('shareId'), async (req, res) => {
+  try {
+    const share = await revokeShare(req.params.shareId, req.user.id);
+    res.json({ success: true, share: withUrls(req, share) });
+  } catch (error) {
+    sendShareError(res, error, 'Failed to revoke shared link');
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import shareRouter from './share.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_CONVERSATION_ID = '22222222-2222-4222-8222-222222222222';
+
+let db;
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+
+  db = createFakeDatabase({
+    users: [{ id: USER_ID, email: 'user@example.com', tier: 'pro', status: 'active', team_id: null }],
+    conversations: [{ id: OTHER_CONVERSATION_ID, user_id: '33333333-3333-4333-8333-333333333333' }],
+  }).install();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/share', shareRouter);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/share`;
+});
+
+after(() => {
+  server.close();
+  db.restore();
+});
+
+function send(method, path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ id: USER_ID }, process.env.JWT_SECRET)}`,
+    },
+    body: body && JSON.stringify(body),
+  });
+}
+
+// Only the signed-in user is looked up; nothing reaches the shares or conversations
+function sharesQueried() {
+  return db.requests.some(request => request.table !== 'users');
+}
+
+test('sharing a conversation with a malformed ID is a 400, not a database error', async () => {
+  const response = await send('POST', '/conversation/not-a-uuid', {});
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Invalid input', details: '"id" must be a valid GUID' });
+  assert.equal(sharesQueried(), false);
+});
+
+test('listing or revoking with a malformed ID is a 400', async () => {
+  const list = await send('GET', '/conversation/123');
+  const revoke = await send('DELETE', '/not-a-uuid');
+
+  assert.equal(list.status, 400);
+  assert.equal(revoke.status, 400);
+  assert.equal((await revoke.json()).details, '"shareId" must be a valid GUID');
+  assert.equal(sharesQueried(), false);
+});
+
+test('sharing another user\'s conversation is a 404', async () => {
+  const response = await send('POST', `/conversation/${OTHER_CONVERSATION_ID}`, {});
+
+  assert.equal(response.status, 404);
+  assert.deepEqual(await response.json(), { error: 'Conversation not found' });
+  assert.deepEqual(db.tables.shared_conversations || [], []);
+});
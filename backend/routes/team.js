@@ -0,0 +1,481 @@
+import express from 'express';
+import Joi from 'joi';
+import winston from 'winston';
+import { authenticateToken, requireTier, requireTeamPermission } from '../middleware/auth.js';
+import { normalizeDomainRule } from '../services/domainReputationService.js';
+import {
+  RULE_TYPES,
+  listSourceRules,
+  createSourceRule,
+  deleteSourceRule,
+  canManageSourcePolicy,
+} from '../services/sourcePolicyService.js';
+import {
+  ASSIGNABLE_ROLES,
+  DEFAULT_TEAM_SETTINGS,
+  createTeam,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  listMembers,
+  updateMemberRole,
+  transferOwnership,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+  listTeamPermissions,
+} from '../services/teamService.js';
+import { getTeamUsageByMember } from '../services/usageService.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'team-routes' },
+});
+
+// Validation schemas
+const createTeamSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+});
+
+const updateTeamSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  settings: Joi.object(Object.fromEntries(
+    Object.keys(DEFAULT_TEAM_SETTINGS).map(key => [key, Joi.boolean()])
+  )).min(1),
+}).min(1);
+
+const memberRoleSchema = Joi.object({
+  role: Joi.string().valid(...ASSIGNABLE_ROLES).required(),
+});
+
+const transferOwnershipSchema = Joi.object({
+  memberId: Joi.string().uuid().required(),
+});
+
+const invitationSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  role: Joi.string().valid(...ASSIGNABLE_ROLES).default('member'),
+});
+
+const createSourceRuleSchema = Joi.object({
+  domain: Joi.string().trim().max(255).required().custom((value, helpers) => {
+    try {
+      return normalizeDomainRule(value);
+    } catch (error) {
+      return helpers.message(error.message);
+    }
+  }),
+  ruleType: Joi.string().valid(...RULE_TYPES).required(),
+  boost: Joi.number().integer().min(1).max(50).when('ruleType', {
+    is: 'boost',
+    otherwise: Joi.forbidden(),
+  }),
+  notes: Joi.string().max(500).allow('', null).optional(),
+});
+
+// Errors from teamService that are the caller's fault, with their status codes
+const TEAM_ERROR_STATUS = {
+  'Team not found': 404,
+  'Member not found': 404,
+  'Invitation not found': 404,
+  'Already in a team': 409,
+  'Already a member': 409,
+  'Invitation already accepted': 409,
+  'Invitation expired': 410,
+  'Invitation revoked': 410,
+  'Invitation is for a different email': 403,
+  'Only the owner can change admins': 403,
+  'Only the owner can transfer ownership': 403,
+  'Only owners and admins can invite admins': 403,
+  'Cannot change the owner\'s role': 400,
+  'The owner cannot leave the team': 400,
+};
+
+function sendTeamError(res, error, logMessage, failureMessage) {
+  const status = TEAM_ERROR_STATUS[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  logger.error(logMessage, { error: error.message });
+  res.status(500).json({ error: failureMessage });
+}
+
+/**
+ * Look up an invitation so the invite page can show the team before sign-in
+ */
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await getInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      invitation,
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Get invitation error', 'Failed to fetch invitation');
+  }
+});
+
+// Everything else needs a signed-in user
+router.use(authenticateToken);
+
+/**
+ * Require the user to belong to a team
+ */
+function requireTeam(req, res, next) {
+  if (!req.user.teamId) {
+    return res.status(403).json({
+      error: 'Team required',
+      message: 'Join a team to manage its settings',
+    });
+  }
+  next();
+}
+
+/**
+ * Join a team with an invitation sent to the user's email address
+ */
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const team = await acceptInvitation(req.params.token, req.user);
+
+    res.json({
+      success: true,
+      team,
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Accept invitation error', 'Failed to accept invitation');
+  }
+});
+
+/**
+ * Create a team; the creator becomes its owner
+ */
+router.post('/', requireTier(['team']), async (req, res) => {
+  try {
+    const { error: validationError, value } = createTeamSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const team = await createTeam(req.user, value.name);
+
+    res.status(201).json({
+      success: true,
+      team,
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Create team error', 'Failed to create team');
+  }
+});
+
+/**
+ * Get the user's team with its members, pooled usage, settings and what the user may do
+ */
+router.get('/', requireTeam, async (req, res) => {
+  try {
+    const team = await getTeam(req.user.teamId);
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // The pooled period started 30 days before it resets
+    const periodStart = new Date(new Date(team.usage.resetDate).getTime() - 30 * 24 * 60 * 60 * 1000);
+    const [members, usageByMember] = await Promise.all([
+      listMembers(team.id),
+      getTeamUsageByMember(team.id, periodStart.toISOString()),
+    ]);
+
+    res.json({
+      success: true,
+      team,
+      members: members.map(member => ({
+        ...member,
+        queries_this_period: usageByMember[member.id] || 0,
+      })),
+      role: req.user.teamRole,
+      permissions: listTeamPermissions(req.user, team),
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Get team error', 'Failed to fetch team');
+  }
+});
+
+/**
+ * Rename the team or change its settings
+ */
+router.patch('/', requireTeamPermission('manage_team'), async (req, res) => {
+  try {
+    const { error: validationError, value } = updateTeamSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const team = await updateTeam(req.user.teamId, value);
+
+    res.json({
+      success: true,
+      team,
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Update team error', 'Failed to update team');
+  }
+});
+
+/**
+ * Delete the team. Members keep their accounts and private conversations.
+ */
+router.delete('/', requireTeamPermission('delete_team'), async (req, res) => {
+  try {
+    await deleteTeam(req.user.teamId);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully',
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Delete team error', 'Failed to delete team');
+  }
+});
+
+/**
+ * Leave the team
+ */
+router.post('/leave', requireTeam, async (req, res) => {
+  try {
+    await removeMember(req.user, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'You have left the team',
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Leave team error', 'Failed to leave team');
+  }
+});
+
+/**
+ * Make another member the owner; the current owner becomes an admin
+ */
+router.post('/transfer-ownership', requireTeamPermission('transfer_ownership'), async (req, res) => {
+  try {
+    const { error: validationError, value } = transferOwnershipSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    await transferOwnership(req.user, value.memberId);
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Transfer ownership error', 'Failed to transfer ownership');
+  }
+});
+
+/**
+ * Change a member's role
+ */
+router.patch('/members/:id', requireTeamPermission('manage_members'), async (req, res) => {
+  try {
+    const { error: validationError, value } = memberRoleSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const member = await updateMemberRole(req.user, req.params.id, value.role);
+
+    res.json({
+      success: true,
+      member,
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Update member role error', 'Failed to update member role');
+  }
+});
+
+/**
+ * Remove a member from the team
+ */
+router.delete('/members/:id', requireTeamPermission('manage_members'), async (req, res) => {
+  try {
+    await removeMember(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Remove member error', 'Failed to remove member');
+  }
+});
+
+/**
+ * List pending invitations
+ */
+router.get('/invitations', requireTeamPermission('invite_members'), async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.user.teamId);
+
+    res.json({
+      success: true,
+      invitations,
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'List invitations error', 'Failed to fetch invitations');
+  }
+});
+
+/**
+ * Invite someone by email. The invitation link is returned once for the
+ * inviter to send; only the person signed in with that email can accept it.
+ */
+router.post('/invitations', requireTeamPermission('invite_members'), async (req, res) => {
+  try {
+    const { error: validationError, value } = invitationSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const { invitation, token } = await createInvitation(req.user, value.email, value.role);
+
+    res.status(201).json({
+      success: true,
+      invitation,
+      inviteUrl: `${process.env.FRONTEND_URL}/invite/${token}`,
+      message: 'Send this link to the person you invited. It will not be shown again.',
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Create invitation error', 'Failed to create invitation');
+  }
+});
+
+/**
+ * Revoke a pending invitation
+ */
+router.delete('/invitations/:id', requireTeamPermission('invite_members'), async (req, res) => {
+  try {
+    await revokeInvitation(req.user.teamId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+    });
+
+  } catch (error) {
+    sendTeamError(res, error, 'Revoke invitation error', 'Failed to revoke invitation');
+  }
+});
+
+/**
+ * Get the team's source policy
+ */
+router.get('/source-policy', requireTeam, async (req, res) => {
+  try {
+    const rules = await listSourceRules(req.user.teamId);
+
+    res.json({
+      success: true,
+      rules,
+      canManage: canManageSourcePolicy(req.user),
+    });
+
+  } catch (error) {
+    logger.error('Get source policy error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch source policy' });
+  }
+});
+
+/**
+ * Add an allow, block or boost rule to the team's source policy
+ */
+router.post('/source-policy/rules', requireTeamPermission('manage_source_policy'), async (req, res) => {
+  try {
+    const { error: validationError, value } = createSourceRuleSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const rule = await createSourceRule(req.user.teamId, value, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      rule,
+    });
+
+  } catch (error) {
+    if (error.message === 'Domain already has a rule in this policy') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Create source rule error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create source rule' });
+  }
+});
+
+/**
+ * Remove a rule from the team's source policy
+ */
+router.delete('/source-policy/rules/:id', requireTeamPermission('manage_source_policy'), async (req, res) => {
+  try {
+    await deleteSourceRule(req.user.teamId, req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Source rule deleted successfully',
+    });
+
+  } catch (error) {
+    if (error.message === 'Source rule not found or access denied') {
+      return res.status(404).json({ error: 'Source rule not found' });
+    }
+    logger.error('Delete source rule error', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete source rule' });
+  }
+});
+
+export default router;
@@ -1,8 +1,19 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import { createClient } from '@supabase/supabase-js';
+import { getSupabase } from '../db/supabase.js';
 import { authenticateToken, requireTier, authenticateApiKey } from '../middleware/auth.js';
 import { getUserUsageStats } from '../services/usageService.js';
+import {
+  API_KEY_SCOPES,
+  MAX_ACTIVE_API_KEYS,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} from '../services/apiKeyService.js';
 import Joi from 'joi';
 import crypto from 'crypto';
 import winston from 'winston';
@@ -15,12 +26,6 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'user-routes' },
 });
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 // Validation schemas
 const updateProfileSchema = Joi.object({
   name: Joi.string().min(2).max(100).optional(),
@@ -29,10 +34,45 @@ const updateProfileSchema = Joi.object({
   newPassword: Joi.string().min(8).optional(),
 });
 
+const apiKeyScopes = Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique();
+const monthlyQuota = Joi.number().integer().min(1).max(1000000).allow(null);
+const rateLimitPerMinute = Joi.number().integer().min(1).max(MAX_RATE_LIMIT_PER_MINUTE);
+
 const createApiKeySchema = Joi.object({
   name: Joi.string().min(3).max(50).required(),
+  scopes: apiKeyScopes.default(['read']),
+  // Omit or null for a key that never expires
+  expiresInDays: Joi.number().integer().min(1).max(730).allow(null).default(null),
+  monthlyQuota: monthlyQuota.default(null),
+  rateLimitPerMinute: rateLimitPerMinute.default(DEFAULT_RATE_LIMIT_PER_MINUTE),
 });
 
+const updateApiKeySchema = Joi.object({
+  name: Joi.string().min(3).max(50),
+  scopes: apiKeyScopes,
+  monthlyQuota,
+  rateLimitPerMinute,
+}).min(1);
+
+// Errors from apiKeyService that are the caller's fault, with their status codes
+const API_KEY_ERRORS = {
+  'API key not found': { status: 404 },
+  'API key expired': { status: 400, message: 'Expired keys cannot be rotated; create a new key instead' },
+  'API key limit reached': { status: 400, message: `You can have a maximum of ${MAX_ACTIVE_API_KEYS} active API keys` },
+};
+
+function sendApiKeyError(res, error, logMessage, failureMessage) {
+  const known = API_KEY_ERRORS[error.message];
+  if (known) {
+    return res.status(known.status).json({
+      error: error.message,
+      ...(known.message && { message: known.message }),
+    });
+  }
+  logger.error(logMessage, { error: error.message });
+  res.status(500).json({ error: failureMessage });
+}
+
 // Apply authentication to all user routes
 router.use(authenticateToken);
 
@@ -43,9 +83,9 @@ router.get('/profile', async (req, res) => {
   try {
     const userId = req.user.id;
     
-    const { data: user, error } = await supabase
+    const { data: user, error } = await getSupabase()
       .from('users')
-      .select('id, email, name, tier, usage_count, usage_limit, usage_reset_date, created_at, last_login')
+      .select('id, email, name, tier, usage_count, usage_limit, usage_reset_date, team_id, team_role, is_admin, created_at, last_login')
       .eq('id', userId)
       .single();
     
@@ -55,7 +95,8 @@ router.get('/profile', async (req, res) => {
     
     res.json({
       success: true,
-      user,
+      // Team members are on the team plan whatever their own tier
+      user: { ...user, tier: req.user.tier },
     });
     
   } catch (error) {
@@ -89,7 +130,7 @@ router.put('/profile', async (req, res) => {
     // Handle email update
     if (value.email && value.email !== req.user.email) {
       // Check if email already exists
-      const { data: existingUser } = await supabase
+      const { data: existingUser } = await getSupabase()
         .from('users')
         .select('id')
         .eq('email', value.email)
@@ -105,7 +146,7 @@ router.put('/profile', async (req, res) => {
     // Handle password update
     if (value.currentPassword && value.newPassword) {
       // Verify current password
-      const { data: user } = await supabase
+      const { data: user } = await getSupabase()
         .from('users')
         .select('password_hash')
         .eq('id', userId)
@@ -125,7 +166,7 @@ router.put('/profile', async (req, res) => {
     if (Object.keys(updates).length > 0) {
       updates.updated_at = new Date().toISOString();
       
-      const { error: updateError } = await supabase
+      const { error: updateError } = await getSupabase()
         .from('users')
         .update(updates)
         .eq('id', userId);
@@ -170,25 +211,16 @@ router.get('/usage', async (req, res) => {
 });
 
 /**
- * List API keys (team tier only)
+ * List API keys with this month's usage per key (team tier only)
  */
 router.get('/api-keys', requireTier(['team']), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    const { data: apiKeys, error } = await supabase
-      .from('api_keys')
-      .select('id, name, key_prefix, is_active, usage_count, last_used, created_at')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
-    
-    if (error) {
-      throw error;
-    }
+    const apiKeys = await listApiKeys(req.user.id);
     
     res.json({
       success: true,
-      apiKeys: apiKeys || [],
+      apiKeys,
+      scopes: API_KEY_SCOPES,
     });
     
   } catch (error) {
@@ -202,7 +234,6 @@ router.get('/api-keys', requireTier(['team']), async (req, res) => {
  */
 router.post('/api-keys', requireTier(['team']), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { error: validationError, value } = createApiKeySchema.validate(req.body);
     
     if (validationError) {
@@ -212,57 +243,62 @@ router.post('/api-keys', requireTier(['team']), async (req, res) => {
       });
     }
     
-    // Check if user has reached API key limit
-    const { count } = await supabase
-      .from('api_keys')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .eq('is_active', true);
+    const apiKey = await createApiKey(req.user.id, value);
     
-    if (count >= 5) {
+    res.json({
+      success: true,
+      apiKey, // Includes the full key, only returned once
+      message: 'Save this API key securely. It will not be shown again.',
+    });
+    
+  } catch (error) {
+    sendApiKeyError(res, error, 'Create API key error', 'Failed to create API key');
+  }
+});
+
+/**
+ * Rename an API key or change its scopes, quota or rate limit (team tier only)
+ */
+router.patch('/api-keys/:keyId', requireTier(['team']), async (req, res) => {
+  try {
+    const { error: validationError, value } = updateApiKeySchema.validate(req.body);
+    
+    if (validationError) {
       return res.status(400).json({ 
-        error: 'API key limit reached',
-        message: 'You can have a maximum of 5 active API keys',
+        error: 'Invalid input', 
+        details: validationError.details[0].message 
       });
     }
     
-    // Generate API key
-    const apiKey = `hgpt_${crypto.randomBytes(32).toString('base64url')}`;
-    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    const keyPrefix = apiKey.substring(0, 10);
-    
-    // Save to database
-    const { data: newKey, error: insertError } = await supabase
-      .from('api_keys')
-      .insert({
-        user_id: userId,
-        name: value.name,
-        key_hash: keyHash,
-        key_prefix: keyPrefix,
-        is_active: true,
-        created_at: new Date().toISOString(),
-      })
-      .select('id, name, key_prefix, created_at')
-      .single();
+    const apiKey = await updateApiKey(req.params.keyId, req.user.id, value);
     
-    if (insertError) {
-      throw insertError;
-    }
+    res.json({
+      success: true,
+      apiKey,
+    });
     
-    logger.info('API key created', { userId, keyId: newKey.id });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Update API key error', 'Failed to update API key');
+  }
+});
+
+/**
+ * Issue a new secret for an API key; the old one works until the grace period ends (team tier only)
+ */
+router.post('/api-keys/:keyId/rotate', requireTier(['team']), async (req, res) => {
+  try {
+    const apiKey = await rotateApiKey(req.params.keyId, req.user.id);
     
     res.json({
       success: true,
-      apiKey: {
-        ...newKey,
-        key: apiKey, // Only returned once during creation
-      },
-      message: 'Save this API key securely. It will not be shown again.',
+      apiKey, // Includes the new key, only returned once
+      message: apiKey.previous_key_expires_at
+        ? `Save this API key securely. The old key keeps working until ${apiKey.previous_key_expires_at}.`
+        : 'Save this API key securely. The old key no longer works.',
     });
     
   } catch (error) {
-    logger.error('Create API key error', { error: error.message });
-    res.status(500).json({ error: 'Failed to create API key' });
+    sendApiKeyError(res, error, 'Rotate API key error', 'Failed to rotate API key');
   }
 });
 
@@ -271,35 +307,7 @@ router.post('/api-keys', requireTier(['team']), async (req, res) => {
  */
 router.delete('/api-keys/:keyId', requireTier(['team']), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { keyId } = req.params;
-    
-    // Verify ownership
-    const { data: apiKey } = await supabase
-      .from('api_keys')
-      .select('id')
-      .eq('id', keyId)
-      .eq('user_id', userId)
-      .single();
-    
-    if (!apiKey) {
-      return res.status(404).json({ error: 'API key not found' });
-    }
-    
-    // Soft delete (mark as inactive)
-    const { error } = await supabase
-      .from('api_keys')
-      .update({ 
-        is_active: false,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', keyId);
-    
-    if (error) {
-      throw error;
-    }
-    
-    logger.info('API key deleted', { userId, keyId });
+    await revokeApiKey(req.params.keyId, req.user.id);
     
     res.json({
       success: true,
@@ -307,8 +315,7 @@ router.delete('/api-keys/:keyId', requireTier(['team']), async (req, res) => {
     });
     
   } catch (error) {
-    logger.error('Delete API key error', { error: error.message });
-    res.status(500).json({ error: 'Failed to delete API key' });
+    sendApiKeyError(res, error, 'Delete API key error', 'Failed to delete API key');
   }
 });
 
@@ -320,7 +327,7 @@ router.get('/referrals', async (req, res) => {
     const userId = req.user.id;
     
     // Get user's referral code
-    const { data: user } = await supabase
+    const { data: user } = await getSupabase()
       .from('users')
       .select('email')
       .eq('id', userId)
@@ -339,7 +346,7 @@ router.get('/referrals', async (req, res) => {
       .toUpperCase();
     
     // Count referrals
-    const { count } = await supabase
+    const { count } = await getSupabase()
       .from('users')
       .select('*', { count: 'exact', head: true })
       .eq('referral_code', referralCode);
@@ -373,7 +380,7 @@ router.delete('/account', async (req, res) => {
     }
     
     // Verify password
-    const { data: user } = await supabase
+    const { data: user } = await getSupabase()
       .from('users')
       .select('password_hash')
       .eq('id', userId)
@@ -386,7 +393,7 @@ router.delete('/account', async (req, res) => {
     }
     
     // Soft delete - mark as deleted but keep data for legal/audit purposes
-    const { error } = await supabase
+    const { error } = await getSupabase()
       .from('users')
       .update({ 
         status: 'deleted',
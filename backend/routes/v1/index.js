@@ -0,0 +1,476 @@
+import express from 'express';
+import crypto from 'crypto';
+import Joi from 'joi';
+import winston from 'winston';
+import { authenticateApiKey, requireScope } from '../../middleware/auth.js';
+import { createApiKeyRateLimiter, createApiKeyQuotaLimiter, createUsageRateLimiter } from '../../middleware/rateLimiter.js';
+import { answerQuestion } from '../../services/answerService.js';
+import { runFactCheck } from '../../services/factCheckService.js';
+import { getEnabledSearchProviders } from '../../services/searchProviders/index.js';
+import { getConversation, listConversations } from '../../services/conversationService.js';
+import { listDomainReputations, qualityFromScore } from '../../services/domainReputationService.js';
+import { checkUsageLimit, countApiKeyQueries, apiKeyQuotaPeriod } from '../../services/usageService.js';
+import {
+  IDEMPOTENCY_KEY_PATTERN,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} from '../../services/idempotencyService.js';
+import { openApiDocument } from './openapi.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'api-v1-routes' },
+});
+
+// Validation schemas
+const searchProvider = Joi.string().custom((value, helpers) => (
+  getEnabledSearchProviders().includes(value) ? value : helpers.error('any.invalid')
+));
+
+const askSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(4000).required(),
+  conversationId: Joi.string().uuid().allow(null).optional(),
+  searchProvider: searchProvider.optional(),
+  collectionIds: Joi.array().items(Joi.string().uuid()).max(20).optional(),
+  mode: Joi.string().valid('standard', 'research').optional(),
+});
+
+const factCheckSchema = Joi.object({
+  claim: Joi.string().trim().min(3).max(1000).required(),
+  conversationId: Joi.string().uuid().allow(null).optional(),
+  searchProvider: searchProvider.optional(),
+});
+
+const paginationFields = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+};
+
+const listConversationsSchema = Joi.object({
+  ...paginationFields,
+  // 'team' lists conversations members have shared into the key owner's team
+  scope: Joi.string().valid('mine', 'team').default('mine'),
+});
+
+const listSourcesSchema = Joi.object({
+  ...paginationFields,
+  search: Joi.string().trim().lowercase().max(255).allow(''),
+  // 'team' lists the team's overrides instead of the global registry
+  scope: Joi.string().valid('global', 'team').default('global'),
+});
+
+const conversationIdSchema = Joi.string().uuid();
+
+// Error codes for bodies the shared middleware sends in its own shape
+const STATUS_ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  502: 'upstream_error',
+};
+
+// Codes for shared middleware errors more specific than their status
+const MIDDLEWARE_ERROR_CODES = {
+  'Usage limit exceeded': 'quota_exceeded',
+  'API key quota exceeded': 'key_quota_exceeded',
+  'API key expired': 'api_key_expired',
+  'Insufficient scope': 'insufficient_scope',
+};
+
+/**
+ * Every v1 response is { success, data | error, meta }. Handlers use sendData and
+ * sendError; bodies from shared middleware (API key auth, rate limiters) are
+ * rewrapped here so clients only ever see one shape.
+ */
+function envelope(req, res, next) {
+  req.requestId = crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body.success === 'boolean') {
+      res.locals.body = body;
+      return json(body);
+    }
+
+    const { error, message, ...details } = body || {};
+    const code = MIDDLEWARE_ERROR_CODES[error] || STATUS_ERROR_CODES[res.statusCode] || 'internal_error';
+
+    const wrapped = {
+      success: false,
+      error: {
+        code,
+        message: message || error || 'Request failed',
+        ...(Object.keys(details).length > 0 && { details }),
+      },
+      meta: { requestId: req.requestId },
+    };
+    res.locals.body = wrapped;
+    return json(wrapped);
+  };
+
+  next();
+}
+
+function sendData(res, data, meta = {}, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    meta: { requestId: res.req.requestId, ...meta },
+  });
+}
+
+function sendError(res, status, code, message, details) {
+  return res.status(status).json({
+    success: false,
+    error: { code, message, ...(details && { details }) },
+    meta: { requestId: res.req.requestId },
+  });
+}
+
+function sendValidationError(res, validationError) {
+  return sendError(res, 400, 'invalid_request', 'Invalid input', validationError.details[0].message);
+}
+
+function paginationMeta(result, limit) {
+  return {
+    pagination: {
+      page: result.page,
+      limit,
+      total: result.total,
+      totalPages: result.totalPages,
+    },
+  };
+}
+
+/**
+ * Honour an Idempotency-Key header: the first request with a key runs and its
+ * response is stored, retries with the same key and body get that response back
+ * (with Idempotent-Replayed: true) instead of running and counting again.
+ * Rate limit and server errors are not stored, so those can be retried.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'invalid_request', 'Idempotency-Key must be 1 to 255 printable ASCII characters');
+  }
+
+  try {
+    const claim = await claimIdempotencyKey(
+      req.user.apiKeyId,
+      key,
+      hashRequest(req.method, req.baseUrl + req.path, req.body)
+    );
+
+    if (claim.status === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(claim.statusCode).json(claim.response);
+    }
+
+    if (claim.status === 'in_progress') {
+      return sendError(res, 409, 'idempotency_key_in_use', 'A request with this Idempotency-Key is still being processed');
+    }
+
+    if (claim.status === 'mismatch') {
+      return sendError(res, 422, 'idempotency_key_reused', 'This Idempotency-Key was already used for a different request');
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 500 || res.statusCode === 429 || !res.locals.body) {
+        releaseIdempotencyKey(claim.id);
+      } else {
+        completeIdempotencyKey(claim.id, res.statusCode, res.locals.body);
+      }
+    });
+
+    next();
+
+  } catch (error) {
+    logger.error('Idempotency key error', { error: error.message, apiKeyId: req.user.apiKeyId });
+    sendError(res, 500, 'internal_error', 'Failed to process Idempotency-Key');
+  }
+}
+
+/**
+ * Conversation as returned by the API, without folders, pins and memory internals
+ */
+function formatConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    tags: conversation.tags || [],
+    sharedWithTeam: Boolean(conversation.team_id),
+    ...(conversation.readOnly !== undefined && { readOnly: conversation.readOnly }),
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at,
+    lastMessageAt: conversation.last_message_at,
+  };
+}
+
+function formatMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.content,
+    ...(message.role === 'assistant' && {
+      confidence: message.confidence_score,
+      confidenceLevel: message.confidence_level,
+      sources: message.sources || [],
+      claims: message.claims || [],
+      biases: message.biases || [],
+      controversies: message.controversies || [],
+      limitations: message.limitations,
+      factCheck: message.metadata?.factCheck || null,
+    }),
+    createdAt: message.created_at,
+  };
+}
+
+function formatSourceRating(entry) {
+  return {
+    domain: entry.domain,
+    score: entry.score,
+    quality: qualityFromScore(entry.score),
+    category: entry.category,
+    searchPriority: entry.search_priority,
+    notes: entry.notes,
+    updatedAt: entry.updated_at,
+  };
+}
+
+router.use(envelope);
+
+/**
+ * OpenAPI 3 description of this API (public)
+ */
+router.get('/openapi.json', (req, res) => {
+  res.type('application/json').send(JSON.stringify(openApiDocument));
+});
+
+// Everything else needs an API key
+router.use(authenticateApiKey);
+router.use(createApiKeyRateLimiter());
+
+const usageLimiter = createUsageRateLimiter();
+const keyQuotaLimiter = createApiKeyQuotaLimiter();
+
+/**
+ * Ask a question and get a cited, confidence-scored answer
+ */
+router.post('/ask', requireScope('chat'), idempotent, keyQuotaLimiter, usageLimiter, async (req, res) => {
+  try {
+    const { error: validationError, value } = askSchema.validate(req.body);
+
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const { success, ...result } = await answerQuestion({
+      question: value.question,
+      userId: req.user.id,
+      tier: req.user.tier,
+      conversationId: value.conversationId,
+      searchProvider: value.searchProvider,
+      teamId: req.user.teamId,
+      collectionIds: value.collectionIds,
+      mode: value.mode,
+      apiKeyId: req.user.apiKeyId,
+    });
+
+    if (!success) {
+      return sendError(res, 502, 'upstream_error', result.message || 'Failed to generate an answer', result.error);
+    }
+
+    sendData(res, result);
+
+  } catch (error) {
+    if (error.message === 'Conversation not found') {
+      return sendError(res, 404, 'not_found', 'Conversation not found');
+    }
+    logger.error('API ask error', { error: error.message, userId: req.user.id, apiKeyId: req.user.apiKeyId });
+    sendError(res, 500, 'internal_error', 'Failed to process question');
+  }
+});
+
+/**
+ * Check a claim against fact-checkers and primary sources
+ */
+router.post('/fact-check', requireScope('fact_check'), idempotent, keyQuotaLimiter, usageLimiter, async (req, res) => {
+  try {
+    const { error: validationError, value } = factCheckSchema.validate(req.body);
+
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const { success, ...result } = await runFactCheck({
+      claim: value.claim,
+      userId: req.user.id,
+      tier: req.user.tier,
+      conversationId: value.conversationId,
+      searchProvider: value.searchProvider,
+      teamId: req.user.teamId,
+      apiKeyId: req.user.apiKeyId,
+    });
+
+    if (!success) {
+      return sendError(res, 502, 'upstream_error', result.message || 'Failed to check claim', result.error);
+    }
+
+    sendData(res, result);
+
+  } catch (error) {
+    if (error.message === 'Conversation not found') {
+      return sendError(res, 404, 'not_found', 'Conversation not found');
+    }
+    logger.error('API fact-check error', { error: error.message, userId: req.user.id, apiKeyId: req.user.apiKeyId });
+    sendError(res, 500, 'internal_error', 'Failed to check claim');
+  }
+});
+
+/**
+ * List the key owner's conversations, or those shared into their team with ?scope=team
+ */
+router.get('/conversations', requireScope('read'), async (req, res) => {
+  try {
+    const { error: validationError, value } = listConversationsSchema.validate(req.query);
+
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    if (value.scope === 'team' && !req.user.teamId) {
+      return sendError(res, 403, 'forbidden', 'The API key owner is not in a team');
+    }
+
+    const result = await listConversations(req.user.id, value.page, value.limit, {
+      teamId: value.scope === 'team' ? req.user.teamId : null,
+    });
+
+    sendData(res, result.conversations.map(formatConversation), paginationMeta(result, value.limit));
+
+  } catch (error) {
+    logger.error('API list conversations error', { error: error.message, userId: req.user.id });
+    sendError(res, 500, 'internal_error', 'Failed to fetch conversations');
+  }
+});
+
+/**
+ * Get a conversation with its messages
+ */
+router.get('/conversations/:id', requireScope('read'), async (req, res) => {
+  try {
+    if (conversationIdSchema.validate(req.params.id).error) {
+      return sendError(res, 400, 'invalid_request', 'Conversation ID must be a UUID');
+    }
+
+    const conversation = await getConversation(req.params.id, req.user.id, { teamId: req.user.teamId });
+
+    if (!conversation) {
+      return sendError(res, 404, 'not_found', 'Conversation not found');
+    }
+
+    sendData(res, {
+      ...formatConversation(conversation),
+      messages: conversation.messages.map(formatMessage),
+    });
+
+  } catch (error) {
+    logger.error('API get conversation error', { error: error.message, userId: req.user.id });
+    sendError(res, 500, 'internal_error', 'Failed to fetch conversation');
+  }
+});
+
+/**
+ * List source reputation ratings, globally or the key owner's team overrides
+ */
+router.get('/sources', requireScope('read'), async (req, res) => {
+  try {
+    const { error: validationError, value } = listSourcesSchema.validate(req.query);
+
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    if (value.scope === 'team' && !req.user.teamId) {
+      return sendError(res, 403, 'forbidden', 'The API key owner is not in a team');
+    }
+
+    const result = await listDomainReputations({
+      teamId: value.scope === 'team' ? req.user.teamId : null,
+      search: value.search,
+      page: value.page,
+      limit: value.limit,
+    });
+
+    sendData(res, result.domains.map(formatSourceRating), paginationMeta(result, value.limit));
+
+  } catch (error) {
+    logger.error('API list sources error', { error: error.message, userId: req.user.id });
+    sendError(res, 500, 'internal_error', 'Failed to fetch sources');
+  }
+});
+
+/**
+ * Queries used and remaining this period (pooled across the team for team members),
+ * and this calendar month's queries made with the calling key against its own quota
+ */
+router.get('/usage', requireScope('read'), async (req, res) => {
+  try {
+    const period = apiKeyQuotaPeriod();
+    const [usage, keyQueries] = await Promise.all([
+      checkUsageLimit(req.user.id),
+      countApiKeyQueries(req.user.apiKeyId, period.start),
+    ]);
+
+    if (usage.error) {
+      throw new Error(usage.error);
+    }
+
+    const keyQuota = req.user.apiKeyQuota || null;
+
+    sendData(res, {
+      tier: req.user.tier,
+      used: usage.used,
+      limit: usage.limit,
+      remaining: usage.remaining,
+      resetDate: usage.resetDate || null,
+      pooled: usage.pooled,
+      apiKey: {
+        id: req.user.apiKeyId,
+        name: req.user.apiKeyName,
+        scopes: req.user.apiKeyScopes,
+        rateLimitPerMinute: req.user.apiKeyRateLimit,
+        used: keyQueries,
+        limit: keyQuota,
+        remaining: keyQuota ? Math.max(0, keyQuota - keyQueries) : null,
+        resetDate: period.resetDate,
+      },
+    });
+
+  } catch (error) {
+    logger.error('API usage error', { error: error.message, userId: req.user.id });
+    sendError(res, 500, 'internal_error', 'Failed to fetch usage');
+  }
+});
+
+// Unknown v1 paths answer in the envelope rather than the server's plain 404
+router.use((req, res) => {
+  sendError(res, 404, 'not_found', 'Route not found');
+});
+
+export default router;
@@ -0,0 +1,516 @@
+/**
+ * OpenAPI 3 description of the public v1 API, served at GET /api/v1/openapi.json.
+ * Keep it in step with routes/v1/index.js when endpoints or fields change.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Success body: the envelope around a data payload
+const envelopeOf = (data, { paginated = false } = {}) => ({
+  type: 'object',
+  required: ['success', 'data', 'meta'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data,
+    meta: paginated ? ref('PaginatedMeta') : ref('Meta'),
+  },
+});
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({
+  description,
+  content: jsonContent(ref('ErrorEnvelope')),
+});
+
+const commonErrors = {
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  429: { $ref: '#/components/responses/TooManyRequests' },
+  500: { $ref: '#/components/responses/InternalError' },
+};
+
+const idempotentErrors = {
+  409: errorResponse('A request with the same Idempotency-Key is still running (`idempotency_key_in_use`)'),
+  422: errorResponse('The Idempotency-Key was already used with a different body (`idempotency_key_reused`)'),
+};
+
+const replayedHeader = {
+  'Idempotent-Replayed': {
+    description: 'Present and `true` when this is the stored response of an earlier request with the same Idempotency-Key',
+    schema: { type: 'string', enum: ['true'] },
+  },
+};
+
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'honestGPT API',
+    version: '1.0.0',
+    description: [
+      'Answers with confidence scores, cited sources and fact-check verdicts for API key clients.',
+      '',
+      'Every response is a JSON envelope: `{ success: true, data, meta }` or',
+      '`{ success: false, error: { code, message, details }, meta }`. `meta.requestId`',
+      'matches the `X-Request-Id` header; quote it when reporting a problem.',
+      '',
+      'API access requires a Team subscription. Requests count against the same monthly',
+      'quota as the web app, and against the key\'s own monthly quota when it has one.',
+      'Each key has a requests-per-minute limit (60 unless set otherwise) and scopes:',
+      '`read` (conversations, sources, usage), `chat` (ask), `fact_check` (fact-check)',
+      'and `admin` (everything). Keys may expire; a rotated key\'s old secret keeps working',
+      'for a grace period, and responses to it carry an `X-API-Key-Expires` header.',
+    ].join('\n'),
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ ApiKeyAuth: [] }],
+  tags: [
+    { name: 'Answers', description: 'Ask questions and check claims' },
+    { name: 'Conversations', description: 'Read saved conversations' },
+    { name: 'Sources', description: 'Source reputation ratings' },
+    { name: 'Account', description: 'Usage and quota' },
+  ],
+  paths: {
+    '/ask': {
+      post: {
+        tags: ['Answers'],
+        operationId: 'ask',
+        summary: 'Ask a question',
+        description: 'Searches the web (and any knowledge base collections), then answers with citations and a confidence score. The question and answer are saved to a conversation. Requires the `chat` scope.',
+        parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+        requestBody: {
+          required: true,
+          content: jsonContent(ref('AskRequest')),
+        },
+        responses: {
+          200: {
+            description: 'The answer',
+            headers: replayedHeader,
+            content: jsonContent(envelopeOf(ref('Answer'))),
+          },
+          400: { $ref: '#/components/responses/InvalidRequest' },
+          404: errorResponse('`conversationId` is not one of the key owner\'s conversations; team-shared ones are read-only (`not_found`)'),
+          ...idempotentErrors,
+          502: errorResponse('The model or search provider failed (`upstream_error`)'),
+          ...commonErrors,
+        },
+      },
+    },
+    '/fact-check': {
+      post: {
+        tags: ['Answers'],
+        operationId: 'factCheck',
+        summary: 'Fact-check a claim',
+        description: 'Looks for published fact-checks and primary sources and combines them into a verdict. The claim and verdict are saved to a conversation. Requires the `fact_check` scope.',
+        parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+        requestBody: {
+          required: true,
+          content: jsonContent(ref('FactCheckRequest')),
+        },
+        responses: {
+          200: {
+            description: 'The verdict card',
+            headers: replayedHeader,
+            content: jsonContent(envelopeOf(ref('FactCheckResult'))),
+          },
+          400: { $ref: '#/components/responses/InvalidRequest' },
+          404: errorResponse('`conversationId` is not one of the key owner\'s conversations; team-shared ones are read-only (`not_found`)'),
+          ...idempotentErrors,
+          502: errorResponse('The model or search provider failed (`upstream_error`)'),
+          ...commonErrors,
+        },
+      },
+    },
+    '/conversations': {
+      get: {
+        tags: ['Conversations'],
+        operationId: 'listConversations',
+        summary: 'List conversations',
+        description: 'Most recently active first. Requires the `read` scope.',
+        parameters: [
+          { $ref: '#/components/parameters/Page' },
+          { $ref: '#/components/parameters/Limit' },
+          {
+            name: 'scope',
+            in: 'query',
+            description: '`team` lists conversations members have shared with the team',
+            schema: { type: 'string', enum: ['mine', 'team'], default: 'mine' },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'A page of conversations',
+            content: jsonContent(envelopeOf({ type: 'array', items: ref('Conversation') }, { paginated: true })),
+          },
+          400: { $ref: '#/components/responses/InvalidRequest' },
+          ...commonErrors,
+        },
+      },
+    },
+    '/conversations/{id}': {
+      get: {
+        tags: ['Conversations'],
+        operationId: 'getConversation',
+        summary: 'Get a conversation with its messages',
+        description: 'Conversations shared with the key owner\'s team can be read too; they come back with `readOnly: true`. Requires the `read` scope.',
+        parameters: [{
+          name: 'id',
+          in: 'path',
+          required: true,
+          schema: { type: 'string', format: 'uuid' },
+        }],
+        responses: {
+          200: {
+            description: 'The conversation',
+            content: jsonContent(envelopeOf(ref('ConversationWithMessages'))),
+          },
+          400: { $ref: '#/components/responses/InvalidRequest' },
+          404: errorResponse('No such conversation, or it belongs to someone else (`not_found`)'),
+          ...commonErrors,
+        },
+      },
+    },
+    '/sources': {
+      get: {
+        tags: ['Sources'],
+        operationId: 'listSources',
+        summary: 'List source reputation ratings',
+        description: 'The domain ratings used to weigh sources, alphabetically. Requires the `read` scope.',
+        parameters: [
+          { $ref: '#/components/parameters/Page' },
+          { $ref: '#/components/parameters/Limit' },
+          {
+            name: 'search',
+            in: 'query',
+            description: 'Only domains containing this text',
+            schema: { type: 'string', maxLength: 255 },
+          },
+          {
+            name: 'scope',
+            in: 'query',
+            description: '`team` lists the team\'s own overrides instead of the global registry',
+            schema: { type: 'string', enum: ['global', 'team'], default: 'global' },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'A page of ratings',
+            content: jsonContent(envelopeOf({ type: 'array', items: ref('SourceRating') }, { paginated: true })),
+          },
+          400: { $ref: '#/components/responses/InvalidRequest' },
+          ...commonErrors,
+        },
+      },
+    },
+    '/usage': {
+      get: {
+        tags: ['Account'],
+        operationId: 'getUsage',
+        summary: 'Get usage for the current period',
+        description: 'The account\'s (or team\'s) quota, and the calling key\'s queries this calendar month. Requires the `read` scope.',
+        responses: {
+          200: {
+            description: 'Queries used and remaining',
+            content: jsonContent(envelopeOf(ref('Usage'))),
+          },
+          ...commonErrors,
+        },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Account'],
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        security: [],
+        responses: {
+          200: {
+            description: 'OpenAPI 3 document',
+            content: jsonContent({ type: 'object' }),
+          },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'x-api-key',
+        description: 'Create keys under Settings → API keys',
+      },
+    },
+    parameters: {
+      IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        description: 'Any unique string (a UUID works well). Retrying with the same key and body within 24 hours returns the first response instead of running and counting the request again.',
+        schema: { type: 'string', minLength: 1, maxLength: 255 },
+      },
+      Page: {
+        name: 'page',
+        in: 'query',
+        schema: { type: 'integer', minimum: 1, default: 1 },
+      },
+      Limit: {
+        name: 'limit',
+        in: 'query',
+        schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      },
+    },
+    responses: {
+      InvalidRequest: errorResponse('The request failed validation (`invalid_request`)'),
+      Unauthorized: errorResponse('No API key was sent (`unauthorized`)'),
+      Forbidden: errorResponse('The key is invalid or inactive (`forbidden`) or expired (`api_key_expired`), lacks the scope (`insufficient_scope`), or its owner is not on the Team plan (`forbidden`)'),
+      TooManyRequests: {
+        description: 'Too many requests this minute (`rate_limited`), or the monthly quota (`quota_exceeded`) or the key\'s own monthly quota (`key_quota_exceeded`) is used up',
+        headers: {
+          'Retry-After': {
+            description: 'Seconds to wait before retrying (per-minute limit only)',
+            schema: { type: 'integer' },
+          },
+        },
+        content: jsonContent(ref('ErrorEnvelope')),
+      },
+      InternalError: errorResponse('Something went wrong on our side (`internal_error`); retrying is safe'),
+    },
+    schemas: {
+      Meta: {
+        type: 'object',
+        required: ['requestId'],
+        properties: {
+          requestId: { type: 'string', format: 'uuid' },
+        },
+      },
+      PaginatedMeta: {
+        type: 'object',
+        required: ['requestId', 'pagination'],
+        properties: {
+          requestId: { type: 'string', format: 'uuid' },
+          pagination: ref('Pagination'),
+        },
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          totalPages: { type: 'integer' },
+        },
+      },
+      ErrorEnvelope: {
+        type: 'object',
+        required: ['success', 'error', 'meta'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: {
+                type: 'string',
+                enum: [
+                  'invalid_request',
+                  'unauthorized',
+                  'forbidden',
+                  'not_found',
+                  'idempotency_key_in_use',
+                  'idempotency_key_reused',
+                  'rate_limited',
+                  'quota_exceeded',
+                  'upstream_error',
+                  'internal_error',
+                ],
+              },
+              message: { type: 'string' },
+              details: {
+                description: 'Extra context, such as the failing field or current usage',
+              },
+            },
+          },
+          meta: ref('Meta'),
+        },
+      },
+      AskRequest: {
+        type: 'object',
+        required: ['question'],
+        properties: {
+          question: { type: 'string', minLength: 1, maxLength: 4000 },
+          conversationId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Continue this conversation; its earlier turns are used as context',
+          },
+          searchProvider: { type: 'string', description: 'One of the providers enabled on the server' },
+          collectionIds: {
+            type: 'array',
+            maxItems: 20,
+            items: { type: 'string', format: 'uuid' },
+            description: 'Knowledge base collections to search alongside the web',
+          },
+          mode: { type: 'string', enum: ['standard', 'research'], default: 'standard' },
+        },
+      },
+      FactCheckRequest: {
+        type: 'object',
+        required: ['claim'],
+        properties: {
+          claim: { type: 'string', minLength: 3, maxLength: 1000 },
+          conversationId: { type: 'string', format: 'uuid', nullable: true },
+          searchProvider: { type: 'string' },
+        },
+      },
+      Source: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string' },
+          domain: { type: 'string' },
+          snippet: { type: 'string' },
+          quality: { type: 'string', enum: ['high', 'medium', 'limited'] },
+          type: { type: 'string' },
+          publishedDate: { type: 'string', nullable: true },
+          citation: { type: 'integer', description: 'The [n] marker used in the answer' },
+        },
+        additionalProperties: true,
+      },
+      Answer: {
+        type: 'object',
+        properties: {
+          conversationId: { type: 'string', format: 'uuid' },
+          messageId: { type: 'string', format: 'uuid' },
+          title: { type: 'string', description: 'Set when a new conversation was started' },
+          response: {
+            type: 'object',
+            properties: {
+              confidence: { type: 'integer', minimum: 0, maximum: 100 },
+              confidenceLevel: { type: 'string' },
+              mainResponse: { type: 'string' },
+              shortResponse: { type: 'string' },
+              sources: { type: 'array', items: ref('Source') },
+              factors: { type: 'object', additionalProperties: true },
+              biases: { type: 'array', items: { type: 'string' } },
+              controversies: { type: 'array', items: { type: 'string' } },
+              limitations: { type: 'string' },
+              claims: { type: 'array', items: { type: 'object', additionalProperties: true } },
+            },
+          },
+          metadata: { type: 'object', additionalProperties: true },
+        },
+      },
+      FactCheckResult: {
+        type: 'object',
+        properties: {
+          conversationId: { type: 'string', format: 'uuid' },
+          messageId: { type: 'string', format: 'uuid' },
+          title: { type: 'string' },
+          sources: { type: 'array', items: ref('Source') },
+          factCheck: {
+            type: 'object',
+            properties: {
+              claim: { type: 'string' },
+              statement: { type: 'string' },
+              verdict: {
+                type: 'object',
+                properties: {
+                  rating: { type: 'string' },
+                  basis: { type: 'string', enum: ['fact_checkers', 'primary_sources', 'none'] },
+                  label: { type: 'string' },
+                },
+                additionalProperties: true,
+              },
+              summary: { type: 'string' },
+              reviews: { type: 'array', items: { type: 'object', additionalProperties: true } },
+              factCheckArticles: { type: 'array', items: ref('Source') },
+              primarySources: { type: 'array', items: ref('Source') },
+              evidence: { type: 'object', additionalProperties: true },
+            },
+            additionalProperties: true,
+          },
+        },
+      },
+      Conversation: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          title: { type: 'string', nullable: true },
+          tags: { type: 'array', items: { type: 'string' } },
+          sharedWithTeam: { type: 'boolean' },
+          readOnly: { type: 'boolean', description: 'Shared by another team member' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          lastMessageAt: { type: 'string', format: 'date-time', nullable: true },
+        },
+      },
+      Message: {
+        type: 'object',
+        description: 'Answer fields are only present on assistant messages',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          role: { type: 'string', enum: ['user', 'assistant'] },
+          content: { type: 'string' },
+          confidence: { type: 'integer', nullable: true },
+          confidenceLevel: { type: 'string', nullable: true },
+          sources: { type: 'array', items: ref('Source') },
+          claims: { type: 'array', items: { type: 'object', additionalProperties: true } },
+          biases: { type: 'array', items: { type: 'string' } },
+          controversies: { type: 'array', items: { type: 'string' } },
+          limitations: { type: 'string', nullable: true },
+          factCheck: { type: 'object', nullable: true, additionalProperties: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ConversationWithMessages: {
+        allOf: [
+          ref('Conversation'),
+          {
+            type: 'object',
+            properties: {
+              messages: { type: 'array', items: ref('Message') },
+            },
+          },
+        ],
+      },
+      SourceRating: {
+        type: 'object',
+        properties: {
+          domain: { type: 'string' },
+          score: { type: 'integer', minimum: 0, maximum: 100 },
+          quality: { type: 'string', enum: ['high', 'medium', 'limited'] },
+          category: { type: 'string' },
+          searchPriority: { type: 'integer', nullable: true },
+          notes: { type: 'string', nullable: true },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      Usage: {
+        type: 'object',
+        properties: {
+          tier: { type: 'string', enum: ['free', 'pro', 'team'] },
+          used: { type: 'integer' },
+          limit: { type: 'integer' },
+          remaining: { type: 'integer' },
+          resetDate: { type: 'string', format: 'date-time', nullable: true },
+          pooled: { type: 'boolean', description: 'The quota is shared by the whole team' },
+          apiKey: {
+            type: 'object',
+            description: 'The calling key; its quota runs per calendar month (UTC)',
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              name: { type: 'string' },
+              scopes: { type: 'array', items: { type: 'string', enum: ['read', 'chat', 'fact_check', 'admin'] } },
+              rateLimitPerMinute: { type: 'integer' },
+              used: { type: 'integer' },
+              limit: { type: 'integer', nullable: true, description: 'Null when the key has no quota of its own' },
+              remaining: { type: 'integer', nullable: true },
+              resetDate: { type: 'string', format: 'date-time' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,242 @@
+import express from 'express';
+import Joi from 'joi';
+import winston from 'winston';
+import { authenticateToken, requireTier } from '../middleware/auth.js';
+import {
+  WEBHOOK_EVENTS,
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  listDeliveries,
+  sendTestEvent,
+  redeliver,
+} from '../services/webhookService.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'webhook-routes' },
+});
+
+// Validation schemas
+const url = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048);
+const events = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+
+const createEndpointSchema = Joi.object({
+  url: url.required(),
+  description: Joi.string().trim().max(255).allow('', null).optional(),
+  events: events.required(),
+  scope: Joi.string().valid('personal', 'team').default('personal'),
+});
+
+const updateEndpointSchema = Joi.object({
+  url,
+  description: Joi.string().trim().max(255).allow('', null),
+  events,
+  isActive: Joi.boolean(),
+}).min(1);
+
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Errors from webhookService that are the caller's fault, with their status codes
+const WEBHOOK_ERROR_STATUS = {
+  'Webhook not found': 404,
+  'Delivery not found': 404,
+  'Invalid webhook URL': 400,
+  'Too many webhook endpoints': 409,
+  'Insufficient permissions': 403,
+};
+
+function sendWebhookError(res, error, logMessage, failureMessage) {
+  const status = WEBHOOK_ERROR_STATUS[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  logger.error(logMessage, { error: error.message });
+  res.status(500).json({ error: failureMessage });
+}
+
+// Webhooks are a Team tier feature
+router.use(authenticateToken, requireTier(['team']));
+
+/**
+ * List the user's endpoints, and their team's when they may manage them
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await listEndpoints(req.user);
+
+    res.json({
+      success: true,
+      endpoints,
+      events: WEBHOOK_EVENTS,
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'List webhooks error', 'Failed to fetch webhooks');
+  }
+});
+
+/**
+ * Register an endpoint. The signing secret is only shown in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error: validationError, value } = createEndpointSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const { endpoint, secret } = await createEndpoint(req.user, value);
+
+    res.status(201).json({
+      success: true,
+      endpoint,
+      secret,
+      message: 'Store this signing secret now; it will not be shown again',
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Create webhook error', 'Failed to create webhook');
+  }
+});
+
+/**
+ * Change an endpoint's URL, description, events or pause it
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { error: validationError, value } = updateEndpointSchema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const endpoint = await updateEndpoint(req.params.id, req.user, value);
+
+    res.json({
+      success: true,
+      endpoint,
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Update webhook error', 'Failed to update webhook');
+  }
+});
+
+/**
+ * Delete an endpoint and its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteEndpoint(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Delete webhook error', 'Failed to delete webhook');
+  }
+});
+
+/**
+ * Replace the signing secret
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const secret = await rotateSecret(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      secret,
+      message: 'Store this signing secret now; it will not be shown again',
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Rotate webhook secret error', 'Failed to rotate webhook secret');
+  }
+});
+
+/**
+ * Send a webhook.test event and report how the endpoint answered
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      delivery,
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Test webhook error', 'Failed to send test event');
+  }
+});
+
+/**
+ * An endpoint's delivery log, newest first
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { error: validationError, value } = paginationSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: validationError.details[0].message,
+      });
+    }
+
+    const { deliveries, total, page, totalPages } = await listDeliveries(req.params.id, req.user, value);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        page,
+        limit: value.limit,
+        total,
+        totalPages,
+      },
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'List webhook deliveries error', 'Failed to fetch deliveries');
+  }
+});
+
+/**
+ * Send a logged delivery again now
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId, req.user);
+
+    res.json({
+      success: true,
+      delivery,
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Redeliver webhook error', 'Failed to redeliver webhook');
+  }
+});
+
+export default router;
@@ -0,0 +1,100 @@
+// Environment must load before the services create their clients
+import 'dotenv/config';
+import { writeFile } from 'fs/promises';
+import {
+  CONFIDENCE_FACTORS,
+  getActiveCalibration,
+  loadFeedbackSamples,
+  fitCalibration,
+  saveCalibration,
+} from '../services/calibrationService.js';
+
+/**
+ * Fit confidence weights, mapping and level thresholds from user feedback.
+ *
+ * Usage: node scripts/calibrate-confidence.js [--min-samples=50] [--bins=10]
+ *          [--dry-run] [--activate] [--notes="..."] [--report=calibration.json]
+ *
+ * --dry-run   fit and report without saving a new version
+ * --activate  apply the new version to answers immediately
+ * --report    also write the full fit, including calibration curves, as JSON
+ */
+const USAGE = 'Usage: node scripts/calibrate-confidence.js [--min-samples=N] [--bins=N] [--dry-run] [--activate] [--notes=TEXT] [--report=FILE]';
+
+function parseArgs(argv) {
+  const options = { minSamples: 50, bins: 10, dryRun: false, activate: false, notes: null, report: null };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--min-samples': options.minSamples = parseInt(value); break;
+      case '--bins': options.bins = parseInt(value); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--activate': options.activate = true; break;
+      case '--notes': options.notes = value; break;
+      case '--report': options.report = value; break;
+      default: throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+
+  if (!(options.minSamples > 0) || !(options.bins > 1)) {
+    throw new Error(USAGE);
+  }
+
+  return options;
+}
+
+function percent(value) {
+  return value === null ? '   -' : `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+function printEvaluation(label, evaluation) {
+  console.log(`\n${label}: ECE ${percent(evaluation.ece)}, Brier ${evaluation.brier.toFixed(4)}, accuracy ${percent(evaluation.accuracy)}`);
+  console.log('  Level    Answers  Correct');
+  for (const [level, stats] of Object.entries(evaluation.levels)) {
+    console.log(`  ${level.padEnd(8)} ${String(stats.count).padStart(7)}  ${percent(stats.accuracy)}`);
+  }
+  console.log('  Confidence bin   Answers  Mean confidence  Correct');
+  for (const bin of evaluation.curve) {
+    const range = `${Math.round(bin.from * 100)}-${Math.round(bin.to * 100)}%`;
+    console.log(`  ${range.padEnd(16)} ${String(bin.count).padStart(7)}  ${percent(bin.meanConfidence).padStart(15)}  ${percent(bin.accuracy)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const [samples, baseline] = await Promise.all([
+    loadFeedbackSamples(),
+    getActiveCalibration(),
+  ]);
+  console.log(`Loaded ${samples.length} rated answers; current calibration is version ${baseline.version}`);
+
+  const fit = fitCalibration(samples, { baseline, minSamples: options.minSamples, bins: options.bins });
+
+  console.log(`\nEvaluated on ${fit.metrics.evaluatedOn} set (${fit.metrics.testSize} answers, trained on ${fit.metrics.trainSize})`);
+  console.log('Weights:', CONFIDENCE_FACTORS.map(factor => `${factor} ${Math.round(fit.weights[factor] * 100)}%`).join(', '));
+  console.log(`Mapping: confidence = sigmoid(${fit.mapping.slope} * weighted score + ${fit.mapping.intercept})`);
+  console.log(`Thresholds: high >= ${fit.thresholds.high}, medium >= ${fit.thresholds.medium}`);
+
+  printEvaluation(`Current (version ${baseline.version})`, fit.metrics.baseline);
+  printEvaluation('Fitted', fit.metrics.calibrated);
+
+  if (options.report) {
+    await writeFile(options.report, JSON.stringify(fit, null, 2));
+    console.log(`\nReport written to ${options.report}`);
+  }
+
+  if (options.dryRun) {
+    console.log('\nDry run: calibration not saved');
+    return;
+  }
+
+  const saved = await saveCalibration(fit, { activate: options.activate, notes: options.notes });
+  console.log(`\nSaved calibration version ${saved.version}${options.activate ? ' and activated it' : '; activate it from the admin API when ready'}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+// Environment must load before the services create their clients
+import 'dotenv/config';
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Run the ground-truth evaluation dataset through the answer pipeline.
+ *
+ * Usage: node scripts/evaluate.js [--dataset=fixtures/evaluation/core.json]
+ *          [--out=report.json] [--html=report.html] [--baseline=main.json]
+ *          [--model=mock:mock] [--search-provider=fixture] [--record]
+ *          [--fixtures-dir=DIR] [--tags=a,b] [--limit=N] [--pass-threshold=0.75] [--bins=10]
+ *
+ * --record     search with the live provider (SEARCH_PROVIDER unless --search-provider
+ *              is given) and save its results as fixtures for later offline runs
+ * --baseline   compare against a report from another branch or commit
+ *
+ * Exits with status 2 when any case errors so CI can tell a broken run from a worse one.
+ */
+const USAGE = 'Usage: node scripts/evaluate.js [--dataset=FILE] [--out=FILE] [--html=FILE] [--baseline=FILE] [--model=PROVIDER:MODEL] [--search-provider=NAME] [--record] [--fixtures-dir=DIR] [--tags=A,B] [--limit=N] [--pass-threshold=N] [--bins=N]';
+
+const DEFAULT_DATASET = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../fixtures/evaluation/core.json'
+);
+
+function parseArgs(argv) {
+  const options = {
+    dataset: DEFAULT_DATASET,
+    out: null,
+    html: null,
+    baseline: null,
+    model: 'mock:mock',
+    searchProvider: null,
+    record: false,
+    fixturesDir: null,
+    tags: null,
+    limit: null,
+    passThreshold: 0.75,
+    bins: 10,
+  };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--dataset': options.dataset = value; break;
+      case '--out': options.out = value; break;
+      case '--html': options.html = value; break;
+      case '--baseline': options.baseline = value; break;
+      case '--model': options.model = value; break;
+      case '--search-provider': options.searchProvider = value; break;
+      case '--record': options.record = true; break;
+      case '--fixtures-dir': options.fixturesDir = value; break;
+      case '--tags': options.tags = value.split(',').map(tag => tag.trim()).filter(Boolean); break;
+      case '--limit': options.limit = parseInt(value); break;
+      case '--pass-threshold': options.passThreshold = parseFloat(value); break;
+      case '--bins': options.bins = parseInt(value); break;
+      default: throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+
+  if (!options.dataset || !options.model || !(options.bins > 1) ||
+      !(options.passThreshold > 0 && options.passThreshold <= 1) ||
+      (options.limit !== null && !(options.limit > 0))) {
+    throw new Error(USAGE);
+  }
+
+  if (options.record && options.searchProvider === 'fixture') {
+    throw new Error('--record needs a live search provider');
+  }
+
+  options.searchProvider = options.searchProvider ||
+    (options.record ? process.env.SEARCH_PROVIDER || 'google' : 'fixture');
+
+  return options;
+}
+
+function percent(value) {
+  return value === null || value === undefined ? '     -' : `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+function signed(value) {
+  return value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+}
+
+function describeOutcome(outcome) {
+  if (outcome === 'error') return 'error';
+  return outcome ? 'correct' : 'incorrect';
+}
+
+function printSummary(report) {
+  const { summary } = report;
+  console.log(`\n${summary.cases} cases, ${summary.errors} errors, mean latency ${summary.latencyMs.mean}ms`);
+  console.log(`  Accuracy                 ${percent(summary.accuracy.rate)}  (mean score ${percent(summary.accuracy.meanScore)})`);
+  console.log(`  Citation precision       ${percent(summary.citations.precision)}`);
+  console.log(`  Citation marker validity ${percent(summary.citations.markerValidity)}`);
+  console.log(`  Expected sources cited   ${percent(summary.citations.expectedSourceRecall)}`);
+  console.log(`  Uncited claims           ${percent(summary.citations.uncitedClaimRate)}`);
+  console.log(`  Confidence in band       ${percent(summary.calibration.bandAccuracy)}`);
+  console.log(`  Calibration ECE          ${percent(summary.calibration.ece)}  Brier ${summary.calibration.brier ?? '-'}`);
+
+  if (report.comparison) {
+    const { baseline, metrics, changedCases } = report.comparison;
+    const label = baseline.git ? `${baseline.git.branch}@${baseline.git.commit}` : baseline.startedAt;
+    console.log(`\nCompared with ${label}:`);
+    for (const [name, metric] of Object.entries(metrics)) {
+      console.log(`  ${name.padEnd(32)} ${String(metric.baseline ?? '-').padStart(8)} -> ${String(metric.current ?? '-').padStart(8)}  (${signed(metric.delta)})`);
+    }
+    for (const entry of changedCases) {
+      console.log(`  ${entry.id}: ${describeOutcome(entry.before)} -> ${describeOutcome(entry.after)}`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Providers read these when first used, so they are set before the pipeline loads
+  if (options.fixturesDir) {
+    process.env.SEARCH_FIXTURES_DIR = path.resolve(options.fixturesDir);
+  }
+  if (options.record) {
+    process.env.SEARCH_RECORD_FIXTURES = 'true';
+  } else if (options.searchProvider === 'fixture') {
+    // Fixtures only hold search results, so replayed runs use snippets rather than live pages
+    process.env.PAGE_FETCH_ENABLED = 'false';
+  }
+
+  const { loadDataset, runEvaluation, renderHtmlReport } = await import('../services/evaluation/index.js');
+
+  const dataset = await loadDataset(options.dataset);
+  const baseline = options.baseline ? JSON.parse(await readFile(options.baseline, 'utf8')) : null;
+
+  console.log(`Evaluating ${dataset.name} v${dataset.version} with model ${options.model}, search ${options.searchProvider}${options.record ? ' (recording fixtures)' : ''}`);
+
+  const report = await runEvaluation(dataset, {
+    searchProvider: options.searchProvider,
+    model: options.model,
+    tags: options.tags,
+    limit: options.limit,
+    passThreshold: options.passThreshold,
+    bins: options.bins,
+    baseline,
+    onCase: (result) => {
+      const outcome = result.error
+        ? `error: ${result.error}`
+        : `${result.scores.accuracy.correct ? 'correct' : 'incorrect'}, confidence ${result.answer.confidence}% ${result.answer.confidenceLevel}`;
+      console.log(`  ${result.id}: ${outcome}`);
+    },
+  });
+
+  printSummary(report);
+
+  if (options.out) {
+    await writeFile(options.out, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${options.out}`);
+  }
+  if (options.html) {
+    await writeFile(options.html, renderHtmlReport(report));
+    console.log(`HTML report written to ${options.html}`);
+  }
+
+  if (report.summary.errors > 0) {
+    process.exitCode = 2;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
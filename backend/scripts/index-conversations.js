@@ -0,0 +1,49 @@
+// Environment must load before the services create their clients
+import 'dotenv/config';
+import { backfillMessageEmbeddings, isSemanticSearchEnabled } from '../services/conversationSearchService.js';
+import { getDefaultEmbeddingProviderName } from '../services/embeddingProviders/index.js';
+
+/**
+ * Embed saved messages for semantic conversation search. New messages are
+ * embedded as they are saved; run this once after enabling semantic search and
+ * again after changing EMBEDDING_PROVIDER.
+ *
+ * Usage: node scripts/index-conversations.js [--batch-size=100] [--limit=N]
+ */
+const USAGE = 'Usage: node scripts/index-conversations.js [--batch-size=N] [--limit=N]';
+
+function parseArgs(argv) {
+  const options = { batchSize: 100, limit: Infinity };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--batch-size': options.batchSize = parseInt(value); break;
+      case '--limit': options.limit = parseInt(value); break;
+      default: throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+
+  if (!(options.batchSize > 0) || !(options.limit > 0)) {
+    throw new Error(USAGE);
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!isSemanticSearchEnabled()) {
+    throw new Error('Semantic search is off (CONVERSATION_SEARCH_SEMANTIC=off); nothing to index');
+  }
+
+  console.log(`Embedding messages with the ${getDefaultEmbeddingProviderName()} provider`);
+  const { scanned, indexed } = await backfillMessageEmbeddings(options);
+  console.log(`Scanned ${scanned} messages, embedded ${indexed}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
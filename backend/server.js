@@ -13,6 +13,13 @@ import authRoutes from './routes/auth.js';
 import chatRoutes from './routes/chat.js';
 import userRoutes from './routes/user.js';
 import paymentRoutes from './routes/payment.js';
+import adminRoutes from './routes/admin.js';
+import teamRoutes from './routes/team.js';
+import knowledgeRoutes from './routes/knowledge.js';
+import shareRoutes from './routes/share.js';
+import v1Routes from './routes/v1/index.js';
+import webhookRoutes from './routes/webhooks.js';
+import { startWebhookWorker } from './services/webhookService.js';
 
 // Load environment variables
 dotenv.config();
@@ -89,6 +96,12 @@ app.use('/api/auth', publicLimiter, authRoutes);
 app.use('/api/chat', chatRoutes); // Has its own rate limiting based on tier
 app.use('/api/user', userRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/knowledge', knowledgeRoutes);
+app.use('/api/share', shareRoutes); // Public snapshot reads plus owner-only link management
+app.use('/api/v1', v1Routes); // Public API for API key clients, with its own envelope and rate limiting
+app.use('/api/webhooks', webhookRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -136,6 +149,9 @@ app.listen(PORT, () => {
   if (missing.length > 0) {
     logger.warn(`Missing environment variables: ${missing.join(', ')}`);
   }
+
+  // Retry webhook deliveries that failed or were cut off by a restart
+  startWebhookWorker();
 });
 
 // Graceful shutdown
@@ -0,0 +1,166 @@
+import winston from 'winston';
+import { embedTexts, cosineSimilarity } from './embeddingProviders/index.js';
+import { classifyPairs } from './nliProviders/index.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'agreement-service' },
+});
+
+// Sources compared, and the most related pairs among them sent to the NLI provider
+const MAX_SOURCES = 8;
+const MAX_NLI_PAIRS = 15;
+
+const STANCE_TEXT_CHARS = 600;
+const EXCERPT_CHARS = 240;
+
+/**
+ * Measure how much the sources agree with each other on the question.
+ *
+ * Each source's most relevant text is embedded, the most closely related pairs are
+ * checked for entailment or contradiction, and sources that entail each other are
+ * grouped into stances.
+ *
+ * @param {Array} searchResults - Processed search results
+ * @param {string} question - The user's question
+ * @param {Object} options - Passed to the NLI provider (tier, signal)
+ * @returns {Object} Agreement score and details, contradicting source pairs and stance groups
+ */
+export async function analyzeSourceAgreement(searchResults, question, options = {}) {
+  const sources = (searchResults || [])
+    .slice(0, MAX_SOURCES)
+    .map(result => ({ result, text: getStanceText(result) }))
+    .filter(source => source.text);
+
+  if (sources.length < 2) {
+    return {
+      score: 50,
+      details: 'Insufficient sources for consensus analysis',
+      contradictions: [],
+      stances: [],
+    };
+  }
+
+  const { vectors, provider: embeddingProvider } = await embedTexts([
+    question,
+    ...sources.map(source => source.text),
+  ]);
+  const [questionVector, ...sourceVectors] = vectors;
+
+  // Compare the most closely related pairs first; unrelated sources rarely disagree
+  const pairs = [];
+  for (let i = 0; i < sources.length - 1; i++) {
+    for (let j = i + 1; j < sources.length; j++) {
+      pairs.push({ i, j, similarity: cosineSimilarity(sourceVectors[i], sourceVectors[j]) });
+    }
+  }
+  pairs.sort((a, b) => b.similarity - a.similarity);
+  const compared = pairs.slice(0, MAX_NLI_PAIRS);
+
+  const { results, provider: nliProvider } = await classifyPairs(
+    compared.map(pair => ({ premise: sources[pair.i].text, hypothesis: sources[pair.j].text })),
+    options
+  );
+
+  // Group sources into stances: entailing sources share one, contradicting ones never merge
+  const parent = sources.map((source, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  const contradictionPairs = [];
+  let entailments = 0;
+
+  compared.forEach((pair, index) => {
+    const { label, score } = results[index];
+    if (label === 'entailment') {
+      entailments++;
+      parent[find(pair.i)] = find(pair.j);
+    } else if (label === 'contradiction') {
+      contradictionPairs.push({ ...pair, score });
+    }
+  });
+
+  const groups = new Map();
+  sources.forEach((source, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), index]);
+  });
+
+  const stances = [...groups.values()]
+    .map(members => {
+      // The member closest to the question represents the stance
+      const representative = members.reduce((best, index) =>
+        cosineSimilarity(questionVector, sourceVectors[index]) >
+        cosineSimilarity(questionVector, sourceVectors[best]) ? index : best
+      );
+      return {
+        size: members.length,
+        sources: members.map(index => describeSource(sources[index].result)),
+        summary: excerpt(sources[representative].text),
+      };
+    })
+    .sort((a, b) => b.size - a.size);
+
+  const contradictions = contradictionPairs.map(pair => ({
+    sources: [describeSource(sources[pair.i].result), describeSource(sources[pair.j].result)],
+    excerpts: [excerpt(sources[pair.i].text), excerpt(sources[pair.j].text)],
+    confidence: Math.round(pair.score * 100),
+  }));
+
+  // Balance of supporting vs contradicting pairs, and how dominant the largest stance is
+  const pairScore = 50 + 50 * (entailments - contradictions.length) / compared.length;
+  const majorityShare = stances[0].size / sources.length;
+  const score = Math.round(Math.max(0, Math.min(100, pairScore * 0.6 + majorityShare * 100 * 0.4)));
+
+  logger.info('Source agreement analyzed', {
+    question: question.substring(0, 50),
+    sources: sources.length,
+    pairs: compared.length,
+    entailments,
+    contradictions: contradictions.length,
+    embeddingProvider,
+    nliProvider,
+  });
+
+  return {
+    score,
+    details: contradictions.length > 0
+      ? `Found ${contradictions.length} contradicting source pair${contradictions.length === 1 ? '' : 's'} across ${stances.length} positions`
+      : `Sources show general agreement (${entailments} of ${compared.length} compared pairs support each other)`,
+    contradictions,
+    stances,
+    method: { embeddings: embeddingProvider, nli: nliProvider },
+  };
+}
+
+/**
+ * The text that best represents a source's position: its most relevant
+ * fetched passage when available, otherwise the search snippet
+ */
+function getStanceText(result) {
+  const text = result.passages?.[0]?.text || result.snippet || '';
+  return text.substring(0, STANCE_TEXT_CHARS).trim();
+}
+
+function describeSource(result) {
+  return {
+    title: result.title,
+    url: result.link,
+    domain: result.domain,
+  };
+}
+
+/**
+ * Shorten text at a sentence or word boundary
+ */
+function excerpt(text) {
+  if (text.length <= EXCERPT_CHARS) {
+    return text;
+  }
+
+  const cut = text.substring(0, EXCERPT_CHARS);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  return sentenceEnd > EXCERPT_CHARS / 2
+    ? cut.substring(0, sentenceEnd + 1)
+    : `${cut.substring(0, cut.lastIndexOf(' '))}...`;
+}
@@ -1,5 +1,6 @@
-import OpenAI from 'openai';
 import winston from 'winston';
+import { generateCompletion } from './modelProviders/index.js';
+import { extractClaims } from './claimService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -7,70 +8,87 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'ai-service' },
 });
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Number of search results shown to the model as "Source N"
+const PROMPT_SOURCE_LIMIT = 8;
+
+// Citation markers such as [1] or [2, 3], with the whitespace before them
+const CITATION_MARKER = /(\s*)\[(\d+(?:\s*,\s*\d+)*)\]/g;
 
 /**
  * Generate an AI response based on search results and confidence analysis
  * @param {string} question - User's question
  * @param {Array} searchResults - Processed search results
  * @param {Object} confidenceBreakdown - Confidence analysis
- * @param {string} conversationContext - Previous conversation context
+ * @param {Object} memory - Earlier turns from loadConversationMemory: { summary, messages } (optional)
+ * @param {Object} options - Generation options
+ * @param {string} options.tier - User tier, used to route to a model
+ * @param {string} options.searchQuery - Standalone query the sources were found with, when it differs from the question
+ * @param {string} options.mode - "research" asks for an answer weighed by evidence level (optional)
+ * @param {Function} options.onToken - Called with each text delta when streaming
+ * @param {AbortSignal} options.signal - Aborts the completion request
  * @returns {Object} AI response with metadata
  */
-export async function generateAIResponse(question, searchResults, confidenceBreakdown, conversationContext = '') {
+export async function generateAIResponse(question, searchResults, confidenceBreakdown, memory = null, options = {}) {
   try {
     // Build the system prompt
-    const systemPrompt = buildSystemPrompt(confidenceBreakdown);
+    const systemPrompt = buildSystemPrompt(confidenceBreakdown, options.mode);
     
     // Build the user prompt with search results
-    const userPrompt = buildUserPrompt(question, searchResults, confidenceBreakdown);
+    const userPrompt = buildUserPrompt(question, searchResults, confidenceBreakdown, options.searchQuery);
     
-    // Add conversation context if available
+    // Earlier turns go before the question as real user/assistant messages
     const messages = [
       { role: 'system', content: systemPrompt },
     ];
     
-    if (conversationContext) {
-      messages.push({ role: 'system', content: `Previous conversation context: ${conversationContext}` });
+    if (memory?.summary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation: ${memory.summary}` });
     }
     
+    messages.push(...(memory?.messages || []));
     messages.push({ role: 'user', content: userPrompt });
     
-    // Generate response
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 1500,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1,
+    // Generate response, falling back through the tier's model route on errors
+    const completion = await generateCompletion({
+      tier: options.tier,
+      messages,
+      onToken: options.onToken,
+      signal: options.signal,
     });
     
-    const response = completion.choices[0].message.content;
+    const response = completion.content;
     
     // Parse the response to extract structured data
     const structuredResponse = parseAIResponse(response, searchResults, confidenceBreakdown);
+    structuredResponse.metadata.model = {
+      provider: completion.provider,
+      model: completion.model,
+      fallbacks: completion.failures.length,
+      usage: completion.usage,
+    };
     
     // Log token usage for cost tracking
     logger.info('AI response generated', {
       question: question.substring(0, 50),
+      provider: completion.provider,
+      model: completion.model,
       tokens: completion.usage,
+      streamed: Boolean(options.onToken),
       confidence: confidenceBreakdown.overall,
     });
     
     return structuredResponse;
     
   } catch (error) {
-    logger.error('AI generation error', { error: error.message });
+    logger.error('AI generation error', { 
+      error: error.message,
+      failures: error.failures,
+    });
     
-    // Fallback response
     return {
       success: false,
       error: 'Unable to generate response',
-      fallbackResponse: generateFallbackResponse(question, confidenceBreakdown),
+      message: 'No model provider was able to answer right now. Please try again in a moment.',
     };
   }
 }
@@ -78,7 +96,7 @@ export async function generateAIResponse(question, searchResults, confidenceBrea
 /**
  * Build system prompt based on confidence level
  */
-function buildSystemPrompt(confidenceBreakdown) {
+function buildSystemPrompt(confidenceBreakdown, mode) {
   const confidenceLevel = confidenceBreakdown.level;
   const confidenceScore = confidenceBreakdown.overall;
   
@@ -109,28 +127,44 @@ Your response must include:
 3. Important caveats or limitations
 4. Any areas of controversy or disagreement among sources
 
+Earlier turns of the conversation may come before the question. Use them to understand what the question refers to, but base every claim on the search results for this question; citation numbers from earlier answers no longer apply.
+
 CRITICAL RULES:
 - Never claim certainty when sources disagree
 - Always mention if information might be outdated
 - Acknowledge when you cannot find reliable information
 - Be concise but thorough
-- Cite specific sources when making claims
 - If sources strongly contradict each other, explain both viewpoints
 
+CITATIONS:
+- Cite the numbered search results with bracketed markers, e.g. [1] or [2][3]
+- Every factual sentence needs at least one marker, placed before the final period: "Exposure stays below safety limits [1]."
+- Only use numbers of sources listed in the search results, and only cite a source for what it actually says
+- Do not write "Source 1" or source titles in the text; the markers are enough
+
+${mode === 'research' ? `
+RESEARCH MODE:
+- Sources marked with a study design are scholarly works; weigh them by level of evidence: meta-analyses and systematic reviews, then randomized trials, then observational studies, then preprints
+- Say what kind of study supports each finding, e.g. "a meta-analysis of 12 trials found..."
+- Point out when a finding rests only on preprints or observational data
+- Never rely on a source marked RETRACTED; mention the retraction if it bears on the question
+` : ''}
 Format your response in clear paragraphs without using bullet points or lists.`;
 }
 
 /**
  * Build user prompt with search results
  */
-function buildUserPrompt(question, searchResults, confidenceBreakdown) {
+function buildUserPrompt(question, searchResults, confidenceBreakdown, searchQuery) {
   // Prepare search results summary
-  const sourceSummary = searchResults.slice(0, 8).map((result, index) => {
+  const sourceSummary = searchResults.slice(0, PROMPT_SOURCE_LIMIT).map((result, index) => {
+    // Internal documents come from a knowledge base collection rather than a website
+    const internal = result.sourceType === 'internal_document';
     return `Source ${index + 1} (${result.quality} quality, ${result.sourceType}):
 Title: ${result.title}
-Domain: ${result.domain}
-Snippet: ${result.snippet}
-${result.metadata.publishedDate ? `Published: ${new Date(result.metadata.publishedDate).toLocaleDateString()}` : ''}`;
+${internal ? 'Collection' : 'Domain'}: ${result.domain}
+${result.scholarly ? `${describeScholarly(result.scholarly)}\n` : ''}Snippet: ${result.snippet}
+${result.passages?.length ? `Passages from the full ${internal ? 'document' : 'page'}:\n${result.passages.map(passage => `"${passage.text}"`).join('\n')}\n` : ''}${result.metadata.publishedDate ? `Published: ${new Date(result.metadata.publishedDate).toLocaleDateString()}` : ''}`;
   }).join('\n\n');
   
   // Prepare confidence context
@@ -143,7 +177,7 @@ Confidence Analysis:
 - Language Certainty: ${confidenceBreakdown.factors.certaintyScore.score}% - ${confidenceBreakdown.factors.certaintyScore.details}`;
   
   return `Question: ${question}
-
+${searchQuery && searchQuery !== question ? `Searched as: ${searchQuery}\n` : ''}
 ${confidenceContext}
 
 Search Results:
@@ -152,6 +186,24 @@ ${sourceSummary}
 Based on the above search results and confidence analysis, provide a response that matches the confidence level. Remember to be transparent about uncertainties and limitations.`;
 }
 
+/**
+ * One prompt line describing a scholarly work, e.g.
+ * "Study design: randomized trial, The Lancet (2021), peer reviewed"
+ */
+function describeScholarly(scholarly) {
+  const labels = {
+    meta_analysis: 'meta-analysis or systematic review',
+    rct: 'randomized trial',
+    observational: 'observational study',
+    other: 'other scholarly work',
+    preprint: 'preprint (not peer reviewed)',
+  };
+  const venue = [scholarly.journal, scholarly.year && `(${scholarly.year})`].filter(Boolean).join(' ');
+  const review = scholarly.peerReviewed === true ? 'peer reviewed' : null;
+
+  return `Study design: ${[labels[scholarly.evidenceLevel], venue, review].filter(Boolean).join(', ')}${scholarly.retracted ? ' - RETRACTED' : ''}`;
+}
+
 /**
  * Parse AI response into structured format
  */
@@ -159,31 +211,54 @@ function parseAIResponse(rawResponse, searchResults, confidenceBreakdown) {
   // Extract potential biases and limitations
   const biases = extractBiases(rawResponse, searchResults);
   const limitations = extractLimitations(rawResponse, confidenceBreakdown);
-  const controversies = extractControversies(rawResponse, searchResults);
+  const controversies = extractControversies(rawResponse, searchResults, confidenceBreakdown.agreement?.contradictions);
   
-  // Identify which sources were actually used
-  const citedSources = searchResults.filter((source, index) => {
-    return rawResponse.toLowerCase().includes(source.domain.toLowerCase()) ||
-           rawResponse.includes(`source ${index + 1}`) ||
-           rawResponse.includes(source.title.substring(0, 20).toLowerCase());
+  // Keep only [n] markers that point at a source the model was actually given
+  const sourceCount = Math.min(searchResults.length, PROMPT_SOURCE_LIMIT);
+  const citedNumbers = new Set();
+  const invalidMarkers = new Set();
+
+  const mainResponse = rawResponse.replace(CITATION_MARKER, (marker, leading, numbers) => {
+    const valid = numbers.split(',').map(n => parseInt(n, 10)).filter(n => {
+      if (n >= 1 && n <= sourceCount) return true;
+      invalidMarkers.add(n);
+      return false;
+    });
+
+    valid.forEach(n => citedNumbers.add(n));
+    return valid.length > 0 ? leading + valid.map(n => `[${n}]`).join('') : '';
   });
+
+  let citedSources;
+  if (citedNumbers.size > 0) {
+    citedSources = [...citedNumbers]
+      .sort((a, b) => a - b)
+      .map(n => ({ ...formatSource(searchResults[n - 1]), citation: n }));
+  } else {
+    // The model ignored the citation protocol, so fall back to matching source mentions
+    citedSources = searchResults
+      .map((source, index) => ({ source, index }))
+      .filter(({ source, index }) => {
+        return rawResponse.toLowerCase().includes(source.domain.toLowerCase()) ||
+               rawResponse.includes(`source ${index + 1}`) ||
+               rawResponse.includes(source.title.substring(0, 20).toLowerCase());
+      })
+      .map(({ source, index }) => ({ ...formatSource(source), citation: index + 1 }));
+  }
+
+  // Factual sentences without any marker are flagged rather than silently trusted
+  const uncitedClaims = extractClaims(mainResponse)
+    .filter(claim => claim.citations.length === 0)
+    .map(claim => claim.text);
   
   return {
     success: true,
     response: {
       confidence: confidenceBreakdown.overall,
       confidenceLevel: confidenceBreakdown.level,
-      mainResponse: rawResponse,
-      shortResponse: extractShortAnswer(rawResponse),
-      sources: citedSources.map(source => ({
-        title: source.title,
-        url: source.link,
-        domain: source.domain,
-        quality: source.quality,
-        type: source.sourceType,
-        snippet: source.snippet,
-        publishedDate: source.metadata.publishedDate,
-      })),
+      mainResponse,
+      shortResponse: extractShortAnswer(mainResponse),
+      sources: citedSources,
       factors: confidenceBreakdown.factors,
       biases: biases,
       controversies: controversies,
@@ -192,12 +267,37 @@ function parseAIResponse(rawResponse, searchResults, confidenceBreakdown) {
     metadata: {
       searchResultsAnalyzed: searchResults.length,
       sourcesUsed: citedSources.length,
-      responseLength: rawResponse.length,
+      responseLength: mainResponse.length,
+      agreement: confidenceBreakdown.agreement,
+      calibrationVersion: confidenceBreakdown.calibrationVersion,
+      citations: {
+        protocolFollowed: citedNumbers.size > 0,
+        invalidMarkers: [...invalidMarkers],
+        uncitedClaims,
+      },
       timestamp: new Date().toISOString(),
     },
   };
 }
 
+/**
+ * Convert a processed search result into the source shape returned to clients
+ * @param {Object} source - Processed search result
+ * @returns {Object} Client-facing source
+ */
+export function formatSource(source) {
+  return {
+    title: source.title,
+    url: source.link,
+    domain: source.domain,
+    quality: source.quality,
+    type: source.sourceType,
+    snippet: source.snippet,
+    publishedDate: source.metadata.publishedDate,
+    ...(source.scholarly && { scholarly: source.scholarly }),
+  };
+}
+
 /**
  * Extract short answer from response
  */
@@ -296,7 +396,7 @@ function extractLimitations(response, confidenceBreakdown) {
 /**
  * Extract areas of controversy
  */
-function extractControversies(response, searchResults) {
+function extractControversies(response, searchResults, contradictions = []) {
   const controversies = [];
   
   // Keywords indicating controversy
@@ -320,38 +420,17 @@ function extractControversies(response, searchResults) {
     }
   }
   
-  // Check for explicit disagreements in sources
-  const positions = new Set();
-  searchResults.forEach(result => {
-    if (result.snippet.match(/\b(yes|no|true|false|safe|unsafe|effective|ineffective)\b/i)) {
-      positions.add(result.snippet.match(/\b(yes|no|true|false|safe|unsafe|effective|ineffective)\b/i)[0]);
-    }
-  });
-  
-  if (positions.size > 1 && (positions.has('yes') && positions.has('no')) || 
-      (positions.has('safe') && positions.has('unsafe'))) {
-    controversies.push('Sources present conflicting conclusions');
+  // Surface the source pairs the agreement analysis found to contradict each other
+  for (const contradiction of contradictions) {
+    const [first, second] = contradiction.sources;
+    controversies.push(
+      `${first.domain}: "${contradiction.excerpts[0]}" vs. ${second.domain}: "${contradiction.excerpts[1]}"`
+    );
   }
   
   return [...new Set(controversies)]; // Remove duplicates
 }
 
-/**
- * Generate fallback response when AI generation fails
- */
-function generateFallbackResponse(question, confidenceBreakdown) {
-  const confidence = confidenceBreakdown.overall;
-  const level = confidenceBreakdown.level;
-  
-  if (level === 'high') {
-    return `Based on my search results (${confidence}% confidence), I found relevant information about your question. However, I'm experiencing a technical issue generating a complete response. Please try again in a moment.`;
-  } else if (level === 'medium') {
-    return `I found some relevant information about your question with ${confidence}% confidence, though sources show mixed results. I'm experiencing a technical issue generating a detailed response. Please try again shortly.`;
-  } else {
-    return `I found limited reliable information about your question (${confidence}% confidence). The available sources don't provide clear answers, and I'm also experiencing a technical issue. You might want to try rephrasing your question or consulting specialized sources directly.`;
-  }
-}
-
 /**
  * Generate a response for when no search results are found
  */
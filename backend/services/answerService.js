@@ -0,0 +1,265 @@
+import winston from 'winston';
+import { performPlannedSearch } from './searchService.js';
+import { planQueries } from './queryPlanService.js';
+import { searchKnowledgeBase, mergeWithWebResults } from './knowledgeBaseService.js';
+import { calculateConfidence, detectTopic } from './confidenceService.js';
+import { generateAIResponse, generateNoResultsResponse, formatSource } from './aiService.js';
+import { verifyClaims, summarizeClaims } from './claimService.js';
+import { saveMessage, generateConversationTitle, isConversationOwner } from './conversationService.js';
+import { loadConversationMemory, rewriteQuery } from './memoryService.js';
+import { trackUsage } from './usageService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { enrichWithScholarlyMetadata, rankByEvidence, summarizeEvidence } from './scholarlyService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'answer-service' },
+});
+
+/**
+ * Run the full answer pipeline: conversation memory, query planning, search, confidence scoring, generation,
+ * claim verification and persistence
+ * @param {Object} params - Pipeline parameters
+ * @param {string} params.question - User's question
+ * @param {string} params.userId - User ID
+ * @param {string} params.tier - User tier, used to route to a model (defaults to free, also when null)
+ * @param {string} params.conversationId - Existing conversation ID (optional); its earlier turns are sent to the model
+ * @param {string} params.searchProvider - Search provider override (optional)
+ * @param {string} params.teamId - Team whose domain reputation overrides and source policy apply (optional)
+ * @param {Array} params.collectionIds - Knowledge base collections to search (optional, defaults to all accessible)
+ * @param {string} params.mode - "standard" or "research", which searches scholarly sources first,
+ *   resolves their metadata and weighs confidence by evidence level (optional, defaults to standard)
+ * @param {string} params.apiKeyId - API key the question came through, logged with the usage (optional)
+ * @param {Object} options - Pipeline options
+ * @param {Function} options.onEvent - Called with (event, data) as each phase completes
+ * @param {AbortSignal} options.signal - Aborts the AI completion when the client goes away
+ * @returns {Object} Conversation ID, saved message ID and the structured AI response
+ */
+export async function answerQuestion({ question, userId, tier, conversationId = null, searchProvider, teamId = null, collectionIds, mode, apiKeyId = null }, options = {}) {
+  // A cancelled subscription leaves users.tier NULL
+  tier = tier || 'free';
+
+  // Conversations shared into a team are read-only for everyone but their owner
+  if (conversationId && !(await isConversationOwner(conversationId, userId))) {
+    throw new Error('Conversation not found');
+  }
+
+  const memory = await loadConversationMemory(conversationId, userId, { tier, signal: options.signal });
+
+  const result = await generateAnswer({ question, userId, tier, searchProvider, teamId, collectionIds, memory, mode }, options);
+
+  if (!result.success) {
+    return result;
+  }
+
+  // Persist the exchange and count it against the user's quota
+  const saved = await saveMessage(conversationId, userId, question, {
+    ...result.response,
+    metadata: result.metadata,
+  });
+
+  const [title] = await Promise.all([
+    // A new conversation gets a descriptive title from its first exchange
+    conversationId ? null : titleNewConversation(saved.conversationId, userId, question, result.response, tier),
+    trackUsage(userId, 'chat', {
+      conversationId: saved.conversationId,
+      searches: 1,
+      tokens: result.metadata.model?.usage.total_tokens || 0,
+      ...(apiKeyId && { apiKeyId }),
+    }),
+  ]);
+
+  notifyWebhooks({
+    conversationId: saved.conversationId,
+    messageId: saved.assistantMessage?.id,
+    userId,
+    teamId,
+    question,
+    response: result.response,
+    mode,
+  });
+
+  return {
+    success: true,
+    conversationId: saved.conversationId,
+    ...(title && { title }),
+    messageId: saved.assistantMessage?.id,
+    response: result.response,
+    metadata: result.metadata,
+  };
+}
+
+/**
+ * Produce an answer without saving it or counting usage: search, confidence scoring,
+ * generation and claim verification. Used by answerQuestion and the evaluation harness.
+ * @param {Object} params - Same as answerQuestion, without conversationId; the
+ *   knowledge base is only searched when userId is given
+ * @param {Object} params.memory - Earlier turns from loadConversationMemory (optional)
+ * @param {Object} options - Same as answerQuestion
+ * @returns {Object} { success, response, metadata, searchResults } or { success: false, error, message }
+ */
+export async function generateAnswer({ question, userId = null, tier = 'free', searchProvider, teamId = null, collectionIds, memory = null, mode = 'standard' }, options = {}) {
+  const emit = (event, data) => {
+    if (options.onEvent) {
+      options.onEvent(event, data);
+    }
+  };
+
+  // 1. Make follow-ups searchable on their own, e.g. "what about in Canada?"
+  const { query, rewritten } = await rewriteQuery(question, memory, { tier, signal: options.signal });
+
+  // 2. Split compound questions into targeted searches, then search them and the user's private documents
+  const research = mode === 'research';
+  let plan = await planQueries(query, { tier, signal: options.signal });
+  if (research) {
+    plan = prioritizeScholarly(plan, query);
+  }
+  emit('search_started', { query, rewritten, plan: plan.queries });
+  const [search, internalResults] = await Promise.all([
+    performPlannedSearch(query, plan, 10, { provider: searchProvider, teamId }),
+    userId ? searchKnowledgeBase(query, { id: userId, teamId }, { collectionIds }) : [],
+  ]);
+  let searchResults = mergeWithWebResults(internalResults, search.results);
+  search.metadata.internalDocuments = internalResults.length;
+
+  // Research mode resolves DOIs and puts the strongest evidence first
+  if (research) {
+    searchResults = rankByEvidence(await enrichWithScholarlyMetadata(searchResults, { signal: options.signal }));
+  }
+
+  emit('sources', {
+    sources: searchResults.map(formatSource),
+    metadata: search.metadata,
+  });
+
+  // 3. Score confidence and generate the answer
+  let result;
+
+  if (searchResults.length === 0) {
+    result = generateNoResultsResponse(question);
+
+    emit('confidence', {
+      confidence: result.response.confidence,
+      confidenceLevel: result.response.confidenceLevel,
+      factors: result.response.factors,
+    });
+    emit('token', { delta: result.response.mainResponse });
+  } else {
+    const topic = detectTopic(query);
+    const confidenceBreakdown = await calculateConfidence(searchResults, query, topic, {
+      tier,
+      teamId,
+      signal: options.signal,
+    });
+
+    emit('confidence', {
+      confidence: confidenceBreakdown.overall,
+      confidenceLevel: confidenceBreakdown.level,
+      factors: confidenceBreakdown.factors,
+    });
+
+    result = await generateAIResponse(question, searchResults, confidenceBreakdown, memory, {
+      tier,
+      searchQuery: query,
+      mode,
+      onToken: options.onEvent ? (delta) => emit('token', { delta }) : undefined,
+      signal: options.signal,
+    });
+  }
+
+  if (!result.success) {
+    logger.warn('Answer generation failed', {
+      userId,
+      question: question.substring(0, 50),
+    });
+    return { success: false, error: result.error, message: result.message };
+  }
+
+  // Keep the team source policy with the answer so it can be audited
+  result.metadata.sourcePolicy = search.metadata.sourcePolicy || null;
+  // Show users what was searched to find the sources
+  result.metadata.searchPlan = search.metadata.plan;
+  result.metadata.mode = mode;
+  if (research) {
+    result.metadata.evidence = summarizeEvidence(searchResults);
+  }
+  result.metadata.memory = {
+    searchQuery: query,
+    rewritten,
+    turns: memory?.turns.length || 0,
+    summarized: Boolean(memory?.summary),
+    tokens: memory?.tokens || 0,
+  };
+
+  // 4. Check each claim in the answer against the sources
+  const claims = searchResults.length > 0
+    ? await verifyClaims(result.response.mainResponse, searchResults, { tier, signal: options.signal })
+    : [];
+  result.response.claims = claims;
+  result.metadata.claimSummary = summarizeClaims(claims);
+
+  emit('claims', { claims, summary: result.metadata.claimSummary });
+
+  return {
+    success: true,
+    response: result.response,
+    metadata: result.metadata,
+    searchResults,
+  };
+}
+
+/**
+ * Send the planned searches to the academic route instead of the open web, and
+ * keep one general search of the question for background
+ */
+function prioritizeScholarly(plan, query) {
+  const queries = plan.queries.map(entry => (entry.route === 'general' ? { ...entry, route: 'academic' } : entry));
+
+  return {
+    ...plan,
+    queries: [...queries, { query, route: 'general', purpose: 'Background from the wider web' }],
+  };
+}
+
+/**
+ * Tell the user's and their team's webhooks about the answer, and separately when
+ * its confidence is low. Delivery happens in the background.
+ */
+function notifyWebhooks({ conversationId, messageId, userId, teamId, question, response, mode }) {
+  const data = {
+    conversationId,
+    messageId,
+    userId,
+    question,
+    answer: response.mainResponse,
+    shortAnswer: response.shortResponse,
+    confidence: response.confidence,
+    confidenceLevel: response.confidenceLevel,
+    sources: (response.sources || []).map(({ title, url, domain, quality }) => ({ title, url, domain, quality })),
+    mode: mode || 'standard',
+  };
+
+  emitWebhookEvent('message.completed', data, { userId, teamId });
+
+  if (response.confidenceLevel === 'low') {
+    emitWebhookEvent('low_confidence_answer', { ...data, limitations: response.limitations }, { userId, teamId });
+  }
+}
+
+/**
+ * Title a new conversation; the answer is already saved, so a failure only keeps the placeholder title
+ */
+async function titleNewConversation(conversationId, userId, question, response, tier) {
+  try {
+    const { title } = await generateConversationTitle(conversationId, userId, {
+      tier,
+      question,
+      answer: response.mainResponse || response.content || null,
+    });
+    return title;
+  } catch (error) {
+    logger.warn('Failed to title conversation', { conversationId, error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { apiKeyQuotaPeriod, getApiKeyUsage } from './usageService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'api-key-service' },
+});
+
+/**
+ * What a key may do in the public API:
+ * read - conversations, sources and usage
+ * chat - ask questions
+ * fact_check - check claims
+ * admin - everything, including scopes added later
+ */
+export const API_KEY_SCOPES = ['read', 'chat', 'fact_check', 'admin'];
+
+export const MAX_ACTIVE_API_KEYS = 5;
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+export const MAX_RATE_LIMIT_PER_MINUTE = 120;
+
+const KEY_FIELDS = 'id, name, key_prefix, scopes, is_active, usage_count, last_used, created_at, expires_at, monthly_quota, rate_limit_per_minute, rotated_at, previous_key_expires_at';
+
+/**
+ * Whether a key's scopes allow an action
+ * @param {Array} scopes - The key's scopes
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {boolean}
+ */
+export function hasScope(scopes, scope) {
+  return Boolean(scopes?.includes('admin') || scopes?.includes(scope));
+}
+
+/**
+ * Hours a rotated key's old secret keeps working, from API_KEY_ROTATION_GRACE_HOURS (default 24)
+ */
+function rotationGraceHours() {
+  const hours = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS);
+  return Number.isNaN(hours) || hours < 0 ? 24 : hours;
+}
+
+/**
+ * A user's active keys, with this month's queries per key by action type and by day
+ * @param {string} userId - Key owner
+ * @returns {Array} Keys, newest first
+ */
+export async function listApiKeys(userId) {
+  const period = apiKeyQuotaPeriod();
+
+  const [{ data: apiKeys, error }, usage] = await Promise.all([
+    getSupabase()
+      .from('api_keys')
+      .select(KEY_FIELDS)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false }),
+    getApiKeyUsage(userId, period.start),
+  ]);
+
+  if (error) {
+    logger.error('Error listing API keys', { error: error.message, userId });
+    throw error;
+  }
+
+  return (apiKeys || []).map(apiKey => ({
+    ...formatApiKey(apiKey),
+    usage: {
+      periodStart: period.start,
+      resetDate: period.resetDate,
+      queries: usage[apiKey.id]?.total || 0,
+      byType: usage[apiKey.id]?.byType || {},
+      byDay: usage[apiKey.id]?.byDay || {},
+    },
+  }));
+}
+
+/**
+ * Create a key. The key itself is only returned here and by rotateApiKey.
+ * @param {string} userId - Key owner
+ * @param {Object} fields - { name, scopes, expiresInDays, monthlyQuota, rateLimitPerMinute }
+ * @returns {Object} The key's settings with the full key as `key`
+ */
+export async function createApiKey(userId, {
+  name,
+  scopes,
+  expiresInDays = null,
+  monthlyQuota = null,
+  rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE,
+}) {
+  const { count } = await getSupabase()
+    .from('api_keys')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('is_active', true);
+
+  if (count >= MAX_ACTIVE_API_KEYS) {
+    throw new Error('API key limit reached');
+  }
+
+  const { key, keyHash, keyPrefix } = generateApiKey();
+
+  const { data: apiKey, error } = await getSupabase()
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      name,
+      key_hash: keyHash,
+      key_prefix: keyPrefix,
+      scopes,
+      expires_at: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      monthly_quota: monthlyQuota,
+      rate_limit_per_minute: rateLimitPerMinute,
+      is_active: true,
+      created_at: new Date().toISOString(),
+    })
+    .select(KEY_FIELDS)
+    .single();
+
+  if (error) {
+    logger.error('Error creating API key', { error: error.message, userId });
+    throw error;
+  }
+
+  logger.info('API key created', { userId, keyId: apiKey.id, scopes });
+  return { ...formatApiKey(apiKey), key };
+}
+
+/**
+ * Rename a key or change its scopes, quota or rate limit
+ * @param {string} keyId - API key ID
+ * @param {string} userId - Key owner
+ * @param {Object} updates - { name, scopes, monthlyQuota, rateLimitPerMinute }; omitted fields are kept
+ * @returns {Object} Updated key
+ */
+export async function updateApiKey(keyId, userId, { name, scopes, monthlyQuota, rateLimitPerMinute } = {}) {
+  await getOwnedApiKey(keyId, userId);
+
+  const { data: apiKey, error } = await getSupabase()
+    .from('api_keys')
+    .update({
+      ...(name !== undefined && { name }),
+      ...(scopes !== undefined && { scopes }),
+      ...(monthlyQuota !== undefined && { monthly_quota: monthlyQuota }),
+      ...(rateLimitPerMinute !== undefined && { rate_limit_per_minute: rateLimitPerMinute }),
+    })
+    .eq('id', keyId)
+    .select(KEY_FIELDS)
+    .single();
+
+  if (error) {
+    logger.error('Error updating API key', { error: error.message, keyId });
+    throw error;
+  }
+
+  return formatApiKey(apiKey);
+}
+
+/**
+ * Issue a new secret for a key. The old secret keeps working for
+ * API_KEY_ROTATION_GRACE_HOURS so clients can switch over; the key keeps its ID,
+ * settings and usage. Rotating again ends the previous grace period at once.
+ * @param {string} keyId - API key ID
+ * @param {string} userId - Key owner
+ * @returns {Object} The key's settings with the new key as `key`
+ */
+export async function rotateApiKey(keyId, userId) {
+  const current = await getOwnedApiKey(keyId, userId);
+
+  if (current.expires_at && new Date(current.expires_at) <= new Date()) {
+    throw new Error('API key expired');
+  }
+
+  const { key, keyHash, keyPrefix } = generateApiKey();
+  const graceHours = rotationGraceHours();
+
+  const { data: apiKey, error } = await getSupabase()
+    .from('api_keys')
+    .update({
+      key_hash: keyHash,
+      key_prefix: keyPrefix,
+      previous_key_hash: graceHours > 0 ? current.key_hash : null,
+      previous_key_expires_at: graceHours > 0
+        ? new Date(Date.now() + graceHours * 60 * 60 * 1000).toISOString()
+        : null,
+      rotated_at: new Date().toISOString(),
+    })
+    .eq('id', keyId)
+    .select(KEY_FIELDS)
+    .single();
+
+  if (error) {
+    logger.error('Error rotating API key', { error: error.message, keyId });
+    throw error;
+  }
+
+  logger.info('API key rotated', { userId, keyId, graceHours });
+  return { ...formatApiKey(apiKey), key };
+}
+
+/**
+ * Revoke a key, and any old secret still in its grace period
+ */
+export async function revokeApiKey(keyId, userId) {
+  await getOwnedApiKey(keyId, userId);
+
+  // Soft delete (mark as inactive)
+  const { error } = await getSupabase()
+    .from('api_keys')
+    .update({
+      is_active: false,
+      previous_key_hash: null,
+      previous_key_expires_at: null,
+    })
+    .eq('id', keyId);
+
+  if (error) {
+    logger.error('Error revoking API key', { error: error.message, keyId });
+    throw error;
+  }
+
+  logger.info('API key deleted', { userId, keyId });
+}
+
+/**
+ * An active key belonging to the user, or 'API key not found'
+ */
+async function getOwnedApiKey(keyId, userId) {
+  const { data: apiKey } = await getSupabase()
+    .from('api_keys')
+    .select(`${KEY_FIELDS}, key_hash`)
+    .eq('id', keyId)
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (!apiKey) {
+    throw new Error('API key not found');
+  }
+
+  return apiKey;
+}
+
+function generateApiKey() {
+  const key = `hgpt_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    key,
+    keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+    keyPrefix: key.substring(0, 10),
+  };
+}
+
+function formatApiKey(apiKey) {
+  const now = new Date();
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    key_prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    is_active: apiKey.is_active,
+    expired: Boolean(apiKey.expires_at && new Date(apiKey.expires_at) <= now),
+    usage_count: apiKey.usage_count,
+    last_used: apiKey.last_used,
+    created_at: apiKey.created_at,
+    expires_at: apiKey.expires_at,
+    monthly_quota: apiKey.monthly_quota,
+    rate_limit_per_minute: apiKey.rate_limit_per_minute,
+    rotated_at: apiKey.rotated_at,
+    // Until then the secret from before the last rotation also works
+    previous_key_expires_at: apiKey.previous_key_expires_at && new Date(apiKey.previous_key_expires_at) > now
+      ? apiKey.previous_key_expires_at
+      : null,
+  };
+}
@@ -0,0 +1,520 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { feedbackOutcome } from './feedbackService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'calibration-service' },
+});
+
+export const CONFIDENCE_FACTORS = ['sourceQuality', 'sourceAgreement', 'recencyScore', 'certaintyScore'];
+
+// The hand-tuned weights and thresholds used until a calibration is activated
+export const DEFAULT_CALIBRATION = {
+  version: 0,
+  weights: { sourceQuality: 0.30, sourceAgreement: 0.25, recencyScore: 0.25, certaintyScore: 0.20 },
+  mapping: null,
+  thresholds: { high: 80, medium: 60 },
+};
+
+// Observed accuracy each level should deliver when thresholds are fitted
+const LEVEL_TARGETS = { high: 0.8, medium: 0.6 };
+
+const CALIBRATION_CACHE_TTL_MS = 60 * 1000;
+let calibrationCache = null;
+
+const FEEDBACK_PAGE_SIZE = 1000;
+const MAX_FEEDBACK_ROWS = 50000;
+
+/**
+ * The calibration currently applied to confidence scores
+ * @returns {Object} { version, weights, mapping, thresholds }
+ */
+export async function getActiveCalibration() {
+  if (calibrationCache && Date.now() - calibrationCache.loadedAt < CALIBRATION_CACHE_TTL_MS) {
+    return calibrationCache.calibration;
+  }
+
+  try {
+    const { data, error } = await getSupabase()
+      .from('confidence_calibrations')
+      .select('version, weights, mapping, thresholds')
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    const calibration = data || DEFAULT_CALIBRATION;
+    calibrationCache = { loadedAt: Date.now(), calibration };
+    return calibration;
+  } catch (error) {
+    // Keep scoring consistent with the last calibration that loaded
+    logger.warn('Failed to load confidence calibration', { error: error.message });
+    return calibrationCache?.calibration || DEFAULT_CALIBRATION;
+  }
+}
+
+/**
+ * Combine factor scores into an overall confidence and level
+ * @param {Object} scores - Factor scores (0-100) keyed by factor name
+ * @param {Object} calibration - Calibration to apply
+ * @returns {Object} { overall, level }
+ */
+export function scoreConfidence(scores, calibration = DEFAULT_CALIBRATION) {
+  const weighted = CONFIDENCE_FACTORS.reduce(
+    (sum, factor) => sum + (scores[factor] / 100) * calibration.weights[factor],
+    0
+  );
+
+  const overall = Math.round(100 * (calibration.mapping
+    ? sigmoid(calibration.mapping.slope * weighted + calibration.mapping.intercept)
+    : weighted));
+
+  let level = 'low';
+  if (overall >= calibration.thresholds.high) level = 'high';
+  else if (overall >= calibration.thresholds.medium) level = 'medium';
+
+  return { overall, level };
+}
+
+/**
+ * Load answers whose users rated them, with the factor scores they were given
+ * @returns {Array} Samples of { messageId, scores, correct }
+ */
+export async function loadFeedbackSamples() {
+  const rows = [];
+
+  for (let from = 0; from < MAX_FEEDBACK_ROWS; from += FEEDBACK_PAGE_SIZE) {
+    const { data, error } = await getSupabase()
+      .from('feedback')
+      .select('message_id, rating, messages(confidence_factors)')
+      .not('rating', 'is', null)
+      .order('created_at', { ascending: true })
+      .range(from, from + FEEDBACK_PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+    if (data.length < FEEDBACK_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  // Several users can rate the same shared answer; each rating is a separate label
+  return rows
+    .map(row => ({
+      messageId: row.message_id,
+      scores: extractFactorScores(row.messages?.confidence_factors),
+      correct: feedbackOutcome(row.rating),
+    }))
+    .filter(sample => sample.scores && sample.correct !== null);
+}
+
+/**
+ * Fit factor weights, a logistic mapping to displayed confidence and level thresholds
+ * @param {Array} samples - Samples from loadFeedbackSamples
+ * @param {Object} options - Fitting options
+ * @param {Object} options.baseline - Calibration to compare against (defaults to DEFAULT_CALIBRATION)
+ * @param {number} options.minSamples - Fewest samples worth fitting (default 50)
+ * @param {number} options.bins - Reliability curve bins (default 10)
+ * @returns {Object} { weights, mapping, thresholds, metrics, sampleSize }
+ */
+export function fitCalibration(samples, options = {}) {
+  const { baseline = DEFAULT_CALIBRATION, minSamples = 50, bins = 10 } = options;
+
+  if (samples.length < minSamples) {
+    throw new Error(`Not enough rated answers to calibrate (${samples.length} of ${minSamples})`);
+  }
+
+  // Hold out a fifth of the answers, chosen by message so all ratings of an answer stay together
+  let train = samples.filter(sample => !isHoldout(sample.messageId));
+  let test = samples.filter(sample => isHoldout(sample.messageId));
+  const evaluatedOn = test.length >= 10 && train.length >= 10 ? 'holdout' : 'training';
+  if (evaluatedOn === 'training') {
+    train = samples;
+    test = samples;
+  }
+
+  const features = (sample) => CONFIDENCE_FACTORS.map(factor => sample.scores[factor] / 100);
+  const labels = train.map(sample => (sample.correct ? 1 : 0));
+
+  // 1. Relative factor weights from a logistic regression on the factor scores
+  const coefficients = fitLogistic(train.map(features), labels);
+  const positive = coefficients.slice(1).map(value => Math.max(0, value));
+  const total = positive.reduce((sum, value) => sum + value, 0);
+  const weights = total > 0
+    ? Object.fromEntries(CONFIDENCE_FACTORS.map((factor, index) => [factor, round(positive[index] / total, 4)]))
+    : { ...baseline.weights };
+
+  // 2. Map the weighted score onto observed correctness
+  const weightedScore = (sample) => CONFIDENCE_FACTORS.reduce(
+    (sum, factor) => sum + (sample.scores[factor] / 100) * weights[factor],
+    0
+  );
+  const [intercept, slope] = fitLogistic(train.map(sample => [weightedScore(sample)]), labels);
+
+  if (!(slope > 0)) {
+    throw new Error('Ratings do not increase with confidence, so no monotonic calibration can be fitted');
+  }
+
+  const mapping = { slope: round(slope, 4), intercept: round(intercept, 4) };
+
+  // 3. Lowest displayed scores at which each level delivers its target accuracy
+  const trainPredictions = train.map(sample => scoreConfidence(sample.scores, {
+    weights, mapping, thresholds: DEFAULT_CALIBRATION.thresholds,
+  }).overall);
+  const thresholds = fitThresholds(trainPredictions, labels);
+
+  const calibration = { weights, mapping, thresholds };
+
+  return {
+    ...calibration,
+    sampleSize: samples.length,
+    metrics: {
+      evaluatedOn,
+      trainSize: train.length,
+      testSize: test.length,
+      baselineVersion: baseline.version ?? 0,
+      baseline: evaluateCalibration(test, baseline, bins),
+      calibrated: evaluateCalibration(test, calibration, bins),
+    },
+  };
+}
+
+/**
+ * Calibration quality of a calibration on a set of samples
+ * @returns {Object} { ece, brier, accuracy, levels, curve }
+ */
+export function evaluateCalibration(samples, calibration, bins = 10) {
+  const scored = samples.map(sample => ({
+    ...scoreConfidence(sample.scores, calibration),
+    correct: sample.correct,
+  }));
+  const predictions = scored.map(entry => entry.overall / 100);
+  const outcomes = scored.map(entry => (entry.correct ? 1 : 0));
+
+  const levels = {};
+  for (const level of ['high', 'medium', 'low']) {
+    const inLevel = scored.filter(entry => entry.level === level);
+    levels[level] = {
+      count: inLevel.length,
+      accuracy: inLevel.length > 0 ? round(inLevel.filter(entry => entry.correct).length / inLevel.length, 3) : null,
+    };
+  }
+
+  return {
+    ece: round(expectedCalibrationError(predictions, outcomes, bins), 4),
+    brier: round(mean(predictions.map((p, i) => (p - outcomes[i]) ** 2)), 4),
+    accuracy: round(mean(outcomes), 3),
+    levels,
+    curve: reliabilityCurve(predictions, outcomes, bins),
+  };
+}
+
+/**
+ * Expected calibration error: the gap between stated confidence and observed
+ * accuracy, averaged over equal-width confidence bins weighted by their size
+ * @param {Array} predictions - Predicted probabilities (0-1)
+ * @param {Array} outcomes - 1 for correct, 0 for incorrect
+ * @param {number} bins - Number of bins
+ * @returns {number} ECE (0-1)
+ */
+export function expectedCalibrationError(predictions, outcomes, bins = 10) {
+  if (predictions.length === 0) {
+    return 0;
+  }
+
+  return reliabilityCurve(predictions, outcomes, bins).reduce(
+    (sum, bin) => sum + (bin.count / predictions.length) * Math.abs(bin.accuracy - bin.meanConfidence),
+    0
+  );
+}
+
+/**
+ * Observed accuracy against mean confidence per bin, for plotting a reliability diagram
+ * @returns {Array} Non-empty bins of { from, to, count, meanConfidence, accuracy }
+ */
+export function reliabilityCurve(predictions, outcomes, bins = 10) {
+  const buckets = Array.from({ length: bins }, () => ({ count: 0, confidence: 0, correct: 0 }));
+
+  predictions.forEach((p, i) => {
+    const bucket = buckets[Math.min(bins - 1, Math.floor(p * bins))];
+    bucket.count++;
+    bucket.confidence += p;
+    bucket.correct += outcomes[i];
+  });
+
+  return buckets
+    .map((bucket, index) => ({
+      from: round(index / bins, 3),
+      to: round((index + 1) / bins, 3),
+      count: bucket.count,
+      meanConfidence: bucket.count > 0 ? round(bucket.confidence / bucket.count, 4) : null,
+      accuracy: bucket.count > 0 ? round(bucket.correct / bucket.count, 4) : null,
+    }))
+    .filter(bucket => bucket.count > 0);
+}
+
+/**
+ * Store a fitted calibration as the next version
+ * @param {Object} fit - Result of fitCalibration
+ * @param {Object} options - { activate, notes }
+ * @returns {Object} Saved calibration
+ */
+export async function saveCalibration(fit, { activate = false, notes = null } = {}) {
+  try {
+    const { data: latest } = await getSupabase()
+      .from('confidence_calibrations')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data: calibration, error } = await getSupabase()
+      .from('confidence_calibrations')
+      .insert({
+        version: (latest?.version || 0) + 1,
+        weights: fit.weights,
+        mapping: fit.mapping,
+        thresholds: fit.thresholds,
+        metrics: fit.metrics,
+        sample_size: fit.sampleSize,
+        notes,
+      })
+      .select('id, version, weights, mapping, thresholds, sample_size, created_at')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Calibration saved', { version: calibration.version, sampleSize: fit.sampleSize });
+
+    if (activate) {
+      await activateCalibration(calibration.version);
+    }
+
+    return calibration;
+
+  } catch (error) {
+    logger.error('Error saving calibration', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Make a calibration version the one applied to new answers; version 0 restores the defaults
+ */
+export async function activateCalibration(version) {
+  try {
+    if (version !== 0) {
+      const { data: calibration } = await getSupabase()
+        .from('confidence_calibrations')
+        .select('id')
+        .eq('version', version)
+        .maybeSingle();
+
+      if (!calibration) {
+        throw new Error('Calibration not found');
+      }
+    }
+
+    const { error: deactivateError } = await getSupabase()
+      .from('confidence_calibrations')
+      .update({ is_active: false })
+      .eq('is_active', true);
+
+    if (deactivateError) {
+      throw deactivateError;
+    }
+
+    if (version !== 0) {
+      const { error } = await getSupabase()
+        .from('confidence_calibrations')
+        .update({ is_active: true, activated_at: new Date().toISOString() })
+        .eq('version', version);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    calibrationCache = null;
+    logger.info('Calibration activated', { version });
+
+  } catch (error) {
+    logger.error('Error activating calibration', { error: error.message, version });
+    throw error;
+  }
+}
+
+/**
+ * List calibration versions, newest first
+ */
+export async function listCalibrations() {
+  const { data: calibrations, error } = await getSupabase()
+    .from('confidence_calibrations')
+    .select('id, version, weights, mapping, thresholds, metrics, sample_size, notes, is_active, created_at, activated_at')
+    .order('version', { ascending: false });
+
+  if (error) {
+    logger.error('Error listing calibrations', { error: error.message });
+    throw error;
+  }
+
+  return calibrations;
+}
+
+function extractFactorScores(factors) {
+  if (!factors) {
+    return null;
+  }
+
+  const scores = {};
+  for (const factor of CONFIDENCE_FACTORS) {
+    const score = factors[factor]?.score;
+    if (typeof score !== 'number') {
+      return null;
+    }
+    scores[factor] = score;
+  }
+  return scores;
+}
+
+/**
+ * Pick, from high down, the lowest displayed score at which the answers in that
+ * level's band reach its target accuracy, keeping the default threshold when no
+ * score with enough support does
+ */
+function fitThresholds(predictions, labels, minSupport = 10) {
+  const ordered = predictions
+    .map((score, i) => ({ score, correct: labels[i] }))
+    .sort((a, b) => b.score - a.score);
+
+  const thresholds = {};
+  let upper = Infinity;
+
+  for (const [level, target] of Object.entries(LEVEL_TARGETS)) {
+    const band = ordered.filter(entry => entry.score < upper);
+    let correct = 0;
+    let best = null;
+
+    band.forEach((entry, index) => {
+      correct += entry.correct;
+      const isLastOfScore = band[index + 1]?.score !== entry.score;
+      if (isLastOfScore && index + 1 >= minSupport && correct / (index + 1) >= target) {
+        best = entry.score;
+      }
+    });
+
+    const fallback = Math.min(DEFAULT_CALIBRATION.thresholds[level], upper);
+    thresholds[level] = Math.min(99, Math.max(1, best ?? fallback));
+    upper = thresholds[level];
+  }
+
+  return thresholds;
+}
+
+/**
+ * L2-regularised logistic regression fitted with Newton's method
+ * @param {Array} rows - Feature vectors
+ * @param {Array} labels - 0/1 outcomes
+ * @returns {Array} Coefficients, intercept first
+ */
+function fitLogistic(rows, labels, { l2 = 0.01, iterations = 25 } = {}) {
+  const X = rows.map(row => [1, ...row]);
+  const size = X[0].length;
+  let beta = new Array(size).fill(0);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const gradient = new Array(size).fill(0);
+    const hessian = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    X.forEach((x, i) => {
+      const p = sigmoid(dot(beta, x));
+      const w = Math.max(p * (1 - p), 1e-6);
+      for (let j = 0; j < size; j++) {
+        gradient[j] += (p - labels[i]) * x[j];
+        for (let k = 0; k < size; k++) {
+          hessian[j][k] += w * x[j] * x[k];
+        }
+      }
+    });
+
+    // Leave the intercept unpenalised
+    for (let j = 1; j < size; j++) {
+      gradient[j] += l2 * beta[j];
+      hessian[j][j] += l2;
+    }
+
+    const step = solveLinearSystem(hessian, gradient);
+    beta = beta.map((value, j) => value - step[j]);
+
+    if (Math.max(...step.map(Math.abs)) < 1e-8) {
+      break;
+    }
+  }
+
+  return beta;
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    const divisor = m[col][col] || 1e-12;
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / divisor;
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * x[k];
+    }
+    x[row] = sum / (m[row][row] || 1e-12);
+  }
+  return x;
+}
+
+function isHoldout(messageId) {
+  return crypto.createHash('md5').update(String(messageId)).digest()[0] % 5 === 0;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
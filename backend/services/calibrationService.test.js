@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import {
+  DEFAULT_CALIBRATION,
+  scoreConfidence,
+  fitCalibration,
+  reliabilityCurve,
+  expectedCalibrationError,
+  loadFeedbackSamples,
+  saveCalibration,
+  activateCalibration,
+  getActiveCalibration,
+} from './calibrationService.js';
+
+// Answers are right when source quality is high, whatever the other factors say
+function ratedSamples(count = 200) {
+  return Array.from({ length: count }, (_, i) => {
+    const sourceQuality = (i * 37) % 100;
+    return {
+      messageId: `message-${i}`,
+      scores: {
+        sourceQuality,
+        sourceAgreement: (i * 53) % 100,
+        recencyScore: (i * 71) % 100,
+        certaintyScore: (i * 13) % 100,
+      },
+      correct: sourceQuality + ((i * 29) % 30) - 15 >= 50,
+    };
+  });
+}
+
+test('reliabilityCurve buckets predictions into equal-width bins and drops empty ones', () => {
+  const curve = reliabilityCurve([0.05, 0.15, 0.19, 0.95, 1], [0, 1, 0, 1, 1]);
+
+  assert.deepEqual(curve, [
+    { from: 0, to: 0.1, count: 1, meanConfidence: 0.05, accuracy: 0 },
+    { from: 0.1, to: 0.2, count: 2, meanConfidence: 0.17, accuracy: 0.5 },
+    // A prediction of exactly 1 falls in the top bin
+    { from: 0.9, to: 1, count: 2, meanConfidence: 0.975, accuracy: 1 },
+  ]);
+});
+
+test('expectedCalibrationError weights each bin\'s gap by its size', () => {
+  assert.equal(expectedCalibrationError([], []), 0);
+  assert.equal(expectedCalibrationError([0.25, 0.25, 0.25, 0.25], [1, 0, 0, 0]), 0);
+  // Bins: 0.9 with 1/2 correct (gap 0.4) and 0.2 with 0/2 correct (gap 0.2)
+  assert.ok(Math.abs(expectedCalibrationError([0.9, 0.9, 0.2, 0.2], [1, 0, 0, 0]) - 0.3) < 1e-9);
+});
+
+test('scoreConfidence applies the weights, the mapping and the level thresholds', () => {
+  const all = (score) => ({ sourceQuality: score, sourceAgreement: score, recencyScore: score, certaintyScore: score });
+
+  assert.deepEqual(scoreConfidence(all(80)), { overall: 80, level: 'high' });
+  assert.deepEqual(scoreConfidence(all(79)), { overall: 79, level: 'medium' });
+  assert.deepEqual(scoreConfidence(all(59)), { overall: 59, level: 'low' });
+
+  const calibration = { ...DEFAULT_CALIBRATION, mapping: { slope: 10, intercept: -5 }, thresholds: { high: 90, medium: 40 } };
+  assert.deepEqual(scoreConfidence(all(50), calibration), { overall: 50, level: 'medium' });
+  assert.deepEqual(scoreConfidence(all(90), calibration), { overall: 98, level: 'high' });
+});
+
+test('fitCalibration weights the predictive factor and lowers the calibration error', () => {
+  const fit = fitCalibration(ratedSamples());
+
+  const [strongest] = Object.entries(fit.weights).sort((a, b) => b[1] - a[1]);
+  assert.equal(strongest[0], 'sourceQuality');
+  assert.ok(Math.abs(Object.values(fit.weights).reduce((sum, weight) => sum + weight, 0) - 1) < 1e-3);
+  assert.ok(fit.mapping.slope > 0);
+  assert.ok(fit.thresholds.high >= fit.thresholds.medium);
+
+  assert.equal(fit.sampleSize, 200);
+  assert.equal(fit.metrics.evaluatedOn, 'holdout');
+  assert.equal(fit.metrics.trainSize + fit.metrics.testSize, 200);
+  assert.ok(fit.metrics.calibrated.ece < fit.metrics.baseline.ece);
+  assert.ok(fit.metrics.calibrated.brier < fit.metrics.baseline.brier);
+});
+
+test('fitCalibration refuses too few samples and ratings that fall with confidence', () => {
+  assert.throws(() => fitCalibration(ratedSamples(20)), /Not enough rated answers to calibrate \(20 of 50\)/);
+
+  // Every factor rises as answers get worse
+  const inverted = ratedSamples().map(sample => ({
+    ...sample,
+    scores: Object.fromEntries(Object.keys(sample.scores).map(factor => [factor, sample.scores.sourceQuality])),
+    correct: !sample.correct,
+  }));
+  assert.throws(() => fitCalibration(inverted), /no monotonic calibration/);
+});
+
+test('loadFeedbackSamples keeps clear ratings of answers with every factor score', async () => {
+  const factors = { sourceQuality: { score: 90 }, sourceAgreement: { score: 80 }, recencyScore: { score: 70 }, certaintyScore: { score: 60 } };
+  const db = createFakeDatabase({
+    feedback: [
+      { message_id: 'a', rating: 5, created_at: '2024-01-01', messages: { confidence_factors: factors } },
+      { message_id: 'b', rating: 1, created_at: '2024-01-02', messages: { confidence_factors: factors } },
+      { message_id: 'c', rating: 3, created_at: '2024-01-03', messages: { confidence_factors: factors } },
+      { message_id: 'd', rating: 4, created_at: '2024-01-04', messages: { confidence_factors: { sourceQuality: { score: 90 } } } },
+      { message_id: 'e', rating: null, created_at: '2024-01-05', messages: { confidence_factors: factors } },
+    ],
+  }).install();
+
+  try {
+    const samples = await loadFeedbackSamples();
+
+    assert.deepEqual(samples.map(sample => [sample.messageId, sample.correct]), [['a', true], ['b', false]]);
+    assert.deepEqual(samples[0].scores, { sourceQuality: 90, sourceAgreement: 80, recencyScore: 70, certaintyScore: 60 });
+  } finally {
+    db.restore();
+  }
+});
+
+test('saved calibrations get the next version and activating one replaces the active calibration', async () => {
+  const db = createFakeDatabase({
+    confidence_calibrations: [
+      { id: 'c1', version: 1, weights: DEFAULT_CALIBRATION.weights, mapping: null, thresholds: { high: 85, medium: 65 }, is_active: true },
+    ],
+  }).install();
+
+  try {
+    const fit = fitCalibration(ratedSamples());
+    const saved = await saveCalibration(fit, { activate: true, notes: 'First fit' });
+
+    assert.equal(saved.version, 2);
+    assert.deepEqual(db.tables.confidence_calibrations.filter(row => row.is_active).map(row => row.version), [2]);
+    assert.deepEqual((await getActiveCalibration()).thresholds, fit.thresholds);
+
+    await assert.rejects(activateCalibration(7), { message: 'Calibration not found' });
+
+    // Version 0 goes back to the hand-tuned defaults
+    await activateCalibration(0);
+    assert.equal(db.tables.confidence_calibrations.some(row => row.is_active), false);
+    assert.deepEqual(await getActiveCalibration(), DEFAULT_CALIBRATION);
+  } finally {
+    db.restore();
+  }
+});
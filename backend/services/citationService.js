@@ -0,0 +1,217 @@
+/**
+ * Citation formats for answer sources. Every source becomes a CSL-JSON item first;
+ * BibTeX and RIS are written from that item so the three exports always agree.
+ * Sources with scholarly metadata (research mode) are cited as the work itself,
+ * everything else as a web page.
+ */
+
+const CSL_TYPES = {
+  'journal-article': 'article-journal',
+  review: 'article-journal',
+  preprint: 'article',
+  'conference-paper': 'paper-conference',
+  book: 'book',
+  'book-chapter': 'chapter',
+  report: 'report',
+  dataset: 'dataset',
+};
+
+const BIBTEX_TYPES = {
+  'article-journal': 'article',
+  'paper-conference': 'inproceedings',
+  book: 'book',
+  chapter: 'incollection',
+  report: 'techreport',
+};
+
+// Characters LaTeX would read as commands, spacing or math mode
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+const RIS_TYPES = {
+  'article-journal': 'JOUR',
+  article: 'UNPB',
+  'paper-conference': 'CPAPER',
+  book: 'BOOK',
+  chapter: 'CHAP',
+  report: 'RPRT',
+  dataset: 'DATA',
+  webpage: 'ELEC',
+};
+
+/**
+ * Collect the distinct sources cited in a conversation's answers, in order of first citation
+ * @param {Object} conversation - Conversation with messages
+ * @param {string} messageId - Only cite this answer's sources (optional)
+ * @returns {Array} Sources
+ */
+export function collectSources(conversation, messageId = null) {
+  const seen = new Set();
+  const sources = [];
+
+  for (const message of conversation.messages) {
+    if (message.role !== 'assistant' || (messageId && message.id !== messageId)) {
+      continue;
+    }
+    for (const source of message.sources || []) {
+      const key = source.scholarly?.doi || source.url || `${source.domain}:${source.title}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        sources.push(source);
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Convert sources to CSL-JSON items
+ * @param {Array} sources - Client-facing sources
+ * @param {Date} accessed - When the sources were retrieved, for web pages
+ * @returns {Array} CSL-JSON items
+ */
+export function toCslJson(sources, accessed = new Date()) {
+  const keys = new Map();
+
+  return sources.map(source => {
+    const work = source.scholarly;
+    const type = work ? CSL_TYPES[work.type] || 'article-journal' : 'webpage';
+    const issued = work?.published || work?.year || source.publishedDate;
+    const authors = (work?.authors || []).filter(author => author.family);
+
+    const item = {
+      id: citationKey(authors, issued, source, keys),
+      type,
+      title: work?.title || source.title,
+      ...(authors.length > 0 && {
+        author: authors.map(author => ({
+          family: author.family,
+          ...(author.given && { given: author.given }),
+        })),
+      }),
+      'container-title': work?.journal || (work ? undefined : source.domain),
+      publisher: work?.publisher || undefined,
+      issued: dateParts(issued),
+      volume: work?.volume || undefined,
+      issue: work?.issue || undefined,
+      page: work?.pages || undefined,
+      DOI: work?.doi || undefined,
+      PMID: work?.pmid || undefined,
+      URL: source.url || (work?.doi ? `https://doi.org/${work.doi}` : undefined),
+      accessed: work ? undefined : dateParts(accessed.toISOString()),
+      note: work?.retracted
+        ? `Retracted${work.retractionNotice ? `: ${work.retractionNotice}` : ''}`
+        : undefined,
+    };
+
+    // Leave out empty fields rather than exporting nulls
+    return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined && value !== null));
+  });
+}
+
+/**
+ * Format sources as BibTeX entries
+ * @param {Array} sources - Client-facing sources
+ * @returns {string} BibTeX
+ */
+export function toBibtex(sources) {
+  return toCslJson(sources).map(item => {
+    const type = BIBTEX_TYPES[item.type] || 'misc';
+    const [year, month] = item.issued?.['date-parts']?.[0] || [];
+    const containerField = { article: 'journal', inproceedings: 'booktitle', incollection: 'booktitle' }[type] || 'howpublished';
+    const notes = [
+      item.type === 'article' && 'Preprint',
+      item.note,
+      item.accessed && `Accessed ${formatDate(item.accessed)}`,
+    ].filter(Boolean);
+
+    const fields = [
+      ['title', item.title],
+      ['author', item.author?.map(author => [author.family, author.given].filter(Boolean).join(', ')).join(' and ')],
+      [containerField, item['container-title']],
+      ['publisher', item.publisher],
+      ['year', year],
+      ['month', month],
+      ['volume', item.volume],
+      ['number', item.issue],
+      ['pages', item.page?.replace(/-+/, '--')],
+      ['doi', item.DOI],
+      ['url', item.URL],
+      ['note', notes.join('. ')],
+    ].filter(([, value]) => value);
+
+    return `@${type}{${item.id},\n${fields
+      .map(([name, value]) => `  ${name} = {${name === 'url' || name === 'doi' ? value : escapeBibtex(String(value))}}`)
+      .join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Format sources as RIS records
+ * @param {Array} sources - Client-facing sources
+ * @returns {string} RIS
+ */
+export function toRis(sources) {
+  return toCslJson(sources).map(item => {
+    const [year, month, day] = item.issued?.['date-parts']?.[0] || [];
+    const [startPage, endPage] = (item.page || '').split(/-+/);
+
+    const lines = [
+      ['TY', RIS_TYPES[item.type] || 'GEN'],
+      ['TI', item.title],
+      ...(item.author || []).map(author => ['AU', [author.family, author.given].filter(Boolean).join(', ')]),
+      [item.type === 'webpage' ? 'DB' : 'JO', item['container-title']],
+      ['PB', item.publisher],
+      ['PY', year],
+      ['DA', year && [year, month, day].filter(Boolean).map(part => String(part).padStart(2, '0')).join('/')],
+      ['VL', item.volume],
+      ['IS', item.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['DO', item.DOI],
+      ['AN', item.PMID && `PMID:${item.PMID}`],
+      ['UR', item.URL],
+      ['Y2', item.accessed && formatDate(item.accessed)],
+      ['N1', item.note],
+      ['ER', ''],
+    ].filter(([tag, value]) => tag === 'ER' || value);
+
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Author-year keys such as "doe2021", with a letter suffix when two sources share one
+ */
+function citationKey(authors, issued, source, keys) {
+  const name = authors[0]?.family || source.domain?.split('.').slice(-2, -1)[0] || 'source';
+  const year = String(issued || '').match(/\d{4}/)?.[0] || 'nd';
+  const base = `${name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '') || 'source'}${year}`;
+
+  const count = keys.get(base) || 0;
+  keys.set(base, count + 1);
+  return count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+}
+
+function dateParts(value) {
+  if (!value) {
+    return undefined;
+  }
+  const parts = String(value).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!parts) {
+    return undefined;
+  }
+  return { 'date-parts': [parts.slice(1).filter(Boolean).map(part => parseInt(part, 10))] };
+}
+
+function formatDate(date) {
+  return date['date-parts'][0].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+function escapeBibtex(value) {
+  return value.replace(/[\\~^&%$#_{}]/g, character => BIBTEX_ESCAPES[character] || `\\${character}`);
+}
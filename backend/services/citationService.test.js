@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveWork } from './scholarlyResolvers/index.js';
+import { collectSources, toCslJson, toBibtex, toRis } from './citationService.js';
+
+let salt;
+let vaccine;
+let webPage;
+
+before(async () => {
+  // Works come from the committed fixtures in fixtures/scholarly
+  process.env.SCHOLARLY_RESOLVERS = 'fixture';
+  salt = {
+    title: 'Salt study',
+    url: 'https://doi.org/10.1000/salt_2021.001',
+    domain: 'doi.org',
+    scholarly: await resolveWork({ doi: '10.1000/salt_2021.001' }),
+  };
+  vaccine = {
+    title: 'BNT162b2 vaccine',
+    url: null,
+    domain: 'pubmed.ncbi.nlm.nih.gov',
+    scholarly: await resolveWork({ pmid: '33301246' }),
+  };
+  webPage = {
+    title: 'Salt\\sugar & you: 100% of what you need_to {know} for $5 #health',
+    url: 'https://example.com/salt?a=1&b=2',
+    domain: 'www.example.com',
+    publishedDate: '2023-05-02',
+  };
+});
+
+after(() => {
+  delete process.env.SCHOLARLY_RESOLVERS;
+});
+
+function entries(text) {
+  return text.trim().split(/\n\n/);
+}
+
+test('BibTeX escapes LaTeX special characters in text fields but not in DOIs and URLs', () => {
+  const [saltEntry, , webEntry] = entries(toBibtex([salt, vaccine, webPage]));
+
+  assert.match(saltEntry, /^@article\{muller2021,$/m);
+  assert.match(saltEntry, /title = \{Cutting salt by 30\\% \\& sugar by 20\\%: cost per \\#QALY in US\\\$ for the \\\{UK\\\} NHS\\_2021 cohort \(\\textasciitilde\{\}10\\textasciicircum\{\}6 adults\)\},/);
+  assert.match(saltEntry, /author = \{Müller, Zoë and O'Brien, Seán\},/);
+  assert.match(saltEntry, /journal = \{Journal of Public Health \\& Nutrition\},/);
+  assert.match(saltEntry, /doi = \{10\.1000\/salt_2021\.001\},/);
+  assert.match(saltEntry, /note = \{Retracted: https:\/\/doi\.org\/10\.1000\/salt\\_2021\.001\.retraction\}/);
+
+  assert.match(webEntry, /^@misc\{example2023,$/m);
+  assert.match(webEntry, /title = \{Salt\\textbackslash\{\}sugar \\& you: 100\\% of what you need\\_to \\\{know\\\} for \\\$5 \\#health\},/);
+  assert.match(webEntry, /url = \{https:\/\/example\.com\/salt\?a=1&b=2\},/);
+  assert.match(webEntry, /note = \{Accessed \d{4}-\d{2}-\d{2}\}/);
+});
+
+test('BibTeX writes journal articles with volume, number and page ranges', () => {
+  const [entry] = entries(toBibtex([vaccine]));
+
+  assert.equal(entry, `@article{polack2020,
+  title = {Safety and Efficacy of the BNT162b2 mRNA Covid-19 Vaccine},
+  author = {Polack, Fernando P. and Thomas, Stephen J. and Kitchin, Nicholas},
+  journal = {New England Journal of Medicine},
+  publisher = {Massachusetts Medical Society},
+  year = {2020},
+  month = {12},
+  volume = {383},
+  number = {27},
+  pages = {2603--2615},
+  doi = {10.1056/nejmoa2034577},
+  url = {https://doi.org/10.1056/nejmoa2034577}
+}`);
+});
+
+test('RIS maps each field to its tag, one author per line', () => {
+  const [saltRecord, vaccineRecord, webRecord] = entries(toRis([salt, vaccine, webPage]));
+
+  assert.equal(vaccineRecord, `TY  - JOUR
+TI  - Safety and Efficacy of the BNT162b2 mRNA Covid-19 Vaccine
+AU  - Polack, Fernando P.
+AU  - Thomas, Stephen J.
+AU  - Kitchin, Nicholas
+JO  - New England Journal of Medicine
+PB  - Massachusetts Medical Society
+PY  - 2020
+DA  - 2020/12/31
+VL  - 383
+IS  - 27
+SP  - 2603
+EP  - 2615
+DO  - 10.1056/nejmoa2034577
+AN  - PMID:33301246
+UR  - https://doi.org/10.1056/nejmoa2034577
+ER  -`);
+
+  // RIS is plain text, so nothing is escaped
+  assert.match(saltRecord, /^TI {2}- Cutting salt by 30% & sugar by 20%: .* \{UK\} NHS_2021 cohort \(~10\^6 adults\)$/m);
+  assert.match(saltRecord, /^DA {2}- 2021\/03$/m);
+  assert.match(saltRecord, /^SP {2}- e101$/m);
+  assert.doesNotMatch(saltRecord, /^EP/m);
+  assert.match(saltRecord, /^N1 {2}- Retracted: https:\/\/doi\.org\/10\.1000\/salt_2021\.001\.retraction$/m);
+
+  assert.match(webRecord, /^TY {2}- ELEC\nTI {2}- Salt\\sugar & you/);
+  assert.match(webRecord, /^DB {2}- www\.example\.com$/m);
+  assert.match(webRecord, /^Y2 {2}- \d{4}-\d{2}-\d{2}$/m);
+  assert.doesNotMatch(webRecord, /^JO/m);
+});
+
+test('CSL-JSON leaves out empty fields and dates web pages by when they were accessed', () => {
+  const [saltItem, , webItem] = toCslJson([salt, vaccine, webPage], new Date('2024-06-01T12:00:00Z'));
+
+  assert.deepEqual(saltItem.issued, { 'date-parts': [[2021, 3]] });
+  assert.equal(saltItem.note, 'Retracted: https://doi.org/10.1000/salt_2021.001.retraction');
+  assert.ok(!('issue' in saltItem) && !('publisher' in saltItem) && !('PMID' in saltItem));
+
+  assert.deepEqual(webItem, {
+    id: 'example2023',
+    type: 'webpage',
+    title: webPage.title,
+    'container-title': 'www.example.com',
+    issued: { 'date-parts': [[2023, 5, 2]] },
+    URL: 'https://example.com/salt?a=1&b=2',
+    accessed: { 'date-parts': [[2024, 6, 1]] },
+  });
+});
+
+test('sources are collected once each, in order of first citation, with distinct keys', () => {
+  const conversation = {
+    messages: [
+      { id: 'm1', role: 'user', sources: [webPage] },
+      { id: 'm2', role: 'assistant', sources: [salt, webPage] },
+      { id: 'm3', role: 'assistant', sources: [{ ...salt, title: 'Same DOI' }, vaccine, { ...webPage, url: 'https://example.com/other' }] },
+    ],
+  };
+
+  const all = collectSources(conversation);
+  assert.deepEqual(all.map(source => source.title), ['Salt study', webPage.title, 'BNT162b2 vaccine', webPage.title]);
+  assert.equal(collectSources(conversation, 'm2').length, 2);
+  assert.deepEqual(toCslJson(all).map(item => item.id), ['muller2021', 'example2023', 'polack2020', 'example2023a']);
+});
@@ -0,0 +1,370 @@
+import winston from 'winston';
+import { generateCompletion } from './modelProviders/index.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'claim-service' },
+});
+
+// Words that carry no meaning when matching claims against sources
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her',
+  'was', 'one', 'our', 'out', 'has', 'have', 'his', 'how', 'its', 'may', 'who', 'did',
+  'this', 'that', 'with', 'from', 'they', 'been', 'were', 'which', 'their', 'there',
+  'what', 'when', 'will', 'would', 'could', 'should', 'about', 'also', 'into', 'than',
+  'then', 'them', 'these', 'those', 'such', 'some', 'more', 'most', 'other', 'only',
+  'over', 'very', 'just', 'being', 'because', 'while', 'where', 'does', 'according',
+  'source', 'sources', 'based', 'available', 'evidence', 'suggests', 'research',
+]);
+
+const NEGATIONS = /\b(not|no|never|none|cannot|neither|nor|without)\b|n't\b/i;
+
+// Opposing terms that signal a source disagrees with a claim
+const OPPOSING_TERMS = [
+  ['safe', 'unsafe'],
+  ['safe', 'dangerous'],
+  ['effective', 'ineffective'],
+  ['proven', 'unproven'],
+  ['confirmed', 'debunked'],
+  ['true', 'false'],
+  ['increase', 'decrease'],
+  ['increases', 'decreases'],
+  ['higher', 'lower'],
+  ['more', 'less'],
+  ['legal', 'illegal'],
+];
+
+// Sentences that are commentary about the answer rather than claims about the world
+const NON_CLAIM_PATTERN = /\b(i (cannot|can't|don't|do not|am not)|please|consult|it('s| is) important to|this answer|in summary|overall,)\b/i;
+
+const SUPPORT_THRESHOLD = 0.5;
+const CONTRADICTION_THRESHOLD = 0.4;
+
+const QUALITY_WEIGHTS = {
+  high: 1,
+  medium: 0.8,
+  limited: 0.6,
+};
+
+const VERDICTS = ['supported', 'contradicted', 'unverified'];
+
+// Inline citation markers such as [1] or [2, 3]
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// A sentence ends at a terminator, with any closing quotes, brackets and citation
+// markers after it, followed by a capitalized word or the end of the line (lines are split first)
+const SENTENCE_END = /[.!?]+["'”’)\]]*(?:\s*\[\d+(?:\s*,\s*\d+)*\])*(?=[ \t]+["'“‘(\[]?[A-Z]|\s*$)/g;
+
+// Abbreviations usually followed by a capitalized name rather than a new sentence
+const ABBREVIATIONS = new Set(['cf', 'dr', 'mr', 'mrs', 'ms', 'mt', 'prof', 'st', 'vs']);
+
+/**
+ * Split an answer into factual claims and verify each one against the sources
+ * @param {string} answer - Generated answer text
+ * @param {Array} searchResults - Processed search results
+ * @param {Object} options - Verification options
+ * @param {string} options.tier - User tier, used to route the verification model
+ * @param {AbortSignal} options.signal - Aborts the verification request
+ * @returns {Array} Claims with verdict, confidence and matching sources
+ */
+export async function verifyClaims(answer, searchResults, options = {}) {
+  const claims = extractClaims(answer);
+
+  if (claims.length === 0 || searchResults.length === 0) {
+    return claims.map(claim => ({
+      ...claim,
+      verdict: 'unverified',
+      confidence: 50,
+      supportingSources: [],
+      contradictingSources: [],
+    }));
+  }
+
+  // Rank candidate sources for each claim lexically; both verifiers work from these
+  const candidates = claims.map(claim => rankSources(claim.text, searchResults));
+
+  const mode = process.env.CLAIM_VERIFIER || 'model';
+
+  if (mode === 'model') {
+    try {
+      return await verifyWithModel(claims, candidates, options);
+    } catch (error) {
+      logger.warn('Model claim verification failed, using heuristic verifier', {
+        error: error.message,
+      });
+    }
+  }
+
+  return claims.map((claim, index) => verifyHeuristically(claim, candidates[index]));
+}
+
+/**
+ * Split text into sentences that make checkable factual claims
+ * @param {string} text - Answer text
+ * @returns {Array} Claims with their character offsets in the text and cited source numbers
+ */
+export function extractClaims(text = '') {
+  const claims = [];
+
+  for (const { text: sentence, start } of splitSentences(text)) {
+    if (/\?["'”’)\]]*$/.test(sentence.replace(CITATION_MARKER, '').trim())) continue;
+    if (NON_CLAIM_PATTERN.test(sentence)) continue;
+    if (contentTokens(sentence).length < 4) continue;
+
+    claims.push({
+      id: claims.length + 1,
+      text: sentence,
+      start,
+      end: start + sentence.length,
+      citations: extractCitations(sentence),
+    });
+  }
+
+  return claims;
+}
+
+/**
+ * Split text into sentences at line breaks and sentence ends, keeping decimals
+ * ("3.5%"), abbreviations ("e.g.", "Dr.") and initialisms ("U.S.") inside their sentence
+ * @param {string} text - Text to split
+ * @returns {Array} Trimmed sentences as { text, start } with start the offset in text
+ */
+export function splitSentences(text = '') {
+  const sentences = [];
+  let lineStart = 0;
+
+  for (const line of text.split('\n')) {
+    let sentenceStart = 0;
+
+    for (const match of line.matchAll(SENTENCE_END)) {
+      const end = match.index + match[0].length;
+      if (isAbbreviation(line.slice(sentenceStart, match.index), match[0])) continue;
+
+      pushSentence(sentences, line.slice(sentenceStart, end), lineStart + sentenceStart);
+      sentenceStart = end;
+    }
+
+    pushSentence(sentences, line.slice(sentenceStart), lineStart + sentenceStart);
+    lineStart += line.length + 1;
+  }
+
+  return sentences;
+}
+
+function pushSentence(sentences, raw, offset) {
+  const sentence = raw.trim();
+  if (sentence) {
+    sentences.push({ text: sentence, start: offset + raw.indexOf(sentence) });
+  }
+}
+
+/**
+ * Whether a period ends an abbreviation rather than the sentence: a known
+ * abbreviation, a single initial ("J. Smith") or dotted letters ("e.g.", "U.S.")
+ */
+function isAbbreviation(before, terminator) {
+  if (!terminator.startsWith('.') || terminator.startsWith('..')) {
+    return false;
+  }
+
+  const word = (before.match(/([A-Za-z.]+)$/) || [])[1] || '';
+  return ABBREVIATIONS.has(word.toLowerCase()) ||
+    /^[A-Z]$/.test(word) ||
+    /^(?:[A-Za-z]\.)+[A-Za-z]$/.test(word);
+}
+
+/**
+ * Collect the source numbers referenced by [n] markers in a piece of text
+ * @param {string} text - Text containing citation markers
+ * @returns {Array} Unique source numbers in order of appearance
+ */
+export function extractCitations(text = '') {
+  const numbers = [...text.matchAll(CITATION_MARKER)]
+    .flatMap(match => match[1].split(',').map(n => parseInt(n, 10)));
+  return [...new Set(numbers)];
+}
+
+/**
+ * Summarize verdict counts for a set of claims
+ */
+export function summarizeClaims(claims = []) {
+  return VERDICTS.reduce((summary, verdict) => ({
+    ...summary,
+    [verdict]: claims.filter(claim => claim.verdict === verdict).length,
+  }), { total: claims.length });
+}
+
+/**
+ * Score every source sentence against a claim and keep the best matches
+ */
+function rankSources(claimText, searchResults) {
+  const claimTokens = contentTokens(claimText);
+
+  return searchResults
+    .map(source => {
+      const text = [source.snippet || '', ...(source.passages || []).map(passage => passage.text)].join(' ');
+      const sentences = text.split(/(?<=[.!?])\s+/).filter(Boolean);
+
+      let best = { overlap: 0, sentence: '' };
+      for (const sentence of sentences) {
+        const sentenceTokens = new Set(contentTokens(sentence));
+        const shared = claimTokens.filter(token => sentenceTokens.has(token)).length;
+        const overlap = claimTokens.length > 0 ? shared / claimTokens.length : 0;
+        if (overlap > best.overlap) {
+          best = { overlap, sentence };
+        }
+      }
+
+      return { source, ...best };
+    })
+    .filter(candidate => candidate.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, 3);
+}
+
+/**
+ * Decide a verdict from lexical overlap, negation and opposing terms
+ */
+function verifyHeuristically(claim, candidates) {
+  const supporting = [];
+  const contradicting = [];
+
+  for (const candidate of candidates) {
+    const opposes = contradicts(claim.text, candidate.sentence);
+
+    if (opposes && candidate.overlap >= CONTRADICTION_THRESHOLD) {
+      contradicting.push(candidate);
+    } else if (!opposes && candidate.overlap >= SUPPORT_THRESHOLD) {
+      supporting.push(candidate);
+    }
+  }
+
+  const strength = (matches) => matches.reduce((total, match) =>
+    total + match.overlap * (QUALITY_WEIGHTS[match.source.quality] || 0.6), 0);
+
+  const supportStrength = strength(supporting);
+  const contradictionStrength = strength(contradicting);
+
+  let verdict = 'unverified';
+  let confidence = 50;
+
+  if (contradictionStrength > 0 && contradictionStrength >= supportStrength) {
+    verdict = 'contradicted';
+    confidence = scoreConfidence(contradicting);
+  } else if (supportStrength > 0) {
+    verdict = 'supported';
+    confidence = scoreConfidence(supporting);
+  }
+
+  return {
+    ...claim,
+    verdict,
+    confidence,
+    supportingSources: supporting.map(toClaimSource),
+    contradictingSources: contradicting.map(toClaimSource),
+  };
+}
+
+/**
+ * Confidence grows with match strength, source quality and corroboration
+ */
+function scoreConfidence(matches) {
+  const best = Math.max(...matches.map(match =>
+    match.overlap * (QUALITY_WEIGHTS[match.source.quality] || 0.6)));
+  const corroboration = (matches.length - 1) * 5;
+  return Math.round(Math.min(95, 40 + best * 50 + corroboration));
+}
+
+function contradicts(claimText, sourceText) {
+  const claim = claimText.toLowerCase();
+  const source = sourceText.toLowerCase();
+
+  if (NEGATIONS.test(claim) !== NEGATIONS.test(source)) {
+    return true;
+  }
+
+  return OPPOSING_TERMS.some(([a, b]) =>
+    (hasWord(claim, a) && hasWord(source, b)) || (hasWord(claim, b) && hasWord(source, a))
+  );
+}
+
+/**
+ * Ask the routed model for verdicts on all claims in a single request
+ */
+async function verifyWithModel(claims, candidates, { tier, signal }) {
+  const payload = claims.map((claim, index) => ({
+    id: claim.id,
+    claim: claim.text,
+    sources: candidates[index].map((candidate, sourceIndex) => ({
+      n: sourceIndex + 1,
+      domain: candidate.source.domain,
+      text: candidate.source.snippet,
+      excerpt: candidate.sentence,
+    })),
+  }));
+
+  const completion = await generateCompletion({
+    tier,
+    messages: [
+      {
+        role: 'system',
+        content: `You verify factual claims against source excerpts. For each claim decide:
+- "supported" if the sources state or directly imply it
+- "contradicted" if any source states the opposite
+- "unverified" if the sources do not address it
+Only use the provided sources. Respond with JSON only, in the form:
+{"claims":[{"id":1,"verdict":"supported","confidence":85,"supporting":[1],"contradicting":[]}]}
+confidence is 0-100 and reflects how strongly the sources back your verdict.`,
+      },
+      { role: 'user', content: JSON.stringify(payload) },
+    ],
+    signal,
+  });
+
+  const json = completion.content.match(/\{[\s\S]*\}/);
+  if (!json) {
+    throw new Error('Verification response was not JSON');
+  }
+
+  const verdicts = new Map(JSON.parse(json[0]).claims.map(result => [result.id, result]));
+
+  return claims.map((claim, index) => {
+    const result = verdicts.get(claim.id);
+    if (!result || !VERDICTS.includes(result.verdict)) {
+      return verifyHeuristically(claim, candidates[index]);
+    }
+
+    const pick = (numbers = []) => numbers
+      .map(n => candidates[index][n - 1])
+      .filter(Boolean)
+      .map(toClaimSource);
+
+    return {
+      ...claim,
+      verdict: result.verdict,
+      confidence: Math.max(0, Math.min(100, Math.round(Number(result.confidence) || 50))),
+      supportingSources: pick(result.supporting),
+      contradictingSources: pick(result.contradicting),
+    };
+  });
+}
+
+function toClaimSource(candidate) {
+  return {
+    title: candidate.source.title,
+    url: candidate.source.link,
+    domain: candidate.source.domain,
+    quality: candidate.source.quality,
+    excerpt: candidate.sentence,
+  };
+}
+
+function contentTokens(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+function hasWord(text, word) {
+  return new RegExp(`\\b${word}\\b`).test(text);
+}
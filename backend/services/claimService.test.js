@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractClaims, extractCitations, splitSentences } from './claimService.js';
+
+test('splitSentences keeps decimals, abbreviations and initialisms inside their sentence', () => {
+  const text = 'Inflation in the U.S. rose 3.5% in 2023, e.g. in housing [1]. Dr. Smith disagreed with the Fed. Rates fell.';
+
+  assert.deepEqual(splitSentences(text).map(sentence => sentence.text), [
+    'Inflation in the U.S. rose 3.5% in 2023, e.g. in housing [1].',
+    'Dr. Smith disagreed with the Fed.',
+    'Rates fell.',
+  ]);
+});
+
+test('splitSentences keeps citation markers after the period with their sentence', () => {
+  assert.deepEqual(splitSentences('Exposure stays below limits. [1] Children are not at risk. [2, 3]').map(s => s.text), [
+    'Exposure stays below limits. [1]',
+    'Children are not at risk. [2, 3]',
+  ]);
+});
+
+test('splitSentences splits at line breaks and reports offsets into the text', () => {
+  const text = '  First line without a period\nSecond line here. Third one!';
+  const sentences = splitSentences(text);
+
+  assert.deepEqual(sentences.map(s => s.text), ['First line without a period', 'Second line here.', 'Third one!']);
+  for (const sentence of sentences) {
+    assert.equal(text.slice(sentence.start, sentence.start + sentence.text.length), sentence.text);
+  }
+});
+
+test('extractClaims returns whole claims with offsets that highlight them in the answer', () => {
+  const answer = 'Global temperatures rose about 1.1 °C since 1850 [1]. U.S. carbon emissions fell 2.5% in 2019 according to federal estimates [2]. What does this mean?';
+  const claims = extractClaims(answer);
+
+  assert.deepEqual(claims.map(claim => claim.text), [
+    'Global temperatures rose about 1.1 °C since 1850 [1].',
+    'U.S. carbon emissions fell 2.5% in 2019 according to federal estimates [2].',
+  ]);
+  for (const claim of claims) {
+    assert.equal(answer.slice(claim.start, claim.end), claim.text);
+  }
+  assert.deepEqual(claims.map(claim => claim.citations), [[1], [2]]);
+});
+
+test('extractClaims skips questions and commentary', () => {
+  assert.deepEqual(
+    extractClaims('Is the vaccine safe for young children? Please consult your doctor about vaccination schedules.'),
+    []
+  );
+});
+
+test('extractCitations collects unique source numbers in order', () => {
+  assert.deepEqual(extractCitations('A [2] and B [1, 2] and C [3]'), [2, 1, 3]);
+});
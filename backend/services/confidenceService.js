@@ -1,4 +1,9 @@
 import winston from 'winston';
+import { analyzeSourceAgreement } from './agreementService.js';
+import { getReputationRegistry } from './domainReputationService.js';
+import { getSourcePolicy, applySourcePolicy, getSourceBoost } from './sourcePolicyService.js';
+import { getActiveCalibration, scoreConfidence } from './calibrationService.js';
+import { EVIDENCE_SCORES, summarizeEvidence } from './scholarlyService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -6,69 +11,6 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'confidence-service' },
 });
 
-// Domain quality scores (0-100)
-const DOMAIN_QUALITY_SCORES = {
-  // Government sources
-  '.gov': 95,
-  '.gov.uk': 95,
-  '.gov.ca': 95,
-  '.gov.au': 95,
-  
-  // Academic sources
-  '.edu': 90,
-  '.ac.uk': 90,
-  'nature.com': 95,
-  'science.org': 95,
-  'sciencedirect.com': 90,
-  'pubmed.ncbi.nlm.nih.gov': 95,
-  'arxiv.org': 85,
-  'scholar.google.com': 85,
-  
-  // International organizations
-  'who.int': 95,
-  'un.org': 90,
-  'worldbank.org': 90,
-  'imf.org': 90,
-  
-  // Reputable news sources
-  'reuters.com': 85,
-  'apnews.com': 85,
-  'bbc.com': 80,
-  'bbc.co.uk': 80,
-  'npr.org': 80,
-  'pbs.org': 80,
-  'economist.com': 80,
-  'ft.com': 80,
-  'wsj.com': 75,
-  'nytimes.com': 75,
-  'washingtonpost.com': 75,
-  'theguardian.com': 75,
-  
-  // Fact-checking sites
-  'snopes.com': 85,
-  'factcheck.org': 85,
-  'politifact.com': 80,
-  
-  // Reference sources
-  'wikipedia.org': 70,
-  'britannica.com': 85,
-  
-  // Tech/Science publications
-  'arstechnica.com': 70,
-  'scientificamerican.com': 80,
-  'technologyreview.com': 75,
-  'wired.com': 65,
-  
-  // General/Unknown sources
-  'medium.com': 45,
-  'substack.com': 50,
-  'reddit.com': 30,
-  'quora.com': 35,
-  'youtube.com': 40,
-  'twitter.com': 25,
-  'facebook.com': 25,
-};
-
 // Topic stability scores - how quickly information changes
 const TOPIC_STABILITY = {
   // Very stable (rarely changes)
@@ -106,61 +48,72 @@ const UNCERTAINTY_PHRASES = [
  * @param {Array} searchResults - Array of search result objects
  * @param {string} question - The user's question
  * @param {string} topic - Detected topic category
+ * @param {Object} options - Options for the agreement analysis
+ * @param {string} options.tier - User tier, used when the NLI provider is a chat model
+ * @param {AbortSignal} options.signal - Aborts model-backed agreement checks
+ * @param {string} options.teamId - Team whose domain reputation overrides and source policy apply (optional)
  * @returns {Object} Confidence score and breakdown
  */
-export async function calculateConfidence(searchResults, question, topic = 'general') {
+export async function calculateConfidence(searchResults, question, topic = 'general', options = {}) {
   try {
-    // 1. Calculate source quality score (30% weight)
-    const sourceQuality = calculateSourceQuality(searchResults);
+    // Sources the team's policy excludes never count towards confidence
+    const policy = await getSourcePolicy(options.teamId);
+    const { results } = applySourcePolicy(searchResults || [], policy);
     
-    // 2. Calculate source agreement/consensus (25% weight)
-    const sourceAgreement = calculateSourceAgreement(searchResults);
+    // 1. Calculate source quality score (30% weight by default)
+    const sourceQuality = await calculateSourceQuality(results, options.teamId, policy);
     
-    // 3. Calculate information recency score (25% weight)
-    const recencyScore = calculateRecencyScore(searchResults, topic);
+    // 2. Calculate source agreement/consensus (25% weight by default)
+    const sourceAgreement = await analyzeSourceAgreement(results, question, options);
     
-    // 4. Calculate certainty from language (20% weight)
-    const certaintyScore = calculateCertaintyScore(searchResults);
+    // 3. Calculate information recency score (25% weight by default)
+    const recencyScore = calculateRecencyScore(results, topic);
     
-    // Calculate weighted average
-    const overallConfidence = Math.round(
-      sourceQuality.score * 0.30 +
-      sourceAgreement.score * 0.25 +
-      recencyScore.score * 0.25 +
-      certaintyScore.score * 0.20
-    );
+    // 4. Calculate certainty from language (20% weight by default)
+    const certaintyScore = calculateCertaintyScore(results);
     
-    // Determine confidence level
-    let level = 'low';
-    if (overallConfidence >= 80) level = 'high';
-    else if (overallConfidence >= 60) level = 'medium';
+    // Combine with the weights, mapping and level thresholds fitted from user feedback
+    const calibration = await getActiveCalibration();
+    const { overall: overallConfidence, level } = scoreConfidence({
+      sourceQuality: sourceQuality.score,
+      sourceAgreement: sourceAgreement.score,
+      recencyScore: recencyScore.score,
+      certaintyScore: certaintyScore.score,
+    }, calibration);
+    const weight = (factor) => Math.round(calibration.weights[factor] * 100);
     
     // Compile detailed breakdown
     const breakdown = {
       overall: overallConfidence,
       level: level,
+      calibrationVersion: calibration.version,
       factors: {
         sourceQuality: {
           score: sourceQuality.score,
-          weight: 30,
+          weight: weight('sourceQuality'),
           details: sourceQuality.details,
         },
         sourceAgreement: {
           score: sourceAgreement.score,
-          weight: 25,
+          weight: weight('sourceAgreement'),
           details: sourceAgreement.details,
         },
         recencyScore: {
           score: recencyScore.score,
-          weight: 25,
+          weight: weight('recencyScore'),
           details: recencyScore.details,
         },
         certaintyScore: {
           score: certaintyScore.score,
-          weight: 20,
+          weight: weight('certaintyScore'),
           details: certaintyScore.details,
         },
       },
+      agreement: {
+        contradictions: sourceAgreement.contradictions,
+        stances: sourceAgreement.stances,
+        method: sourceAgreement.method,
+      },
     };
     
     logger.info('Confidence calculated', { 
@@ -184,31 +137,25 @@ export async function calculateConfidence(searchResults, question, topic = 'gene
 }
 
 /**
- * Calculate source quality score based on domain reputation
+ * Calculate source quality score based on domain reputation. Sources with scholarly
+ * metadata (research mode) are scored by evidence level instead, and retracted works score 0.
  */
-function calculateSourceQuality(searchResults) {
+async function calculateSourceQuality(searchResults, teamId, policy) {
   if (!searchResults || searchResults.length === 0) {
     return { score: 0, details: 'No sources available' };
   }
   
+  // Search results carry their reputation already; look up anything that doesn't
+  const registry = await getReputationRegistry(teamId);
   const scores = searchResults.map(result => {
     const url = result.link || result.url || '';
-    const domain = extractDomain(url);
-    
-    // Check exact domain match first
-    if (DOMAIN_QUALITY_SCORES[domain]) {
-      return DOMAIN_QUALITY_SCORES[domain];
+    if (result.scholarly?.retracted) {
+      return 0;
     }
-    
-    // Check partial domain matches
-    for (const [key, score] of Object.entries(DOMAIN_QUALITY_SCORES)) {
-      if (domain.includes(key) || key.includes(domain)) {
-        return score;
-      }
-    }
-    
-    // Default score for unknown domains
-    return 50;
+    const reputation = result.scholarly
+      ? EVIDENCE_SCORES[result.scholarly.evidenceLevel]
+      : result.reputationScore ?? registry.lookup(url).score;
+    return Math.min(100, reputation + getSourceBoost(policy, url));
   });
   
   // Calculate average, giving more weight to higher quality sources
@@ -221,6 +168,14 @@ function calculateSourceQuality(searchResults) {
   const totalWeight = scores.reduce((acc, _, index) => acc + (1 / (index + 1)), 0);
   const finalScore = Math.round(weightedAverage / totalWeight);
   
+  const evidence = summarizeEvidence(searchResults);
+  if (evidence.scholarly > 0) {
+    return {
+      score: finalScore,
+      details: `Analyzed ${scores.length} sources, weighted by evidence hierarchy: ${describeEvidenceLevels(evidence)}.`,
+    };
+  }
+  
   return {
     score: finalScore,
     details: `Analyzed ${scores.length} sources. Top domains included.`,
@@ -228,69 +183,22 @@ function calculateSourceQuality(searchResults) {
 }
 
 /**
- * Calculate how well sources agree with each other
+ * "2 meta-analyses, 1 randomized trial, 1 retracted"
  */
-function calculateSourceAgreement(searchResults) {
-  if (!searchResults || searchResults.length < 2) {
-    return { score: 50, details: 'Insufficient sources for consensus analysis' };
-  }
-  
-  // Extract key claims/facts from snippets
-  const snippets = searchResults.map(r => (r.snippet || '').toLowerCase());
-  
-  // Simple agreement check - look for contradictory terms
-  const contradictoryPairs = [
-    ['yes', 'no'],
-    ['true', 'false'],
-    ['safe', 'dangerous'],
-    ['effective', 'ineffective'],
-    ['proven', 'unproven'],
-    ['confirmed', 'debunked'],
-    ['increase', 'decrease'],
-    ['positive', 'negative'],
-  ];
-  
-  let contradictions = 0;
-  let agreements = 0;
-  
-  for (let i = 0; i < snippets.length - 1; i++) {
-    for (let j = i + 1; j < snippets.length; j++) {
-      const snippet1 = snippets[i];
-      const snippet2 = snippets[j];
-      
-      // Check for contradictions
-      for (const [term1, term2] of contradictoryPairs) {
-        if ((snippet1.includes(term1) && snippet2.includes(term2)) ||
-            (snippet1.includes(term2) && snippet2.includes(term1))) {
-          contradictions++;
-        }
-      }
-      
-      // Check for agreement (similar key terms)
-      const words1 = snippet1.split(/\s+/);
-      const words2 = snippet2.split(/\s+/);
-      const commonWords = words1.filter(w => words2.includes(w) && w.length > 4);
-      if (commonWords.length > 5) {
-        agreements++;
-      }
-    }
-  }
-  
-  // Calculate agreement score
-  const totalComparisons = (snippets.length * (snippets.length - 1)) / 2;
-  const agreementRatio = agreements / totalComparisons;
-  const contradictionRatio = contradictions / totalComparisons;
-  
-  const score = Math.round(Math.max(0, Math.min(100, 
-    50 + (agreementRatio * 100) - (contradictionRatio * 200)
-  )));
-  
-  return {
-    score,
-    details: contradictions > 0 
-      ? `Found ${contradictions} potential contradictions among sources`
-      : 'Sources show general agreement',
+function describeEvidenceLevels(evidence) {
+  const names = {
+    meta_analysis: ['meta-analysis', 'meta-analyses'],
+    rct: ['randomized trial', 'randomized trials'],
+    observational: ['observational study', 'observational studies'],
+    other: ['other scholarly work', 'other scholarly works'],
+    preprint: ['preprint', 'preprints'],
   };
+  const parts = Object.entries(evidence.levels)
+    .filter(([, count]) => count > 0)
+    .map(([level, count]) => `${count} ${names[level][count === 1 ? 0 : 1]}`);
+  if (evidence.retracted > 0) parts.push(`${evidence.retracted} retracted`);
+  if (evidence.nonScholarly > 0) parts.push(`${evidence.nonScholarly} non-scholarly`);
+  return parts.join(', ');
 }
 
 /**
@@ -360,7 +268,7 @@ function calculateCertaintyScore(searchResults) {
   let uncertaintyCount = 0;
   
   for (const result of searchResults) {
-    const text = (result.snippet || '').toLowerCase();
+    const text = getSourceText(result).toLowerCase();
     const words = text.split(/\s+/);
     totalWords += words.length;
     
@@ -396,15 +304,11 @@ function calculateCertaintyScore(searchResults) {
 }
 
 /**
- * Extract domain from URL
+ * Text available for a source: its snippet plus passages from the full page when fetched
  */
-function extractDomain(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname.replace('www.', '');
-  } catch {
-    return url;
-  }
+function getSourceText(result) {
+  const passages = (result.passages || []).map(passage => passage.text);
+  return [result.snippet || '', ...passages].join(' ');
 }
 
 /**
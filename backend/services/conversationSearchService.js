@@ -0,0 +1,357 @@
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { embedTexts, getDefaultEmbeddingProviderName } from './embeddingProviders/index.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'conversation-search-service' },
+});
+
+export const CONFIDENCE_FILTERS = ['high', 'medium', 'low'];
+
+// Message rows fetched from each search before grouping them by conversation
+const MATCH_COUNT = 100;
+// Matching messages shown per conversation
+const MATCHES_PER_CONVERSATION = 3;
+const SNIPPET_LENGTH = 200;
+// Reciprocal rank fusion constant for merging full-text and semantic rankings
+const RRF_K = 60;
+// Embedding inputs are cut to this many characters
+const EMBEDDING_INPUT_LENGTH = 2000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with',
+]);
+
+/**
+ * Whether new messages are embedded for semantic search (CONVERSATION_SEARCH_SEMANTIC, default on)
+ */
+export function isSemanticSearchEnabled() {
+  return process.env.CONVERSATION_SEARCH_SEMANTIC !== 'off';
+}
+
+/**
+ * Search a user's conversations by message content, cited sources and titles
+ * @param {string} userId - User ID
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Web-style query: words, "quoted phrases", OR, -excluded (optional with filters)
+ * @param {boolean} params.semantic - Also match messages by meaning
+ * @param {string} params.confidence - Only answers at this level, one of CONFIDENCE_FILTERS
+ * @param {string} params.from - Only messages on or after this date
+ * @param {string} params.to - Only messages on or before this date (a date includes the whole day)
+ * @param {string} params.domain - Only answers citing this domain or its subdomains
+ * @param {number} params.limit - Conversations to return
+ * @returns {Object} { results, semantic } where each result is
+ *   { conversationId, title, updatedAt, score, titleHighlights, matches }
+ */
+export async function searchConversations(userId, {
+  query = null,
+  semantic = false,
+  confidence = null,
+  from = null,
+  to = null,
+  domain = null,
+  limit = 20,
+} = {}) {
+  const filters = {
+    search_user_id: userId,
+    confidence_filter: confidence,
+    date_from: from ? new Date(from).toISOString() : null,
+    date_to: to ? endOfRange(to) : null,
+    source_domain: domain ? domain.toLowerCase().replace(/^www\./, '') : null,
+  };
+
+  try {
+    const [textMatches, semanticMatches] = await Promise.all([
+      searchText(query, filters),
+      semantic && query && isSemanticSearchEnabled() ? searchSemantic(query, filters) : null,
+    ]);
+
+    const results = groupByConversation(textMatches, semanticMatches || [], query).slice(0, limit);
+
+    logger.info('Conversations searched', {
+      userId,
+      semantic: Boolean(semanticMatches),
+      textMatches: textMatches.length,
+      semanticMatches: semanticMatches?.length || 0,
+      results: results.length,
+    });
+
+    return { results, semantic: Boolean(semanticMatches) };
+
+  } catch (error) {
+    logger.error('Error searching conversations', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Embed messages for semantic search. Failures are logged, since search falls
+ * back to full-text for messages without an embedding.
+ * @param {Array} messages - Saved messages ({ id, user_id, content })
+ * @returns {number} Messages embedded
+ */
+export async function indexMessages(messages) {
+  const rows = messages.filter(message => message?.id && message.content?.trim());
+  if (!isSemanticSearchEnabled() || rows.length === 0) {
+    return 0;
+  }
+
+  try {
+    // No fallback: stored vectors must all come from the same provider
+    const { vectors, provider } = await embedTexts(
+      rows.map(message => message.content.substring(0, EMBEDDING_INPUT_LENGTH)),
+      { fallback: false }
+    );
+
+    const { error } = await getSupabase()
+      .from('message_embeddings')
+      .upsert(rows.map((message, index) => ({
+        message_id: message.id,
+        user_id: message.user_id,
+        embedding: vectors[index],
+        embedding_provider: provider,
+      })), { onConflict: 'message_id' });
+
+    if (error) {
+      throw error;
+    }
+
+    return rows.length;
+
+  } catch (error) {
+    logger.warn('Failed to index messages for search', { error: error.message, messages: rows.length });
+    return 0;
+  }
+}
+
+/**
+ * Embed messages saved before semantic search was enabled, or embedded by a
+ * different provider than the current EMBEDDING_PROVIDER
+ * @param {Object} options - { batchSize, limit }
+ * @returns {Object} { scanned, indexed }
+ */
+export async function backfillMessageEmbeddings({ batchSize = 100, limit = Infinity } = {}) {
+  const provider = getDefaultEmbeddingProviderName();
+  let scanned = 0;
+  let indexed = 0;
+  let lastId = null;
+
+  while (scanned < limit) {
+    let request = getSupabase()
+      .from('messages')
+      .select('id, user_id, content, message_embeddings(embedding_provider)')
+      .order('id', { ascending: true })
+      .limit(Math.min(batchSize, limit - scanned));
+
+    if (lastId) {
+      request = request.gt('id', lastId);
+    }
+
+    const { data: messages, error } = await request;
+    if (error) {
+      throw error;
+    }
+    if (!messages || messages.length === 0) {
+      break;
+    }
+
+    scanned += messages.length;
+    lastId = messages[messages.length - 1].id;
+
+    const missing = messages.filter(message => {
+      const existing = [].concat(message.message_embeddings || [])[0];
+      return existing?.embedding_provider !== provider;
+    });
+    indexed += await indexMessages(missing);
+
+    logger.info('Backfill batch done', { scanned, indexed });
+  }
+
+  return { scanned, indexed };
+}
+
+async function searchText(query, filters) {
+  const { data, error } = await getSupabase().rpc('search_messages', {
+    ...filters,
+    search_query: query || null,
+    match_count: MATCH_COUNT,
+  });
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+async function searchSemantic(query, filters) {
+  try {
+    const { vectors, provider } = await embedTexts([query], { fallback: false });
+    const minSimilarity = parseFloat(process.env.CONVERSATION_SEARCH_MIN_SIMILARITY) || 0.3;
+
+    const { data, error } = await getSupabase().rpc('match_message_embeddings', {
+      ...filters,
+      query_embedding: vectors[0],
+      provider,
+      match_count: MATCH_COUNT,
+    });
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).filter(match => match.similarity >= minSimilarity);
+
+  } catch (error) {
+    // Full-text results are still useful on their own
+    logger.warn('Semantic conversation search failed', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Merge both rankings with reciprocal rank fusion and group messages by conversation
+ */
+function groupByConversation(textMatches, semanticMatches, query) {
+  const terms = queryTerms(query);
+  const messages = new Map();
+
+  const add = (match, rank, type) => {
+    const entry = messages.get(match.id) || { match, score: 0, types: new Set() };
+    entry.score += 1 / (RRF_K + rank);
+    entry.types.add(type);
+    messages.set(match.id, entry);
+  };
+  textMatches.forEach((match, index) => add(match, index + 1, 'text'));
+  semanticMatches.forEach((match, index) => add(match, index + 1, 'semantic'));
+
+  const conversations = new Map();
+  for (const { match, score, types } of messages.values()) {
+    let conversation = conversations.get(match.conversation_id);
+    if (!conversation) {
+      conversation = {
+        conversationId: match.conversation_id,
+        title: match.title,
+        updatedAt: match.conversation_updated_at,
+        titleHighlights: highlight(match.title || '', terms),
+        matches: [],
+      };
+      conversations.set(match.conversation_id, conversation);
+    }
+    conversation.matches.push({ ...describeMatch(match, terms), score, matchType: types.size > 1 ? 'both' : [...types][0] });
+  }
+
+  return [...conversations.values()]
+    .map(conversation => {
+      const matches = conversation.matches.sort((a, b) => b.score - a.score);
+      // A conversation ranks by its best message, with a small boost for further matches
+      const score = matches[0].score + matches.slice(1).reduce((sum, match) => sum + match.score / 10, 0);
+
+      return {
+        ...conversation,
+        score: Math.round(score * 10000) / 10000,
+        matches: matches.slice(0, MATCHES_PER_CONVERSATION).map(({ score: _score, ...match }) => match),
+      };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+function describeMatch(match, terms) {
+  const { snippet, offset } = excerpt(match.content, terms);
+  const sources = Array.isArray(match.sources) ? match.sources : [];
+
+  return {
+    messageId: match.id,
+    role: match.role,
+    createdAt: match.created_at,
+    confidenceScore: match.confidence_score,
+    confidenceLevel: match.confidence_level,
+    snippet,
+    highlights: highlight(snippet, terms),
+    truncatedStart: offset > 0,
+    // Cited sources whose title or domain matched
+    sources: sources
+      .map(source => ({
+        title: source.title,
+        url: source.url || null,
+        domain: source.domain,
+        highlights: highlight(source.title || '', terms),
+        domainHighlights: highlight(source.domain || '', terms),
+      }))
+      .filter(source => source.highlights.length > 0 || source.domainHighlights.length > 0)
+      .slice(0, 3),
+  };
+}
+
+/**
+ * Words of the query to highlight, without operators, excluded terms and stopwords
+ */
+function queryTerms(query) {
+  if (!query) return [];
+
+  return [...new Set(
+    query
+      .toLowerCase()
+      .replace(/(^|\s)-\S+/g, ' ')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && word !== 'or' && !STOPWORDS.has(word))
+      .map(stem)
+  )];
+}
+
+/**
+ * [start, end) ranges of words in text whose stem matches a query term
+ */
+function highlight(text, terms) {
+  if (!text || terms.length === 0) return [];
+
+  const ranges = [];
+  for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const wordStem = stem(word[0].toLowerCase());
+    if (terms.some(term => wordStem === term || (term.length >= 4 && wordStem.startsWith(term)))) {
+      ranges.push([word.index, word.index + word[0].length]);
+    }
+  }
+  return ranges;
+}
+
+// Strips common English suffixes so "vaccines" matches "vaccinated" roughly like Postgres stemming
+function stem(word) {
+  return word.replace(/(ations?|ings?|ed|ies|es|s|ly)$/, '').replace(/(.)\1$/, '$1').replace(/e$/, '') || word;
+}
+
+/**
+ * A window of the text around the first highlighted word
+ */
+function excerpt(content = '', terms) {
+  const first = highlight(content, terms)[0];
+  if (!first || content.length <= SNIPPET_LENGTH) {
+    return {
+      snippet: content.length > SNIPPET_LENGTH ? `${content.substring(0, SNIPPET_LENGTH)}…` : content,
+      offset: 0,
+    };
+  }
+
+  let start = Math.max(0, first[0] - 60);
+  // Start on a word boundary
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    start = space !== -1 && space < first[0] ? space + 1 : start;
+  }
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  return {
+    snippet: `${content.substring(start, end)}${end < content.length ? '…' : ''}`,
+    offset: start,
+  };
+}
+
+// A date without a time covers the whole day
+function endOfRange(value) {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
@@ -0,0 +1,130 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { createSchemaDatabase } from '../testing/schemaDatabase.js';
+import { searchConversations } from './conversationSearchService.js';
+
+const USER_ID = '10000000-0000-4000-8000-000000000001';
+const OTHER_USER_ID = '10000000-0000-4000-8000-000000000002';
+
+const VACCINES = '20000000-0000-4000-8000-000000000001';
+const COFFEE = '20000000-0000-4000-8000-000000000002';
+const SLEEP = '20000000-0000-4000-8000-000000000003';
+const OTHER_USERS = '20000000-0000-4000-8000-000000000004';
+
+let pg;
+let db;
+
+before(async () => {
+  pg = await createSchemaDatabase();
+
+  await pg.query(`INSERT INTO users (id, email, password_hash, name) VALUES ($1, 'a@example.com', 'x', 'A'), ($2, 'b@example.com', 'x', 'B')`,
+    [USER_ID, OTHER_USER_ID]);
+  await pg.query(`INSERT INTO conversations (id, user_id, title, updated_at) VALUES
+    ($1, $5, 'Vaccine safety', '2024-03-01 15:05'),
+    ($2, $5, 'Morning coffee', '2024-04-10 12:05'),
+    ($3, $5, 'Sleep', '2024-05-20 09:05'),
+    ($4, $6, 'Vaccines', '2024-03-02 10:00')`, [VACCINES, COFFEE, SLEEP, OTHER_USERS, USER_ID, OTHER_USER_ID]);
+
+  const messages = [
+    [VACCINES, USER_ID, 'user', 'Are vaccines safe for children?', null, null, null, '2024-03-01 15:00'],
+    [VACCINES, USER_ID, 'assistant', 'Vaccinated children have far lower rates of measles.', 88, 'high',
+      [{ title: 'Measles vaccination', domain: 'cdc.gov' }], '2024-03-01 15:01'],
+    [COFFEE, USER_ID, 'user', 'Is coffee healthy?', null, null, null, '2024-04-10 12:00'],
+    [COFFEE, USER_ID, 'assistant', 'Moderate coffee intake is linked to lower mortality.', 62, 'medium',
+      [{ title: 'Coffee and health', domain: 'health.harvard.edu' }], '2024-04-10 12:01'],
+    [COFFEE, USER_ID, 'user', 'How much coffee is too much?', null, null, null, '2024-04-10 12:02'],
+    [COFFEE, USER_ID, 'assistant', 'Up to four cups of coffee a day is considered safe.', 70, 'medium',
+      [{ title: 'Caffeine limits', domain: 'fda.gov' }], '2024-04-10 12:03'],
+    // Level left empty: the filter reads it from the score
+    [SLEEP, USER_ID, 'assistant', 'Evidence on coffee before bed and sleep quality is thin.', 35, null,
+      [{ title: 'Blog post', domain: 'notharvard.edu' }], '2024-05-20 09:00'],
+    [OTHER_USERS, OTHER_USER_ID, 'user', 'Do vaccines cause side effects?', null, null, null, '2024-03-02 10:00'],
+  ];
+  for (const [conversationId, userId, role, content, score, level, sources, createdAt] of messages) {
+    await pg.query(`INSERT INTO messages (conversation_id, user_id, role, content, confidence_score, confidence_level, sources, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [conversationId, userId, role, content, score, level, sources && JSON.stringify(sources), createdAt]);
+  }
+});
+
+after(async () => {
+  await pg.close();
+});
+
+beforeEach(() => {
+  db = createFakeDatabase({}, {
+    rpc: {
+      search_messages: async (args) => (await pg.query(
+        `SELECT * FROM search_messages(
+          search_user_id => $1, search_query => $2, confidence_filter => $3,
+          date_from => $4, date_to => $5, source_domain => $6, match_count => $7)`,
+        [args.search_user_id, args.search_query, args.confidence_filter, args.date_from, args.date_to,
+          args.source_domain, args.match_count]
+      )).rows,
+    },
+  }).install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+function summarize({ results }) {
+  return results.map(result => [result.conversationId, result.matches.map(match => match.role)]);
+}
+
+test('a query matches message content by stem and only in the user\'s own conversations', async () => {
+  const { results } = await searchConversations(USER_ID, { query: 'vaccines' });
+
+  assert.deepEqual(results.map(result => result.conversationId), [VACCINES]);
+  assert.equal(results[0].matches.length, 2);
+  assert.ok(results[0].matches.every(match => match.highlights.length > 0));
+  assert.deepEqual(results[0].titleHighlights, [[0, 7]]);
+});
+
+test('a query matches cited source titles and domains', async () => {
+  const { results } = await searchConversations(USER_ID, { query: 'caffeine' });
+
+  assert.deepEqual(summarize({ results }), [[COFFEE, ['assistant']]]);
+  assert.deepEqual(results[0].matches[0].sources.map(source => source.title), ['Caffeine limits']);
+});
+
+test('the confidence filter only matches answers, reading the level from the score when missing', async () => {
+  const high = await searchConversations(USER_ID, { confidence: 'high' });
+  const low = await searchConversations(USER_ID, { confidence: 'low' });
+  const mediumCoffee = await searchConversations(USER_ID, { query: 'coffee', confidence: 'medium' });
+
+  assert.deepEqual(summarize(high), [[VACCINES, ['assistant']]]);
+  assert.deepEqual(summarize(low), [[SLEEP, ['assistant']]]);
+  assert.deepEqual(summarize(mediumCoffee), [[COFFEE, ['assistant', 'assistant']]]);
+});
+
+test('the domain filter only matches answers citing the domain or its subdomains', async () => {
+  const harvard = await searchConversations(USER_ID, { domain: 'WWW.Harvard.edu' });
+  const cdc = await searchConversations(USER_ID, { query: 'children', domain: 'cdc.gov' });
+
+  assert.equal(db.requests[0].body.source_domain, 'harvard.edu');
+  // notharvard.edu shares the suffix but is not a subdomain
+  assert.deepEqual(summarize(harvard), [[COFFEE, ['assistant']]]);
+  assert.deepEqual(summarize(cdc), [[VACCINES, ['assistant']]]);
+});
+
+test('a date without a time includes the whole day', async () => {
+  const day = await searchConversations(USER_ID, { from: '2024-03-01', to: '2024-03-01' });
+  const later = await searchConversations(USER_ID, { from: '2024-04-10T12:02:00Z' });
+
+  assert.deepEqual(summarize(day), [[VACCINES, ['assistant', 'user']]]);
+  assert.deepEqual(later.results.map(result => result.conversationId).sort(), [COFFEE, SLEEP]);
+  assert.equal(later.results.find(result => result.conversationId === COFFEE).matches.length, 2);
+});
+
+test('limit counts conversations, and each shows at most three matches', async () => {
+  const all = await searchConversations(USER_ID, { query: 'coffee' });
+  const first = await searchConversations(USER_ID, { query: 'coffee', limit: 1 });
+
+  assert.deepEqual(all.results.map(result => result.conversationId), [COFFEE, SLEEP]);
+  assert.equal(all.results[0].matches.length, 3);
+  assert.deepEqual(first.results.map(result => result.conversationId), [COFFEE]);
+  assert.equal(db.requests.at(-1).body.match_count, 100);
+});
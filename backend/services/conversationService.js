@@ -1,5 +1,10 @@
-import { createClient } from '@supabase/supabase-js';
 import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { getFeedbackForMessages } from './feedbackService.js';
+import { collectSources, toBibtex, toRis, toCslJson } from './citationService.js';
+import { buildExportDocument, renderHtml, renderPdf, renderDocx } from './exportRenderers/index.js';
+import { indexMessages } from './conversationSearchService.js';
+import { generateTitle, truncateTitle } from './titleService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -7,48 +12,83 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'conversation-service' },
 });
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+/**
+ * Formats exportConversation accepts; bibtex, ris and csl-json export the cited sources,
+ * pdf and docx are returned as Buffers
+ */
+export const EXPORT_FORMATS = ['json', 'markdown', 'txt', 'html', 'pdf', 'docx', 'bibtex', 'ris', 'csl-json'];
 
 /**
- * Get conversation context for AI response generation
+ * Get the messages of a conversation that are not yet folded into its memory summary
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - User ID for verification
- * @returns {string} Conversation context
+ * @param {number} limit - Most recent messages to load
+ * @returns {Object|null} { summary, summaryUntil, messages } with messages oldest first, or null if not found
  */
-export async function getConversationContext(conversationId, userId) {
+export async function getConversationHistory(conversationId, userId, limit = 40) {
   try {
-    // Get last 5 messages for context
-    const { data: messages, error } = await supabase
+    const { data: conversation, error: convError } = await getSupabase()
+      .from('conversations')
+      .select('id, memory_summary, memory_summary_until')
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .single();
+
+    if (convError || !conversation) {
+      return null;
+    }
+
+    let query = getSupabase()
       .from('messages')
       .select('role, content, created_at')
       .eq('conversation_id', conversationId)
-      .eq('user_id', userId)
       .order('created_at', { ascending: false })
-      .limit(5);
-    
-    if (error || !messages || messages.length === 0) {
-      return '';
+      .limit(limit);
+
+    if (conversation.memory_summary_until) {
+      query = query.gt('created_at', conversation.memory_summary_until);
     }
-    
-    // Reverse to get chronological order
-    messages.reverse();
-    
-    // Build context string
-    const context = messages
-      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
-      .join('\n\n');
-    
-    return context;
+
+    const { data: messages, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      summary: conversation.memory_summary || null,
+      summaryUntil: conversation.memory_summary_until || null,
+      // Newest were fetched first so the limit keeps the latest turns
+      messages: (messages || []).reverse(),
+    };
   } catch (error) {
-    logger.error('Error getting conversation context', { 
+    logger.error('Error getting conversation history', {
       error: error.message,
-      conversationId 
+      conversationId
     });
-    return '';
+    return null;
+  }
+}
+
+/**
+ * Store the running summary of a conversation's older turns
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID for verification
+ * @param {string} summary - Summary text
+ * @param {string} until - Creation time of the newest message the summary covers
+ */
+export async function saveConversationSummary(conversationId, userId, summary, until) {
+  const { error } = await getSupabase()
+    .from('conversations')
+    .update({
+      memory_summary: summary,
+      memory_summary_until: until,
+    })
+    .eq('id', conversationId)
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
   }
 }
 
@@ -62,7 +102,7 @@ export async function createConversation(userId, title = null) {
   try {
     const conversationTitle = title || `Conversation ${new Date().toLocaleDateString()}`;
     
-    const { data, error } = await supabase
+    const { data, error } = await getSupabase()
       .from('conversations')
       .insert({
         user_id: userId,
@@ -91,6 +131,28 @@ export async function createConversation(userId, title = null) {
   }
 }
 
+/**
+ * Whether a conversation belongs to a user. Conversations shared into a team
+ * are read-only for the other members, so only the owner may add messages.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+export async function isConversationOwner(conversationId, userId) {
+  const { data, error } = await getSupabase()
+    .from('conversations')
+    .select('id')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(data);
+}
+
 /**
  * Save a message to conversation
  * @param {string} conversationId - Conversation ID
@@ -107,10 +169,12 @@ export async function saveMessage(conversationId, userId, content, aiResponse =
     if (!conversationId) {
       const conversation = await createConversation(userId);
       actualConversationId = conversation.id;
+    } else if (!(await isConversationOwner(conversationId, userId))) {
+      throw new Error('Conversation not found');
     }
     
     // Save user message
-    const { data: userMessage, error: userError } = await supabase
+    const { data: userMessage, error: userError } = await getSupabase()
       .from('messages')
       .insert({
         conversation_id: actualConversationId,
@@ -129,7 +193,7 @@ export async function saveMessage(conversationId, userId, content, aiResponse =
     // Save AI response if provided
     let assistantMessage = null;
     if (aiResponse) {
-      const { data: aiMessage, error: aiError } = await supabase
+      const { data: aiMessage, error: aiError } = await getSupabase()
         .from('messages')
         .insert({
           conversation_id: actualConversationId,
@@ -143,6 +207,7 @@ export async function saveMessage(conversationId, userId, content, aiResponse =
           biases: aiResponse.biases,
           controversies: aiResponse.controversies,
           limitations: aiResponse.limitations,
+          claims: aiResponse.claims,
           metadata: aiResponse.metadata,
           created_at: new Date().toISOString(),
         })
@@ -155,15 +220,20 @@ export async function saveMessage(conversationId, userId, content, aiResponse =
       
       assistantMessage = aiMessage;
     }
+
+    // Embedding for semantic search happens in the background; failures only skip semantic matches
+    indexMessages([userMessage, assistantMessage]);
     
     // Update conversation updated_at
-    await supabase
+    const now = new Date().toISOString();
+    await getSupabase()
       .from('conversations')
       .update({ 
-        updated_at: new Date().toISOString(),
-        // Update title if it's the first message
+        updated_at: now,
+        last_message_at: now,
+        // Placeholder title until generateConversationTitle replaces it
         ...(userMessage && !conversationId && {
-          title: content.substring(0, 50) + (content.length > 50 ? '...' : '')
+          title: truncateTitle(content)
         })
       })
       .eq('id', actualConversationId);
@@ -188,24 +258,29 @@ export async function saveMessage(conversationId, userId, content, aiResponse =
  * Get a conversation with messages
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - User ID for verification
+ * @param {Object} options - { teamId }: also allow conversations shared into this team, read-only
  * @returns {Object} Conversation with messages
  */
-export async function getConversation(conversationId, userId) {
+export async function getConversation(conversationId, userId, { teamId = null } = {}) {
   try {
     // Get conversation
-    const { data: conversation, error: convError } = await supabase
+    let query = getSupabase()
       .from('conversations')
       .select('*')
-      .eq('id', conversationId)
-      .eq('user_id', userId)
-      .single();
+      .eq('id', conversationId);
+
+    query = teamId
+      ? query.or(`user_id.eq.${userId},team_id.eq.${teamId}`)
+      : query.eq('user_id', userId);
+
+    const { data: conversation, error: convError } = await query.single();
     
     if (convError || !conversation) {
       return null;
     }
     
     // Get messages
-    const { data: messages, error: msgError } = await supabase
+    const { data: messages, error: msgError } = await getSupabase()
       .from('messages')
       .select('*')
       .eq('conversation_id', conversationId)
@@ -215,9 +290,19 @@ export async function getConversation(conversationId, userId) {
       throw msgError;
     }
     
+    // Include the user's own ratings so the UI can show them
+    const feedback = await getFeedbackForMessages(
+      (messages || []).filter(message => message.role === 'assistant').map(message => message.id),
+      userId
+    );
+    
     return {
       ...conversation,
-      messages: messages || [],
+      readOnly: conversation.user_id !== userId,
+      messages: (messages || []).map(message => ({
+        ...message,
+        feedback: feedback[message.id] || null,
+      })),
     };
     
   } catch (error) {
@@ -231,20 +316,49 @@ export async function getConversation(conversationId, userId) {
 }
 
 /**
- * List user's conversations
+ * List user's conversations, pinned first, then by latest message
  * @param {string} userId - User ID
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} filters - List filters
+ * @param {string} filters.folderId - Only conversations in this folder, or 'none' for unfiled ones
+ * @param {string} filters.tag - Only conversations with this tag
+ * @param {boolean} filters.archived - List archived conversations instead of active ones
+ * @param {string} filters.teamId - List every member's conversations shared into this team instead;
+ *   folders, tags and archiving are personal and do not apply
  * @returns {Array} List of conversations
  */
-export async function listConversations(userId, page = 1, limit = 20) {
+export async function listConversations(userId, page = 1, limit = 20, { folderId = null, tag = null, archived = false, teamId = null } = {}) {
   try {
     const offset = (page - 1) * limit;
     
-    const { data: conversations, error, count } = await supabase
+    let query = getSupabase()
       .from('conversations')
-      .select('*', { count: 'exact' })
-      .eq('user_id', userId)
+      .select(teamId ? '*, owner:users(name)' : '*', { count: 'exact' });
+
+    if (teamId) {
+      query = query.eq('team_id', teamId);
+    } else {
+      query = query.eq('user_id', userId);
+      query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
+      if (folderId === 'none') {
+        query = query.is('folder_id', null);
+      } else if (folderId) {
+        query = query.eq('folder_id', folderId);
+      }
+      if (tag) {
+        query = query.contains('tags', [tag]);
+      }
+    }
+
+    // Pins are personal, so the team space is ordered by activity alone
+    if (!teamId) {
+      query = query.order('pinned_at', { ascending: false, nullsFirst: false });
+    }
+
+    const { data: conversations, error, count } = await query
+      .order('last_message_at', { ascending: false, nullsFirst: false })
       .order('updated_at', { ascending: false })
       .range(offset, offset + limit - 1);
     
@@ -255,7 +369,7 @@ export async function listConversations(userId, page = 1, limit = 20) {
     // Get last message for each conversation
     const conversationsWithLastMessage = await Promise.all(
       conversations.map(async (conv) => {
-        const { data: lastMessage } = await supabase
+        const { data: lastMessage } = await getSupabase()
           .from('messages')
           .select('content, role, created_at')
           .eq('conversation_id', conv.id)
@@ -286,6 +400,148 @@ export async function listConversations(userId, page = 1, limit = 20) {
   }
 }
 
+/**
+ * Rename, pin, archive, tag, file or share a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID for verification
+ * @param {Object} updates - Fields to change; omitted fields are kept
+ * @param {string} updates.title - New title
+ * @param {boolean} updates.pinned - Pin to the top of the list
+ * @param {boolean} updates.archived - Hide from the default list without deleting
+ * @param {string|null} updates.folderId - Folder to move into, or null to unfile
+ * @param {Array} updates.tags - Replaces the conversation's tags
+ * @param {string|null} updates.teamId - Team to share into, or null to make private again
+ * @returns {Object} Updated conversation
+ */
+export async function updateConversation(conversationId, userId, { title, pinned, archived, folderId, tags, teamId } = {}) {
+  try {
+    if (folderId) {
+      const { data: folder } = await getSupabase()
+        .from('conversation_folders')
+        .select('id')
+        .eq('id', folderId)
+        .eq('user_id', userId)
+        .single();
+
+      if (!folder) {
+        throw new Error('Folder not found');
+      }
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      ...(title !== undefined && { title }),
+      ...(pinned !== undefined && { pinned_at: pinned ? now : null }),
+      ...(archived !== undefined && { archived_at: archived ? now : null }),
+      ...(folderId !== undefined && { folder_id: folderId }),
+      ...(tags !== undefined && { tags: [...new Set(tags)] }),
+      ...(teamId !== undefined && { team_id: teamId }),
+    };
+
+    const { data: conversation, error } = await getSupabase()
+      .from('conversations')
+      .update(changes)
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    logger.info('Conversation updated', {
+      conversationId,
+      userId,
+      fields: Object.keys(changes),
+    });
+
+    return conversation;
+  } catch (error) {
+    logger.error('Error updating conversation', { 
+      error: error.message,
+      conversationId,
+      userId 
+    });
+    throw error;
+  }
+}
+
+/**
+ * Title a conversation from its first exchange with the model, e.g. after its
+ * first answer or when the user asks for a new title
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID for verification
+ * @param {Object} options - { tier, question, answer }; the first exchange is loaded when question is omitted
+ * @returns {Object} { title, generated }
+ */
+export async function generateConversationTitle(conversationId, userId, { tier, question = null, answer = null } = {}) {
+  let firstQuestion = question;
+  let firstAnswer = answer;
+
+  if (!firstQuestion) {
+    const { data: messages, error } = await getSupabase()
+      .from('messages')
+      .select('role, content')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .limit(2);
+
+    if (error) {
+      throw error;
+    }
+
+    firstQuestion = messages?.find(message => message.role === 'user')?.content;
+    firstAnswer = messages?.find(message => message.role === 'assistant')?.content || null;
+
+    if (!firstQuestion) {
+      throw new Error('Conversation has no messages');
+    }
+  }
+
+  const result = await generateTitle(firstQuestion, firstAnswer, { tier });
+
+  // The placeholder from saveMessage is already the truncated question
+  if (result.generated || !question) {
+    await updateConversation(conversationId, userId, { title: result.title });
+  }
+
+  return result;
+}
+
+/**
+ * Tags a user has put on their conversations, most used first
+ * @param {string} userId - User ID
+ * @returns {Array} [{ tag, count }]
+ */
+export async function listConversationTags(userId) {
+  const { data: conversations, error } = await getSupabase()
+    .from('conversations')
+    .select('tags')
+    .eq('user_id', userId)
+    .neq('tags', '{}');
+
+  if (error) {
+    logger.error('Error listing conversation tags', { error: error.message, userId });
+    throw error;
+  }
+
+  const counts = new Map();
+  for (const conversation of conversations || []) {
+    for (const tag of conversation.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
 /**
  * Delete a conversation
  * @param {string} conversationId - Conversation ID
@@ -294,7 +550,7 @@ export async function listConversations(userId, page = 1, limit = 20) {
 export async function deleteConversation(conversationId, userId) {
   try {
     // Verify ownership
-    const { data: conversation } = await supabase
+    const { data: conversation } = await getSupabase()
       .from('conversations')
       .select('id')
       .eq('id', conversationId)
@@ -306,7 +562,7 @@ export async function deleteConversation(conversationId, userId) {
     }
     
     // Delete conversation (messages will cascade delete)
-    const { error } = await supabase
+    const { error } = await getSupabase()
       .from('conversations')
       .delete()
       .eq('id', conversationId);
@@ -334,10 +590,12 @@ export async function deleteConversation(conversationId, userId) {
  * Export conversation in different formats
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - User ID for verification
- * @param {string} format - Export format (json, markdown, txt)
- * @returns {string|Object} Exported data
+ * @param {string} format - Export format, one of EXPORT_FORMATS
+ * @param {Object} options - Export options
+ * @param {string} options.messageId - Only export this answer's sources (citation formats only)
+ * @returns {Promise<string|Object|Buffer>} Exported data
  */
-export async function exportConversation(conversationId, userId, format = 'json') {
+export async function exportConversation(conversationId, userId, format = 'json', options = {}) {
   try {
     const conversation = await getConversation(conversationId, userId);
     
@@ -355,6 +613,24 @@ export async function exportConversation(conversationId, userId, format = 'json'
       case 'txt':
         return exportToText(conversation);
         
+      case 'html':
+        return renderHtml(buildExportDocument(conversation));
+        
+      case 'pdf':
+        return await renderPdf(buildExportDocument(conversation));
+        
+      case 'docx':
+        return await renderDocx(buildExportDocument(conversation));
+        
+      case 'bibtex':
+        return toBibtex(collectSources(conversation, options.messageId));
+        
+      case 'ris':
+        return toRis(collectSources(conversation, options.messageId));
+        
+      case 'csl-json':
+        return toCslJson(collectSources(conversation, options.messageId));
+        
       default:
         throw new Error('Invalid export format');
     }
@@ -371,49 +647,106 @@ export async function exportConversation(conversationId, userId, format = 'json'
 }
 
 /**
- * Export conversation to Markdown format
+ * Export conversation to Markdown format, with each answer's confidence breakdown,
+ * source quality and bias, controversy and limitation notes
  */
 function exportToMarkdown(conversation) {
-  let markdown = `# ${conversation.title}\n\n`;
+  const document = buildExportDocument(conversation);
+  let markdown = `# ${document.title}\n\n`;
   markdown += `Created: ${new Date(conversation.created_at).toLocaleString()}\n\n`;
   markdown += '---\n\n';
   
-  conversation.messages.forEach((message) => {
+  document.messages.forEach((message) => {
     if (message.role === 'user') {
       markdown += `## You\n\n${message.content}\n\n`;
-    } else {
-      markdown += `## honestGPT (${message.confidence_score || 'N/A'}% confident)\n\n`;
-      markdown += `${message.content}\n\n`;
-      
-      if (message.sources && message.sources.length > 0) {
-        markdown += '### Sources:\n\n';
-        message.sources.forEach((source, idx) => {
-          markdown += `${idx + 1}. [${source.title}](${source.url}) - ${source.quality} quality\n`;
-        });
-        markdown += '\n';
-      }
+      return;
+    }
+
+    const { confidence, levelLabel, factors, sources, biases, controversies, limitations, claimSummary, verdict } = message.transparency;
+    markdown += `## honestGPT (${confidence ?? 'N/A'}% confident)\n\n`;
+    markdown += `${message.content}\n\n`;
+
+    if (verdict) {
+      markdown += `**Verdict:** ${verdict}\n\n`;
     }
+
+    if (factors.length > 0) {
+      markdown += `### Confidence breakdown${levelLabel ? ` (${levelLabel})` : ''}\n\n`;
+      markdown += '| Factor | Score | Weight | Details |\n|---|---|---|---|\n';
+      factors.forEach((factor) => {
+        markdown += `| ${factor.label} | ${factor.score}% | ${factor.weight ?? ''}% | ${(factor.details || '').replace(/\|/g, '\\|')} |\n`;
+      });
+      markdown += '\n';
+    }
+
+    if (claimSummary?.total > 0) {
+      markdown += `Claims checked against the sources: ${claimSummary.supported} supported, ${claimSummary.contradicted} contradicted, ${claimSummary.unverified} unverified.\n\n`;
+    }
+    
+    if (sources.length > 0) {
+      markdown += '### Sources:\n\n';
+      sources.forEach((source) => {
+        const title = source.url ? `[${source.title}](${source.url})` : `${source.title} (${source.domain})`;
+        markdown += `${source.citation}. ${title} - ${source.qualityLabel}${source.evidence ? ` (${source.evidence})` : ''}\n`;
+      });
+      markdown += '\n';
+    }
+
+    [['Potential biases', biases], ['Points of disagreement', controversies], ['Limitations', limitations]].forEach(([heading, notes]) => {
+      if (notes.length > 0) {
+        markdown += `### ${heading}\n\n${notes.map(note => `- ${note}`).join('\n')}\n\n`;
+      }
+    });
   });
   
   return markdown;
 }
 
 /**
- * Export conversation to plain text format
+ * Export conversation to plain text format, with the same transparency notes as Markdown
  */
 function exportToText(conversation) {
-  let text = `${conversation.title}\n`;
-  text += `${'='.repeat(conversation.title.length)}\n\n`;
+  const document = buildExportDocument(conversation);
+  let text = `${document.title}\n`;
+  text += `${'='.repeat(document.title.length)}\n\n`;
   text += `Created: ${new Date(conversation.created_at).toLocaleString()}\n\n`;
   
-  conversation.messages.forEach((message) => {
+  document.messages.forEach((message) => {
     if (message.role === 'user') {
       text += `You: ${message.content}\n\n`;
-    } else {
-      text += `honestGPT (${message.confidence_score || 'N/A'}% confident): `;
-      text += `${message.content}\n\n`;
+      return;
     }
+
+    const { confidence, factors, sources, biases, controversies, limitations, verdict } = message.transparency;
+    text += `honestGPT (${confidence ?? 'N/A'}% confident): `;
+    text += `${message.content}\n\n`;
+
+    if (verdict) {
+      text += `Verdict: ${verdict}\n\n`;
+    }
+
+    if (factors.length > 0) {
+      text += 'Confidence breakdown:\n';
+      factors.forEach((factor) => {
+        text += `  ${factor.label}: ${factor.score}%${factor.details ? ` - ${factor.details}` : ''}\n`;
+      });
+      text += '\n';
+    }
+
+    if (sources.length > 0) {
+      text += 'Sources:\n';
+      sources.forEach((source) => {
+        text += `  [${source.citation}] ${source.title} - ${source.qualityLabel}${source.url ? ` <${source.url}>` : ''}\n`;
+      });
+      text += '\n';
+    }
+
+    [['Potential biases', biases], ['Points of disagreement', controversies], ['Limitations', limitations]].forEach(([heading, notes]) => {
+      if (notes.length > 0) {
+        text += `${heading}:\n${notes.map(note => `  - ${note}`).join('\n')}\n\n`;
+      }
+    });
   });
   
   return text;
-}
\ No newline at end of file
+}
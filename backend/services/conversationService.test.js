@@ -0,0 +1,57 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { exportConversation } from './conversationService.js';
+
+const USER_ID = 'user-1';
+const CONVERSATION_ID = 'conversation-1';
+
+let db;
+
+beforeEach(() => {
+  db = createFakeDatabase({
+    conversations: [{ id: CONVERSATION_ID, user_id: USER_ID, title: 'Coffee', created_at: '2024-04-10T12:00:00Z' }],
+    messages: [
+      { id: 'm1', conversation_id: CONVERSATION_ID, role: 'user', content: 'Is coffee healthy?', created_at: '2024-04-10T12:00:00Z' },
+      {
+        id: 'm2',
+        conversation_id: CONVERSATION_ID,
+        role: 'assistant',
+        content: 'Moderate intake is linked to lower mortality [1].',
+        created_at: '2024-04-10T12:00:05Z',
+        confidence_score: 72,
+        confidence_factors: { sourceQuality: { score: 85, weight: 30, details: 'Peer reviewed | recent' } },
+        sources: [
+          { title: 'Coffee and health', url: 'https://www.hsph.harvard.edu/coffee', domain: 'hsph.harvard.edu', quality: 'high' },
+          { title: 'Caffeine limits', url: 'javascript:alert(1)', domain: 'fda.gov', quality: 'medium' },
+        ],
+        biases: 'Industry funding',
+        limitations: ['Observational data'],
+        metadata: { claimSummary: { total: 2, supported: 2, contradicted: 0, unverified: 0 } },
+      },
+    ],
+    feedback: [],
+  }).install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+test('the Markdown export includes each answer\'s confidence breakdown, sources and notes', async () => {
+  const markdown = await exportConversation(CONVERSATION_ID, USER_ID, 'markdown');
+
+  assert.match(markdown, /^# Coffee\n/);
+  assert.match(markdown, /## You\n\nIs coffee healthy\?\n/);
+  assert.match(markdown, /## honestGPT \(72% confident\)\n\nModerate intake is linked to lower mortality \[1\]\.\n/);
+  assert.match(markdown, /### Confidence breakdown \(Moderate confidence\)\n\n\| Factor \| Score \| Weight \| Details \|\n\|---\|---\|---\|---\|\n\| Source quality \| 85% \| 30% \| Peer reviewed \\\| recent \|\n/);
+  assert.match(markdown, /Claims checked against the sources: 2 supported, 0 contradicted, 0 unverified\./);
+  assert.match(markdown, /### Sources:\n\n1\. \[Coffee and health\]\(https:\/\/www\.hsph\.harvard\.edu\/coffee\) - High quality\n2\. Caffeine limits \(fda\.gov\) - Medium quality\n/);
+  assert.match(markdown, /### Potential biases\n\n- Industry funding\n\n### Limitations\n\n- Observational data\n/);
+  assert.doesNotMatch(markdown, /Points of disagreement|javascript:/);
+});
+
+test('exports are refused for conversations the user cannot read and unknown formats', async () => {
+  await assert.rejects(exportConversation(CONVERSATION_ID, 'someone-else', 'markdown'), { message: 'Conversation not found' });
+  await assert.rejects(exportConversation(CONVERSATION_ID, USER_ID, 'rtf'), { message: 'Invalid export format' });
+});
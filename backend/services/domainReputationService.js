@@ -0,0 +1,436 @@
+import { getDomain } from 'tldts';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'domain-reputation-service' },
+});
+
+export const DOMAIN_CATEGORIES = [
+  'government',
+  'academic',
+  'scientific_journal',
+  'international_org',
+  'news_agency',
+  'news',
+  'fact_checker',
+  'encyclopedia',
+  'publication',
+  'blog',
+  'social_media',
+  'website',
+];
+
+// Score given to domains the registry knows nothing about
+const DEFAULT_SCORE = 50;
+
+// Registry entries are cached briefly to avoid a lookup per search
+const REGISTRY_CACHE_TTL_MS = 60 * 1000;
+const registryCache = new Map();
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+/**
+ * Map a 0-100 reputation score to the quality label shown with sources
+ */
+export function qualityFromScore(score) {
+  if (score >= 80) return 'high';
+  if (score >= 60) return 'medium';
+  return 'limited';
+}
+
+/**
+ * Load the reputation registry, with a team's overrides layered over the global entries
+ * @param {string} teamId - Team whose overrides apply (optional)
+ * @returns {Object} Registry with lookup(hostOrUrl) and trustedDomains()
+ */
+export async function getReputationRegistry(teamId = null) {
+  const globalEntries = await getCachedEntries(null);
+  const teamEntries = teamId ? await getCachedEntries(teamId) : [];
+
+  const global = new Map(globalEntries.map(entry => [entry.domain, entry]));
+  const team = new Map(teamEntries.map(entry => [entry.domain, entry]));
+
+  return {
+    /**
+     * Resolve the reputation of a host. Exact entries match the host and its parent
+     * domains up to the registrable domain, so "nature.com" covers "www.nature.com"
+     * but never "nature.com.example.net"; "*.gov" style entries match any host under
+     * that suffix. Team entries win over global ones.
+     */
+    lookup(hostOrUrl) {
+      const host = normalizeHost(hostOrUrl);
+      const candidates = getLookupCandidates(host);
+
+      for (const [source, entries] of [['team', team], ['global', global]]) {
+        const match = candidates.find(candidate => entries.has(candidate));
+        if (match) {
+          const entry = entries.get(match);
+          return {
+            host,
+            domain: entry.domain,
+            score: entry.score,
+            category: entry.category,
+            quality: qualityFromScore(entry.score),
+            source,
+          };
+        }
+      }
+
+      return {
+        host,
+        domain: null,
+        score: DEFAULT_SCORE,
+        category: host.includes('blog') ? 'blog' : 'website',
+        quality: qualityFromScore(DEFAULT_SCORE),
+        source: 'default',
+      };
+    },
+
+    /**
+     * Domains searched first for every question, in priority order
+     */
+    trustedDomains() {
+      const merged = new Map([...global, ...team]);
+      return [...merged.values()]
+        .filter(entry => entry.search_priority !== null && entry.search_priority !== undefined)
+        .sort((a, b) => a.search_priority - b.search_priority)
+        .map(entry => entry.domain);
+    },
+  };
+}
+
+/**
+ * Find the most specific of the given domain rules that covers a host, using the
+ * same public-suffix-aware matching as the registry
+ * @param {string} hostOrUrl - Host or URL to match
+ * @param {Set|Array} rules - Normalized domain rules ("nature.com", "*.gov")
+ * @returns {string|null} The matching rule
+ */
+export function matchDomainRule(hostOrUrl, rules) {
+  const ruleSet = rules instanceof Set ? rules : new Set(rules);
+  if (ruleSet.size === 0) {
+    return null;
+  }
+
+  return getLookupCandidates(normalizeHost(hostOrUrl)).find(candidate => ruleSet.has(candidate)) || null;
+}
+
+/**
+ * Validate and normalize a registry key: a hostname such as "nature.com" or a
+ * suffix rule such as "*.gov"
+ * @param {string} input - Domain, URL or suffix rule
+ * @returns {string} Normalized key
+ */
+export function normalizeDomainRule(input) {
+  const value = String(input).trim().toLowerCase();
+
+  if (value.startsWith('*.')) {
+    const suffix = value.slice(2).replace(/\.$/, '');
+    if (!HOSTNAME_PATTERN.test(suffix)) {
+      throw new Error(`Invalid domain suffix: ${suffix}`);
+    }
+    return `*.${suffix}`;
+  }
+
+  const host = normalizeHost(value);
+  if (!HOSTNAME_PATTERN.test(host)) {
+    throw new Error(`Invalid domain: ${value}`);
+  }
+
+  // A bare public suffix would otherwise silently never match anything
+  if (!getDomain(host, { allowPrivateDomains: true })) {
+    throw new Error(`${host} is a public suffix; use *.${host} to match every domain under it`);
+  }
+
+  return host;
+}
+
+/**
+ * List registry entries, either the global registry or one team's overrides
+ */
+export async function listDomainReputations({ teamId = null, search = '', page = 1, limit = 50 } = {}) {
+  try {
+    const offset = (page - 1) * limit;
+
+    let query = getSupabase()
+      .from('domain_reputations')
+      .select('*', { count: 'exact' });
+
+    query = teamId ? query.eq('team_id', teamId) : query.is('team_id', null);
+
+    if (search) {
+      query = query.ilike('domain', `%${search}%`);
+    }
+
+    const { data: domains, error, count } = await query
+      .order('domain', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      domains,
+      total: count,
+      page,
+      totalPages: Math.ceil(count / limit),
+    };
+
+  } catch (error) {
+    logger.error('Error listing domain reputations', { error: error.message, teamId });
+    throw error;
+  }
+}
+
+/**
+ * Create a registry entry and record it in the audit history
+ */
+export async function createDomainReputation(fields, userId) {
+  try {
+    const { data: entry, error } = await getSupabase()
+      .from('domain_reputations')
+      .insert({
+        domain: fields.domain,
+        team_id: fields.teamId || null,
+        score: fields.score,
+        category: fields.category,
+        search_priority: fields.searchPriority ?? null,
+        notes: fields.notes || null,
+        created_by: userId,
+        updated_by: userId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique violation on (domain, team)
+      if (error.code === '23505') {
+        throw new Error('Domain already exists in this registry');
+      }
+      throw error;
+    }
+
+    await recordHistory(entry, 'create', null, entry, userId);
+    invalidateRegistryCache(entry.team_id);
+
+    logger.info('Domain reputation created', { domain: entry.domain, teamId: entry.team_id, userId });
+    return entry;
+
+  } catch (error) {
+    logger.error('Error creating domain reputation', { error: error.message, domain: fields.domain });
+    throw error;
+  }
+}
+
+/**
+ * Update a registry entry and record the change in the audit history
+ */
+export async function updateDomainReputation(id, fields, userId) {
+  try {
+    const previous = await getDomainReputation(id);
+    if (!previous) {
+      throw new Error('Domain reputation not found');
+    }
+
+    const changes = {
+      ...(fields.score !== undefined && { score: fields.score }),
+      ...(fields.category !== undefined && { category: fields.category }),
+      ...(fields.searchPriority !== undefined && { search_priority: fields.searchPriority }),
+      ...(fields.notes !== undefined && { notes: fields.notes }),
+      updated_by: userId,
+    };
+
+    const { data: entry, error } = await getSupabase()
+      .from('domain_reputations')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await recordHistory(entry, 'update', previous, entry, userId);
+    invalidateRegistryCache(entry.team_id);
+
+    logger.info('Domain reputation updated', { domain: entry.domain, teamId: entry.team_id, userId });
+    return entry;
+
+  } catch (error) {
+    logger.error('Error updating domain reputation', { error: error.message, id });
+    throw error;
+  }
+}
+
+/**
+ * Delete a registry entry; its audit history is kept
+ */
+export async function deleteDomainReputation(id, userId) {
+  try {
+    const previous = await getDomainReputation(id);
+    if (!previous) {
+      throw new Error('Domain reputation not found');
+    }
+
+    const { error } = await getSupabase()
+      .from('domain_reputations')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    await recordHistory(previous, 'delete', previous, null, userId);
+    invalidateRegistryCache(previous.team_id);
+
+    logger.info('Domain reputation deleted', { domain: previous.domain, teamId: previous.team_id, userId });
+
+  } catch (error) {
+    logger.error('Error deleting domain reputation', { error: error.message, id });
+    throw error;
+  }
+}
+
+/**
+ * Get a single registry entry
+ */
+export async function getDomainReputation(id) {
+  const { data: entry, error } = await getSupabase()
+    .from('domain_reputations')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return entry || null;
+}
+
+/**
+ * Audit history for a domain in one registry, newest first
+ */
+export async function getDomainReputationHistory(domain, teamId = null) {
+  let query = getSupabase()
+    .from('domain_reputation_history')
+    .select('id, action, previous, current, changed_by, created_at, users:changed_by (name, email)')
+    .eq('domain', domain);
+
+  query = teamId ? query.eq('team_id', teamId) : query.is('team_id', null);
+
+  const { data: history, error } = await query.order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return history;
+}
+
+async function recordHistory(entry, action, previous, current, userId) {
+  const { error } = await getSupabase()
+    .from('domain_reputation_history')
+    .insert({
+      reputation_id: action === 'delete' ? null : entry.id,
+      domain: entry.domain,
+      team_id: entry.team_id,
+      action,
+      previous: previous && pickAuditedFields(previous),
+      current: current && pickAuditedFields(current),
+      changed_by: userId,
+    });
+
+  // The change itself succeeded, so a failed audit write is logged rather than surfaced
+  if (error) {
+    logger.error('Failed to record domain reputation history', { error: error.message, domain: entry.domain });
+  }
+}
+
+function pickAuditedFields(entry) {
+  return {
+    score: entry.score,
+    category: entry.category,
+    search_priority: entry.search_priority,
+    notes: entry.notes,
+  };
+}
+
+async function getCachedEntries(teamId) {
+  const key = teamId || 'global';
+  const cached = registryCache.get(key);
+
+  if (cached && Date.now() - cached.loadedAt < REGISTRY_CACHE_TTL_MS) {
+    return cached.entries;
+  }
+
+  try {
+    let query = getSupabase()
+      .from('domain_reputations')
+      .select('domain, score, category, search_priority');
+
+    query = teamId ? query.eq('team_id', teamId) : query.is('team_id', null);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    registryCache.set(key, { loadedAt: Date.now(), entries: data });
+    return data;
+  } catch (error) {
+    // Keep serving the last good copy rather than treating every domain as unknown
+    logger.warn('Failed to load domain reputations', { teamId, error: error.message });
+    const entries = cached?.entries || [];
+    registryCache.set(key, { loadedAt: Date.now(), entries });
+    return entries;
+  }
+}
+
+function invalidateRegistryCache(teamId) {
+  registryCache.delete(teamId || 'global');
+}
+
+/**
+ * Exact candidates run from the host up to its registrable domain (never past it,
+ * so an entry for "co.uk" cannot vouch for every UK company), followed by suffix
+ * rules from most to least specific
+ */
+function getLookupCandidates(host) {
+  const labels = host.split('.');
+  const registrable = getDomain(host, { allowPrivateDomains: true });
+
+  const exact = [];
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    exact.push(candidate);
+    if (!registrable || candidate === registrable) break;
+  }
+
+  const suffixRules = [];
+  for (let i = 1; i < labels.length; i++) {
+    suffixRules.push(`*.${labels.slice(i).join('.')}`);
+  }
+
+  return [...exact, ...suffixRules];
+}
+
+function normalizeHost(hostOrUrl) {
+  let host = String(hostOrUrl || '').trim().toLowerCase();
+
+  if (host.includes('://')) {
+    try {
+      host = new URL(host).hostname;
+    } catch {
+      // Not a URL after all; treat the input as a host
+    }
+  }
+
+  return host.replace(/^www\./, '').replace(/\.$/, '');
+}
@@ -0,0 +1,129 @@
+import winston from 'winston';
+import { createOpenAIEmbeddingProvider } from './openaiEmbeddingProvider.js';
+import { createOllamaEmbeddingProvider } from './ollamaEmbeddingProvider.js';
+import { createLocalEmbeddingProvider } from './localEmbeddingProvider.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'embedding-providers' },
+});
+
+/**
+ * An embedding provider turns texts into vectors.
+ *
+ * embed(texts) resolves to an array of numeric vectors, one per text and in the
+ * same order, each `dimensions` long.
+ *
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name
+ * @property {number} dimensions
+ * @property {Function} embed
+ */
+
+// Provider factories, constructed lazily so unused providers need no configuration
+const factories = new Map([
+  ['openai', createOpenAIEmbeddingProvider],
+  ['ollama', createOllamaEmbeddingProvider],
+  ['local', createLocalEmbeddingProvider],
+]);
+
+const instances = new Map();
+
+/**
+ * Register a custom embedding provider
+ * @param {string} name - Provider name used in EMBEDDING_PROVIDER
+ * @param {Function} factory - Returns an EmbeddingProvider
+ */
+export function registerEmbeddingProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * List registered provider names
+ */
+export function listEmbeddingProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * Name of the provider used when none is requested
+ */
+export function getDefaultEmbeddingProviderName() {
+  return process.env.EMBEDDING_PROVIDER || 'local';
+}
+
+/**
+ * Get an embedding provider instance
+ * @param {string} name - Provider name (defaults to EMBEDDING_PROVIDER)
+ * @returns {EmbeddingProvider} Provider instance
+ */
+export function getEmbeddingProvider(name = getDefaultEmbeddingProviderName()) {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+
+  const provider = factory();
+  instances.set(name, provider);
+  logger.info('Embedding provider initialized', { provider: name });
+
+  return provider;
+}
+
+/**
+ * Embed texts, falling back to the local embedder when the provider fails
+ * @param {Array} texts - Texts to embed
+ * @param {Object} options - Embedding options
+ * @param {string} options.provider - Provider name (defaults to EMBEDDING_PROVIDER)
+ * @param {boolean} options.fallback - Use the local embedder on errors (default true).
+ *   Disable when vectors are stored, since vectors from different providers are not comparable.
+ * @returns {Object} Vectors and the name of the provider that produced them
+ */
+export async function embedTexts(texts, { provider: name, fallback = true } = {}) {
+  const providerName = name || getDefaultEmbeddingProviderName();
+
+  try {
+    const provider = getEmbeddingProvider(providerName);
+    const vectors = await provider.embed(texts);
+    return { vectors, provider: provider.name };
+  } catch (error) {
+    if (!fallback || providerName === 'local') {
+      throw error;
+    }
+
+    logger.warn('Embedding provider failed, using local embeddings', {
+      provider: providerName,
+      error: error.message,
+    });
+
+    const vectors = await getEmbeddingProvider('local').embed(texts);
+    return { vectors, provider: 'local' };
+  }
+}
+
+/**
+ * Cosine similarity between two vectors
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
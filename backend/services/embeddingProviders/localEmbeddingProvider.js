@@ -0,0 +1,64 @@
+const DIMENSIONS = 1536;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'you', 'all', 'any', 'can', 'was', 'has', 'have',
+  'its', 'may', 'who', 'did', 'this', 'that', 'with', 'from', 'they', 'been', 'were',
+  'which', 'their', 'what', 'when', 'will', 'would', 'could', 'should', 'about', 'into',
+  'than', 'then', 'them', 'these', 'those', 'there', 'also', 'such', 'some', 'more',
+]);
+
+/**
+ * Dependency-free embeddings built by hashing words and word pairs into a fixed
+ * number of dimensions. Much weaker than a learned model, but deterministic, free
+ * and always available, which makes it the fallback for every other provider.
+ */
+export function createLocalEmbeddingProvider() {
+  return {
+    name: 'local',
+    dimensions: DIMENSIONS,
+
+    async embed(texts) {
+      return texts.map(embedText);
+    },
+  };
+}
+
+function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const tokens = tokenize(text);
+  const features = [
+    ...tokens,
+    ...tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`),
+  ];
+
+  const counts = new Map();
+  for (const feature of features) {
+    counts.set(feature, (counts.get(feature) || 0) + 1);
+  }
+
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    // The top bit of the hash picks the sign, so collisions tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % DIMENSIONS] += sign * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => token.length > 2 && !STOPWORDS.has(token))
+    // Crude plural folding so "vaccines" and "vaccine" share a feature
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,26 @@
+import axios from 'axios';
+
+/**
+ * Local Ollama server embeddings
+ * OLLAMA_URL defaults to http://localhost:11434, OLLAMA_EMBEDDING_MODEL to nomic-embed-text
+ */
+export function createOllamaEmbeddingProvider() {
+  const baseUrl = (process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/$/, '');
+  const model = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+
+  return {
+    name: 'ollama',
+    dimensions: parseInt(process.env.OLLAMA_EMBEDDING_DIMENSIONS) || 768,
+
+    async embed(texts) {
+      const response = await axios.post(`${baseUrl}/api/embed`, {
+        model,
+        input: texts,
+      }, {
+        timeout: 60000,
+      });
+
+      return response.data.embeddings;
+    },
+  };
+}
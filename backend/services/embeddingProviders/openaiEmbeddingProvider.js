@@ -0,0 +1,33 @@
+import OpenAI from 'openai';
+
+// text-embedding-3-small inputs are capped at 8191 tokens; stay well under it
+const MAX_INPUT_CHARS = 8000;
+
+/**
+ * OpenAI embeddings provider
+ * EMBEDDING_MODEL defaults to text-embedding-3-small (1536 dimensions)
+ */
+export function createOpenAIEmbeddingProvider() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('openai API key not configured');
+  }
+
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+
+  return {
+    name: 'openai',
+    dimensions: 1536,
+
+    async embed(texts) {
+      const response = await client.embeddings.create({
+        model,
+        input: texts.map(text => text.substring(0, MAX_INPUT_CHARS)),
+      });
+
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import Joi from 'joi';
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// A key fact is a phrase, or a list of interchangeable phrases, the answer must contain
+const keyFact = Joi.alternatives().try(
+  Joi.string().trim().min(1),
+  Joi.array().items(Joi.string().trim().min(1)).min(1)
+);
+
+const caseSchema = Joi.object({
+  id: Joi.string().trim().pattern(/^[\w.-]+$/).max(100).required(),
+  question: Joi.string().trim().min(1).max(4000).required(),
+  expectedAnswer: Joi.string().trim().max(4000).optional(),
+  keyFacts: Joi.array().items(keyFact).optional(),
+  expectedConfidence: Joi.alternatives().try(
+    Joi.string().valid(...CONFIDENCE_LEVELS),
+    Joi.object({
+      min: Joi.number().min(0).max(100).required(),
+      max: Joi.number().min(Joi.ref('min')).max(100).required(),
+    })
+  ).optional(),
+  expectedSources: Joi.array().items(Joi.string().trim().lowercase()).optional(),
+  tags: Joi.array().items(Joi.string().trim()).default([]),
+}).or('expectedAnswer', 'keyFacts');
+
+const datasetSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  version: Joi.alternatives().try(Joi.number(), Joi.string()).default(1),
+  description: Joi.string().allow('').optional(),
+  cases: Joi.array().items(caseSchema).min(1).unique('id').required(),
+});
+
+/**
+ * Load and validate an evaluation dataset.
+ *
+ * Each case has a question and an expected answer and/or key facts, plus an
+ * optional expected confidence band ("high", "medium", "low" or { min, max })
+ * and domains the answer is expected to cite.
+ *
+ * @param {string} file - Path to a dataset JSON file
+ * @returns {Object} Validated dataset; expected confidence is { level } or { min, max }
+ */
+export async function loadDataset(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read dataset ${file}: ${error.message}`);
+  }
+
+  const { error, value } = datasetSchema.validate(raw, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid dataset ${file}: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  return {
+    ...value,
+    cases: value.cases.map(testCase => ({
+      ...testCase,
+      expectedConfidence: typeof testCase.expectedConfidence === 'string'
+        ? { level: testCase.expectedConfidence }
+        : testCase.expectedConfidence || null,
+    })),
+  };
+}
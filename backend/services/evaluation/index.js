@@ -0,0 +1,188 @@
+import { execFileSync } from 'child_process';
+import winston from 'winston';
+import { generateAnswer } from '../answerService.js';
+import { scoreCase, summarize, compareSummaries } from './scoring.js';
+
+export { loadDataset } from './dataset.js';
+export { renderHtmlReport } from './report.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'evaluation' },
+});
+
+export const REPORT_FORMAT = 'honestgpt-eval/1';
+
+// Answers are generated as this tier so the model under test is routed through
+// MODEL_ROUTE_EVAL without touching the routes real users get
+const EVALUATION_TIER = 'eval';
+
+/**
+ * Run every case in a dataset through the answer pipeline and score the answers
+ * @param {Object} dataset - Dataset from loadDataset
+ * @param {Object} options - Run options
+ * @param {string} options.searchProvider - Search provider (default 'fixture', replaying recorded results)
+ * @param {string} options.model - Model route spec for the run (default 'mock:mock')
+ * @param {string} options.teamId - Team whose reputation overrides and source policy apply (optional)
+ * @param {Array} options.tags - Only run cases with one of these tags (optional)
+ * @param {number} options.limit - Run at most this many cases (optional)
+ * @param {number} options.passThreshold - Accuracy score counted as correct (default 0.75)
+ * @param {number} options.bins - Reliability curve bins (default 10)
+ * @param {Object} options.baseline - Earlier report to compare against (optional)
+ * @param {Function} options.onCase - Called with each case result as it completes
+ * @returns {Object} Report
+ */
+export async function runEvaluation(dataset, options = {}) {
+  const {
+    searchProvider = 'fixture',
+    model = 'mock:mock',
+    teamId = null,
+    tags,
+    limit,
+    passThreshold = 0.75,
+    bins = 10,
+    baseline,
+    onCase,
+  } = options;
+
+  process.env[`MODEL_ROUTE_${EVALUATION_TIER.toUpperCase()}`] = model;
+
+  const selected = dataset.cases
+    .filter(testCase => !tags?.length || testCase.tags.some(tag => tags.includes(tag)))
+    .slice(0, limit || undefined);
+
+  const startedAt = new Date();
+  const cases = [];
+
+  // Cases run one at a time so latency figures are comparable between runs
+  for (const testCase of selected) {
+    const result = await runCase(testCase, { searchProvider, teamId, passThreshold });
+    cases.push(result);
+    if (onCase) {
+      onCase(result);
+    }
+  }
+
+  const summary = summarize(cases, bins);
+  const finishedAt = new Date();
+
+  logger.info('Evaluation finished', {
+    dataset: dataset.name,
+    cases: cases.length,
+    accuracy: summary.accuracy.rate,
+    ece: summary.calibration.ece,
+  });
+
+  return {
+    format: REPORT_FORMAT,
+    dataset: {
+      name: dataset.name,
+      version: dataset.version,
+      cases: dataset.cases.length,
+    },
+    run: {
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      git: getGitInfo(),
+      searchProvider,
+      model,
+      calibrationVersion: cases.find(entry => entry.answer)?.answer.calibrationVersion ?? null,
+      passThreshold,
+      tags: tags || null,
+    },
+    summary,
+    comparison: baseline ? compareWith(summary, cases, baseline) : null,
+    cases,
+  };
+}
+
+async function runCase(testCase, { searchProvider, teamId, passThreshold }) {
+  const started = Date.now();
+  const base = { id: testCase.id, question: testCase.question, tags: testCase.tags };
+
+  try {
+    const answer = await generateAnswer({
+      question: testCase.question,
+      tier: EVALUATION_TIER,
+      searchProvider,
+      teamId,
+    });
+
+    if (!answer.success) {
+      throw new Error(answer.message || answer.error || 'Answer generation failed');
+    }
+
+    return {
+      ...base,
+      durationMs: Date.now() - started,
+      error: null,
+      answer: {
+        text: answer.response.mainResponse,
+        confidence: answer.response.confidence,
+        confidenceLevel: answer.response.confidenceLevel,
+        factors: Object.fromEntries(Object.entries(answer.response.factors || {})
+          .filter(([, factor]) => typeof factor?.score === 'number')
+          .map(([name, factor]) => [name, factor.score])),
+        sources: (answer.response.sources || []).map(source => ({
+          citation: source.citation,
+          domain: source.domain,
+          url: source.url,
+        })),
+        searchResults: answer.searchResults.length,
+        model: answer.metadata.model || null,
+        calibrationVersion: answer.metadata.calibrationVersion ?? null,
+      },
+      scores: scoreCase(testCase, answer, { passThreshold }),
+    };
+  } catch (error) {
+    logger.error('Evaluation case failed', { id: testCase.id, error: error.message });
+    return {
+      ...base,
+      durationMs: Date.now() - started,
+      error: error.message,
+      answer: null,
+      scores: null,
+    };
+  }
+}
+
+/**
+ * Compare with an earlier report, including which cases flipped between correct and incorrect
+ */
+function compareWith(summary, cases, baseline) {
+  if (baseline.format !== REPORT_FORMAT) {
+    throw new Error(`Baseline report format ${baseline.format} is not ${REPORT_FORMAT}`);
+  }
+
+  const outcome = (entry) => (entry.scores ? entry.scores.accuracy.correct : 'error');
+  const before = new Map(baseline.cases.map(entry => [entry.id, outcome(entry)]));
+
+  return {
+    baseline: {
+      dataset: `${baseline.dataset.name}@${baseline.dataset.version}`,
+      git: baseline.run.git,
+      model: baseline.run.model,
+      startedAt: baseline.run.startedAt,
+    },
+    metrics: compareSummaries(summary, baseline.summary),
+    changedCases: cases
+      .filter(entry => before.has(entry.id) && before.get(entry.id) !== outcome(entry))
+      .map(entry => ({ id: entry.id, before: before.get(entry.id), after: outcome(entry) })),
+  };
+}
+
+function getGitInfo() {
+  const git = (...args) => execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+  try {
+    return {
+      commit: git('rev-parse', '--short', 'HEAD'),
+      branch: git('rev-parse', '--abbrev-ref', 'HEAD'),
+      dirty: git('status', '--porcelain').length > 0,
+    };
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadDataset, runEvaluation } from './index.js';
+
+const CORE_DATASET = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/evaluation/core.json');
+
+// The committed search fixtures and the mock model make the core dataset run offline
+process.env.PAGE_FETCH_ENABLED = 'false';
+
+// Routes, domain reputations and calibrations fall back to their built-in
+// defaults when their tables are empty
+const realFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async () => new Response('[]', {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+function scores(report) {
+  return report.cases.map(entry => ({
+    id: entry.id,
+    confidence: entry.answer?.confidence,
+    accuracy: entry.scores?.accuracy,
+  }));
+}
+
+test('the core dataset runs offline against the committed search fixtures', async () => {
+  const dataset = await loadDataset(CORE_DATASET);
+  const report = await runEvaluation(dataset, { searchProvider: 'fixture', model: 'mock:mock' });
+
+  assert.equal(report.cases.length, dataset.cases.length);
+  for (const entry of report.cases) {
+    assert.equal(entry.error, null, entry.id);
+    assert.ok(entry.answer.searchResults > 0, `${entry.id} has no recorded search results`);
+  }
+});
+
+test('offline evaluation runs are deterministic', async () => {
+  const dataset = await loadDataset(CORE_DATASET);
+
+  const first = await runEvaluation(dataset, { searchProvider: 'fixture', model: 'mock:mock' });
+  const second = await runEvaluation(dataset, { searchProvider: 'fixture', model: 'mock:mock' });
+
+  assert.deepEqual(scores(second), scores(first));
+});
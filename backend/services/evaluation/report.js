@@ -0,0 +1,175 @@
+// Metrics where a decrease is an improvement
+const LOWER_IS_BETTER = new Set([
+  'citations.uncitedClaimRate',
+  'calibration.ece',
+  'calibration.brier',
+  'latencyMs.mean',
+]);
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - Report from runEvaluation
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(report) {
+  const { summary, run, dataset } = report;
+  const git = run.git ? `${run.git.branch}@${run.git.commit}${run.git.dirty ? ' (uncommitted changes)' : ''}` : 'unknown';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>honestGPT evaluation: ${escapeHtml(dataset.name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; margin-bottom: 2rem; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 2rem; }
+  .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem; min-width: 150px; }
+  .card .value { font-size: 1.5rem; font-weight: 600; }
+  .card .label { color: #6b7280; font-size: 0.875rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.875rem; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  .better { color: #15803d; }
+  .worse { color: #b91c1c; }
+  .pass { color: #15803d; font-weight: 600; }
+  .fail { color: #b91c1c; font-weight: 600; }
+  details summary { cursor: pointer; }
+  pre { white-space: pre-wrap; background: #f9fafb; padding: 0.5rem; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>Evaluation: ${escapeHtml(dataset.name)} v${escapeHtml(dataset.version)}</h1>
+<div class="meta">
+  ${escapeHtml(git)} &middot; search: ${escapeHtml(run.searchProvider)} &middot; model: ${escapeHtml(run.model)}
+  &middot; calibration v${escapeHtml(run.calibrationVersion ?? 0)} &middot; ${escapeHtml(run.startedAt)}
+</div>
+
+<div class="cards">
+  ${card('Accuracy', formatPercent(summary.accuracy.rate), `${summary.accuracy.correct} of ${summary.cases - summary.errors} correct`)}
+  ${card('Citation precision', formatPercent(summary.citations.precision), 'cited claims supported by their source')}
+  ${card('Marker validity', formatPercent(summary.citations.markerValidity), '[n] markers pointing at real sources')}
+  ${card('Expected sources cited', formatPercent(summary.citations.expectedSourceRecall), '')}
+  ${card('ECE', formatPercent(summary.calibration.ece), 'expected calibration error')}
+  ${card('Brier score', formatNumber(summary.calibration.brier), '')}
+  ${card('Confidence in band', formatPercent(summary.calibration.bandAccuracy), '')}
+  ${card('Errors', summary.errors, `of ${summary.cases} cases`)}
+</div>
+
+${report.comparison ? renderComparison(report.comparison) : ''}
+
+<h2>Calibration</h2>
+${renderReliabilityDiagram(summary.calibration.curve)}
+
+<h2>Cases</h2>
+<table>
+  <thead>
+    <tr><th>Case</th><th>Accuracy</th><th>Confidence</th><th>Citation precision</th><th>Details</th></tr>
+  </thead>
+  <tbody>
+    ${report.cases.map(renderCase).join('\n')}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+function card(label, value, note) {
+  return `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div>${note ? `<div class="label">${escapeHtml(note)}</div>` : ''}</div>`;
+}
+
+function renderComparison(comparison) {
+  const { baseline } = comparison;
+  const rows = Object.entries(comparison.metrics).map(([name, metric]) => {
+    let className = '';
+    if (metric.delta) {
+      const improved = LOWER_IS_BETTER.has(name) ? metric.delta < 0 : metric.delta > 0;
+      className = improved ? 'better' : 'worse';
+    }
+    return `<tr><td>${escapeHtml(name)}</td><td>${formatNumber(metric.baseline)}</td><td>${formatNumber(metric.current)}</td><td class="${className}">${metric.delta > 0 ? '+' : ''}${formatNumber(metric.delta)}</td></tr>`;
+  });
+
+  const changed = comparison.changedCases.map(entry =>
+    `<li>${escapeHtml(entry.id)}: ${describeOutcome(entry.before)} &rarr; ${describeOutcome(entry.after)}</li>`);
+
+  return `<h2>Compared with ${escapeHtml(baseline.git ? `${baseline.git.branch}@${baseline.git.commit}` : baseline.startedAt)}</h2>
+<table>
+  <thead><tr><th>Metric</th><th>Baseline</th><th>Current</th><th>Change</th></tr></thead>
+  <tbody>${rows.join('\n')}</tbody>
+</table>
+${changed.length > 0 ? `<h3>Cases that changed</h3><ul>${changed.join('\n')}</ul>` : '<p>No case changed outcome.</p>'}`;
+}
+
+function describeOutcome(outcome) {
+  if (outcome === 'error') return '<span class="fail">error</span>';
+  return outcome ? '<span class="pass">correct</span>' : '<span class="fail">incorrect</span>';
+}
+
+/**
+ * Observed accuracy per confidence bin against the diagonal of perfect calibration
+ */
+function renderReliabilityDiagram(curve) {
+  if (curve.length === 0) {
+    return '<p>No scored answers.</p>';
+  }
+
+  const size = 300;
+  const pad = 30;
+  const x = (value) => pad + value * size;
+  const y = (value) => pad + (1 - value) * size;
+  const maxCount = Math.max(...curve.map(bin => bin.count));
+
+  const bars = curve.map(bin => {
+    const width = (bin.to - bin.from) * size - 2;
+    return `<rect x="${x(bin.from) + 1}" y="${y(bin.accuracy)}" width="${width}" height="${bin.accuracy * size}" fill="#8b5cf6" fill-opacity="${0.3 + 0.7 * (bin.count / maxCount)}"><title>${Math.round(bin.from * 100)}-${Math.round(bin.to * 100)}%: ${bin.count} answers, ${formatPercent(bin.accuracy)} correct</title></rect>`;
+  });
+
+  return `<svg width="${size + pad * 2}" height="${size + pad * 2}" role="img" aria-label="Reliability diagram">
+  <rect x="${pad}" y="${pad}" width="${size}" height="${size}" fill="none" stroke="#d1d5db"/>
+  ${bars.join('\n  ')}
+  <line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#6b7280" stroke-dasharray="4"/>
+  <text x="${pad + size / 2}" y="${size + pad * 2 - 5}" text-anchor="middle" font-size="12">Displayed confidence</text>
+  <text x="12" y="${pad + size / 2}" text-anchor="middle" font-size="12" transform="rotate(-90 12 ${pad + size / 2})">Observed accuracy</text>
+</svg>`;
+}
+
+function renderCase(entry) {
+  if (!entry.scores) {
+    return `<tr><td>${escapeHtml(entry.id)}</td><td colspan="3" class="fail">Error</td><td><pre>${escapeHtml(entry.error)}</pre></td></tr>`;
+  }
+
+  const { accuracy, confidence, citations } = entry.scores;
+  const missing = [
+    ...accuracy.missingFacts.map(fact => `missing fact: ${[].concat(fact).join(' / ')}`),
+    ...citations.missingSources.map(domain => `not cited: ${domain}`),
+  ];
+
+  return `<tr>
+  <td><strong>${escapeHtml(entry.id)}</strong><br>${escapeHtml(entry.question)}</td>
+  <td class="${accuracy.correct ? 'pass' : 'fail'}">${formatPercent(accuracy.score)}</td>
+  <td>${escapeHtml(confidence.score)}% ${escapeHtml(confidence.level)}${confidence.inBand === false ? ' <span class="fail">(outside expected band)</span>' : ''}</td>
+  <td>${formatPercent(citations.precision)}</td>
+  <td>
+    ${missing.length > 0 ? `<ul>${missing.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+    <details><summary>Answer</summary><pre>${escapeHtml(entry.answer.text)}</pre></details>
+  </td>
+</tr>`;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? 'n/a' : `${Math.round(value * 1000) / 10}%`;
+}
+
+function formatNumber(value) {
+  return value === null || value === undefined ? 'n/a' : String(value);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
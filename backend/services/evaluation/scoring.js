@@ -0,0 +1,237 @@
+import { expectedCalibrationError, reliabilityCurve } from '../calibrationService.js';
+
+/**
+ * Score one answer against its case
+ * @param {Object} testCase - Dataset case
+ * @param {Object} answer - Result of generateAnswer
+ * @param {Object} options - { passThreshold } minimum accuracy score counted as correct
+ * @returns {Object} { accuracy, citations, confidence }
+ */
+export function scoreCase(testCase, answer, { passThreshold = 0.75 } = {}) {
+  const text = answer.response.mainResponse || '';
+
+  return {
+    accuracy: scoreAccuracy(testCase, text, passThreshold),
+    citations: scoreCitations(testCase, answer),
+    confidence: scoreConfidenceBand(testCase, answer.response),
+  };
+}
+
+/**
+ * Key fact recall when the case lists facts, otherwise token overlap (F2) with the expected answer
+ */
+function scoreAccuracy(testCase, text, passThreshold) {
+  // Padded so phrases only match whole words: "100" must not match "1000"
+  const normalized = ` ${normalizeText(text)} `;
+  let score;
+  let missingFacts = [];
+
+  if (testCase.keyFacts?.length) {
+    const found = testCase.keyFacts.map(fact =>
+      [].concat(fact).some(phrase => normalized.includes(` ${normalizeText(phrase)} `)));
+    missingFacts = testCase.keyFacts.filter((fact, index) => !found[index]);
+    score = found.filter(Boolean).length / found.length;
+  } else {
+    score = tokenOverlap(testCase.expectedAnswer, text);
+  }
+
+  return {
+    method: testCase.keyFacts?.length ? 'key_facts' : 'answer_overlap',
+    score: round(score),
+    correct: score >= passThreshold,
+    missingFacts,
+  };
+}
+
+/**
+ * How well the answer's [n] markers hold up: markers pointing at real sources,
+ * cited claims whose cited source actually supports them, and expected domains cited
+ */
+function scoreCitations(testCase, answer) {
+  const citations = answer.metadata.citations || { invalidMarkers: [], uncitedClaims: [] };
+  const claims = answer.response.claims || [];
+  const results = answer.searchResults || [];
+
+  const citedClaims = claims.filter(claim => claim.citations?.length > 0);
+  const supportedCitations = citedClaims.filter(claim => claim.citations.some(number => {
+    const source = results[number - 1];
+    return source && claim.verdict === 'supported' &&
+      claim.supportingSources.some(supporting => isSameSource(supporting, source));
+  }));
+
+  const markers = claims.reduce((sum, claim) => sum + (claim.citations?.length || 0), 0);
+  const citedDomains = (answer.response.sources || []).map(source => (source.domain || '').toLowerCase());
+  const expected = testCase.expectedSources || [];
+  const expectedCited = expected.filter(domain =>
+    citedDomains.some(cited => cited === domain || cited.endsWith(`.${domain}`)));
+
+  return {
+    claims: claims.length,
+    citedClaims: citedClaims.length,
+    uncitedClaims: claims.length - citedClaims.length,
+    invalidMarkers: citations.invalidMarkers.length,
+    markerValidity: markers + citations.invalidMarkers.length > 0
+      ? round(markers / (markers + citations.invalidMarkers.length))
+      : null,
+    precision: citedClaims.length > 0 ? round(supportedCitations.length / citedClaims.length) : null,
+    expectedSourceRecall: expected.length > 0 ? round(expectedCited.length / expected.length) : null,
+    missingSources: expected.filter(domain => !expectedCited.includes(domain)),
+  };
+}
+
+function scoreConfidenceBand(testCase, response) {
+  const expected = testCase.expectedConfidence;
+  let inBand = null;
+
+  if (expected?.level) {
+    inBand = response.confidenceLevel === expected.level;
+  } else if (expected) {
+    inBand = response.confidence >= expected.min && response.confidence <= expected.max;
+  }
+
+  return {
+    score: response.confidence,
+    level: response.confidenceLevel,
+    expected,
+    inBand,
+  };
+}
+
+/**
+ * Aggregate case scores into run-level metrics, including calibration of the
+ * displayed confidence against answer correctness
+ * @param {Array} cases - Case results from the runner
+ * @param {number} bins - Reliability curve bins
+ * @returns {Object} Summary metrics
+ */
+export function summarize(cases, bins = 10) {
+  const scored = cases.filter(entry => entry.scores);
+  const correct = scored.map(entry => (entry.scores.accuracy.correct ? 1 : 0));
+  const predictions = scored.map(entry => entry.scores.confidence.score / 100);
+  const bands = scored.map(entry => entry.scores.confidence.inBand).filter(inBand => inBand !== null);
+
+  return {
+    cases: cases.length,
+    errors: cases.length - scored.length,
+    accuracy: {
+      correct: correct.filter(Boolean).length,
+      rate: ratio(correct),
+      meanScore: meanOf(scored.map(entry => entry.scores.accuracy.score)),
+    },
+    citations: {
+      markerValidity: meanOf(scored.map(entry => entry.scores.citations.markerValidity)),
+      precision: meanOf(scored.map(entry => entry.scores.citations.precision)),
+      expectedSourceRecall: meanOf(scored.map(entry => entry.scores.citations.expectedSourceRecall)),
+      uncitedClaimRate: ratioOf(
+        sumOf(scored.map(entry => entry.scores.citations.uncitedClaims)),
+        sumOf(scored.map(entry => entry.scores.citations.claims))
+      ),
+    },
+    calibration: {
+      meanConfidence: round(meanOf(predictions)),
+      ece: scored.length > 0 ? round(expectedCalibrationError(predictions, correct, bins)) : null,
+      brier: scored.length > 0 ? round(meanOf(predictions.map((p, i) => (p - correct[i]) ** 2))) : null,
+      bandAccuracy: ratio(bands.map(inBand => (inBand ? 1 : 0))),
+      curve: reliabilityCurve(predictions, correct, bins),
+    },
+    latencyMs: {
+      mean: Math.round(meanOf(cases.map(entry => entry.durationMs)) || 0),
+      max: Math.max(0, ...cases.map(entry => entry.durationMs)),
+    },
+  };
+}
+
+/**
+ * Differences between two summaries' headline metrics (current minus baseline)
+ */
+export function compareSummaries(current, baseline) {
+  const metrics = {
+    'accuracy.rate': summary => summary.accuracy.rate,
+    'accuracy.meanScore': summary => summary.accuracy.meanScore,
+    'citations.markerValidity': summary => summary.citations.markerValidity,
+    'citations.precision': summary => summary.citations.precision,
+    'citations.expectedSourceRecall': summary => summary.citations.expectedSourceRecall,
+    'citations.uncitedClaimRate': summary => summary.citations.uncitedClaimRate,
+    'calibration.ece': summary => summary.calibration.ece,
+    'calibration.brier': summary => summary.calibration.brier,
+    'calibration.bandAccuracy': summary => summary.calibration.bandAccuracy,
+    'latencyMs.mean': summary => summary.latencyMs.mean,
+  };
+
+  return Object.fromEntries(Object.entries(metrics).map(([name, read]) => {
+    const now = read(current);
+    const before = read(baseline);
+    return [name, {
+      baseline: before ?? null,
+      current: now ?? null,
+      delta: now != null && before != null ? round(now - before) : null,
+    }];
+  }));
+}
+
+function isSameSource(claimSource, result) {
+  return (claimSource.url && claimSource.url === result.link) ||
+    (!claimSource.url && claimSource.title === result.title);
+}
+
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    // 1,000 and 1000 should match
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/[^\p{L}\p{N}%.]+/gu, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenOverlap(expected, actual) {
+  const expectedTokens = normalizeText(expected).split(' ').filter(Boolean);
+  const actualTokens = normalizeText(actual).split(' ').filter(Boolean);
+  if (expectedTokens.length === 0 || actualTokens.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const token of actualTokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (const token of expectedTokens) {
+    if (counts.get(token) > 0) {
+      overlap++;
+      counts.set(token, counts.get(token) - 1);
+    }
+  }
+
+  if (overlap === 0) {
+    return 0;
+  }
+
+  // F2 weights recall over precision: a correct answer with extra detail should not be penalised much
+  const precision = overlap / actualTokens.length;
+  const recall = overlap / expectedTokens.length;
+  return (5 * precision * recall) / (4 * precision + recall);
+}
+
+function meanOf(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+}
+
+function sumOf(values) {
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
+function ratio(values) {
+  return values.length > 0 ? round(sumOf(values) / values.length) : null;
+}
+
+function ratioOf(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+function round(value) {
+  return value === null || value === undefined ? value : Math.round(value * 10000) / 10000;
+}
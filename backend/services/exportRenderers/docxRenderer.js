@@ -0,0 +1,145 @@
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  ExternalHyperlink,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+} from 'docx';
+
+const LEVEL_COLORS = {
+  high: '15803D',
+  medium: 'B45309',
+  low: 'B91C1C',
+};
+
+const MUTED = '6B7280';
+
+/**
+ * Render an export document as a Word (DOCX) file
+ * @param {Object} document - Result of buildExportDocument
+ * @returns {Promise<Buffer>} DOCX file
+ */
+export function renderDocx(document) {
+  const children = [
+    new Paragraph({ text: document.title, heading: HeadingLevel.TITLE }),
+    new Paragraph({
+      children: [new TextRun({
+        text: `Conversation started ${formatDate(document.createdAt)} - exported ${formatDate(document.exportedAt)} from honestGPT`,
+        color: MUTED,
+        size: 18,
+      })],
+    }),
+  ];
+
+  for (const message of document.messages) {
+    if (message.role === 'user') {
+      children.push(
+        new Paragraph({ text: 'Question', heading: HeadingLevel.HEADING_2 }),
+        ...paragraphs(message.content)
+      );
+    } else {
+      children.push(
+        new Paragraph({ text: 'honestGPT', heading: HeadingLevel.HEADING_2 }),
+        ...paragraphs(message.content),
+        ...renderTransparency(message.transparency)
+      );
+    }
+  }
+
+  return Packer.toBuffer(new Document({
+    creator: 'honestGPT',
+    title: document.title,
+    sections: [{ children }],
+  }));
+}
+
+function renderTransparency(transparency) {
+  const { confidence, level, levelLabel, factors, sources, biases, controversies, limitations, claimSummary, verdict } = transparency;
+  const blocks = [];
+
+  if (verdict) {
+    blocks.push(new Paragraph({ children: [new TextRun({ text: `Verdict: ${verdict}`, bold: true })] }));
+  }
+
+  if (confidence !== null) {
+    blocks.push(new Paragraph({
+      children: [new TextRun({ text: `${confidence}% - ${levelLabel || ''}`, bold: true, color: LEVEL_COLORS[level] })],
+    }));
+  }
+
+  if (factors.length > 0) {
+    blocks.push(
+      new Paragraph({ text: 'Confidence breakdown', heading: HeadingLevel.HEADING_3 }),
+      table(['Factor', 'Score', 'Weight', 'Details'], factors.map(factor => [
+        factor.label,
+        `${factor.score}%`,
+        factor.weight !== undefined ? `${factor.weight}%` : '',
+        factor.details || '',
+      ]))
+    );
+  }
+
+  if (claimSummary?.total > 0) {
+    blocks.push(new Paragraph({
+      text: `Claims checked against the sources: ${claimSummary.supported} supported, ${claimSummary.contradicted} contradicted, ${claimSummary.unverified} unverified.`,
+    }));
+  }
+
+  if (sources.length > 0) {
+    blocks.push(new Paragraph({ text: 'Sources', heading: HeadingLevel.HEADING_3 }));
+    for (const source of sources) {
+      const title = source.url
+        ? new ExternalHyperlink({ link: source.url, children: [new TextRun({ text: source.title, style: 'Hyperlink' })] })
+        : new TextRun(source.title);
+
+      blocks.push(new Paragraph({
+        children: [
+          new TextRun(`[${source.citation}] `),
+          title,
+          new TextRun({
+            text: ` - ${[source.qualityLabel, source.domain, source.evidence, source.publishedDate && formatDate(source.publishedDate)].filter(Boolean).join(', ')}`,
+            color: MUTED,
+          }),
+        ],
+      }));
+    }
+  }
+
+  for (const [title, notes] of [['Potential biases', biases], ['Points of disagreement', controversies], ['Limitations', limitations]]) {
+    if (notes.length > 0) {
+      blocks.push(
+        new Paragraph({ text: title, heading: HeadingLevel.HEADING_3 }),
+        ...notes.map(note => new Paragraph({ text: note, bullet: { level: 0 } }))
+      );
+    }
+  }
+
+  return blocks;
+}
+
+function table(headers, rows) {
+  const row = (cells, bold = false) => new TableRow({
+    children: cells.map(text => new TableCell({
+      children: [new Paragraph({ children: [new TextRun({ text: String(text), bold, size: 18 })] })],
+    })),
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [row(headers, true), ...rows.map(cells => row(cells))],
+  });
+}
+
+// Keep the answer's paragraph breaks
+function paragraphs(text = '') {
+  return text.split(/\n{2,}/).map(paragraph => new Paragraph({ text: paragraph.replace(/\n/g, ' ') }));
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().substring(0, 10) : 'unknown date';
+}
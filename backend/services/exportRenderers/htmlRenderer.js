@@ -0,0 +1,119 @@
+const LEVEL_COLORS = {
+  high: '#15803d',
+  medium: '#b45309',
+  low: '#b91c1c',
+};
+
+/**
+ * Render an export document as a standalone HTML page with inline styles, so it
+ * can be attached to a report or opened offline
+ * @param {Object} document - Result of buildExportDocument
+ * @returns {string} HTML document
+ */
+export function renderHtml(document) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)} - honestGPT</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.875rem; margin-bottom: 2rem; }
+  .message { margin-bottom: 2rem; }
+  .role { font-weight: 600; color: #4b5563; margin-bottom: 0.25rem; }
+  .user .content { background: #f3f4f6; border-radius: 8px; padding: 0.75rem 1rem; }
+  .content { white-space: pre-wrap; }
+  .transparency { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem; margin-top: 0.75rem; font-size: 0.875rem; }
+  .confidence { font-size: 1rem; font-weight: 600; }
+  .bar { background: #e5e7eb; border-radius: 4px; height: 6px; width: 10rem; display: inline-block; vertical-align: middle; margin-left: 0.5rem; }
+  .bar span { display: block; height: 6px; border-radius: 4px; background: #7c3aed; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  h4 { margin: 1rem 0 0.25rem; }
+  ul { margin: 0.25rem 0; padding-left: 1.25rem; }
+  .quality-high { color: #15803d; }
+  .quality-medium { color: #b45309; }
+  .quality-limited { color: #b91c1c; }
+  a { color: #6d28d9; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.title)}</h1>
+<p class="meta">Conversation started ${formatDate(document.createdAt)} &middot; exported ${formatDate(document.exportedAt)} from honestGPT</p>
+${document.messages.map(renderMessage).join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderMessage(message) {
+  if (message.role === 'user') {
+    return `<div class="message user">
+  <div class="role">Question</div>
+  <div class="content">${escapeHtml(message.content)}</div>
+</div>`;
+  }
+
+  return `<div class="message assistant">
+  <div class="role">honestGPT</div>
+  <div class="content">${escapeHtml(message.content)}</div>
+  ${renderTransparency(message.transparency)}
+</div>`;
+}
+
+function renderTransparency(transparency) {
+  const { confidence, level, levelLabel, factors, sources, biases, controversies, limitations, claimSummary, verdict } = transparency;
+  const sections = [];
+
+  if (verdict) {
+    sections.push(`<div class="confidence">Verdict: ${escapeHtml(verdict)}</div>`);
+  }
+
+  if (confidence !== null) {
+    sections.push(`<div class="confidence" style="color: ${LEVEL_COLORS[level] || '#1f2937'}">${confidence}% &middot; ${escapeHtml(levelLabel || '')}</div>`);
+  }
+
+  if (factors.length > 0) {
+    sections.push(`<h4>Confidence breakdown</h4>
+<table>
+  <tr><th>Factor</th><th>Score</th><th>Weight</th><th>Details</th></tr>
+  ${factors.map(factor => `<tr><td>${escapeHtml(factor.label)}</td><td>${factor.score}%<span class="bar"><span style="width: ${factor.score}%"></span></span></td><td>${factor.weight ?? ''}%</td><td>${escapeHtml(factor.details || '')}</td></tr>`).join('\n  ')}
+</table>`);
+  }
+
+  if (claimSummary?.total > 0) {
+    sections.push(`<p>Claims checked against the sources: ${claimSummary.supported} supported, ${claimSummary.contradicted} contradicted, ${claimSummary.unverified} unverified.</p>`);
+  }
+
+  if (sources.length > 0) {
+    sections.push(`<h4>Sources</h4>
+<table>
+  <tr><th>#</th><th>Source</th><th>Quality</th></tr>
+  ${sources.map(source => `<tr><td>${source.citation}</td><td>${source.url ? `<a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a>` : escapeHtml(source.title)}<br><small>${escapeHtml([source.domain, source.evidence, source.publishedDate && formatDate(source.publishedDate)].filter(Boolean).join(' · '))}</small></td><td class="quality-${escapeHtml(source.quality || '')}">${escapeHtml(source.qualityLabel)}</td></tr>`).join('\n  ')}
+</table>`);
+  }
+
+  for (const [heading, notes] of [['Potential biases', biases], ['Points of disagreement', controversies], ['Limitations', limitations]]) {
+    if (notes.length > 0) {
+      sections.push(`<h4>${heading}</h4>
+<ul>${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`);
+    }
+  }
+
+  return sections.length > 0 ? `<div class="transparency">\n${sections.join('\n')}\n</div>` : '';
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().substring(0, 10) : 'unknown date';
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
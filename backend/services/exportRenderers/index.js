@@ -0,0 +1,113 @@
+import { renderHtml } from './htmlRenderer.js';
+import { renderPdf } from './pdfRenderer.js';
+import { renderDocx } from './docxRenderer.js';
+
+export { renderHtml, renderPdf, renderDocx };
+
+const FACTOR_LABELS = {
+  sourceQuality: 'Source quality',
+  sourceAgreement: 'Source agreement',
+  recencyScore: 'Information recency',
+  certaintyScore: 'Language certainty',
+};
+
+const LEVEL_LABELS = {
+  high: 'High confidence',
+  medium: 'Moderate confidence',
+  low: 'Low confidence',
+};
+
+const QUALITY_LABELS = {
+  high: 'High quality',
+  medium: 'Medium quality',
+  limited: 'Limited quality',
+};
+
+const EVIDENCE_LABELS = {
+  meta_analysis: 'Meta-analysis',
+  rct: 'Randomized trial',
+  observational: 'Observational study',
+  other: 'Scholarly work',
+  preprint: 'Preprint',
+};
+
+/**
+ * Shape a conversation for the document renderers: each answer carries its
+ * confidence breakdown, sources with quality labels, and bias, controversy and
+ * limitation notes, so every format shows the same transparency metadata
+ * @param {Object} conversation - Conversation from getConversation
+ * @returns {Object} { title, createdAt, exportedAt, messages }
+ */
+export function buildExportDocument(conversation) {
+  return {
+    title: conversation.title || 'Untitled conversation',
+    createdAt: conversation.created_at,
+    exportedAt: new Date().toISOString(),
+    messages: conversation.messages.map(message => (
+      message.role === 'user'
+        ? { role: 'user', content: message.content, createdAt: message.created_at }
+        : {
+            role: 'assistant',
+            content: message.content,
+            createdAt: message.created_at,
+            transparency: buildTransparency(message),
+          }
+    )),
+  };
+}
+
+function buildTransparency(message) {
+  const level = message.confidence_level || levelFromScore(message.confidence_score);
+  const factCheck = message.metadata?.factCheck;
+
+  return {
+    confidence: message.confidence_score ?? null,
+    level,
+    levelLabel: LEVEL_LABELS[level] || null,
+    factors: Object.entries(message.confidence_factors || {})
+      .filter(([key, factor]) => FACTOR_LABELS[key] && typeof factor === 'object')
+      .map(([key, factor]) => ({
+        key,
+        label: FACTOR_LABELS[key],
+        score: factor.score,
+        weight: factor.weight,
+        details: factor.details,
+      })),
+    sources: (message.sources || []).map((source, index) => ({
+      citation: source.citation ?? index + 1,
+      title: source.title,
+      // Only web addresses become links; a javascript: URL would run when clicked
+      url: /^https?:\/\//i.test(source.url || '') ? source.url : null,
+      domain: source.domain,
+      quality: source.quality,
+      qualityLabel: QUALITY_LABELS[source.quality] || source.quality || 'Unrated',
+      type: source.type,
+      publishedDate: source.publishedDate || null,
+      evidence: source.scholarly
+        ? [
+            source.scholarly.retracted ? 'Retracted' : EVIDENCE_LABELS[source.scholarly.evidenceLevel],
+            source.scholarly.journal,
+            source.scholarly.year,
+          ].filter(Boolean).join(', ')
+        : null,
+    })),
+    biases: asList(message.biases),
+    controversies: asList(message.controversies),
+    limitations: asList(message.limitations),
+    claimSummary: message.metadata?.claimSummary || null,
+    verdict: factCheck ? `${factCheck.verdict.label} (${factCheck.verdict.basis.replace('_', ' ')})` : null,
+  };
+}
+
+// Older messages stored some notes as a single string
+function asList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value.filter(Boolean) : [value];
+}
+
+function levelFromScore(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 80) return 'high';
+  if (score >= 50) return 'medium';
+  return 'low';
+}
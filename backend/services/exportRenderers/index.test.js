@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { buildExportDocument, renderHtml, renderPdf } from './index.js';
+
+const SCRIPT = '<script>alert("x")</script>';
+
+const conversation = {
+  title: `Coffee ${SCRIPT}`,
+  created_at: '2024-04-10T12:00:00Z',
+  messages: [
+    { role: 'user', content: `Is coffee healthy? ${SCRIPT}`, created_at: '2024-04-10T12:00:00Z' },
+    {
+      role: 'assistant',
+      content: `Moderate intake is linked to lower mortality [1]. ${SCRIPT}`,
+      created_at: '2024-04-10T12:00:05Z',
+      confidence_score: 72,
+      confidence_level: null,
+      confidence_factors: {
+        sourceQuality: { score: 85, weight: 30, details: 'Two peer-reviewed sources' },
+        sourceAgreement: { score: 60, weight: 25, details: 'Mostly agree' },
+        overall: 72,
+      },
+      sources: [
+        { title: `Coffee and health ${SCRIPT}`, url: 'https://www.hsph.harvard.edu/coffee?a=1&b="2"', domain: 'hsph.harvard.edu', quality: 'high' },
+        { title: 'Caffeine limits', url: 'javascript:alert(1)', domain: 'fda.gov', quality: 'medium', publishedDate: '2023-05-02' },
+        {
+          title: 'Coffee meta-analysis',
+          url: null,
+          domain: 'bmj.com',
+          quality: 'unknown',
+          scholarly: { evidenceLevel: 'meta_analysis', journal: 'BMJ', year: 2017, retracted: false },
+        },
+      ],
+      biases: `Industry funding ${SCRIPT}`,
+      controversies: [],
+      limitations: ['Observational data', null],
+      metadata: {
+        claimSummary: { total: 3, supported: 2, contradicted: 0, unverified: 1 },
+        factCheck: { verdict: { label: 'Mostly true', basis: 'fact_checkers' } },
+      },
+    },
+  ],
+};
+
+test('buildExportDocument gathers each answer\'s transparency notes', () => {
+  const document = buildExportDocument(conversation);
+  const { transparency } = document.messages[1];
+
+  assert.equal(document.messages[0].transparency, undefined);
+  assert.equal(transparency.level, 'medium');
+  assert.equal(transparency.levelLabel, 'Moderate confidence');
+  assert.deepEqual(transparency.factors.map(factor => factor.label), ['Source quality', 'Source agreement']);
+  assert.deepEqual(transparency.sources.map(source => [source.citation, source.qualityLabel]),
+    [[1, 'High quality'], [2, 'Medium quality'], [3, 'unknown']]);
+  assert.equal(transparency.sources[2].evidence, 'Meta-analysis, BMJ, 2017');
+  assert.deepEqual(transparency.biases, [`Industry funding ${SCRIPT}`]);
+  assert.deepEqual(transparency.limitations, ['Observational data']);
+  assert.equal(transparency.verdict, 'Mostly true (fact checkers)');
+  assert.equal(buildExportDocument({ messages: [] }).title, 'Untitled conversation');
+});
+
+test('the HTML export escapes markup in titles, messages, sources and notes', () => {
+  const html = renderHtml(buildExportDocument(conversation));
+  const escaped = '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;';
+
+  assert.doesNotMatch(html, /<script/i);
+  for (const expected of [
+    `<title>Coffee ${escaped} - honestGPT</title>`,
+    `<div class="content">Is coffee healthy? ${escaped}</div>`,
+    `<div class="content">Moderate intake is linked to lower mortality [1]. ${escaped}</div>`,
+    `<a href="https://www.hsph.harvard.edu/coffee?a=1&amp;b=&quot;2&quot;">Coffee and health ${escaped}</a>`,
+    `<li>Industry funding ${escaped}</li>`,
+  ]) {
+    assert.ok(html.includes(expected), `HTML is missing ${expected}`);
+  }
+});
+
+test('the HTML export only links web addresses', () => {
+  const html = renderHtml(buildExportDocument(conversation));
+
+  assert.doesNotMatch(html, /javascript:/);
+  assert.match(html, /<td>Caffeine limits<br><small>fda\.gov · 2023-05-02<\/small><\/td>/);
+  assert.match(html, /<td>Coffee meta-analysis<br><small>bmj\.com · Meta-analysis, BMJ, 2017<\/small><\/td>/);
+});
+
+test('the HTML export shows the confidence breakdown, claim checks and verdict', () => {
+  const html = renderHtml(buildExportDocument(conversation));
+
+  assert.match(html, /<div class="confidence">Verdict: Mostly true \(fact checkers\)<\/div>/);
+  assert.match(html, /72% &middot; Moderate confidence/);
+  assert.match(html, /<td>Source quality<\/td><td>85%<span class="bar"><span style="width: 85%"><\/span><\/span><\/td><td>30%<\/td><td>Two peer-reviewed sources<\/td>/);
+  assert.match(html, /2 supported, 0 contradicted, 1 unverified/);
+  assert.match(html, /Conversation started 2024-04-10/);
+});
+
+test('the PDF export contains the conversation and its transparency notes', async () => {
+  const pdf = await renderPdf(buildExportDocument(conversation));
+  const { text, info } = await pdfParse(pdf);
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(info.Title, `Coffee ${SCRIPT}`);
+  for (const expected of [
+    'Is coffee healthy?',
+    'Moderate intake is linked to lower mortality [1].',
+    'Verdict: Mostly true (fact checkers)',
+    '72% - Moderate confidence',
+    'Source quality: 85% (weight 30%)',
+    '[1] Coffee and health',
+    '[2] Caffeine limits',
+    'Medium quality - fda.gov - 2023-05-02',
+    'Potential biases',
+    'Observational data',
+  ]) {
+    assert.ok(text.includes(expected), `PDF text is missing "${expected}"`);
+  }
+  assert.doesNotMatch(pdf.toString('latin1'), /javascript:/);
+});
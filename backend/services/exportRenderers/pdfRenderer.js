@@ -0,0 +1,115 @@
+import PDFDocument from 'pdfkit';
+
+const LEVEL_COLORS = {
+  high: '#15803d',
+  medium: '#b45309',
+  low: '#b91c1c',
+};
+
+const MUTED = '#6b7280';
+const TEXT = '#1f2937';
+const ACCENT = '#7c3aed';
+
+/**
+ * Render an export document as a PDF with the standard PDF fonts
+ * @param {Object} document - Result of buildExportDocument
+ * @returns {Promise<Buffer>} PDF file
+ */
+export function renderPdf(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: document.title, Creator: 'honestGPT' },
+    });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.font('Helvetica-Bold').fontSize(20).fillColor(TEXT).text(document.title);
+    pdf.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(`Conversation started ${formatDate(document.createdAt)} - exported ${formatDate(document.exportedAt)} from honestGPT`);
+    pdf.moveDown(1.5);
+
+    for (const message of document.messages) {
+      if (message.role === 'user') {
+        pdf.font('Helvetica-Bold').fontSize(11).fillColor(ACCENT).text('Question');
+        pdf.font('Helvetica').fontSize(11).fillColor(TEXT).text(message.content);
+        pdf.moveDown();
+      } else {
+        pdf.font('Helvetica-Bold').fontSize(11).fillColor(ACCENT).text('honestGPT');
+        pdf.font('Helvetica').fontSize(11).fillColor(TEXT).text(message.content);
+        pdf.moveDown(0.5);
+        renderTransparency(pdf, message.transparency);
+        pdf.moveDown(1.5);
+      }
+    }
+
+    pdf.end();
+  });
+}
+
+function renderTransparency(pdf, transparency) {
+  const { confidence, level, levelLabel, factors, sources, biases, controversies, limitations, claimSummary, verdict } = transparency;
+
+  if (verdict) {
+    pdf.font('Helvetica-Bold').fontSize(11).fillColor(TEXT).text(`Verdict: ${verdict}`);
+  }
+
+  if (confidence !== null) {
+    pdf.font('Helvetica-Bold').fontSize(11).fillColor(LEVEL_COLORS[level] || TEXT)
+      .text(`${confidence}% - ${levelLabel || ''}`);
+  }
+
+  if (factors.length > 0) {
+    heading(pdf, 'Confidence breakdown');
+    for (const factor of factors) {
+      const y = pdf.y;
+      pdf.font('Helvetica').fontSize(9).fillColor(TEXT)
+        .text(`${factor.label}: ${factor.score}% (weight ${factor.weight ?? '-'}%)`, pdf.page.margins.left, y, { width: 200 });
+      // Score bar beside the label
+      const barX = pdf.page.margins.left + 210;
+      pdf.rect(barX, y + 2, 100, 5).fill('#e5e7eb');
+      pdf.rect(barX, y + 2, Math.max(0, Math.min(100, factor.score)), 5).fill(ACCENT);
+      if (factor.details) {
+        pdf.font('Helvetica').fontSize(8).fillColor(MUTED)
+          .text(factor.details, pdf.page.margins.left, pdf.y, { width: pdf.page.width - pdf.page.margins.left - pdf.page.margins.right });
+      }
+      pdf.moveDown(0.3);
+    }
+  }
+
+  if (claimSummary?.total > 0) {
+    pdf.moveDown(0.3);
+    pdf.font('Helvetica').fontSize(9).fillColor(TEXT)
+      .text(`Claims checked against the sources: ${claimSummary.supported} supported, ${claimSummary.contradicted} contradicted, ${claimSummary.unverified} unverified.`, pdf.page.margins.left);
+  }
+
+  if (sources.length > 0) {
+    heading(pdf, 'Sources');
+    for (const source of sources) {
+      pdf.font('Helvetica').fontSize(9).fillColor(TEXT)
+        .text(`[${source.citation}] ${source.title}`, pdf.page.margins.left, pdf.y, source.url ? { link: source.url, underline: false } : {});
+      pdf.font('Helvetica').fontSize(8).fillColor(MUTED)
+        .text([source.qualityLabel, source.domain, source.evidence, source.publishedDate && formatDate(source.publishedDate)].filter(Boolean).join(' - '));
+    }
+  }
+
+  for (const [title, notes] of [['Potential biases', biases], ['Points of disagreement', controversies], ['Limitations', limitations]]) {
+    if (notes.length > 0) {
+      heading(pdf, title);
+      pdf.font('Helvetica').fontSize(9).fillColor(TEXT).list(notes, pdf.page.margins.left, pdf.y, { bulletRadius: 1.5 });
+    }
+  }
+}
+
+function heading(pdf, text) {
+  pdf.moveDown(0.5);
+  pdf.font('Helvetica-Bold').fontSize(10).fillColor(TEXT).text(text, pdf.page.margins.left);
+  pdf.moveDown(0.2);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().substring(0, 10) : 'unknown date';
+}
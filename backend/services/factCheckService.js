@@ -0,0 +1,412 @@
+import winston from 'winston';
+import { performPlannedSearch } from './searchService.js';
+import { fetchPageContent, enrichWithPassages, isPageFetchEnabled } from './pageContentService.js';
+import { verifyClaims, summarizeClaims } from './claimService.js';
+import { formatSource } from './aiService.js';
+import { saveMessage, generateConversationTitle, isConversationOwner } from './conversationService.js';
+import { trackUsage } from './usageService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'fact-check-service' },
+});
+
+/**
+ * Common scale fact-checker ratings are normalized to
+ */
+export const FACT_CHECK_RATINGS = ['true', 'mostly_true', 'mixed', 'mostly_false', 'false', 'unproven'];
+
+const VERDICT_LABELS = {
+  true: 'True',
+  mostly_true: 'Mostly true',
+  mixed: 'Mixed',
+  mostly_false: 'Mostly false',
+  false: 'False',
+  unproven: 'Unproven',
+  disputed: 'Fact-checkers disagree',
+  supported: 'Supported by primary sources',
+  contradicted: 'Contradicted by primary sources',
+  unverified: 'Not verified',
+};
+
+// Publisher wording, checked in order so "mostly false" is not read as "false"
+// and negated labels ("not true", "not entirely accurate") before the bare words
+const RATING_PATTERNS = [
+  ['unproven', /\b(unproven|unverified|unsubstantiated|no evidence|unsupported|research in progress|undetermined|not (proven|verified))\b/i],
+  ['mixed', /\bnot (entirely|completely|quite|wholly|totally|exactly|always) (true|accurate|correct|false)\b/i],
+  ['false', /\b(not|isn't) (true|accurate|correct|factual|real|legit(imate)?)\b/i],
+  ['true', /\b(not|isn't) (false|fake|a hoax|incorrect|inaccurate|wrong)\b/i],
+  ['mostly_false', /\b(mostly false|largely false|half[- ]?false|three pinocchios)\b/i],
+  ['mostly_true', /\b(mostly true|largely true|mostly accurate|one pinocchio)\b/i],
+  ['mixed', /\b(mixture|mixed|half[- ]true|partly (true|false)|partially (true|false)|misleading|missing context|lacks context|out of context|exaggerat\w*|two pinocchios|cherry[- ]pick\w*)\b/i],
+  ['false', /\b(false|fake|pants on fire|incorrect|inaccurate|four pinocchios|fabricated|hoax|wrong|misattributed|debunked|scam)\b/i],
+  ['true', /\b(true|correct|accurate|geppetto checkmark|verified)\b/i],
+];
+
+// Leading phrases that turn a claim into a question
+const QUESTION_PREFIX = /^\s*(is it (true|a fact|correct)|fact[- ]check|true or false)\s*[:,-]?\s*(that\s+)?/i;
+
+const TOKEN_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'that', 'this', 'with',
+  'from', 'will', 'its', 'not', 'but', 'than', 'been', 'they', 'their', 'said', 'says',
+]);
+
+/**
+ * Check a claim: search fact-checkers alongside official and academic primary
+ * sources, read the ClaimReview structured data fact-check pages publish, and
+ * verify the claim against the primary sources
+ * @param {Object} params - Check parameters
+ * @param {string} params.claim - Claim to check
+ * @param {string} params.tier - User tier, used to route the verification model
+ * @param {string} params.searchProvider - Search provider override (optional)
+ * @param {string} params.teamId - Team whose source policy applies (optional)
+ * @param {Object} options - { signal }
+ * @returns {Object} { success, factCheck } with the verdict card, or { success: false, error, message }
+ */
+export async function checkClaim({ claim, tier = 'free', searchProvider, teamId = null }, options = {}) {
+  const statement = toStatement(claim);
+
+  const plan = {
+    method: 'fact_check',
+    queries: [
+      { query: statement, route: 'fact_check', purpose: 'Fact-checks of the claim' },
+      { query: statement, route: 'government', purpose: 'Official primary sources' },
+      { query: statement, route: 'academic', purpose: 'Studies and scholarly sources' },
+    ],
+  };
+
+  let search;
+  try {
+    search = await performPlannedSearch(statement, plan, 20, {
+      provider: searchProvider,
+      teamId,
+      fetchPages: false,
+    });
+  } catch (error) {
+    logger.error('Fact-check search failed', { claim: claim.substring(0, 50), error: error.message });
+    return {
+      success: false,
+      error: 'Search failed',
+      message: 'Unable to search fact-checkers and primary sources right now. Please try again in a moment.',
+    };
+  }
+
+  const factCheckResults = search.results.filter(result => result.planQueries.includes(0));
+  let primaryResults = search.results.filter(result => !result.planQueries.includes(0));
+
+  if (isPageFetchEnabled() && primaryResults.length > 0) {
+    primaryResults = (await enrichWithPassages(primaryResults, statement)).results;
+  }
+
+  const [reviews, evidence] = await Promise.all([
+    collectReviews(factCheckResults, statement),
+    primaryResults.length > 0
+      ? verifyClaims(statement, primaryResults, { tier, signal: options.signal })
+      : [],
+  ]);
+
+  const verdict = combineVerdict(reviews, evidence);
+  const evidenceSummary = summarizeClaims(evidence);
+
+  const factCheck = {
+    claim,
+    statement,
+    verdict: {
+      ...verdict,
+      label: VERDICT_LABELS[verdict.rating],
+    },
+    reviews,
+    factCheckArticles: factCheckResults.map(result => ({
+      ...formatSource(result),
+      hasRating: reviews.some(review => review.sourceUrl === result.link),
+    })),
+    primarySources: primaryResults.map(formatSource),
+    evidence: {
+      claims: evidence,
+      summary: evidenceSummary,
+    },
+    metadata: {
+      searchPlan: search.metadata.plan,
+      sourcePolicy: search.metadata.sourcePolicy || null,
+      timestamp: new Date().toISOString(),
+    },
+  };
+  factCheck.summary = describeFactCheck(factCheck);
+
+  logger.info('Claim checked', {
+    claim: claim.substring(0, 50),
+    verdict: verdict.rating,
+    basis: verdict.basis,
+    reviews: reviews.length,
+    primarySources: primaryResults.length,
+  });
+
+  return { success: true, factCheck };
+}
+
+/**
+ * Check a claim and save it to the conversation as a fact-check message
+ * @param {Object} params - Same as checkClaim, plus userId, conversationId and the apiKeyId it came through (optional)
+ * @param {Object} options - { signal }
+ * @returns {Object} Conversation ID, saved message ID, numbered sources and the verdict card
+ */
+export async function runFactCheck({ claim, userId, tier, conversationId = null, searchProvider, teamId, apiKeyId = null }, options = {}) {
+  // Conversations shared into a team are read-only for everyone but their owner
+  if (conversationId && !(await isConversationOwner(conversationId, userId))) {
+    throw new Error('Conversation not found');
+  }
+
+  const result = await checkClaim({ claim, tier, searchProvider, teamId }, options);
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { factCheck } = result;
+  const sources = [...factCheck.factCheckArticles, ...factCheck.primarySources]
+    .map((source, index) => ({ ...source, citation: index + 1 }));
+
+  const saved = await saveMessage(conversationId, userId, claim, {
+    mainResponse: factCheck.summary,
+    sources,
+    metadata: {
+      mode: 'fact_check',
+      searchPlan: factCheck.metadata.searchPlan,
+      factCheck,
+    },
+  });
+
+  const [title] = await Promise.all([
+    // The check is already saved, so a failed title only keeps the placeholder
+    conversationId ? null : generateConversationTitle(saved.conversationId, userId, {
+      tier,
+      question: claim,
+      answer: factCheck.summary,
+    }).then(result => result.title).catch(error => {
+      logger.warn('Failed to title conversation', { conversationId: saved.conversationId, error: error.message });
+      return null;
+    }),
+    trackUsage(userId, 'fact_check', {
+      conversationId: saved.conversationId,
+      searches: factCheck.metadata.searchPlan.queries.length,
+      ...(apiKeyId && { apiKeyId }),
+    }),
+  ]);
+
+  return {
+    success: true,
+    conversationId: saved.conversationId,
+    ...(title && { title }),
+    messageId: saved.assistantMessage?.id,
+    sources,
+    factCheck,
+  };
+}
+
+/**
+ * Read ClaimReview structured data from the fact-check pages, best match first
+ */
+async function collectReviews(results, statement) {
+  const limit = parseInt(process.env.FACT_CHECK_PAGE_LIMIT) || 5;
+  const minMatch = parseFloat(process.env.FACT_CHECK_MIN_MATCH) || 0.3;
+
+  const pages = await Promise.all(results.slice(0, limit).map(result => fetchPageContent(result.link)));
+
+  const reviews = pages.flatMap((page, index) =>
+    (page?.structuredData || [])
+      .filter(isClaimReview)
+      .map(review => parseClaimReview(review, results[index]))
+  );
+
+  return reviews
+    .map(review => {
+      const matchScore = claimMatch(statement, review.claimReviewed || '');
+      return { ...review, matchScore, relevant: matchScore >= minMatch };
+    })
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+function isClaimReview(object) {
+  return [].concat(object['@type'] || []).some(type => String(type).replace(/^.*[:/]/, '') === 'ClaimReview');
+}
+
+/**
+ * Pull the rating, reviewer and dates out of a schema.org ClaimReview
+ * @param {Object} review - ClaimReview JSON-LD object
+ * @param {Object} result - Search result for the page it was found on
+ * @returns {Object} Review
+ */
+export function parseClaimReview(review, result) {
+  const rating = first(review.reviewRating) || {};
+  const author = first(review.author);
+  const item = first(review.itemReviewed) || {};
+  const claimant = first(item.author);
+  const appearance = first(item.appearance) || first(item.firstAppearance);
+
+  const ratingValue = toNumber(rating.ratingValue);
+  const bestRating = toNumber(rating.bestRating);
+  const worstRating = toNumber(rating.worstRating);
+  const ratingLabel = textOf(rating.alternateName) || textOf(rating.name) ||
+    (ratingValue !== null && bestRating !== null ? `${ratingValue}/${bestRating}` : null);
+
+  return {
+    claimReviewed: textOf(review.claimReviewed),
+    claimant: textOf(claimant?.name ?? claimant),
+    claimDate: textOf(item.datePublished) || textOf(appearance?.datePublished),
+    publisher: textOf(author?.name ?? author) || result.domain,
+    publisherUrl: textOf(author?.url),
+    rating: normalizeRating(ratingLabel, ratingValue, bestRating, worstRating),
+    ratingLabel,
+    ratingValue,
+    bestRating,
+    worstRating,
+    datePublished: textOf(review.datePublished),
+    url: textOf(review.url) || result.link,
+    sourceUrl: result.link,
+  };
+}
+
+/**
+ * Map a publisher's rating onto FACT_CHECK_RATINGS, from its wording when it
+ * has any and otherwise from its position on the numeric scale
+ * @returns {string|null} Normalized rating, or null when it cannot be read
+ */
+export function normalizeRating(label, value, best, worst) {
+  if (label) {
+    const match = RATING_PATTERNS.find(([, pattern]) => pattern.test(label));
+    if (match) {
+      return match[0];
+    }
+  }
+
+  if (value === null || best === null) {
+    return null;
+  }
+
+  const low = worst ?? 1;
+  if (best === low) {
+    return null;
+  }
+
+  const position = (value - low) / (best - low);
+  if (position >= 0.8) return 'true';
+  if (position >= 0.6) return 'mostly_true';
+  if (position >= 0.4) return 'mixed';
+  if (position >= 0.2) return 'mostly_false';
+  return 'false';
+}
+
+/**
+ * Fact-checker ratings decide the verdict when any review matches the claim;
+ * otherwise it comes from verifying the claim against primary sources
+ */
+function combineVerdict(reviews, evidence) {
+  const rated = reviews.filter(review => review.relevant && review.rating);
+
+  if (rated.length > 0) {
+    const leaning = (rating) => {
+      if (rating === 'true' || rating === 'mostly_true') return 1;
+      if (rating === 'false' || rating === 'mostly_false') return -1;
+      return 0;
+    };
+    const directions = new Set(rated.map(review => leaning(review.rating)).filter(Boolean));
+    if (directions.size > 1) {
+      return { rating: 'disputed', basis: 'fact_checkers' };
+    }
+
+    // Most common rating, ties going to the best-matching review
+    const counts = new Map();
+    for (const review of rated) {
+      counts.set(review.rating, (counts.get(review.rating) || 0) + 1);
+    }
+    const top = Math.max(...counts.values());
+    return {
+      rating: rated.find(review => counts.get(review.rating) === top).rating,
+      basis: 'fact_checkers',
+    };
+  }
+
+  const summary = summarizeClaims(evidence);
+  if (summary.contradicted > 0) {
+    return { rating: 'contradicted', basis: 'primary_sources' };
+  }
+  if (summary.supported > 0 && summary.supported === summary.total) {
+    return { rating: 'supported', basis: 'primary_sources' };
+  }
+  return { rating: 'unverified', basis: summary.total > 0 ? 'primary_sources' : 'none' };
+}
+
+/**
+ * One-paragraph text version of the card, saved as the message content
+ */
+function describeFactCheck(factCheck) {
+  const { verdict, reviews, evidence, primarySources } = factCheck;
+  const parts = [`Verdict: ${verdict.label}.`];
+
+  const rated = reviews.filter(review => review.relevant && review.rating);
+  if (rated.length > 0) {
+    parts.push(rated.map(review =>
+      `${review.publisher} rated it "${review.ratingLabel}"${review.datePublished ? ` (${review.datePublished.substring(0, 10)})` : ''}.`
+    ).join(' '));
+  } else {
+    parts.push('No fact-checker has published a rating that matches this claim.');
+  }
+
+  if (evidence.summary.total > 0) {
+    parts.push(`Against ${primarySources.length} primary sources the claim is ${evidence.summary.supported} supported, ${evidence.summary.contradicted} contradicted and ${evidence.summary.unverified} unverified.`);
+  } else if (primarySources.length === 0) {
+    parts.push('No primary sources were found.');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * "Is it true that X?" becomes "X."
+ */
+function toStatement(claim) {
+  const statement = claim.replace(QUESTION_PREFIX, '').trim().replace(/\?+$/, '');
+  if (!statement) {
+    return claim.trim();
+  }
+  return `${statement.charAt(0).toUpperCase()}${statement.slice(1)}${/[.!]$/.test(statement) ? '' : '.'}`;
+}
+
+/**
+ * Share of the claim's content words that appear in the reviewed claim
+ */
+function claimMatch(claim, reviewed) {
+  const claimTokens = [...new Set(contentTokens(claim))];
+  if (claimTokens.length === 0) {
+    return 0;
+  }
+  const reviewedTokens = new Set(contentTokens(reviewed));
+  const shared = claimTokens.filter(token => reviewedTokens.has(token)).length;
+  return Math.round((shared / claimTokens.length) * 100) / 100;
+}
+
+function contentTokens(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 2 && !TOKEN_STOPWORDS.has(token));
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function textOf(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return textOf(value['@value'] ?? value.name ?? null);
+  }
+  const text = String(value).trim();
+  return text || null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
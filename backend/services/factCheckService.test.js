@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRating } from './factCheckService.js';
+
+test('normalizeRating reads negated labels as their opposite, not the bare word', () => {
+  assert.equal(normalizeRating('Not true'), 'false');
+  assert.equal(normalizeRating('NOT ACCURATE'), 'false');
+  assert.equal(normalizeRating('This claim is not correct'), 'false');
+  assert.equal(normalizeRating("Isn't true"), 'false');
+  assert.equal(normalizeRating('Not false'), 'true');
+  assert.equal(normalizeRating('Not a hoax'), 'true');
+});
+
+test('normalizeRating reads qualified and compound labels as mixed', () => {
+  assert.equal(normalizeRating('Half true'), 'mixed');
+  assert.equal(normalizeRating('Half-True'), 'mixed');
+  assert.equal(normalizeRating('Not entirely accurate'), 'mixed');
+  assert.equal(normalizeRating('Not quite true'), 'mixed');
+  assert.equal(normalizeRating('True, but missing context'), 'mixed');
+});
+
+test('normalizeRating keeps the plain labels', () => {
+  assert.equal(normalizeRating('True'), 'true');
+  assert.equal(normalizeRating('Accurate'), 'true');
+  assert.equal(normalizeRating('False'), 'false');
+  assert.equal(normalizeRating('Pants on Fire!'), 'false');
+  assert.equal(normalizeRating('Mostly False'), 'mostly_false');
+  assert.equal(normalizeRating('Half false'), 'mostly_false');
+  assert.equal(normalizeRating('Mostly true'), 'mostly_true');
+  assert.equal(normalizeRating('Not proven'), 'unproven');
+  assert.equal(normalizeRating('Not verified'), 'unproven');
+});
+
+test('normalizeRating falls back to the numeric scale for unknown wording', () => {
+  assert.equal(normalizeRating('Rating 5', 5, 5, 1), 'true');
+  assert.equal(normalizeRating('', 1, 5, 1), 'false');
+  assert.equal(normalizeRating(null, 3, 5, 1), 'mixed');
+  assert.equal(normalizeRating('Something else', null, null, null), null);
+  assert.equal(normalizeRating(null, 3, 3, 3), null);
+});
@@ -0,0 +1,108 @@
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'feedback-service' },
+});
+
+// thumbs: up is stored as rating 5, down as rating 1. rating: a 1-5 star rating.
+export const FEEDBACK_TYPES = ['thumbs', 'rating'];
+
+/**
+ * Whether a feedback rating marks the answer correct (true), incorrect (false) or neither (null)
+ */
+export function feedbackOutcome(rating) {
+  if (rating >= 4) return true;
+  if (rating <= 2) return false;
+  return null;
+}
+
+/**
+ * Record a user's feedback on an answer, replacing any earlier feedback
+ * @param {string} messageId - Assistant message ID
+ * @param {string} userId - User ID
+ * @param {Object} fields - { feedbackType, rating, comment }
+ * @returns {Object} Saved feedback
+ */
+export async function submitFeedback(messageId, userId, { feedbackType, rating, comment }) {
+  try {
+    const { data: message } = await getSupabase()
+      .from('messages')
+      .select('id, role')
+      .eq('id', messageId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!message || message.role !== 'assistant') {
+      throw new Error('Message not found or access denied');
+    }
+
+    const { data: feedback, error } = await getSupabase()
+      .from('feedback')
+      .upsert({
+        user_id: userId,
+        message_id: messageId,
+        rating,
+        feedback_type: feedbackType,
+        feedback_text: comment || null,
+        created_at: new Date().toISOString(),
+      }, { onConflict: 'user_id,message_id' })
+      .select('id, message_id, rating, feedback_type, feedback_text, created_at')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Feedback recorded', { messageId, userId, feedbackType, rating });
+    return feedback;
+
+  } catch (error) {
+    logger.error('Error recording feedback', { error: error.message, messageId });
+    throw error;
+  }
+}
+
+/**
+ * Remove a user's feedback on an answer
+ */
+export async function deleteFeedback(messageId, userId) {
+  const { error } = await getSupabase()
+    .from('feedback')
+    .delete()
+    .eq('message_id', messageId)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error('Error deleting feedback', { error: error.message, messageId });
+    throw error;
+  }
+}
+
+/**
+ * A user's feedback on a set of messages, keyed by message ID
+ */
+export async function getFeedbackForMessages(messageIds, userId) {
+  if (messageIds.length === 0) {
+    return {};
+  }
+
+  const { data: feedback, error } = await getSupabase()
+    .from('feedback')
+    .select('message_id, rating, feedback_type, feedback_text')
+    .eq('user_id', userId)
+    .in('message_id', messageIds);
+
+  if (error) {
+    logger.warn('Error loading feedback', { error: error.message, userId });
+    return {};
+  }
+
+  return Object.fromEntries(feedback.map(entry => [entry.message_id, {
+    rating: entry.rating,
+    feedbackType: entry.feedback_type,
+    comment: entry.feedback_text,
+  }]));
+}
@@ -0,0 +1,147 @@
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'folder-service' },
+});
+
+const FOLDER_FIELDS = 'id, name, created_at, updated_at';
+
+/**
+ * List a user's conversation folders by name, with how many active conversations each holds
+ * @param {string} userId - User ID
+ * @returns {Array} Folders with conversation_count
+ */
+export async function listFolders(userId) {
+  try {
+    const [{ data: folders, error }, { data: filed, error: countError }] = await Promise.all([
+      getSupabase()
+        .from('conversation_folders')
+        .select(FOLDER_FIELDS)
+        .eq('user_id', userId)
+        .order('name', { ascending: true }),
+      getSupabase()
+        .from('conversations')
+        .select('folder_id')
+        .eq('user_id', userId)
+        .is('archived_at', null)
+        .not('folder_id', 'is', null),
+    ]);
+
+    if (error || countError) {
+      throw error || countError;
+    }
+
+    const counts = new Map();
+    for (const { folder_id: folderId } of filed || []) {
+      counts.set(folderId, (counts.get(folderId) || 0) + 1);
+    }
+
+    return (folders || []).map(folder => ({
+      ...folder,
+      conversation_count: counts.get(folder.id) || 0,
+    }));
+
+  } catch (error) {
+    logger.error('Error listing folders', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Create a folder
+ * @param {string} userId - User ID
+ * @param {string} name - Folder name, unique per user
+ * @returns {Object} New folder
+ */
+export async function createFolder(userId, name) {
+  try {
+    const { data: folder, error } = await getSupabase()
+      .from('conversation_folders')
+      .insert({ user_id: userId, name })
+      .select(FOLDER_FIELDS)
+      .single();
+
+    if (error) {
+      // Unique violation on (user, name)
+      if (error.code === '23505') {
+        throw new Error('Folder already exists');
+      }
+      throw error;
+    }
+
+    logger.info('Folder created', { folderId: folder.id, userId });
+    return { ...folder, conversation_count: 0 };
+
+  } catch (error) {
+    logger.error('Error creating folder', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Rename a folder
+ * @param {string} folderId - Folder ID
+ * @param {string} userId - Owner's user ID
+ * @param {string} name - New name
+ * @returns {Object} Updated folder
+ */
+export async function renameFolder(folderId, userId, name) {
+  try {
+    const { data: folder, error } = await getSupabase()
+      .from('conversation_folders')
+      .update({ name })
+      .eq('id', folderId)
+      .eq('user_id', userId)
+      .select(FOLDER_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('Folder already exists');
+      }
+      throw error;
+    }
+    if (!folder) {
+      throw new Error('Folder not found');
+    }
+
+    logger.info('Folder renamed', { folderId, userId });
+    return folder;
+
+  } catch (error) {
+    logger.error('Error renaming folder', { error: error.message, folderId, userId });
+    throw error;
+  }
+}
+
+/**
+ * Delete a folder. Its conversations are kept and become unfiled.
+ * @param {string} folderId - Folder ID
+ * @param {string} userId - Owner's user ID
+ */
+export async function deleteFolder(folderId, userId) {
+  try {
+    const { data: deleted, error } = await getSupabase()
+      .from('conversation_folders')
+      .delete()
+      .eq('id', folderId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    if (!deleted || deleted.length === 0) {
+      throw new Error('Folder not found');
+    }
+
+    logger.info('Folder deleted', { folderId, userId });
+
+  } catch (error) {
+    logger.error('Error deleting folder', { error: error.message, folderId, userId });
+    throw error;
+  }
+}
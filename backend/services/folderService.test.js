@@ -0,0 +1,84 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { listFolders, createFolder, renameFolder, deleteFolder } from './folderService.js';
+import { updateConversation } from './conversationService.js';
+
+const USER_ID = 'user-1';
+const OTHER_USER_ID = 'user-2';
+
+let db;
+
+beforeEach(() => {
+  db = createFakeDatabase({
+    conversation_folders: [
+      { id: 'folder-work', user_id: USER_ID, name: 'Work' },
+      { id: 'folder-health', user_id: USER_ID, name: 'Health' },
+      { id: 'folder-other', user_id: OTHER_USER_ID, name: 'Theirs' },
+    ],
+    conversations: [
+      { id: 'c1', user_id: USER_ID, folder_id: 'folder-work', archived_at: null },
+      { id: 'c2', user_id: USER_ID, folder_id: 'folder-work', archived_at: null },
+      { id: 'c3', user_id: USER_ID, folder_id: 'folder-work', archived_at: '2024-01-01T00:00:00Z' },
+      { id: 'c4', user_id: USER_ID, folder_id: null, archived_at: null },
+      { id: 'c5', user_id: OTHER_USER_ID, folder_id: 'folder-other', archived_at: null },
+    ],
+  }).install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+test('listFolders lists only the user\'s folders by name, counting active conversations', async () => {
+  const folders = await listFolders(USER_ID);
+
+  assert.deepEqual(
+    folders.map(folder => [folder.name, folder.conversation_count]),
+    [['Health', 0], ['Work', 2]]
+  );
+});
+
+test('createFolder creates an empty folder for the user', async () => {
+  const folder = await createFolder(USER_ID, 'Reading list');
+
+  assert.equal(folder.name, 'Reading list');
+  assert.equal(folder.conversation_count, 0);
+  assert.equal(db.tables.conversation_folders.find(row => row.id === folder.id).user_id, USER_ID);
+});
+
+test('createFolder and renameFolder report duplicate names', async () => {
+  const duplicate = { code: '23505', message: 'duplicate key value violates unique constraint' };
+
+  db.failNext('conversation_folders', 'POST', duplicate);
+  await assert.rejects(createFolder(USER_ID, 'Work'), { message: 'Folder already exists' });
+
+  db.failNext('conversation_folders', 'PATCH', duplicate);
+  await assert.rejects(renameFolder('folder-health', USER_ID, 'Work'), { message: 'Folder already exists' });
+});
+
+test('renameFolder renames the user\'s own folder only', async () => {
+  const renamed = await renameFolder('folder-work', USER_ID, 'Projects');
+  assert.equal(renamed.name, 'Projects');
+
+  await assert.rejects(renameFolder('folder-other', USER_ID, 'Mine now'), { message: 'Folder not found' });
+  assert.equal(db.tables.conversation_folders.find(row => row.id === 'folder-other').name, 'Theirs');
+});
+
+test('deleteFolder deletes the user\'s own folder only', async () => {
+  await assert.rejects(deleteFolder('folder-other', USER_ID), { message: 'Folder not found' });
+  assert.ok(db.tables.conversation_folders.some(row => row.id === 'folder-other'));
+
+  await deleteFolder('folder-health', USER_ID);
+  assert.equal(db.tables.conversation_folders.some(row => row.id === 'folder-health'), false);
+
+  await assert.rejects(deleteFolder('folder-health', USER_ID), { message: 'Folder not found' });
+});
+
+test('conversations can only be filed in the user\'s own folders', async () => {
+  await assert.rejects(updateConversation('c4', USER_ID, { folderId: 'folder-other' }), { message: 'Folder not found' });
+  assert.equal(db.tables.conversations.find(row => row.id === 'c4').folder_id, null);
+
+  const filed = await updateConversation('c4', USER_ID, { folderId: 'folder-health' });
+  assert.equal(filed.folder_id, 'folder-health');
+});
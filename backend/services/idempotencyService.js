@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'idempotency-service' },
+});
+
+// Clients send any printable ASCII key up to 255 characters, typically a UUID
+export const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// How long a key is remembered; after that it can be reused for a new request
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Fingerprint a request so a key reused with a different body is caught
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Parsed JSON body
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRequest(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${path}\n${JSON.stringify(body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Claim an idempotency key before running a request
+ * @param {string} apiKeyId - API key the request was made with
+ * @param {string} key - Client-supplied Idempotency-Key
+ * @param {string} requestHash - hashRequest() of the request
+ * @returns {Object} { status: 'claimed', id } to run the request,
+ *   { status: 'replay', statusCode, response } when it already finished,
+ *   { status: 'in_progress' } while the first request is still running, or
+ *   { status: 'mismatch' } when the key was used for a different request
+ */
+export async function claimIdempotencyKey(apiKeyId, key, requestHash) {
+  const { data: claimed, error } = await getSupabase()
+    .from('api_idempotency_keys')
+    .insert({
+      api_key_id: apiKeyId,
+      idempotency_key: key,
+      request_hash: requestHash,
+    })
+    .select('id')
+    .single();
+
+  if (!error) {
+    return { status: 'claimed', id: claimed.id };
+  }
+
+  // Anything but a duplicate key is a real failure
+  if (error.code !== '23505') {
+    logger.error('Error claiming idempotency key', { error: error.message, apiKeyId });
+    throw error;
+  }
+
+  const { data: existing, error: fetchError } = await getSupabase()
+    .from('api_idempotency_keys')
+    .select('id, request_hash, status_code, response, created_at')
+    .eq('api_key_id', apiKeyId)
+    .eq('idempotency_key', key)
+    .single();
+
+  // Released between our insert and this read; let the client retry
+  if (fetchError || !existing) {
+    return { status: 'in_progress' };
+  }
+
+  if (Date.now() - new Date(existing.created_at).getTime() > KEY_TTL_MS) {
+    await getSupabase()
+      .from('api_idempotency_keys')
+      .delete()
+      .eq('id', existing.id);
+
+    return claimIdempotencyKey(apiKeyId, key, requestHash);
+  }
+
+  if (existing.request_hash !== requestHash) {
+    return { status: 'mismatch' };
+  }
+
+  if (existing.status_code === null) {
+    return { status: 'in_progress' };
+  }
+
+  return {
+    status: 'replay',
+    statusCode: existing.status_code,
+    response: existing.response,
+  };
+}
+
+/**
+ * Store the response of a claimed request so retries replay it
+ * @param {string} id - Claimed idempotency record ID
+ * @param {number} statusCode - HTTP status sent
+ * @param {Object} response - JSON body sent
+ */
+export async function completeIdempotencyKey(id, statusCode, response) {
+  const { error } = await getSupabase()
+    .from('api_idempotency_keys')
+    .update({
+      status_code: statusCode,
+      response,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', id);
+
+  if (error) {
+    logger.error('Error completing idempotency key', { error: error.message, id });
+  }
+}
+
+/**
+ * Forget a claimed key after a server error so the client can retry with it
+ * @param {string} id - Claimed idempotency record ID
+ */
+export async function releaseIdempotencyKey(id) {
+  const { error } = await getSupabase()
+    .from('api_idempotency_keys')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    logger.error('Error releasing idempotency key', { error: error.message, id });
+  }
+}
@@ -0,0 +1,83 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashRequest, claimIdempotencyKey } from './idempotencyService.js';
+
+const realFetch = globalThis.fetch;
+
+// Answer supabase's REST calls in order: each entry is { status, body }
+function stubDatabase(responses) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url: String(url), method: init.method || 'GET' });
+    const { status = 200, body = null } = responses.shift() || {};
+    const single = (new Headers(init.headers).get('Accept') || '').includes('vnd.pgrst.object');
+    const payload = single && Array.isArray(body) ? body[0] : body;
+    return new Response(payload === null ? null : JSON.stringify(payload), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+  return requests;
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('hashRequest is stable for the same request and differs by method, path and body', () => {
+  const hash = hashRequest('POST', '/api/v1/ask', { question: 'Why?' });
+
+  assert.equal(hashRequest('POST', '/api/v1/ask', { question: 'Why?' }), hash);
+  assert.notEqual(hashRequest('PUT', '/api/v1/ask', { question: 'Why?' }), hash);
+  assert.notEqual(hashRequest('POST', '/api/v1/fact-check', { question: 'Why?' }), hash);
+  assert.notEqual(hashRequest('POST', '/api/v1/ask', { question: 'Why not?' }), hash);
+});
+
+test('claimIdempotencyKey claims a new key', async () => {
+  stubDatabase([{ status: 201, body: [{ id: 'idem-1' }] }]);
+
+  assert.deepEqual(await claimIdempotencyKey('key-1', 'abc', 'hash'), { status: 'claimed', id: 'idem-1' });
+});
+
+test('claimIdempotencyKey replays a finished request with the same key and body', async () => {
+  stubDatabase([
+    { status: 409, body: { code: '23505', message: 'duplicate key value' } },
+    { body: [{ id: 'idem-1', request_hash: 'hash', status_code: 200, response: { ok: true }, created_at: new Date().toISOString() }] },
+  ]);
+
+  assert.deepEqual(await claimIdempotencyKey('key-1', 'abc', 'hash'), {
+    status: 'replay',
+    statusCode: 200,
+    response: { ok: true },
+  });
+});
+
+test('claimIdempotencyKey reports a key reused for a different request', async () => {
+  stubDatabase([
+    { status: 409, body: { code: '23505', message: 'duplicate key value' } },
+    { body: [{ id: 'idem-1', request_hash: 'other', status_code: 200, response: {}, created_at: new Date().toISOString() }] },
+  ]);
+
+  assert.deepEqual(await claimIdempotencyKey('key-1', 'abc', 'hash'), { status: 'mismatch' });
+});
+
+test('claimIdempotencyKey reports a request that is still running', async () => {
+  stubDatabase([
+    { status: 409, body: { code: '23505', message: 'duplicate key value' } },
+    { body: [{ id: 'idem-1', request_hash: 'hash', status_code: null, response: null, created_at: new Date().toISOString() }] },
+  ]);
+
+  assert.deepEqual(await claimIdempotencyKey('key-1', 'abc', 'hash'), { status: 'in_progress' });
+});
+
+test('claimIdempotencyKey forgets an expired key and claims it again', async () => {
+  const requests = stubDatabase([
+    { status: 409, body: { code: '23505', message: 'duplicate key value' } },
+    { body: [{ id: 'idem-1', request_hash: 'other', status_code: 200, response: {}, created_at: '2000-01-01T00:00:00Z' }] },
+    { status: 204 },
+    { status: 201, body: [{ id: 'idem-2' }] },
+  ]);
+
+  assert.deepEqual(await claimIdempotencyKey('key-1', 'abc', 'hash'), { status: 'claimed', id: 'idem-2' });
+  assert.equal(requests[2].method, 'DELETE');
+});
@@ -0,0 +1,481 @@
+import mammoth from 'mammoth';
+// The package entry point runs a self-test when imported directly, so load the library itself
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { embedTexts, getDefaultEmbeddingProviderName } from './embeddingProviders/index.js';
+import { extractHtmlText, chunkText } from './pageContentService.js';
+import { qualityFromScore } from './domainReputationService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'knowledge-base-service' },
+});
+
+export const INTERNAL_SOURCE_TYPE = 'internal_document';
+
+// Upload formats, keyed by file extension
+export const DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  html: 'text/html',
+  htm: 'text/html',
+  txt: 'text/plain',
+};
+
+// Must match the vector column in document_chunks
+const EMBEDDING_DIMENSIONS = 1536;
+
+const CHUNK_SIZE = 1000;
+const MAX_CHUNKS_PER_DOCUMENT = 500;
+const EMBEDDING_BATCH_SIZE = 64;
+const INSERT_BATCH_SIZE = 100;
+const PDF_MAX_PAGES = 300;
+
+const PASSAGES_PER_DOCUMENT = 2;
+const SNIPPET_CHARS = 300;
+
+/**
+ * List the collections a user can search: their own and their team's
+ */
+export async function listCollections(user) {
+  try {
+    const { data: collections, error } = await accessibleCollectionsQuery(
+      user,
+      'id, name, description, team_id, user_id, created_at, documents(count)'
+    ).order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return collections.map(({ documents, ...collection }) => ({
+      ...collection,
+      shared: Boolean(collection.team_id),
+      documentCount: documents?.[0]?.count || 0,
+    }));
+
+  } catch (error) {
+    logger.error('Error listing collections', { error: error.message, userId: user.id });
+    throw error;
+  }
+}
+
+/**
+ * Get a collection if the user can access it
+ */
+export async function getCollection(collectionId, user) {
+  const { data: collection, error } = await accessibleCollectionsQuery(user, '*')
+    .eq('id', collectionId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return collection;
+}
+
+/**
+ * Create a collection, shared with the user's team when requested
+ */
+export async function createCollection(user, { name, description, shared = false }) {
+  try {
+    const { data: collection, error } = await getSupabase()
+      .from('document_collections')
+      .insert({
+        user_id: user.id,
+        team_id: shared && user.teamId ? user.teamId : null,
+        name,
+        description: description || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Collection created', { collectionId: collection.id, userId: user.id, shared: Boolean(collection.team_id) });
+    return collection;
+
+  } catch (error) {
+    logger.error('Error creating collection', { error: error.message, userId: user.id });
+    throw error;
+  }
+}
+
+/**
+ * Delete a collection and all of its documents. Shared collections can only be
+ * deleted by their creator or an admin.
+ */
+export async function deleteCollection(collectionId, user) {
+  try {
+    const collection = await getCollection(collectionId, user);
+    if (!collection || (collection.user_id !== user.id && !user.isAdmin)) {
+      throw new Error('Collection not found or access denied');
+    }
+
+    const { error } = await getSupabase()
+      .from('document_collections')
+      .delete()
+      .eq('id', collectionId);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Collection deleted', { collectionId, userId: user.id });
+
+  } catch (error) {
+    logger.error('Error deleting collection', { error: error.message, collectionId });
+    throw error;
+  }
+}
+
+/**
+ * List the documents in a collection
+ */
+export async function listDocuments(collectionId, user) {
+  const collection = await getCollection(collectionId, user);
+  if (!collection) {
+    throw new Error('Collection not found or access denied');
+  }
+
+  const { data: documents, error } = await getSupabase()
+    .from('documents')
+    .select('id, title, filename, mime_type, size_bytes, status, error, chunk_count, embedding_provider, created_at')
+    .eq('collection_id', collectionId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return documents;
+}
+
+/**
+ * Store an uploaded document and index it in the background
+ * @param {string} collectionId - Collection ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} file - Upload with buffer, originalname, mimetype and size
+ * @param {string} title - Display title (defaults to the file name)
+ * @returns {Object} The document record, with status 'processing'
+ */
+export async function addDocument(collectionId, user, file, title) {
+  const collection = await getCollection(collectionId, user);
+  if (!collection) {
+    throw new Error('Collection not found or access denied');
+  }
+
+  const type = getDocumentType(file.originalname);
+  if (!type) {
+    throw new Error(`Unsupported file type. Supported: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+  }
+
+  const { data: document, error } = await getSupabase()
+    .from('documents')
+    .insert({
+      collection_id: collectionId,
+      uploaded_by: user.id,
+      title: title || file.originalname.replace(/\.[^.]+$/, ''),
+      filename: file.originalname,
+      mime_type: DOCUMENT_TYPES[type],
+      size_bytes: file.size,
+      status: 'processing',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error creating document', { error: error.message, collectionId });
+    throw error;
+  }
+
+  // Extraction and embedding can take a while for long documents, so the upload returns first
+  indexDocument(document, file.buffer, type).catch(indexError => {
+    logger.error('Unexpected document indexing error', { documentId: document.id, error: indexError.message });
+  });
+
+  return document;
+}
+
+/**
+ * Delete a document and its chunks
+ */
+export async function deleteDocument(documentId, user) {
+  try {
+    const { data: document } = await getSupabase()
+      .from('documents')
+      .select('id, collection_id')
+      .eq('id', documentId)
+      .maybeSingle();
+
+    if (!document || !(await getCollection(document.collection_id, user))) {
+      throw new Error('Document not found or access denied');
+    }
+
+    const { error } = await getSupabase()
+      .from('documents')
+      .delete()
+      .eq('id', documentId);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Document deleted', { documentId, userId: user.id });
+
+  } catch (error) {
+    logger.error('Error deleting document', { error: error.message, documentId });
+    throw error;
+  }
+}
+
+/**
+ * Find the passages in a user's collections most relevant to a question, shaped
+ * like processed search results so they can be scored and cited with web sources
+ * @param {string} question - The user's question
+ * @param {Object} user - { id, teamId }
+ * @param {Object} options - Retrieval options
+ * @param {Array} options.collectionIds - Restrict to these collections (defaults to all accessible)
+ * @param {number} options.limit - Maximum number of documents to return
+ * @returns {Array} Internal document results, best first
+ */
+export async function searchKnowledgeBase(question, user, options = {}) {
+  const limit = options.limit ?? (parseInt(process.env.KNOWLEDGE_BASE_RESULTS) || 3);
+
+  try {
+    const collections = await listCollections(user);
+    const searchable = collections.filter(collection =>
+      collection.documentCount > 0 &&
+      (!options.collectionIds || options.collectionIds.includes(collection.id))
+    );
+
+    if (searchable.length === 0) {
+      return [];
+    }
+
+    // Stored vectors are only comparable with query vectors from the same provider
+    const { vectors, provider } = await embedTexts([question], { fallback: false });
+
+    const { data: matches, error } = await getSupabase().rpc('match_document_chunks', {
+      query_embedding: vectors[0],
+      collection_ids: searchable.map(collection => collection.id),
+      provider,
+      match_count: limit * 4,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const minSimilarity = parseFloat(process.env.KNOWLEDGE_BASE_MIN_SIMILARITY) || 0.3;
+    const relevant = matches.filter(match => match.similarity >= minSimilarity);
+    if (relevant.length === 0) {
+      return [];
+    }
+
+    // One source per document, carrying its best passages
+    const byDocument = new Map();
+    for (const match of relevant) {
+      const passages = byDocument.get(match.document_id) || [];
+      if (passages.length < PASSAGES_PER_DOCUMENT) {
+        byDocument.set(match.document_id, [...passages, match]);
+      }
+    }
+
+    const documentIds = [...byDocument.keys()].slice(0, limit);
+    const { data: documents, error: documentsError } = await getSupabase()
+      .from('documents')
+      .select('id, title, filename, created_at, collection_id')
+      .in('id', documentIds);
+
+    if (documentsError) {
+      throw documentsError;
+    }
+
+    const score = parseInt(process.env.KNOWLEDGE_BASE_SOURCE_SCORE) || 80;
+    const collectionNames = new Map(collections.map(collection => [collection.id, collection.name]));
+    const documentsById = new Map(documents.map(document => [document.id, document]));
+
+    const results = documentIds
+      .filter(id => documentsById.has(id))
+      .map((id, index) => {
+        const document = documentsById.get(id);
+        const passages = byDocument.get(id);
+        const collectionName = collectionNames.get(document.collection_id);
+
+        return {
+          position: index + 1,
+          title: document.title,
+          link: null,
+          displayLink: collectionName,
+          snippet: passages[0].content.substring(0, SNIPPET_CHARS),
+          domain: collectionName,
+          quality: qualityFromScore(score),
+          sourceType: INTERNAL_SOURCE_TYPE,
+          reputationScore: score,
+          passages: passages.map(passage => ({
+            text: passage.content,
+            score: Math.round(passage.similarity * 100) / 100,
+          })),
+          metadata: {
+            publishedDate: document.created_at,
+            documentId: document.id,
+            collectionId: document.collection_id,
+            filename: document.filename,
+          },
+        };
+      });
+
+    logger.info('Knowledge base searched', {
+      userId: user.id,
+      collections: searchable.length,
+      documents: results.length,
+      provider,
+    });
+
+    return results;
+
+  } catch (error) {
+    // Answers still work from the web when the knowledge base is unavailable
+    logger.warn('Knowledge base search failed', { userId: user.id, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Put internal documents ahead of web results and renumber positions for citations
+ */
+export function mergeWithWebResults(internalResults, webResults) {
+  return [...internalResults, ...webResults].map((result, index) => ({
+    ...result,
+    position: index + 1,
+  }));
+}
+
+/**
+ * Extract text, chunk, embed and store a document's chunks, recording the outcome
+ */
+async function indexDocument(document, buffer, type) {
+  try {
+    const text = await extractDocumentText(buffer, type);
+    const chunks = chunkText(text, CHUNK_SIZE).slice(0, MAX_CHUNKS_PER_DOCUMENT);
+
+    if (chunks.length === 0) {
+      throw new Error('No text could be extracted from this document');
+    }
+
+    let provider = getDefaultEmbeddingProviderName();
+    const rows = [];
+
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+      // No fallback: vectors from another provider would not match later queries
+      const result = await embedTexts(batch, { fallback: false });
+      provider = result.provider;
+
+      if (result.vectors[0]?.length !== EMBEDDING_DIMENSIONS) {
+        throw new Error(`Embedding provider ${provider} produces ${result.vectors[0]?.length}-dimension vectors; the knowledge base requires ${EMBEDDING_DIMENSIONS}`);
+      }
+
+      batch.forEach((content, offset) => {
+        rows.push({
+          document_id: document.id,
+          collection_id: document.collection_id,
+          chunk_index: i + offset,
+          content,
+          embedding: result.vectors[offset],
+          embedding_provider: provider,
+        });
+      });
+    }
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const { error } = await getSupabase()
+        .from('document_chunks')
+        .insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    await getSupabase()
+      .from('documents')
+      .update({ status: 'ready', chunk_count: rows.length, embedding_provider: provider, error: null })
+      .eq('id', document.id);
+
+    logger.info('Document indexed', { documentId: document.id, chunks: rows.length, provider });
+
+  } catch (error) {
+    logger.error('Document indexing failed', { documentId: document.id, error: error.message });
+
+    // Remove any chunks stored before the failure so a retry starts clean
+    await getSupabase().from('document_chunks').delete().eq('document_id', document.id);
+    await getSupabase()
+      .from('documents')
+      .update({ status: 'failed', error: error.message })
+      .eq('id', document.id);
+  }
+}
+
+/**
+ * Pull plain text out of an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {string} type - Extension key from DOCUMENT_TYPES
+ * @returns {string} Document text
+ */
+export async function extractDocumentText(buffer, type) {
+  switch (type) {
+    case 'pdf': {
+      const pdf = await pdfParse(buffer, { max: PDF_MAX_PAGES });
+      return pdf.text;
+    }
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return value;
+    }
+    case 'html':
+    case 'htm':
+      return extractHtmlText(buffer.toString('utf8')).text;
+    case 'md':
+    case 'markdown':
+      return stripMarkdown(buffer.toString('utf8'));
+    default:
+      return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Drop Markdown syntax that would otherwise pollute passages
+ */
+function stripMarkdown(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*/g, ''))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+(.*)$/gm, '$1.')
+    .replace(/^\s*[-*+]\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/(\*\*|__|\*|_|`)/g, '');
+}
+
+function getDocumentType(filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  return DOCUMENT_TYPES[extension] ? extension : null;
+}
+
+function accessibleCollectionsQuery(user, columns) {
+  const personal = `and(user_id.eq.${user.id},team_id.is.null)`;
+
+  return getSupabase()
+    .from('document_collections')
+    .select(columns)
+    .or(user.teamId ? `team_id.eq.${user.teamId},${personal}` : personal);
+}
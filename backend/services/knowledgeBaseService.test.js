@@ -0,0 +1,208 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { createSchemaDatabase } from '../testing/schemaDatabase.js';
+import { addDocument, searchKnowledgeBase, mergeWithWebResults, INTERNAL_SOURCE_TYPE } from './knowledgeBaseService.js';
+
+const USER_ID = '10000000-0000-4000-8000-000000000001';
+const OTHER_USER_ID = '10000000-0000-4000-8000-000000000002';
+const TEAM_ID = '20000000-0000-4000-8000-000000000001';
+
+const PERSONAL = '30000000-0000-4000-8000-000000000001';
+const TEAM_COLLECTION = '30000000-0000-4000-8000-000000000002';
+const OTHERS = '30000000-0000-4000-8000-000000000003';
+const EMPTY = '30000000-0000-4000-8000-000000000004';
+
+const user = { id: USER_ID, teamId: TEAM_ID };
+
+const VACCINE_TEXT = [
+  'Measles vaccination schedule. Children receive the first measles, mumps and rubella dose at twelve months.',
+  'The second measles vaccine dose is given between four and six years of age.',
+  ...Array.from({ length: 12 }, (_, index) =>
+    `Clinic note ${index + 1}: record the batch number, the site of injection and any reaction after each vaccine dose, and keep the record for ten years.`),
+].join('\n\n');
+
+const COFFEE_MARKDOWN = `# Coffee brewing guide
+
+Use **18 grams** of coffee for every 300 ml of water.
+
+- Grind the coffee beans medium fine for a [pour over](https://example.com/pour-over).
+- Brew coffee at 94 degrees.`;
+
+let db;
+let pg;
+
+// Indexing runs in the background after the upload returns
+async function waitForIndexing() {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (db.tables.documents.every(document => document.status !== 'processing')) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Documents were not indexed');
+}
+
+function upload(name, text) {
+  const buffer = Buffer.from(text);
+  return { originalname: name, buffer, size: buffer.length, mimetype: 'text/plain' };
+}
+
+before(async () => {
+  delete process.env.EMBEDDING_PROVIDER;
+  delete process.env.KNOWLEDGE_BASE_MIN_SIMILARITY;
+  pg = await createSchemaDatabase();
+
+  // documents(count) is an embedded resource, which the fake database reads from the row
+  db = createFakeDatabase({
+    document_collections: [
+      { id: PERSONAL, user_id: USER_ID, team_id: null, name: 'My notes', created_at: '2024-01-03', documents: [{ count: 2 }] },
+      { id: TEAM_COLLECTION, user_id: OTHER_USER_ID, team_id: TEAM_ID, name: 'Team handbook', created_at: '2024-01-02', documents: [{ count: 1 }] },
+      { id: OTHERS, user_id: OTHER_USER_ID, team_id: null, name: 'Private', created_at: '2024-01-01', documents: [{ count: 1 }] },
+      { id: EMPTY, user_id: USER_ID, team_id: null, name: 'Empty', created_at: '2024-01-04', documents: [{ count: 0 }] },
+    ],
+    documents: [],
+    document_chunks: [],
+  }, {
+    rpc: {
+      match_document_chunks: async (args) => (await pg.query(
+        'SELECT * FROM match_document_chunks($1::vector, $2::uuid[], $3, $4)',
+        [JSON.stringify(args.query_embedding), args.collection_ids, args.provider, args.match_count]
+      )).rows,
+    },
+  }).install();
+
+  await addDocument(PERSONAL, user, upload('vaccines.txt', VACCINE_TEXT));
+  await addDocument(PERSONAL, user, upload('coffee.md', COFFEE_MARKDOWN), 'Coffee guide');
+  await addDocument(TEAM_COLLECTION, { id: OTHER_USER_ID, teamId: TEAM_ID }, upload('leave.html', '<p>Staff get 25 days of annual leave and may carry over five days.</p>'));
+  await addDocument(OTHERS, { id: OTHER_USER_ID, teamId: null }, upload('private.txt', 'Measles vaccine notes nobody else may read.'));
+  await waitForIndexing();
+
+  // The stored chunks go into PostgreSQL so retrieval is ranked by the schema's SQL
+  await pg.query(`INSERT INTO users (id, email, password_hash, name) VALUES ($1, 'a@example.com', 'x', 'A'), ($2, 'b@example.com', 'x', 'B')`,
+    [USER_ID, OTHER_USER_ID]);
+  await pg.query(`INSERT INTO teams (id, name) VALUES ($1, 'Team')`, [TEAM_ID]);
+  for (const collection of db.tables.document_collections) {
+    await pg.query('INSERT INTO document_collections (id, user_id, team_id, name) VALUES ($1, $2, $3, $4)',
+      [collection.id, collection.user_id, collection.team_id, collection.name]);
+  }
+  for (const document of db.tables.documents) {
+    await pg.query('INSERT INTO documents (id, collection_id, title, filename, status) VALUES ($1, $2, $3, $4, $5)',
+      [document.id, document.collection_id, document.title, document.filename, document.status]);
+  }
+  for (const chunk of db.tables.document_chunks) {
+    await pg.query(`INSERT INTO document_chunks (document_id, collection_id, chunk_index, content, embedding, embedding_provider)
+      VALUES ($1, $2, $3, $4, $5::vector, $6)`,
+    [chunk.document_id, chunk.collection_id, chunk.chunk_index, chunk.content, JSON.stringify(chunk.embedding), chunk.embedding_provider]);
+  }
+});
+
+after(async () => {
+  db.restore();
+  await pg.close();
+});
+
+function documentNamed(filename) {
+  return db.tables.documents.find(document => document.filename === filename);
+}
+
+function chunksOf(filename) {
+  const { id } = documentNamed(filename);
+  return db.tables.document_chunks
+    .filter(chunk => chunk.document_id === id)
+    .sort((a, b) => a.chunk_index - b.chunk_index);
+}
+
+test('long documents are split into overlapping chunks of about 1000 characters', () => {
+  const chunks = chunksOf('vaccines.txt');
+  const document = documentNamed('vaccines.txt');
+
+  assert.equal(document.status, 'ready');
+  assert.equal(document.title, 'vaccines');
+  assert.equal(document.chunk_count, chunks.length);
+  assert.ok(chunks.length >= 2);
+  assert.deepEqual(chunks.map(chunk => chunk.chunk_index), chunks.map((_, index) => index));
+  assert.ok(chunks.every(chunk => chunk.content.length <= 1200));
+
+  // Each chunk starts with the last sentence of the one before
+  const lastSentence = chunks[0].content.split(/(?<=\.)\s+/).at(-1);
+  assert.ok(chunks[1].content.startsWith(lastSentence));
+  assert.ok(chunks.every(chunk => chunk.embedding.length === 1536 && chunk.embedding_provider === 'local'));
+});
+
+test('Markdown syntax is stripped before chunking', () => {
+  const [chunk] = chunksOf('coffee.md');
+
+  assert.match(chunk.content, /^Coffee brewing guide\. Use 18 grams of coffee/);
+  assert.match(chunk.content, /for a pour over\./);
+  assert.doesNotMatch(chunk.content, /[#*[\]]|https?:/);
+});
+
+test('unsupported files are refused and documents without text fail', async () => {
+  await assert.rejects(addDocument(PERSONAL, user, upload('slides.pptx', 'x')), /Unsupported file type/);
+  await assert.rejects(addDocument(OTHERS, user, upload('notes.txt', 'x')), { message: 'Collection not found or access denied' });
+
+  await addDocument(PERSONAL, user, upload('blank.txt', '   \n\n  '));
+  await waitForIndexing();
+
+  const blank = documentNamed('blank.txt');
+  assert.equal(blank.status, 'failed');
+  assert.equal(blank.error, 'No text could be extracted from this document');
+  assert.deepEqual(chunksOf('blank.txt'), []);
+});
+
+test('retrieval ranks the most similar document first, one source per document', async () => {
+  const results = await searchKnowledgeBase('When is the second measles vaccine dose given?', user);
+
+  assert.equal(results[0].title, 'vaccines');
+  assert.equal(new Set(results.map(result => result.title)).size, results.length);
+  assert.ok(results[0].passages.length <= 2);
+  assert.match(results[0].passages[0].text, /second measles vaccine dose/);
+  assert.ok(results[0].passages[0].score >= results[0].passages.at(-1).score);
+  assert.equal(results[0].sourceType, INTERNAL_SOURCE_TYPE);
+  assert.equal(results[0].domain, 'My notes');
+  assert.equal(results[0].link, null);
+});
+
+test('retrieval only searches the user\'s own and team collections that have documents', async () => {
+  const results = await searchKnowledgeBase('annual leave days staff', user, { limit: 5 });
+  const [search] = db.requests.filter(request => request.table === 'rpc/match_document_chunks').slice(-1);
+
+  assert.deepEqual(search.body.collection_ids.sort(), [PERSONAL, TEAM_COLLECTION].sort());
+  assert.equal(results[0].title, 'leave');
+  assert.equal(results[0].domain, 'Team handbook');
+  assert.ok(results.every(result => result.title !== 'private'));
+});
+
+test('retrieval honours collectionIds, the result limit and the similarity threshold', async () => {
+  const leave = await searchKnowledgeBase('annual leave days', user, { limit: 5 });
+  const leaveInPersonal = await searchKnowledgeBase('annual leave days', user, { collectionIds: [PERSONAL], limit: 5 });
+  assert.ok(leave.some(result => result.title === 'leave'));
+  assert.ok(leaveInPersonal.every(result => result.domain === 'My notes'));
+
+  // Mixed questions score low against the local embedder, so the threshold is lowered to compare limits
+  process.env.KNOWLEDGE_BASE_MIN_SIMILARITY = '0.05';
+  try {
+    const both = await searchKnowledgeBase('vaccine dose coffee', user, { limit: 5 });
+    const first = await searchKnowledgeBase('vaccine dose coffee', user, { limit: 1 });
+
+    assert.deepEqual(both.map(result => result.title), ['vaccines', 'Coffee guide']);
+    assert.deepEqual(first.map(result => result.title), ['vaccines']);
+    assert.equal(db.requests.at(-2).body.match_count, 4);
+
+    process.env.KNOWLEDGE_BASE_MIN_SIMILARITY = '0.99';
+    assert.deepEqual(await searchKnowledgeBase('vaccine dose coffee', user), []);
+  } finally {
+    delete process.env.KNOWLEDGE_BASE_MIN_SIMILARITY;
+  }
+
+  const requests = db.requests.length;
+  assert.deepEqual(await searchKnowledgeBase('measles', user, { collectionIds: [EMPTY] }), []);
+  assert.ok(db.requests.slice(requests).every(request => request.table !== 'rpc/match_document_chunks'));
+});
+
+test('internal documents go before web results and positions are renumbered', () => {
+  const merged = mergeWithWebResults([{ title: 'doc', position: 1 }], [{ title: 'web', position: 1 }, { title: 'web2', position: 2 }]);
+
+  assert.deepEqual(merged.map(result => [result.title, result.position]), [['doc', 1], ['web', 2], ['web2', 3]]);
+});
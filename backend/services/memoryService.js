@@ -0,0 +1,260 @@
+import winston from 'winston';
+import { generateCompletion } from './modelProviders/index.js';
+import { getConversationHistory, saveConversationSummary } from './conversationService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'memory-service' },
+});
+
+// Citation markers refer to the sources of the answer they appeared in, not the next one
+const CITATION_MARKER = /\s*\[\d+(?:\s*,\s*\d+)*\]/g;
+
+// Follow-ups lean on earlier turns through pronouns, ellipsis ("what about in Canada?") or brevity
+const FOLLOW_UP_PATTERN = /\b(it|its|they|them|their|this|that|these|those|there|he|she|him|his|her|same|former|latter)\b|^\s*(what|how) about\b|^\s*(and|also|but|so|why|then)\b/i;
+const SHORT_QUESTION_WORDS = 5;
+
+// Turns shown to the rewriter; older context reaches it through the summary
+const REWRITE_CONTEXT_TURNS = 3;
+
+/**
+ * Rough token count for budgeting (about four characters per token for English)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Load the conversation history to send with a new question. The most recent
+ * turns are kept verbatim within CONVERSATION_MEMORY_TOKENS; older turns are
+ * folded into a running summary stored on the conversation.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { tier, signal } used when summarizing
+ * @returns {Object|null} { summary, turns, messages, tokens }, or null for a new or unknown conversation
+ */
+export async function loadConversationMemory(conversationId, userId, { tier, signal } = {}) {
+  if (!conversationId) {
+    return null;
+  }
+
+  const history = await getConversationHistory(conversationId, userId);
+  if (!history || (history.messages.length === 0 && !history.summary)) {
+    return null;
+  }
+
+  const budget = parseInt(process.env.CONVERSATION_MEMORY_TOKENS) || 2000;
+  const turns = groupTurns(history.messages);
+
+  // Keep the newest turns that fit beside the summary; the latest always stays, trimmed if needed
+  const kept = [];
+  let used = estimateTokens(history.summary || '');
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const tokens = turnTokens(turns[i]);
+    if (kept.length > 0 && used + tokens > budget) {
+      break;
+    }
+    kept.unshift(kept.length === 0 ? fitTurn(turns[i], budget - used) : turns[i]);
+    used += turnTokens(kept[0]);
+  }
+
+  const older = turns.slice(0, turns.length - kept.length);
+  let summary = history.summary;
+
+  if (older.length > 0) {
+    summary = await summarizeTurns(summary, older, { tier, signal });
+
+    try {
+      await saveConversationSummary(conversationId, userId, summary, older[older.length - 1].createdAt);
+    } catch (error) {
+      // The summary is rebuilt next time, so answering can go ahead without it
+      logger.error('Failed to save conversation summary', { conversationId, error: error.message });
+    }
+  }
+
+  return {
+    summary,
+    turns: kept,
+    messages: kept.flatMap(turn => [
+      { role: 'user', content: turn.user },
+      ...(turn.assistant ? [{ role: 'assistant', content: turn.assistant }] : []),
+    ]),
+    tokens: used - estimateTokens(history.summary || '') + estimateTokens(summary || ''),
+  };
+}
+
+/**
+ * Rewrite a follow-up question into a standalone search query, e.g. "what about in Canada?"
+ * after a question on US minimum wage becomes "minimum wage in Canada".
+ * Questions that do not read as follow-ups are searched as typed.
+ * @param {string} question - User's question
+ * @param {Object} memory - Result of loadConversationMemory
+ * @param {Object} options - { tier, signal }
+ * @returns {Object} { query, rewritten }
+ */
+export async function rewriteQuery(question, memory, { tier, signal } = {}) {
+  const unchanged = { query: question, rewritten: false };
+
+  if (!memory || process.env.QUERY_REWRITER === 'off' || !isFollowUp(question)) {
+    return unchanged;
+  }
+
+  const context = memory.turns.slice(-REWRITE_CONTEXT_TURNS).map(turn =>
+    `User: ${turn.user}\nAssistant: ${firstSentences(turn.assistant, 2)}`).join('\n\n');
+
+  try {
+    const completion = await generateCompletion({
+      tier,
+      signal,
+      messages: [
+        {
+          role: 'system',
+          content: `You turn the latest question in a conversation into a standalone web search query.
+Resolve pronouns and implied subjects, places and time frames from the conversation so the query makes sense on its own.
+Keep the user's intent and wording where possible and do not answer the question.
+If the question is already standalone, return it unchanged.
+Respond with JSON only, in the form: {"query":"..."}`,
+        },
+        {
+          role: 'user',
+          content: `${memory.summary ? `Summary of earlier conversation: ${memory.summary}\n\n` : ''}${context}
+
+Latest question: ${question}`,
+        },
+      ],
+    });
+
+    const json = completion.content.match(/\{[\s\S]*\}/);
+    const query = json ? JSON.parse(json[0]).query : null;
+
+    if (typeof query !== 'string' || !query.trim() || query.length > 500) {
+      throw new Error('Rewrite response had no usable query');
+    }
+
+    const rewritten = query.trim();
+    return { query: rewritten, rewritten: rewritten !== question };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    logger.warn('Query rewrite failed, searching the question as typed', {
+      question: question.substring(0, 50),
+      error: error.message,
+    });
+    return unchanged;
+  }
+}
+
+/**
+ * Whether a question probably depends on earlier turns
+ */
+export function isFollowUp(question) {
+  return FOLLOW_UP_PATTERN.test(question) ||
+    question.trim().split(/\s+/).length <= SHORT_QUESTION_WORDS;
+}
+
+/**
+ * Merge older turns into the running summary, falling back to an extractive
+ * summary when the model is unavailable or does not return one
+ */
+async function summarizeTurns(previous, turns, { tier, signal }) {
+  const maxTokens = parseInt(process.env.CONVERSATION_SUMMARY_TOKENS) || 300;
+  const transcript = turns.map(turn =>
+    `User: ${turn.user}\nAssistant: ${turn.assistant || '(no answer)'}`).join('\n\n');
+
+  try {
+    const completion = await generateCompletion({
+      tier,
+      signal,
+      messages: [
+        {
+          role: 'system',
+          content: `You maintain a running summary of a conversation between a user and honestGPT, a research assistant.
+Merge the existing summary with the new turns. Keep the topics, people, places, time frames and figures the user may refer back to, the conclusions reached and how confident the assistant was.
+Write at most ${Math.round(maxTokens * 0.75)} words.
+Respond with JSON only, in the form: {"summary":"..."}`,
+        },
+        {
+          role: 'user',
+          content: `Existing summary: ${previous || '(none)'}\n\nNew turns:\n${transcript}`,
+        },
+      ],
+    });
+
+    const json = completion.content.match(/\{[\s\S]*\}/);
+    const summary = json ? JSON.parse(json[0]).summary : null;
+
+    if (typeof summary !== 'string' || !summary.trim()) {
+      throw new Error('Summary response had no summary');
+    }
+
+    return clipToTokens(summary.trim(), maxTokens);
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    logger.warn('Conversation summary fell back to extractive', { error: error.message });
+
+    // Keep the newest lines when the extractive summary outgrows its budget
+    const lines = [
+      ...(previous ? previous.split('\n') : []),
+      ...turns.map(turn => `User asked: ${turn.user} Answer: ${firstSentences(turn.assistant, 1) || '(no answer)'}`),
+    ];
+    while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) {
+      lines.shift();
+    }
+    return clipToTokens(lines.join('\n'), maxTokens);
+  }
+}
+
+/**
+ * Pair each question with its answer, dropping citation markers from answers
+ */
+function groupTurns(messages) {
+  const turns = [];
+
+  for (const message of messages) {
+    if (message.role === 'user') {
+      turns.push({ user: message.content, assistant: null, createdAt: message.created_at });
+    } else if (turns.length > 0 && !turns[turns.length - 1].assistant) {
+      const turn = turns[turns.length - 1];
+      turn.assistant = message.content.replace(CITATION_MARKER, '');
+      turn.createdAt = message.created_at;
+    }
+  }
+
+  return turns;
+}
+
+function turnTokens(turn) {
+  return estimateTokens(turn.user) + estimateTokens(turn.assistant || '');
+}
+
+/**
+ * Trim a turn's answer so the turn fits the remaining budget
+ */
+function fitTurn(turn, tokens) {
+  if (turnTokens(turn) <= tokens || !turn.assistant) {
+    return turn;
+  }
+  return {
+    ...turn,
+    assistant: clipToTokens(turn.assistant, Math.max(50, tokens - estimateTokens(turn.user))),
+  };
+}
+
+function clipToTokens(text, tokens) {
+  const maxChars = tokens * 4;
+  return text.length <= maxChars ? text : `${text.substring(0, maxChars).replace(/\s+\S*$/, '')}...`;
+}
+
+function firstSentences(text, count) {
+  if (!text) {
+    return '';
+  }
+  // Split only where punctuation is followed by a space, so "$7.25" stays whole
+  return text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/).slice(0, count).join(' ');
+}
@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { useScriptedModel } from '../testing/scriptedModel.js';
+import { loadConversationMemory, estimateTokens } from './memoryService.js';
+
+const USER_ID = 'user-1';
+const CONVERSATION_ID = 'conversation-1';
+
+// Five turns of 59 tokens each: a 40-character question and a 200-character answer
+// that loses its 6-character citation marker
+const TOPICS = ['coffee', 'tea', 'sleep', 'sugar', 'water'];
+
+function messages() {
+  return TOPICS.flatMap((topic, i) => [
+    { conversation_id: CONVERSATION_ID, role: 'user', content: `Is drinking ${topic} good for you?`.padEnd(40, '?'), created_at: `2024-01-0${i + 1}T10:00:00Z` },
+    { conversation_id: CONVERSATION_ID, role: 'assistant', content: `Studies on ${topic} are mixed [1, 2].`.padEnd(200, '.'), created_at: `2024-01-0${i + 1}T10:01:00Z` },
+  ]);
+}
+
+let db;
+let model;
+
+beforeEach(() => {
+  db = createFakeDatabase({
+    model_routes: [],
+    conversations: [{ id: CONVERSATION_ID, user_id: USER_ID, memory_summary: null, memory_summary_until: null }],
+    messages: messages(),
+  }).install();
+});
+
+afterEach(() => {
+  model?.restore();
+  model = null;
+  db.restore();
+  delete process.env.CONVERSATION_MEMORY_TOKENS;
+});
+
+test('new and unknown conversations have no memory', async () => {
+  assert.equal(await loadConversationMemory(null, USER_ID), null);
+  assert.equal(await loadConversationMemory('missing', USER_ID), null);
+  assert.equal(await loadConversationMemory(CONVERSATION_ID, 'someone-else'), null);
+});
+
+test('history within the token budget is sent verbatim without summarizing', async () => {
+  model = useScriptedModel([]);
+
+  const memory = await loadConversationMemory(CONVERSATION_ID, USER_ID);
+
+  assert.equal(memory.summary, null);
+  assert.equal(memory.turns.length, 5);
+  assert.equal(memory.messages.length, 10);
+  assert.equal(memory.tokens, 295);
+  assert.doesNotMatch(memory.messages[1].content, /\[1, 2\]/);
+  assert.equal(model.requests.length, 0);
+  assert.deepEqual(db.writes('conversations'), []);
+});
+
+test('turns beyond the budget are summarized and the summary is saved up to the last summarized turn', async () => {
+  process.env.CONVERSATION_MEMORY_TOKENS = '150';
+  model = useScriptedModel(['{"summary": "The user asked about coffee, tea and sleep."}']);
+
+  const memory = await loadConversationMemory(CONVERSATION_ID, USER_ID);
+
+  assert.deepEqual(memory.turns.map(turn => turn.user.split(' ')[2]), ['sugar', 'water']);
+  assert.equal(memory.summary, 'The user asked about coffee, tea and sleep.');
+  assert.equal(memory.tokens, 118 + estimateTokens(memory.summary));
+
+  const prompt = model.requests[0].at(-1).content;
+  assert.match(prompt, /Existing summary: \(none\)/);
+  assert.match(prompt, /drinking coffee[\s\S]*drinking tea[\s\S]*drinking sleep/);
+  assert.doesNotMatch(prompt, /drinking sugar/);
+
+  assert.deepEqual(db.tables.conversations[0], {
+    id: CONVERSATION_ID,
+    user_id: USER_ID,
+    memory_summary: 'The user asked about coffee, tea and sleep.',
+    memory_summary_until: '2024-01-03T10:01:00Z',
+  });
+});
+
+test('a saved summary takes up budget and only newer messages are loaded', async () => {
+  process.env.CONVERSATION_MEMORY_TOKENS = '150';
+  Object.assign(db.tables.conversations[0], {
+    memory_summary: 'Earlier the user asked about coffee and tea.',
+    memory_summary_until: '2024-01-02T10:01:00Z',
+  });
+  model = useScriptedModel(['{"summary": "Coffee, tea and sleep."}']);
+
+  const memory = await loadConversationMemory(CONVERSATION_ID, USER_ID);
+
+  // 11 summary tokens leave room for two of the three remaining turns
+  assert.deepEqual(memory.turns.map(turn => turn.user.split(' ')[2]), ['sugar', 'water']);
+  assert.match(model.requests[0].at(-1).content, /Existing summary: Earlier the user asked about coffee and tea\./);
+  assert.doesNotMatch(model.requests[0].at(-1).content, /drinking tea/);
+  assert.equal(db.tables.conversations[0].memory_summary, 'Coffee, tea and sleep.');
+});
+
+test('the latest turn is always kept, with its answer trimmed to fit', async () => {
+  process.env.CONVERSATION_MEMORY_TOKENS = '20';
+  db.tables.messages.push(
+    { conversation_id: CONVERSATION_ID, role: 'user', content: 'And salt?', created_at: '2024-01-06T10:00:00Z' },
+    { conversation_id: CONVERSATION_ID, role: 'assistant', content: 'Too much salt raises blood pressure. '.repeat(30), created_at: '2024-01-06T10:01:00Z' },
+  );
+  model = useScriptedModel(['{"summary": "Drinks."}']);
+
+  const memory = await loadConversationMemory(CONVERSATION_ID, USER_ID);
+
+  assert.equal(memory.turns.length, 1);
+  assert.equal(memory.turns[0].user, 'And salt?');
+  assert.ok(memory.turns[0].assistant.endsWith('...'));
+  assert.ok(estimateTokens(memory.turns[0].assistant) <= 51);
+});
+
+test('a failed summary save still answers with the summary and recent turns', async () => {
+  process.env.CONVERSATION_MEMORY_TOKENS = '150';
+  model = useScriptedModel(['{"summary": "Coffee, tea and sleep."}']);
+  db.failNext('conversations', 'PATCH');
+
+  const memory = await loadConversationMemory(CONVERSATION_ID, USER_ID);
+
+  assert.equal(memory.summary, 'Coffee, tea and sleep.');
+  assert.equal(memory.turns.length, 2);
+  assert.deepEqual(memory.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.equal(db.tables.conversations[0].memory_summary, null);
+});
+
+test('when the model cannot summarize, older turns are summarized extractively', async () => {
+  process.env.CONVERSATION_MEMORY_TOKENS = '150';
+  model = useScriptedModel([new Error('Model unavailable')]);
+
+  const memory = await loadConversationMemory(CONVERSATION_ID, USER_ID);
+
+  assert.deepEqual(memory.summary.split('\n').map(line => line.split(' ')[4]), ['coffee', 'tea', 'sleep']);
+  assert.match(memory.summary, /^User asked: Is drinking coffee good for you\?+ Answer: Studies on coffee are mixed\./);
+  assert.equal(db.tables.conversations[0].memory_summary, memory.summary);
+});
@@ -0,0 +1,64 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Anthropic Messages API provider
+ * Requires ANTHROPIC_API_KEY
+ */
+export function createAnthropicProvider() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('Anthropic API key not configured');
+  }
+
+  const client = new Anthropic({ apiKey });
+
+  return {
+    name: 'anthropic',
+
+    async complete({ model, messages, temperature, maxTokens, onToken, signal }) {
+      // Anthropic takes system prompts separately from the conversation turns
+      const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+      const params = {
+        model,
+        system,
+        messages: messages.filter(message => message.role !== 'system'),
+        temperature,
+        max_tokens: maxTokens,
+      };
+
+      if (!onToken) {
+        const response = await client.messages.create(params, { signal });
+        return {
+          content: response.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join(''),
+          usage: response.usage,
+        };
+      }
+
+      const stream = await client.messages.create({ ...params, stream: true }, { signal });
+
+      // Input tokens arrive with message_start, the output count with message_delta
+      let content = '';
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.type === 'message_start') {
+          usage.input_tokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'message_delta') {
+          usage.output_tokens = event.usage?.output_tokens || 0;
+        }
+      }
+
+      return { content, usage };
+    },
+  };
+}
@@ -0,0 +1,37 @@
+import OpenAI from 'openai';
+import { completeWithClient } from './openaiProvider.js';
+
+/**
+ * Azure OpenAI provider. The route's model is the Azure deployment name.
+ * Requires AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT
+ */
+export function createAzureOpenAIProvider() {
+  const apiKey = process.env.AZURE_OPENAI_API_KEY;
+  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+  // stream_options, used to get token usage from streams, needs 2024-10-21 or later
+  const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+
+  if (!apiKey || !endpoint) {
+    throw new Error('Azure OpenAI credentials not configured');
+  }
+
+  // Azure routes requests by deployment, so keep one client per deployment
+  const clients = new Map();
+
+  const getClient = (deployment) => {
+    if (!clients.has(deployment)) {
+      clients.set(deployment, new OpenAI({
+        apiKey,
+        baseURL: `${endpoint.replace(/\/$/, '')}/openai/deployments/${deployment}`,
+        defaultQuery: { 'api-version': apiVersion },
+        defaultHeaders: { 'api-key': apiKey },
+      }));
+    }
+    return clients.get(deployment);
+  };
+
+  return {
+    name: 'azure',
+    complete: (request) => completeWithClient(getClient(request.model), request),
+  };
+}
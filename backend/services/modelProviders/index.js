@@ -0,0 +1,294 @@
+import winston from 'winston';
+import { getSupabase } from '../../db/supabase.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createAzureOpenAIProvider } from './azureOpenaiProvider.js';
+import { createAnthropicProvider } from './anthropicProvider.js';
+import { createOllamaProvider } from './ollamaProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'model-providers' },
+});
+
+/**
+ * A model provider generates chat completions.
+ *
+ * complete({ model, messages, temperature, maxTokens, onToken, signal }) resolves to
+ *   { content, usage }
+ * where messages use the OpenAI role/content format and onToken, when given,
+ * receives each text delta as it is generated.
+ *
+ * @typedef {Object} ModelProvider
+ * @property {string} name
+ * @property {Function} complete
+ */
+
+// Provider factories, constructed lazily so unused providers need no configuration
+const factories = new Map([
+  ['openai', () => createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY })],
+  ['azure', createAzureOpenAIProvider],
+  ['anthropic', createAnthropicProvider],
+  ['ollama', createOllamaProvider],
+  // Any OpenAI-compatible local server, e.g. llama.cpp or vLLM
+  ['local', () => createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:8080/v1',
+  })],
+  ['mock', createMockProvider],
+]);
+
+const instances = new Map();
+
+// Default routes per tier: cheaper models for free users, the strongest for teams.
+// Entries after the first are fallbacks tried in order when a provider errors.
+const DEFAULT_MODEL_ROUTES = {
+  free: 'openai:gpt-3.5-turbo',
+  pro: 'openai:gpt-4-turbo-preview',
+  team: 'openai:gpt-4o',
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 1500;
+
+// Routes stored in the database are cached briefly to avoid a lookup per message
+const ROUTE_CACHE_TTL_MS = 60 * 1000;
+let routeCache = { loadedAt: 0, routes: null };
+
+/**
+ * Register a custom model provider
+ * @param {string} name - Provider name used in model routes
+ * @param {Function} factory - Returns a ModelProvider
+ */
+export function registerModelProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * List registered provider names
+ */
+export function listModelProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * Get a model provider instance
+ * @param {string} name - Provider name
+ * @returns {ModelProvider} Provider instance
+ */
+export function getModelProvider(name) {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown model provider: ${name}`);
+  }
+
+  const provider = factory();
+  instances.set(name, provider);
+  logger.info('Model provider initialized', { provider: name });
+
+  return provider;
+}
+
+/**
+ * Parse a route spec such as "openai:gpt-4o,anthropic:claude-3-haiku-20240307"
+ * @param {string} spec - Comma separated provider:model pairs
+ * @returns {Array} Route entries
+ */
+export function parseModelRoute(spec = '') {
+  return spec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return {
+        provider: entry.substring(0, separator),
+        model: entry.substring(separator + 1),
+      };
+    })
+    .filter(entry => entry.provider && entry.model);
+}
+
+/**
+ * Resolve the ordered list of models to try for a tier.
+ * Database routes take precedence over MODEL_ROUTE_<TIER>, which takes
+ * precedence over the built-in defaults. MODEL_FALLBACK is appended to every route.
+ * @param {string} userTier - User tier; free when missing or null
+ * @returns {Array} Route entries with provider, model, temperature and maxTokens
+ */
+export async function getModelRoute(userTier) {
+  // users.tier is NULL after a subscription is cancelled
+  const tier = userTier || 'free';
+
+  const dbRoutes = await loadDatabaseRoutes();
+
+  let route = dbRoutes?.[tier];
+  if (!route || route.length === 0) {
+    route = parseModelRoute(
+      process.env[`MODEL_ROUTE_${tier.toUpperCase()}`] ||
+      DEFAULT_MODEL_ROUTES[tier] ||
+      DEFAULT_MODEL_ROUTES.free
+    );
+  }
+
+  const fallbacks = parseModelRoute(process.env.MODEL_FALLBACK).filter(fallback =>
+    !route.some(entry => entry.provider === fallback.provider && entry.model === fallback.model)
+  );
+
+  return [...route, ...fallbacks].map(entry => ({
+    provider: entry.provider,
+    model: entry.model,
+    temperature: entry.temperature ?? DEFAULT_TEMPERATURE,
+    maxTokens: entry.maxTokens ?? DEFAULT_MAX_TOKENS,
+  }));
+}
+
+/**
+ * Generate a completion for a tier, falling back through its route when a provider errors
+ * @param {Object} request - Completion request
+ * @param {string} request.tier - User tier used to pick the route
+ * @param {Array} request.messages - Chat messages
+ * @param {Function} request.onToken - Streaming callback (optional)
+ * @param {AbortSignal} request.signal - Abort signal (optional)
+ * @returns {Object} Content, usage ({ prompt_tokens, completion_tokens, total_tokens, estimated }),
+ *   the provider/model that answered and failed attempts
+ */
+export async function generateCompletion({ tier, messages, onToken, signal }) {
+  const route = await getModelRoute(tier);
+  const failures = [];
+
+  for (const entry of route) {
+    let streamedTokens = false;
+
+    try {
+      const provider = getModelProvider(entry.provider);
+
+      const result = await provider.complete({
+        model: entry.model,
+        messages,
+        temperature: entry.temperature,
+        maxTokens: entry.maxTokens,
+        signal,
+        onToken: onToken && ((delta) => {
+          streamedTokens = true;
+          onToken(delta);
+        }),
+      });
+
+      if (failures.length > 0) {
+        logger.warn('Model fallback used', {
+          tier,
+          provider: entry.provider,
+          model: entry.model,
+          failures,
+        });
+      }
+
+      return {
+        ...result,
+        usage: normalizeUsage(result.usage, messages, result.content),
+        provider: entry.provider,
+        model: entry.model,
+        failures,
+      };
+    } catch (error) {
+      failures.push({ provider: entry.provider, model: entry.model, error: error.message });
+
+      logger.error('Model provider error', {
+        tier,
+        provider: entry.provider,
+        model: entry.model,
+        error: error.message,
+      });
+
+      // Partial output has already reached the client, and a cancelled request needs no retry
+      if (streamedTokens || signal?.aborted) {
+        break;
+      }
+    }
+  }
+
+  const error = new Error('All model providers failed');
+  error.failures = failures;
+  throw error;
+}
+
+/**
+ * Bring a provider's token usage into the OpenAI shape. Providers that report
+ * nothing get an estimate of about four characters per token, flagged as such,
+ * so billing never records a completion as free.
+ * @param {Object} usage - Usage as reported by the provider (optional)
+ * @param {Array} messages - Prompt messages
+ * @param {string} content - Generated text
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens, estimated }
+ */
+export function normalizeUsage(usage, messages, content = '') {
+  const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens;
+  const completionTokens = usage?.completion_tokens ?? usage?.output_tokens;
+
+  if (Number.isFinite(promptTokens) && Number.isFinite(completionTokens)) {
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage.total_tokens ?? promptTokens + completionTokens,
+      estimated: false,
+    };
+  }
+
+  const estimate = (text) => Math.ceil((text || '').length / 4);
+  const prompt = messages.reduce((sum, message) => sum + estimate(message.content), 0);
+  const completion = estimate(content);
+
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+    estimated: true,
+  };
+}
+
+/**
+ * Load active routes from the model_routes table, grouped by tier
+ */
+async function loadDatabaseRoutes() {
+  if (routeCache.routes && Date.now() - routeCache.loadedAt < ROUTE_CACHE_TTL_MS) {
+    return routeCache.routes;
+  }
+
+  try {
+    const { data, error } = await getSupabase()
+      .from('model_routes')
+      .select('tier, priority, provider, model, temperature, max_tokens')
+      .eq('is_active', true)
+      .order('priority', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const routes = {};
+    for (const row of data || []) {
+      (routes[row.tier] ||= []).push({
+        provider: row.provider,
+        model: row.model,
+        temperature: row.temperature ?? undefined,
+        maxTokens: row.max_tokens ?? undefined,
+      });
+    }
+
+    routeCache = { loadedAt: Date.now(), routes };
+    return routes;
+  } catch (error) {
+    // Fall back to environment configuration if the table is unavailable
+    logger.warn('Failed to load model routes from database', { error: error.message });
+    routeCache = { loadedAt: Date.now(), routes: {} };
+    return {};
+  }
+}
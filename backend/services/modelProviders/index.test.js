@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getModelRoute, parseModelRoute, normalizeUsage } from './index.js';
+
+const realFetch = globalThis.fetch;
+
+before(() => {
+  // No routes in the model_routes table
+  globalThis.fetch = async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } });
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('getModelRoute uses the free route for a missing or null tier', async () => {
+  const free = await getModelRoute('free');
+
+  assert.deepEqual(await getModelRoute(null), free);
+  assert.deepEqual(await getModelRoute(undefined), free);
+});
+
+test('getModelRoute reads MODEL_ROUTE_<TIER> for the tier', async () => {
+  process.env.MODEL_ROUTE_PRO = 'mock:mock-pro';
+  try {
+    const [first] = await getModelRoute('pro');
+    assert.equal(first.provider, 'mock');
+    assert.equal(first.model, 'mock-pro');
+  } finally {
+    delete process.env.MODEL_ROUTE_PRO;
+  }
+});
+
+test('parseModelRoute reads comma-separated provider:model entries', () => {
+  assert.deepEqual(
+    parseModelRoute('openai:gpt-4o, anthropic:claude-3-haiku'),
+    [{ provider: 'openai', model: 'gpt-4o' }, { provider: 'anthropic', model: 'claude-3-haiku' }]
+  );
+});
+
+test('normalizeUsage reads OpenAI, Anthropic and Ollama counts', () => {
+  const expected = { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150, estimated: false };
+
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }, []), expected);
+  assert.deepEqual(normalizeUsage({ input_tokens: 120, output_tokens: 30 }, []), expected);
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 120, completion_tokens: 30 }, []), expected);
+});
+
+test('normalizeUsage estimates a completion the provider reported no usage for', () => {
+  const messages = [
+    { role: 'system', content: 'a'.repeat(400) },
+    { role: 'user', content: 'b'.repeat(200) },
+  ];
+
+  assert.deepEqual(normalizeUsage(null, messages, 'c'.repeat(80)), {
+    prompt_tokens: 150,
+    completion_tokens: 20,
+    total_tokens: 170,
+    estimated: true,
+  });
+  assert.equal(normalizeUsage({ prompt_tokens: undefined }, messages, '').estimated, true);
+});
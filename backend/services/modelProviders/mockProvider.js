@@ -0,0 +1,43 @@
+/**
+ * Deterministic provider for tests and offline runs. Builds its answer from the
+ * question and source snippets in the prompt, so the same input always produces
+ * the same output.
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async complete({ messages, onToken }) {
+      const prompt = messages[messages.length - 1]?.content || '';
+      const content = buildMockAnswer(prompt);
+
+      if (onToken) {
+        // Stream word by word to exercise the same code path as real providers
+        for (const token of content.match(/\S+\s*/g) || []) {
+          onToken(token);
+        }
+      }
+
+      return {
+        content,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+    },
+  };
+}
+
+function buildMockAnswer(prompt) {
+  const question = prompt.match(/^Question: (.*)$/m)?.[1] || 'your question';
+  const snippets = [...prompt.matchAll(/^Snippet: (.*)$/gm)].map(match => match[1]);
+
+  if (snippets.length === 0) {
+    return `I cannot say with confidence how to answer "${question}" because no sources were provided.`;
+  }
+
+  const supporting = snippets
+    .slice(0, 3)
+    .map((snippet, index) => `${snippet.replace(/[.!?\s]+$/, '')} [${index + 1}].`)
+    .join(' ');
+
+  return `Based on available evidence, here is what the sources say about "${question}".\n\n${supporting}\n\nThis answer was generated by the mock model provider.`;
+}
@@ -0,0 +1,75 @@
+import axios from 'axios';
+
+/**
+ * Local Ollama server provider
+ * OLLAMA_URL defaults to http://localhost:11434
+ */
+export function createOllamaProvider() {
+  const baseUrl = (process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/$/, '');
+
+  return {
+    name: 'ollama',
+
+    async complete({ model, messages, temperature, maxTokens, onToken, signal }) {
+      const response = await axios.post(`${baseUrl}/api/chat`, {
+        model,
+        messages,
+        stream: Boolean(onToken),
+        options: {
+          temperature,
+          num_predict: maxTokens,
+        },
+      }, {
+        responseType: onToken ? 'stream' : 'json',
+        timeout: 120000,
+        signal,
+      });
+
+      if (!onToken) {
+        return {
+          content: response.data.message.content,
+          usage: {
+            prompt_tokens: response.data.prompt_eval_count,
+            completion_tokens: response.data.eval_count,
+          },
+        };
+      }
+
+      // Streaming responses are newline-delimited JSON objects
+      let content = '';
+      let usage = null;
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk.toString();
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          const event = JSON.parse(line);
+          if (event.error) {
+            throw new Error(event.error);
+          }
+
+          const delta = event.message?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+
+          // The final object carries the token counts
+          if (event.done) {
+            usage = {
+              prompt_tokens: event.prompt_eval_count,
+              completion_tokens: event.eval_count,
+            };
+          }
+        }
+      }
+
+      return { content, usage };
+    },
+  };
+}
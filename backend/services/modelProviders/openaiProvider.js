@@ -0,0 +1,67 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI chat completions provider. Also serves OpenAI-compatible endpoints
+ * such as a local llama.cpp or vLLM server when given a baseURL.
+ * @param {Object} config - Client configuration
+ * @param {string} config.name - Provider name
+ * @param {string} config.apiKey - API key
+ * @param {string} config.baseURL - Override the API base URL (optional)
+ */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL } = {}) {
+  if (!apiKey) {
+    throw new Error(`${name} API key not configured`);
+  }
+
+  const client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  return {
+    name,
+    complete: (request) => completeWithClient(client, request),
+  };
+}
+
+/**
+ * Run a chat completion, streaming deltas to onToken when provided
+ * @returns {Object} Generated content and token usage
+ */
+export async function completeWithClient(client, { model, messages, temperature, maxTokens, onToken, signal }) {
+  const params = {
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    presence_penalty: 0.1,
+    frequency_penalty: 0.1,
+  };
+
+  if (!onToken) {
+    const completion = await client.chat.completions.create(params, { signal });
+    return {
+      content: completion.choices[0].message.content,
+      usage: completion.usage,
+    };
+  }
+
+  // Streams only report token usage when asked, in a final chunk without choices
+  const stream = await client.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true },
+  }, { signal });
+
+  let content = '';
+  let usage = null;
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  }
+
+  return { content, usage };
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completeWithClient } from './openaiProvider.js';
+
+// Chat completions client that streams the given chunks and records its requests
+function fakeClient(chunks) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        async create(params) {
+          requests.push(params);
+          return (async function* () {
+            yield* chunks;
+          })();
+        },
+      },
+    },
+  };
+}
+
+test('streamed completions request and return token usage', async () => {
+  const usage = { prompt_tokens: 812, completion_tokens: 64, total_tokens: 876 };
+  const client = fakeClient([
+    { choices: [{ delta: { content: 'Water boils ' } }] },
+    { choices: [{ delta: { content: 'at 100 °C.' } }] },
+    { choices: [], usage },
+  ]);
+  const deltas = [];
+
+  const result = await completeWithClient(client, {
+    model: 'gpt-4o-mini',
+    messages: [{ role: 'user', content: 'At what temperature does water boil?' }],
+    onToken: (delta) => deltas.push(delta),
+  });
+
+  assert.deepEqual(client.requests[0].stream_options, { include_usage: true });
+  assert.deepEqual(deltas, ['Water boils ', 'at 100 °C.']);
+  assert.equal(result.content, 'Water boils at 100 °C.');
+  assert.deepEqual(result.usage, usage);
+});
+
+test('streams without a usage chunk report no usage', async () => {
+  const client = fakeClient([{ choices: [{ delta: { content: 'Hi' } }] }]);
+
+  const result = await completeWithClient(client, { model: 'local', messages: [], onToken: () => {} });
+
+  assert.equal(result.usage, null);
+});
@@ -0,0 +1,44 @@
+import axios from 'axios';
+
+/**
+ * Hugging Face text-classification NLI model, either on the hosted Inference API
+ * (HUGGINGFACE_API_KEY, NLI_MODEL defaults to roberta-large-mnli) or a self-hosted
+ * server exposing the same API at NLI_URL
+ */
+export function createHuggingFaceNliProvider() {
+  const model = process.env.NLI_MODEL || 'roberta-large-mnli';
+  const url = process.env.NLI_URL || `https://api-inference.huggingface.co/models/${model}`;
+
+  if (!process.env.NLI_URL && !process.env.HUGGINGFACE_API_KEY) {
+    throw new Error('Hugging Face API key not configured');
+  }
+
+  const headers = process.env.HUGGINGFACE_API_KEY
+    ? { Authorization: `Bearer ${process.env.HUGGINGFACE_API_KEY}` }
+    : {};
+
+  return {
+    name: 'huggingface',
+
+    async classify(pairs, { signal } = {}) {
+      return Promise.all(pairs.map(async ({ premise, hypothesis }) => {
+        const response = await axios.post(url, {
+          inputs: { text: premise, text_pair: hypothesis },
+        }, {
+          headers,
+          timeout: 15000,
+          signal,
+        });
+
+        // Single inputs come back either flat or wrapped in an outer array
+        const scores = Array.isArray(response.data[0]) ? response.data[0] : response.data;
+        const best = scores.reduce((top, item) => (item.score > top.score ? item : top));
+
+        return {
+          label: best.label.toLowerCase(),
+          score: Math.round(best.score * 100) / 100,
+        };
+      }));
+    },
+  };
+}
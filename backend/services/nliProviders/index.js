@@ -0,0 +1,103 @@
+import winston from 'winston';
+import { createLocalNliProvider } from './localNliProvider.js';
+import { createHuggingFaceNliProvider } from './huggingfaceNliProvider.js';
+import { createModelNliProvider } from './modelNliProvider.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'nli-providers' },
+});
+
+/**
+ * A natural-language-inference provider decides whether a premise entails,
+ * contradicts or is neutral towards a hypothesis.
+ *
+ * classify(pairs, { tier, signal }) resolves to [{ label, score }] in the same
+ * order as pairs, where each pair is { premise, hypothesis }, label is one of
+ * entailment | contradiction | neutral, and score is the provider's 0-1 confidence.
+ *
+ * @typedef {Object} NliProvider
+ * @property {string} name
+ * @property {Function} classify
+ */
+
+// Provider factories, constructed lazily so unused providers need no configuration
+const factories = new Map([
+  ['local', createLocalNliProvider],
+  ['huggingface', createHuggingFaceNliProvider],
+  ['model', createModelNliProvider],
+]);
+
+const instances = new Map();
+
+/**
+ * Register a custom NLI provider
+ * @param {string} name - Provider name used in NLI_PROVIDER
+ * @param {Function} factory - Returns an NliProvider
+ */
+export function registerNliProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * List registered provider names
+ */
+export function listNliProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * Get an NLI provider instance
+ * @param {string} name - Provider name (defaults to NLI_PROVIDER)
+ * @returns {NliProvider} Provider instance
+ */
+export function getNliProvider(name = process.env.NLI_PROVIDER || 'local') {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown NLI provider: ${name}`);
+  }
+
+  const provider = factory();
+  instances.set(name, provider);
+  logger.info('NLI provider initialized', { provider: name });
+
+  return provider;
+}
+
+/**
+ * Classify premise/hypothesis pairs, falling back to the local provider on errors
+ * @param {Array} pairs - Pairs of { premise, hypothesis }
+ * @param {Object} options - Passed through to the provider (tier, signal)
+ * @returns {Object} Results per pair and the name of the provider that produced them
+ */
+export async function classifyPairs(pairs, options = {}) {
+  if (pairs.length === 0) {
+    return { results: [], provider: null };
+  }
+
+  const providerName = process.env.NLI_PROVIDER || 'local';
+
+  try {
+    const provider = getNliProvider(providerName);
+    const results = await provider.classify(pairs, options);
+    return { results, provider: provider.name };
+  } catch (error) {
+    if (providerName === 'local') {
+      throw error;
+    }
+
+    logger.warn('NLI provider failed, using local classifier', {
+      provider: providerName,
+      error: error.message,
+    });
+
+    const results = await getNliProvider('local').classify(pairs, options);
+    return { results, provider: 'local' };
+  }
+}
@@ -0,0 +1,123 @@
+const NEGATION_WORDS = new Set(['not', 'no', 'never', 'none', 'cannot', 'neither', 'nor', 'without', 'lack', 'lacks', 'fail', 'fails']);
+
+// A negation applies to this many content words after it, within its clause
+const NEGATION_SCOPE = 2;
+
+// Opposing terms that signal two texts take different positions
+const OPPOSING_TERMS = [
+  ['true', 'false'],
+  ['safe', 'unsafe'],
+  ['safe', 'dangerous'],
+  ['effective', 'ineffective'],
+  ['proven', 'unproven'],
+  ['confirmed', 'debunked'],
+  ['beneficial', 'harmful'],
+  ['increase', 'decrease'],
+  ['increases', 'decreases'],
+  ['increased', 'decreased'],
+  ['higher', 'lower'],
+  ['legal', 'illegal'],
+  ['supports', 'refutes'],
+];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'you', 'all', 'any', 'can', 'was', 'has', 'have',
+  'its', 'may', 'who', 'did', 'this', 'that', 'with', 'from', 'they', 'been', 'were',
+  'which', 'their', 'what', 'when', 'will', 'would', 'could', 'should', 'about', 'into',
+]);
+
+/**
+ * Lightweight lexical classifier. Texts about the same subject are contradictions
+ * when they use opposing terms, or when only one of them negates a word both
+ * share ("vaccines do not cause autism" / "vaccines cause autism"); a negation
+ * about something the other text does not mention is not enough. Strongly
+ * overlapping texts entail each other. Free and always available, so it is the
+ * fallback for every other provider.
+ */
+export function createLocalNliProvider() {
+  return {
+    name: 'local',
+
+    async classify(pairs) {
+      return pairs.map(({ premise, hypothesis }) => classifyPair(premise, hypothesis));
+    },
+  };
+}
+
+function classifyPair(premise, hypothesis) {
+  const a = premise.toLowerCase();
+  const b = hypothesis.toLowerCase();
+
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  const smaller = Math.min(tokensA.size, tokensB.size);
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const overlap = smaller > 0 ? shared / smaller : 0;
+
+  // Opposition only means something when both texts are about the same thing
+  if (overlap >= 0.3) {
+    const opposed = OPPOSING_TERMS.some(([x, y]) =>
+      (hasWord(a, x) && hasWord(b, y) && !hasWord(a, y)) ||
+      (hasWord(a, y) && hasWord(b, x) && !hasWord(a, x))
+    );
+
+    const negatedInA = [...negatedTerms(a)].some(token => tokensB.has(token));
+    const negatedInB = [...negatedTerms(b)].some(token => tokensA.has(token));
+
+    if (opposed || negatedInA !== negatedInB) {
+      return { label: 'contradiction', score: round(0.5 + overlap * 0.4) };
+    }
+  }
+
+  if (overlap >= 0.5) {
+    return { label: 'entailment', score: round(overlap) };
+  }
+
+  return { label: 'neutral', score: round(1 - overlap) };
+}
+
+function tokenize(text) {
+  return (text.match(/[a-z0-9]+/g) || [])
+    .filter(isContentWord)
+    .map(stem);
+}
+
+/**
+ * Content words within NEGATION_SCOPE of a negation in the same clause
+ */
+function negatedTerms(text) {
+  const negated = new Set();
+
+  for (const clause of text.replace(/n't\b/g, ' not').split(/[.,;:!?]/)) {
+    const words = clause.match(/[a-z0-9]+/g) || [];
+
+    words.forEach((word, index) => {
+      if (!NEGATION_WORDS.has(word)) return;
+
+      words
+        .slice(index + 1)
+        .filter(next => isContentWord(next) && !NEGATION_WORDS.has(next))
+        .slice(0, NEGATION_SCOPE)
+        .forEach(next => negated.add(stem(next)));
+    });
+  }
+
+  return negated;
+}
+
+function isContentWord(token) {
+  return token.length > 2 && !STOPWORDS.has(token);
+}
+
+// Enough to match "cause" with "causes"
+function stem(token) {
+  return token.length > 4 ? token.replace(/s$/, '') : token;
+}
+
+function hasWord(text, word) {
+  return new RegExp(`\\b${word}\\b`).test(text);
+}
+
+function round(value) {
+  return Math.round(Math.min(1, value) * 100) / 100;
+}
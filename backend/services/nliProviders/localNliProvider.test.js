@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalNliProvider } from './localNliProvider.js';
+
+const provider = createLocalNliProvider();
+
+async function classify(premise, hypothesis) {
+  const [result] = await provider.classify([{ premise, hypothesis }]);
+  return result.label;
+}
+
+test('a negation of a word both texts share is a contradiction', async () => {
+  assert.equal(await classify('Vaccines do not cause autism.', 'Vaccines cause autism.'), 'contradiction');
+  assert.equal(await classify('Vaccines cause autism.', "Vaccines don't cause autism."), 'contradiction');
+  assert.equal(
+    await classify('Vaccines have not been shown to cause autism in children.', 'Vaccines cause autism in children.'),
+    'contradiction'
+  );
+});
+
+test('opposing terms about the same subject are a contradiction', async () => {
+  assert.equal(
+    await classify('The drug is safe for children.', 'The drug is unsafe for children.'),
+    'contradiction'
+  );
+  assert.equal(
+    await classify('Coffee consumption increases heart disease risk.', 'Coffee consumption decreases heart disease risk.'),
+    'contradiction'
+  );
+});
+
+test('a negation about something the other text does not mention is not a contradiction', async () => {
+  assert.notEqual(
+    await classify(
+      'The WHO reviewed the vaccine data and found no serious side effects in the trials.',
+      'The WHO reviewed the vaccine data from the 2021 clinical trials.'
+    ),
+    'contradiction'
+  );
+  assert.notEqual(
+    await classify(
+      'Power lines produce magnetic fields, which cannot penetrate far into buildings.',
+      'Power lines produce magnetic fields that decline quickly with distance.'
+    ),
+    'contradiction'
+  );
+});
+
+test('texts that both negate the shared claim are not a contradiction', async () => {
+  assert.notEqual(
+    await classify('Coffee does not increase heart disease risk.', 'Coffee is not linked to heart disease.'),
+    'contradiction'
+  );
+});
+
+test('strongly overlapping texts entail each other and unrelated ones are neutral', async () => {
+  assert.equal(
+    await classify('The Eiffel Tower is 330 metres tall.', 'The Eiffel Tower stands 330 metres tall.'),
+    'entailment'
+  );
+  assert.equal(await classify('The Eiffel Tower is in Paris.', 'Honey never spoils.'), 'neutral');
+});
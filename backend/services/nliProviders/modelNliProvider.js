@@ -0,0 +1,55 @@
+import { generateCompletion } from '../modelProviders/index.js';
+
+const LABELS = ['entailment', 'contradiction', 'neutral'];
+
+/**
+ * Uses the tier's chat model route as an NLI judge, classifying every pair in one request
+ */
+export function createModelNliProvider() {
+  return {
+    name: 'model',
+
+    async classify(pairs, { tier, signal } = {}) {
+      const completion = await generateCompletion({
+        tier,
+        signal,
+        messages: [
+          {
+            role: 'system',
+            content: `You compare pairs of source excerpts. For each pair decide whether A and B:
+- "entailment": make the same or compatible claims
+- "contradiction": make claims that cannot both be true
+- "neutral": discuss different things
+Respond with JSON only, in the form:
+{"results":[{"pair":1,"label":"neutral","score":0.8}]}
+score is 0-1 and reflects how sure you are.`,
+          },
+          {
+            role: 'user',
+            content: pairs
+              .map((pair, index) => `Pair ${index + 1}\nA: ${pair.premise}\nB: ${pair.hypothesis}`)
+              .join('\n\n'),
+          },
+        ],
+      });
+
+      const json = completion.content.match(/\{[\s\S]*\}/);
+      if (!json) {
+        throw new Error('NLI response was not JSON');
+      }
+
+      const byPair = new Map(JSON.parse(json[0]).results.map(result => [result.pair, result]));
+
+      return pairs.map((pair, index) => {
+        const result = byPair.get(index + 1);
+        if (!result || !LABELS.includes(result.label)) {
+          return { label: 'neutral', score: 0 };
+        }
+        return {
+          label: result.label,
+          score: Math.max(0, Math.min(1, Number(result.score) || 0.5)),
+        };
+      });
+    },
+  };
+}
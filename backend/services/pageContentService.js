@@ -0,0 +1,460 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+// The package entry point runs a self-test when imported directly, so load the library itself
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import winston from 'winston';
+import { isPublicHttpUrl, guardedRequestOptions } from './urlGuardService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'page-content-service' },
+});
+
+const USER_AGENT = 'HonestGPTBot/1.0 (+https://honestgpt.com)';
+const ROBOTS_AGENT = 'honestgptbot';
+
+// Extracted page text is cached so popular sources are not downloaded on every question
+const CONTENT_CACHE_TTL_MS = 60 * 60 * 1000;
+const FAILED_FETCH_TTL_MS = 10 * 60 * 1000;
+const CONTENT_CACHE_MAX_ENTRIES = 500;
+const contentCache = new Map();
+const robotsCache = new Map();
+
+const MAX_TEXT_CHARS = 100000;
+const PDF_MAX_PAGES = 20;
+const CHUNK_SIZE = 700;
+const PASSAGES_PER_SOURCE = 2;
+const STRUCTURED_DATA_MAX_OBJECTS = 50;
+const MAX_REDIRECTS = 3;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'was', 'has',
+  'have', 'how', 'its', 'may', 'who', 'does', 'did', 'this', 'that', 'with', 'from',
+  'they', 'been', 'were', 'which', 'their', 'what', 'when', 'will', 'would', 'could',
+  'should', 'about', 'into', 'than', 'then', 'them', 'these', 'those', 'there', 'why',
+]);
+
+/**
+ * Whether the fetch stage runs for every search (it can also be requested per search)
+ */
+export function isPageFetchEnabled() {
+  return process.env.PAGE_FETCH_ENABLED === 'true';
+}
+
+/**
+ * Download the top search results and attach the passages most relevant to the query
+ * @param {Array} results - Processed search results
+ * @param {string} query - Question the passages should answer
+ * @param {Object} options - Fetch options
+ * @param {number} options.limit - Number of results to fetch (defaults to PAGE_FETCH_LIMIT)
+ * @returns {Object} Results with `passages` on fetched sources, and fetch statistics
+ */
+export async function enrichWithPassages(results, query, options = {}) {
+  const limit = options.limit ?? (parseInt(process.env.PAGE_FETCH_LIMIT) || 5);
+  const targets = results.slice(0, limit);
+
+  const pages = await Promise.all(targets.map(result => fetchPageContent(result.link)));
+
+  let fetched = 0;
+  const enriched = results.map((result, index) => {
+    const page = pages[index];
+    if (!page) return result;
+
+    const passages = extractPassages(page.text, query, PASSAGES_PER_SOURCE);
+    if (passages.length === 0) return result;
+
+    fetched++;
+    return {
+      ...result,
+      passages,
+      metadata: { ...result.metadata, contentType: page.contentType },
+    };
+  });
+
+  logger.info('Fetched source pages', {
+    query: query.substring(0, 50),
+    attempted: targets.length,
+    fetched,
+  });
+
+  return {
+    results: enriched,
+    stats: { attempted: targets.length, fetched },
+  };
+}
+
+/**
+ * Download a page and extract its readable text, honoring robots.txt
+ * @param {string} url - Page URL
+ * @returns {Object|null} { title, text, contentType } plus structuredData for HTML pages, or null when unavailable
+ */
+export async function fetchPageContent(url) {
+  const cached = readCache(contentCache, url);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  let content = null;
+
+  try {
+    content = await downloadAndExtract(url);
+  } catch (error) {
+    logger.warn('Page fetch failed', { url, error: error.message });
+  }
+
+  writeCache(contentCache, url, content, content ? CONTENT_CACHE_TTL_MS : FAILED_FETCH_TTL_MS);
+  return content;
+}
+
+/**
+ * Split text into chunks and return the ones most relevant to the query (BM25)
+ * @param {string} text - Document text
+ * @param {string} query - Question to rank against
+ * @param {number} maxPassages - Maximum number of passages to return
+ * @returns {Array} Passages as { text, score }, best first
+ */
+export function extractPassages(text, query, maxPassages = PASSAGES_PER_SOURCE) {
+  const queryTokens = [...new Set(tokenize(query))];
+  const chunks = chunkText(text).map(chunk => ({ text: chunk, tokens: tokenize(chunk) }));
+
+  if (queryTokens.length === 0 || chunks.length === 0) {
+    return [];
+  }
+
+  const k1 = 1.2;
+  const b = 0.75;
+  const avgLength = chunks.reduce((sum, chunk) => sum + chunk.tokens.length, 0) / chunks.length;
+
+  const idf = Object.fromEntries(queryTokens.map(token => {
+    const df = chunks.filter(chunk => chunk.tokens.includes(token)).length;
+    return [token, Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return chunks
+    .map(chunk => {
+      const score = queryTokens.reduce((total, token) => {
+        const tf = chunk.tokens.filter(t => t === token).length;
+        if (tf === 0) return total;
+        return total + idf[token] * (tf * (k1 + 1)) /
+          (tf + k1 * (1 - b + b * chunk.tokens.length / avgLength));
+      }, 0);
+      return { text: chunk.text, score: Math.round(score * 100) / 100 };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxPassages);
+}
+
+/**
+ * Download a page within the size and time limits and pull out its text
+ */
+async function downloadAndExtract(url) {
+  const timeout = parseInt(process.env.PAGE_FETCH_TIMEOUT_MS) || 5000;
+  const maxBytes = parseInt(process.env.PAGE_FETCH_MAX_BYTES) || 2 * 1024 * 1024;
+
+  const response = await getFollowingRedirects(url, {
+    responseType: 'arraybuffer',
+    timeout,
+    signal: AbortSignal.timeout(timeout),
+    maxContentLength: maxBytes,
+    validateStatus: status => status >= 200 && status < 400,
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml,application/pdf;q=0.9,text/plain;q=0.8',
+    },
+  }, { respectRobots: true });
+
+  if (!response || response.status >= 300) {
+    return null;
+  }
+
+  const contentType = String(response.headers['content-type'] || '').toLowerCase();
+  const buffer = Buffer.from(response.data);
+
+  // filetype:pdf results are not always served with a PDF content type
+  if (contentType.includes('application/pdf') || buffer.subarray(0, 5).toString() === '%PDF-') {
+    const pdf = await pdfParse(buffer, { max: PDF_MAX_PAGES });
+    return {
+      title: pdf.info?.Title || null,
+      text: normalizeWhitespace(pdf.text).substring(0, MAX_TEXT_CHARS),
+      contentType: 'pdf',
+    };
+  }
+
+  if (contentType.includes('html') || contentType === '') {
+    return { ...extractHtmlText(buffer.toString('utf8')), contentType: 'html' };
+  }
+
+  if (contentType.includes('text/plain')) {
+    return {
+      title: null,
+      text: normalizeWhitespace(buffer.toString('utf8')).substring(0, MAX_TEXT_CHARS),
+      contentType: 'text',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Keep the article body of an HTML page, dropping navigation and boilerplate
+ * @param {string} html - HTML document
+ * @returns {Object} { title, text, structuredData } where structuredData holds the page's JSON-LD objects
+ */
+export function extractHtmlText(html) {
+  const $ = cheerio.load(html);
+  const structuredData = extractJsonLd($);
+  $('script, style, noscript, nav, header, footer, aside, form, iframe, svg').remove();
+
+  const title = $('title').first().text().trim() || null;
+  const root = ['article', 'main', '[role="main"]']
+    .map(selector => $(selector).first())
+    .find(element => element.length > 0) || $('body');
+
+  const blocks = root
+    .find('h1, h2, h3, p, li, blockquote, td')
+    .map((index, element) => $(element).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .filter(block => block.length >= 40);
+
+  const text = blocks.length > 0 ? blocks.join('\n\n') : root.text();
+
+  return {
+    title,
+    text: normalizeWhitespace(text).substring(0, MAX_TEXT_CHARS),
+    structuredData,
+  };
+}
+
+/**
+ * Collect the objects in a page's JSON-LD blocks, flattening arrays and @graph
+ * containers; blocks that do not parse are skipped
+ */
+function extractJsonLd($) {
+  const objects = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      objects.push(value);
+      if (value['@graph']) {
+        collect(value['@graph']);
+      }
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    try {
+      collect(JSON.parse($(element).contents().text()));
+    } catch (error) {
+      // Malformed structured data is common and not worth failing the page over
+    }
+  });
+
+  return objects.slice(0, STRUCTURED_DATA_MAX_OBJECTS);
+}
+
+/**
+ * Group sentences into chunks of roughly `size` characters, overlapping by one sentence
+ * @param {string} text - Document text
+ * @param {number} size - Target chunk length in characters
+ * @returns {Array} Chunk strings
+ */
+export function chunkText(text, size = CHUNK_SIZE) {
+  const sentences = text
+    .split(/\n{2,}|(?<=[.!?])\s+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(sentence => splitLongSentence(sentence, Math.floor(size / 2)));
+
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const sentence of sentences) {
+    if (length + sentence.length > size && current.length > 0) {
+      chunks.push(current.join(' '));
+      current = current.slice(-1);
+      length = current[0].length;
+    }
+    current.push(sentence);
+    length += sentence.length + 1;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join(' '));
+  }
+
+  return chunks;
+}
+
+/**
+ * Break text without sentence punctuation (tables, lists, extracted PDFs) at word boundaries.
+ * Pieces are half a chunk so that a chunk plus its one-sentence overlap stays near `size`.
+ */
+function splitLongSentence(sentence, size) {
+  if (sentence.length <= size) {
+    return [sentence];
+  }
+
+  const pieces = [];
+  let piece = '';
+
+  for (const word of sentence.split(' ')) {
+    if (piece && piece.length + word.length + 1 > size) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece = piece ? `${piece} ${word}` : word;
+  }
+
+  if (piece) {
+    pieces.push(piece);
+  }
+
+  return pieces;
+}
+
+/**
+ * Check robots.txt for the page's origin; pages are allowed when it cannot be read
+ */
+async function isAllowedByRobots(url) {
+  const { origin, pathname, search } = new URL(url);
+
+  let rules = readCache(robotsCache, origin);
+  if (rules === undefined) {
+    rules = await loadRobotsRules(origin);
+    writeCache(robotsCache, origin, rules, CONTENT_CACHE_TTL_MS);
+  }
+
+  const path = pathname + search;
+  const match = rules
+    .filter(rule => path.startsWith(rule.path))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+
+  return !match || match.allow;
+}
+
+async function loadRobotsRules(origin) {
+  try {
+    const response = await getFollowingRedirects(`${origin}/robots.txt`, {
+      timeout: 3000,
+      signal: AbortSignal.timeout(3000),
+      maxContentLength: 512 * 1024,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT },
+      validateStatus: status => status < 500,
+    });
+
+    if (!response || response.status >= 300) {
+      return [];
+    }
+
+    return parseRobots(String(response.data));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Parse the rules that apply to our crawler, falling back to the wildcard group
+ */
+function parseRobots(body) {
+  const groups = [];
+  let group = null;
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!group || group.rules.length > 0) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value.replace(/\*$/, '') });
+    }
+  }
+
+  const ours = groups.find(g => g.agents.some(agent => agent !== '*' && ROBOTS_AGENT.startsWith(agent)));
+  const wildcard = groups.find(g => g.agents.includes('*'));
+
+  return (ours || wildcard)?.rules || [];
+}
+
+/**
+ * GET a URL, following up to MAX_REDIRECTS redirects by hand so that every hop
+ * is checked: it must be a public http(s) URL, connections only go to public
+ * addresses, and with respectRobots the hop's robots.txt must allow it
+ * @param {string} url - URL to request
+ * @param {Object} config - axios request config; validateStatus must accept 3xx
+ * @param {Object} options - { respectRobots }
+ * @returns {Object|null} The final axios response, or null when a hop was refused
+ */
+async function getFollowingRedirects(url, config, { respectRobots = false } = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isPublicHttpUrl(current)) {
+      logger.info('Skipping non-public page', { url: current });
+      return null;
+    }
+    if (respectRobots && !(await isAllowedByRobots(current))) {
+      logger.info('Skipping page disallowed by robots.txt', { url: current });
+      return null;
+    }
+
+    const response = await axios.get(current, { ...config, ...guardedRequestOptions() });
+    const location = response.headers.location;
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    current = new URL(location, current).toString();
+  }
+
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+function readCache(cache, key) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+
+  if (Date.now() > entry.expiresAt) {
+    cache.delete(key);
+    return undefined;
+  }
+
+  // Re-insert so the Map's insertion order tracks recent use
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry.value;
+}
+
+function writeCache(cache, key, value, ttl) {
+  cache.set(key, { value, expiresAt: Date.now() + ttl });
+
+  if (cache.size > CONTENT_CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/\s*\n\s*\n\s*/g, '\n\n')
+    .trim();
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
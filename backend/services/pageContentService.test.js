@@ -0,0 +1,84 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { fetchPageContent } from './pageContentService.js';
+
+const ARTICLE = `<html><head><title>Article</title></head><body><article>
+  <p>Power lines produce extremely low frequency magnetic fields that decline quickly with distance.</p>
+</article></body></html>`;
+
+const realAdapter = axios.defaults.adapter;
+let requested;
+
+// Serve canned responses by URL instead of going to the network
+function serve(routes) {
+  axios.defaults.adapter = async (config) => {
+    requested.push(config.url);
+    const route = routes[config.url] || { status: 404, data: '' };
+    const response = {
+      data: route.data ?? '',
+      status: route.status ?? 200,
+      statusText: '',
+      headers: route.headers || {},
+      config,
+      request: {},
+    };
+
+    if (!config.validateStatus(response.status)) {
+      throw new axios.AxiosError(`Request failed with status code ${response.status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+    }
+    return response;
+  };
+}
+
+beforeEach(() => {
+  requested = [];
+});
+
+afterEach(() => {
+  axios.defaults.adapter = realAdapter;
+});
+
+test('fetchPageContent follows redirects to public pages', async () => {
+  serve({
+    'https://short.example/a': { status: 301, headers: { location: 'https://news.example/story' } },
+    'https://news.example/story': { data: Buffer.from(ARTICLE), headers: { 'content-type': 'text/html' } },
+  });
+
+  const page = await fetchPageContent('https://short.example/a');
+
+  assert.equal(page.title, 'Article');
+  assert.match(page.text, /magnetic fields/);
+});
+
+test('fetchPageContent does not follow a redirect to a metadata address', async () => {
+  serve({
+    'https://redirect.example/a': { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } },
+  });
+
+  assert.equal(await fetchPageContent('https://redirect.example/a'), null);
+  assert.ok(!requested.some(url => url.includes('169.254.169.254')));
+});
+
+test('fetchPageContent checks robots.txt of the host a redirect leads to', async () => {
+  serve({
+    'https://moved.example/a': { status: 302, headers: { location: 'https://private.example/members/page' } },
+    'https://private.example/robots.txt': { data: 'User-agent: *\nDisallow: /members/' },
+  });
+
+  assert.equal(await fetchPageContent('https://moved.example/a'), null);
+  assert.ok(requested.includes('https://private.example/robots.txt'));
+  assert.ok(!requested.includes('https://private.example/members/page'));
+});
+
+test('fetchPageContent gives up after too many redirects', async () => {
+  serve({
+    'https://loop.example/1': { status: 302, headers: { location: '/2' } },
+    'https://loop.example/2': { status: 302, headers: { location: '/3' } },
+    'https://loop.example/3': { status: 302, headers: { location: '/4' } },
+    'https://loop.example/4': { status: 302, headers: { location: '/5' } },
+  });
+
+  assert.equal(await fetchPageContent('https://loop.example/1'), null);
+  assert.ok(!requested.includes('https://loop.example/5'));
+});
@@ -0,0 +1,208 @@
+import winston from 'winston';
+import { generateCompletion } from './modelProviders/index.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'query-plan-service' },
+});
+
+/**
+ * Where a sub-query is searched: the general web search or one of the
+ * specialist helpers in searchService
+ */
+export const QUERY_ROUTES = ['general', 'academic', 'government', 'fact_check'];
+
+// Words that suggest a specialist route when planning without a model
+const ROUTE_SIGNALS = {
+  academic: /\b(stud(y|ies)|research|clinical|trials?|efficacy|effectiveness|side[- ]effects?|peer[- ]reviewed|meta[- ]analys[ie]s|evidence|papers?|journals?)\b/i,
+  government: /\b(laws?|legal|regulations?|regulat\w+|policy|policies|official|statistics|census|guidelines?|tax(es)?|visa|benefits|government|federal|agency|approved|approval|recommendations?)\b/i,
+  fact_check: /\b(is it true|true that|really|hoax|myth|debunk\w*|rumou?rs?|fake|claim(s|ed)?|did .+ (say|said)|viral)\b/i,
+};
+
+const ROUTE_PURPOSES = {
+  general: 'Information',
+  academic: 'Studies and scholarly sources',
+  government: 'Official and government sources',
+  fact_check: 'Fact-checks',
+};
+
+// "X vs Y", "X versus Y", "X compared to Y"
+const COMPARISON = /\s+(?:vs\.?|versus|compared (?:to|with))\s+/i;
+const ENTITY_BOUNDARY = new Set(['of', 'between', 'is', 'are', 'compare', 'the', 'for', 'with', 'in', 'among', 'during', 'on', 'at', 'when', 'and', 'or', 'to', 'than', 'which', 'what', 'how']);
+const MAX_ENTITY_WORDS = 3;
+
+/**
+ * Plan the searches for a question: split compound questions into targeted
+ * sub-queries and route each to the general, academic, government or
+ * fact-checker search. The question itself is always searched as one general query.
+ *
+ * QUERY_PLANNER selects "model" (the tier's model, falling back to heuristics),
+ * "heuristic" or "off" (search the question alone).
+ *
+ * @param {string} question - Standalone question
+ * @param {Object} options - { tier, signal }
+ * @returns {Object} { method, queries: [{ query, route, purpose }] }
+ */
+export async function planQueries(question, { tier, signal } = {}) {
+  const mode = process.env.QUERY_PLANNER || 'model';
+  const maxQueries = Math.max(1, parseInt(process.env.QUERY_PLAN_MAX_QUERIES) || 4);
+
+  if (mode === 'off') {
+    return { method: 'off', queries: [wholeQuestion(question)] };
+  }
+
+  if (mode === 'model') {
+    try {
+      return {
+        method: 'model',
+        queries: finalizePlan(question, await planWithModel(question, maxQueries, { tier, signal }), maxQueries),
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      logger.warn('Query planning with the model failed, using heuristics', {
+        question: question.substring(0, 50),
+        error: error.message,
+      });
+    }
+  }
+
+  return {
+    method: 'heuristic',
+    queries: finalizePlan(question, planHeuristically(question), maxQueries),
+  };
+}
+
+async function planWithModel(question, maxQueries, { tier, signal }) {
+  const completion = await generateCompletion({
+    tier,
+    signal,
+    messages: [
+      {
+        role: 'system',
+        content: `You plan web searches for a research assistant. Break the question into at most ${maxQueries} short, targeted search queries that together cover everything needed to answer it, e.g. one per item being compared and one per aspect asked about.
+Route each query to one of:
+- "general": the open web
+- "academic": studies, trials and scholarly papers
+- "government": official statistics, laws, regulations and public health guidance
+- "fact_check": fact-checking sites, for claims, rumours and viral stories
+A simple question needs only one query.
+Respond with JSON only, in the form:
+{"queries":[{"query":"...","route":"general","purpose":"what this query finds"}]}`,
+      },
+      { role: 'user', content: question },
+    ],
+  });
+
+  const json = completion.content.match(/\{[\s\S]*\}/);
+  if (!json) {
+    throw new Error('Plan response was not JSON');
+  }
+
+  const queries = (JSON.parse(json[0]).queries || [])
+    .filter(entry => typeof entry?.query === 'string' && entry.query.trim())
+    .map(entry => ({
+      query: entry.query.trim().substring(0, 300),
+      route: QUERY_ROUTES.includes(entry.route) ? entry.route : 'general',
+      purpose: typeof entry.purpose === 'string' ? entry.purpose.trim().substring(0, 200) : null,
+    }));
+
+  if (queries.length === 0) {
+    throw new Error('Plan response had no queries');
+  }
+
+  return queries;
+}
+
+/**
+ * Split comparisons into one query per side, searched on the first specialist
+ * route the question's wording suggests, and send the question to any other
+ * suggested specialist routes
+ */
+function planHeuristically(question) {
+  const routes = Object.keys(ROUTE_SIGNALS).filter(route => ROUTE_SIGNALS[route].test(question));
+  const sides = splitComparison(question);
+  const queries = [];
+
+  if (sides.length > 0) {
+    const route = routes.shift() || 'general';
+    for (const side of sides) {
+      queries.push({ query: side.query, route, purpose: `${ROUTE_PURPOSES[route]} on ${side.entity}` });
+    }
+  }
+
+  for (const route of routes) {
+    queries.push({ query: stripQuestion(question), route, purpose: ROUTE_PURPOSES[route] });
+  }
+
+  return queries;
+}
+
+/**
+ * "Compare the efficacy of X vs Y in children" becomes
+ * ["the efficacy of X in children", "the efficacy of Y in children"]
+ */
+function splitComparison(question) {
+  const text = stripQuestion(question);
+  const match = text.match(COMPARISON);
+  if (!match) {
+    return [];
+  }
+
+  const before = text.substring(0, match.index).split(/\s+/);
+  const after = text.substring(match.index + match[0].length).split(/\s+/);
+
+  const left = [];
+  while (before.length > 0 && left.length < MAX_ENTITY_WORDS && !ENTITY_BOUNDARY.has(before[before.length - 1].toLowerCase())) {
+    left.unshift(before.pop());
+  }
+  const right = [];
+  while (after.length > 0 && right.length < MAX_ENTITY_WORDS && !ENTITY_BOUNDARY.has(after[0].toLowerCase().replace(/[,;]$/, ''))) {
+    const word = after.shift();
+    right.push(word.replace(/[,;]$/, ''));
+    if (/[,;]$/.test(word)) {
+      break;
+    }
+  }
+
+  if (left.length === 0 || right.length === 0) {
+    return [];
+  }
+
+  const prefix = before.join(' ').replace(/^compare\s+/i, '');
+  const suffix = after.join(' ');
+
+  return [left.join(' '), right.join(' ')].map(entity => ({
+    entity,
+    query: [prefix, entity, suffix].filter(Boolean).join(' '),
+  }));
+}
+
+/**
+ * Put the whole question first, drop duplicate queries and cap the plan size
+ */
+function finalizePlan(question, queries, maxQueries) {
+  const plan = [wholeQuestion(question), ...queries];
+  const seen = new Set();
+
+  return plan
+    .filter(entry => {
+      const key = `${entry.route}:${entry.query.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxQueries);
+}
+
+function wholeQuestion(question) {
+  return { query: question, route: 'general', purpose: 'The question as asked' };
+}
+
+function stripQuestion(question) {
+  return question.trim().replace(/[?.!]+$/, '');
+}
@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { useScriptedModel } from '../testing/scriptedModel.js';
+import { planQueries } from './queryPlanService.js';
+
+const COMPARISON = 'Compare the efficacy of ibuprofen vs paracetamol in children, according to clinical trials?';
+
+let db;
+let model;
+
+beforeEach(() => {
+  db = createFakeDatabase({ model_routes: [] }).install();
+});
+
+afterEach(() => {
+  model?.restore();
+  model = null;
+  db.restore();
+  delete process.env.QUERY_PLANNER;
+  delete process.env.QUERY_PLAN_MAX_QUERIES;
+});
+
+function summarize(plan) {
+  return plan.queries.map(entry => [entry.query, entry.route]);
+}
+
+test('the model\'s plan follows the whole question, with unknown routes searched generally', async () => {
+  model = useScriptedModel([`Here is the plan:
+{"queries": [
+  {"query": " ibuprofen efficacy children ", "route": "academic", "purpose": "Trials of ibuprofen"},
+  {"query": "paracetamol dosing guidance", "route": "medical", "purpose": 7},
+  {"query": ""},
+  {"route": "general"}
+]}`]);
+
+  const plan = await planQueries('Is ibuprofen or paracetamol better for children?');
+
+  assert.equal(plan.method, 'model');
+  assert.deepEqual(plan.queries, [
+    { query: 'Is ibuprofen or paracetamol better for children?', route: 'general', purpose: 'The question as asked' },
+    { query: 'ibuprofen efficacy children', route: 'academic', purpose: 'Trials of ibuprofen' },
+    { query: 'paracetamol dosing guidance', route: 'general', purpose: null },
+  ]);
+  assert.match(model.requests[0][0].content, /at most 4 short, targeted search queries/);
+});
+
+test('malformed or empty model plans fall back to the heuristic plan', async () => {
+  for (const reply of ['I would search for ibuprofen.', '{"queries": [{"query": "ibuprofen",}', '{"queries": []}', new Error('Model unavailable')]) {
+    model = useScriptedModel([reply]);
+
+    const plan = await planQueries(COMPARISON);
+
+    assert.equal(plan.method, 'heuristic', String(reply));
+    assert.deepEqual(summarize(plan), [
+      [COMPARISON, 'general'],
+      ['the efficacy of ibuprofen in children, according to clinical trials', 'academic'],
+      ['the efficacy of paracetamol in children, according to clinical trials', 'academic'],
+    ]);
+    model.restore();
+  }
+});
+
+test('the heuristic plan sends the question to every specialist route its wording suggests', async () => {
+  process.env.QUERY_PLANNER = 'heuristic';
+
+  const plan = await planQueries('Is it true that the FDA approved the vaccine after clinical trials?');
+
+  assert.deepEqual(summarize(plan), [
+    ['Is it true that the FDA approved the vaccine after clinical trials?', 'general'],
+    ['Is it true that the FDA approved the vaccine after clinical trials', 'academic'],
+    ['Is it true that the FDA approved the vaccine after clinical trials', 'government'],
+    ['Is it true that the FDA approved the vaccine after clinical trials', 'fact_check'],
+  ]);
+  assert.equal(plan.queries[2].purpose, 'Official and government sources');
+});
+
+test('plans are capped at QUERY_PLAN_MAX_QUERIES, keeping the whole question', async () => {
+  process.env.QUERY_PLAN_MAX_QUERIES = '2';
+  model = useScriptedModel([JSON.stringify({
+    queries: ['a', 'b', 'c', 'd', 'e'].map(query => ({ query, route: 'general' })),
+  })]);
+
+  const modelPlan = await planQueries('Question?');
+  assert.deepEqual(summarize(modelPlan), [['Question?', 'general'], ['a', 'general']]);
+  assert.match(model.requests[0][0].content, /at most 2 short/);
+
+  process.env.QUERY_PLANNER = 'heuristic';
+  const heuristicPlan = await planQueries('Is it true that the FDA approved the vaccine after clinical trials?');
+  assert.deepEqual(heuristicPlan.queries.map(entry => entry.route), ['general', 'academic']);
+
+  // A cap below one still searches the question
+  process.env.QUERY_PLAN_MAX_QUERIES = '0';
+  assert.equal((await planQueries('Question?')).queries.length, 1);
+});
+
+test('duplicate queries are dropped, ignoring case and punctuation', async () => {
+  model = useScriptedModel([JSON.stringify({
+    queries: [
+      { query: 'is coffee healthy', route: 'general' },
+      { query: 'Coffee health studies', route: 'academic' },
+      { query: 'coffee, health, studies!', route: 'academic' },
+      { query: 'coffee health studies', route: 'general' },
+    ],
+  })]);
+
+  const plan = await planQueries('Is coffee healthy?');
+
+  assert.deepEqual(summarize(plan), [
+    ['Is coffee healthy?', 'general'],
+    ['Coffee health studies', 'academic'],
+    ['coffee health studies', 'general'],
+  ]);
+});
+
+test('with planning off only the question is searched', async () => {
+  process.env.QUERY_PLANNER = 'off';
+  model = useScriptedModel([]);
+
+  assert.deepEqual(await planQueries(COMPARISON), {
+    method: 'off',
+    queries: [{ query: COMPARISON, route: 'general', purpose: 'The question as asked' }],
+  });
+  assert.equal(model.requests.length, 0);
+});
@@ -0,0 +1,79 @@
+import axios from 'axios';
+import { normalizeDoi, formatDateParts, contactEmail } from './utils.js';
+
+const CROSSREF_TYPES = {
+  'journal-article': 'journal-article',
+  'posted-content': 'preprint',
+  'proceedings-article': 'conference-paper',
+  'book': 'book',
+  'monograph': 'book',
+  'book-chapter': 'book-chapter',
+  'report': 'report',
+  'dataset': 'dataset',
+};
+
+// Crossref types that go through a venue's review process
+const REVIEWED_TYPES = new Set(['journal-article', 'proceedings-article']);
+
+/**
+ * Crossref REST API (https://api.crossref.org), which covers most DOIs and records
+ * retraction notices, including the Retraction Watch database, as "updated-by" entries.
+ * Resolves DOIs only.
+ */
+export function createCrossrefResolver() {
+  const email = contactEmail();
+  const headers = {
+    'User-Agent': `HonestGPT/1.0 (https://honestgpt.com${email ? `; mailto:${email}` : ''})`,
+  };
+
+  return {
+    name: 'crossref',
+
+    async resolve({ doi }, { signal } = {}) {
+      if (!doi) {
+        return null;
+      }
+
+      let response;
+      try {
+        response = await axios.get(`https://api.crossref.org/works/${encodeURIComponent(doi)}`, {
+          headers,
+          timeout: 8000,
+          signal,
+        });
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+
+      const work = response.data.message;
+      // Retracted works are "updated by" the DOI of their retraction notice
+      const retraction = (work['updated-by'] || []).find(update => /retract/i.test(update.type || ''));
+      const issued = work.issued?.['date-parts']?.[0] || work.published?.['date-parts']?.[0] || [];
+
+      return {
+        doi: normalizeDoi(work.DOI) || doi,
+        pmid: null,
+        title: work.title?.[0] || null,
+        url: work.URL || `https://doi.org/${doi}`,
+        authors: (work.author || []).map(author => ({
+          given: author.given || null,
+          family: author.family || author.name || null,
+        })),
+        journal: work['container-title']?.[0] || null,
+        publisher: work.publisher || null,
+        year: issued[0] || null,
+        published: formatDateParts(issued),
+        volume: work.volume || null,
+        issue: work.issue || null,
+        pages: work.page || null,
+        type: CROSSREF_TYPES[work.type] || 'other',
+        peerReviewed: REVIEWED_TYPES.has(work.type) ? true : work.type === 'posted-content' ? false : null,
+        retracted: Boolean(retraction),
+        retractionNotice: retraction?.DOI ? `https://doi.org/${normalizeDoi(retraction.DOI)}` : null,
+      };
+    },
+  };
+}
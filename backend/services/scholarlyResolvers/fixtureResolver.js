@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/scholarly'
+);
+
+/**
+ * Offline resolver that reads work metadata from JSON files, named after the
+ * identifier (doi-10-1000-xyz123.json or pmid-12345678.json).
+ * SCHOLARLY_FIXTURES_DIR overrides the default backend/fixtures/scholarly directory.
+ */
+export function createFixtureResolver() {
+  const dir = process.env.SCHOLARLY_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  return {
+    name: 'fixture',
+
+    async resolve({ doi, pmid }) {
+      const names = [
+        doi && `doi-${doi.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`,
+        pmid && `pmid-${pmid}.json`,
+      ].filter(Boolean);
+
+      for (const name of names) {
+        try {
+          return JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+
+      return null;
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import winston from 'winston';
+import { createCrossrefResolver } from './crossrefResolver.js';
+import { createOpenAlexResolver } from './openalexResolver.js';
+import { createFixtureResolver } from './fixtureResolver.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'scholarly-resolvers' },
+});
+
+/**
+ * A scholarly resolver turns a DOI or PubMed ID into structured metadata.
+ *
+ * resolve({ doi, pmid }, { signal }) resolves to null when the resolver does not
+ * know the work, otherwise:
+ *   {
+ *     doi, pmid, title, url,
+ *     authors: [{ given, family }],
+ *     journal, publisher, year, published (YYYY-MM-DD or null),
+ *     volume, issue, pages,
+ *     type: journal-article | preprint | review | conference-paper | book | book-chapter | report | dataset | other,
+ *     peerReviewed: true | false | null when unknown,
+ *     retracted: boolean, retractionNotice: URL of the notice or null,
+ *   }
+ *
+ * @typedef {Object} ScholarlyResolver
+ * @property {string} name
+ * @property {Function} resolve
+ */
+
+// Resolver factories, constructed lazily so unused resolvers need no configuration
+const factories = new Map([
+  ['crossref', createCrossrefResolver],
+  ['openalex', createOpenAlexResolver],
+  ['fixture', createFixtureResolver],
+]);
+
+const instances = new Map();
+
+/**
+ * Register a custom scholarly resolver
+ * @param {string} name - Resolver name used in SCHOLARLY_RESOLVERS
+ * @param {Function} factory - Returns a ScholarlyResolver
+ */
+export function registerScholarlyResolver(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * List registered resolver names
+ */
+export function listScholarlyResolvers() {
+  return [...factories.keys()];
+}
+
+/**
+ * Resolvers tried in order (SCHOLARLY_RESOLVERS, comma separated; "off" disables lookups)
+ */
+export function getResolverRoute() {
+  return (process.env.SCHOLARLY_RESOLVERS || 'crossref,openalex')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && name !== 'off');
+}
+
+/**
+ * Get a scholarly resolver instance
+ * @param {string} name - Resolver name
+ * @returns {ScholarlyResolver} Resolver instance
+ */
+export function getScholarlyResolver(name) {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown scholarly resolver: ${name}`);
+  }
+
+  const resolver = factory();
+  instances.set(name, resolver);
+  logger.info('Scholarly resolver initialized', { resolver: name });
+
+  return resolver;
+}
+
+/**
+ * Resolve a work with the first resolver on the route that knows it; a resolver
+ * that errors is skipped so one outage does not hide the metadata
+ * @param {Object} identifiers - { doi, pmid }
+ * @param {Object} options - { signal }
+ * @returns {Object|null} Work metadata with the name of the resolver, or null
+ */
+export async function resolveWork(identifiers, options = {}) {
+  for (const name of getResolverRoute()) {
+    try {
+      const work = await getScholarlyResolver(name).resolve(identifiers, options);
+      if (work) {
+        return { ...work, resolver: name };
+      }
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      logger.warn('Scholarly resolver failed, trying the next one', {
+        resolver: name,
+        doi: identifiers.doi,
+        pmid: identifiers.pmid,
+        error: error.message,
+      });
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,140 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { resolveWork, registerScholarlyResolver, getScholarlyResolver } from './index.js';
+
+const realAdapter = axios.defaults.adapter;
+const lookups = [];
+
+// Scholarly APIs answer from a table of URL patterns; anything else is a network error
+let responses = [];
+
+before(() => {
+  axios.defaults.adapter = async (config) => {
+    lookups.push(config.url);
+    const match = responses.find(([pattern]) => pattern.test(config.url));
+    if (!match) {
+      throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND', config });
+    }
+    const [, status, data] = match;
+    const response = { status, statusText: String(status), data, headers: {}, config };
+    if (status >= 400) {
+      throw Object.assign(new Error(`Request failed with status code ${status}`), { response, config });
+    }
+    return response;
+  };
+
+  registerScholarlyResolver('failing', () => ({
+    name: 'failing',
+    async resolve() {
+      throw new Error('Resolver unavailable');
+    },
+  }));
+});
+
+after(() => {
+  axios.defaults.adapter = realAdapter;
+});
+
+afterEach(() => {
+  responses = [];
+  lookups.length = 0;
+  delete process.env.SCHOLARLY_RESOLVERS;
+});
+
+test('the fixture resolver reads works by DOI or PubMed ID', async () => {
+  process.env.SCHOLARLY_RESOLVERS = 'fixture';
+
+  const byDoi = await resolveWork({ doi: '10.1056/nejmoa2034577' });
+  const byPmid = await resolveWork({ pmid: '33301246' });
+
+  assert.equal(byDoi.title, 'Safety and Efficacy of the BNT162b2 mRNA Covid-19 Vaccine');
+  assert.equal(byDoi.resolver, 'fixture');
+  assert.deepEqual(byPmid, byDoi);
+  assert.equal(await resolveWork({ doi: '10.48550/arxiv.2001.08361' }), null);
+});
+
+test('a resolver that fails is skipped for the next one on the route', async () => {
+  process.env.SCHOLARLY_RESOLVERS = 'failing, fixture';
+
+  const work = await resolveWork({ doi: '10.1056/nejmoa2034577' });
+
+  assert.equal(work.resolver, 'fixture');
+  assert.equal(work.journal, 'New England Journal of Medicine');
+});
+
+test('unknown DOIs and arXiv IDs resolve to nothing when every resolver misses or fails', async () => {
+  process.env.SCHOLARLY_RESOLVERS = 'crossref,openalex';
+  responses = [
+    [/api\.crossref\.org/, 404, { status: 'error', message: 'Resource not found.' }],
+    [/api\.openalex\.org/, 503, 'Service Unavailable'],
+  ];
+
+  assert.equal(await resolveWork({ doi: '10.48550/arxiv.2001.08361' }), null);
+  assert.deepEqual(lookups, [
+    'https://api.crossref.org/works/10.48550%2Farxiv.2001.08361',
+    'https://api.openalex.org/works/doi%3A10.48550%2Farxiv.2001.08361',
+  ]);
+
+  // Network errors count as failures too
+  responses = [];
+  assert.equal(await resolveWork({ doi: '10.1000/missing' }), null);
+});
+
+test('Crossref misses are null but its outages are errors', async () => {
+  const crossref = getScholarlyResolver('crossref');
+
+  responses = [[/api\.crossref\.org/, 404, {}]];
+  assert.equal(await crossref.resolve({ doi: '10.1000/missing' }), null);
+  assert.equal(await crossref.resolve({ pmid: '33301246' }), null);
+
+  responses = [[/api\.crossref\.org/, 500, {}]];
+  await assert.rejects(crossref.resolve({ doi: '10.1000/missing' }), /status code 500/);
+});
+
+test('Crossref records are mapped, including retraction notices', async () => {
+  responses = [[/api\.crossref\.org/, 200, {
+    message: {
+      DOI: '10.1000/SALT_2021.001',
+      title: ['Cutting salt'],
+      author: [{ given: 'Zoë', family: 'Müller' }, { name: 'Salt Study Group' }],
+      'container-title': ['Journal of Public Health & Nutrition'],
+      issued: { 'date-parts': [[2021, 3]] },
+      page: 'e101',
+      type: 'journal-article',
+      'updated-by': [{ type: 'retraction', DOI: '10.1000/salt_2021.001.retraction' }],
+    },
+  }]];
+
+  const work = await getScholarlyResolver('crossref').resolve({ doi: '10.1000/salt_2021.001' });
+
+  assert.equal(work.doi, '10.1000/salt_2021.001');
+  assert.deepEqual(work.authors, [{ given: 'Zoë', family: 'Müller' }, { given: null, family: 'Salt Study Group' }]);
+  assert.equal(work.published, '2021-03');
+  assert.equal(work.peerReviewed, true);
+  assert.equal(work.retracted, true);
+  assert.equal(work.retractionNotice, 'https://doi.org/10.1000/salt_2021.001.retraction');
+});
+
+test('OpenAlex resolves PubMed IDs and marks repository works as preprints', async () => {
+  responses = [[/api\.openalex\.org\/works\/pmid%3A12345678/, 200, {
+    id: 'https://openalex.org/W1',
+    doi: 'https://doi.org/10.48550/arXiv.2001.08361',
+    ids: { pmid: 'https://pubmed.ncbi.nlm.nih.gov/12345678' },
+    title: 'Scaling Laws for Neural Language Models',
+    type: 'article',
+    publication_year: 2020,
+    authorships: [{ author: { display_name: 'Jared Kaplan' } }],
+    primary_location: { source: { type: 'repository', display_name: 'arXiv' } },
+    biblio: {},
+    is_retracted: false,
+  }]];
+
+  const work = await getScholarlyResolver('openalex').resolve({ pmid: '12345678' });
+
+  assert.equal(work.doi, '10.48550/arxiv.2001.08361');
+  assert.equal(work.pmid, '12345678');
+  assert.equal(work.type, 'preprint');
+  assert.equal(work.peerReviewed, false);
+  assert.deepEqual(work.authors, [{ given: 'Jared', family: 'Kaplan' }]);
+});
@@ -0,0 +1,70 @@
+import axios from 'axios';
+import { normalizeDoi, splitName, contactEmail } from './utils.js';
+
+/**
+ * OpenAlex (https://openalex.org), an open index of scholarly works that flags
+ * retractions and also resolves PubMed IDs
+ */
+export function createOpenAlexResolver() {
+  const email = contactEmail();
+
+  return {
+    name: 'openalex',
+
+    async resolve({ doi, pmid }, { signal } = {}) {
+      const id = doi ? `doi:${doi}` : pmid ? `pmid:${pmid}` : null;
+      if (!id) {
+        return null;
+      }
+
+      let response;
+      try {
+        response = await axios.get(`https://api.openalex.org/works/${encodeURIComponent(id)}`, {
+          params: email ? { mailto: email } : {},
+          timeout: 8000,
+          signal,
+        });
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+
+      const work = response.data;
+      const source = work.primary_location?.source;
+      const inJournal = source?.type === 'journal';
+      const { first_page: firstPage, last_page: lastPage } = work.biblio || {};
+
+      let type = 'other';
+      if (work.type === 'preprint' || source?.type === 'repository') {
+        type = 'preprint';
+      } else if (work.type === 'review') {
+        type = 'review';
+      } else if (work.type === 'article') {
+        type = inJournal ? 'journal-article' : source?.type === 'conference' ? 'conference-paper' : 'other';
+      } else if (['book', 'book-chapter', 'report', 'dataset'].includes(work.type)) {
+        type = work.type;
+      }
+
+      return {
+        doi: normalizeDoi(work.doi) || doi || null,
+        pmid: work.ids?.pmid?.replace(/^.*\//, '') || pmid || null,
+        title: work.title || work.display_name || null,
+        url: work.doi || work.primary_location?.landing_page_url || work.id,
+        authors: (work.authorships || []).map(authorship => splitName(authorship.author?.display_name)),
+        journal: source?.display_name || null,
+        publisher: source?.host_organization_name || null,
+        year: work.publication_year || null,
+        published: work.publication_date || null,
+        volume: work.biblio?.volume || null,
+        issue: work.biblio?.issue || null,
+        pages: firstPage ? [firstPage, lastPage].filter(Boolean).join('-') : null,
+        type,
+        peerReviewed: type === 'preprint' ? false : inJournal ? true : null,
+        retracted: Boolean(work.is_retracted),
+        retractionNotice: null,
+      };
+    },
+  };
+}
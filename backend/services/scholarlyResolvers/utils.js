@@ -0,0 +1,46 @@
+/**
+ * Lower-case a DOI and strip any resolver prefix, so "https://doi.org/10.1000/XYZ"
+ * and "doi:10.1000/xyz" compare equal
+ */
+export function normalizeDoi(doi) {
+  if (!doi) {
+    return null;
+  }
+  return String(doi)
+    .trim()
+    .replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '')
+    .toLowerCase() || null;
+}
+
+/**
+ * Split a display name into given and family names ("Jane Q. Doe" becomes
+ * { given: "Jane Q.", family: "Doe" }); single names are kept as the family name
+ */
+export function splitName(name = '') {
+  const parts = name.trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) {
+    return { given: null, family: parts[0] || null };
+  }
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] };
+}
+
+/**
+ * Format date parts such as [2021, 3, 4] as YYYY-MM-DD, or YYYY / YYYY-MM when less is known
+ */
+export function formatDateParts(parts = []) {
+  const [year, month, day] = parts;
+  if (!year) {
+    return null;
+  }
+  return [year, month, day]
+    .filter(part => part !== undefined && part !== null)
+    .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+    .join('-');
+}
+
+/**
+ * Contact address resolvers send so their operators can reach us (polite pools)
+ */
+export function contactEmail() {
+  return process.env.SCHOLARLY_CONTACT_EMAIL || null;
+}
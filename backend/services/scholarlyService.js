@@ -0,0 +1,245 @@
+import winston from 'winston';
+import { resolveWork, getResolverRoute } from './scholarlyResolvers/index.js';
+import { normalizeDoi } from './scholarlyResolvers/utils.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'scholarly-service' },
+});
+
+/**
+ * Evidence hierarchy, strongest first. "other" covers scholarly works that are
+ * none of these (narrative reviews, case reports, commentary).
+ */
+export const EVIDENCE_LEVELS = ['meta_analysis', 'rct', 'observational', 'other', 'preprint'];
+
+// Source quality score for each level, used in place of domain reputation in research mode
+export const EVIDENCE_SCORES = {
+  meta_analysis: 95,
+  rct: 85,
+  observational: 65,
+  other: 55,
+  preprint: 40,
+};
+
+const EVIDENCE_PATTERNS = [
+  ['meta_analysis', /\b(meta-?analy[sz]\w*|systematic (literature )?review|umbrella review|pooled analysis)\b/i],
+  ['rct', /\b(randomi[sz]ed|rcts?|double[- ]blind\w*|placebo[- ]controlled|controlled trial|phase (i{1,3}|[1-3]) trial)\b/i],
+  ['observational', /\b(cohort|case[- ]control|cross[- ]sectional|observational|prospective|retrospective|longitudinal|population[- ]based|epidemiolog\w*)\b/i],
+];
+
+// Hosts whose works have not been peer reviewed
+const PREPRINT_HOSTS = /(^|\.)(arxiv\.org|biorxiv\.org|medrxiv\.org|ssrn\.com|researchsquare\.com|preprints\.org|osf\.io|chemrxiv\.org|psyarxiv\.com)$/i;
+
+// Reputation categories treated as scholarly even without an identifier
+const SCHOLARLY_CATEGORIES = new Set(['academic', 'scientific_journal']);
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"'<>#?&]+)/i;
+// Publisher URLs often append a view to the DOI, e.g. /full or /abstract
+const DOI_VIEW_SUFFIX = /(\/(full|abstract|pdf|epdf|html|meta|fulltext|summary))+$|\.pdf$/i;
+
+// Resolved metadata is cached, including misses, so repeated questions stay fast
+const METADATA_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MISSED_LOOKUP_TTL_MS = 60 * 60 * 1000;
+const METADATA_CACHE_MAX_ENTRIES = 1000;
+const metadataCache = new Map();
+
+/**
+ * Attach scholarly metadata and an evidence level to each scholarly result:
+ * DOIs, PubMed IDs and arXiv IDs are resolved through SCHOLARLY_RESOLVERS, and
+ * the study design is read from the title, abstract snippet and work type
+ * @param {Array} results - Processed search results
+ * @param {Object} options - { signal }
+ * @returns {Array} Results, scholarly ones with `scholarly` metadata
+ */
+export async function enrichWithScholarlyMetadata(results, options = {}) {
+  const limit = parseInt(process.env.SCHOLARLY_RESOLVE_LIMIT) || 10;
+  let lookups = 0;
+
+  const enriched = await Promise.all(results.map(async (result) => {
+    const identifiers = extractIdentifiers(result);
+    const isScholarly = identifiers.doi || identifiers.pmid || SCHOLARLY_CATEGORIES.has(result.sourceType);
+    if (!isScholarly) {
+      return result;
+    }
+
+    let work = null;
+    if ((identifiers.doi || identifiers.pmid) && lookups < limit) {
+      lookups++;
+      work = await lookupWork(identifiers, options);
+    }
+
+    return {
+      ...result,
+      scholarly: buildScholarlyRecord(result, identifiers, work),
+    };
+  }));
+
+  logger.info('Scholarly metadata attached', {
+    results: results.length,
+    scholarly: enriched.filter(result => result.scholarly).length,
+    resolved: enriched.filter(result => result.scholarly?.resolved).length,
+    retracted: enriched.filter(result => result.scholarly?.retracted).length,
+  });
+
+  return enriched;
+}
+
+/**
+ * Order results by evidence level, scholarly before other sources and retracted
+ * works last; ties keep their search order
+ * @param {Array} results - Results from enrichWithScholarlyMetadata
+ * @returns {Array} Reordered results
+ */
+export function rankByEvidence(results) {
+  const rank = (result) => {
+    if (!result.scholarly) return EVIDENCE_LEVELS.length;
+    if (result.scholarly.retracted) return EVIDENCE_LEVELS.length + 1;
+    return EVIDENCE_LEVELS.indexOf(result.scholarly.evidenceLevel);
+  };
+
+  return results
+    .map((result, index) => ({ result, index }))
+    .sort((a, b) => rank(a.result) - rank(b.result) || a.index - b.index)
+    .map(({ result }) => result);
+}
+
+/**
+ * Count results at each evidence level
+ * @param {Array} results - Results from enrichWithScholarlyMetadata
+ * @returns {Object} { levels: { meta_analysis, ... }, scholarly, resolved, retracted, nonScholarly }
+ */
+export function summarizeEvidence(results) {
+  const levels = Object.fromEntries(EVIDENCE_LEVELS.map(level => [level, 0]));
+  const summary = { levels, scholarly: 0, resolved: 0, retracted: 0, nonScholarly: 0 };
+
+  for (const result of results) {
+    if (!result.scholarly) {
+      summary.nonScholarly++;
+      continue;
+    }
+    summary.scholarly++;
+    if (result.scholarly.resolved) summary.resolved++;
+    if (result.scholarly.retracted) {
+      summary.retracted++;
+    } else {
+      levels[result.scholarly.evidenceLevel]++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Find a result's DOI, PubMed ID or arXiv ID in its URL or snippet
+ * @param {Object} result - Search result
+ * @returns {Object} { doi, pmid } (arXiv IDs become their DataCite DOI)
+ */
+export function extractIdentifiers(result) {
+  let url = result.link || result.url || '';
+  try {
+    url = decodeURIComponent(url);
+  } catch {
+    // Keep malformed URLs as they are
+  }
+
+  const pmid = url.match(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/i)?.[1] ||
+    url.match(/ncbi\.nlm\.nih\.gov\/pubmed\/(\d+)/i)?.[1] || null;
+
+  const arxiv = url.match(/arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5})/i)?.[1];
+  if (arxiv) {
+    return { doi: `10.48550/arxiv.${arxiv}`, pmid };
+  }
+
+  const match = url.match(DOI_PATTERN) || (result.snippet || '').match(DOI_PATTERN);
+  const doi = match
+    ? normalizeDoi(match[1].replace(/[.,;)\]]+$/, '').replace(DOI_VIEW_SUFFIX, ''))
+    : null;
+
+  return { doi, pmid };
+}
+
+/**
+ * Classify a study design from its text, treating anything not peer reviewed as a preprint
+ * @param {string} text - Title, abstract or snippet
+ * @param {Object} hints - { preprint } when the venue or work type says so
+ * @returns {string} One of EVIDENCE_LEVELS
+ */
+export function classifyEvidence(text, { preprint = false } = {}) {
+  if (preprint) {
+    return 'preprint';
+  }
+  return EVIDENCE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'other';
+}
+
+async function lookupWork(identifiers, options) {
+  if (getResolverRoute().length === 0) {
+    return null;
+  }
+
+  const key = identifiers.doi ? `doi:${identifiers.doi}` : `pmid:${identifiers.pmid}`;
+  const cached = readCache(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  let work = null;
+  try {
+    work = await resolveWork(identifiers, options);
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    logger.warn('Scholarly lookup failed', { key, error: error.message });
+  }
+
+  writeCache(key, work, work ? METADATA_CACHE_TTL_MS : MISSED_LOOKUP_TTL_MS);
+  return work;
+}
+
+function buildScholarlyRecord(result, identifiers, work) {
+  const host = (result.domain || '').toLowerCase();
+  const preprint = work ? work.type === 'preprint' || work.peerReviewed === false : PREPRINT_HOSTS.test(host);
+  const text = [work?.title, result.title, result.snippet].filter(Boolean).join(' ');
+
+  return {
+    doi: work?.doi || identifiers.doi || null,
+    pmid: work?.pmid || identifiers.pmid || null,
+    title: work?.title || result.title,
+    authors: work?.authors || [],
+    journal: work?.journal || null,
+    publisher: work?.publisher || null,
+    year: work?.year || null,
+    published: work?.published || null,
+    volume: work?.volume || null,
+    issue: work?.issue || null,
+    pages: work?.pages || null,
+    type: work?.type || (preprint ? 'preprint' : null),
+    peerReviewed: work ? work.peerReviewed : (preprint ? false : null),
+    retracted: Boolean(work?.retracted),
+    retractionNotice: work?.retractionNotice || null,
+    evidenceLevel: classifyEvidence(text, { preprint }),
+    resolved: Boolean(work),
+    resolver: work?.resolver || null,
+  };
+}
+
+function readCache(key) {
+  const entry = metadataCache.get(key);
+  if (!entry) return undefined;
+
+  if (Date.now() > entry.expiresAt) {
+    metadataCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function writeCache(key, value, ttl) {
+  metadataCache.set(key, { value, expiresAt: Date.now() + ttl });
+
+  if (metadataCache.size > METADATA_CACHE_MAX_ENTRIES) {
+    metadataCache.delete(metadataCache.keys().next().value);
+  }
+}
@@ -0,0 +1,81 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerScholarlyResolver } from './scholarlyResolvers/index.js';
+import { enrichWithScholarlyMetadata, extractIdentifiers, rankByEvidence, summarizeEvidence } from './scholarlyService.js';
+
+const requested = [];
+
+registerScholarlyResolver('counting-failure', () => ({
+  name: 'counting-failure',
+  async resolve(identifiers) {
+    requested.push(identifiers);
+    throw new Error('Resolver unavailable');
+  },
+}));
+
+afterEach(() => {
+  requested.length = 0;
+  delete process.env.SCHOLARLY_RESOLVERS;
+});
+
+test('extractIdentifiers reads DOIs, PubMed IDs and arXiv IDs from links and snippets', () => {
+  assert.deepEqual(extractIdentifiers({ link: 'https://www.nejm.org/doi/full/10.1056/NEJMoa2034577' }), { doi: '10.1056/nejmoa2034577', pmid: null });
+  assert.deepEqual(extractIdentifiers({ link: 'https://doi.org/10.1000%2Fsalt_2021.001/abstract' }), { doi: '10.1000/salt_2021.001', pmid: null });
+  assert.deepEqual(extractIdentifiers({ link: 'https://pubmed.ncbi.nlm.nih.gov/33301246/' }), { doi: null, pmid: '33301246' });
+  assert.deepEqual(extractIdentifiers({ link: 'https://arxiv.org/pdf/2001.08361v1' }), { doi: '10.48550/arxiv.2001.08361', pmid: null });
+  assert.deepEqual(extractIdentifiers({ link: 'https://example.com', snippet: 'Published as doi:10.1000/xyz123.' }), { doi: '10.1000/xyz123', pmid: null });
+});
+
+test('resolved works carry their metadata and evidence level', async () => {
+  process.env.SCHOLARLY_RESOLVERS = 'fixture';
+
+  const [nejm, pubmed] = await enrichWithScholarlyMetadata([
+    { title: 'BNT162b2 vaccine', link: 'https://www.nejm.org/doi/full/10.1056/NEJMoa2034577', domain: 'nejm.org', snippet: 'A placebo-controlled trial.' },
+    { title: 'PubMed entry', link: 'https://pubmed.ncbi.nlm.nih.gov/33301246/', domain: 'pubmed.ncbi.nlm.nih.gov', snippet: '' },
+  ]);
+
+  assert.equal(nejm.scholarly.resolved, true);
+  assert.equal(nejm.scholarly.resolver, 'fixture');
+  assert.equal(nejm.scholarly.evidenceLevel, 'rct');
+  assert.equal(nejm.scholarly.peerReviewed, true);
+  assert.equal(pubmed.scholarly.doi, '10.1056/nejmoa2034577');
+  assert.equal(pubmed.scholarly.journal, 'New England Journal of Medicine');
+});
+
+test('unresolved arXiv papers are still scholarly preprints', async () => {
+  process.env.SCHOLARLY_RESOLVERS = 'counting-failure';
+
+  const [arxiv] = await enrichWithScholarlyMetadata([
+    { title: 'Scaling Laws for Neural Language Models', link: 'https://arxiv.org/abs/2001.08362', domain: 'arxiv.org', snippet: 'A meta-analysis of training runs.' },
+  ]);
+
+  assert.deepEqual(requested, [{ doi: '10.48550/arxiv.2001.08362', pmid: null }]);
+  assert.equal(arxiv.scholarly.resolved, false);
+  assert.equal(arxiv.scholarly.doi, '10.48550/arxiv.2001.08362');
+  assert.equal(arxiv.scholarly.type, 'preprint');
+  assert.equal(arxiv.scholarly.peerReviewed, false);
+  assert.equal(arxiv.scholarly.evidenceLevel, 'preprint');
+
+  // The miss is cached, so the same paper is not looked up again
+  await enrichWithScholarlyMetadata([{ title: 'Again', link: 'https://arxiv.org/abs/2001.08362', domain: 'arxiv.org' }]);
+  assert.equal(requested.length, 1);
+});
+
+test('retracted works rank last and are counted separately', async () => {
+  process.env.SCHOLARLY_RESOLVERS = 'fixture';
+
+  const results = await enrichWithScholarlyMetadata([
+    { title: 'Salt study', link: 'https://doi.org/10.1000/salt_2021.001', domain: 'doi.org', snippet: 'A cohort study.' },
+    { title: 'Blog', link: 'https://example.com/salt', domain: 'example.com', snippet: '' },
+    { title: 'Vaccine trial', link: 'https://doi.org/10.1056/nejmoa2034577', domain: 'doi.org', snippet: 'A randomized trial.' },
+  ]);
+
+  assert.deepEqual(rankByEvidence(results).map(result => result.title), ['Vaccine trial', 'Blog', 'Salt study']);
+  assert.deepEqual(summarizeEvidence(results), {
+    levels: { meta_analysis: 0, rct: 1, observational: 0, other: 0, preprint: 0 },
+    scholarly: 2,
+    resolved: 2,
+    retracted: 1,
+    nonScholarly: 1,
+  });
+});
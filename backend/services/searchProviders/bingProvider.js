@@ -0,0 +1,62 @@
+import axios from 'axios';
+import { buildSiteQuery, toProviderError } from './utils.js';
+
+/**
+ * Bing Web Search API provider
+ * Requires BING_SEARCH_API_KEY; BING_SEARCH_ENDPOINT overrides the default endpoint
+ */
+export function createBingProvider() {
+  const apiKey = process.env.BING_SEARCH_API_KEY;
+  const endpoint = process.env.BING_SEARCH_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+
+  if (!apiKey) {
+    throw new Error('Bing Search API credentials not configured');
+  }
+
+  return {
+    name: 'bing',
+
+    async search(query, { numResults = 10, sites = [], excludeSites = [], recentDays } = {}) {
+      try {
+        const response = await axios.get(endpoint, {
+          headers: { 'Ocp-Apim-Subscription-Key': apiKey },
+          params: {
+            q: buildSiteQuery(query, sites, excludeSites),
+            count: Math.min(numResults, 50),
+            safeSearch: 'Strict',
+            responseFilter: 'Webpages',
+            ...(recentDays && { freshness: freshnessRange(recentDays) }),
+          },
+          timeout: 10000,
+        });
+
+        const pages = response.data.webPages || {};
+
+        return {
+          items: (pages.value || []).map(page => ({
+            title: page.name,
+            link: page.url,
+            displayLink: page.displayUrl,
+            snippet: page.snippet,
+            publishedDate: page.datePublished || null,
+          })),
+          searchInformation: {
+            totalResults: pages.totalEstimatedMatches || 0,
+            searchTime: 0,
+          },
+        };
+      } catch (error) {
+        throw toProviderError('Bing', error);
+      }
+    },
+  };
+}
+
+/**
+ * Bing accepts an explicit date range for freshness
+ */
+function freshnessRange(days) {
+  const end = new Date();
+  const start = new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+  return `${start.toISOString().split('T')[0]}..${end.toISOString().split('T')[0]}`;
+}
@@ -0,0 +1,64 @@
+import axios from 'axios';
+import { buildSiteQuery, displayHost, stripHtml, toProviderError } from './utils.js';
+
+/**
+ * Brave Search API provider
+ * Requires BRAVE_SEARCH_API_KEY
+ */
+export function createBraveProvider() {
+  const apiKey = process.env.BRAVE_SEARCH_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('Brave Search API credentials not configured');
+  }
+
+  return {
+    name: 'brave',
+
+    async search(query, { numResults = 10, sites = [], excludeSites = [], recentDays } = {}) {
+      try {
+        const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
+          headers: {
+            'Accept': 'application/json',
+            'X-Subscription-Token': apiKey,
+          },
+          params: {
+            q: buildSiteQuery(query, sites, excludeSites),
+            count: Math.min(numResults, 20), // API maximum per request
+            safesearch: 'strict',
+            ...(recentDays && { freshness: freshnessBucket(recentDays) }),
+          },
+          timeout: 10000,
+        });
+
+        const results = response.data.web?.results || [];
+
+        return {
+          items: results.map(result => ({
+            title: stripHtml(result.title),
+            link: result.url,
+            displayLink: result.meta_url?.hostname || displayHost(result.url),
+            snippet: stripHtml(result.description),
+            publishedDate: result.page_age || null,
+          })),
+          searchInformation: {
+            totalResults: results.length,
+            searchTime: 0,
+          },
+        };
+      } catch (error) {
+        throw toProviderError('Brave', error);
+      }
+    },
+  };
+}
+
+/**
+ * Brave only supports fixed freshness windows
+ */
+function freshnessBucket(days) {
+  if (days <= 1) return 'pd';
+  if (days <= 7) return 'pw';
+  if (days <= 31) return 'pm';
+  return 'py';
+}
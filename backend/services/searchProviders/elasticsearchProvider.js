@@ -0,0 +1,97 @@
+import axios from 'axios';
+import { displayHost, stripHtml, toProviderError } from './utils.js';
+
+/**
+ * Self-hosted Elasticsearch index provider
+ * Requires ELASTICSEARCH_URL; ELASTICSEARCH_INDEX defaults to "documents".
+ * Documents are expected to have title, url, domain (keyword), content,
+ * and optionally published_date and author fields.
+ */
+export function createElasticsearchProvider() {
+  const baseUrl = process.env.ELASTICSEARCH_URL;
+  const index = process.env.ELASTICSEARCH_INDEX || 'documents';
+  const apiKey = process.env.ELASTICSEARCH_API_KEY;
+
+  if (!baseUrl) {
+    throw new Error('Elasticsearch URL not configured');
+  }
+
+  return {
+    name: 'elasticsearch',
+
+    async search(query, { numResults = 10, sites = [], excludeSites = [], recentDays } = {}) {
+      const filter = [];
+
+      if (sites.length > 0) {
+        filter.push({
+          bool: {
+            should: sites.map(domainClause),
+            minimum_should_match: 1,
+          },
+        });
+      }
+
+      const mustNot = excludeSites.map(domainClause);
+
+      if (recentDays) {
+        filter.push({ range: { published_date: { gte: `now-${recentDays}d/d` } } });
+      }
+
+      try {
+        const response = await axios.post(
+          `${baseUrl.replace(/\/$/, '')}/${index}/_search`,
+          {
+            size: numResults,
+            query: {
+              bool: {
+                must: {
+                  multi_match: {
+                    query,
+                    fields: ['title^2', 'content'],
+                  },
+                },
+                filter,
+                must_not: mustNot,
+              },
+            },
+            highlight: {
+              fields: { content: { fragment_size: 200, number_of_fragments: 1 } },
+            },
+          },
+          {
+            headers: apiKey ? { 'Authorization': `ApiKey ${apiKey}` } : {},
+            timeout: 10000,
+          }
+        );
+
+        const hits = response.data.hits?.hits || [];
+
+        return {
+          items: hits.map(hit => ({
+            title: hit._source.title,
+            link: hit._source.url,
+            displayLink: hit._source.domain || displayHost(hit._source.url),
+            snippet: stripHtml(hit.highlight?.content?.[0] || (hit._source.content || '').substring(0, 200)),
+            publishedDate: hit._source.published_date || null,
+            author: hit._source.author,
+          })),
+          searchInformation: {
+            totalResults: response.data.hits?.total?.value || hits.length,
+            searchTime: (response.data.took || 0) / 1000,
+          },
+        };
+      } catch (error) {
+        throw toProviderError('Elasticsearch', error);
+      }
+    },
+  };
+}
+
+/**
+ * Match a domain pattern against the indexed domain field
+ */
+function domainClause(site) {
+  return site.includes('*')
+    ? { wildcard: { domain: site } }
+    : { term: { domain: site } };
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'fixture-search-provider' },
+});
+
+const DEFAULT_FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../fixtures/search'
+);
+
+/**
+ * Offline provider that replays recorded search results from JSON files.
+ * SEARCH_FIXTURES_DIR overrides the default backend/fixtures/search directory.
+ */
+export function createFixtureProvider() {
+  const dir = getFixturesDir();
+
+  return {
+    name: 'fixture',
+
+    async search(query, options = {}) {
+      const file = path.join(dir, fixtureFileName(query, options));
+
+      try {
+        const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+        const items = fixture.results.items || [];
+
+        return {
+          ...fixture.results,
+          items: items.slice(0, options.numResults || items.length),
+        };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+
+        logger.warn('No search fixture recorded for query', {
+          query: query.substring(0, 50),
+          file,
+        });
+        return { items: [], searchInformation: { totalResults: 0, searchTime: 0 } };
+      }
+    },
+  };
+}
+
+/**
+ * Wrap a live provider so every response is also written as a fixture
+ */
+export function withFixtureRecording(provider) {
+  const dir = getFixturesDir();
+
+  return {
+    name: provider.name,
+
+    async search(query, options = {}) {
+      const results = await provider.search(query, options);
+
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(dir, fixtureFileName(query, options)),
+          JSON.stringify({
+            query,
+            sites: options.sites || [],
+            excludeSites: options.excludeSites || [],
+            recentDays: options.recentDays || null,
+            provider: provider.name,
+            recordedAt: new Date().toISOString(),
+            results,
+          }, null, 2)
+        );
+      } catch (error) {
+        // Recording is best effort and must never break a live search
+        logger.error('Failed to record search fixture', { error: error.message });
+      }
+
+      return results;
+    },
+  };
+}
+
+function getFixturesDir() {
+  return process.env.SEARCH_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Fixture files are keyed by a readable slug plus a hash of the query and its restrictions
+ */
+function fixtureFileName(query, { sites = [], excludeSites = [], recentDays = null } = {}) {
+  const slug = query
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60);
+
+  const hash = crypto
+    .createHash('sha1')
+    // Exclusions only join the key when present so existing fixtures keep their names
+    .update(JSON.stringify({
+      query: query.trim().toLowerCase(),
+      sites,
+      ...(excludeSites.length > 0 && { excludeSites }),
+      recentDays,
+    }))
+    .digest('hex')
+    .substring(0, 10);
+
+  return `${slug || 'query'}-${hash}.json`;
+}
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { buildSiteQuery, toProviderError } from './utils.js';
+
+/**
+ * Google Custom Search JSON API provider
+ * Requires GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID
+ */
+export function createGoogleProvider() {
+  const apiKey = process.env.GOOGLE_SEARCH_API_KEY;
+  const searchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID;
+
+  if (!apiKey || !searchEngineId) {
+    throw new Error('Google Search API credentials not configured');
+  }
+
+  return {
+    name: 'google',
+
+    async search(query, { numResults = 10, sites = [], excludeSites = [], recentDays } = {}) {
+      try {
+        const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
+          params: {
+            key: apiKey,
+            cx: searchEngineId,
+            q: buildSiteQuery(query, sites, excludeSites),
+            num: Math.min(numResults, 10), // API maximum per request
+            safe: 'active',
+            ...(recentDays && { dateRestrict: `d${recentDays}` }),
+          },
+          timeout: 10000,
+        });
+
+        // Google results are already in the shape processSearchResults expects
+        return response.data;
+      } catch (error) {
+        throw toProviderError('Google', error);
+      }
+    },
+  };
+}
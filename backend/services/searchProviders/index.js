@@ -0,0 +1,109 @@
+import winston from 'winston';
+import { createGoogleProvider } from './googleProvider.js';
+import { createBingProvider } from './bingProvider.js';
+import { createBraveProvider } from './braveProvider.js';
+import { createSearxngProvider } from './searxngProvider.js';
+import { createElasticsearchProvider } from './elasticsearchProvider.js';
+import { createFixtureProvider, withFixtureRecording } from './fixtureProvider.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'search-providers' },
+});
+
+/**
+ * A search provider turns a query into raw results that processSearchResults can enrich.
+ *
+ * search(query, options) resolves to:
+ *   {
+ *     items: [{ title, link, displayLink, snippet, publishedDate?, author?, pagemap? }],
+ *     searchInformation: { totalResults, searchTime },
+ *   }
+ *
+ * Options:
+ *   numResults   - maximum number of items to return
+ *   sites        - domain patterns to restrict to (e.g. '*.gov', 'nature.com')
+ *   excludeSites - domain patterns to leave out
+ *   recentDays   - only return results published within this many days
+ *
+ * @typedef {Object} SearchProvider
+ * @property {string} name
+ * @property {Function} search
+ */
+
+// Provider factories, constructed lazily so unused providers need no configuration
+const factories = new Map([
+  ['google', createGoogleProvider],
+  ['bing', createBingProvider],
+  ['brave', createBraveProvider],
+  ['searxng', createSearxngProvider],
+  ['elasticsearch', createElasticsearchProvider],
+  ['fixture', createFixtureProvider],
+]);
+
+const instances = new Map();
+
+/**
+ * Register a custom search provider
+ * @param {string} name - Provider name used in SEARCH_PROVIDER or per-request selection
+ * @param {Function} factory - Returns a SearchProvider
+ */
+export function registerSearchProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * List registered provider names
+ */
+export function listSearchProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * Name of the provider configured for this deployment
+ */
+export function getDefaultSearchProviderName() {
+  return process.env.SEARCH_PROVIDER || 'google';
+}
+
+/**
+ * Providers a request may select explicitly (SEARCH_PROVIDERS_ENABLED, comma separated)
+ */
+export function getEnabledSearchProviders() {
+  const enabled = (process.env.SEARCH_PROVIDERS_ENABLED || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => factories.has(name));
+
+  return [...new Set([getDefaultSearchProviderName(), ...enabled])];
+}
+
+/**
+ * Get a search provider instance
+ * @param {string} name - Provider name (defaults to the deployment's provider)
+ * @returns {SearchProvider} Provider instance
+ */
+export function getSearchProvider(name = getDefaultSearchProviderName()) {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown search provider: ${name}`);
+  }
+
+  let provider = factory();
+
+  // Record live results so the pipeline can be replayed offline with the fixture provider
+  if (process.env.SEARCH_RECORD_FIXTURES === 'true' && name !== 'fixture') {
+    provider = withFixtureRecording(provider);
+  }
+
+  instances.set(name, provider);
+  logger.info('Search provider initialized', { provider: name });
+
+  return provider;
+}
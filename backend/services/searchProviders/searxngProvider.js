@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { buildSiteQuery, displayHost, toProviderError } from './utils.js';
+
+/**
+ * SearXNG metasearch provider (self-hosted, JSON output must be enabled)
+ * Requires SEARXNG_URL
+ */
+export function createSearxngProvider() {
+  const baseUrl = process.env.SEARXNG_URL;
+
+  if (!baseUrl) {
+    throw new Error('SearXNG URL not configured');
+  }
+
+  return {
+    name: 'searxng',
+
+    async search(query, { numResults = 10, sites = [], excludeSites = [], recentDays } = {}) {
+      try {
+        const response = await axios.get(`${baseUrl.replace(/\/$/, '')}/search`, {
+          params: {
+            q: buildSiteQuery(query, sites, excludeSites),
+            format: 'json',
+            safesearch: 2,
+            ...(recentDays && { time_range: timeRange(recentDays) }),
+          },
+          timeout: 10000,
+        });
+
+        const results = (response.data.results || []).slice(0, numResults);
+
+        return {
+          items: results.map(result => ({
+            title: result.title,
+            link: result.url,
+            displayLink: displayHost(result.url),
+            snippet: result.content || '',
+            publishedDate: result.publishedDate || null,
+          })),
+          searchInformation: {
+            totalResults: response.data.number_of_results || results.length,
+            searchTime: 0,
+          },
+        };
+      } catch (error) {
+        throw toProviderError('SearXNG', error);
+      }
+    },
+  };
+}
+
+/**
+ * SearXNG only supports fixed time ranges
+ */
+function timeRange(days) {
+  if (days <= 1) return 'day';
+  if (days <= 7) return 'week';
+  if (days <= 31) return 'month';
+  return 'year';
+}
@@ -0,0 +1,50 @@
+/**
+ * Build a query string restricted to the given domain patterns using site: operators,
+ * leaving out excluded patterns with -site:
+ */
+export function buildSiteQuery(query, sites = [], excludeSites = []) {
+  const include = sites.length > 0
+    ? ` (${sites.map(site => `site:${site}`).join(' OR ')})`
+    : '';
+  const exclude = excludeSites.map(site => ` -site:${site}`).join('');
+
+  return `${query}${include}${exclude}`;
+}
+
+/**
+ * Get the display hostname for a URL
+ */
+export function displayHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Remove HTML tags and entities some providers include in snippets
+ */
+export function stripHtml(text = '') {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .trim();
+}
+
+/**
+ * Convert provider HTTP errors into the messages the search service reports
+ */
+export function toProviderError(providerName, error) {
+  if (error.response?.status === 429) {
+    return new Error('Search API rate limit exceeded. Please try again later.');
+  }
+  if (error.response?.status === 401 || error.response?.status === 403) {
+    return new Error(`${providerName} search credentials were rejected`);
+  }
+  return error;
+}
@@ -1,5 +1,8 @@
-import axios from 'axios';
 import winston from 'winston';
+import { getSearchProvider } from './searchProviders/index.js';
+import { enrichWithPassages, isPageFetchEnabled } from './pageContentService.js';
+import { getReputationRegistry } from './domainReputationService.js';
+import { getSourcePolicy, applySourcePolicy, describeSourcePolicy } from './sourcePolicyService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -7,74 +10,77 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'search-service' },
 });
 
-// Trusted domains to prioritize in searches
-const TRUSTED_DOMAINS = [
-  // Government
-  'site:*.gov',
-  'site:*.gov.uk',
-  'site:*.gov.ca',
-  'site:*.gov.au',
-  
-  // Academic
-  'site:*.edu',
-  'site:*.ac.uk',
-  'site:nature.com',
-  'site:science.org',
-  'site:sciencedirect.com',
-  'site:pubmed.ncbi.nlm.nih.gov',
-  'site:scholar.google.com',
-  
-  // International organizations
-  'site:who.int',
-  'site:un.org',
-  'site:worldbank.org',
-  
-  // Reputable news
-  'site:reuters.com',
-  'site:apnews.com',
-  'site:bbc.com',
-  'site:npr.org',
-  'site:pbs.org',
-  
-  // Fact-checking
-  'site:snopes.com',
-  'site:factcheck.org',
-];
+// How each planned sub-query route is searched
+const ROUTE_SEARCHES = {
+  general: (query, options) => performWebSearch(query, 10, options),
+  academic: (query, options) => searchAcademicSources(query, options),
+  government: (query, options) => searchGovernmentSources(query, options),
+  fact_check: (query, options) => searchFactCheckers(query, options),
+};
 
 /**
- * Perform web search using Google Custom Search API
+ * Perform web search using the configured search provider
  * @param {string} query - Search query
- * @param {number} numResults - Number of results to return (max 10 per request)
+ * @param {number} numResults - Number of results to return
+ * @param {Object} options - Search options
+ * @param {string} options.provider - Search provider name (defaults to SEARCH_PROVIDER)
+ * @param {boolean} options.fetchPages - Fetch result pages for passages (defaults to PAGE_FETCH_ENABLED)
+ * @param {string} options.teamId - Team whose domain reputation overrides and source policy apply (optional)
  * @returns {Object} Search results with metadata
  */
-export async function performWebSearch(query, numResults = 10) {
+export async function performWebSearch(query, numResults = 10, options = {}) {
   try {
-    const apiKey = process.env.GOOGLE_SEARCH_API_KEY;
-    const searchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID;
-    
-    if (!apiKey || !searchEngineId) {
-      throw new Error('Google Search API credentials not configured');
-    }
+    const provider = getSearchProvider(options.provider);
+    const registry = await getReputationRegistry(options.teamId);
+    const policy = await getSourcePolicy(options.teamId);
     
     // First, try searching trusted domains
-    const trustedResults = await searchTrustedDomains(query, apiKey, searchEngineId);
+    const trusted = filterBySourcePolicy(
+      await searchTrustedDomains(query, provider, registry, policy),
+      policy
+    );
+    const trustedResults = trusted.searchData;
+    let excluded = trusted.excluded;
     
-    // If we have enough trusted results, return them
+    let search;
+    
+    // If we have enough trusted results, use them
     if (trustedResults.items && trustedResults.items.length >= numResults * 0.7) {
       logger.info('Sufficient trusted domain results found', { 
         query: query.substring(0, 50),
+        provider: provider.name,
         count: trustedResults.items.length 
       });
-      return processSearchResults(trustedResults, 'trusted');
+      search = processSearchResults(trustedResults, 'trusted', provider.name, registry);
+    } else {
+      // Otherwise, perform general search
+      const general = filterBySourcePolicy(
+        await performGeneralSearch(query, provider, numResults, policy),
+        policy
+      );
+      excluded += general.excluded;
+      
+      // Combine results, prioritizing trusted sources
+      const combinedResults = combineResults(trustedResults, general.searchData, numResults);
+      
+      search = processSearchResults(combinedResults, 'mixed', provider.name, registry);
     }
     
-    // Otherwise, perform general search
-    const generalResults = await performGeneralSearch(query, apiKey, searchEngineId, numResults);
+    // Record the team policy that shaped these results
+    if (policy) {
+      search.metadata.sourcePolicy = describeSourcePolicy(policy, excluded);
+    }
     
-    // Combine results, prioritizing trusted sources
-    const combinedResults = combineResults(trustedResults, generalResults, numResults);
+    // Optionally read the full pages behind the top results
+    if (options.fetchPages ?? isPageFetchEnabled()) {
+      const { results, stats } = await enrichWithPassages(search.results, query);
+      search = {
+        results,
+        metadata: { ...search.metadata, pageFetch: stats },
+      };
+    }
     
-    return processSearchResults(combinedResults, 'mixed');
+    return search;
     
   } catch (error) {
     logger.error('Search error', { 
@@ -86,28 +92,117 @@ export async function performWebSearch(query, numResults = 10) {
 }
 
 /**
- * Search only trusted domains
+ * Run each sub-query of a plan in parallel on its route, then merge the results
+ * round-robin so every sub-query contributes, dropping pages found more than once
+ * @param {string} question - Standalone question, used to pick passages when pages are fetched
+ * @param {Object} plan - Plan from planQueries
+ * @param {number} numResults - Number of merged results to return
+ * @param {Object} options - Same as performWebSearch
+ * @returns {Object} Search results with metadata, including the plan and what each query found
+ */
+export async function performPlannedSearch(question, plan, numResults = 10, options = {}) {
+  // Pages are fetched once for the merged results rather than per sub-query
+  const subOptions = { ...options, fetchPages: false };
+
+  const settled = await Promise.allSettled(
+    plan.queries.map(entry => ROUTE_SEARCHES[entry.route](entry.query, subOptions))
+  );
+
+  const succeeded = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+  if (succeeded.length === 0) {
+    throw settled[0].reason;
+  }
+
+  const lists = settled.map(outcome => (outcome.status === 'fulfilled' ? outcome.value.results : []));
+  const byUrl = new Map();
+  const results = [];
+
+  for (let rank = 0; lists.some(list => rank < list.length); rank++) {
+    lists.forEach((list, index) => {
+      const result = list[rank];
+      if (!result) {
+        return;
+      }
+
+      const key = normalizeUrl(result.link);
+      if (byUrl.has(key)) {
+        const existing = byUrl.get(key);
+        if (!existing.planQueries.includes(index)) {
+          existing.planQueries.push(index);
+        }
+      } else if (results.length < numResults) {
+        const merged = { ...result, position: results.length + 1, planQueries: [index] };
+        byUrl.set(key, merged);
+        results.push(merged);
+      }
+    });
+  }
+
+  let search = {
+    success: results.length > 0,
+    results,
+    metadata: {
+      ...succeeded[0].metadata,
+      totalResults: succeeded.reduce((sum, entry) => sum + (entry.metadata.totalResults || 0), 0),
+      searchTime: Math.max(...succeeded.map(entry => entry.metadata.searchTime || 0)),
+      sourceType: plan.queries.length > 1 ? 'planned' : succeeded[0].metadata.sourceType,
+      plan: {
+        method: plan.method,
+        queries: plan.queries.map((entry, index) => ({
+          ...entry,
+          found: lists[index].length,
+          used: results.filter(result => result.planQueries.includes(index)).length,
+          error: settled[index].status === 'rejected' ? settled[index].reason.message : null,
+        })),
+      },
+    },
+  };
+
+  const failed = settled.filter(outcome => outcome.status === 'rejected');
+  if (failed.length > 0) {
+    logger.warn('Some planned searches failed', {
+      question: question.substring(0, 50),
+      failed: failed.length,
+      total: settled.length,
+    });
+  }
+
+  if (options.fetchPages ?? isPageFetchEnabled()) {
+    const { results: enriched, stats } = await enrichWithPassages(search.results, question);
+    search = {
+      ...search,
+      results: enriched,
+      metadata: { ...search.metadata, pageFetch: stats },
+    };
+  }
+
+  return search;
+}
+
+/**
+ * Search only trusted domains: the team's allowlist when it has one, otherwise
+ * its boosted domains followed by the registry's trusted domains
  */
-async function searchTrustedDomains(query, apiKey, searchEngineId) {
-  // Build query with trusted domain restrictions
-  const domainQuery = `${query} (${TRUSTED_DOMAINS.slice(0, 5).join(' OR ')})`;
+async function searchTrustedDomains(query, provider, registry, policy) {
+  let sites;
+  if (policy?.allow.length > 0) {
+    sites = policy.allow;
+  } else {
+    const boosted = policy ? policy.boost.map(entry => entry.domain) : [];
+    const trusted = registry.trustedDomains().filter(domain => !policy?.block.includes(domain));
+    sites = [...new Set([...boosted, ...trusted])].slice(0, 5);
+  }
   
   try {
-    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-      params: {
-        key: apiKey,
-        cx: searchEngineId,
-        q: domainQuery,
-        num: 10,
-        safe: 'active',
-        dateRestrict: 'd365', // Prefer results from last year
-      },
-      timeout: 10000,
+    return await provider.search(query, {
+      numResults: 10,
+      sites,
+      excludeSites: policy?.block || [],
+      recentDays: 365, // Prefer results from last year
     });
-    
-    return response.data;
   } catch (error) {
     logger.warn('Trusted domain search failed, falling back to general search', {
+      provider: provider.name,
       error: error.message
     });
     return { items: [] };
@@ -115,28 +210,26 @@ async function searchTrustedDomains(query, apiKey, searchEngineId) {
 }
 
 /**
- * Perform general web search
+ * Perform general web search, kept within the team's allowlist and away from its blocklist
  */
-async function performGeneralSearch(query, apiKey, searchEngineId, numResults) {
-  try {
-    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-      params: {
-        key: apiKey,
-        cx: searchEngineId,
-        q: query,
-        num: numResults,
-        safe: 'active',
-      },
-      timeout: 10000,
-    });
-    
-    return response.data;
-  } catch (error) {
-    if (error.response?.status === 429) {
-      throw new Error('Search API rate limit exceeded. Please try again later.');
-    }
-    throw error;
-  }
+async function performGeneralSearch(query, provider, numResults, policy) {
+  return provider.search(query, {
+    numResults,
+    sites: policy?.allow || [],
+    excludeSites: policy?.block || [],
+  });
+}
+
+/**
+ * Drop raw results the team's policy excludes; providers cannot express every
+ * rule (e.g. -site: with wildcards), so results are always checked here too
+ */
+function filterBySourcePolicy(searchData, policy) {
+  const { results: items, excluded } = applySourcePolicy(searchData.items || [], policy);
+  return {
+    searchData: { ...searchData, items },
+    excluded,
+  };
 }
 
 /**
@@ -169,7 +262,7 @@ function combineResults(trustedResults, generalResults, maxResults) {
 /**
  * Process and enrich search results
  */
-function processSearchResults(searchData, sourceType) {
+function processSearchResults(searchData, sourceType, provider, registry) {
   if (!searchData.items || searchData.items.length === 0) {
     return {
       success: false,
@@ -178,6 +271,7 @@ function processSearchResults(searchData, sourceType) {
         totalResults: 0,
         searchTime: 0,
         sourceType,
+        provider,
       },
     };
   }
@@ -185,8 +279,7 @@ function processSearchResults(searchData, sourceType) {
   // Process each result
   const processedResults = searchData.items.map((item, index) => {
     const domain = extractDomain(item.link);
-    const quality = assessSourceQuality(domain);
-    const sourceType = categorizeSource(domain);
+    const reputation = registry.lookup(domain);
     
     return {
       position: index + 1,
@@ -195,12 +288,13 @@ function processSearchResults(searchData, sourceType) {
       displayLink: item.displayLink,
       snippet: item.snippet,
       domain: domain,
-      quality: quality,
-      sourceType: sourceType,
+      quality: reputation.quality,
+      sourceType: reputation.category,
+      reputationScore: reputation.score,
       metadata: {
         ogDescription: item.pagemap?.metatags?.[0]?.['og:description'],
         publishedDate: extractPublishDate(item),
-        author: item.pagemap?.metatags?.[0]?.author,
+        author: item.author || item.pagemap?.metatags?.[0]?.author,
       },
     };
   });
@@ -212,86 +306,34 @@ function processSearchResults(searchData, sourceType) {
       totalResults: parseInt(searchData.searchInformation?.totalResults || 0),
       searchTime: parseFloat(searchData.searchInformation?.searchTime || 0),
       sourceType,
+      provider,
       query: searchData.queries?.request?.[0]?.searchTerms,
     },
   };
 }
 
 /**
- * Extract domain from URL
+ * Key for spotting the same page reached through different queries
  */
-function extractDomain(url) {
+function normalizeUrl(url) {
   try {
     const urlObj = new URL(url);
-    return urlObj.hostname.replace('www.', '');
+    return `${urlObj.hostname.replace(/^www\./, '')}${urlObj.pathname.replace(/\/$/, '')}${urlObj.search}`;
   } catch {
     return url;
   }
 }
 
 /**
- * Assess quality level of a source
- */
-function assessSourceQuality(domain) {
-  // Check government sources
-  if (domain.endsWith('.gov') || domain.endsWith('.gov.uk')) {
-    return 'high';
-  }
-  
-  // Check academic sources
-  if (domain.endsWith('.edu') || domain.endsWith('.ac.uk') || 
-      ['nature.com', 'science.org', 'pubmed.ncbi.nlm.nih.gov'].includes(domain)) {
-    return 'high';
-  }
-  
-  // Check reputable news/orgs
-  const reputableDomains = [
-    'who.int', 'un.org', 'reuters.com', 'apnews.com', 'bbc.com',
-    'npr.org', 'pbs.org', 'snopes.com', 'factcheck.org', 'britannica.com'
-  ];
-  if (reputableDomains.some(d => domain.includes(d))) {
-    return 'high';
-  }
-  
-  // Check medium quality sources
-  const mediumDomains = [
-    'wikipedia.org', 'nytimes.com', 'washingtonpost.com', 'theguardian.com',
-    'economist.com', 'scientificamerican.com', 'technologyreview.com'
-  ];
-  if (mediumDomains.some(d => domain.includes(d))) {
-    return 'medium';
-  }
-  
-  // Everything else is limited quality
-  return 'limited';
-}
-
-/**
- * Categorize the type of source
+ * Extract domain from URL
  */
-function categorizeSource(domain) {
-  if (domain.endsWith('.gov') || domain.endsWith('.gov.uk')) return 'government';
-  if (domain.endsWith('.edu') || domain.endsWith('.ac.uk')) return 'academic';
-  if (['who.int', 'un.org', 'worldbank.org', 'imf.org'].some(d => domain.includes(d))) {
-    return 'international_org';
-  }
-  if (['nature.com', 'science.org', 'pubmed.ncbi.nlm.nih.gov', 'sciencedirect.com'].some(d => domain.includes(d))) {
-    return 'scientific_journal';
-  }
-  if (['reuters.com', 'apnews.com', 'bbc.com', 'npr.org'].some(d => domain.includes(d))) {
-    return 'news_agency';
-  }
-  if (['snopes.com', 'factcheck.org', 'politifact.com'].some(d => domain.includes(d))) {
-    return 'fact_checker';
-  }
-  if (['wikipedia.org', 'britannica.com'].some(d => domain.includes(d))) {
-    return 'encyclopedia';
-  }
-  if (domain.includes('blog') || domain.includes('medium.com') || domain.includes('substack.com')) {
-    return 'blog';
+function extractDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname.replace('www.', '');
+  } catch {
+    return url;
   }
-  
-  return 'website';
 }
 
 /**
@@ -300,6 +342,7 @@ function categorizeSource(domain) {
 function extractPublishDate(item) {
   // Try multiple sources for date
   const sources = [
+    item.publishedDate,
     item.pagemap?.metatags?.[0]?.['article:published_time'],
     item.pagemap?.metatags?.[0]?.['published_time'],
     item.pagemap?.metatags?.[0]?.['publication_date'],
@@ -332,17 +375,17 @@ function extractPublishDate(item) {
 /**
  * Search for specific types of content
  */
-export async function searchAcademicSources(query) {
+export async function searchAcademicSources(query, options = {}) {
   const academicQuery = `${query} site:scholar.google.com OR site:pubmed.ncbi.nlm.nih.gov OR site:arxiv.org OR filetype:pdf`;
-  return performWebSearch(academicQuery, 10);
+  return performWebSearch(academicQuery, 10, options);
 }
 
-export async function searchGovernmentSources(query) {
+export async function searchGovernmentSources(query, options = {}) {
   const govQuery = `${query} site:*.gov OR site:*.gov.uk OR site:who.int`;
-  return performWebSearch(govQuery, 10);
+  return performWebSearch(govQuery, 10, options);
 }
 
-export async function searchFactCheckers(query) {
-  const factCheckQuery = `${query} site:snopes.com OR site:factcheck.org OR site:politifact.com`;
-  return performWebSearch(factCheckQuery, 5);
+export async function searchFactCheckers(query, options = {}) {
+  const factCheckQuery = `${query} site:snopes.com OR site:factcheck.org OR site:politifact.com OR site:fullfact.org OR site:factcheck.afp.com`;
+  return performWebSearch(factCheckQuery, 5, options);
 }
\ No newline at end of file
@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { getConversation } from './conversationService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'share-service' },
+});
+
+// Tokens are 32 URL-safe characters (24 random bytes)
+export const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Metadata the shared page needs; search internals and memory stay private
+const SHARED_METADATA_KEYS = ['claimSummary', 'factCheck', 'evidence', 'mode'];
+
+const SHARE_FIELDS = 'id, token, conversation_id, title, expires_at, revoked_at, view_count, created_at';
+
+/**
+ * Create a public link to a snapshot of a conversation. Messages are copied
+ * now, so anything added or changed later does not appear on the link.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Owner's user ID
+ * @param {Object} options - { expiresInDays } (omit for a link that never expires)
+ * @returns {Object} Share without its snapshot
+ */
+export async function createShare(conversationId, userId, { expiresInDays = null } = {}) {
+  try {
+    const conversation = await getConversation(conversationId, userId);
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.messages.length === 0) {
+      throw new Error('Conversation has no messages');
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { data: share, error } = await getSupabase()
+      .from('shared_conversations')
+      .insert({
+        token: crypto.randomBytes(24).toString('base64url'),
+        conversation_id: conversationId,
+        user_id: userId,
+        title: conversation.title,
+        snapshot: buildSnapshot(conversation),
+        expires_at: expiresAt,
+      })
+      .select(SHARE_FIELDS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Conversation shared', { conversationId, userId, shareId: share.id, expiresAt });
+    return share;
+
+  } catch (error) {
+    logger.error('Error sharing conversation', { error: error.message, conversationId, userId });
+    throw error;
+  }
+}
+
+/**
+ * List the links created for a conversation, newest first, including expired and revoked ones
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Owner's user ID
+ * @returns {Array} Shares without their snapshots
+ */
+export async function listShares(conversationId, userId) {
+  const { data, error } = await getSupabase()
+    .from('shared_conversations')
+    .select(SHARE_FIELDS)
+    .eq('conversation_id', conversationId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error('Error listing shares', { error: error.message, conversationId });
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Revoke a link so it stops working; the row is kept so the owner can see it was shared
+ * @param {string} shareId - Share ID
+ * @param {string} userId - Owner's user ID
+ * @returns {Object} Revoked share
+ */
+export async function revokeShare(shareId, userId) {
+  const { data: share, error } = await getSupabase()
+    .from('shared_conversations')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', shareId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select(SHARE_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error revoking share', { error: error.message, shareId });
+    throw error;
+  }
+
+  if (!share) {
+    throw new Error('Share not found');
+  }
+
+  logger.info('Share revoked', { shareId, userId });
+  return share;
+}
+
+/**
+ * Read a shared snapshot by its token
+ * @param {string} token - Share token
+ * @param {Object} options - { countView } (false for link preview crawlers)
+ * @returns {Object} { title, sharedAt, expiresAt, messages }
+ */
+export async function getSharedConversation(token, { countView = true } = {}) {
+  if (!SHARE_TOKEN_PATTERN.test(token)) {
+    throw new Error('Share not found');
+  }
+
+  const { data: share, error } = await getSupabase()
+    .from('shared_conversations')
+    .select('id, title, snapshot, expires_at, revoked_at, view_count, created_at')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error reading share', { error: error.message });
+    throw error;
+  }
+
+  if (!share) {
+    throw new Error('Share not found');
+  }
+  if (share.revoked_at) {
+    throw new Error('Share revoked');
+  }
+  if (share.expires_at && new Date(share.expires_at) <= new Date()) {
+    throw new Error('Share expired');
+  }
+
+  if (countView) {
+    // A lost update only undercounts views, so this is not worth a round trip in SQL
+    getSupabase()
+      .from('shared_conversations')
+      .update({ view_count: (share.view_count || 0) + 1 })
+      .eq('id', share.id)
+      .then(({ error: countError }) => {
+        if (countError) {
+          logger.warn('Failed to count share view', { shareId: share.id, error: countError.message });
+        }
+      });
+  }
+
+  return {
+    title: share.title || 'Shared conversation',
+    sharedAt: share.created_at,
+    expiresAt: share.expires_at,
+    messages: share.snapshot.messages,
+  };
+}
+
+/**
+ * A small HTML page carrying Open Graph and Twitter card tags for a shared
+ * conversation, for link previews in chat apps and social networks (their
+ * crawlers do not run the frontend's JavaScript). Browsers are sent on to the
+ * shared page in the frontend.
+ * @param {Object} shared - Result of getSharedConversation
+ * @param {Object} urls - { pageUrl, previewUrl }
+ * @returns {string} HTML
+ */
+export function renderSharePreview(shared, { pageUrl, previewUrl }) {
+  const title = escapeHtml(`${shared.title} - honestGPT`);
+  const description = escapeHtml(describeSharedConversation(shared));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<meta name="description" content="${description}">
+<meta property="og:type" content="article">
+<meta property="og:site_name" content="honestGPT">
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${description}">
+<meta property="og:url" content="${escapeHtml(previewUrl)}">
+<meta name="twitter:card" content="summary">
+<meta name="twitter:title" content="${title}">
+<meta name="twitter:description" content="${description}">
+<meta name="robots" content="noindex">
+<meta http-equiv="refresh" content="0; url=${escapeHtml(pageUrl)}">
+</head>
+<body>
+<p><a href="${escapeHtml(pageUrl)}">View this conversation on honestGPT</a></p>
+</body>
+</html>
+`;
+}
+
+// The first question and how confident the first answer was
+function describeSharedConversation(shared) {
+  const question = shared.messages.find(message => message.role === 'user');
+  const answer = shared.messages.find(message => message.role === 'assistant');
+
+  const parts = [];
+  if (question) {
+    parts.push(truncate(question.content, 140));
+  }
+  if (answer?.confidence_score !== null && answer?.confidence_score !== undefined) {
+    parts.push(`honestGPT answered with ${answer.confidence_score}% confidence from ${answer.sources?.length || 0} sources.`);
+  }
+  return parts.join(' ') || 'A conversation with honestGPT, with confidence scores and sources for every answer.';
+}
+
+function buildSnapshot(conversation) {
+  return {
+    messages: conversation.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      created_at: message.created_at,
+      ...(message.role === 'assistant' && {
+        confidence_score: message.confidence_score,
+        confidence_level: message.confidence_level,
+        confidence_factors: message.confidence_factors,
+        sources: message.sources || [],
+        claims: message.claims || [],
+        biases: message.biases || [],
+        controversies: message.controversies || [],
+        limitations: message.limitations || [],
+        metadata: Object.fromEntries(
+          SHARED_METADATA_KEYS
+            .filter(key => message.metadata?.[key] !== undefined)
+            .map(key => [key, message.metadata[key]])
+        ),
+      }),
+    })),
+  };
+}
+
+function truncate(text, length) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.substring(0, length - 1)}…` : clean;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { createShare, revokeShare, getSharedConversation, renderSharePreview } from './shareService.js';
+
+const OWNER_ID = 'owner-1';
+const CONVERSATION_ID = 'conversation-1';
+
+let db;
+
+beforeEach(() => {
+  db = createFakeDatabase({
+    conversations: [
+      { id: CONVERSATION_ID, user_id: OWNER_ID, title: 'Coffee and health' },
+      { id: 'conversation-empty', user_id: OWNER_ID, title: null },
+    ],
+    messages: [
+      { id: 'message-1', conversation_id: CONVERSATION_ID, role: 'user', content: 'Is coffee healthy?', created_at: '2024-05-01T10:00:00Z' },
+      {
+        id: 'message-2',
+        conversation_id: CONVERSATION_ID,
+        role: 'assistant',
+        content: 'In moderation, mostly yes.',
+        created_at: '2024-05-01T10:00:05Z',
+        confidence_score: 72,
+        confidence_level: 'medium',
+        sources: [{ title: 'Coffee review', url: 'https://example.org/coffee' }],
+        metadata: { mode: 'standard', searchQueries: ['coffee health'], memory: { summary: 'private' } },
+      },
+    ],
+    shared_conversations: [],
+  }).install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+test('createShare copies the conversation into a snapshot without private metadata', async () => {
+  const share = await createShare(CONVERSATION_ID, OWNER_ID, { expiresInDays: 7 });
+
+  assert.match(share.token, /^[A-Za-z0-9_-]{32}$/);
+  assert.equal(share.title, 'Coffee and health');
+  assert.equal(share.snapshot, undefined);
+  assert.ok(new Date(share.expires_at) > new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+
+  const [stored] = db.tables.shared_conversations;
+  assert.equal(stored.user_id, OWNER_ID);
+  assert.deepEqual(stored.snapshot.messages.map(message => message.role), ['user', 'assistant']);
+  assert.equal(stored.snapshot.messages[0].confidence_score, undefined);
+  assert.equal(stored.snapshot.messages[1].confidence_score, 72);
+  assert.deepEqual(stored.snapshot.messages[1].metadata, { mode: 'standard' });
+});
+
+test('messages added after sharing do not appear on the link', async () => {
+  const share = await createShare(CONVERSATION_ID, OWNER_ID);
+  db.tables.messages.push({ id: 'message-3', conversation_id: CONVERSATION_ID, role: 'user', content: 'Later question' });
+
+  const shared = await getSharedConversation(share.token, { countView: false });
+
+  assert.equal(shared.messages.length, 2);
+  assert.equal(shared.expiresAt, null);
+});
+
+test('createShare refuses other users\' and empty conversations', async () => {
+  await assert.rejects(createShare(CONVERSATION_ID, 'someone-else'), { message: 'Conversation not found' });
+  await assert.rejects(createShare('conversation-empty', OWNER_ID), { message: 'Conversation has no messages' });
+
+  assert.deepEqual(db.tables.shared_conversations, []);
+});
+
+test('a revoked share stops working and cannot be revoked again', async () => {
+  const share = await createShare(CONVERSATION_ID, OWNER_ID);
+
+  const revoked = await revokeShare(share.id, OWNER_ID);
+  assert.ok(revoked.revoked_at);
+
+  await assert.rejects(getSharedConversation(share.token, { countView: false }), { message: 'Share revoked' });
+  await assert.rejects(revokeShare(share.id, OWNER_ID), { message: 'Share not found' });
+});
+
+test('only the owner can revoke a share', async () => {
+  const share = await createShare(CONVERSATION_ID, OWNER_ID);
+
+  await assert.rejects(revokeShare(share.id, 'someone-else'), { message: 'Share not found' });
+  assert.equal(db.tables.shared_conversations[0].revoked_at, undefined);
+});
+
+test('expired, unknown and malformed tokens are refused', async () => {
+  const share = await createShare(CONVERSATION_ID, OWNER_ID, { expiresInDays: 1 });
+  db.tables.shared_conversations[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+  await assert.rejects(getSharedConversation(share.token, { countView: false }), { message: 'Share expired' });
+  await assert.rejects(getSharedConversation('A'.repeat(32), { countView: false }), { message: 'Share not found' });
+
+  const requests = db.requests.length;
+  await assert.rejects(getSharedConversation('../../etc', { countView: false }), { message: 'Share not found' });
+  assert.equal(db.requests.length, requests);
+});
+
+test('renderSharePreview escapes the title and question in its tags', () => {
+  const html = renderSharePreview({
+    title: '"><script>alert(1)</script>',
+    messages: [
+      { role: 'user', content: 'Is <b>this</b> & that "true"?' },
+      { role: 'assistant', confidence_score: 40, sources: [{}, {}] },
+    ],
+  }, {
+    pageUrl: 'https://honestgpt.example/share/abc"onload="x',
+    previewUrl: 'https://api.honestgpt.example/api/share/abc/preview',
+  });
+
+  assert.doesNotMatch(html, /<script>/);
+  assert.doesNotMatch(html, /<b>/);
+  assert.doesNotMatch(html, /"onload="/);
+  assert.match(html, /<title>&quot;&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt; - honestGPT<\/title>/);
+  assert.match(html, /content="Is &lt;b&gt;this&lt;\/b&gt; &amp; that &quot;true&quot;\? honestGPT answered with 40% confidence from 2 sources\."/);
+});
+
+test('renderSharePreview falls back to a generic description', () => {
+  const html = renderSharePreview({ title: 'Shared conversation', messages: [] }, { pageUrl: 'https://a', previewUrl: 'https://b' });
+
+  assert.match(html, /og:description" content="A conversation with honestGPT, with confidence scores and sources for every answer\."/);
+});
@@ -0,0 +1,218 @@
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { matchDomainRule } from './domainReputationService.js';
+import { hasTeamPermission } from './teamService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'source-policy-service' },
+});
+
+export const RULE_TYPES = ['allow', 'block', 'boost'];
+
+const DEFAULT_BOOST = 15;
+
+// Policies are read on every search, so they are cached briefly like the reputation registry
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const policyCache = new Map();
+
+/**
+ * Load a team's source policy
+ * @param {string} teamId - Team ID (optional)
+ * @returns {Object|null} { teamId, allow, block, boost } or null when the team has no rules
+ */
+export async function getSourcePolicy(teamId) {
+  if (!teamId) {
+    return null;
+  }
+
+  const cached = policyCache.get(teamId);
+  if (cached && Date.now() - cached.loadedAt < POLICY_CACHE_TTL_MS) {
+    return cached.policy;
+  }
+
+  try {
+    const { data: rules, error } = await getSupabase()
+      .from('team_source_rules')
+      .select('domain, rule_type, boost')
+      .eq('team_id', teamId);
+
+    if (error) {
+      throw error;
+    }
+
+    const policy = rules.length > 0 ? buildPolicy(teamId, rules) : null;
+    policyCache.set(teamId, { loadedAt: Date.now(), policy });
+    return policy;
+  } catch (error) {
+    // Keep the last known policy so a blocklist is not dropped on a transient error
+    logger.warn('Failed to load source policy', { teamId, error: error.message });
+    return cached?.policy || null;
+  }
+}
+
+/**
+ * Whether a policy lets a source be searched and used
+ */
+export function isSourceAllowed(policy, hostOrUrl) {
+  if (!policy) {
+    return true;
+  }
+
+  if (matchDomainRule(hostOrUrl, policy.block)) {
+    return false;
+  }
+
+  return policy.allow.length === 0 || Boolean(matchDomainRule(hostOrUrl, policy.allow));
+}
+
+/**
+ * Reputation points a policy adds to a source
+ */
+export function getSourceBoost(policy, hostOrUrl) {
+  if (!policy || policy.boost.length === 0) {
+    return 0;
+  }
+
+  const rule = matchDomainRule(hostOrUrl, policy.boost.map(entry => entry.domain));
+  return rule ? policy.boost.find(entry => entry.domain === rule).boost : 0;
+}
+
+/**
+ * Drop results the policy does not allow. Documents from the team's own knowledge
+ * base have no domain and are always kept.
+ * @returns {Object} { results, excluded } where excluded counts the dropped results
+ */
+export function applySourcePolicy(results, policy) {
+  if (!policy) {
+    return { results, excluded: 0 };
+  }
+
+  const allowed = results.filter(result =>
+    result.sourceType === 'internal_document' ||
+    isSourceAllowed(policy, result.link || result.url || '')
+  );
+  return { results: allowed, excluded: results.length - allowed.length };
+}
+
+/**
+ * Snapshot of the policy recorded with each answer so it can be audited later
+ */
+export function describeSourcePolicy(policy, excluded = 0) {
+  if (!policy) {
+    return null;
+  }
+
+  return {
+    teamId: policy.teamId,
+    allow: policy.allow,
+    block: policy.block,
+    boost: policy.boost,
+    excludedResults: excluded,
+  };
+}
+
+/**
+ * List a team's source rules
+ */
+export async function listSourceRules(teamId) {
+  const { data: rules, error } = await getSupabase()
+    .from('team_source_rules')
+    .select('id, domain, rule_type, boost, notes, created_at')
+    .eq('team_id', teamId)
+    .order('rule_type', { ascending: true })
+    .order('domain', { ascending: true });
+
+  if (error) {
+    logger.error('Error listing source rules', { error: error.message, teamId });
+    throw error;
+  }
+
+  return rules;
+}
+
+/**
+ * Add a rule to a team's source policy
+ */
+export async function createSourceRule(teamId, fields, userId) {
+  try {
+    const { data: rule, error } = await getSupabase()
+      .from('team_source_rules')
+      .insert({
+        team_id: teamId,
+        domain: fields.domain,
+        rule_type: fields.ruleType,
+        boost: fields.ruleType === 'boost' ? (fields.boost || DEFAULT_BOOST) : null,
+        notes: fields.notes || null,
+        created_by: userId,
+      })
+      .select('id, domain, rule_type, boost, notes, created_at')
+      .single();
+
+    if (error) {
+      // Unique violation on (team, domain)
+      if (error.code === '23505') {
+        throw new Error('Domain already has a rule in this policy');
+      }
+      throw error;
+    }
+
+    policyCache.delete(teamId);
+
+    logger.info('Source rule created', { teamId, domain: rule.domain, ruleType: rule.rule_type, userId });
+    return rule;
+
+  } catch (error) {
+    logger.error('Error creating source rule', { error: error.message, teamId });
+    throw error;
+  }
+}
+
+/**
+ * Remove a rule from a team's source policy
+ */
+export async function deleteSourceRule(teamId, ruleId, userId) {
+  try {
+    const { data, error } = await getSupabase()
+      .from('team_source_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('team_id', teamId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Source rule not found or access denied');
+    }
+
+    policyCache.delete(teamId);
+
+    logger.info('Source rule deleted', { teamId, ruleId, userId });
+
+  } catch (error) {
+    logger.error('Error deleting source rule', { error: error.message, teamId, ruleId });
+    throw error;
+  }
+}
+
+/**
+ * Whether a user may edit their team's source policy: the team owner, a team admin or a site admin
+ */
+export function canManageSourcePolicy(user) {
+  return hasTeamPermission(user, 'manage_source_policy');
+}
+
+function buildPolicy(teamId, rules) {
+  const byType = (type) => rules.filter(rule => rule.rule_type === type);
+
+  return {
+    teamId,
+    allow: byType('allow').map(rule => rule.domain),
+    block: byType('block').map(rule => rule.domain),
+    boost: byType('boost').map(rule => ({ domain: rule.domain, boost: rule.boost || DEFAULT_BOOST })),
+  };
+}
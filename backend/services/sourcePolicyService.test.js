@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import {
+  getSourcePolicy,
+  isSourceAllowed,
+  getSourceBoost,
+  applySourcePolicy,
+  describeSourcePolicy,
+} from './sourcePolicyService.js';
+
+function policy({ allow = [], block = [], boost = [] } = {}) {
+  return { teamId: 'team-1', allow, block, boost };
+}
+
+test('without a policy every source is allowed and unboosted', () => {
+  assert.equal(isSourceAllowed(null, 'https://example.com/a'), true);
+  assert.equal(getSourceBoost(null, 'https://example.com/a'), 0);
+  assert.deepEqual(applySourcePolicy([{ link: 'https://example.com' }], null), { results: [{ link: 'https://example.com' }], excluded: 0 });
+  assert.equal(describeSourcePolicy(null), null);
+});
+
+test('allow rules restrict sources to those domains and their subdomains', () => {
+  const allowOnly = policy({ allow: ['nature.com', '*.gov'] });
+
+  assert.equal(isSourceAllowed(allowOnly, 'https://www.nature.com/articles/1'), true);
+  assert.equal(isSourceAllowed(allowOnly, 'https://news.nature.com/x'), true);
+  assert.equal(isSourceAllowed(allowOnly, 'https://www.cdc.gov/vaccines'), true);
+  assert.equal(isSourceAllowed(allowOnly, 'https://example.com'), false);
+  // Sharing a suffix is not being a subdomain
+  assert.equal(isSourceAllowed(allowOnly, 'https://notnature.com'), false);
+  assert.equal(isSourceAllowed(allowOnly, 'https://nature.com.evil.io'), false);
+});
+
+test('block rules win over allow rules and cover subdomains', () => {
+  const mixed = policy({ allow: ['*.gov'], block: ['fakenews.gov', 'example.com'] });
+
+  assert.equal(isSourceAllowed(mixed, 'https://fakenews.gov/story'), false);
+  assert.equal(isSourceAllowed(mixed, 'https://blog.fakenews.gov'), false);
+  assert.equal(isSourceAllowed(mixed, 'nih.gov'), true);
+  assert.equal(isSourceAllowed(policy({ block: ['example.com'] }), 'https://www.example.com'), false);
+  assert.equal(isSourceAllowed(policy({ block: ['example.com'] }), 'https://example.org'), true);
+});
+
+test('getSourceBoost uses the most specific boost rule', () => {
+  const boosted = policy({ boost: [{ domain: '*.edu', boost: 5 }, { domain: 'stanford.edu', boost: 20 }] });
+
+  assert.equal(getSourceBoost(boosted, 'https://med.stanford.edu/x'), 20);
+  assert.equal(getSourceBoost(boosted, 'https://mit.edu'), 5);
+  assert.equal(getSourceBoost(boosted, 'https://example.com'), 0);
+});
+
+test('applySourcePolicy drops disallowed results but keeps knowledge base documents', () => {
+  const results = [
+    { link: 'https://www.nature.com/a' },
+    { link: 'https://example.com/b' },
+    { url: 'https://blocked.nature.com/c' },
+    { sourceType: 'internal_document', link: null },
+  ];
+
+  const { results: kept, excluded } = applySourcePolicy(results, policy({ allow: ['nature.com'], block: ['blocked.nature.com'] }));
+
+  assert.deepEqual(kept, [results[0], results[3]]);
+  assert.equal(excluded, 2);
+  assert.equal(describeSourcePolicy(policy(), excluded).excludedResults, 2);
+});
+
+test('getSourcePolicy groups a team\'s rules and caches them', async () => {
+  const db = createFakeDatabase({
+    team_source_rules: [
+      { team_id: 'policy-team', domain: 'nature.com', rule_type: 'allow', boost: null },
+      { team_id: 'policy-team', domain: 'example.com', rule_type: 'block', boost: null },
+      { team_id: 'policy-team', domain: 'cdc.gov', rule_type: 'boost', boost: null },
+      { team_id: 'other-team', domain: 'who.int', rule_type: 'allow', boost: null },
+    ],
+  }).install();
+
+  try {
+    assert.equal(await getSourcePolicy(null), null);
+    assert.equal(await getSourcePolicy('empty-team'), null);
+
+    const loaded = await getSourcePolicy('policy-team');
+    assert.deepEqual(loaded, {
+      teamId: 'policy-team',
+      allow: ['nature.com'],
+      block: ['example.com'],
+      boost: [{ domain: 'cdc.gov', boost: 15 }],
+    });
+
+    // Cached: no second lookup
+    const lookups = db.requests.length;
+    assert.deepEqual(await getSourcePolicy('policy-team'), loaded);
+    assert.equal(db.requests.length, lookups);
+  } finally {
+    db.restore();
+  }
+});
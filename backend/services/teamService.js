@@ -0,0 +1,599 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'team-service' },
+});
+
+export const TEAM_ROLES = ['owner', 'admin', 'member'];
+
+// Roles an invitation or role change can grant; ownership moves with transferOwnership
+export const ASSIGNABLE_ROLES = ['admin', 'member'];
+
+/**
+ * Team settings and their defaults
+ */
+export const DEFAULT_TEAM_SETTINGS = {
+  // Members (not only owners and admins) may invite people
+  membersCanInvite: false,
+  // Members may share their conversations into the team space
+  membersCanShareConversations: true,
+};
+
+/**
+ * What each role may do. Settings can extend the member role, see hasTeamPermission.
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['manage_team', 'delete_team', 'transfer_ownership', 'manage_members', 'invite_members', 'manage_source_policy', 'share_conversations', 'manage_webhooks'],
+  admin: ['manage_team', 'manage_members', 'invite_members', 'manage_source_policy', 'share_conversations', 'manage_webhooks'],
+  member: [],
+};
+
+// Permissions a team setting grants to members
+const MEMBER_SETTING_PERMISSIONS = {
+  invite_members: 'membersCanInvite',
+  share_conversations: 'membersCanShareConversations',
+};
+
+// Invitation tokens are 32 URL-safe characters (24 random bytes)
+export const INVITATION_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const TEAM_FIELDS = 'id, name, owner_id, settings, usage_limit, usage_count, usage_reset_date, created_at';
+const MEMBER_FIELDS = 'id, name, email, team_role, last_login, created_at';
+const INVITATION_FIELDS = 'id, email, role, invited_by, expires_at, accepted_at, revoked_at, created_at';
+
+/**
+ * Whether a user may do something in their team
+ * @param {Object} user - { teamId, teamRole, isAdmin }
+ * @param {string} permission - One of the ROLE_PERMISSIONS entries
+ * @param {Object} team - The user's team, needed for setting-based member permissions
+ * @returns {boolean}
+ */
+export function hasTeamPermission(user, permission, team = null) {
+  if (!user?.teamId) {
+    return false;
+  }
+  if (user.isAdmin) {
+    return true;
+  }
+
+  const role = user.teamRole || 'member';
+  if (ROLE_PERMISSIONS[role]?.includes(permission)) {
+    return true;
+  }
+
+  const setting = MEMBER_SETTING_PERMISSIONS[permission];
+  return Boolean(role === 'member' && setting && teamSettings(team)[setting]);
+}
+
+/**
+ * Permissions a user holds in their team, for the UI to decide what to show
+ */
+export function listTeamPermissions(user, team) {
+  const all = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+  return all.filter(permission => hasTeamPermission(user, permission, team));
+}
+
+/**
+ * A team's settings with defaults filled in
+ */
+export function teamSettings(team) {
+  return { ...DEFAULT_TEAM_SETTINGS, ...(team?.settings || {}) };
+}
+
+/**
+ * Create a team owned by the user
+ * @param {Object} user - { id, teamId }
+ * @param {string} name - Team name
+ * @returns {Object} New team
+ */
+export async function createTeam(user, name) {
+  try {
+    if (user.teamId) {
+      throw new Error('Already in a team');
+    }
+
+    const { data: team, error } = await getSupabase()
+      .from('teams')
+      .insert({
+        name,
+        owner_id: user.id,
+        usage_limit: parseInt(process.env.TEAM_QUERY_LIMIT) || 1000,
+        settings: {},
+      })
+      .select(TEAM_FIELDS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await setMembership(user.id, team.id, 'owner');
+
+    logger.info('Team created', { teamId: team.id, userId: user.id });
+    return formatTeam(team);
+
+  } catch (error) {
+    logger.error('Error creating team', { error: error.message, userId: user.id });
+    throw error;
+  }
+}
+
+/**
+ * Get a team with its settings and pooled usage
+ * @param {string} teamId - Team ID
+ * @returns {Object|null} Team, or null if not found
+ */
+export async function getTeam(teamId) {
+  const { data: team, error } = await getSupabase()
+    .from('teams')
+    .select(TEAM_FIELDS)
+    .eq('id', teamId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error getting team', { error: error.message, teamId });
+    throw error;
+  }
+
+  return team ? formatTeam(team) : null;
+}
+
+/**
+ * Rename a team or change its settings
+ * @param {string} teamId - Team ID
+ * @param {Object} updates - { name, settings }; settings are merged into the current ones
+ * @returns {Object} Updated team
+ */
+export async function updateTeam(teamId, { name, settings } = {}) {
+  try {
+    const current = await getTeam(teamId);
+    if (!current) {
+      throw new Error('Team not found');
+    }
+
+    const changes = {
+      ...(name !== undefined && { name }),
+      ...(settings !== undefined && { settings: { ...current.settings, ...settings } }),
+    };
+
+    const { data: team, error } = await getSupabase()
+      .from('teams')
+      .update(changes)
+      .eq('id', teamId)
+      .select(TEAM_FIELDS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Team updated', { teamId, fields: Object.keys(changes) });
+    return formatTeam(team);
+
+  } catch (error) {
+    logger.error('Error updating team', { error: error.message, teamId });
+    throw error;
+  }
+}
+
+/**
+ * Delete a team. Members keep their accounts and conversations; shared
+ * conversations go back to being private.
+ * @param {string} teamId - Team ID
+ */
+export async function deleteTeam(teamId) {
+  try {
+    const { error: membersError } = await getSupabase()
+      .from('users')
+      .update({ team_id: null, team_role: null })
+      .eq('team_id', teamId);
+
+    if (membersError) {
+      throw membersError;
+    }
+
+    const { error } = await getSupabase()
+      .from('teams')
+      .delete()
+      .eq('id', teamId);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Team deleted', { teamId });
+
+  } catch (error) {
+    logger.error('Error deleting team', { error: error.message, teamId });
+    throw error;
+  }
+}
+
+/**
+ * List a team's members, owner first
+ * @param {string} teamId - Team ID
+ * @returns {Array} Members
+ */
+export async function listMembers(teamId) {
+  const { data: members, error } = await getSupabase()
+    .from('users')
+    .select(MEMBER_FIELDS)
+    .eq('team_id', teamId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error listing team members', { error: error.message, teamId });
+    throw error;
+  }
+
+  return (members || []).sort((a, b) =>
+    TEAM_ROLES.indexOf(a.team_role || 'member') - TEAM_ROLES.indexOf(b.team_role || 'member'));
+}
+
+/**
+ * Change a member's role. Only the owner can promote or demote admins, and
+ * nobody can change the owner's role; use transferOwnership instead.
+ * @param {Object} actor - User making the change ({ id, teamId, teamRole, isAdmin })
+ * @param {string} memberId - Member to change
+ * @param {string} role - One of ASSIGNABLE_ROLES
+ * @returns {Object} Updated member
+ */
+export async function updateMemberRole(actor, memberId, role) {
+  try {
+    const member = await getMember(actor.teamId, memberId);
+
+    if (member.team_role === 'owner') {
+      throw new Error('Cannot change the owner\'s role');
+    }
+    if ((role === 'admin' || member.team_role === 'admin') && !isOwner(actor)) {
+      throw new Error('Only the owner can change admins');
+    }
+
+    const updated = await setMembership(memberId, actor.teamId, role);
+
+    logger.info('Team member role changed', { teamId: actor.teamId, memberId, role, actorId: actor.id });
+    return updated;
+
+  } catch (error) {
+    logger.error('Error changing team member role', { error: error.message, memberId });
+    throw error;
+  }
+}
+
+/**
+ * Make another member the owner; the previous owner becomes an admin
+ * @param {Object} actor - Current owner
+ * @param {string} memberId - New owner
+ */
+export async function transferOwnership(actor, memberId) {
+  try {
+    if (!isOwner(actor)) {
+      throw new Error('Only the owner can transfer ownership');
+    }
+
+    await getMember(actor.teamId, memberId);
+
+    const { error } = await getSupabase()
+      .from('teams')
+      .update({ owner_id: memberId })
+      .eq('id', actor.teamId);
+
+    if (error) {
+      throw error;
+    }
+
+    await setMembership(memberId, actor.teamId, 'owner');
+    await setMembership(actor.id, actor.teamId, 'admin');
+
+    logger.info('Team ownership transferred', { teamId: actor.teamId, from: actor.id, to: memberId });
+
+  } catch (error) {
+    logger.error('Error transferring team ownership', { error: error.message, memberId });
+    throw error;
+  }
+}
+
+/**
+ * Remove a member from the team, or leave it when memberId is the actor.
+ * The owner cannot leave, and only the owner can remove admins.
+ * @param {Object} actor - User making the change
+ * @param {string} memberId - Member to remove
+ */
+export async function removeMember(actor, memberId) {
+  try {
+    const member = await getMember(actor.teamId, memberId);
+
+    if (member.team_role === 'owner') {
+      throw new Error('The owner cannot leave the team');
+    }
+    if (memberId !== actor.id && member.team_role === 'admin' && !isOwner(actor)) {
+      throw new Error('Only the owner can change admins');
+    }
+
+    await setMembership(memberId, null, null);
+
+    // Conversations they shared are no longer visible to the team
+    await getSupabase()
+      .from('conversations')
+      .update({ team_id: null })
+      .eq('user_id', memberId)
+      .eq('team_id', actor.teamId);
+
+    logger.info('Team member removed', { teamId: actor.teamId, memberId, actorId: actor.id });
+
+  } catch (error) {
+    logger.error('Error removing team member', { error: error.message, memberId });
+    throw error;
+  }
+}
+
+/**
+ * Invite someone by email. Any earlier pending invitation for the address is
+ * replaced. The token is returned once; only its hash is stored.
+ * @param {Object} actor - Inviting user
+ * @param {string} email - Invitee's email address
+ * @param {string} role - One of ASSIGNABLE_ROLES
+ * @returns {Object} { invitation, token }
+ */
+export async function createInvitation(actor, email, role = 'member') {
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    if (role === 'admin' && !isOwner(actor) && actor.teamRole !== 'admin' && !actor.isAdmin) {
+      throw new Error('Only owners and admins can invite admins');
+    }
+
+    const { data: existing } = await getSupabase()
+      .from('users')
+      .select('id')
+      .eq('team_id', actor.teamId)
+      .ilike('email', normalizedEmail)
+      .maybeSingle();
+
+    if (existing) {
+      throw new Error('Already a member');
+    }
+
+    const now = new Date().toISOString();
+    await getSupabase()
+      .from('team_invitations')
+      .update({ revoked_at: now })
+      .eq('team_id', actor.teamId)
+      .eq('email', normalizedEmail)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    const days = parseInt(process.env.TEAM_INVITATION_DAYS) || 7;
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    const { data: invitation, error } = await getSupabase()
+      .from('team_invitations')
+      .insert({
+        team_id: actor.teamId,
+        email: normalizedEmail,
+        role,
+        token_hash: hashToken(token),
+        invited_by: actor.id,
+        expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+      })
+      .select(INVITATION_FIELDS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('Team invitation created', { teamId: actor.teamId, invitationId: invitation.id, role, actorId: actor.id });
+    return { invitation, token };
+
+  } catch (error) {
+    logger.error('Error creating team invitation', { error: error.message, teamId: actor.teamId });
+    throw error;
+  }
+}
+
+/**
+ * List a team's pending invitations, newest first
+ * @param {string} teamId - Team ID
+ * @returns {Array} Invitations
+ */
+export async function listInvitations(teamId) {
+  const { data: invitations, error } = await getSupabase()
+    .from('team_invitations')
+    .select(INVITATION_FIELDS)
+    .eq('team_id', teamId)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error('Error listing team invitations', { error: error.message, teamId });
+    throw error;
+  }
+
+  return invitations || [];
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} teamId - Team ID
+ * @param {string} invitationId - Invitation ID
+ */
+export async function revokeInvitation(teamId, invitationId) {
+  const { data: revoked, error } = await getSupabase()
+    .from('team_invitations')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', invitationId)
+    .eq('team_id', teamId)
+    .is('accepted_at', null)
+    .select('id');
+
+  if (error) {
+    logger.error('Error revoking team invitation', { error: error.message, invitationId });
+    throw error;
+  }
+  if (!revoked || revoked.length === 0) {
+    throw new Error('Invitation not found');
+  }
+
+  logger.info('Team invitation revoked', { teamId, invitationId });
+}
+
+/**
+ * Look up an invitation by token, for the page that accepts it
+ * @param {string} token - Invitation token
+ * @returns {Object} { id, teamId, teamName, invitedBy, email, role, expiresAt }
+ */
+export async function getInvitation(token) {
+  const invitation = await findUsableInvitation(token);
+
+  const [{ data: team }, { data: inviter }] = await Promise.all([
+    getSupabase().from('teams').select('name').eq('id', invitation.team_id).maybeSingle(),
+    invitation.invited_by
+      ? getSupabase().from('users').select('name').eq('id', invitation.invited_by).maybeSingle()
+      : { data: null },
+  ]);
+
+  return {
+    id: invitation.id,
+    teamId: invitation.team_id,
+    teamName: team?.name || null,
+    invitedBy: inviter?.name || null,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expires_at,
+  };
+}
+
+/**
+ * Join a team through an invitation sent to the user's email address
+ * @param {string} token - Invitation token
+ * @param {Object} user - { id, email, teamId }
+ * @returns {Object} The joined team
+ */
+export async function acceptInvitation(token, user) {
+  try {
+    const invitation = await findUsableInvitation(token);
+
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new Error('Invitation is for a different email');
+    }
+    if (user.teamId) {
+      throw new Error(user.teamId === invitation.team_id ? 'Already a member' : 'Already in a team');
+    }
+
+    // Only the first accept wins if the link is used twice at once
+    const { data: accepted, error } = await getSupabase()
+      .from('team_invitations')
+      .update({ accepted_at: new Date().toISOString(), accepted_by: user.id })
+      .eq('id', invitation.id)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    if (!accepted || accepted.length === 0) {
+      throw new Error('Invitation already accepted');
+    }
+
+    await setMembership(user.id, invitation.team_id, invitation.role);
+
+    logger.info('Team invitation accepted', { teamId: invitation.team_id, userId: user.id });
+    return getTeam(invitation.team_id);
+
+  } catch (error) {
+    logger.error('Error accepting team invitation', { error: error.message, userId: user.id });
+    throw error;
+  }
+}
+
+async function findUsableInvitation(token) {
+  if (!INVITATION_TOKEN_PATTERN.test(token || '')) {
+    throw new Error('Invitation not found');
+  }
+
+  const { data: invitation, error } = await getSupabase()
+    .from('team_invitations')
+    .select(`team_id, token_hash, ${INVITATION_FIELDS}`)
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!invitation) {
+    throw new Error('Invitation not found');
+  }
+  if (invitation.revoked_at) {
+    throw new Error('Invitation revoked');
+  }
+  if (invitation.accepted_at) {
+    throw new Error('Invitation already accepted');
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw new Error('Invitation expired');
+  }
+
+  return invitation;
+}
+
+async function getMember(teamId, memberId) {
+  const { data: member, error } = await getSupabase()
+    .from('users')
+    .select(MEMBER_FIELDS)
+    .eq('id', memberId)
+    .eq('team_id', teamId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!teamId || !member) {
+    throw new Error('Member not found');
+  }
+  return member;
+}
+
+async function setMembership(userId, teamId, role) {
+  const { data: member, error } = await getSupabase()
+    .from('users')
+    .update({ team_id: teamId, team_role: role })
+    .eq('id', userId)
+    .select(MEMBER_FIELDS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return member;
+}
+
+function isOwner(user) {
+  return user.teamRole === 'owner';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function formatTeam(team) {
+  return {
+    id: team.id,
+    name: team.name,
+    ownerId: team.owner_id,
+    settings: teamSettings(team),
+    usage: {
+      used: team.usage_count || 0,
+      limit: team.usage_limit,
+      remaining: Math.max(0, (team.usage_limit || 0) - (team.usage_count || 0)),
+      resetDate: team.usage_reset_date,
+    },
+    createdAt: team.created_at,
+  };
+}
@@ -0,0 +1,186 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import {
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  getInvitation,
+} from './teamService.js';
+
+const TEAM_ID = 'team-1';
+
+// Actors as authenticateToken attaches them to requests
+const owner = { id: 'owner-1', email: 'owner@example.com', teamId: TEAM_ID, teamRole: 'owner' };
+const admin = { id: 'admin-1', email: 'admin@example.com', teamId: TEAM_ID, teamRole: 'admin' };
+const otherAdmin = { id: 'admin-2', email: 'admin2@example.com', teamId: TEAM_ID, teamRole: 'admin' };
+const member = { id: 'member-1', email: 'member@example.com', teamId: TEAM_ID, teamRole: 'member' };
+const outsider = { id: 'outsider-1', email: 'new@example.com', teamId: null };
+
+let db;
+
+beforeEach(() => {
+  db = createFakeDatabase({
+    teams: [{ id: TEAM_ID, name: 'Research', owner_id: owner.id, settings: {}, usage_count: 0, usage_limit: 1000 }],
+    users: [owner, admin, otherAdmin, member, outsider].map(user => ({
+      id: user.id,
+      name: user.id,
+      email: user.email,
+      team_id: user.teamId,
+      team_role: user.teamRole || null,
+    })),
+    conversations: [
+      { id: 'conversation-1', user_id: member.id, team_id: TEAM_ID },
+      { id: 'conversation-2', user_id: member.id, team_id: null },
+    ],
+  }).install();
+});
+
+afterEach(() => {
+  db.restore();
+});
+
+function userRow(id) {
+  return db.tables.users.find(user => user.id === id);
+}
+
+test('an admin cannot promote a member to admin', async () => {
+  await assert.rejects(updateMemberRole(admin, member.id, 'admin'), { message: 'Only the owner can change admins' });
+
+  assert.equal(userRow(member.id).team_role, 'member');
+  assert.deepEqual(db.writes('users'), []);
+});
+
+test('an admin cannot demote another admin', async () => {
+  await assert.rejects(updateMemberRole(admin, otherAdmin.id, 'member'), { message: 'Only the owner can change admins' });
+
+  assert.equal(userRow(otherAdmin.id).team_role, 'admin');
+});
+
+test('the owner can promote a member to admin', async () => {
+  const updated = await updateMemberRole(owner, member.id, 'admin');
+
+  assert.equal(updated.team_role, 'admin');
+  assert.equal(userRow(member.id).team_role, 'admin');
+});
+
+test('nobody can change the owner\'s role, including the owner', async () => {
+  await assert.rejects(updateMemberRole(owner, owner.id, 'member'), { message: 'Cannot change the owner\'s role' });
+  await assert.rejects(updateMemberRole(admin, owner.id, 'member'), { message: 'Cannot change the owner\'s role' });
+});
+
+test('role changes only reach members of the actor\'s own team', async () => {
+  await assert.rejects(updateMemberRole(owner, outsider.id, 'member'), { message: 'Member not found' });
+});
+
+test('an admin cannot remove another admin', async () => {
+  await assert.rejects(removeMember(admin, otherAdmin.id), { message: 'Only the owner can change admins' });
+
+  assert.equal(userRow(otherAdmin.id).team_id, TEAM_ID);
+});
+
+test('an admin can leave the team themselves', async () => {
+  await removeMember(admin, admin.id);
+
+  assert.equal(userRow(admin.id).team_id, null);
+  assert.equal(userRow(admin.id).team_role, null);
+});
+
+test('the owner cannot leave or be removed', async () => {
+  await assert.rejects(removeMember(owner, owner.id), { message: 'The owner cannot leave the team' });
+  await assert.rejects(removeMember(admin, owner.id), { message: 'The owner cannot leave the team' });
+});
+
+test('removing a member unshares the conversations they shared with the team', async () => {
+  await removeMember(admin, member.id);
+
+  assert.equal(userRow(member.id).team_id, null);
+  assert.deepEqual(db.tables.conversations.map(conversation => conversation.team_id), [null, null]);
+});
+
+test('members cannot invite admins', async () => {
+  await assert.rejects(createInvitation(member, 'someone@example.com', 'admin'), {
+    message: 'Only owners and admins can invite admins',
+  });
+  assert.deepEqual(db.writes('team_invitations'), []);
+});
+
+test('an invitation can only be accepted by its email address, in any case', async () => {
+  const { token } = await createInvitation(admin, ' New@Example.com ');
+
+  await assert.rejects(acceptInvitation(token, { id: 'someone-else', email: 'other@example.com', teamId: null }), {
+    message: 'Invitation is for a different email',
+  });
+  assert.equal(userRow(outsider.id).team_id, null);
+
+  const team = await acceptInvitation(token, { ...outsider, email: 'NEW@example.com' });
+
+  assert.equal(team.id, TEAM_ID);
+  assert.equal(userRow(outsider.id).team_id, TEAM_ID);
+  assert.equal(userRow(outsider.id).team_role, 'member');
+});
+
+test('an invitation cannot be accepted twice', async () => {
+  const { token } = await createInvitation(owner, outsider.email, 'admin');
+
+  await acceptInvitation(token, outsider);
+  await assert.rejects(acceptInvitation(token, outsider), { message: 'Invitation already accepted' });
+
+  assert.equal(userRow(outsider.id).team_role, 'admin');
+});
+
+test('only one of two simultaneous accepts joins the team', async () => {
+  const { token } = await createInvitation(owner, outsider.email);
+  const twin = { id: 'twin-1', email: outsider.email, teamId: null };
+  db.tables.users.push({ id: twin.id, email: twin.email, team_id: null, team_role: null });
+
+  const results = await Promise.allSettled([acceptInvitation(token, outsider), acceptInvitation(token, twin)]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.message, 'Invitation already accepted');
+  assert.equal([outsider.id, twin.id].filter(id => userRow(id).team_id === TEAM_ID).length, 1);
+});
+
+test('a revoked invitation cannot be looked up or accepted', async () => {
+  const { invitation, token } = await createInvitation(owner, outsider.email);
+
+  await revokeInvitation(TEAM_ID, invitation.id);
+
+  await assert.rejects(getInvitation(token), { message: 'Invitation revoked' });
+  await assert.rejects(acceptInvitation(token, outsider), { message: 'Invitation revoked' });
+  assert.equal(userRow(outsider.id).team_id, null);
+});
+
+test('inviting an address again revokes its earlier invitation', async () => {
+  const first = await createInvitation(owner, outsider.email);
+  await createInvitation(owner, outsider.email);
+
+  await assert.rejects(acceptInvitation(first.token, outsider), { message: 'Invitation revoked' });
+});
+
+test('invitations from another team cannot be revoked', async () => {
+  const { invitation } = await createInvitation(owner, outsider.email);
+
+  await assert.rejects(revokeInvitation('team-2', invitation.id), { message: 'Invitation not found' });
+});
+
+test('an expired invitation cannot be accepted', async () => {
+  const { invitation, token } = await createInvitation(owner, outsider.email);
+  db.tables.team_invitations.find(row => row.id === invitation.id).expires_at = new Date(Date.now() - 1000).toISOString();
+
+  await assert.rejects(acceptInvitation(token, outsider), { message: 'Invitation expired' });
+  assert.equal(userRow(outsider.id).team_id, null);
+});
+
+test('malformed and unknown tokens are not found', async () => {
+  await assert.rejects(acceptInvitation('not-a-token', outsider), { message: 'Invitation not found' });
+  await assert.rejects(acceptInvitation('A'.repeat(32), outsider), { message: 'Invitation not found' });
+});
+
+test('a member of another team cannot accept', async () => {
+  const { token } = await createInvitation(owner, outsider.email);
+
+  await assert.rejects(acceptInvitation(token, { ...outsider, teamId: 'team-2' }), { message: 'Already in a team' });
+});
@@ -0,0 +1,103 @@
+import winston from 'winston';
+import { generateCompletion } from './modelProviders/index.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'title-service' },
+});
+
+const MAX_TITLE_LENGTH = 80;
+// Characters of the question shown when no generated title is available
+const FALLBACK_TITLE_LENGTH = 50;
+// Characters of the answer shown to the model
+const ANSWER_CONTEXT_LENGTH = 600;
+// A slow title should not hold up the answer it belongs to
+const TITLE_TIMEOUT_MS = 8000;
+
+/**
+ * Whether conversation titles are written by the model (CONVERSATION_TITLES, default on)
+ */
+export function isTitleGenerationEnabled() {
+  return process.env.CONVERSATION_TITLES !== 'off';
+}
+
+/**
+ * Title from the start of the question, cut at a word boundary
+ * @param {string} question - First question of the conversation
+ * @returns {string} Title
+ */
+export function truncateTitle(question = '') {
+  const text = question.replace(/\s+/g, ' ').trim();
+  if (text.length <= FALLBACK_TITLE_LENGTH) {
+    return text;
+  }
+  const cut = text.substring(0, FALLBACK_TITLE_LENGTH);
+  const space = cut.lastIndexOf(' ');
+  return `${space > FALLBACK_TITLE_LENGTH / 2 ? cut.substring(0, space) : cut}...`;
+}
+
+/**
+ * Write a short descriptive title for a conversation from its first exchange,
+ * falling back to the truncated question when the model is unavailable or disabled
+ * @param {string} question - First question
+ * @param {string} answer - First answer (optional)
+ * @param {Object} options - { tier }
+ * @returns {Object} { title, generated }
+ */
+export async function generateTitle(question, answer = null, { tier } = {}) {
+  const fallback = { title: truncateTitle(question), generated: false };
+
+  if (!isTitleGenerationEnabled() || !question?.trim()) {
+    return fallback;
+  }
+
+  try {
+    const completion = await generateCompletion({
+      tier,
+      signal: AbortSignal.timeout(TITLE_TIMEOUT_MS),
+      messages: [
+        {
+          role: 'system',
+          content: `You write titles for conversations with honestGPT, a research assistant.
+Write a title of 3 to 8 words naming the topic of the conversation, like a document title.
+Use the user's language. Do not answer the question, add quotation marks or end with punctuation.
+Respond with JSON only, in the form: {"title":"..."}`,
+        },
+        {
+          role: 'user',
+          content: `Question: ${question}${answer ? `\n\nAnswer: ${answer.substring(0, ANSWER_CONTEXT_LENGTH)}` : ''}`,
+        },
+      ],
+    });
+
+    const json = completion.content.match(/\{[\s\S]*\}/);
+    const title = cleanTitle(json ? JSON.parse(json[0]).title : null);
+
+    if (!title) {
+      throw new Error('Title response had no usable title');
+    }
+
+    return { title, generated: true };
+  } catch (error) {
+    logger.warn('Title generation failed, using the question', {
+      question: question.substring(0, 50),
+      error: error.message,
+    });
+    return fallback;
+  }
+}
+
+function cleanTitle(title) {
+  if (typeof title !== 'string') {
+    return null;
+  }
+  const cleaned = title
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["'“‘]+|["'”’]+$/g, '')
+    .replace(/[.!?:;,]+$/, '')
+    .trim();
+
+  return cleaned && cleaned.length <= MAX_TITLE_LENGTH ? cleaned : null;
+}
@@ -0,0 +1,69 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { useScriptedModel } from '../testing/scriptedModel.js';
+import { generateTitle, truncateTitle } from './titleService.js';
+
+const QUESTION = 'What does the research say about the long-term health effects of drinking coffee every day?';
+
+let db;
+let model;
+
+beforeEach(() => {
+  db = createFakeDatabase({ model_routes: [] }).install();
+});
+
+afterEach(() => {
+  model?.restore();
+  model = null;
+  db.restore();
+  delete process.env.CONVERSATION_TITLES;
+});
+
+test('truncateTitle keeps short questions and cuts long ones at a word boundary', () => {
+  assert.equal(truncateTitle('  Is   coffee healthy? '), 'Is coffee healthy?');
+  assert.equal(truncateTitle(QUESTION), 'What does the research say about the long-term...');
+  assert.ok(truncateTitle(QUESTION).length <= 53);
+});
+
+test('truncateTitle cuts mid-word when the first word is very long', () => {
+  const title = truncateTitle(`${'a'.repeat(60)} b`);
+
+  assert.equal(title, `${'a'.repeat(50)}...`);
+});
+
+test('generateTitle uses the model\'s title without quotes or closing punctuation', async () => {
+  model = useScriptedModel(['Sure: {"title": "\\"Daily Coffee and Long-Term Health.\\""}']);
+
+  const result = await generateTitle(QUESTION, 'Moderate intake is associated with...');
+
+  assert.deepEqual(result, { title: 'Daily Coffee and Long-Term Health', generated: true });
+  assert.match(model.requests[0][1].content, /^Question: What does/);
+  assert.match(model.requests[0][1].content, /Answer: Moderate intake/);
+});
+
+test('generateTitle falls back to the question for titles over 80 characters', async () => {
+  model = useScriptedModel([JSON.stringify({ title: 'word '.repeat(20).trim() })]);
+
+  assert.deepEqual(await generateTitle(QUESTION), { title: truncateTitle(QUESTION), generated: false });
+});
+
+test('generateTitle falls back on malformed, empty and failed responses', async () => {
+  model = useScriptedModel(['no json here', '{"title": "  ?! "}', '{"title": 42}', new Error('Provider down')]);
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    assert.deepEqual(await generateTitle(QUESTION), { title: truncateTitle(QUESTION), generated: false });
+  }
+  assert.equal(model.requests.length, 4);
+});
+
+test('generateTitle does not call the model when titles are off or the question is blank', async () => {
+  model = useScriptedModel([]);
+  process.env.CONVERSATION_TITLES = 'off';
+
+  assert.deepEqual(await generateTitle(QUESTION), { title: truncateTitle(QUESTION), generated: false });
+
+  delete process.env.CONVERSATION_TITLES;
+  assert.deepEqual(await generateTitle('   '), { title: '', generated: false });
+  assert.equal(model.requests.length, 0);
+});
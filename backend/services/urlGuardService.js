@@ -0,0 +1,132 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+/**
+ * Addresses outbound requests to user-supplied URLs must never reach:
+ * loopback, private networks, link-local (including cloud metadata at
+ * 169.254.169.254), carrier-grade NAT, multicast and reserved ranges.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ */
+const BLOCKED_RANGES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 and 6to4 embed an IPv4 address that could be a private one
+  ['64:ff9b::', 96],
+  ['2002::', 16],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on a private, local or reserved network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for anything that is not a public unicast address
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a URL before requesting it: http(s) only, and when the host is an IP
+ * address it must be public. Host names are checked again when they are
+ * resolved, by the agents from guardedRequestOptions().
+ * @param {string} url - URL to request
+ * @param {Object} options - { allowPrivate } skips the address checks, for local development
+ * @returns {boolean}
+ */
+export function isPublicHttpUrl(url, { allowPrivate = false } = {}) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') return false;
+    if (allowPrivate) return true;
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) {
+      return !isPrivateAddress(host);
+    }
+
+    return host !== 'localhost' &&
+           !host.endsWith('.localhost') &&
+           !host.endsWith('.local') &&
+           !host.endsWith('.internal');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * dns.lookup replacement that fails when a name resolves to any private
+ * address. The connection then uses the address checked here, so a second
+ * resolution cannot point it somewhere else.
+ */
+export function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked || addresses.length === 0) {
+      const refused = new Error(`Refusing to connect to ${hostname}: it resolves to a private address`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+};
+
+/**
+ * axios options for requesting a user-supplied URL: connections only go to
+ * public addresses, redirects are not followed (callers that follow them must
+ * check every hop with isPublicHttpUrl) and proxy settings from the
+ * environment are ignored so the address check applies to the real target.
+ * @param {Object} options - { allowPrivate } keeps the default agents, for local development
+ * @returns {Object} Options to spread into an axios request config
+ */
+export function guardedRequestOptions({ allowPrivate = false } = {}) {
+  return {
+    ...(!allowPrivate && guardedAgents),
+    proxy: false,
+    maxRedirects: 0,
+  };
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import axios from 'axios';
+import { isPrivateAddress, isPublicHttpUrl, guardedLookup, guardedRequestOptions } from './urlGuardService.js';
+
+test('isPrivateAddress blocks loopback, private, link-local and metadata addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.100.100.200', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPublicHttpUrl refuses other schemes, private IP literals and local names', () => {
+  for (const url of [
+    'ftp://example.com/file',
+    'file:///etc/passwd',
+    'http://127.0.0.1/',
+    'http://2130706433/',
+    'http://0x7f000001/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]:8080/',
+    'http://[::ffff:169.254.169.254]/',
+    'http://localhost:3000/',
+    'http://api.localhost/',
+    'http://printer.local/',
+    'http://metadata.google.internal/',
+    'not a url',
+  ]) {
+    assert.equal(isPublicHttpUrl(url), false, url);
+  }
+});
+
+test('isPublicHttpUrl accepts public URLs, and private ones when allowed', () => {
+  assert.equal(isPublicHttpUrl('https://example.com/hook'), true);
+  assert.equal(isPublicHttpUrl('http://8.8.8.8/'), true);
+  assert.equal(isPublicHttpUrl('http://localhost:3000/hook', { allowPrivate: true }), true);
+  assert.equal(isPublicHttpUrl('ftp://localhost/', { allowPrivate: true }), false);
+});
+
+test('guardedLookup refuses names that resolve to private addresses', async () => {
+  const error = await new Promise(resolve => guardedLookup('localhost', {}, resolve));
+
+  assert.equal(error.code, 'EPRIVATEADDRESS');
+});
+
+test('guarded requests never reach a server on a private address', async () => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end('secret');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await assert.rejects(
+      axios.get(`http://localhost:${server.address().port}/`, guardedRequestOptions()),
+      /private address/
+    );
+    assert.equal(received, 0);
+
+    const allowed = await axios.get(`http://localhost:${server.address().port}/`, guardedRequestOptions({ allowPrivate: true }));
+    assert.equal(allowed.data, 'secret');
+  } finally {
+    server.close();
+  }
+});
@@ -1,5 +1,6 @@
-import { createClient } from '@supabase/supabase-js';
 import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { emitWebhookEvent } from './webhookService.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -7,14 +8,8 @@ const logger = winston.createLogger({
   defaultMeta: { service: 'usage-service' },
 });
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 /**
- * Track usage for a user action
+ * Track usage for a user action. Team members draw on their team's pooled quota.
  * @param {string} userId - User ID
  * @param {string} actionType - Type of action (chat, search, etc.)
  * @param {Object} metadata - Additional metadata
@@ -22,54 +17,51 @@ const supabase = createClient(
  */
 export async function trackUsage(userId, actionType = 'chat', metadata = {}) {
   try {
-    // Get current user data
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('tier, usage_count, usage_limit, usage_reset_date')
-      .eq('id', userId)
-      .single();
+    const quota = await getQuota(userId);
     
-    if (userError || !user) {
+    if (!quota) {
       logger.error('User not found for usage tracking', { userId });
       return { allowed: false, error: 'User not found' };
     }
     
     // Check if usage reset is needed
-    const resetDate = new Date(user.usage_reset_date);
+    const resetDate = new Date(quota.resetDate);
     const now = new Date();
     
     if (now > resetDate) {
       // Reset usage count
-      await resetUserUsage(userId);
-      user.usage_count = 0;
+      quota.resetDate = await resetUsage(quota, userId);
+      quota.used = 0;
     }
     
     // Check if user has exceeded limit
-    if (user.usage_count >= user.usage_limit) {
+    if (quota.used >= quota.limit) {
       logger.warn('Usage limit exceeded', { 
         userId, 
-        count: user.usage_count, 
-        limit: user.usage_limit 
+        teamId: quota.teamId,
+        count: quota.used, 
+        limit: quota.limit 
       });
       
       return {
         allowed: false,
-        limit: user.usage_limit,
-        used: user.usage_count,
-        resetDate: user.usage_reset_date,
+        limit: quota.limit,
+        used: quota.used,
+        resetDate: quota.resetDate,
+        pooled: Boolean(quota.teamId),
         error: 'Usage limit exceeded',
       };
     }
     
     // Increment usage count
-    const newCount = user.usage_count + 1;
-    const { error: updateError } = await supabase
-      .from('users')
+    const newCount = quota.used + 1;
+    const { error: updateError } = await getSupabase()
+      .from(quota.teamId ? 'teams' : 'users')
       .update({ 
         usage_count: newCount,
         updated_at: new Date().toISOString(),
       })
-      .eq('id', userId);
+      .eq('id', quota.teamId || userId);
     
     if (updateError) {
       logger.error('Failed to update usage count', { 
@@ -82,12 +74,15 @@ export async function trackUsage(userId, actionType = 'chat', metadata = {}) {
     // Log usage for analytics
     await logUsage(userId, actionType, metadata);
     
+    notifyThresholdsCrossed(quota, userId, newCount);
+    
     return {
       allowed: true,
-      limit: user.usage_limit,
+      limit: quota.limit,
       used: newCount,
-      remaining: user.usage_limit - newCount,
-      resetDate: user.usage_reset_date,
+      remaining: quota.limit - newCount,
+      resetDate: quota.resetDate,
+      pooled: Boolean(quota.teamId),
     };
     
   } catch (error) {
@@ -100,22 +95,104 @@ export async function trackUsage(userId, actionType = 'chat', metadata = {}) {
 }
 
 /**
- * Reset user's monthly usage
+ * Percentages of the quota that fire usage.threshold_reached, from
+ * WEBHOOK_USAGE_THRESHOLDS (default 80,100)
+ */
+function usageThresholds() {
+  return (process.env.WEBHOOK_USAGE_THRESHOLDS || '80,100')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(value => value > 0 && value <= 100);
+}
+
+/**
+ * Fire usage.threshold_reached for each threshold this query crossed. A team's
+ * pool notifies the team's endpoints, a personal quota the user's.
+ */
+function notifyThresholdsCrossed(quota, userId, newCount) {
+  if (!quota.limit) {
+    return;
+  }
+
+  usageThresholds()
+    .filter(threshold => {
+      const mark = Math.ceil((quota.limit * threshold) / 100);
+      return quota.used < mark && newCount >= mark;
+    })
+    .forEach(threshold => {
+      emitWebhookEvent('usage.threshold_reached', {
+        threshold,
+        used: newCount,
+        limit: quota.limit,
+        remaining: quota.limit - newCount,
+        resetDate: quota.resetDate,
+        pooled: Boolean(quota.teamId),
+      }, quota.teamId ? { teamId: quota.teamId } : { userId });
+    });
+}
+
+/**
+ * The quota a user's queries count against: their team's pool when they
+ * belong to a team, otherwise their own
+ * @returns {Object|null} { tier, teamId, used, limit, resetDate }
  */
-async function resetUserUsage(userId) {
+async function getQuota(userId) {
+  const { data: user, error } = await getSupabase()
+    .from('users')
+    .select('tier, team_id, usage_count, usage_limit, usage_reset_date')
+    .eq('id', userId)
+    .single();
+  
+  if (error || !user) {
+    return null;
+  }
+  
+  if (user.team_id) {
+    const { data: team } = await getSupabase()
+      .from('teams')
+      .select('id, usage_count, usage_limit, usage_reset_date')
+      .eq('id', user.team_id)
+      .single();
+    
+    if (team) {
+      return {
+        tier: 'team',
+        teamId: team.id,
+        used: team.usage_count || 0,
+        limit: team.usage_limit,
+        resetDate: team.usage_reset_date,
+      };
+    }
+  }
+  
+  return {
+    tier: user.tier,
+    teamId: null,
+    used: user.usage_count,
+    limit: user.usage_limit,
+    resetDate: user.usage_reset_date,
+  };
+}
+
+/**
+ * Reset a user's or team's monthly usage
+ * @returns {string} Next reset date
+ */
+async function resetUsage(quota, userId) {
   const nextResetDate = new Date();
   nextResetDate.setDate(nextResetDate.getDate() + 30);
   
-  await supabase
-    .from('users')
+  await getSupabase()
+    .from(quota.teamId ? 'teams' : 'users')
     .update({
       usage_count: 0,
       usage_reset_date: nextResetDate.toISOString(),
       updated_at: new Date().toISOString(),
     })
-    .eq('id', userId);
+    .eq('id', quota.teamId || userId);
   
-  logger.info('User usage reset', { userId, nextResetDate });
+  logger.info(quota.teamId ? 'Team usage reset' : 'User usage reset', { userId, teamId: quota.teamId, nextResetDate });
+  return nextResetDate.toISOString();
 }
 
 /**
@@ -129,7 +206,7 @@ async function logUsage(userId, actionType, metadata) {
       costCents = 10; // ~$0.10 per query
     }
     
-    await supabase
+    await getSupabase()
       .from('usage_logs')
       .insert({
         user_id: userId,
@@ -156,14 +233,14 @@ async function logUsage(userId, actionType, metadata) {
 export async function getUserUsageStats(userId, startDate = null, endDate = null) {
   try {
     // Get current usage
-    const { data: user } = await supabase
-      .from('users')
-      .select('tier, usage_count, usage_limit, usage_reset_date')
-      .eq('id', userId)
-      .single();
+    const quota = await getQuota(userId);
+    
+    if (!quota) {
+      throw new Error('User not found');
+    }
     
     // Build query for historical usage
-    let query = supabase
+    let query = getSupabase()
       .from('usage_logs')
       .select('*')
       .eq('user_id', userId)
@@ -185,11 +262,12 @@ export async function getUserUsageStats(userId, startDate = null, endDate = null
     // Calculate statistics
     const stats = {
       current: {
-        tier: user.tier,
-        used: user.usage_count,
-        limit: user.usage_limit,
-        remaining: user.usage_limit - user.usage_count,
-        resetDate: user.usage_reset_date,
+        tier: quota.tier,
+        used: quota.used,
+        limit: quota.limit,
+        remaining: quota.limit - quota.used,
+        resetDate: quota.resetDate,
+        pooled: Boolean(quota.teamId),
       },
       history: {
         totalQueries: logs.length,
@@ -215,37 +293,35 @@ export async function getUserUsageStats(userId, startDate = null, endDate = null
  */
 export async function checkUsageLimit(userId) {
   try {
-    const { data: user } = await supabase
-      .from('users')
-      .select('usage_count, usage_limit, usage_reset_date')
-      .eq('id', userId)
-      .single();
+    const quota = await getQuota(userId);
     
-    if (!user) {
+    if (!quota) {
       return { allowed: false, error: 'User not found' };
     }
     
     // Check if reset needed
-    const resetDate = new Date(user.usage_reset_date);
+    const resetDate = new Date(quota.resetDate);
     const now = new Date();
     
     if (now > resetDate) {
       return {
         allowed: true,
-        limit: user.usage_limit,
+        limit: quota.limit,
         used: 0,
-        remaining: user.usage_limit,
+        remaining: quota.limit,
+        pooled: Boolean(quota.teamId),
       };
     }
     
-    const allowed = user.usage_count < user.usage_limit;
+    const allowed = quota.used < quota.limit;
     
     return {
       allowed,
-      limit: user.usage_limit,
-      used: user.usage_count,
-      remaining: Math.max(0, user.usage_limit - user.usage_count),
-      resetDate: user.usage_reset_date,
+      limit: quota.limit,
+      used: quota.used,
+      remaining: Math.max(0, quota.limit - quota.used),
+      resetDate: quota.resetDate,
+      pooled: Boolean(quota.teamId),
     };
     
   } catch (error) {
@@ -257,6 +333,149 @@ export async function checkUsageLimit(userId) {
   }
 }
 
+/**
+ * Queries each member of a team made in the current pooled period
+ * @param {string} teamId - Team ID
+ * @param {string} since - Start of the period (ISO date)
+ * @returns {Object} Map of user ID to query count
+ */
+export async function getTeamUsageByMember(teamId, since) {
+  try {
+    const { data: members, error: membersError } = await getSupabase()
+      .from('users')
+      .select('id')
+      .eq('team_id', teamId);
+    
+    if (membersError) {
+      throw membersError;
+    }
+    
+    const ids = (members || []).map(member => member.id);
+    if (ids.length === 0) {
+      return {};
+    }
+    
+    const { data: logs, error } = await getSupabase()
+      .from('usage_logs')
+      .select('user_id')
+      .in('user_id', ids)
+      .neq('action_type', 'tokens')
+      .gte('created_at', since);
+    
+    if (error) {
+      throw error;
+    }
+    
+    const counts = {};
+    for (const { user_id: memberId } of logs || []) {
+      counts[memberId] = (counts[memberId] || 0) + 1;
+    }
+    return counts;
+    
+  } catch (error) {
+    logger.error('Get team usage error', { 
+      teamId, 
+      error: error.message 
+    });
+    throw error;
+  }
+}
+
+/**
+ * API key quotas run per calendar month (UTC), separately from the account's quota
+ * @returns {Object} { start, resetDate } as ISO dates
+ */
+export function apiKeyQuotaPeriod(now = new Date()) {
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+    resetDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+  };
+}
+
+/**
+ * Check an API key's own monthly quota without incrementing
+ * @param {string} apiKeyId - API key ID
+ * @param {number|null} quota - The key's monthly query limit; null for none
+ * @returns {Object} { allowed, used, limit, remaining, resetDate }
+ */
+export async function checkApiKeyQuota(apiKeyId, quota) {
+  if (!quota) {
+    return { allowed: true, limit: null };
+  }
+  
+  const period = apiKeyQuotaPeriod();
+  const used = await countApiKeyQueries(apiKeyId, period.start);
+  
+  return {
+    allowed: used < quota,
+    used,
+    limit: quota,
+    remaining: Math.max(0, quota - used),
+    resetDate: period.resetDate,
+  };
+}
+
+/**
+ * Queries made with an API key since a date
+ * @param {string} apiKeyId - API key ID
+ * @param {string} since - Start of the period (ISO date)
+ * @returns {number} Query count
+ */
+export async function countApiKeyQueries(apiKeyId, since) {
+  const { count, error } = await getSupabase()
+    .from('usage_logs')
+    .select('id', { count: 'exact', head: true })
+    .eq('metadata->>apiKeyId', apiKeyId)
+    .neq('action_type', 'tokens')
+    .gte('created_at', since);
+  
+  if (error) {
+    logger.error('Count API key usage error', { apiKeyId, error: error.message });
+    throw error;
+  }
+  
+  return count || 0;
+}
+
+/**
+ * Queries each of a user's API keys made since a date, by action type and by day
+ * @param {string} userId - Key owner's user ID
+ * @param {string} since - Start of the period (ISO date)
+ * @returns {Object} Map of API key ID to { total, byType, byDay }
+ */
+export async function getApiKeyUsage(userId, since) {
+  try {
+    const { data: logs, error } = await getSupabase()
+      .from('usage_logs')
+      .select('action_type, created_at, apiKeyId:metadata->>apiKeyId')
+      .eq('user_id', userId)
+      .neq('action_type', 'tokens')
+      .not('metadata->>apiKeyId', 'is', null)
+      .gte('created_at', since);
+    
+    if (error) {
+      throw error;
+    }
+    
+    const usage = {};
+    for (const log of logs || []) {
+      const entry = usage[log.apiKeyId] || (usage[log.apiKeyId] = { total: 0, byType: {}, byDay: {} });
+      const date = new Date(log.created_at).toISOString().split('T')[0];
+      entry.total++;
+      entry.byType[log.action_type] = (entry.byType[log.action_type] || 0) + 1;
+      entry.byDay[date] = (entry.byDay[date] || 0) + 1;
+    }
+    return usage;
+    
+  } catch (error) {
+    logger.error('Get API key usage error', { 
+      userId, 
+      error: error.message 
+    });
+    throw error;
+  }
+}
+
 /**
  * Track token usage for billing
  */
@@ -265,7 +484,7 @@ export async function trackTokenUsage(userId, metadata) {
     const tokens = metadata.tokensUsed || 0;
     const costCents = Math.ceil(tokens * 0.01); // Rough estimate
     
-    await supabase
+    await getSupabase()
       .from('usage_logs')
       .insert({
         user_id: userId,
@@ -0,0 +1,116 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeDatabase } from '../testing/fakeDatabase.js';
+import { apiKeyQuotaPeriod, checkApiKeyQuota, trackUsage, checkUsageLimit, getTeamUsageByMember } from './usageService.js';
+
+const realFetch = globalThis.fetch;
+
+// Answer supabase's count queries with `used` rows
+function stubQueryCount(used) {
+  globalThis.fetch = async () => new Response(null, {
+    status: 200,
+    headers: { 'Content-Range': `*/${used}` },
+  });
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('apiKeyQuotaPeriod runs from the first of the month to the first of the next (UTC)', () => {
+  assert.deepEqual(apiKeyQuotaPeriod(new Date('2024-12-31T23:30:00Z')), {
+    start: '2024-12-01T00:00:00.000Z',
+    resetDate: '2025-01-01T00:00:00.000Z',
+  });
+});
+
+test('checkApiKeyQuota allows keys without a quota without counting', async () => {
+  globalThis.fetch = async () => assert.fail('no query expected');
+
+  assert.deepEqual(await checkApiKeyQuota('key-1', null), { allowed: true, limit: null });
+});
+
+test('checkApiKeyQuota allows queries until the quota is used up', async () => {
+  stubQueryCount(2);
+  const below = await checkApiKeyQuota('key-1', 3);
+  assert.equal(below.allowed, true);
+  assert.equal(below.remaining, 1);
+
+  stubQueryCount(3);
+  const reached = await checkApiKeyQuota('key-1', 3);
+  assert.equal(reached.allowed, false);
+  assert.equal(reached.used, 3);
+  assert.equal(reached.remaining, 0);
+  assert.equal(reached.resetDate, apiKeyQuotaPeriod().resetDate);
+});
+
+// Two members and a solo user; the members' own counters must not be used
+function createTeamDatabase({ teamUsed = 0, teamLimit = 3 } = {}) {
+  const resetDate = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString();
+  return createFakeDatabase({
+    teams: [{ id: 'team-1', usage_count: teamUsed, usage_limit: teamLimit, usage_reset_date: resetDate }],
+    users: [
+      { id: 'member-1', tier: 'free', team_id: 'team-1', usage_count: 0, usage_limit: 10, usage_reset_date: resetDate },
+      { id: 'member-2', tier: 'free', team_id: 'team-1', usage_count: 0, usage_limit: 10, usage_reset_date: resetDate },
+      { id: 'solo-1', tier: 'free', team_id: null, usage_count: 0, usage_limit: 10, usage_reset_date: resetDate },
+    ],
+  }).install();
+}
+
+// Threshold webhooks are sent in the background; wait for their endpoint lookups
+async function webhookLookups(db) {
+  for (let tick = 0; tick < 50 && !db.requests.some(request => request.table === 'webhook_endpoints'); tick++) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return db.requests.filter(request => request.table === 'webhook_endpoints');
+}
+
+test('team members draw on one pooled quota', async () => {
+  const db = createTeamDatabase();
+
+  await trackUsage('member-1', 'chat');
+  await trackUsage('member-2', 'chat');
+  const third = await trackUsage('member-1', 'chat');
+
+  assert.equal(third.pooled, true);
+  assert.equal(third.used, 3);
+  assert.equal(db.tables.teams[0].usage_count, 3);
+  assert.deepEqual(db.tables.users.map(user => user.usage_count), [0, 0, 0]);
+
+  // Using up the pool notifies the team's webhook endpoints, not the member's
+  const lookups = await webhookLookups(db);
+  assert.equal(lookups.length, 2);
+  assert.match(lookups[0].params.or, /team_id\.eq\.team-1/);
+  assert.doesNotMatch(lookups[0].params.or, /member-1/);
+});
+
+test('a member is blocked once teammates have used up the pooled quota', async () => {
+  const db = createTeamDatabase({ teamUsed: 2, teamLimit: 3 });
+
+  assert.equal((await checkUsageLimit('member-2')).allowed, true);
+  await trackUsage('member-1', 'chat');
+
+  await webhookLookups(db);
+
+  const blocked = await trackUsage('member-2', 'chat');
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.pooled, true);
+  assert.equal((await checkUsageLimit('member-2')).allowed, false);
+
+  // Someone outside the team keeps their own quota
+  assert.equal((await checkUsageLimit('solo-1')).allowed, true);
+});
+
+test('getTeamUsageByMember counts each member\'s queries in the period, not token logs', async () => {
+  const db = createTeamDatabase({ teamLimit: 10 });
+
+  await trackUsage('member-1', 'chat');
+  await trackUsage('member-1', 'fact_check');
+  await trackUsage('member-2', 'chat');
+  await trackUsage('solo-1', 'chat');
+  db.tables.usage_logs.push({ user_id: 'member-2', action_type: 'tokens', created_at: new Date().toISOString() });
+
+  const since = new Date(Date.now() - 60 * 1000).toISOString();
+  assert.deepEqual(await getTeamUsageByMember('team-1', since), { 'member-1': 2, 'member-2': 1 });
+});
@@ -0,0 +1,637 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import winston from 'winston';
+import { getSupabase } from '../db/supabase.js';
+import { hasTeamPermission } from './teamService.js';
+import { isPublicHttpUrl, guardedRequestOptions } from './urlGuardService.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'webhook-service' },
+});
+
+/**
+ * Events an endpoint can subscribe to
+ */
+export const WEBHOOK_EVENTS = [
+  // An answer was saved, with its confidence and sources
+  'message.completed',
+  // The same, only for answers with low confidence
+  'low_confidence_answer',
+  // Monthly usage reached one of WEBHOOK_USAGE_THRESHOLDS percent of the quota
+  'usage.threshold_reached',
+  // The user's subscription tier changed
+  'subscription.changed',
+];
+
+// Sent by the test button; endpoints receive it whatever they subscribe to
+export const TEST_EVENT = 'webhook.test';
+
+export const MAX_ENDPOINTS_PER_OWNER = 10;
+
+const USER_AGENT = 'honestGPT-Webhooks/1.0';
+const DELIVERY_TIMEOUT_MS = 10000;
+// A delivery still 'sending' after this long was lost with its process and is retried
+const SENDING_STALE_MS = 5 * 60 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const DUE_BATCH_SIZE = 20;
+
+const ENDPOINT_FIELDS = 'id, user_id, team_id, url, description, secret, events, is_active, created_at, updated_at';
+const DELIVERY_FIELDS = 'id, endpoint_id, event_id, event_type, status, attempts, next_attempt_at, response_status, error, duration_ms, created_at, delivered_at';
+
+function maxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+}
+
+/**
+ * Sign a payload the way receivers verify it: HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} timestamp - Unix seconds, also sent in the signature header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex digest
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * Only deliver to public http(s) URLs, never hosts on the local network,
+ * unless WEBHOOK_ALLOW_PRIVATE_URLS is set for local development. Names are
+ * checked again when a delivery resolves them.
+ */
+export function isDeliverableUrl(url) {
+  return isPublicHttpUrl(url, { allowPrivate: allowPrivateUrls() });
+}
+
+/**
+ * Endpoints a user can see and manage: their own, plus their team's when they
+ * hold the manage_webhooks permission
+ * @param {Object} user - { id, teamId, teamRole, isAdmin }
+ * @returns {Array} Endpoints with their secrets masked
+ */
+export async function listEndpoints(user) {
+  let query = getSupabase()
+    .from('webhook_endpoints')
+    .select(ENDPOINT_FIELDS);
+
+  query = hasTeamPermission(user, 'manage_webhooks')
+    ? query.or(`and(user_id.eq.${user.id},team_id.is.null),team_id.eq.${user.teamId}`)
+    : query.eq('user_id', user.id).is('team_id', null);
+
+  const { data: endpoints, error } = await query.order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error listing webhook endpoints', { error: error.message, userId: user.id });
+    throw error;
+  }
+
+  return endpoints.map(formatEndpoint);
+}
+
+/**
+ * Register an endpoint. The signing secret is only returned here and by rotateSecret.
+ * @param {Object} user - Creating user
+ * @param {Object} fields - { url, description, events, scope: 'personal' | 'team' }
+ * @returns {Object} { endpoint, secret }
+ */
+export async function createEndpoint(user, { url, description = null, events, scope = 'personal' }) {
+  if (scope === 'team' && !hasTeamPermission(user, 'manage_webhooks')) {
+    throw new Error('Insufficient permissions');
+  }
+  if (!isDeliverableUrl(url)) {
+    throw new Error('Invalid webhook URL');
+  }
+
+  const teamId = scope === 'team' ? user.teamId : null;
+
+  let countQuery = getSupabase()
+    .from('webhook_endpoints')
+    .select('id', { count: 'exact', head: true });
+  countQuery = teamId ? countQuery.eq('team_id', teamId) : countQuery.eq('user_id', user.id).is('team_id', null);
+
+  const { count } = await countQuery;
+  if (count >= MAX_ENDPOINTS_PER_OWNER) {
+    throw new Error('Too many webhook endpoints');
+  }
+
+  const secret = generateSecret();
+
+  const { data: endpoint, error } = await getSupabase()
+    .from('webhook_endpoints')
+    .insert({
+      user_id: user.id,
+      team_id: teamId,
+      url,
+      description,
+      secret,
+      events,
+    })
+    .select(ENDPOINT_FIELDS)
+    .single();
+
+  if (error) {
+    logger.error('Error creating webhook endpoint', { error: error.message, userId: user.id });
+    throw error;
+  }
+
+  logger.info('Webhook endpoint created', { endpointId: endpoint.id, userId: user.id, teamId });
+  return { endpoint: formatEndpoint(endpoint), secret };
+}
+
+/**
+ * Change an endpoint's URL, description, events or whether it is active
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} user - Acting user
+ * @param {Object} updates - { url, description, events, isActive }; omitted fields are kept
+ * @returns {Object} Updated endpoint
+ */
+export async function updateEndpoint(endpointId, user, { url, description, events, isActive } = {}) {
+  await getManageableEndpoint(endpointId, user);
+
+  if (url !== undefined && !isDeliverableUrl(url)) {
+    throw new Error('Invalid webhook URL');
+  }
+
+  const { data: endpoint, error } = await getSupabase()
+    .from('webhook_endpoints')
+    .update({
+      ...(url !== undefined && { url }),
+      ...(description !== undefined && { description }),
+      ...(events !== undefined && { events }),
+      ...(isActive !== undefined && { is_active: isActive }),
+    })
+    .eq('id', endpointId)
+    .select(ENDPOINT_FIELDS)
+    .single();
+
+  if (error) {
+    logger.error('Error updating webhook endpoint', { error: error.message, endpointId });
+    throw error;
+  }
+
+  return formatEndpoint(endpoint);
+}
+
+/**
+ * Delete an endpoint and its delivery log
+ */
+export async function deleteEndpoint(endpointId, user) {
+  await getManageableEndpoint(endpointId, user);
+
+  const { error } = await getSupabase()
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', endpointId);
+
+  if (error) {
+    logger.error('Error deleting webhook endpoint', { error: error.message, endpointId });
+    throw error;
+  }
+
+  logger.info('Webhook endpoint deleted', { endpointId, userId: user.id });
+}
+
+/**
+ * Replace an endpoint's signing secret; deliveries are signed with the new one at once
+ * @returns {string} The new secret
+ */
+export async function rotateSecret(endpointId, user) {
+  await getManageableEndpoint(endpointId, user);
+
+  const secret = generateSecret();
+  const { error } = await getSupabase()
+    .from('webhook_endpoints')
+    .update({ secret })
+    .eq('id', endpointId);
+
+  if (error) {
+    logger.error('Error rotating webhook secret', { error: error.message, endpointId });
+    throw error;
+  }
+
+  logger.info('Webhook secret rotated', { endpointId, userId: user.id });
+  return secret;
+}
+
+/**
+ * An endpoint's delivery log, newest first
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} user - Acting user
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { deliveries, total, page, totalPages }
+ */
+export async function listDeliveries(endpointId, user, { page = 1, limit = 20 } = {}) {
+  await getManageableEndpoint(endpointId, user);
+
+  const offset = (page - 1) * limit;
+  const { data: deliveries, error, count } = await getSupabase()
+    .from('webhook_deliveries')
+    .select(`${DELIVERY_FIELDS}, payload`, { count: 'exact' })
+    .eq('endpoint_id', endpointId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    logger.error('Error listing webhook deliveries', { error: error.message, endpointId });
+    throw error;
+  }
+
+  return {
+    deliveries: deliveries.map(formatDelivery),
+    total: count,
+    page,
+    totalPages: Math.ceil(count / limit),
+  };
+}
+
+/**
+ * Send a webhook.test event now and wait for the endpoint's answer
+ * @returns {Object} The delivery, with the response status or error
+ */
+export async function sendTestEvent(endpointId, user) {
+  const endpoint = await getManageableEndpoint(endpointId, user);
+
+  const [delivery] = await queueDeliveries([endpoint], buildEvent(TEST_EVENT, {
+    message: 'This is a test event from honestGPT',
+    endpointId: endpoint.id,
+  }));
+
+  // A test is a single attempt; the endpoint's owner is watching for the result
+  return formatDelivery(await attemptDelivery(delivery, endpoint, { final: true }));
+}
+
+/**
+ * Send a delivery again now, whatever its status
+ * @returns {Object} The delivery after the attempt
+ */
+export async function redeliver(deliveryId, user) {
+  const { data: delivery } = await getSupabase()
+    .from('webhook_deliveries')
+    .select(`${DELIVERY_FIELDS}, payload`)
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (!delivery) {
+    throw new Error('Delivery not found');
+  }
+
+  const endpoint = await getManageableEndpoint(delivery.endpoint_id, user).catch(() => {
+    throw new Error('Delivery not found');
+  });
+
+  return formatDelivery(await attemptDelivery(delivery, endpoint, { final: true }));
+}
+
+/**
+ * Send an event to every active endpoint subscribed to it: the user's personal
+ * endpoints and their team's. Delivery happens in the background; this never throws,
+ * so callers can fire and forget.
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ * @param {Object} scope - { userId, teamId }: whose endpoints receive it (either may be null)
+ */
+export async function emitWebhookEvent(type, data, { userId = null, teamId = null } = {}) {
+  try {
+    const owners = [
+      userId && `and(user_id.eq.${userId},team_id.is.null)`,
+      teamId && `team_id.eq.${teamId}`,
+    ].filter(Boolean);
+
+    if (owners.length === 0) {
+      return;
+    }
+
+    const { data: endpoints, error } = await getSupabase()
+      .from('webhook_endpoints')
+      .select(ENDPOINT_FIELDS)
+      .eq('is_active', true)
+      .contains('events', [type])
+      .or(owners.join(','));
+
+    if (error) {
+      throw error;
+    }
+    if (!endpoints || endpoints.length === 0) {
+      return;
+    }
+
+    const deliveries = await queueDeliveries(endpoints, buildEvent(type, data));
+    const endpointsById = new Map(endpoints.map(endpoint => [endpoint.id, endpoint]));
+
+    deliveries.forEach(delivery => {
+      attemptDelivery(delivery, endpointsById.get(delivery.endpoint_id)).catch(error => {
+        logger.error('Webhook delivery error', { error: error.message, deliveryId: delivery.id });
+      });
+    });
+
+  } catch (error) {
+    logger.error('Error emitting webhook event', { error: error.message, type, userId, teamId });
+  }
+}
+
+/**
+ * Retry deliveries whose next attempt is due, and any lost mid-send
+ * @returns {number} Deliveries attempted
+ */
+export async function processDueDeliveries() {
+  const { data: due, error } = await getSupabase()
+    .from('webhook_deliveries')
+    .select(`${DELIVERY_FIELDS}, payload`)
+    .in('status', ['pending', 'sending'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(DUE_BATCH_SIZE);
+
+  if (error) {
+    logger.error('Error loading due webhook deliveries', { error: error.message });
+    return 0;
+  }
+
+  let attempted = 0;
+
+  for (const delivery of due || []) {
+    // Claim it, so another instance polling at the same time skips it
+    const { data: claimed } = await getSupabase()
+      .from('webhook_deliveries')
+      .update({
+        status: 'sending',
+        next_attempt_at: new Date(Date.now() + SENDING_STALE_MS).toISOString(),
+      })
+      .eq('id', delivery.id)
+      .eq('next_attempt_at', delivery.next_attempt_at)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) {
+      continue;
+    }
+
+    const { data: endpoint } = await getSupabase()
+      .from('webhook_endpoints')
+      .select(ENDPOINT_FIELDS)
+      .eq('id', delivery.endpoint_id)
+      .maybeSingle();
+
+    if (!endpoint || !endpoint.is_active) {
+      await finishDelivery(delivery.id, { status: 'failed', error: 'Endpoint disabled', next_attempt_at: null });
+      continue;
+    }
+
+    await attemptDelivery(delivery, endpoint);
+    attempted++;
+  }
+
+  return attempted;
+}
+
+/**
+ * Send subscription.changed for the tier changes the users table trigger recorded
+ * in subscription_changes, so the event fires whichever code path changed the tier
+ * @returns {number} Changes sent
+ */
+export async function processSubscriptionChanges() {
+  const { data: changes, error } = await getSupabase()
+    .from('subscription_changes')
+    .select('id, user_id, previous_tier, tier, created_at')
+    .is('notified_at', null)
+    .order('created_at', { ascending: true })
+    .limit(DUE_BATCH_SIZE);
+
+  if (error) {
+    logger.error('Error loading subscription changes', { error: error.message });
+    return 0;
+  }
+
+  let sent = 0;
+
+  for (const change of changes || []) {
+    // Claim it, so another instance polling at the same time skips it
+    const { data: claimed } = await getSupabase()
+      .from('subscription_changes')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('id', change.id)
+      .is('notified_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) {
+      continue;
+    }
+
+    await emitWebhookEvent('subscription.changed', {
+      userId: change.user_id,
+      previousTier: change.previous_tier,
+      tier: change.tier,
+      status: change.tier ? 'active' : 'canceled',
+      changedAt: change.created_at,
+    }, { userId: change.user_id });
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Poll for tier changes and due retries every WEBHOOK_POLL_INTERVAL_MS (default 30 seconds)
+ * @returns {Function} Stops the worker
+ */
+export function startWebhookWorker() {
+  const interval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 30000;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap with a slow batch
+    if (running) return;
+    running = true;
+    try {
+      await processSubscriptionChanges();
+      await processDueDeliveries();
+    } catch (error) {
+      logger.error('Webhook worker error', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * An endpoint the user may manage, or 'Webhook not found'
+ */
+async function getManageableEndpoint(endpointId, user) {
+  const { data: endpoint } = await getSupabase()
+    .from('webhook_endpoints')
+    .select(ENDPOINT_FIELDS)
+    .eq('id', endpointId)
+    .maybeSingle();
+
+  const allowed = endpoint && (endpoint.team_id
+    ? endpoint.team_id === user.teamId && hasTeamPermission(user, 'manage_webhooks')
+    : endpoint.user_id === user.id);
+
+  if (!allowed) {
+    throw new Error('Webhook not found');
+  }
+
+  return endpoint;
+}
+
+function buildEvent(type, data) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Log one delivery per endpoint, already claimed for an immediate first attempt
+ */
+async function queueDeliveries(endpoints, event) {
+  const { data: deliveries, error } = await getSupabase()
+    .from('webhook_deliveries')
+    .insert(endpoints.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event,
+      status: 'sending',
+      next_attempt_at: new Date(Date.now() + SENDING_STALE_MS).toISOString(),
+    })))
+    .select(`${DELIVERY_FIELDS}, payload`);
+
+  if (error) {
+    logger.error('Error queueing webhook deliveries', { error: error.message, type: event.type });
+    throw error;
+  }
+
+  return deliveries;
+}
+
+/**
+ * POST a delivery to its endpoint and record the outcome. Failures are retried
+ * with exponential backoff (1, 2, 4... minutes) until WEBHOOK_MAX_ATTEMPTS,
+ * unless final is set.
+ */
+async function attemptDelivery(delivery, endpoint, { final = false } = {}) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let responseStatus = null;
+  let failure = null;
+
+  try {
+    if (!isDeliverableUrl(endpoint.url)) {
+      throw new Error('Invalid webhook URL');
+    }
+
+    // The response body is never read: only the status is recorded and shown
+    const response = await axios.post(endpoint.url, body, {
+      ...guardedRequestOptions({ allowPrivate: allowPrivateUrls() }),
+      timeout: DELIVERY_TIMEOUT_MS,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      maxContentLength: 64 * 1024,
+      responseType: 'stream',
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-HonestGPT-Event': delivery.event_type,
+        'X-HonestGPT-Delivery': delivery.id,
+        'X-HonestGPT-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, body)}`,
+      },
+    });
+
+    response.data.destroy();
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      failure = `Endpoint answered HTTP ${response.status}`;
+    }
+  } catch (error) {
+    failure = error.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const succeeded = !failure;
+  const givingUp = !succeeded && (final || attempts >= maxAttempts());
+
+  const outcome = {
+    attempts,
+    response_status: responseStatus,
+    error: failure,
+    duration_ms: Date.now() - started,
+    status: succeeded ? 'succeeded' : givingUp ? 'failed' : 'pending',
+    next_attempt_at: succeeded || givingUp
+      ? null
+      : new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+    delivered_at: succeeded ? new Date().toISOString() : null,
+  };
+
+  await finishDelivery(delivery.id, outcome);
+
+  if (!succeeded) {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery.id,
+      endpointId: endpoint.id,
+      attempts,
+      error: failure,
+      willRetry: !givingUp,
+    });
+  }
+
+  return { ...delivery, ...outcome };
+}
+
+async function finishDelivery(deliveryId, outcome) {
+  const { error } = await getSupabase()
+    .from('webhook_deliveries')
+    .update(outcome)
+    .eq('id', deliveryId);
+
+  if (error) {
+    logger.error('Error recording webhook delivery', { error: error.message, deliveryId });
+  }
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function formatEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    scope: endpoint.team_id ? 'team' : 'personal',
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    isActive: endpoint.is_active,
+    // Enough to tell secrets apart after a rotation
+    secretPreview: `${endpoint.secret.slice(0, 10)}...`,
+    createdBy: endpoint.user_id,
+    createdAt: endpoint.created_at,
+    updatedAt: endpoint.updated_at,
+  };
+}
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    responseStatus: delivery.response_status,
+    error: delivery.error,
+    durationMs: delivery.duration_ms,
+    payload: delivery.payload,
+    createdAt: delivery.created_at,
+    deliveredAt: delivery.delivered_at,
+  };
+}
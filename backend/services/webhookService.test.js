@@ -0,0 +1,152 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import { signPayload, isDeliverableUrl, sendTestEvent, processSubscriptionChanges } from './webhookService.js';
+
+const realFetch = globalThis.fetch;
+
+// Answer supabase's REST calls in order, recording each request body
+function stubDatabase(responses) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url: decodeURIComponent(String(url)), method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null });
+    const { status = 200, body = null } = responses.shift() || {};
+    const single = (new Headers(init.headers).get('Accept') || '').includes('vnd.pgrst.object');
+    const payload = single && Array.isArray(body) ? body[0] : body;
+    return new Response(payload === null ? null : JSON.stringify(payload), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+  return requests;
+}
+
+// Send a test event for an endpoint on `host` to a local server answering `reply`,
+// returning the delivery, what was stored and how many requests the server saw
+async function sendTestTo(host, reply) {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(reply);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const user = { id: 'user-1' };
+  const endpoint = {
+    id: 'endpoint-1',
+    user_id: user.id,
+    team_id: null,
+    url: `http://${host}:${server.address().port}/hook`,
+    secret: 'whsec_test',
+    events: ['message.completed'],
+    is_active: true,
+  };
+  const requests = stubDatabase([
+    { body: [endpoint] },
+    { status: 201, body: [{ id: 'delivery-1', endpoint_id: endpoint.id, event_type: 'webhook.test', attempts: 0, payload: {} }] },
+    { status: 204 },
+  ]);
+
+  try {
+    const delivery = await sendTestEvent(endpoint.id, user);
+    return { delivery, stored: requests[2].body, received };
+  } finally {
+    server.close();
+  }
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  mock.restoreAll();
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+});
+
+test('signPayload is the HMAC-SHA256 of "<timestamp>.<body>" that receivers recompute', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'webhook.test' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signPayload('whsec_test', 1700000000, body), expected);
+});
+
+test('signPayload changes with the secret, the timestamp and the body', () => {
+  const signature = signPayload('whsec_test', 1700000000, '{}');
+
+  assert.notEqual(signPayload('whsec_other', 1700000000, '{}'), signature);
+  assert.notEqual(signPayload('whsec_test', 1700000001, '{}'), signature);
+  assert.notEqual(signPayload('whsec_test', 1700000000, '{ }'), signature);
+});
+
+test('isDeliverableUrl refuses private and metadata addresses and other schemes', () => {
+  for (const url of [
+    'http://169.254.169.254/latest/meta-data/',
+    'http://127.0.0.1:3000/hook',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://localhost/hook',
+    'ftp://example.com/hook',
+  ]) {
+    assert.equal(isDeliverableUrl(url), false, url);
+  }
+  assert.equal(isDeliverableUrl('https://hooks.example.com/honestgpt'), true);
+});
+
+test('isDeliverableUrl allows private URLs only with WEBHOOK_ALLOW_PRIVATE_URLS', () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+  assert.equal(isDeliverableUrl('http://localhost:4000/hook'), true);
+});
+
+test('deliveries to a name that resolves to a private address are refused before connecting', async () => {
+  // A public-looking name whose DNS record points at this machine
+  const lookup = dns.lookup;
+  mock.method(dns, 'lookup', (hostname, options, callback) =>
+    hostname === 'hooks.example.com'
+      ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+      : lookup(hostname, options, callback));
+
+  const { delivery, stored, received } = await sendTestTo('hooks.example.com', 'internal data');
+
+  assert.equal(received, 0);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.responseStatus, null);
+  assert.match(delivery.error, /private address/);
+  assert.equal(stored.status, 'failed');
+});
+
+test('only the response status of a delivery is stored and returned, never its body', async () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+  const { delivery, stored, received } = await sendTestTo('localhost', 'internal data');
+
+  assert.equal(received, 1);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.responseStatus, 200);
+  assert.ok(!JSON.stringify(delivery).includes('internal data'));
+  assert.ok(!JSON.stringify(stored).includes('internal data'));
+});
+
+test('processSubscriptionChanges sends subscription.changed for recorded tier changes it claims', async () => {
+  const requests = stubDatabase([
+    { body: [{ id: 'change-1', user_id: 'user-1', previous_tier: 'pro', tier: null, created_at: '2024-01-20T00:00:00Z' }] },
+    { body: [{ id: 'change-1' }] },
+    { body: [] },
+  ]);
+
+  assert.equal(await processSubscriptionChanges(), 1);
+  assert.ok(requests[1].body.notified_at);
+  assert.match(requests[2].url, /webhook_endpoints/);
+  assert.match(requests[2].url, /subscription\.changed/);
+  assert.match(requests[2].url, /user_id\.eq\.user-1/);
+});
+
+test('processSubscriptionChanges skips changes another instance already claimed', async () => {
+  const requests = stubDatabase([
+    { body: [{ id: 'change-1', user_id: 'user-1', previous_tier: 'free', tier: 'pro', created_at: '2024-01-20T00:00:00Z' }] },
+    { body: [] },
+  ]);
+
+  assert.equal(await processSubscriptionChanges(), 0);
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+
+/**
+ * In-memory stand-in for Supabase's REST API (PostgREST) for unit tests.
+ * install() puts it in front of globalThis.fetch; requests to other URLs go
+ * to the real fetch. It understands the subset the services use: eq, neq,
+ * gt(e), lt(e), is, in, like, ilike and cs filters (also negated with not.),
+ * or=(...), order, limit/offset, exact counts, single rows, upserts and rpc.
+ * Embedded resources in select are not joined; store them on the rows.
+ * @param {Object} tables - Initial rows by table name
+ * @param {Object} options - { rpc: { name: (args, tables) => result } }
+ * @returns {Object} { tables, requests, failNext, install, restore }
+ */
+export function createFakeDatabase(tables = {}, { rpc = {} } = {}) {
+  const realFetch = globalThis.fetch;
+  const failures = [];
+
+  const db = {
+    tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))])),
+    // Every request that reached the fake: { method, table, params, body }
+    requests: [],
+
+    /**
+     * Answer the next matching request with a database error
+     * @param {string} table - Table (or rpc/<name>)
+     * @param {string} method - HTTP method, or any when omitted
+     * @param {Object} error - PostgREST error body
+     */
+    failNext(table, method = null, error = { message: 'Simulated database error', code: 'XX000' }) {
+      failures.push({ table, method, error });
+    },
+
+    install() {
+      globalThis.fetch = (url, init) => handle(db, failures, rpc, realFetch, url, init);
+      return db;
+    },
+
+    restore() {
+      globalThis.fetch = realFetch;
+    },
+
+    /** Requests that changed a table */
+    writes(table) {
+      return db.requests.filter(request => request.method !== 'GET' && request.method !== 'HEAD' &&
+        (!table || request.table === table));
+    },
+  };
+
+  return db;
+}
+
+async function handle(db, failures, rpc, realFetch, url, init = {}) {
+  const target = new URL(String(url));
+  if (!target.pathname.startsWith('/rest/v1/')) {
+    return realFetch(url, init);
+  }
+
+  const table = target.pathname.slice('/rest/v1/'.length);
+  const method = (init.method || 'GET').toUpperCase();
+  const headers = new Headers(init.headers);
+  const body = init.body ? JSON.parse(init.body) : null;
+  db.requests.push({ method, table, params: Object.fromEntries(target.searchParams), body });
+
+  const failure = failures.findIndex(entry => entry.table === table && (!entry.method || entry.method === method));
+  if (failure !== -1) {
+    const [{ error }] = failures.splice(failure, 1);
+    return json(error, 400);
+  }
+
+  if (table.startsWith('rpc/')) {
+    const fn = rpc[table.slice('rpc/'.length)];
+    if (!fn) {
+      return json({ message: `Could not find the function ${table}`, code: 'PGRST202' }, 404);
+    }
+    try {
+      return json(await fn(body || {}, db.tables));
+    } catch (error) {
+      return json({ message: error.message }, 400);
+    }
+  }
+
+  const rows = db.tables[table] || (db.tables[table] = []);
+  const prefer = headers.get('Prefer') || '';
+  const params = target.searchParams;
+  const matches = (row) => matchesFilters(row, params);
+
+  let result;
+  let status = 200;
+
+  if (method === 'GET' || method === 'HEAD') {
+    result = rows.filter(matches);
+  } else if (method === 'POST') {
+    const incoming = (Array.isArray(body) ? body : [body]).map(row => ({ ...row }));
+    const upsert = prefer.includes('resolution=merge-duplicates') || prefer.includes('resolution=ignore-duplicates');
+    const conflictColumns = (params.get('on_conflict') || 'id').split(',');
+    result = [];
+
+    for (const row of incoming) {
+      const existing = upsert && rows.find(candidate =>
+        conflictColumns.every(column => row[column] !== undefined && candidate[column] === row[column]));
+      if (existing) {
+        if (prefer.includes('resolution=merge-duplicates')) {
+          Object.assign(existing, row);
+        }
+        result.push(existing);
+      } else {
+        const inserted = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+        rows.push(inserted);
+        result.push(inserted);
+      }
+    }
+    status = 201;
+  } else if (method === 'PATCH') {
+    result = rows.filter(matches);
+    result.forEach(row => Object.assign(row, body));
+  } else if (method === 'DELETE') {
+    result = rows.filter(matches);
+    db.tables[table] = rows.filter(row => !result.includes(row));
+  } else {
+    return json({ message: `Unsupported method ${method}` }, 405);
+  }
+
+  const total = result.length;
+  result = sortRows(result, params.get('order'));
+
+  const offset = parseInt(params.get('offset')) || 0;
+  const limit = params.has('limit') ? parseInt(params.get('limit')) : Infinity;
+  result = result.slice(offset, offset + limit).map(row => project(row, params.get('select')));
+
+  const responseHeaders = { 'Content-Type': 'application/json' };
+  if (prefer.includes('count=')) {
+    responseHeaders['Content-Range'] = `${offset}-${offset + Math.max(result.length - 1, 0)}/${total}`;
+  }
+
+  const returnsRows = method === 'GET' || prefer.includes('return=representation');
+  if (!returnsRows) {
+    return new Response(null, { status: method === 'POST' ? 201 : 204, headers: responseHeaders });
+  }
+
+  if ((headers.get('Accept') || '').includes('vnd.pgrst.object')) {
+    if (result.length !== 1) {
+      return json({
+        code: 'PGRST116',
+        message: 'JSON object requested, multiple (or no) rows returned',
+        details: `The result contains ${result.length} rows`,
+      }, 406);
+    }
+    return new Response(JSON.stringify(result[0]), { status, headers: responseHeaders });
+  }
+
+  return new Response(method === 'HEAD' ? null : JSON.stringify(result), { status, headers: responseHeaders });
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Query parameters that are not column filters
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+function matchesFilters(row, params) {
+  for (const [key, value] of params) {
+    if (RESERVED_PARAMS.has(key)) continue;
+
+    if (key === 'or' || key === 'and') {
+      if (!matchesLogical(row, key, value)) return false;
+      continue;
+    }
+
+    if (!matchesExpression(row[key], value)) return false;
+  }
+  return true;
+}
+
+// or=(a.eq.1,and(b.eq.2,c.is.null)) and the nested groups inside it
+function matchesLogical(row, kind, group) {
+  const results = splitTopLevel(group.slice(1, -1)).map(condition => {
+    const nested = condition.match(/^(and|or)(\(.*\))$/);
+    if (nested) {
+      return matchesLogical(row, nested[1], nested[2]);
+    }
+    const dot = condition.indexOf('.');
+    return matchesExpression(row[condition.slice(0, dot)], condition.slice(dot + 1));
+  });
+  return kind === 'or' ? results.some(Boolean) : results.every(Boolean);
+}
+
+function matchesExpression(actual, expression) {
+  if (expression.startsWith('not.')) {
+    return !matchesExpression(actual, expression.slice(4));
+  }
+
+  const dot = expression.indexOf('.');
+  const operator = expression.slice(0, dot);
+  const operand = expression.slice(dot + 1);
+
+  switch (operator) {
+    case 'eq':
+      return actual !== null && actual !== undefined && String(actual) === operand;
+    case 'neq':
+      return actual !== null && actual !== undefined && String(actual) !== operand;
+    case 'gt':
+      return actual != null && compare(actual, operand) > 0;
+    case 'gte':
+      return actual != null && compare(actual, operand) >= 0;
+    case 'lt':
+      return actual != null && compare(actual, operand) < 0;
+    case 'lte':
+      return actual != null && compare(actual, operand) <= 0;
+    case 'is':
+      if (operand === 'null') return actual === null || actual === undefined;
+      return actual === (operand === 'true');
+    case 'in':
+      return splitTopLevel(operand.slice(1, -1)).map(unquote).includes(String(actual));
+    case 'like':
+      return actual != null && likePattern(operand, '').test(String(actual));
+    case 'ilike':
+      return actual != null && likePattern(operand, 'i').test(String(actual));
+    case 'cs':
+      return containsValue(actual, operand);
+    default:
+      throw new Error(`Unsupported filter operator "${operator}"`);
+  }
+}
+
+function compare(actual, operand) {
+  const number = Number(operand);
+  if (typeof actual === 'number' && !Number.isNaN(number)) {
+    return actual - number;
+  }
+  const actualTime = Date.parse(actual);
+  const operandTime = Date.parse(operand);
+  if (!Number.isNaN(actualTime) && !Number.isNaN(operandTime)) {
+    return actualTime - operandTime;
+  }
+  return String(actual).localeCompare(operand);
+}
+
+function likePattern(pattern, flags) {
+  const source = pattern
+    .split(/([*%_])/)
+    .map(part => (part === '*' || part === '%' ? '.*' : part === '_' ? '.' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+}
+
+function containsValue(actual, operand) {
+  if (Array.isArray(actual)) {
+    const wanted = operand.startsWith('[') ? JSON.parse(operand) : splitTopLevel(operand.slice(1, -1)).map(unquote);
+    return wanted.every(item => actual.map(String).includes(String(item)));
+  }
+  if (actual && typeof actual === 'object') {
+    const wanted = JSON.parse(operand);
+    return Object.entries(wanted).every(([key, value]) => JSON.stringify(actual[key]) === JSON.stringify(value));
+  }
+  return false;
+}
+
+// Split on commas outside parentheses, braces and quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && (char === '(' || char === '{')) depth++;
+    if (!quoted && (char === ')' || char === '}')) depth--;
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+
+  const keys = order.split(',').map(part => {
+    const [column, ...modifiers] = part.split('.');
+    const descending = modifiers.includes('desc');
+    // PostgreSQL puts nulls last ascending and first descending unless told otherwise
+    const nullsFirst = modifiers.includes('nullsfirst') || (descending && !modifiers.includes('nullslast'));
+    return { column, descending, nullsFirst };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending, nullsFirst } of keys) {
+      const left = a[column];
+      const right = b[column];
+      if (left == null || right == null) {
+        if (left == null && right == null) continue;
+        return (left == null) === nullsFirst ? -1 : 1;
+      }
+      const difference = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : typeof left === 'boolean'
+          ? Number(left) - Number(right)
+          : String(left).localeCompare(String(right));
+      if (difference !== 0) return descending ? -difference : difference;
+    }
+    return 0;
+  });
+}
+
+// Pick plain columns; selects with embedded resources or casts return the whole row
+function project(row, select) {
+  if (!select || select === '*') return { ...row };
+
+  const columns = select.split(',');
+  if (!columns.every(column => /^[a-z_][a-z0-9_]*$/i.test(column))) return { ...row };
+
+  return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+}
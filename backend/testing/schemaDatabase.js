@@ -0,0 +1,54 @@
+import fs from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+import { vector } from '@electric-sql/pglite/vector';
+import { pgcrypto } from '@electric-sql/pglite/contrib/pgcrypto';
+import { uuid_ossp as uuidOssp } from '@electric-sql/pglite/contrib/uuid_ossp';
+
+const SCHEMA_PATH = new URL('../db/schema.sql', import.meta.url);
+
+/**
+ * An in-process PostgreSQL (PGlite) with db/schema.sql applied, for testing the
+ * SQL functions and policies in the schema. As in Supabase, auth.uid() reads the
+ * request.jwt.claim.sub setting and signed-in requests run as the authenticated
+ * role (see asUser). Loading takes a few seconds, so create one per test file
+ * and close() it when done.
+ * @returns {Promise<PGlite>} Database
+ */
+export async function createSchemaDatabase() {
+  const db = new PGlite({ extensions: { vector, pgcrypto, uuid_ossp: uuidOssp } });
+
+  await db.exec(`
+    CREATE SCHEMA auth;
+    CREATE FUNCTION auth.uid() RETURNS UUID AS $$
+      SELECT nullif(current_setting('request.jwt.claim.sub', true), '')::UUID
+    $$ LANGUAGE sql STABLE;
+  `);
+  await db.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  await db.exec(`
+    CREATE ROLE authenticated;
+    GRANT USAGE ON SCHEMA public, auth TO authenticated;
+    GRANT ALL ON ALL TABLES IN SCHEMA public TO authenticated;
+  `);
+
+  return db;
+}
+
+/**
+ * Run queries as a signed-in user, so row level security applies as it does
+ * for requests made with that user's Supabase session. Changes are rolled back.
+ * @param {PGlite} db - Database from createSchemaDatabase
+ * @param {string} userId - User the session belongs to
+ * @param {Function} fn - Receives the transaction; its result is returned
+ */
+export async function asUser(db, userId, fn) {
+  let result;
+
+  await db.transaction(async (tx) => {
+    await tx.query("SELECT set_config('request.jwt.claim.sub', $1, true)", [userId]);
+    await tx.exec('SET LOCAL ROLE authenticated');
+    result = await fn(tx);
+    await tx.rollback();
+  });
+
+  return result;
+}
@@ -0,0 +1,50 @@
+import { registerModelProvider } from '../services/modelProviders/index.js';
+
+/**
+ * Route the free tier (and calls without a tier) to a model provider that
+ * answers with the given replies in order, for unit tests of code that calls
+ * generateCompletion. A reply that is an Error is thrown instead, as a provider
+ * failure would be. Install a fake database first so model_routes is empty.
+ * @param {Array} replies - Completion contents (strings) or Errors
+ * @returns {Object} { requests, restore } where requests holds each call's messages
+ */
+export function useScriptedModel(replies = []) {
+  const queue = [...replies];
+  const requests = [];
+  const previousRoute = process.env.MODEL_ROUTE_FREE;
+  const previousFallback = process.env.MODEL_FALLBACK;
+
+  registerModelProvider('scripted', () => ({
+    name: 'scripted',
+    async complete({ messages }) {
+      requests.push(messages);
+      const reply = queue.shift();
+      if (reply === undefined) {
+        throw new Error('No scripted reply left');
+      }
+      if (reply instanceof Error) {
+        throw reply;
+      }
+      return { content: reply, usage: null };
+    },
+  }));
+
+  process.env.MODEL_ROUTE_FREE = 'scripted:test';
+  delete process.env.MODEL_FALLBACK;
+
+  return {
+    requests,
+    restore() {
+      restoreEnv('MODEL_ROUTE_FREE', previousRoute);
+      restoreEnv('MODEL_FALLBACK', previousFallback);
+    },
+  };
+}
+
+function restoreEnv(name, value) {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+}
@@ -18,6 +18,9 @@ import Profile from './pages/Profile';
 import Billing from './pages/Billing';
 import PaymentSuccess from './pages/PaymentSuccess';
 import PaymentCancel from './pages/PaymentCancel';
+import AdminDomainsPage from './pages/AdminDomainsPage';
+import SharedConversationPage from './pages/SharedConversationPage';
+import InvitePage from './pages/InvitePage';
 
 // Loading component
 const LoadingSpinner = () => (
@@ -62,6 +65,8 @@ function App() {
                 <Route path="/login" element={!isAuthenticated ? <Login /> : <Navigate to="/chat" />} />
                 <Route path="/register" element={!isAuthenticated ? <Register /> : <Navigate to="/chat" />} />
                 <Route path="/pricing" element={<Pricing />} />
+                <Route path="/share/:token" element={<SharedConversationPage />} />
+                <Route path="/invite/:token" element={<InvitePage />} />
                 
                 {/* Payment routes */}
                 <Route path="/payment-success" element={<PaymentSuccess />} />
@@ -100,6 +105,14 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/admin/domains"
+                  element={
+                    <ProtectedRoute>
+                      <AdminDomainsPage />
+                    </ProtectedRoute>
+                  }
+                />
                 
                 {/* Catch all - 404 */}
                 <Route
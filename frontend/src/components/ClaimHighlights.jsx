@@ -0,0 +1,78 @@
+import React from 'react';
+
+const VERDICT_LABELS = {
+  supported: 'Supported',
+  contradicted: 'Contradicted',
+  unverified: 'Unverified',
+};
+
+export function describeClaim(claim) {
+  const sources = claim.verdict === 'contradicted'
+    ? claim.contradictingSources
+    : claim.supportingSources;
+  const domains = (sources || []).map(source => source.domain).join(', ');
+  const uncited = claim.citations && claim.citations.length === 0 ? ' - not cited' : '';
+
+  return `${VERDICT_LABELS[claim.verdict]} (${claim.confidence}% confidence)${domains ? ` by ${domains}` : ''}${uncited}`;
+}
+
+/**
+ * Answer text with each verified claim underlined by its verdict and
+ * [n] citation markers rendered as clickable superscripts
+ */
+export default function ClaimHighlights({ content, claims, onCite }) {
+  if (!claims || claims.length === 0) {
+    return <>{renderCitations(content, onCite, 'text')}</>;
+  }
+
+  const segments = [];
+  let cursor = 0;
+
+  [...claims]
+    .sort((a, b) => a.start - b.start)
+    .forEach(claim => {
+      // Skip claims whose offsets no longer line up with the text
+      if (claim.start < cursor || content.slice(claim.start, claim.end) !== claim.text) {
+        return;
+      }
+
+      segments.push(...renderCitations(content.slice(cursor, claim.start), onCite, `before-${claim.id}`));
+      segments.push(
+        <span
+          key={claim.id}
+          className={`claim claim-${claim.verdict}`}
+          title={describeClaim(claim)}
+        >
+          {renderCitations(claim.text, onCite, `claim-${claim.id}`)}
+        </span>
+      );
+      cursor = claim.end;
+    });
+
+  segments.push(...renderCitations(content.slice(cursor), onCite, 'after'));
+
+  return <>{segments}</>;
+}
+
+function renderCitations(text, onCite, keyPrefix) {
+  return text.split(/(\[\d+\])/).map((part, index) => {
+    const marker = part.match(/^\[(\d+)\]$/);
+    if (!marker) {
+      return part;
+    }
+
+    const number = parseInt(marker[1], 10);
+    return (
+      <sup key={`${keyPrefix}-${index}`}>
+        <button
+          type="button"
+          onClick={() => onCite && onCite(number)}
+          className="citation-marker"
+          title={`Go to source ${number}`}
+        >
+          {number}
+        </button>
+      </sup>
+    );
+  });
+}
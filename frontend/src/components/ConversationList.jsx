@@ -1,104 +1,530 @@
-import React from 'react';
-import { MessageSquare, Trash2, MoreVertical } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import {
+  MessageSquare, Trash2, MoreVertical, Pin, PinOff, Archive, ArchiveRestore,
+  Pencil, Tag, Folder, FolderPlus, FolderInput, Sparkles, Inbox, X, Users
+} from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import clsx from 'clsx';
+import { toast } from 'react-hot-toast';
+import apiService from '../services/api';
+import ConversationSearch from './ConversationSearch';
 
-export default function ConversationList({ conversations, currentId, onSelect, onDelete }) {
-  if (!conversations || conversations.length === 0) {
-    return (
-      <div className="p-4 text-center text-gray-400">
-        <MessageSquare size={32} className="mx-auto mb-2 opacity-50" />
-        <p className="text-sm">No conversations yet</p>
-        <p className="text-xs mt-1">Start a new chat to begin</p>
-      </div>
-    );
+const THEMES = {
+  dark: {
+    item: 'border-b border-gray-800',
+    active: 'bg-gray-800',
+    hover: 'hover:bg-gray-800/50',
+    title: 'text-white',
+    muted: 'text-gray-400',
+    faint: 'text-gray-500',
+    menu: 'bg-gray-900 border-gray-700',
+    menuItem: 'text-gray-200 hover:bg-gray-800',
+    divider: 'border-gray-700',
+    input: 'bg-gray-800 border-gray-700 text-white placeholder-gray-500',
+    chip: 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+  },
+  light: {
+    item: 'rounded-xl',
+    active: 'bg-gradient-to-r from-purple-50 to-indigo-50 border-l-4 border-purple-600',
+    hover: 'hover:bg-gray-50',
+    title: 'text-gray-900',
+    muted: 'text-gray-500',
+    faint: 'text-gray-400',
+    menu: 'bg-white border-gray-200',
+    menuItem: 'text-gray-700 hover:bg-gray-50',
+    divider: 'border-gray-100',
+    input: 'bg-white border-gray-200 text-gray-900',
+    chip: 'bg-gray-100 text-gray-600 hover:bg-gray-200'
   }
+};
+
+const ALL_VIEW = { folderId: null, tag: null, archived: false, scope: null };
+// Conversations teammates shared with the team; folders, tags and archiving do not apply
+const TEAM_VIEW = { ...ALL_VIEW, scope: 'team' };
+
+// "health, Vaccines" -> ['health', 'vaccines']
+const parseTags = (text) => [...new Set(
+  text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+)];
+
+/**
+ * Sidebar list of the user's conversations with search, folders, tags,
+ * pinning, renaming, archiving and, for team members, sharing with the team.
+ * Change refreshKey to reload it, e.g. after a message creates or titles a
+ * conversation.
+ */
+export default function ConversationList({ currentId, onSelect, onRemoved, refreshKey, inTeam = false, variant = 'dark' }) {
+  const [conversations, setConversations] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [view, setView] = useState(ALL_VIEW);
+  const [isLoading, setIsLoading] = useState(true);
+  const theme = THEMES[variant];
+
+  const loadConversations = async () => {
+    try {
+      const response = await apiService.getConversations(view);
+      setConversations(response.conversations || []);
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadFoldersAndTags = async () => {
+    try {
+      const [folderResponse, tagResponse] = await Promise.all([
+        apiService.getFolders(),
+        apiService.getConversationTags()
+      ]);
+      setFolders(folderResponse.folders || []);
+      setTags(tagResponse.tags || []);
+    } catch (error) {
+      console.error('Failed to load folders:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadConversations();
+  }, [view, refreshKey]);
+
+  useEffect(() => {
+    loadFoldersAndTags();
+  }, [refreshKey]);
+
+  const updateConversation = async (conversation, updates) => {
+    try {
+      await apiService.updateConversation(conversation.id, updates);
+      // Pinning, archiving and filing can move the conversation within or out of the current view
+      await Promise.all([loadConversations(), loadFoldersAndTags()]);
+      if (updates.archived && conversation.id === currentId) {
+        onRemoved?.(conversation.id);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to update conversation');
+    }
+  };
+
+  const generateTitle = async (conversation) => {
+    try {
+      const response = await apiService.generateTitle(conversation.id);
+      setConversations(prev => prev.map(item => (
+        item.id === conversation.id ? { ...item, title: response.title } : item
+      )));
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate a title');
+    }
+  };
+
+  const deleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"? Archive it instead to keep it.`)) return;
+
+    try {
+      await apiService.deleteConversation(conversation.id);
+      setConversations(prev => prev.filter(item => item.id !== conversation.id));
+      loadFoldersAndTags();
+      onRemoved?.(conversation.id);
+    } catch (error) {
+      toast.error('Failed to delete conversation');
+    }
+  };
+
+  const createFolder = async (name) => {
+    try {
+      const response = await apiService.createFolder(name);
+      setFolders(prev => [...prev, response.folder].sort((a, b) => a.name.localeCompare(b.name)));
+      return response.folder;
+    } catch (error) {
+      toast.error(error.message || 'Failed to create folder');
+      return null;
+    }
+  };
+
+  const renameFolder = async (folder) => {
+    const name = window.prompt('Folder name', folder.name)?.trim();
+    if (!name || name === folder.name) return;
+
+    try {
+      await apiService.renameFolder(folder.id, name);
+      loadFoldersAndTags();
+    } catch (error) {
+      toast.error(error.message || 'Failed to rename folder');
+    }
+  };
+
+  const deleteFolder = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its conversations are kept.`)) return;
+
+    try {
+      await apiService.deleteFolder(folder.id);
+      if (view.folderId === folder.id) {
+        setView(ALL_VIEW);
+      } else {
+        loadConversations();
+      }
+      loadFoldersAndTags();
+    } catch (error) {
+      toast.error('Failed to delete folder');
+    }
+  };
+
+  const pinned = conversations.filter(conversation => conversation.pinned_at);
+  const others = conversations.filter(conversation => !conversation.pinned_at);
+  const isFiltered = Boolean(view.folderId || view.tag || view.archived || view.scope);
+  const isTeamView = view.scope === 'team';
+  const headingClass = clsx('text-xs font-semibold uppercase tracking-wider mt-3 mb-1', variant === 'dark' && 'px-3', theme.faint);
+
+  const renderItems = (items) => items.map((conversation) => (
+    <ConversationItem
+      key={conversation.id}
+      conversation={conversation}
+      folders={folders}
+      theme={theme}
+      isActive={conversation.id === currentId}
+      readOnly={isTeamView}
+      inTeam={inTeam}
+      onSelect={() => onSelect(conversation.id)}
+      onUpdate={(updates) => updateConversation(conversation, updates)}
+      onGenerateTitle={() => generateTitle(conversation)}
+      onCreateFolder={createFolder}
+      onDelete={() => deleteConversation(conversation)}
+    />
+  ));
 
   return (
     <div className="flex-1 overflow-y-auto">
-      {conversations.map((conversation) => (
-        <ConversationItem
-          key={conversation.id}
-          conversation={conversation}
-          isActive={conversation.id === currentId}
-          onSelect={() => onSelect(conversation.id)}
-          onDelete={() => onDelete(conversation.id)}
-        />
-      ))}
+      <div className={clsx(variant === 'dark' && 'px-3 pt-3')}>
+        <ConversationSearch onSelect={onSelect} variant={variant}>
+          <ViewPicker
+            view={view}
+            folders={folders}
+            tags={tags}
+            theme={theme}
+            inTeam={inTeam}
+            onChange={setView}
+            onCreateFolder={createFolder}
+            onRenameFolder={renameFolder}
+            onDeleteFolder={deleteFolder}
+          />
+
+          {!isLoading && conversations.length === 0 ? (
+            <div className={clsx('p-4 text-center', theme.muted)}>
+              <MessageSquare size={32} className="mx-auto mb-2 opacity-50" />
+              {isFiltered ? (
+                <p className="text-sm">No conversations here</p>
+              ) : (
+                <>
+                  <p className="text-sm">No conversations yet</p>
+                  <p className="text-xs mt-1">Start a new chat to begin</p>
+                </>
+              )}
+            </div>
+          ) : (
+            <div className={clsx(variant === 'dark' ? '-mx-3' : 'space-y-1')}>
+              {pinned.length > 0 && (
+                <>
+                  <h3 className={headingClass}>Pinned</h3>
+                  {renderItems(pinned)}
+                </>
+              )}
+              <h3 className={headingClass}>
+                {view.archived ? 'Archived' : isTeamView ? 'Shared with Team' : 'Recent Conversations'}
+              </h3>
+              {renderItems(others)}
+            </div>
+          )}
+        </ConversationSearch>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * All, archived, team, folder and tag filters for the list
+ */
+function ViewPicker({ view, folders, tags, theme, inTeam, onChange, onCreateFolder, onRenameFolder, onDeleteFolder }) {
+  // Name of the folder being created, or null when the form is closed
+  const [newFolder, setNewFolder] = useState(null);
+
+  const chipClass = (selected) => clsx(
+    'inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs transition-colors',
+    selected ? 'bg-purple-600 text-white' : theme.chip
+  );
+
+  const submitFolder = async (e) => {
+    e.preventDefault();
+    const name = newFolder?.trim();
+    if (name && await onCreateFolder(name)) {
+      setNewFolder(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-1">
+        <button onClick={() => onChange(ALL_VIEW)} className={chipClass(!view.folderId && !view.tag && !view.archived && !view.scope)}>
+          <Inbox className="h-3 w-3" />
+          All
+        </button>
+        <button onClick={() => onChange({ ...ALL_VIEW, archived: true })} className={chipClass(view.archived)}>
+          <Archive className="h-3 w-3" />
+          Archived
+        </button>
+        {inTeam && (
+          <button onClick={() => onChange(TEAM_VIEW)} className={chipClass(view.scope === 'team')}>
+            <Users className="h-3 w-3" />
+            Team
+          </button>
+        )}
+        <button onClick={() => setNewFolder(newFolder === null ? '' : null)} className={chipClass(false)} title="New folder">
+          <FolderPlus className="h-3 w-3" />
+        </button>
+      </div>
+
+      {newFolder !== null && (
+        <form onSubmit={submitFolder}>
+          <input
+            autoFocus
+            value={newFolder}
+            onChange={(e) => setNewFolder(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setNewFolder(null)}
+            placeholder="Folder name"
+            maxLength={100}
+            className={clsx('w-full text-sm rounded-lg border px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500', theme.input)}
+          />
+        </form>
+      )}
+
+      {folders.length > 0 && (
+        <div className="space-y-0.5">
+          {folders.map(folder => (
+            <div key={folder.id} className="group flex items-center">
+              <button
+                onClick={() => onChange({ ...ALL_VIEW, folderId: folder.id })}
+                className={clsx(
+                  'flex-1 min-w-0 flex items-center gap-2 px-2 py-1 rounded-lg text-sm text-left',
+                  view.folderId === folder.id ? 'text-purple-600 font-medium' : theme.muted
+                )}
+              >
+                <Folder className="h-4 w-4 flex-shrink-0" />
+                <span className="truncate">{folder.name}</span>
+                <span className={clsx('text-xs', theme.faint)}>{folder.conversation_count}</span>
+              </button>
+              <button onClick={() => onRenameFolder(folder)} title="Rename folder" className={clsx('p-1 opacity-0 group-hover:opacity-100', theme.faint)}>
+                <Pencil className="h-3 w-3" />
+              </button>
+              <button onClick={() => onDeleteFolder(folder)} title="Delete folder" className="p-1 opacity-0 group-hover:opacity-100 text-red-400">
+                <Trash2 className="h-3 w-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              onClick={() => onChange(view.tag === tag ? ALL_VIEW : { ...ALL_VIEW, tag })}
+              className={chipClass(view.tag === tag)}
+              title={`${count} ${count === 1 ? 'conversation' : 'conversations'}`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
-function ConversationItem({ conversation, isActive, onSelect, onDelete }) {
-  const [showMenu, setShowMenu] = React.useState(false);
+function ConversationItem({ conversation, folders, theme, isActive, readOnly, inTeam, onSelect, onUpdate, onGenerateTitle, onCreateFolder, onDelete }) {
+  const [showMenu, setShowMenu] = useState(false);
+  // 'title' or 'tags' while editing inline
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  const lastActivity = conversation.last_message_at || conversation.updated_at;
 
-  const handleDelete = (e) => {
+  const runAction = (action) => (e) => {
     e.stopPropagation();
     setShowMenu(false);
-    onDelete();
+    action();
+  };
+
+  const startEditing = (field) => {
+    setEditing(field);
+    setDraft(field === 'title' ? conversation.title : (conversation.tags || []).join(', '));
+  };
+
+  const saveEdit = (e) => {
+    e.preventDefault();
+    if (!editing) return;
+
+    if (editing === 'title' && draft.trim() && draft.trim() !== conversation.title) {
+      onUpdate({ title: draft.trim() });
+    } else if (editing === 'tags') {
+      onUpdate({ tags: parseTags(draft) });
+    }
+    setEditing(null);
+  };
+
+  const moveToNewFolder = async () => {
+    const name = window.prompt('Folder name')?.trim();
+    if (!name) return;
+    const folder = await onCreateFolder(name);
+    if (folder) onUpdate({ folderId: folder.id });
   };
 
   return (
     <div
       className={clsx(
-        'relative p-3 cursor-pointer transition-colors border-b border-gray-800',
-        isActive ? 'bg-gray-800' : 'hover:bg-gray-800/50'
+        'group relative p-3 cursor-pointer transition-colors',
+        theme.item,
+        isActive ? theme.active : theme.hover
       )}
-      onClick={onSelect}
+      onClick={editing ? undefined : onSelect}
     >
       <div className="flex items-start justify-between gap-2">
         <div className="flex-1 min-w-0">
-          <h4 className="text-sm font-medium text-white truncate">
-            {conversation.title}
-          </h4>
+          {editing ? (
+            <form onSubmit={saveEdit} onClick={(e) => e.stopPropagation()}>
+              <input
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={saveEdit}
+                onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                placeholder={editing === 'tags' ? 'Tags, separated by commas' : 'Title'}
+                maxLength={editing === 'title' ? 255 : undefined}
+                className={clsx('w-full text-sm rounded border px-2 py-1 focus:outline-none focus:ring-1 focus:ring-purple-500', theme.input)}
+              />
+            </form>
+          ) : (
+            <h4 className={clsx('flex items-center gap-1 text-sm font-medium', theme.title)}>
+              {!readOnly && conversation.pinned_at && <Pin className="h-3 w-3 flex-shrink-0 text-purple-500" />}
+              {!readOnly && conversation.team_id && (
+                <span title="Shared with team"><Users className="h-3 w-3 flex-shrink-0 text-purple-500" /></span>
+              )}
+              <span className="truncate">{conversation.title}</span>
+            </h4>
+          )}
           {conversation.lastMessage && (
-            <p className="text-xs text-gray-400 truncate mt-1">
+            <p className={clsx('text-xs truncate mt-1', theme.muted)}>
               {conversation.lastMessage.role === 'user' ? 'You: ' : 'AI: '}
               {conversation.lastMessage.content}
             </p>
           )}
-          <p className="text-xs text-gray-500 mt-1">
-            {formatDistanceToNow(new Date(conversation.updated_at), { addSuffix: true })}
+          {readOnly && conversation.owner?.name && (
+            <p className={clsx('text-xs mt-1', theme.muted)}>Shared by {conversation.owner.name}</p>
+          )}
+          {!readOnly && conversation.tags?.length > 0 && editing !== 'tags' && (
+            <div className="flex flex-wrap gap-1 mt-1">
+              {conversation.tags.map(tag => (
+                <span key={tag} className="text-[10px] text-purple-500">#{tag}</span>
+              ))}
+            </div>
+          )}
+          <p className={clsx('text-xs mt-1', theme.faint)}>
+            {formatDistanceToNow(new Date(lastActivity), { addSuffix: true })}
           </p>
         </div>
 
         {/* Actions menu */}
-        <div className="relative">
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              setShowMenu(!showMenu);
-            }}
-            className="p-1 rounded hover:bg-gray-700 transition opacity-0 group-hover:opacity-100"
-          >
-            <MoreVertical size={16} className="text-gray-400" />
-          </button>
+        {!readOnly && (
+          <div className="relative">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowMenu(!showMenu);
+              }}
+              title="Conversation actions"
+              className="p-1 rounded transition opacity-0 group-hover:opacity-100 focus:opacity-100"
+            >
+              <MoreVertical size={16} className={theme.muted} />
+            </button>
 
-          {showMenu && (
-            <>
-              {/* Click outside to close */}
-              <div
-                className="fixed inset-0 z-10"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  setShowMenu(false);
-                }}
-              />
-              
-              {/* Menu */}
-              <div className="absolute right-0 top-8 bg-gray-900 border border-gray-700 rounded-lg shadow-lg z-20 py-1 min-w-[120px]">
-                <button
-                  onClick={handleDelete}
-                  className="w-full px-3 py-2 text-left text-sm text-red-400 hover:bg-gray-800 flex items-center gap-2"
-                >
-                  <Trash2 size={14} />
-                  Delete
-                </button>
-              </div>
-            </>
-          )}
-        </div>
+            {showMenu && (
+              <>
+                {/* Click outside to close */}
+                <div
+                  className="fixed inset-0 z-10"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowMenu(false);
+                  }}
+                />
+
+                {/* Menu */}
+                <div className={clsx('absolute right-0 top-8 border rounded-lg shadow-lg z-20 py-1 w-48', theme.menu)}>
+                  <MenuItem theme={theme} icon={Pencil} label="Rename" onClick={runAction(() => startEditing('title'))} />
+                  <MenuItem theme={theme} icon={Sparkles} label="Generate title" onClick={runAction(onGenerateTitle)} />
+                  <MenuItem
+                    theme={theme}
+                    icon={conversation.pinned_at ? PinOff : Pin}
+                    label={conversation.pinned_at ? 'Unpin' : 'Pin'}
+                    onClick={runAction(() => onUpdate({ pinned: !conversation.pinned_at }))}
+                  />
+                  <MenuItem theme={theme} icon={Tag} label="Edit tags" onClick={runAction(() => startEditing('tags'))} />
+                  {inTeam && (
+                    <MenuItem
+                      theme={theme}
+                      icon={Users}
+                      label={conversation.team_id ? 'Stop sharing with team' : 'Share with team'}
+                      onClick={runAction(() => onUpdate({ sharedWithTeam: !conversation.team_id }))}
+                    />
+                  )}
+
+                  <div className={clsx('mt-1 pt-2 pb-1 px-3 border-t text-[10px] font-semibold uppercase tracking-wider', theme.divider, theme.faint)}>
+                    Move to folder
+                  </div>
+                  {conversation.folder_id && (
+                    <MenuItem theme={theme} icon={X} label="Remove from folder" onClick={runAction(() => onUpdate({ folderId: null }))} />
+                  )}
+                  {folders.filter(folder => folder.id !== conversation.folder_id).map(folder => (
+                    <MenuItem
+                      key={folder.id}
+                      theme={theme}
+                      icon={FolderInput}
+                      label={folder.name}
+                      onClick={runAction(() => onUpdate({ folderId: folder.id }))}
+                    />
+                  ))}
+                  <MenuItem theme={theme} icon={FolderPlus} label="New folder..." onClick={runAction(moveToNewFolder)} />
+
+                  <div className={clsx('my-1 border-t', theme.divider)} />
+                  <MenuItem
+                    theme={theme}
+                    icon={conversation.archived_at ? ArchiveRestore : Archive}
+                    label={conversation.archived_at ? 'Unarchive' : 'Archive'}
+                    onClick={runAction(() => onUpdate({ archived: !conversation.archived_at }))}
+                  />
+                  <button
+                    onClick={runAction(onDelete)}
+                    className={clsx('w-full px-3 py-2 text-left text-sm text-red-400 flex items-center gap-2', theme.hover)}
+                  >
+                    <Trash2 size={14} />
+                    Delete
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+function MenuItem({ theme, icon: Icon, label, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={clsx('w-full px-3 py-2 text-left text-sm flex items-center gap-2', theme.menuItem)}
+    >
+      <Icon size={14} className="flex-shrink-0" />
+      <span className="truncate">{label}</span>
+    </button>
+  );
+}
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { Search, SlidersHorizontal, X } from 'lucide-react';
+import clsx from 'clsx';
+import apiService from '../services/api';
+
+const CONFIDENCE_OPTIONS = [
+  { value: '', label: 'Any confidence' },
+  { value: 'high', label: 'High confidence' },
+  { value: 'medium', label: 'Moderate confidence' },
+  { value: 'low', label: 'Low confidence' }
+];
+
+const CONFIDENCE_BADGES = {
+  high: 'bg-green-100 text-green-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-red-100 text-red-700'
+};
+
+const EMPTY_FILTERS = { confidence: '', from: '', to: '', domain: '' };
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY = 300;
+
+/**
+ * Text with the [start, end) ranges returned by the search API wrapped in <mark>
+ */
+export function Highlighted({ text, ranges = [] }) {
+  if (!text || ranges.length === 0) return <>{text}</>;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], idx) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={idx} className="bg-yellow-200 text-inherit rounded-sm px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+}
+
+/**
+ * Search box with confidence, date and source domain filters over the user's
+ * conversations. Shows highlighted results while searching and `children`
+ * (the normal conversation list) otherwise.
+ */
+export default function ConversationSearch({ onSelect, variant = 'light', children }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [semantic, setSemantic] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const isActive = query.trim().length >= 2 || hasFilters;
+  const dark = variant === 'dark';
+
+  useEffect(() => {
+    if (!isActive) {
+      setResults(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await apiService.searchConversations({
+          q: query.trim(),
+          semantic: semantic || undefined,
+          ...filters
+        });
+        if (!cancelled) {
+          setResults(response.results);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Search failed');
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, filters, semantic, isActive]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const clearSearch = () => {
+    setQuery('');
+    setFilters(EMPTY_FILTERS);
+    setSemantic(false);
+  };
+
+  const inputClass = clsx(
+    'w-full text-sm rounded-lg border px-2 py-1.5 focus:outline-none focus:ring-1 focus:ring-purple-500',
+    dark ? 'bg-gray-800 border-gray-700 text-white placeholder-gray-500' : 'bg-white border-gray-200 text-gray-900'
+  );
+
+  return (
+    <div className="flex flex-col min-h-0">
+      <div className="mb-3">
+        <div className="relative flex items-center gap-1">
+          <Search className={clsx('absolute left-2.5 h-4 w-4', dark ? 'text-gray-500' : 'text-gray-400')} />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search conversations and sources"
+            className={clsx(inputClass, 'pl-8')}
+          />
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            title="Filters"
+            aria-pressed={showFilters}
+            className={clsx(
+              'p-1.5 rounded-lg transition-colors',
+              showFilters || hasFilters
+                ? 'text-purple-600 bg-purple-50'
+                : dark ? 'text-gray-400 hover:bg-gray-800' : 'text-gray-400 hover:bg-gray-100'
+            )}
+          >
+            <SlidersHorizontal className="h-4 w-4" />
+          </button>
+        </div>
+
+        {showFilters && (
+          <div className="mt-2 space-y-2">
+            <select
+              value={filters.confidence}
+              onChange={(e) => updateFilter('confidence', e.target.value)}
+              className={inputClass}
+            >
+              {CONFIDENCE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                title="From"
+                className={inputClass}
+              />
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                title="To"
+                className={inputClass}
+              />
+            </div>
+            <input
+              type="text"
+              value={filters.domain}
+              onChange={(e) => updateFilter('domain', e.target.value.trim())}
+              placeholder="Cited domain, e.g. cdc.gov"
+              className={inputClass}
+            />
+            <label className={clsx('flex items-center gap-2 text-xs', dark ? 'text-gray-400' : 'text-gray-600')}>
+              <input
+                type="checkbox"
+                checked={semantic}
+                onChange={(e) => setSemantic(e.target.checked)}
+              />
+              Also match by meaning
+            </label>
+          </div>
+        )}
+      </div>
+
+      {!isActive ? children : (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              {isSearching ? 'Searching...' : error ? error : `${results?.length || 0} conversations found`}
+            </span>
+            <button onClick={clearSearch} className="flex items-center gap-1 hover:text-purple-600">
+              <X className="h-3 w-3" />
+              Clear
+            </button>
+          </div>
+
+          {results?.map(result => (
+            <button
+              key={result.conversationId}
+              onClick={() => onSelect(result.conversationId)}
+              className={clsx(
+                'w-full text-left p-3 rounded-xl transition-colors',
+                dark ? 'hover:bg-gray-800' : 'hover:bg-gray-50'
+              )}
+            >
+              <p className={clsx('font-medium truncate', dark ? 'text-white' : 'text-gray-900')}>
+                <Highlighted text={result.title} ranges={result.titleHighlights} />
+              </p>
+              {result.matches.map(match => (
+                <div key={match.messageId} className="mt-1.5">
+                  <p className={clsx('text-xs line-clamp-3', dark ? 'text-gray-400' : 'text-gray-600')}>
+                    <span className="font-medium">{match.role === 'user' ? 'You: ' : 'AI: '}</span>
+                    {match.truncatedStart && '…'}
+                    <Highlighted text={match.snippet} ranges={match.highlights} />
+                  </p>
+                  {match.sources.map((source, idx) => (
+                    <p key={idx} className="text-xs text-gray-500 truncate mt-0.5">
+                      Source: <Highlighted text={source.title} ranges={source.highlights} /> (
+                      <Highlighted text={source.domain} ranges={source.domainHighlights} />)
+                    </p>
+                  ))}
+                  <div className="flex items-center gap-2 mt-1">
+                    {match.confidenceLevel && (
+                      <span className={clsx('text-[10px] font-semibold px-1.5 py-0.5 rounded', CONFIDENCE_BADGES[match.confidenceLevel])}>
+                        {match.confidenceScore}%
+                      </span>
+                    )}
+                    {match.matchType === 'semantic' && (
+                      <span className="text-[10px] text-purple-600">Similar meaning</span>
+                    )}
+                    <span className="text-[10px] text-gray-400">
+                      {new Date(match.createdAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, ShieldQuestion, ExternalLink } from 'lucide-react';
+import clsx from 'clsx';
+
+// Verdicts grouped by how the claim held up
+const VERDICT_STYLES = {
+  true: 'bg-green-100 text-green-800 border-green-300',
+  mostly_true: 'bg-green-50 text-green-700 border-green-200',
+  supported: 'bg-green-50 text-green-700 border-green-200',
+  mixed: 'bg-yellow-50 text-yellow-800 border-yellow-300',
+  disputed: 'bg-yellow-50 text-yellow-800 border-yellow-300',
+  mostly_false: 'bg-red-50 text-red-700 border-red-200',
+  false: 'bg-red-100 text-red-800 border-red-300',
+  contradicted: 'bg-red-50 text-red-700 border-red-200',
+  unproven: 'bg-gray-100 text-gray-700 border-gray-300',
+  unverified: 'bg-gray-100 text-gray-700 border-gray-300',
+};
+
+const VERDICT_ICONS = {
+  true: ShieldCheck,
+  mostly_true: ShieldCheck,
+  supported: ShieldCheck,
+  mostly_false: ShieldAlert,
+  false: ShieldAlert,
+  contradicted: ShieldAlert,
+};
+
+const BASIS_LABELS = {
+  fact_checkers: 'Based on ratings published by fact-checkers',
+  primary_sources: 'No matching fact-checker rating; based on primary sources',
+  none: 'No fact-checker rating or primary source evidence was found',
+};
+
+const PRIMARY_SOURCES_SHOWN = 5;
+
+/**
+ * Verdict card for a fact-checked claim: the overall verdict, each fact-checker's
+ * rating with who rated it and when, and how the claim held up against primary sources
+ */
+export default function FactCheckCard({ factCheck }) {
+  const { verdict, reviews = [], factCheckArticles = [], primarySources = [], evidence } = factCheck;
+  const VerdictIcon = VERDICT_ICONS[verdict.rating] || ShieldQuestion;
+  const matching = reviews.filter(review => review.relevant);
+  const related = factCheckArticles.filter(article => !article.hasRating);
+
+  return (
+    <div className="space-y-4">
+      <div className={clsx('rounded-xl border p-4', VERDICT_STYLES[verdict.rating])}>
+        <div className="flex items-center gap-3">
+          <VerdictIcon className="h-8 w-8 flex-shrink-0" />
+          <div>
+            <p className="text-xs uppercase tracking-wider opacity-75">Verdict</p>
+            <h4 className="text-lg font-bold">{verdict.label}</h4>
+          </div>
+        </div>
+        <p className="mt-2 text-sm">"{factCheck.statement}"</p>
+        <p className="mt-1 text-xs opacity-75">{BASIS_LABELS[verdict.basis]}</p>
+      </div>
+
+      {matching.length > 0 && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Fact-checker ratings</h5>
+          <ul className="space-y-2">
+            {matching.map((review, idx) => (
+              <li key={idx} className="rounded-lg border border-gray-200 bg-white p-3 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-gray-900">
+                    {review.publisherUrl ? (
+                      <a href={review.publisherUrl} target="_blank" rel="noopener noreferrer" className="hover:text-purple-600">
+                        {review.publisher}
+                      </a>
+                    ) : review.publisher}
+                  </span>
+                  {review.ratingLabel && (
+                    <span className={clsx('rounded-full border px-2 py-0.5 text-xs font-semibold', VERDICT_STYLES[review.rating] || VERDICT_STYLES.unverified)}>
+                      {review.ratingLabel}
+                    </span>
+                  )}
+                </div>
+                {review.claimReviewed && (
+                  <p className="mt-1 text-gray-600">
+                    "{review.claimReviewed}"
+                    {review.claimant && <span className="text-gray-400"> - {review.claimant}</span>}
+                  </p>
+                )}
+                <div className="mt-1 flex items-center gap-3 text-xs text-gray-500">
+                  {review.datePublished && (
+                    <span>Rated {new Date(review.datePublished).toLocaleDateString()}</span>
+                  )}
+                  <a href={review.url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 text-purple-600 hover:underline">
+                    Read the fact-check
+                    <ExternalLink className="h-3 w-3" />
+                  </a>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {related.length > 0 && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Related fact-check articles</h5>
+          <ul className="space-y-1 text-sm">
+            {related.map((article, idx) => (
+              <li key={idx}>
+                <a href={article.url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 text-purple-600 hover:underline">
+                  {article.title}
+                  <ExternalLink className="h-3 w-3" />
+                </a>
+                <span className="ml-1 text-xs text-gray-400">{article.domain}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {primarySources.length > 0 && (
+        <div>
+          <h5 className="text-sm font-semibold text-gray-700 mb-1">Primary sources</h5>
+          {evidence?.summary?.total > 0 && (
+            <p className="text-xs text-gray-500 mb-2">
+              {evidence.summary.supported} supported, {evidence.summary.contradicted} contradicted, {evidence.summary.unverified} unverified
+            </p>
+          )}
+          <ul className="space-y-1 text-sm">
+            {primarySources.slice(0, PRIMARY_SOURCES_SHOWN).map((source, idx) => (
+              <li key={idx}>
+                <a href={source.url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 text-purple-600 hover:underline">
+                  {source.title}
+                  <ExternalLink className="h-3 w-3" />
+                </a>
+                <span className="ml-1 text-xs text-gray-400">{source.domain}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
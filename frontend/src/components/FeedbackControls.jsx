@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { ThumbsUp, ThumbsDown, Star } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+import { chatAPI } from '../utils/api';
+
+/**
+ * Thumbs and 1-5 star rating for an answer. Ratings are used to calibrate
+ * confidence scores, so a thumbs up counts as 5 stars and a thumbs down as 1.
+ */
+export default function FeedbackControls({ messageId, initialFeedback = null }) {
+  const [feedback, setFeedback] = useState(initialFeedback);
+  const [hoverRating, setHoverRating] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const save = async (next) => {
+    const previous = feedback;
+    setFeedback(next);
+    setIsSaving(true);
+
+    try {
+      if (next) {
+        await chatAPI.submitFeedback(messageId, next);
+      } else {
+        await chatAPI.deleteFeedback(messageId);
+      }
+    } catch (error) {
+      setFeedback(previous);
+      toast.error('Failed to save feedback');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleThumb = (rating) => {
+    const isSelected = feedback?.feedbackType === 'thumbs' && feedback.rating === rating;
+    save(isSelected ? null : { feedbackType: 'thumbs', rating });
+  };
+
+  const shownRating = hoverRating || (feedback?.feedbackType === 'rating' ? feedback.rating : 0);
+
+  return (
+    <div className="flex items-center gap-3 text-gray-400">
+      <span className="text-xs text-gray-500">Was this answer correct?</span>
+      <button
+        onClick={() => toggleThumb(5)}
+        disabled={isSaving}
+        title="Correct"
+        className={clsx('p-1 rounded hover:text-green-600', {
+          'text-green-600': feedback?.feedbackType === 'thumbs' && feedback.rating === 5,
+        })}
+      >
+        <ThumbsUp size={14} />
+      </button>
+      <button
+        onClick={() => toggleThumb(1)}
+        disabled={isSaving}
+        title="Incorrect"
+        className={clsx('p-1 rounded hover:text-red-600', {
+          'text-red-600': feedback?.feedbackType === 'thumbs' && feedback.rating === 1,
+        })}
+      >
+        <ThumbsDown size={14} />
+      </button>
+      <div className="flex items-center" onMouseLeave={() => setHoverRating(0)}>
+        {[1, 2, 3, 4, 5].map((rating) => (
+          <button
+            key={rating}
+            onClick={() => save({ feedbackType: 'rating', rating })}
+            onMouseEnter={() => setHoverRating(rating)}
+            disabled={isSaving}
+            title={`${rating} star${rating === 1 ? '' : 's'}`}
+            className="p-0.5"
+          >
+            <Star
+              size={14}
+              className={clsx({ 'text-yellow-500 fill-yellow-500': rating <= shownRating })}
+            />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,14 @@
-import React, { useState } from 'react';
-import { ChevronDown, ChevronUp, ExternalLink, AlertCircle, User, Bot } from 'lucide-react';
+import React, { useRef, useState } from 'react';
+import { ChevronDown, ChevronUp, ExternalLink, AlertCircle, User, Bot, FileText } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import clsx from 'clsx';
+import ClaimHighlights from './ClaimHighlights';
+import FeedbackControls from './FeedbackControls';
 
 export default function MessageBubble({ message }) {
   const [expandedSections, setExpandedSections] = useState({});
+  const [highlightedSource, setHighlightedSource] = useState(null);
+  const sourceRefs = useRef({});
   const isUser = message.role === 'user';
 
   const toggleSection = (section) => {
@@ -14,15 +18,34 @@ export default function MessageBubble({ message }) {
     }));
   };
 
+  // Open the sources section and bring the cited source card into view
+  const scrollToSource = (number) => {
+    setExpandedSections(prev => ({ ...prev, sources: true }));
+    setHighlightedSource(number);
+    requestAnimationFrame(() => {
+      sourceRefs.current[number]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  };
+
+  // Level thresholds are calibrated on the server, so prefer its level over fixed cut-offs
+  const getConfidenceLevel = (confidence) => {
+    if (message.confidenceLevel) return message.confidenceLevel;
+    if (confidence >= 80) return 'high';
+    if (confidence >= 60) return 'medium';
+    return 'low';
+  };
+
   const getConfidenceColor = (confidence) => {
-    if (confidence >= 80) return 'bg-green-500';
-    if (confidence >= 60) return 'bg-yellow-500';
+    const level = getConfidenceLevel(confidence);
+    if (level === 'high') return 'bg-green-500';
+    if (level === 'medium') return 'bg-yellow-500';
     return 'bg-red-500';
   };
 
   const getConfidenceTextColor = (confidence) => {
-    if (confidence >= 80) return 'text-green-700';
-    if (confidence >= 60) return 'text-yellow-700';
+    const level = getConfidenceLevel(confidence);
+    if (level === 'high') return 'text-green-700';
+    if (level === 'medium') return 'text-yellow-700';
     return 'text-red-700';
   };
 
@@ -69,7 +92,14 @@ export default function MessageBubble({ message }) {
           {/* Main Response */}
           <div className="bg-white rounded-lg shadow-sm border p-4">
             <div className="prose max-w-none">
-              <p className="whitespace-pre-wrap">{message.content}</p>
+              {message.isStreaming && !message.content ? (
+                <p className="text-gray-500 italic">{message.status || 'Thinking...'}</p>
+              ) : (
+                <p className="whitespace-pre-wrap">
+                  <ClaimHighlights content={message.content} claims={message.claims} onCite={scrollToSource} />
+                  {message.isStreaming && <span className="streaming-cursor" />}
+                </p>
+              )}
             </div>
           </div>
 
@@ -114,47 +144,112 @@ export default function MessageBubble({ message }) {
               </ExpandableSection>
             )}
 
+            {/* Claim Verification */}
+            {message.claims && message.claims.length > 0 && (
+              <ExpandableSection
+                title={`✅ Claim Verification (${message.claims.filter(claim => claim.verdict === 'supported').length}/${message.claims.length} supported)`}
+                expanded={expandedSections.claims}
+                onToggle={() => toggleSection('claims')}
+              >
+                <div className="space-y-3">
+                  {message.claims.map((claim) => {
+                    const evidence = claim.verdict === 'contradicted'
+                      ? claim.contradictingSources
+                      : claim.supportingSources;
+
+                    return (
+                      <div key={claim.id} className="space-y-1">
+                        <div className="flex items-start justify-between gap-3">
+                          <p className="text-sm text-gray-800">{claim.text}</p>
+                          <span className={clsx('text-xs font-semibold capitalize whitespace-nowrap', {
+                            'text-green-600': claim.verdict === 'supported',
+                            'text-red-600': claim.verdict === 'contradicted',
+                            'text-gray-500': claim.verdict === 'unverified',
+                          })}>
+                            {claim.verdict} • {claim.confidence}%
+                            {claim.citations && claim.citations.length === 0 && ' • not cited'}
+                          </span>
+                        </div>
+                        {evidence && evidence.map((source, index) => (
+                          <div key={index} className="text-sm text-gray-600 ml-4">
+                            {source.url ? (
+                              <a
+                                href={source.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-600 hover:underline"
+                              >
+                                {source.domain}
+                              </a>
+                            ) : (
+                              <span className="font-medium text-gray-700">{source.domain}</span>
+                            )}
+                            {source.excerpt && <span className="italic">: "{source.excerpt}"</span>}
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+              </ExpandableSection>
+            )}
+
             {/* Sources */}
             {message.sources && message.sources.length > 0 && (
               <ExpandableSection
                 title={`📚 Sources (${message.sources.length})`}
-                expanded={expandedSections.sources}
+                expanded={expandedSections.sources ?? message.isStreaming}
                 onToggle={() => toggleSection('sources')}
               >
                 <div className="space-y-3">
-                  {message.sources.map((source, index) => (
-                    <div 
-                      key={index} 
-                      className={clsx('border-l-4 pl-4', {
-                        'border-green-500': source.quality === 'high',
-                        'border-yellow-500': source.quality === 'medium',
-                        'border-red-500': source.quality === 'limited',
-                      })}
-                    >
-                      <div className="font-semibold text-gray-900">{source.title}</div>
-                      <div className="text-sm text-gray-600">
-                        {source.domain} • {source.type.replace(/_/g, ' ')} • 
-                        <span className={clsx('capitalize ml-1', {
-                          'text-green-600': source.quality === 'high',
-                          'text-yellow-600': source.quality === 'medium',
-                          'text-red-600': source.quality === 'limited',
-                        })}>
-                          {source.quality} quality
-                        </span>
-                      </div>
-                      {source.snippet && (
-                        <p className="text-sm text-gray-700 mt-1 italic">"{source.snippet}"</p>
-                      )}
-                      <a 
-                        href={source.url} 
-                        target="_blank" 
-                        rel="noopener noreferrer"
-                        className="text-blue-600 hover:underline text-sm inline-flex items-center gap-1 mt-1"
+                  {message.sources.map((source, index) => {
+                    const number = source.citation ?? index + 1;
+
+                    return (
+                      <div 
+                        key={index} 
+                        ref={el => { sourceRefs.current[number] = el; }}
+                        className={clsx('border-l-4 pl-4 rounded-sm', {
+                          'border-green-500': source.quality === 'high',
+                          'border-yellow-500': source.quality === 'medium',
+                          'border-red-500': source.quality === 'limited',
+                          'source-highlight': highlightedSource === number,
+                        })}
                       >
-                        View source <ExternalLink size={12} />
-                      </a>
-                    </div>
-                  ))}
+                        <div className="font-semibold text-gray-900">
+                          <span className="text-purple-600 mr-1">[{number}]</span>
+                          {source.title}
+                        </div>
+                        <div className="text-sm text-gray-600">
+                          {source.domain} • {source.type.replace(/_/g, ' ')} • 
+                          <span className={clsx('capitalize ml-1', {
+                            'text-green-600': source.quality === 'high',
+                            'text-yellow-600': source.quality === 'medium',
+                            'text-red-600': source.quality === 'limited',
+                          })}>
+                            {source.quality} quality
+                          </span>
+                        </div>
+                        {source.snippet && (
+                          <p className="text-sm text-gray-700 mt-1 italic">"{source.snippet}"</p>
+                        )}
+                        {source.url ? (
+                          <a 
+                            href={source.url} 
+                            target="_blank" 
+                            rel="noopener noreferrer"
+                            className="text-blue-600 hover:underline text-sm inline-flex items-center gap-1 mt-1"
+                          >
+                            View source <ExternalLink size={12} />
+                          </a>
+                        ) : (
+                          <span className="text-gray-500 text-sm inline-flex items-center gap-1 mt-1">
+                            <FileText size={12} /> From your knowledge base
+                          </span>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               </ExpandableSection>
             )}
@@ -209,10 +304,17 @@ export default function MessageBubble({ message }) {
             )}
           </div>
 
+          {/* Feedback, once the answer has been saved */}
+          {typeof message.id === 'string' && !message.isStreaming && (
+            <FeedbackControls messageId={message.id} initialFeedback={message.feedback} />
+          )}
+
           {/* Timestamp */}
-          <div className="text-xs text-gray-500">
-            {formatDistanceToNow(new Date(message.created_at), { addSuffix: true })}
-          </div>
+          {message.created_at && (
+            <div className="text-xs text-gray-500">
+              {formatDistanceToNow(new Date(message.created_at), { addSuffix: true })}
+            </div>
+          )}
         </div>
       </div>
     </div>
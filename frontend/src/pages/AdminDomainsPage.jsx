@@ -0,0 +1,459 @@
+import React, { useState, useEffect } from 'react';
+import { Shield, Search, Plus, Edit2, Trash2, History, X } from 'lucide-react';
+import { adminAPI } from '../utils/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  domain: '',
+  score: 50,
+  category: 'website',
+  searchPriority: '',
+  notes: '',
+};
+
+export default function AdminDomainsPage() {
+  const [domains, setDomains] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [accessDenied, setAccessDenied] = useState(false);
+
+  // Empty team ID edits the global registry
+  const [teamId, setTeamId] = useState('');
+  const [teamInput, setTeamInput] = useState('');
+  const [search, setSearch] = useState('');
+
+  // Create/edit form state; editingId is null when creating
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [history, setHistory] = useState(null);
+  const [lookupHost, setLookupHost] = useState('');
+  const [lookupResult, setLookupResult] = useState(null);
+
+  useEffect(() => {
+    loadDomains(1);
+  }, [teamId]);
+
+  const loadDomains = async (page = pagination.page) => {
+    setIsLoading(true);
+
+    try {
+      const response = await adminAPI.listDomains({ teamId, search, page });
+      setDomains(response.domains);
+      setCategories(response.categories);
+      setPagination(response.pagination);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        setAccessDenied(true);
+      } else {
+        toast.error(error.response?.data?.details || 'Failed to load domain registry');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadDomains(1);
+  };
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const openEditForm = (entry) => {
+    setEditingId(entry.id);
+    setForm({
+      domain: entry.domain,
+      score: entry.score,
+      category: entry.category,
+      searchPriority: entry.search_priority ?? '',
+      notes: entry.notes || '',
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const fields = {
+      score: Number(form.score),
+      category: form.category,
+      searchPriority: form.searchPriority === '' ? null : Number(form.searchPriority),
+      notes: form.notes,
+    };
+
+    try {
+      if (editingId) {
+        await adminAPI.updateDomain(editingId, fields);
+        toast.success('Domain updated');
+      } else {
+        await adminAPI.createDomain({
+          ...fields,
+          domain: form.domain,
+          teamId: teamId || null,
+        });
+        toast.success('Domain added');
+      }
+      setForm(null);
+      loadDomains();
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to save domain');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm(`Remove ${entry.domain} from the registry?`)) return;
+
+    try {
+      await adminAPI.deleteDomain(entry.id);
+      setDomains(prev => prev.filter(domain => domain.id !== entry.id));
+      toast.success('Domain removed');
+    } catch (error) {
+      toast.error('Failed to remove domain');
+    }
+  };
+
+  const showHistory = async (domain) => {
+    try {
+      const response = await adminAPI.getDomainHistory(domain, teamId);
+      setHistory({ domain, entries: response.history });
+    } catch (error) {
+      toast.error('Failed to load history');
+    }
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    if (!lookupHost.trim()) return;
+
+    try {
+      const response = await adminAPI.lookupDomain(lookupHost.trim(), teamId);
+      setLookupResult(response.reputation);
+    } catch (error) {
+      toast.error(error.response?.data?.details || 'Lookup failed');
+    }
+  };
+
+  if (accessDenied) {
+    return (
+      <div className="min-h-screen bg-gray-50 pt-20 pb-12">
+        <div className="max-w-4xl mx-auto px-4 text-center">
+          <Shield className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900">Admin access required</h1>
+          <p className="text-gray-600 mt-2">The domain registry can only be managed by administrators.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-20 pb-12">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Domain Reputation</h1>
+            <p className="text-gray-600 mt-1">
+              Scores drive source quality and confidence. Entries with a search priority are searched first.
+            </p>
+          </div>
+          <button
+            onClick={openCreateForm}
+            className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition flex items-center gap-2"
+          >
+            <Plus size={16} />
+            Add Domain
+          </button>
+        </div>
+
+        {/* Registry selection and search */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6 grid gap-4 md:grid-cols-2">
+          <form onSubmit={(e) => { e.preventDefault(); setTeamId(teamInput.trim()); }}>
+            <label htmlFor="teamId" className="block text-sm font-medium text-gray-700">
+              Team overrides (leave empty for the global registry)
+            </label>
+            <input
+              type="text"
+              id="teamId"
+              placeholder="Team ID, then press Enter"
+              value={teamInput}
+              onChange={(e) => setTeamInput(e.target.value)}
+              onBlur={() => setTeamId(teamInput.trim())}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+            />
+          </form>
+          <form onSubmit={handleSearch}>
+            <label htmlFor="search" className="block text-sm font-medium text-gray-700">
+              Search domains
+            </label>
+            <div className="mt-1 relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Search className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                type="text"
+                id="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="pl-10 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+              />
+            </div>
+          </form>
+          <form onSubmit={handleLookup} className="md:col-span-2 flex gap-4 items-center">
+            <input
+              type="text"
+              placeholder="Test a URL or host, e.g. https://www.cdc.gov/flu"
+              value={lookupHost}
+              onChange={(e) => setLookupHost(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+            />
+            <button
+              type="submit"
+              className="border border-purple-600 text-purple-600 px-4 py-2 rounded-lg hover:bg-purple-50 transition"
+            >
+              Look Up
+            </button>
+          </form>
+          {lookupResult && (
+            <p className="md:col-span-2 text-sm text-gray-700">
+              <span className="font-medium">{lookupResult.host}</span> scores {lookupResult.score} ({lookupResult.quality}, {lookupResult.category})
+              {lookupResult.domain
+                ? ` via the ${lookupResult.source} entry "${lookupResult.domain}"`
+                : ' - not in the registry, default score'}
+            </p>
+          )}
+        </div>
+
+        {/* Create/edit form */}
+        {form && (
+          <div className="bg-white rounded-lg shadow p-6 mb-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold">
+                {editingId ? `Edit ${form.domain}` : `Add Domain${teamId ? ' Override' : ''}`}
+              </h2>
+              <button onClick={() => setForm(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={20} />
+              </button>
+            </div>
+            <form onSubmit={handleSave} className="grid gap-4 md:grid-cols-2">
+              <div>
+                <label htmlFor="domain" className="block text-sm font-medium text-gray-700">
+                  Domain or suffix rule
+                </label>
+                <input
+                  type="text"
+                  id="domain"
+                  placeholder="nejm.org or *.gov"
+                  value={form.domain}
+                  onChange={(e) => setForm({ ...form, domain: e.target.value })}
+                  disabled={Boolean(editingId)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500 disabled:bg-gray-50"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="category" className="block text-sm font-medium text-gray-700">
+                  Category
+                </label>
+                <select
+                  id="category"
+                  value={form.category}
+                  onChange={(e) => setForm({ ...form, category: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                >
+                  {categories.map(category => (
+                    <option key={category} value={category}>{category.replace('_', ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="score" className="block text-sm font-medium text-gray-700">
+                  Score (0-100)
+                </label>
+                <input
+                  type="number"
+                  id="score"
+                  min={0}
+                  max={100}
+                  value={form.score}
+                  onChange={(e) => setForm({ ...form, score: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="searchPriority" className="block text-sm font-medium text-gray-700">
+                  Search priority (optional, lowest searched first)
+                </label>
+                <input
+                  type="number"
+                  id="searchPriority"
+                  min={0}
+                  value={form.searchPriority}
+                  onChange={(e) => setForm({ ...form, searchPriority: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="notes" className="block text-sm font-medium text-gray-700">
+                  Notes
+                </label>
+                <textarea
+                  id="notes"
+                  rows={2}
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                  maxLength={2000}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+                >
+                  {isSaving ? <LoadingSpinner size="small" color="white" /> : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Registry table */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {isLoading ? (
+            <div className="p-12 flex justify-center">
+              <LoadingSpinner />
+            </div>
+          ) : domains.length === 0 ? (
+            <p className="p-6 text-gray-600">
+              {teamId ? 'This team has no overrides.' : 'No domains found.'}
+            </p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Domain', 'Score', 'Category', 'Search Priority', 'Notes', ''].map(heading => (
+                    <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {domains.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="px-6 py-4 font-medium text-gray-900">{entry.domain}</td>
+                    <td className="px-6 py-4 text-gray-700">{entry.score}</td>
+                    <td className="px-6 py-4 text-gray-700 capitalize">{entry.category.replace('_', ' ')}</td>
+                    <td className="px-6 py-4 text-gray-700">{entry.search_priority ?? '-'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600 max-w-xs truncate" title={entry.notes || ''}>
+                      {entry.notes}
+                    </td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => showHistory(entry.domain)}
+                        className="text-gray-500 hover:text-purple-600 p-2"
+                        title="History"
+                      >
+                        <History size={16} />
+                      </button>
+                      <button
+                        onClick={() => openEditForm(entry)}
+                        className="text-gray-500 hover:text-purple-600 p-2"
+                        title="Edit"
+                      >
+                        <Edit2 size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(entry)}
+                        className="text-red-600 hover:text-red-700 p-2"
+                        title="Remove"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-6 py-3 border-t text-sm text-gray-600">
+              <span>{pagination.total} domains</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => loadDomains(pagination.page - 1)}
+                  disabled={pagination.page <= 1}
+                  className="px-3 py-1 border rounded disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => loadDomains(pagination.page + 1)}
+                  disabled={pagination.page >= pagination.totalPages}
+                  className="px-3 py-1 border rounded disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Audit history */}
+        {history && (
+          <div className="bg-white rounded-lg shadow p-6 mt-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">History for {history.domain}</h2>
+              <button onClick={() => setHistory(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={20} />
+              </button>
+            </div>
+            {history.entries.length === 0 ? (
+              <p className="text-gray-600">No recorded changes.</p>
+            ) : (
+              <ul className="space-y-3">
+                {history.entries.map(change => (
+                  <li key={change.id} className="border rounded-lg p-3 text-sm">
+                    <p className="font-medium capitalize">
+                      {change.action} by {change.users?.name || change.users?.email || 'unknown'} on{' '}
+                      {new Date(change.created_at).toLocaleString()}
+                    </p>
+                    <p className="text-gray-600 mt-1">
+                      {describeChange(change.previous, change.current)}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function describeChange(previous, current) {
+  if (!previous) {
+    return `Added with score ${current.score} (${current.category})`;
+  }
+  if (!current) {
+    return `Removed; was score ${previous.score} (${previous.category})`;
+  }
+
+  const changes = Object.keys(current)
+    .filter(field => previous[field] !== current[field])
+    .map(field => `${field.replace('_', ' ')}: ${previous[field] ?? 'none'} → ${current[field] ?? 'none'}`);
+
+  return changes.length > 0 ? changes.join(', ') : 'No field changes';
+}
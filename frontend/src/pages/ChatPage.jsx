@@ -4,12 +4,68 @@ import { useNavigate } from 'react-router-dom';
 import { 
   Send, Plus, Download, Settings, Sparkles, 
   ChevronDown, ExternalLink, AlertCircle, 
-  MessageSquare, Calendar, Search, Menu, X
+  Calendar, Search, Menu, X, FileText, ShieldCheck, GraduationCap,
+  Share2, Copy, Users
 } from 'lucide-react';
 import { useAuthStore } from '../stores/authStore';
 import apiService from '../services/api';
+import ClaimHighlights from '../components/ClaimHighlights';
+import FeedbackControls from '../components/FeedbackControls';
+import FactCheckCard from '../components/FactCheckCard';
+import ConversationList from '../components/ConversationList';
 import { toast } from 'react-hot-toast';
 
+// How each planned search was routed
+const SEARCH_ROUTE_LABELS = {
+  general: 'web',
+  academic: 'academic',
+  government: 'government',
+  fact_check: 'fact-checkers'
+};
+
+// Study design of scholarly sources in research mode, strongest evidence first
+const EVIDENCE_LABELS = {
+  meta_analysis: 'Meta-analysis',
+  rct: 'RCT',
+  observational: 'Observational',
+  other: 'Scholarly',
+  preprint: 'Preprint'
+};
+
+const EXPORT_OPTIONS = [
+  { format: 'pdf', label: 'PDF report', extension: 'pdf' },
+  { format: 'docx', label: 'Word document', extension: 'docx' },
+  { format: 'html', label: 'HTML page', extension: 'html' },
+  { format: 'markdown', label: 'Markdown', extension: 'md' },
+  { format: 'txt', label: 'Plain text', extension: 'txt' },
+  { format: 'json', label: 'JSON', extension: 'json' },
+  { format: 'bibtex', label: 'Sources as BibTeX', extension: 'bib' },
+  { format: 'ris', label: 'Sources as RIS', extension: 'ris' },
+  { format: 'csl-json', label: 'Sources as CSL-JSON', extension: 'json' }
+];
+
+// How long a new shared link stays available; an empty value never expires
+const SHARE_EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 day' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' }
+];
+
+// "Martineau et al., The Lancet (2021), peer reviewed" for a source chip's tooltip
+const describeScholarlySource = (scholarly) => {
+  const authors = scholarly.authors?.length
+    ? `${scholarly.authors[0].family}${scholarly.authors.length > 1 ? ' et al.' : ''}`
+    : null;
+  const venue = [scholarly.journal, scholarly.year && `(${scholarly.year})`].filter(Boolean).join(' ');
+  return [
+    scholarly.title,
+    [authors, venue].filter(Boolean).join(', '),
+    scholarly.peerReviewed ? 'peer reviewed' : scholarly.peerReviewed === false ? 'not peer reviewed' : null,
+    scholarly.retracted ? 'RETRACTED' : null
+  ].filter(Boolean).join(' - ');
+};
+
 const Chat = () => {
   const navigate = useNavigate();
   const { user, updateUser } = useAuthStore();
@@ -20,15 +76,20 @@ const Chat = () => {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [conversations, setConversations] = useState([]);
+  // Bumped to make the sidebar reload its conversations
+  const [conversationsVersion, setConversationsVersion] = useState(0);
   const [currentConversationId, setCurrentConversationId] = useState(null);
+  // Conversations a teammate shared with the team can be read but not continued
+  const [isReadOnly, setIsReadOnly] = useState(false);
   const [showSources, setShowSources] = useState({});
   const [sidebarOpen, setSidebarOpen] = useState(false);
-
-  // Load conversations on mount
-  useEffect(() => {
-    loadConversations();
-  }, []);
+  // standard, research (scholarly sources first) or fact_check
+  const [mode, setMode] = useState('standard');
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showShareMenu, setShowShareMenu] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [shareExpiry, setShareExpiry] = useState('');
+  const [isSharing, setIsSharing] = useState(false);
 
   // Scroll to bottom when messages change
   useEffect(() => {
@@ -39,18 +100,24 @@ const Chat = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const loadConversations = async () => {
-    try {
-      const convos = await apiService.getConversations();
-      setConversations(convos);
-    } catch (error) {
-      console.error('Failed to load conversations:', error);
-    }
+  // Reveal a message's sources and bring the cited one into view
+  const scrollToSource = (messageId, number) => {
+    setShowSources(prev => ({ ...prev, [messageId]: true }));
+    requestAnimationFrame(() => {
+      document.getElementById(`source-${messageId}-${number}`)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  };
+
+  const refreshConversations = () => {
+    setConversationsVersion(version => version + 1);
   };
 
   const startNewChat = () => {
     setCurrentConversationId(null);
+    setIsReadOnly(false);
     setMessages([]);
+    setShowShareMenu(false);
     setInput('');
   };
 
@@ -58,7 +125,17 @@ const Chat = () => {
     try {
       const data = await apiService.getConversation(conversationId);
       setCurrentConversationId(conversationId);
-      setMessages(data.messages);
+      setIsReadOnly(Boolean(data.conversation.readOnly));
+      setShowShareMenu(false);
+      setMessages(data.conversation.messages.map(msg => ({
+        ...msg,
+        confidenceScore: msg.confidence_score ?? undefined,
+        confidenceLevel: msg.confidence_level ?? undefined,
+        sources: msg.sources || [],
+        searchPlan: msg.metadata?.searchPlan?.queries,
+        factCheck: msg.metadata?.factCheck,
+        evidence: msg.metadata?.evidence
+      })));
       setSidebarOpen(false);
     } catch (error) {
       toast.error('Failed to load conversation');
@@ -67,6 +144,7 @@ const Chat = () => {
 
   const handleSendMessage = async () => {
     if (!input.trim() || isLoading) return;
+    if (mode === 'fact_check') return handleFactCheck();
 
     const userMessage = input.trim();
     setInput('');
@@ -79,29 +157,103 @@ const Chat = () => {
       timestamp: new Date().toISOString()
     };
     
-    setMessages(prev => [...prev, newUserMessage]);
+    // Placeholder assistant message that fills in as stream events arrive
+    const streamingId = `streaming-${Date.now()}`;
+    const streamingMessage = {
+      id: streamingId,
+      role: 'assistant',
+      content: '',
+      sources: [],
+      isStreaming: true,
+      status: mode === 'research' ? 'Searching scholarly sources...' : 'Searching trusted sources...',
+      timestamp: new Date().toISOString()
+    };
+
+    const updateStreamingMessage = (updates) => {
+      setMessages(prev => prev.map(m =>
+        m.id === streamingId
+          ? { ...m, ...(typeof updates === 'function' ? updates(m) : updates) }
+          : m
+      ));
+    };
+    
+    setMessages(prev => [...prev, newUserMessage, streamingMessage]);
     setIsLoading(true);
 
     try {
-      const response = await apiService.sendMessage(userMessage, currentConversationId);
+      let completed = null;
+
+      await apiService.streamMessage(userMessage, currentConversationId, (event, data) => {
+        switch (event) {
+          case 'search_started':
+            updateStreamingMessage({
+              searchPlan: data.plan,
+              // Follow-ups are searched as a standalone query built from the conversation
+              ...(data.rewritten && { status: `Searching trusted sources for "${data.query}"...` })
+            });
+            break;
+          case 'sources':
+            updateStreamingMessage({
+              sources: data.sources,
+              status: `Found ${data.sources.length} sources. Scoring confidence...`
+            });
+            break;
+          case 'confidence':
+            updateStreamingMessage({
+              confidenceScore: data.confidence,
+              confidenceLevel: data.confidenceLevel,
+              factors: data.factors,
+              status: 'Writing answer...'
+            });
+            break;
+          case 'token':
+            updateStreamingMessage(m => ({ content: m.content + data.delta, status: null }));
+            break;
+          case 'claims':
+            updateStreamingMessage({ claims: data.claims });
+            break;
+          case 'complete':
+            completed = data;
+            break;
+          case 'error':
+            throw new Error(data.message || data.error);
+          default:
+            break;
+        }
+      }, { mode });
+
+      if (!completed) {
+        throw new Error('Stream ended before the answer was complete');
+      }
       
       // Update conversation ID if new
       if (!currentConversationId) {
-        setCurrentConversationId(response.conversationId);
-        loadConversations(); // Refresh conversation list
+        setCurrentConversationId(completed.conversationId);
+        refreshConversations(); // Show the new conversation and its title
       }
       
-      // Add AI response
-      const aiMessage = {
-        id: response.message.id,
-        role: 'assistant',
-        content: response.message.content,
-        confidenceScore: response.confidenceScore,
-        sources: response.sources || [],
-        timestamp: new Date().toISOString()
-      };
-      
-      setMessages(prev => [...prev, aiMessage]);
+      // Replace the placeholder with the final structured answer
+      const { response } = completed;
+      setMessages(prev => prev.map(m =>
+        m.id === streamingId
+          ? {
+              id: completed.messageId || streamingId,
+              role: 'assistant',
+              content: response.mainResponse,
+              confidenceScore: response.confidence,
+              confidenceLevel: response.confidenceLevel,
+              factors: response.factors,
+              sources: response.sources || [],
+              biases: response.biases,
+              controversies: response.controversies,
+              limitations: response.limitations,
+              claims: response.claims || [],
+              searchPlan: completed.metadata?.searchPlan?.queries,
+              evidence: completed.metadata?.evidence,
+              timestamp: new Date().toISOString()
+            }
+          : m
+      ));
       
       // Update query count
       if (user) {
@@ -112,42 +264,184 @@ const Chat = () => {
       
     } catch (error) {
       console.error('Chat error:', error);
+      showRequestError(error, 'Failed to send message. Please try again.');
       
-      if (error.message === 'SUBSCRIPTION_REQUIRED') {
-        toast.error(
-          <div>
-            <p className="font-semibold">Subscription Required</p>
-            <button
-              onClick={() => navigate('/pricing')}
-              className="mt-2 text-sm underline"
-            >
-              View plans
-            </button>
-          </div>
-        );
-      } else if (error.message.includes('Query limit reached')) {
-        toast.error(
-          <div>
-            <p className="font-semibold">Query Limit Reached</p>
-            <button
-              onClick={() => navigate('/pricing')}
-              className="mt-2 text-sm underline"
-            >
-              Upgrade plan
-            </button>
-          </div>
-        );
-      } else {
-        toast.error('Failed to send message. Please try again.');
+      // Remove user message and partial answer on error
+      setMessages(prev => prev.filter(m => m.id !== newUserMessage.id && m.id !== streamingId));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Quota and subscription errors link to pricing; anything else gets the fallback message
+  const showRequestError = (error, fallbackMessage) => {
+    if (error.message === 'SUBSCRIPTION_REQUIRED') {
+      toast.error(
+        <div>
+          <p className="font-semibold">Subscription Required</p>
+          <button
+            onClick={() => navigate('/pricing')}
+            className="mt-2 text-sm underline"
+          >
+            View plans
+          </button>
+        </div>
+      );
+    } else if (error.message.includes('Query limit reached')) {
+      toast.error(
+        <div>
+          <p className="font-semibold">Query Limit Reached</p>
+          <button
+            onClick={() => navigate('/pricing')}
+            className="mt-2 text-sm underline"
+          >
+            Upgrade plan
+          </button>
+        </div>
+      );
+    } else {
+      toast.error(fallbackMessage);
+    }
+  };
+
+  // Check the input as a claim and show the verdict card in place of an answer
+  const handleFactCheck = async () => {
+    const claim = input.trim();
+    setInput('');
+
+    const newUserMessage = {
+      id: Date.now(),
+      role: 'user',
+      content: claim,
+      timestamp: new Date().toISOString()
+    };
+    const pendingId = `streaming-${Date.now()}`;
+
+    setMessages(prev => [...prev, newUserMessage, {
+      id: pendingId,
+      role: 'assistant',
+      content: '',
+      sources: [],
+      isStreaming: true,
+      status: 'Checking fact-checkers and primary sources...',
+      timestamp: new Date().toISOString()
+    }]);
+    setIsLoading(true);
+
+    try {
+      const result = await apiService.factCheck(claim, currentConversationId);
+
+      if (!currentConversationId) {
+        setCurrentConversationId(result.conversationId);
+        refreshConversations();
       }
-      
-      // Remove user message on error
-      setMessages(prev => prev.filter(m => m.id !== newUserMessage.id));
+
+      setMessages(prev => prev.map(m =>
+        m.id === pendingId
+          ? {
+              id: result.messageId || pendingId,
+              role: 'assistant',
+              content: result.factCheck.summary,
+              sources: result.sources || [],
+              factCheck: result.factCheck,
+              searchPlan: result.factCheck.metadata?.searchPlan?.queries,
+              timestamp: new Date().toISOString()
+            }
+          : m
+      ));
+
+      if (user) {
+        updateUser({
+          queries_used: (user.queries_used || 0) + 1
+        });
+      }
+    } catch (error) {
+      console.error('Fact-check error:', error);
+      showRequestError(error, 'Failed to check the claim. Please try again.');
+      setMessages(prev => prev.filter(m => m.id !== newUserMessage.id && m.id !== pendingId));
     } finally {
       setIsLoading(false);
     }
   };
 
+  const toggleMode = (next) => {
+    setMode(mode === next ? 'standard' : next);
+  };
+
+  const handleExport = async ({ format, extension }) => {
+    setShowExportMenu(false);
+    try {
+      const blob = await apiService.exportConversation(currentConversationId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `conversation-${currentConversationId}.${extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export conversation');
+    }
+  };
+
+  const toggleShareMenu = async () => {
+    const opening = !showShareMenu;
+    setShowShareMenu(opening);
+    setShowExportMenu(false);
+    if (!opening) return;
+
+    try {
+      const response = await apiService.getShares(currentConversationId);
+      setShares(response.shares || []);
+    } catch (error) {
+      toast.error('Failed to load shared links');
+    }
+  };
+
+  const copyShareLink = async (share) => {
+    try {
+      // The preview link shows a title and description when pasted into chat apps
+      await navigator.clipboard.writeText(share.previewUrl || share.url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleCreateShare = async () => {
+    setIsSharing(true);
+    try {
+      const response = await apiService.shareConversation(
+        currentConversationId,
+        shareExpiry ? parseInt(shareExpiry, 10) : null
+      );
+      setShares(prev => [response.share, ...prev]);
+      await copyShareLink(response.share);
+    } catch (error) {
+      toast.error(error.message || 'Failed to share conversation');
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const handleRevokeShare = async (shareId) => {
+    try {
+      const response = await apiService.revokeShare(shareId);
+      setShares(prev => prev.map(share => share.id === shareId ? response.share : share));
+      toast.success('Link turned off');
+    } catch (error) {
+      toast.error('Failed to revoke link');
+    }
+  };
+
+  const describeShare = (share) => {
+    if (share.revoked_at) return 'Revoked';
+    if (share.expires_at && new Date(share.expires_at) <= new Date()) return 'Expired';
+    const created = new Date(share.created_at).toLocaleDateString();
+    return share.expires_at
+      ? `Created ${created}, expires ${new Date(share.expires_at).toLocaleDateString()}`
+      : `Created ${created}`;
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -155,15 +449,18 @@ const Chat = () => {
     }
   };
 
-  const getConfidenceColor = (score) => {
+  // Level thresholds are calibrated on the server, so prefer its level when there is one
+  const getConfidenceColor = (score, level) => {
+    if (level) return level;
     if (score >= 80) return 'high';
     if (score >= 50) return 'medium';
     return 'low';
   };
 
-  const getConfidenceLabel = (score) => {
-    if (score >= 80) return 'High Confidence';
-    if (score >= 50) return 'Moderate Confidence';
+  const getConfidenceLabel = (score, level) => {
+    const color = getConfidenceColor(score, level);
+    if (color === 'high') return 'High Confidence';
+    if (color === 'medium') return 'Moderate Confidence';
     return 'Low Confidence';
   };
 
@@ -248,34 +545,14 @@ const Chat = () => {
 
         {/* Conversations List */}
         <div className="flex-1 overflow-y-auto custom-scrollbar p-4">
-          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">
-            Recent Conversations
-          </h3>
-          <div className="space-y-2">
-            {conversations.map((conv) => (
-              <button
-                key={conv.id}
-                onClick={() => loadConversation(conv.id)}
-                className={`w-full text-left p-3 rounded-xl transition-all duration-200 ${
-                  currentConversationId === conv.id 
-                    ? 'bg-gradient-to-r from-purple-50 to-indigo-50 border-l-4 border-purple-600' 
-                    : 'hover:bg-gray-50'
-                }`}
-              >
-                <div className="flex items-start gap-3">
-                  <MessageSquare className="h-4 w-4 text-gray-400 mt-0.5 flex-shrink-0" />
-                  <div className="flex-1 min-w-0">
-                    <p className="font-medium text-gray-900 truncate">
-                      {conv.title}
-                    </p>
-                    <p className="text-xs text-gray-500 mt-1">
-                      {new Date(conv.last_message_at || conv.created_at).toLocaleDateString()}
-                    </p>
-                  </div>
-                </div>
-              </button>
-            ))}
-          </div>
+          <ConversationList
+            variant="light"
+            currentId={currentConversationId}
+            onSelect={loadConversation}
+            onRemoved={(id) => id === currentConversationId && startNewChat()}
+            refreshKey={conversationsVersion}
+            inTeam={Boolean(user?.team_id)}
+          />
         </div>
       </aside>
 
@@ -296,9 +573,95 @@ const Chat = () => {
               </h1>
             </div>
             <div className="flex items-center gap-2">
-              <button className="p-2 hover:bg-gray-100 rounded-lg transition-colors group">
-                <Download className="h-5 w-5 text-gray-600 group-hover:text-purple-600" />
-              </button>
+              <div className="relative">
+                <button
+                  onClick={toggleShareMenu}
+                  disabled={!currentConversationId || isReadOnly}
+                  title="Share a read-only link"
+                  className="p-2 hover:bg-gray-100 rounded-lg transition-colors group disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Share2 className="h-5 w-5 text-gray-600 group-hover:text-purple-600" />
+                </button>
+                {showShareMenu && (
+                  <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-xl shadow-lg p-4 z-20">
+                    <p className="text-sm text-gray-600 mb-3">
+                      Anyone with the link can read this conversation as it is now. Later messages are not included.
+                    </p>
+                    <div className="flex gap-2">
+                      <select
+                        value={shareExpiry}
+                        onChange={(e) => setShareExpiry(e.target.value)}
+                        className="flex-1 text-sm border border-gray-200 rounded-lg px-2 py-1.5"
+                      >
+                        {SHARE_EXPIRY_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={handleCreateShare}
+                        disabled={isSharing}
+                        className="px-3 py-1.5 text-sm font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                      >
+                        {isSharing ? 'Sharing...' : 'Create link'}
+                      </button>
+                    </div>
+                    {shares.length > 0 && (
+                      <ul className="mt-4 space-y-2 max-h-48 overflow-y-auto">
+                        {shares.map(share => {
+                          const inactive = share.revoked_at || (share.expires_at && new Date(share.expires_at) <= new Date());
+                          return (
+                            <li key={share.id} className="flex items-center justify-between gap-2 text-xs">
+                              <span className={inactive ? 'text-gray-400' : 'text-gray-600'}>
+                                {describeShare(share)} · {share.view_count || 0} views
+                              </span>
+                              {!inactive && (
+                                <span className="flex items-center gap-1">
+                                  <button
+                                    onClick={() => copyShareLink(share)}
+                                    title="Copy link"
+                                    className="p-1 text-gray-500 hover:text-purple-600"
+                                  >
+                                    <Copy className="h-4 w-4" />
+                                  </button>
+                                  <button
+                                    onClick={() => handleRevokeShare(share.id)}
+                                    className="px-2 py-0.5 text-red-600 hover:bg-red-50 rounded"
+                                  >
+                                    Revoke
+                                  </button>
+                                </span>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="relative">
+                <button
+                  onClick={() => { setShowExportMenu(!showExportMenu); setShowShareMenu(false); }}
+                  disabled={!currentConversationId || isReadOnly}
+                  title="Export conversation"
+                  className="p-2 hover:bg-gray-100 rounded-lg transition-colors group disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Download className="h-5 w-5 text-gray-600 group-hover:text-purple-600" />
+                </button>
+                {showExportMenu && (
+                  <div className="absolute right-0 mt-2 w-52 bg-white border border-gray-200 rounded-xl shadow-lg py-1 z-20">
+                    {EXPORT_OPTIONS.map(option => (
+                      <button
+                        key={option.format}
+                        onClick={() => handleExport(option)}
+                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-purple-50 hover:text-purple-700"
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
               <button className="p-2 hover:bg-gray-100 rounded-lg transition-colors group">
                 <Settings className="h-5 w-5 text-gray-600 group-hover:text-purple-600" />
               </button>
@@ -344,9 +707,29 @@ const Chat = () => {
                   }`}
                   style={message.role === 'user' ? { borderBottomRightRadius: '0.5rem' } : { borderBottomLeftRadius: '0.5rem' }}
                 >
-                  <p className={`${message.role === 'user' ? 'text-white' : 'text-gray-800'} whitespace-pre-wrap`}>
-                    {message.content}
-                  </p>
+                  {message.isStreaming && !message.content ? (
+                    <div className="flex items-center gap-3">
+                      <div className="typing-indicator">
+                        <div className="typing-dot"></div>
+                        <div className="typing-dot"></div>
+                        <div className="typing-dot"></div>
+                      </div>
+                      {message.status && (
+                        <span className="text-sm text-gray-500">{message.status}</span>
+                      )}
+                    </div>
+                  ) : message.factCheck ? (
+                    <FactCheckCard factCheck={message.factCheck} />
+                  ) : (
+                    <p className={`${message.role === 'user' ? 'text-white' : 'text-gray-800'} whitespace-pre-wrap`}>
+                      <ClaimHighlights
+                        content={message.content}
+                        claims={message.claims}
+                        onCite={(number) => scrollToSource(message.id, number)}
+                      />
+                      {message.isStreaming && <span className="streaming-cursor" />}
+                    </p>
+                  )}
                   
                   {/* Confidence Indicator */}
                   {message.role === 'assistant' && message.confidenceScore !== undefined && (
@@ -359,15 +742,15 @@ const Chat = () => {
                               cx="30"
                               cy="30"
                               r="27"
-                              className={`ring-fill ${getConfidenceColor(message.confidenceScore)}`}
+                              className={`ring-fill ${getConfidenceColor(message.confidenceScore, message.confidenceLevel)}`}
                               strokeDasharray="169.65"
                               strokeDashoffset={169.65 - (169.65 * message.confidenceScore) / 100}
                             />
                           </svg>
                           <div className="absolute inset-0 flex items-center justify-center">
                             <span className={`text-sm font-bold ${
-                              getConfidenceColor(message.confidenceScore) === 'high' ? 'text-green-600' :
-                              getConfidenceColor(message.confidenceScore) === 'medium' ? 'text-yellow-600' :
+                              getConfidenceColor(message.confidenceScore, message.confidenceLevel) === 'high' ? 'text-green-600' :
+                              getConfidenceColor(message.confidenceScore, message.confidenceLevel) === 'medium' ? 'text-yellow-600' :
                               'text-red-600'
                             }`}>
                               {message.confidenceScore}%
@@ -376,15 +759,24 @@ const Chat = () => {
                         </div>
                         <div>
                           <h4 className={`font-semibold ${
-                            getConfidenceColor(message.confidenceScore) === 'high' ? 'text-green-600' :
-                            getConfidenceColor(message.confidenceScore) === 'medium' ? 'text-yellow-600' :
+                            getConfidenceColor(message.confidenceScore, message.confidenceLevel) === 'high' ? 'text-green-600' :
+                            getConfidenceColor(message.confidenceScore, message.confidenceLevel) === 'medium' ? 'text-yellow-600' :
                             'text-red-600'
                           }`}>
-                            {getConfidenceLabel(message.confidenceScore)}
+                            {getConfidenceLabel(message.confidenceScore, message.confidenceLevel)}
                           </h4>
                           <p className="text-sm text-gray-600">
                             Based on {message.sources?.length || 0} verified sources
                           </p>
+                          {message.evidence?.scholarly > 0 && (
+                            <p className="text-xs text-gray-500 mt-1">
+                              {Object.entries(message.evidence.levels)
+                                .filter(([, count]) => count > 0)
+                                .map(([level, count]) => `${count} ${EVIDENCE_LABELS[level]}`)
+                                .concat(message.evidence.retracted > 0 ? [`${message.evidence.retracted} retracted`] : [])
+                                .join(' · ')}
+                            </p>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -402,23 +794,67 @@ const Chat = () => {
                         <ChevronDown className={`h-4 w-4 transition-transform ${showSources[message.id] ? 'rotate-180' : ''}`} />
                       </button>
                       
-                      {showSources[message.id] && (
+                      {(showSources[message.id] || message.isStreaming) && (
                         <div className="mt-3 flex flex-wrap gap-2">
-                          {message.sources.map((source, idx) => (
+                          {message.sources.map((source, idx) => source.url ? (
                             <a
                               key={idx}
+                              id={`source-${message.id}-${source.citation ?? idx + 1}`}
                               href={source.url}
                               target="_blank"
                               rel="noopener noreferrer"
-                              className="source-chip inline-flex items-center gap-2 px-3 py-1.5 bg-white border border-gray-200 rounded-full text-sm font-medium text-purple-600 hover:bg-purple-50 hover:border-purple-300"
+                              title={source.scholarly ? describeScholarlySource(source.scholarly) : source.title}
+                              className={`source-chip inline-flex items-center gap-2 px-3 py-1.5 bg-white border rounded-full text-sm font-medium hover:bg-purple-50 hover:border-purple-300 ${
+                                source.scholarly?.retracted ? 'border-red-300 text-red-600 line-through' : 'border-gray-200 text-purple-600'
+                              }`}
                             >
-                              <div className="w-4 h-4 bg-gradient-to-br from-purple-400 to-indigo-400 rounded" />
+                              <span className="text-xs font-semibold text-gray-500">{source.citation ?? idx + 1}</span>
                               {new URL(source.url).hostname.replace('www.', '')}
+                              {source.scholarly && (
+                                <span className={`text-xs font-semibold no-underline ${source.scholarly.retracted ? 'text-red-600' : 'text-gray-500'}`}>
+                                  {source.scholarly.retracted ? 'Retracted' : EVIDENCE_LABELS[source.scholarly.evidenceLevel]}
+                                </span>
+                              )}
                               <ExternalLink className="h-3 w-3" />
                             </a>
+                          ) : (
+                            <span
+                              key={idx}
+                              id={`source-${message.id}-${source.citation ?? idx + 1}`}
+                              title={source.title}
+                              className="source-chip inline-flex items-center gap-2 px-3 py-1.5 bg-white border border-gray-200 rounded-full text-sm font-medium text-gray-700"
+                            >
+                              <span className="text-xs font-semibold text-gray-500">{source.citation ?? idx + 1}</span>
+                              {source.domain}
+                              <FileText className="h-3 w-3" />
+                            </span>
                           ))}
                         </div>
                       )}
+
+                      {/* What was searched to find these sources */}
+                      {showSources[message.id] && message.searchPlan?.length > 1 && (
+                        <div className="mt-3 text-xs text-gray-500">
+                          <p className="font-medium text-gray-600">Searched for:</p>
+                          <ul className="mt-1 space-y-0.5">
+                            {message.searchPlan.map((entry, idx) => (
+                              <li key={idx}>
+                                "{entry.query}"
+                                <span className="ml-1 text-gray-400">
+                                  ({SEARCH_ROUTE_LABELS[entry.route] || entry.route}{entry.found !== undefined ? `, ${entry.found} results` : ''})
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Feedback, once the answer has been saved */}
+                  {message.role === 'assistant' && typeof message.id === 'string' && !message.id.startsWith('streaming-') && (
+                    <div className="mt-3">
+                      <FeedbackControls messageId={message.id} initialFeedback={message.feedback} />
                     </div>
                   )}
                 </div>
@@ -434,50 +870,82 @@ const Chat = () => {
             </div>
           ))}
           
-          {isLoading && (
-            <div className="flex gap-4">
-              <div className="w-10 h-10 bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl flex items-center justify-center flex-shrink-0 shadow-lg">
-                <Sparkles className="h-5 w-5 text-white" />
-              </div>
-              <div className="typing-indicator">
-                <div className="typing-dot"></div>
-                <div className="typing-dot"></div>
-                <div className="typing-dot"></div>
-              </div>
-            </div>
-          )}
-          
           <div ref={messagesEndRef} />
         </div>
 
         {/* Input Area */}
         <div className="border-t border-gray-200 bg-white p-4">
-          <div className="max-w-4xl mx-auto">
-            <div className="chat-input-wrapper glass rounded-2xl border-2 border-transparent focus-within:border-purple-500 p-1">
-              <div className="flex items-end gap-2 p-2">
-                <textarea
-                  ref={textareaRef}
-                  value={input}
-                  onChange={(e) => setInput(e.target.value)}
-                  onKeyPress={handleKeyPress}
-                  placeholder="Ask anything... I'll search trusted sources and show my confidence level"
-                  className="flex-1 resize-none bg-transparent outline-none text-gray-800 placeholder-gray-400 max-h-32"
-                  rows="1"
-                  disabled={isLoading}
-                />
-                <button
-                  onClick={handleSendMessage}
-                  disabled={!input.trim() || isLoading}
-                  className="send-button bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-3 rounded-xl hover:from-purple-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105 active:scale-95"
-                >
-                  <Send className="h-5 w-5" />
-                </button>
+          {isReadOnly ? (
+            <div className="max-w-4xl mx-auto flex items-center justify-between gap-4 text-sm text-gray-600">
+              <p className="flex items-center gap-2">
+                <Users className="h-4 w-4 text-purple-600" />
+                A teammate shared this conversation with your team. It is read-only.
+              </p>
+              <button
+                onClick={startNewChat}
+                className="px-3 py-1.5 font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700"
+              >
+                New chat
+              </button>
+            </div>
+          ) : (
+            <div className="max-w-4xl mx-auto">
+              <div className="chat-input-wrapper glass rounded-2xl border-2 border-transparent focus-within:border-purple-500 p-1">
+                <div className="flex items-end gap-2 p-2">
+                  <button
+                    onClick={() => toggleMode('research')}
+                    disabled={isLoading}
+                    title={mode === 'research' ? 'Research mode on: peer-reviewed studies come first' : 'Research mode: prioritize scholarly sources'}
+                    aria-pressed={mode === 'research'}
+                    className={`p-3 rounded-xl transition-colors ${
+                      mode === 'research'
+                        ? 'bg-purple-100 text-purple-700'
+                        : 'text-gray-400 hover:bg-gray-100 hover:text-purple-600'
+                    }`}
+                  >
+                    <GraduationCap className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => toggleMode('fact_check')}
+                    disabled={isLoading}
+                    title={mode === 'fact_check' ? 'Fact-check mode on: your message is checked as a claim' : 'Check a claim against fact-checkers'}
+                    aria-pressed={mode === 'fact_check'}
+                    className={`p-3 rounded-xl transition-colors ${
+                      mode === 'fact_check'
+                        ? 'bg-purple-100 text-purple-700'
+                        : 'text-gray-400 hover:bg-gray-100 hover:text-purple-600'
+                    }`}
+                  >
+                    <ShieldCheck className="h-5 w-5" />
+                  </button>
+                  <textarea
+                    ref={textareaRef}
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    placeholder={mode === 'fact_check'
+                      ? "Enter a claim to fact-check, e.g. \"Coffee stunts your growth\""
+                      : mode === 'research'
+                        ? "Ask a research question... I'll weigh peer-reviewed studies by strength of evidence"
+                        : "Ask anything... I'll search trusted sources and show my confidence level"}
+                    className="flex-1 resize-none bg-transparent outline-none text-gray-800 placeholder-gray-400 max-h-32"
+                    rows="1"
+                    disabled={isLoading}
+                  />
+                  <button
+                    onClick={handleSendMessage}
+                    disabled={!input.trim() || isLoading}
+                    className="send-button bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-3 rounded-xl hover:from-purple-700 hover:to-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105 active:scale-95"
+                  >
+                    <Send className="h-5 w-5" />
+                  </button>
+                </div>
               </div>
+              <p className="text-xs text-gray-500 text-center mt-2">
+                Responses are generated with real-time web search from trusted sources
+              </p>
             </div>
-            <p className="text-xs text-gray-500 text-center mt-2">
-              Responses are generated with real-time web search from trusted sources
-            </p>
-          </div>
+          )}
         </div>
       </main>
     </div>
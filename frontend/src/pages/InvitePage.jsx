@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Users, Link2Off } from 'lucide-react';
+import { useAuthStore } from '../stores/authStore';
+import { teamAPI } from '../utils/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+/**
+ * Landing page for a team invitation link. Shows the team before sign-in and
+ * lets the invited user join once signed in with the invited address.
+ */
+export default function InvitePage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated, updateUser } = useAuthStore();
+  const [invitation, setInvitation] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [unavailable, setUnavailable] = useState(null);
+
+  useEffect(() => {
+    const loadInvitation = async () => {
+      try {
+        const response = await teamAPI.getInvitation(token);
+        setInvitation(response.invitation);
+      } catch (error) {
+        setUnavailable(error.response?.data?.error || 'This invitation could not be loaded');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+
+    try {
+      const response = await teamAPI.acceptInvitation(token);
+      updateUser({ team_id: response.team.id, team_role: invitation.role, tier: 'team' });
+      toast.success(`You joined ${response.team.name}`);
+      navigate('/settings');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to accept invitation');
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (unavailable) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="text-center max-w-md">
+          <Link2Off className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Invitation unavailable</h1>
+          <p className="text-gray-600 mb-6">{unavailable}. Ask the team for a new invitation.</p>
+          <Link
+            to="/"
+            className="inline-flex items-center px-4 py-2 rounded-lg text-white bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700"
+          >
+            Go to honestGPT
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const wrongAccount = isAuthenticated && user?.email?.toLowerCase() !== invitation.email;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <div className="bg-white rounded-lg shadow p-8 text-center max-w-md w-full">
+        <Users className="h-12 w-12 text-purple-600 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">
+          Join {invitation.teamName || 'a team'}
+        </h1>
+        <p className="text-gray-600 mb-6">
+          {invitation.invitedBy ? `${invitation.invitedBy} invited` : 'This invitation is for'} {invitation.email}
+          {' '}to join as {invitation.role === 'admin' ? 'an admin' : 'a member'}. Members share the team's
+          query quota and can read conversations shared with the team.
+        </p>
+
+        {!isAuthenticated ? (
+          <div className="flex justify-center gap-4">
+            <Link
+              to="/login"
+              state={{ from: { pathname: `/invite/${token}` } }}
+              className="px-6 py-2 rounded-lg text-white bg-purple-600 hover:bg-purple-700 transition"
+            >
+              Sign In
+            </Link>
+            <Link
+              to="/register"
+              state={{ from: { pathname: `/invite/${token}` } }}
+              className="px-6 py-2 rounded-lg border border-purple-600 text-purple-600 hover:bg-purple-50 transition"
+            >
+              Create Account
+            </Link>
+          </div>
+        ) : wrongAccount ? (
+          <p className="text-sm text-red-600">
+            You are signed in as {user.email}. Sign in as {invitation.email} to accept this invitation.
+          </p>
+        ) : user?.team_id ? (
+          <p className="text-sm text-red-600">
+            You already belong to a team. Leave it in Settings before joining another.
+          </p>
+        ) : (
+          <button
+            onClick={handleAccept}
+            disabled={isAccepting}
+            className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+          >
+            {isAccepting ? <LoadingSpinner size="small" color="white" /> : 'Accept Invitation'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
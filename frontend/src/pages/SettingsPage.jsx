@@ -1,10 +1,38 @@
 import React, { useState, useEffect } from 'react';
-import { User, Mail, Lock, Key, Trash2, Copy, Check, AlertCircle } from 'lucide-react';
+import { User, Users, Mail, Lock, Key, Trash2, Copy, Check, AlertCircle, Globe, BookOpen, Upload, FileText, LogOut, Webhook, Send, RefreshCw, BarChart3 } from 'lucide-react';
 import { useAuthStore } from '../stores/authStore';
-import { userAPI } from '../utils/api';
+import { userAPI, teamAPI, knowledgeAPI, webhookAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import toast from 'react-hot-toast';
 
+const API_KEY_SCOPE_LABELS = {
+  read: 'Read',
+  chat: 'Chat',
+  fact_check: 'Fact-check',
+  admin: 'Admin',
+};
+
+const USAGE_TYPE_LABELS = {
+  chat: 'Answers',
+  fact_check: 'Fact-checks',
+};
+
+const EMPTY_API_KEY_FORM = { name: '', scopes: ['read'], expiresInDays: '', monthlyQuota: '', rateLimitPerMinute: 60 };
+
+const WEBHOOK_EVENT_LABELS = {
+  'message.completed': 'Answer completed',
+  low_confidence_answer: 'Low-confidence answer',
+  'usage.threshold_reached': 'Usage threshold reached',
+  'subscription.changed': 'Subscription changed',
+};
+
+const DELIVERY_STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  pending: 'bg-yellow-100 text-yellow-700',
+  sending: 'bg-gray-100 text-gray-700',
+};
+
 export default function SettingsPage() {
   const { user, updateUser } = useAuthStore();
   const [activeTab, setActiveTab] = useState('profile');
@@ -26,26 +54,154 @@ export default function SettingsPage() {
   });
 
   // API key form state
-  const [apiKeyName, setApiKeyName] = useState('');
+  const [apiKeyForm, setApiKeyForm] = useState(EMPTY_API_KEY_FORM);
+  const [apiKeyScopes, setApiKeyScopes] = useState([]);
+  const [expandedApiKeyId, setExpandedApiKeyId] = useState(null);
   const [newApiKey, setNewApiKey] = useState(null);
   const [copiedKeyId, setCopiedKeyId] = useState(null);
 
+  // Team state
+  const [teamData, setTeamData] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [teamName, setTeamName] = useState('');
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'member' });
+  const [newInviteUrl, setNewInviteUrl] = useState(null);
+
+  // Source policy state
+  const [sourcePolicy, setSourcePolicy] = useState(null);
+  const [ruleForm, setRuleForm] = useState({ domain: '', ruleType: 'block', boost: 15 });
+
+  // Knowledge base state
+  const [collections, setCollections] = useState([]);
+  const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [collectionForm, setCollectionForm] = useState({ name: '', description: '', shared: false });
+  const [isUploading, setIsUploading] = useState(false);
+
+  // Webhooks state
+  const [webhooks, setWebhooks] = useState([]);
+  const [webhookEvents, setWebhookEvents] = useState([]);
+  const [webhookForm, setWebhookForm] = useState({ url: '', description: '', events: [], scope: 'personal' });
+  const [webhookSecret, setWebhookSecret] = useState(null);
+  const [selectedWebhookId, setSelectedWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [testingWebhookId, setTestingWebhookId] = useState(null);
+
   useEffect(() => {
     if (user?.tier === 'team') {
       loadApiKeys();
+      loadWebhooks();
     }
+    loadCollections();
     loadReferralData();
   }, [user?.tier]);
 
+  useEffect(() => {
+    if (user?.team_id) {
+      loadTeam();
+      loadSourcePolicy();
+    } else {
+      setTeamData(null);
+      setSourcePolicy(null);
+    }
+  }, [user?.team_id]);
+
+  useEffect(() => {
+    if (selectedCollectionId) {
+      loadDocuments(selectedCollectionId);
+    } else {
+      setDocuments([]);
+    }
+  }, [selectedCollectionId]);
+
+  useEffect(() => {
+    if (selectedWebhookId) {
+      loadDeliveries(selectedWebhookId);
+    } else {
+      setDeliveries([]);
+    }
+  }, [selectedWebhookId]);
+
+  // Documents are indexed in the background, so refresh until none are still processing
+  useEffect(() => {
+    if (!selectedCollectionId || !documents.some(doc => doc.status === 'processing')) {
+      return undefined;
+    }
+    const timer = setTimeout(() => loadDocuments(selectedCollectionId), 5000);
+    return () => clearTimeout(timer);
+  }, [documents, selectedCollectionId]);
+
   const loadApiKeys = async () => {
     try {
       const response = await userAPI.listApiKeys();
       setApiKeys(response.apiKeys);
+      setApiKeyScopes(response.scopes);
     } catch (error) {
       console.error('Failed to load API keys:', error);
     }
   };
 
+  const loadWebhooks = async () => {
+    try {
+      const response = await webhookAPI.listEndpoints();
+      setWebhooks(response.endpoints);
+      setWebhookEvents(response.events);
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+    }
+  };
+
+  const loadDeliveries = async (endpointId) => {
+    try {
+      const response = await webhookAPI.listDeliveries(endpointId);
+      setDeliveries(response.deliveries);
+    } catch (error) {
+      console.error('Failed to load deliveries:', error);
+    }
+  };
+
+  const loadTeam = async () => {
+    try {
+      const response = await teamAPI.getTeam();
+      setTeamData(response);
+      setTeamName(response.team.name);
+      if (response.permissions.includes('invite_members')) {
+        const invitationsResponse = await teamAPI.listInvitations();
+        setInvitations(invitationsResponse.invitations);
+      }
+    } catch (error) {
+      console.error('Failed to load team:', error);
+    }
+  };
+
+  const loadSourcePolicy = async () => {
+    try {
+      const response = await teamAPI.getSourcePolicy();
+      setSourcePolicy(response);
+    } catch (error) {
+      // Users without a team have no policy to show
+      setSourcePolicy(null);
+    }
+  };
+
+  const loadCollections = async () => {
+    try {
+      const response = await knowledgeAPI.listCollections();
+      setCollections(response.collections);
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+    }
+  };
+
+  const loadDocuments = async (collectionId) => {
+    try {
+      const response = await knowledgeAPI.listDocuments(collectionId);
+      setDocuments(response.documents);
+    } catch (error) {
+      console.error('Failed to load documents:', error);
+    }
+  };
+
   const loadReferralData = async () => {
     try {
       const response = await userAPI.getReferralStats();
@@ -102,26 +258,60 @@ export default function SettingsPage() {
   const handleCreateApiKey = async (e) => {
     e.preventDefault();
     
-    if (!apiKeyName.trim()) {
+    if (!apiKeyForm.name.trim()) {
       toast.error('Please enter a name for the API key');
       return;
     }
+    if (apiKeyForm.scopes.length === 0) {
+      toast.error('Choose at least one scope');
+      return;
+    }
 
     setIsLoading(true);
 
     try {
-      const response = await userAPI.createApiKey(apiKeyName);
+      const response = await userAPI.createApiKey({
+        name: apiKeyForm.name.trim(),
+        scopes: apiKeyForm.scopes,
+        expiresInDays: apiKeyForm.expiresInDays ? Number(apiKeyForm.expiresInDays) : null,
+        monthlyQuota: apiKeyForm.monthlyQuota ? Number(apiKeyForm.monthlyQuota) : null,
+        rateLimitPerMinute: Number(apiKeyForm.rateLimitPerMinute),
+      });
       setNewApiKey(response.apiKey);
-      setApiKeyName('');
+      setApiKeyForm(EMPTY_API_KEY_FORM);
       loadApiKeys();
       toast.success('API key created successfully');
     } catch (error) {
-      toast.error(error.response?.data?.error || 'Failed to create API key');
+      toast.error(error.response?.data?.message || error.response?.data?.details || error.response?.data?.error || 'Failed to create API key');
     } finally {
       setIsLoading(false);
     }
   };
 
+  const toggleApiKeyScope = (scope) => {
+    setApiKeyForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleRotateApiKey = async (keyId) => {
+    if (!window.confirm('Issue a new secret for this key? The old secret keeps working for a grace period so you can switch over.')) {
+      return;
+    }
+
+    try {
+      const response = await userAPI.rotateApiKey(keyId);
+      setNewApiKey(response.apiKey);
+      loadApiKeys();
+      toast.success('API key rotated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.error || 'Failed to rotate API key');
+    }
+  };
+
   const handleDeleteApiKey = async (keyId) => {
     if (!confirm('Are you sure you want to delete this API key?')) return;
 
@@ -134,6 +324,357 @@ export default function SettingsPage() {
     }
   };
 
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+
+    if (!teamName.trim()) {
+      toast.error('Please enter a team name');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await teamAPI.createTeam(teamName.trim());
+      updateUser({ team_id: response.team.id, team_role: 'owner' });
+      toast.success('Team created');
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to create team');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleUpdateTeam = async (changes) => {
+    try {
+      const response = await teamAPI.updateTeam(changes);
+      setTeamData(prev => ({ ...prev, team: response.team }));
+      toast.success('Team updated');
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to update team');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    if (!inviteForm.email.trim()) {
+      toast.error('Please enter an email address');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await teamAPI.createInvitation({
+        email: inviteForm.email.trim(),
+        role: inviteForm.role,
+      });
+      setNewInviteUrl(response.inviteUrl);
+      setInviteForm({ email: '', role: 'member' });
+      setInvitations(prev => [response.invitation, ...prev.filter(invite => invite.email !== response.invitation.email)]);
+      toast.success('Invitation created');
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to create invitation');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitationId) => {
+    try {
+      await teamAPI.revokeInvitation(invitationId);
+      setInvitations(prev => prev.filter(invite => invite.id !== invitationId));
+      toast.success('Invitation revoked');
+    } catch (error) {
+      toast.error('Failed to revoke invitation');
+    }
+  };
+
+  const handleChangeRole = async (memberId, role) => {
+    try {
+      if (role === 'owner') {
+        if (!window.confirm('Make this member the owner? You will become an admin.')) {
+          return;
+        }
+        await teamAPI.transferOwnership(memberId);
+        updateUser({ team_role: 'admin' });
+      } else {
+        await teamAPI.updateMemberRole(memberId, role);
+      }
+      loadTeam();
+      toast.success('Role updated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update role');
+    }
+  };
+
+  const handleRemoveMember = async (memberId) => {
+    if (!window.confirm('Remove this member from the team? Conversations they shared will become private.')) {
+      return;
+    }
+
+    try {
+      await teamAPI.removeMember(memberId);
+      setTeamData(prev => ({ ...prev, members: prev.members.filter(member => member.id !== memberId) }));
+      toast.success('Member removed');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove member');
+    }
+  };
+
+  const handleLeaveTeam = async () => {
+    if (!window.confirm('Leave this team? Conversations you shared will become private.')) {
+      return;
+    }
+
+    try {
+      await teamAPI.leaveTeam();
+      updateUser({ team_id: null, team_role: null });
+      toast.success('You have left the team');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to leave team');
+    }
+  };
+
+  const handleDeleteTeam = async () => {
+    if (!window.confirm('Delete this team for every member? Shared conversations become private again.')) {
+      return;
+    }
+
+    try {
+      await teamAPI.deleteTeam();
+      updateUser({ team_id: null, team_role: null });
+      toast.success('Team deleted');
+    } catch (error) {
+      toast.error('Failed to delete team');
+    }
+  };
+
+  const handleCreateSourceRule = async (e) => {
+    e.preventDefault();
+
+    if (!ruleForm.domain.trim()) {
+      toast.error('Please enter a domain');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await teamAPI.createSourceRule({
+        domain: ruleForm.domain.trim(),
+        ruleType: ruleForm.ruleType,
+        ...(ruleForm.ruleType === 'boost' && { boost: Number(ruleForm.boost) }),
+      });
+      setRuleForm({ ...ruleForm, domain: '' });
+      loadSourcePolicy();
+      toast.success('Source rule added');
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to add source rule');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeleteSourceRule = async (ruleId) => {
+    try {
+      await teamAPI.deleteSourceRule(ruleId);
+      setSourcePolicy(prev => ({ ...prev, rules: prev.rules.filter(rule => rule.id !== ruleId) }));
+      toast.success('Source rule removed');
+    } catch (error) {
+      toast.error('Failed to remove source rule');
+    }
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+
+    if (!collectionForm.name.trim()) {
+      toast.error('Please enter a collection name');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await knowledgeAPI.createCollection({
+        name: collectionForm.name.trim(),
+        description: collectionForm.description.trim(),
+        shared: collectionForm.shared,
+      });
+      setCollectionForm({ name: '', description: '', shared: false });
+      await loadCollections();
+      setSelectedCollectionId(response.collection.id);
+      toast.success('Collection created');
+    } catch (error) {
+      toast.error(error.response?.data?.details || 'Failed to create collection');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeleteCollection = async (collectionId) => {
+    if (!window.confirm('Delete this collection and all of its documents?')) {
+      return;
+    }
+
+    try {
+      await knowledgeAPI.deleteCollection(collectionId);
+      setCollections(prev => prev.filter(collection => collection.id !== collectionId));
+      if (selectedCollectionId === collectionId) {
+        setSelectedCollectionId(null);
+      }
+      toast.success('Collection deleted');
+    } catch (error) {
+      toast.error('Failed to delete collection');
+    }
+  };
+
+  const handleUploadDocument = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !selectedCollectionId) {
+      return;
+    }
+
+    setIsUploading(true);
+
+    try {
+      await knowledgeAPI.uploadDocument(selectedCollectionId, file);
+      await Promise.all([loadDocuments(selectedCollectionId), loadCollections()]);
+      toast.success('Document uploaded. It will be searchable once indexing finishes.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload document');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDeleteDocument = async (documentId) => {
+    try {
+      await knowledgeAPI.deleteDocument(documentId);
+      setDocuments(prev => prev.filter(doc => doc.id !== documentId));
+      loadCollections();
+      toast.success('Document deleted');
+    } catch (error) {
+      toast.error('Failed to delete document');
+    }
+  };
+
+  const toggleWebhookEvent = (event) => {
+    setWebhookForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event],
+    }));
+  };
+
+  const handleCreateWebhook = async (e) => {
+    e.preventDefault();
+
+    if (webhookForm.events.length === 0) {
+      toast.error('Choose at least one event');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await webhookAPI.createEndpoint({
+        url: webhookForm.url.trim(),
+        description: webhookForm.description.trim(),
+        events: webhookForm.events,
+        scope: webhookForm.scope,
+      });
+      setWebhookSecret({ endpointId: response.endpoint.id, secret: response.secret });
+      setWebhookForm({ url: '', description: '', events: [], scope: 'personal' });
+      loadWebhooks();
+      toast.success('Webhook created');
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to create webhook');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggleWebhook = async (endpoint) => {
+    try {
+      const response = await webhookAPI.updateEndpoint(endpoint.id, { isActive: !endpoint.isActive });
+      setWebhooks(prev => prev.map(item => (item.id === endpoint.id ? response.endpoint : item)));
+      toast.success(response.endpoint.isActive ? 'Webhook resumed' : 'Webhook paused');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update webhook');
+    }
+  };
+
+  const handleTestWebhook = async (endpointId) => {
+    setTestingWebhookId(endpointId);
+
+    try {
+      const { delivery } = await webhookAPI.sendTest(endpointId);
+      if (delivery.status === 'succeeded') {
+        toast.success(`Test delivered (HTTP ${delivery.responseStatus})`);
+      } else {
+        toast.error(`Test failed: ${delivery.error}`);
+      }
+      if (selectedWebhookId === endpointId) {
+        loadDeliveries(endpointId);
+      } else {
+        setSelectedWebhookId(endpointId);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send test event');
+    } finally {
+      setTestingWebhookId(null);
+    }
+  };
+
+  const handleRotateWebhookSecret = async (endpointId) => {
+    if (!window.confirm('Replace the signing secret? Deliveries are signed with the new secret right away.')) {
+      return;
+    }
+
+    try {
+      const response = await webhookAPI.rotateSecret(endpointId);
+      setWebhookSecret({ endpointId, secret: response.secret });
+      loadWebhooks();
+      toast.success('Signing secret rotated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const handleDeleteWebhook = async (endpointId) => {
+    if (!window.confirm('Delete this webhook and its delivery log?')) {
+      return;
+    }
+
+    try {
+      await webhookAPI.deleteEndpoint(endpointId);
+      setWebhooks(prev => prev.filter(endpoint => endpoint.id !== endpointId));
+      if (selectedWebhookId === endpointId) {
+        setSelectedWebhookId(null);
+      }
+      toast.success('Webhook deleted');
+    } catch (error) {
+      toast.error('Failed to delete webhook');
+    }
+  };
+
+  const handleRedeliver = async (deliveryId) => {
+    try {
+      const { delivery } = await webhookAPI.redeliver(deliveryId);
+      toast[delivery.status === 'succeeded' ? 'success' : 'error'](
+        delivery.status === 'succeeded' ? 'Delivered' : `Delivery failed: ${delivery.error}`
+      );
+      loadDeliveries(selectedWebhookId);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to redeliver');
+    }
+  };
+
   const copyToClipboard = (text, keyId = null) => {
     navigator.clipboard.writeText(text);
     if (keyId) {
@@ -143,10 +684,16 @@ export default function SettingsPage() {
     toast.success('Copied to clipboard');
   };
 
+  const canInTeam = (permission) => Boolean(teamData?.permissions.includes(permission));
+
   const tabs = [
     { id: 'profile', label: 'Profile', icon: User },
     { id: 'security', label: 'Security', icon: Lock },
+    ...(user?.tier === 'team' ? [{ id: 'team', label: 'Team', icon: Users }] : []),
     ...(user?.tier === 'team' ? [{ id: 'api', label: 'API Keys', icon: Key }] : []),
+    ...(user?.tier === 'team' ? [{ id: 'webhooks', label: 'Webhooks', icon: Webhook }] : []),
+    ...(sourcePolicy ? [{ id: 'sources', label: 'Sources', icon: Globe }] : []),
+    { id: 'knowledge', label: 'Knowledge Base', icon: BookOpen },
     { id: 'referrals', label: 'Referrals', icon: User },
   ];
 
@@ -304,6 +851,271 @@ export default function SettingsPage() {
           </div>
         )}
 
+        {/* Team Tab */}
+        {activeTab === 'team' && !user?.team_id && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold mb-2">Create a Team</h2>
+            <p className="text-gray-600 mb-6">
+              Team members share one monthly query quota, a source policy and a space for shared
+              conversations. To join an existing team, open the invitation link you were sent.
+            </p>
+            <form onSubmit={handleCreateTeam} className="flex gap-4">
+              <input
+                type="text"
+                placeholder="Team name"
+                value={teamName}
+                onChange={(e) => setTeamName(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                maxLength={100}
+              />
+              <button
+                type="submit"
+                disabled={isLoading || !teamName.trim()}
+                className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+              >
+                Create Team
+              </button>
+            </form>
+          </div>
+        )}
+
+        {activeTab === 'team' && user?.team_id && teamData && (
+          <div className="space-y-6">
+            {/* Team overview and pooled usage */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-start justify-between gap-4 mb-6">
+                <div>
+                  <h2 className="text-xl font-semibold">{teamData.team.name}</h2>
+                  <p className="text-sm text-gray-600 capitalize">Your role: {teamData.role}</p>
+                </div>
+                {teamData.role !== 'owner' && (
+                  <button
+                    onClick={handleLeaveTeam}
+                    className="flex items-center gap-2 text-red-600 hover:text-red-700 text-sm font-medium"
+                  >
+                    <LogOut size={16} />
+                    Leave Team
+                  </button>
+                )}
+              </div>
+
+              <h3 className="font-medium mb-2">Shared Query Quota</h3>
+              <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+                <div
+                  className="bg-purple-600 h-2 rounded-full"
+                  style={{ width: `${Math.min(100, (teamData.team.usage.used / Math.max(1, teamData.team.usage.limit)) * 100)}%` }}
+                />
+              </div>
+              <p className="text-sm text-gray-600">
+                {teamData.team.usage.used} of {teamData.team.usage.limit} queries used this month
+                {teamData.team.usage.resetDate && ` • Resets ${new Date(teamData.team.usage.resetDate).toLocaleDateString()}`}
+              </p>
+            </div>
+
+            {/* Team settings */}
+            {canInTeam('manage_team') && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h2 className="text-xl font-semibold mb-6">Team Settings</h2>
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    handleUpdateTeam({ name: teamName.trim() });
+                  }}
+                  className="flex gap-4 mb-6"
+                >
+                  <input
+                    type="text"
+                    value={teamName}
+                    onChange={(e) => setTeamName(e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                    maxLength={100}
+                  />
+                  <button
+                    type="submit"
+                    disabled={!teamName.trim() || teamName.trim() === teamData.team.name}
+                    className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+                  >
+                    Rename
+                  </button>
+                </form>
+
+                <div className="space-y-3">
+                  <label className="flex items-center gap-3 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={teamData.team.settings.membersCanInvite}
+                      onChange={(e) => handleUpdateTeam({ settings: { membersCanInvite: e.target.checked } })}
+                    />
+                    Members can invite people
+                  </label>
+                  <label className="flex items-center gap-3 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={teamData.team.settings.membersCanShareConversations}
+                      onChange={(e) => handleUpdateTeam({ settings: { membersCanShareConversations: e.target.checked } })}
+                    />
+                    Members can share conversations with the team
+                  </label>
+                </div>
+              </div>
+            )}
+
+            {/* Members */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-xl font-semibold mb-6">Members</h2>
+              <div className="space-y-3">
+                {teamData.members.map((member) => (
+                  <div key={member.id} className="border rounded-lg p-4 flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <h4 className="font-medium truncate">
+                        {member.name || member.email}
+                        {member.id === user?.id && <span className="text-gray-500 font-normal"> (you)</span>}
+                      </h4>
+                      <p className="text-sm text-gray-600 truncate">
+                        {member.email} • {member.queries_this_period} queries this month
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {canInTeam('manage_members') && member.team_role !== 'owner' && member.id !== user?.id ? (
+                        <select
+                          value={member.team_role || 'member'}
+                          onChange={(e) => handleChangeRole(member.id, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-purple-500 focus:border-purple-500"
+                        >
+                          <option value="member">Member</option>
+                          <option value="admin">Admin</option>
+                          {teamData.role === 'owner' && <option value="owner">Owner</option>}
+                        </select>
+                      ) : (
+                        <span className="text-xs font-medium uppercase px-2 py-1 rounded bg-purple-100 text-purple-700">
+                          {member.team_role || 'member'}
+                        </span>
+                      )}
+                      {canInTeam('manage_members') && member.team_role !== 'owner' && member.id !== user?.id && (
+                        <button
+                          onClick={() => handleRemoveMember(member.id)}
+                          className="text-red-600 hover:text-red-700 p-2"
+                          title="Remove from team"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Invitations */}
+            {canInTeam('invite_members') && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h2 className="text-xl font-semibold mb-2">Invite People</h2>
+                <p className="text-gray-600 mb-6">
+                  Invitations are tied to an email address and expire after a week. Send the link to the
+                  person you invited; they accept it after signing in with that address.
+                </p>
+
+                {newInviteUrl && (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+                    <div className="flex items-start gap-3">
+                      <Check className="text-green-600 flex-shrink-0" size={20} />
+                      <div className="flex-1 min-w-0">
+                        <h4 className="font-medium text-green-900">Invitation Link</h4>
+                        <p className="text-sm text-green-800 mt-1">
+                          Copy this link now. It will not be shown again.
+                        </p>
+                        <div className="mt-3 flex items-center gap-2">
+                          <code className="bg-white px-3 py-2 rounded border text-sm flex-1 truncate">
+                            {newInviteUrl}
+                          </code>
+                          <button
+                            onClick={() => copyToClipboard(newInviteUrl)}
+                            className="p-2 hover:bg-green-100 rounded transition"
+                          >
+                            <Copy size={16} />
+                          </button>
+                        </div>
+                        <button
+                          onClick={() => setNewInviteUrl(null)}
+                          className="text-green-700 hover:text-green-800 text-sm mt-3"
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                <form onSubmit={handleInvite} className="flex flex-wrap gap-4 mb-6">
+                  <input
+                    type="email"
+                    placeholder="Email address"
+                    value={inviteForm.email}
+                    onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                    className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                  />
+                  {teamData.role !== 'member' && (
+                    <select
+                      value={inviteForm.role}
+                      onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                    >
+                      <option value="member">Member</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={isLoading || !inviteForm.email.trim()}
+                    className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+                  >
+                    Invite
+                  </button>
+                </form>
+
+                {invitations.length === 0 ? (
+                  <p className="text-gray-600">No pending invitations.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {invitations.map((invitation) => (
+                      <div key={invitation.id} className="border rounded-lg p-4 flex items-center justify-between">
+                        <div>
+                          <h4 className="font-medium">{invitation.email}</h4>
+                          <p className="text-sm text-gray-600 capitalize">
+                            {invitation.role} • Expires {new Date(invitation.expires_at).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => handleRevokeInvitation(invitation.id)}
+                          className="text-red-600 hover:text-red-700 p-2"
+                          title="Revoke invitation"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {canInTeam('delete_team') && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-medium text-red-600 mb-4">Danger Zone</h3>
+                <p className="text-gray-600 mb-4">
+                  Deleting the team removes every member from it. Their accounts and private conversations are kept.
+                </p>
+                <button
+                  onClick={handleDeleteTeam}
+                  className="text-red-600 hover:text-red-700 font-medium"
+                >
+                  Delete Team
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* API Keys Tab */}
         {activeTab === 'api' && user?.tier === 'team' && (
           <div className="space-y-6">
@@ -316,9 +1128,13 @@ export default function SettingsPage() {
                   <div className="flex items-start gap-3">
                     <Check className="text-green-600 flex-shrink-0" size={20} />
                     <div className="flex-1">
-                      <h4 className="font-medium text-green-900">API Key Created</h4>
+                      <h4 className="font-medium text-green-900">
+                        {newApiKey.rotated_at ? 'API Key Rotated' : 'API Key Created'}
+                      </h4>
                       <p className="text-sm text-green-800 mt-1">
                         Save this key securely. It will not be shown again.
+                        {newApiKey.previous_key_expires_at &&
+                          ` The old key keeps working until ${new Date(newApiKey.previous_key_expires_at).toLocaleString()}.`}
                       </p>
                       <div className="mt-3 flex items-center gap-2">
                         <code className="bg-white px-3 py-2 rounded border text-sm flex-1">
@@ -341,18 +1157,71 @@ export default function SettingsPage() {
                   </div>
                 </div>
               ) : (
-                <form onSubmit={handleCreateApiKey} className="flex gap-4">
+                <form onSubmit={handleCreateApiKey} className="space-y-4">
                   <input
                     type="text"
                     placeholder="API key name (e.g., Production App)"
-                    value={apiKeyName}
-                    onChange={(e) => setApiKeyName(e.target.value)}
-                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                    value={apiKeyForm.name}
+                    onChange={(e) => setApiKeyForm({ ...apiKeyForm, name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
                     maxLength={50}
                   />
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Scopes</p>
+                    <div className="flex flex-wrap gap-4">
+                      {apiKeyScopes.map((scope) => (
+                        <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={apiKeyForm.scopes.includes(scope)}
+                            onChange={() => toggleApiKeyScope(scope)}
+                            className="rounded text-purple-600 focus:ring-purple-500"
+                          />
+                          {API_KEY_SCOPE_LABELS[scope] || scope}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <label className="text-sm text-gray-700">
+                      Expires
+                      <select
+                        value={apiKeyForm.expiresInDays}
+                        onChange={(e) => setApiKeyForm({ ...apiKeyForm, expiresInDays: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                      >
+                        <option value="">Never</option>
+                        <option value="30">In 30 days</option>
+                        <option value="90">In 90 days</option>
+                        <option value="365">In 1 year</option>
+                      </select>
+                    </label>
+                    <label className="text-sm text-gray-700">
+                      Monthly query quota
+                      <input
+                        type="number"
+                        min={1}
+                        placeholder="No limit"
+                        value={apiKeyForm.monthlyQuota}
+                        onChange={(e) => setApiKeyForm({ ...apiKeyForm, monthlyQuota: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                      />
+                    </label>
+                    <label className="text-sm text-gray-700">
+                      Requests per minute
+                      <input
+                        type="number"
+                        min={1}
+                        max={120}
+                        value={apiKeyForm.rateLimitPerMinute}
+                        onChange={(e) => setApiKeyForm({ ...apiKeyForm, rateLimitPerMinute: e.target.value })}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                      />
+                    </label>
+                  </div>
                   <button
                     type="submit"
-                    disabled={isLoading || !apiKeyName.trim()}
+                    disabled={isLoading || !apiKeyForm.name.trim()}
                     className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
                   >
                     Create Key
@@ -370,21 +1239,303 @@ export default function SettingsPage() {
               ) : (
                 <div className="space-y-4">
                   {apiKeys.map((key) => (
-                    <div key={key.id} className="border rounded-lg p-4 flex items-center justify-between">
-                      <div className="flex-1">
-                        <h4 className="font-medium">{key.name}</h4>
-                        <p className="text-sm text-gray-600 mt-1">
-                          {key.key_prefix}... • Created {new Date(key.created_at).toLocaleDateString()}
-                          {key.last_used && ` • Last used ${new Date(key.last_used).toLocaleDateString()}`}
-                        </p>
+                    <div key={key.id} className="border rounded-lg p-4">
+                      <div className="flex items-center justify-between">
+                        <div className="flex-1">
+                          <div className="flex items-center gap-2 flex-wrap">
+                            <h4 className="font-medium">{key.name}</h4>
+                            {key.scopes.map((scope) => (
+                              <span key={scope} className="text-xs font-medium px-2 py-0.5 rounded bg-purple-100 text-purple-700">
+                                {API_KEY_SCOPE_LABELS[scope] || scope}
+                              </span>
+                            ))}
+                            {key.expired && (
+                              <span className="text-xs font-medium px-2 py-0.5 rounded bg-red-100 text-red-700">Expired</span>
+                            )}
+                          </div>
+                          <p className="text-sm text-gray-600 mt-1">
+                            {key.key_prefix}... • Created {new Date(key.created_at).toLocaleDateString()}
+                            {key.last_used && ` • Last used ${new Date(key.last_used).toLocaleDateString()}`}
+                            {key.expires_at && !key.expired && ` • Expires ${new Date(key.expires_at).toLocaleDateString()}`}
+                          </p>
+                          <p className="text-sm text-gray-600 mt-1">
+                            {key.usage.queries}{key.monthly_quota ? ` / ${key.monthly_quota}` : ''} queries this month
+                            {` • ${key.rate_limit_per_minute} requests/min`}
+                            {` • ${key.usage_count} requests total`}
+                          </p>
+                          {key.previous_key_expires_at && (
+                            <p className="text-xs text-yellow-700 mt-1">
+                              Old key works until {new Date(key.previous_key_expires_at).toLocaleString()}
+                            </p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => setExpandedApiKeyId(expandedApiKeyId === key.id ? null : key.id)}
+                            className="text-gray-600 hover:text-gray-800 p-2"
+                            title="Usage this month"
+                          >
+                            <BarChart3 size={16} />
+                          </button>
+                          {!key.expired && (
+                            <button
+                              onClick={() => handleRotateApiKey(key.id)}
+                              className="text-gray-600 hover:text-gray-800 p-2"
+                              title="Rotate key"
+                            >
+                              <RefreshCw size={16} />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDeleteApiKey(key.id)}
+                            className="text-red-600 hover:text-red-700 p-2"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </div>
+
+                      {key.monthly_quota && (
+                        <div className="w-full bg-gray-200 rounded-full h-1.5 mt-3">
+                          <div
+                            className={`h-1.5 rounded-full ${key.usage.queries >= key.monthly_quota ? 'bg-red-500' : 'bg-purple-600'}`}
+                            style={{ width: `${Math.min(100, (key.usage.queries / key.monthly_quota) * 100)}%` }}
+                          />
+                        </div>
+                      )}
+
+                      {/* Usage breakdown */}
+                      {expandedApiKeyId === key.id && (
+                        <div className="mt-4 border-t pt-4">
+                          {key.usage.queries === 0 ? (
+                            <p className="text-sm text-gray-600">No queries with this key this month.</p>
+                          ) : (
+                            <>
+                              <div className="flex gap-6 text-sm mb-3">
+                                {Object.entries(key.usage.byType).map(([type, count]) => (
+                                  <span key={type}>
+                                    <span className="font-medium">{count}</span>{' '}
+                                    <span className="text-gray-600">{USAGE_TYPE_LABELS[type] || type}</span>
+                                  </span>
+                                ))}
+                              </div>
+                              <div className="space-y-1">
+                                {Object.entries(key.usage.byDay)
+                                  .sort(([a], [b]) => b.localeCompare(a))
+                                  .map(([day, count]) => (
+                                    <div key={day} className="flex items-center gap-3 text-xs">
+                                      <span className="w-20 text-gray-500">{new Date(`${day}T00:00:00Z`).toLocaleDateString()}</span>
+                                      <div className="flex-1 bg-gray-100 rounded h-2">
+                                        <div
+                                          className="bg-purple-400 h-2 rounded"
+                                          style={{ width: `${(count / Math.max(...Object.values(key.usage.byDay))) * 100}%` }}
+                                        />
+                                      </div>
+                                      <span className="w-8 text-right text-gray-700">{count}</span>
+                                    </div>
+                                  ))}
+                              </div>
+                            </>
+                          )}
+                          <p className="text-xs text-gray-500 mt-3">
+                            Resets {new Date(key.usage.resetDate).toLocaleDateString()}
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Webhooks Tab */}
+        {activeTab === 'webhooks' && user?.tier === 'team' && (
+          <div className="space-y-6">
+            {/* Create new endpoint */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-xl font-semibold mb-2">Add Webhook</h2>
+              <p className="text-gray-600 mb-6">
+                honestGPT POSTs signed JSON to your URL when these events happen. Failed deliveries are retried with backoff.
+              </p>
+
+              {webhookSecret && (
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+                  <div className="flex items-start gap-3">
+                    <Check className="text-green-600 flex-shrink-0" size={20} />
+                    <div className="flex-1">
+                      <h4 className="font-medium text-green-900">Signing Secret</h4>
+                      <p className="text-sm text-green-800 mt-1">
+                        Use it to verify the X-HonestGPT-Signature header. It will not be shown again.
+                      </p>
+                      <div className="mt-3 flex items-center gap-2">
+                        <code className="bg-white px-3 py-2 rounded border text-sm flex-1 break-all">
+                          {webhookSecret.secret}
+                        </code>
+                        <button
+                          onClick={() => copyToClipboard(webhookSecret.secret)}
+                          className="p-2 hover:bg-green-100 rounded transition"
+                        >
+                          <Copy size={16} />
+                        </button>
                       </div>
                       <button
-                        onClick={() => handleDeleteApiKey(key.id)}
-                        className="text-red-600 hover:text-red-700 p-2"
+                        onClick={() => setWebhookSecret(null)}
+                        className="text-green-700 hover:text-green-800 text-sm mt-3"
                       >
-                        <Trash2 size={16} />
+                        Done
                       </button>
                     </div>
+                  </div>
+                </div>
+              )}
+
+              <form onSubmit={handleCreateWebhook} className="space-y-4">
+                <input
+                  type="url"
+                  placeholder="https://example.com/honestgpt-webhook"
+                  value={webhookForm.url}
+                  onChange={(e) => setWebhookForm({ ...webhookForm, url: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                  maxLength={2048}
+                />
+                <input
+                  type="text"
+                  placeholder="Description (optional)"
+                  value={webhookForm.description}
+                  onChange={(e) => setWebhookForm({ ...webhookForm, description: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                  maxLength={255}
+                />
+                <div className="flex flex-wrap gap-4">
+                  {webhookEvents.map((event) => (
+                    <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={webhookForm.events.includes(event)}
+                        onChange={() => toggleWebhookEvent(event)}
+                        className="rounded text-purple-600 focus:ring-purple-500"
+                      />
+                      {WEBHOOK_EVENT_LABELS[event] || event}
+                    </label>
+                  ))}
+                </div>
+                {canInTeam('manage_webhooks') && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={webhookForm.scope === 'team'}
+                      onChange={(e) => setWebhookForm({ ...webhookForm, scope: e.target.checked ? 'team' : 'personal' })}
+                      className="rounded text-purple-600 focus:ring-purple-500"
+                    />
+                    Send events for the whole team
+                  </label>
+                )}
+                <button
+                  type="submit"
+                  disabled={isLoading || !webhookForm.url.trim()}
+                  className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+                >
+                  Add Webhook
+                </button>
+              </form>
+            </div>
+
+            {/* List endpoints */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-xl font-semibold mb-6">Your Webhooks</h2>
+
+              {webhooks.length === 0 ? (
+                <p className="text-gray-600">No webhooks yet. Add one above to get started.</p>
+              ) : (
+                <div className="space-y-4">
+                  {webhooks.map((endpoint) => (
+                    <div key={endpoint.id} className="border rounded-lg p-4">
+                      <div className="flex items-start justify-between gap-4">
+                        <button
+                          onClick={() => setSelectedWebhookId(selectedWebhookId === endpoint.id ? null : endpoint.id)}
+                          className="flex-1 min-w-0 text-left"
+                        >
+                          <h4 className="font-medium truncate">{endpoint.url}</h4>
+                          <p className="text-sm text-gray-600 mt-1">
+                            {endpoint.scope === 'team' ? 'Team' : 'Personal'}
+                            {!endpoint.isActive && ' • Paused'}
+                            {endpoint.description && ` • ${endpoint.description}`}
+                            {` • ${endpoint.secretPreview}`}
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {endpoint.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(', ')}
+                          </p>
+                        </button>
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => handleTestWebhook(endpoint.id)}
+                            disabled={testingWebhookId === endpoint.id}
+                            className="text-purple-600 hover:text-purple-700 p-2 disabled:opacity-50"
+                            title="Send a test event"
+                          >
+                            <Send size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleToggleWebhook(endpoint)}
+                            className="text-gray-600 hover:text-gray-800 px-2 py-1 text-sm"
+                          >
+                            {endpoint.isActive ? 'Pause' : 'Resume'}
+                          </button>
+                          <button
+                            onClick={() => handleRotateWebhookSecret(endpoint.id)}
+                            className="text-gray-600 hover:text-gray-800 p-2"
+                            title="Rotate signing secret"
+                          >
+                            <Key size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteWebhook(endpoint.id)}
+                            className="text-red-600 hover:text-red-700 p-2"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </div>
+
+                      {/* Delivery log */}
+                      {selectedWebhookId === endpoint.id && (
+                        <div className="mt-4 border-t pt-4">
+                          <h5 className="text-sm font-medium text-gray-700 mb-3">Recent Deliveries</h5>
+                          {deliveries.length === 0 ? (
+                            <p className="text-sm text-gray-600">No deliveries yet. Send a test event to try it.</p>
+                          ) : (
+                            <div className="space-y-2">
+                              {deliveries.map((delivery) => (
+                                <div key={delivery.id} className="flex items-center justify-between text-sm">
+                                  <div className="flex items-center gap-3 min-w-0">
+                                    <span className={`text-xs font-medium uppercase px-2 py-1 rounded ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                                      {delivery.status}
+                                    </span>
+                                    <span className="font-medium">{delivery.eventType}</span>
+                                    <span className="text-gray-500 truncate">
+                                      {new Date(delivery.createdAt).toLocaleString()}
+                                      {delivery.responseStatus && ` • HTTP ${delivery.responseStatus}`}
+                                      {delivery.error && !delivery.responseStatus && ` • ${delivery.error}`}
+                                      {` • ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                                      {delivery.nextAttemptAt && ` • retry ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+                                    </span>
+                                  </div>
+                                  <button
+                                    onClick={() => handleRedeliver(delivery.id)}
+                                    className="text-gray-600 hover:text-gray-800 p-2"
+                                    title="Send again"
+                                  >
+                                    <RefreshCw size={14} />
+                                  </button>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
                   ))}
                 </div>
               )}
@@ -392,6 +1543,213 @@ export default function SettingsPage() {
           </div>
         )}
 
+        {/* Sources Tab */}
+        {activeTab === 'sources' && sourcePolicy && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold mb-2">Team Source Policy</h2>
+            <p className="text-gray-600 mb-6">
+              Allowed domains restrict every search to those sources. Blocked domains are never used.
+              Boosted domains are searched first and raise source quality.
+            </p>
+
+            {sourcePolicy.canManage && (
+              <form onSubmit={handleCreateSourceRule} className="flex flex-wrap gap-4 mb-6">
+                <input
+                  type="text"
+                  placeholder="Domain, e.g. reddit.com or *.gov"
+                  value={ruleForm.domain}
+                  onChange={(e) => setRuleForm({ ...ruleForm, domain: e.target.value })}
+                  className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                />
+                <select
+                  value={ruleForm.ruleType}
+                  onChange={(e) => setRuleForm({ ...ruleForm, ruleType: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                >
+                  <option value="allow">Allow only</option>
+                  <option value="block">Block</option>
+                  <option value="boost">Boost</option>
+                </select>
+                {ruleForm.ruleType === 'boost' && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={50}
+                    value={ruleForm.boost}
+                    onChange={(e) => setRuleForm({ ...ruleForm, boost: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                    title="Points added to the domain's reputation score"
+                  />
+                )}
+                <button
+                  type="submit"
+                  disabled={isLoading || !ruleForm.domain.trim()}
+                  className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+                >
+                  Add Rule
+                </button>
+              </form>
+            )}
+
+            {sourcePolicy.rules.length === 0 ? (
+              <p className="text-gray-600">No source rules. honestGPT searches its default trusted sources.</p>
+            ) : (
+              <div className="space-y-3">
+                {sourcePolicy.rules.map((rule) => (
+                  <div key={rule.id} className="border rounded-lg p-4 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <span className={`text-xs font-medium uppercase px-2 py-1 rounded ${
+                        rule.rule_type === 'block'
+                          ? 'bg-red-100 text-red-700'
+                          : rule.rule_type === 'allow'
+                            ? 'bg-green-100 text-green-700'
+                            : 'bg-purple-100 text-purple-700'
+                      }`}>
+                        {rule.rule_type}{rule.rule_type === 'boost' && ` +${rule.boost}`}
+                      </span>
+                      <span className="font-medium">{rule.domain}</span>
+                    </div>
+                    {sourcePolicy.canManage && (
+                      <button
+                        onClick={() => handleDeleteSourceRule(rule.id)}
+                        className="text-red-600 hover:text-red-700 p-2"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Knowledge Base Tab */}
+        {activeTab === 'knowledge' && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold mb-2">Knowledge Base</h2>
+            <p className="text-gray-600 mb-6">
+              Upload PDF, DOCX, Markdown, HTML or text files. Relevant passages are cited alongside
+              web sources and count towards the confidence score as internal documents.
+            </p>
+
+            <form onSubmit={handleCreateCollection} className="flex flex-wrap items-center gap-4 mb-6">
+              <input
+                type="text"
+                placeholder="Collection name"
+                value={collectionForm.name}
+                onChange={(e) => setCollectionForm({ ...collectionForm, name: e.target.value })}
+                className="flex-1 min-w-[160px] px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+              />
+              <input
+                type="text"
+                placeholder="Description (optional)"
+                value={collectionForm.description}
+                onChange={(e) => setCollectionForm({ ...collectionForm, description: e.target.value })}
+                className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+              />
+              {user?.team_id && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={collectionForm.shared}
+                    onChange={(e) => setCollectionForm({ ...collectionForm, shared: e.target.checked })}
+                  />
+                  Share with team
+                </label>
+              )}
+              <button
+                type="submit"
+                disabled={isLoading || !collectionForm.name.trim()}
+                className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+              >
+                Create Collection
+              </button>
+            </form>
+
+            {collections.length === 0 ? (
+              <p className="text-gray-600">No collections yet. Answers use web sources only.</p>
+            ) : (
+              <div className="space-y-3">
+                {collections.map((collection) => (
+                  <div key={collection.id} className="border rounded-lg">
+                    <div className="p-4 flex items-center justify-between">
+                      <button
+                        onClick={() => setSelectedCollectionId(
+                          selectedCollectionId === collection.id ? null : collection.id
+                        )}
+                        className="text-left flex-1"
+                      >
+                        <h3 className="font-medium flex items-center gap-2">
+                          {collection.name}
+                          {collection.shared && (
+                            <span className="text-xs font-medium px-2 py-0.5 rounded bg-purple-100 text-purple-700">Team</span>
+                          )}
+                        </h3>
+                        <p className="text-sm text-gray-500">
+                          {collection.documentCount} document{collection.documentCount === 1 ? '' : 's'}
+                          {collection.description && ` • ${collection.description}`}
+                        </p>
+                      </button>
+                      {collection.user_id === user?.id && (
+                        <button
+                          onClick={() => handleDeleteCollection(collection.id)}
+                          className="text-red-600 hover:text-red-700 p-2"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      )}
+                    </div>
+
+                    {selectedCollectionId === collection.id && (
+                      <div className="border-t p-4 space-y-3">
+                        <label className={`inline-flex items-center gap-2 px-4 py-2 rounded-lg border border-purple-600 text-purple-600 cursor-pointer hover:bg-purple-50 ${isUploading ? 'opacity-50 pointer-events-none' : ''}`}>
+                          <Upload size={16} />
+                          {isUploading ? 'Uploading...' : 'Upload Document'}
+                          <input
+                            type="file"
+                            accept=".pdf,.docx,.md,.markdown,.html,.htm,.txt"
+                            onChange={handleUploadDocument}
+                            className="hidden"
+                          />
+                        </label>
+
+                        {documents.length === 0 ? (
+                          <p className="text-sm text-gray-600">No documents in this collection.</p>
+                        ) : (
+                          documents.map((doc) => (
+                            <div key={doc.id} className="flex items-center justify-between text-sm">
+                              <div className="flex items-center gap-2 min-w-0">
+                                <FileText size={16} className="text-gray-400 flex-shrink-0" />
+                                <span className="font-medium truncate">{doc.title}</span>
+                                <span className={`text-xs px-2 py-0.5 rounded ${
+                                  doc.status === 'ready'
+                                    ? 'bg-green-100 text-green-700'
+                                    : doc.status === 'failed'
+                                      ? 'bg-red-100 text-red-700'
+                                      : 'bg-yellow-100 text-yellow-700'
+                                }`} title={doc.error || undefined}>
+                                  {doc.status === 'ready' ? `${doc.chunk_count} passages` : doc.status}
+                                </span>
+                              </div>
+                              <button
+                                onClick={() => handleDeleteDocument(doc.id)}
+                                className="text-red-600 hover:text-red-700 p-2"
+                              >
+                                <Trash2 size={14} />
+                              </button>
+                            </div>
+                          ))
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Referrals Tab */}
         {activeTab === 'referrals' && referralData && (
           <div className="bg-white rounded-lg shadow p-6">
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Sparkles, ExternalLink, FileText, Link2Off, AlertCircle } from 'lucide-react';
+import { shareAPI } from '../utils/api';
+import ClaimHighlights from '../components/ClaimHighlights';
+import FactCheckCard from '../components/FactCheckCard';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const LEVEL_TEXT = {
+  high: 'text-green-600',
+  medium: 'text-yellow-600',
+  low: 'text-red-600',
+};
+
+const LEVEL_LABELS = {
+  high: 'High Confidence',
+  medium: 'Moderate Confidence',
+  low: 'Low Confidence',
+};
+
+// The ring's circumference for r=27, as in the chat page
+const RING_LENGTH = 169.65;
+
+// Level thresholds are calibrated on the server, so prefer its level when there is one
+const confidenceLevel = (score, level) => {
+  if (level) return level;
+  if (score >= 80) return 'high';
+  if (score >= 50) return 'medium';
+  return 'low';
+};
+
+/**
+ * Public read-only view of a shared conversation snapshot
+ */
+export default function SharedConversationPage() {
+  const { token } = useParams();
+  const [conversation, setConversation] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [unavailable, setUnavailable] = useState(null);
+
+  useEffect(() => {
+    const loadShare = async () => {
+      try {
+        const response = await shareAPI.getSharedConversation(token);
+        setConversation(response.conversation);
+        document.title = `${response.conversation.title} - honestGPT`;
+      } catch (error) {
+        setUnavailable(error.response?.data?.message || 'This shared conversation could not be loaded');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadShare();
+  }, [token]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (unavailable) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="text-center max-w-md">
+          <Link2Off className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Link unavailable</h1>
+          <p className="text-gray-600 mb-6">{unavailable}</p>
+          <Link
+            to="/"
+            className="inline-flex items-center px-4 py-2 rounded-lg text-white bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700"
+          >
+            Go to honestGPT
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="max-w-3xl mx-auto px-4 py-8">
+        <header className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">{conversation.title}</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Shared {new Date(conversation.sharedAt).toLocaleDateString()} · Read-only snapshot
+            {conversation.expiresAt && ` · Available until ${new Date(conversation.expiresAt).toLocaleDateString()}`}
+          </p>
+        </header>
+
+        <div className="space-y-4">
+          {conversation.messages.map((message, index) => (
+            message.role === 'user' ? (
+              <div key={index} className="flex justify-end">
+                <div
+                  className="max-w-2xl rounded-2xl px-5 py-4 bg-gradient-to-r from-purple-600 to-indigo-600 text-white shadow-lg whitespace-pre-wrap"
+                  style={{ borderBottomRightRadius: '0.5rem' }}
+                >
+                  {message.content}
+                </div>
+              </div>
+            ) : (
+              <div key={index} className="flex gap-4">
+                <div className="w-10 h-10 bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl flex items-center justify-center flex-shrink-0 shadow-lg">
+                  <Sparkles className="h-5 w-5 text-white" />
+                </div>
+                <div className="max-w-2xl glass shadow-md rounded-2xl px-5 py-4" style={{ borderBottomLeftRadius: '0.5rem' }}>
+                  {message.metadata?.factCheck ? (
+                    <FactCheckCard factCheck={message.metadata.factCheck} />
+                  ) : (
+                    <p className="text-gray-800 whitespace-pre-wrap">
+                      <ClaimHighlights content={message.content} claims={message.claims} />
+                    </p>
+                  )}
+
+                  {message.confidence_score !== null && message.confidence_score !== undefined && (
+                    <SharedConfidence message={message} />
+                  )}
+
+                  {message.sources?.length > 0 && (
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      {message.sources.map((source, idx) => source.url ? (
+                        <a
+                          key={idx}
+                          href={source.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          title={source.title}
+                          className="source-chip inline-flex items-center gap-2 px-3 py-1.5 bg-white border border-gray-200 rounded-full text-sm font-medium text-purple-600 hover:bg-purple-50 hover:border-purple-300"
+                        >
+                          <span className="text-xs font-semibold text-gray-500">{source.citation ?? idx + 1}</span>
+                          {source.domain}
+                          {source.quality && <span className="text-xs text-gray-500">{source.quality}</span>}
+                          <ExternalLink className="h-3 w-3" />
+                        </a>
+                      ) : (
+                        <span
+                          key={idx}
+                          title={source.title}
+                          className="source-chip inline-flex items-center gap-2 px-3 py-1.5 bg-white border border-gray-200 rounded-full text-sm font-medium text-gray-700"
+                        >
+                          <span className="text-xs font-semibold text-gray-500">{source.citation ?? idx + 1}</span>
+                          {source.domain}
+                          <FileText className="h-3 w-3" />
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  <TransparencyNotes message={message} />
+                </div>
+              </div>
+            )
+          ))}
+        </div>
+
+        <div className="mt-10 text-center">
+          <p className="text-gray-600 mb-3">Every honestGPT answer shows its sources and how confident it is.</p>
+          <Link
+            to="/register"
+            className="inline-flex items-center px-5 py-2.5 rounded-lg text-white bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700"
+          >
+            Ask your own question
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SharedConfidence({ message }) {
+  const level = confidenceLevel(message.confidence_score, message.confidence_level);
+
+  return (
+    <div className="mt-4 p-4 bg-gradient-to-r from-gray-50 to-gray-100 rounded-xl">
+      <div className="flex items-center gap-4">
+        <div className="confidence-ring">
+          <svg viewBox="0 0 60 60">
+            <circle cx="30" cy="30" r="27" className="ring-bg" />
+            <circle
+              cx="30"
+              cy="30"
+              r="27"
+              className={`ring-fill ${level}`}
+              strokeDasharray={RING_LENGTH}
+              strokeDashoffset={RING_LENGTH - (RING_LENGTH * message.confidence_score) / 100}
+            />
+          </svg>
+          <div className="absolute inset-0 flex items-center justify-center">
+            <span className={`text-sm font-bold ${LEVEL_TEXT[level]}`}>{message.confidence_score}%</span>
+          </div>
+        </div>
+        <div>
+          <h4 className={`font-semibold ${LEVEL_TEXT[level]}`}>{LEVEL_LABELS[level]}</h4>
+          <p className="text-sm text-gray-600">
+            Based on {message.sources?.length || 0} verified sources
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Bias, disagreement and limitation notes that came with the answer
+function TransparencyNotes({ message }) {
+  const sections = [
+    ['Potential biases', message.biases],
+    ['Points of disagreement', message.controversies],
+    ['Limitations', message.limitations],
+  ].filter(([, notes]) => Array.isArray(notes) && notes.length > 0);
+
+  if (sections.length === 0) return null;
+
+  return (
+    <div className="mt-3 space-y-2 text-sm">
+      {sections.map(([heading, notes]) => (
+        <div key={heading}>
+          <p className="flex items-center gap-1 font-medium text-gray-700">
+            <AlertCircle className="h-4 w-4 text-yellow-600" />
+            {heading}
+          </p>
+          <ul className="mt-1 ml-5 list-disc text-gray-600">
+            {notes.map((note, idx) => <li key={idx}>{note}</li>)}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { toast } from 'react-hot-toast';
 const API_BASE = import.meta.env.VITE_API_URL;
 const WAKE_UP_TIMEOUT = 60000; // 60 seconds for Render wake-up
 const NORMAL_TIMEOUT = 10000; // 10 seconds for normal requests
+const FACT_CHECK_TIMEOUT = 60000; // fact-checks search and read several sources
 
 class APIService {
   constructor() {
@@ -28,7 +29,8 @@ class APIService {
   async makeRequest(endpoint, options = {}) {
     const url = `${API_BASE}${endpoint}`;
     const isFirstRequest = !this.hasWokenUp;
-    const timeout = isFirstRequest ? WAKE_UP_TIMEOUT : NORMAL_TIMEOUT;
+    // options.timeout lets slow endpoints wait longer than NORMAL_TIMEOUT
+    const timeout = Math.max(isFirstRequest ? WAKE_UP_TIMEOUT : 0, options.timeout || NORMAL_TIMEOUT);
     
     // Add auth header if token exists
     const token = localStorage.getItem('token');
@@ -160,20 +162,183 @@ class APIService {
     });
   }
 
-  async getConversations() {
-    return this.makeRequest('/chat/conversations');
+  // Stream a chat answer over Server-Sent Events, calling onEvent(event, data)
+  // for each phase (search_started, sources, confidence, token, complete, error).
+  // options.mode 'research' prioritizes scholarly sources.
+  async streamMessage(message, conversationId = null, onEvent = () => {}, options = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    };
+    const token = localStorage.getItem('token');
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE}/chat/message/stream`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ message, conversationId, ...(options.mode && { mode: options.mode }) })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+
+      if (response.status === 403 && error.requiresSubscription) {
+        throw new Error('SUBSCRIPTION_REQUIRED');
+      }
+
+      throw new Error(error.message || error.error || `HTTP ${response.status}`);
+    }
+
+    this.markServerAwake();
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+
+        if (data) {
+          onEvent(event, JSON.parse(data));
+        }
+      }
+    }
+  }
+
+  // Check a claim against fact-checkers and primary sources
+  async factCheck(claim, conversationId = null) {
+    return this.makeRequest('/chat/fact-check', {
+      method: 'POST',
+      body: { claim, conversationId },
+      timeout: FACT_CHECK_TIMEOUT
+    });
+  }
+
+  // filters: folderId (or 'none' for unfiled), tag, archived
+  async getConversations(filters = {}) {
+    const query = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return this.makeRequest(`/chat/conversations${query.toString() ? `?${query}` : ''}`);
+  }
+
+  // updates: title, pinned, archived, folderId, tags, sharedWithTeam
+  async updateConversation(id, updates) {
+    return this.makeRequest(`/chat/conversation/${id}`, {
+      method: 'PATCH',
+      body: updates
+    });
+  }
+
+  // Ask the model for a new title from the conversation's first exchange
+  async generateTitle(id) {
+    return this.makeRequest(`/chat/conversation/${id}/title`, {
+      method: 'POST'
+    });
+  }
+
+  async getConversationTags() {
+    return this.makeRequest('/chat/conversations/tags');
+  }
+
+  // Conversation folders
+  async getFolders() {
+    return this.makeRequest('/chat/folders');
+  }
+
+  async createFolder(name) {
+    return this.makeRequest('/chat/folders', {
+      method: 'POST',
+      body: { name }
+    });
+  }
+
+  async renameFolder(id, name) {
+    return this.makeRequest(`/chat/folders/${id}`, {
+      method: 'PATCH',
+      body: { name }
+    });
+  }
+
+  async deleteFolder(id) {
+    return this.makeRequest(`/chat/folders/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Search conversations; params: q, semantic, confidence, from, to, domain, limit
+  async searchConversations(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return this.makeRequest(`/chat/conversations/search?${query}`);
   }
 
   async getConversation(id) {
     return this.makeRequest(`/chat/conversation/${id}`);
   }
 
+  // Download a conversation, or its cited sources as bibtex, ris or csl-json, as a Blob
+  async exportConversation(id, format = 'json', messageId = null) {
+    const params = new URLSearchParams({ format, ...(messageId && { messageId }) });
+    const headers = {};
+    const token = localStorage.getItem('token');
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE}/chat/conversation/${id}/export?${params}`, { headers });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || error.error || `HTTP ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
   async deleteConversation(id) {
     return this.makeRequest(`/chat/conversation/${id}`, {
       method: 'DELETE'
     });
   }
 
+  // Shared links: a public read-only snapshot of a conversation
+  async shareConversation(id, expiresInDays = null) {
+    return this.makeRequest(`/share/conversation/${id}`, {
+      method: 'POST',
+      body: { expiresInDays }
+    });
+  }
+
+  async getShares(id) {
+    return this.makeRequest(`/share/conversation/${id}`);
+  }
+
+  async revokeShare(shareId) {
+    return this.makeRequest(`/share/${shareId}`, {
+      method: 'DELETE'
+    });
+  }
+
   // Payment endpoints
   async createCheckoutSession(priceId, tierName) {
     return this.makeRequest('/payment/create-checkout-session', {
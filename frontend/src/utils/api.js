@@ -109,12 +109,27 @@ export const chatAPI = {
     return response.data;
   },
 
-  exportConversation: async (conversationId, format = 'json') => {
-    const response = await api.get(`/chat/conversation/${conversationId}/export`, {
-      params: { format },
+  submitFeedback: async (messageId, { feedbackType, rating, comment }) => {
+    const response = await api.post(`/chat/message/${messageId}/feedback`, {
+      feedbackType,
+      rating,
+      comment,
     });
     return response.data;
   },
+
+  deleteFeedback: async (messageId) => {
+    const response = await api.delete(`/chat/message/${messageId}/feedback`);
+    return response.data;
+  },
+};
+
+// Public shared link page; creating and revoking links is in services/api.js
+export const shareAPI = {
+  getSharedConversation: async (token) => {
+    const response = await api.get(`/share/${token}`);
+    return response.data;
+  },
 };
 
 // User API endpoints
@@ -134,8 +149,18 @@ export const userAPI = {
     return response.data;
   },
 
-  createApiKey: async (name) => {
-    const response = await api.post('/user/api-keys', { name });
+  createApiKey: async (data) => {
+    const response = await api.post('/user/api-keys', data);
+    return response.data;
+  },
+
+  updateApiKey: async (keyId, data) => {
+    const response = await api.patch(`/user/api-keys/${keyId}`, data);
+    return response.data;
+  },
+
+  rotateApiKey: async (keyId) => {
+    const response = await api.post(`/user/api-keys/${keyId}/rotate`);
     return response.data;
   },
 
@@ -178,4 +203,209 @@ export const paymentAPI = {
   },
 };
 
+// Team API endpoints
+export const teamAPI = {
+  getTeam: async () => {
+    const response = await api.get('/team');
+    return response.data;
+  },
+
+  createTeam: async (name) => {
+    const response = await api.post('/team', { name });
+    return response.data;
+  },
+
+  updateTeam: async (data) => {
+    const response = await api.patch('/team', data);
+    return response.data;
+  },
+
+  deleteTeam: async () => {
+    const response = await api.delete('/team');
+    return response.data;
+  },
+
+  leaveTeam: async () => {
+    const response = await api.post('/team/leave');
+    return response.data;
+  },
+
+  transferOwnership: async (memberId) => {
+    const response = await api.post('/team/transfer-ownership', { memberId });
+    return response.data;
+  },
+
+  updateMemberRole: async (memberId, role) => {
+    const response = await api.patch(`/team/members/${memberId}`, { role });
+    return response.data;
+  },
+
+  removeMember: async (memberId) => {
+    const response = await api.delete(`/team/members/${memberId}`);
+    return response.data;
+  },
+
+  listInvitations: async () => {
+    const response = await api.get('/team/invitations');
+    return response.data;
+  },
+
+  createInvitation: async (data) => {
+    const response = await api.post('/team/invitations', data);
+    return response.data;
+  },
+
+  revokeInvitation: async (invitationId) => {
+    const response = await api.delete(`/team/invitations/${invitationId}`);
+    return response.data;
+  },
+
+  getInvitation: async (token) => {
+    const response = await api.get(`/team/invitations/${token}`);
+    return response.data;
+  },
+
+  acceptInvitation: async (token) => {
+    const response = await api.post(`/team/invitations/${token}/accept`);
+    return response.data;
+  },
+
+  getSourcePolicy: async () => {
+    const response = await api.get('/team/source-policy');
+    return response.data;
+  },
+
+  createSourceRule: async (data) => {
+    const response = await api.post('/team/source-policy/rules', data);
+    return response.data;
+  },
+
+  deleteSourceRule: async (ruleId) => {
+    const response = await api.delete(`/team/source-policy/rules/${ruleId}`);
+    return response.data;
+  },
+};
+
+// Knowledge base API endpoints
+export const knowledgeAPI = {
+  listCollections: async () => {
+    const response = await api.get('/knowledge/collections');
+    return response.data;
+  },
+
+  createCollection: async (data) => {
+    const response = await api.post('/knowledge/collections', data);
+    return response.data;
+  },
+
+  deleteCollection: async (collectionId) => {
+    const response = await api.delete(`/knowledge/collections/${collectionId}`);
+    return response.data;
+  },
+
+  listDocuments: async (collectionId) => {
+    const response = await api.get(`/knowledge/collections/${collectionId}/documents`);
+    return response.data;
+  },
+
+  uploadDocument: async (collectionId, file, title) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (title) {
+      formData.append('title', title);
+    }
+    const response = await api.post(`/knowledge/collections/${collectionId}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  deleteDocument: async (documentId) => {
+    const response = await api.delete(`/knowledge/documents/${documentId}`);
+    return response.data;
+  },
+};
+
+// Webhook API endpoints
+export const webhookAPI = {
+  listEndpoints: async () => {
+    const response = await api.get('/webhooks');
+    return response.data;
+  },
+
+  createEndpoint: async (data) => {
+    const response = await api.post('/webhooks', data);
+    return response.data;
+  },
+
+  updateEndpoint: async (endpointId, data) => {
+    const response = await api.patch(`/webhooks/${endpointId}`, data);
+    return response.data;
+  },
+
+  deleteEndpoint: async (endpointId) => {
+    const response = await api.delete(`/webhooks/${endpointId}`);
+    return response.data;
+  },
+
+  rotateSecret: async (endpointId) => {
+    const response = await api.post(`/webhooks/${endpointId}/rotate-secret`);
+    return response.data;
+  },
+
+  sendTest: async (endpointId) => {
+    const response = await api.post(`/webhooks/${endpointId}/test`);
+    return response.data;
+  },
+
+  listDeliveries: async (endpointId, { page = 1, limit = 20 } = {}) => {
+    const response = await api.get(`/webhooks/${endpointId}/deliveries`, { params: { page, limit } });
+    return response.data;
+  },
+
+  redeliver: async (deliveryId) => {
+    const response = await api.post(`/webhooks/deliveries/${deliveryId}/redeliver`);
+    return response.data;
+  },
+};
+
+// Admin API endpoints
+export const adminAPI = {
+  listDomains: async ({ teamId, search, page = 1, limit = 50 } = {}) => {
+    const response = await api.get('/admin/domains', {
+      params: { teamId: teamId || undefined, search: search || undefined, page, limit },
+    });
+    return response.data;
+  },
+
+  createDomain: async (data) => {
+    const response = await api.post('/admin/domains', data);
+    return response.data;
+  },
+
+  updateDomain: async (domainId, data) => {
+    const response = await api.put(`/admin/domains/${domainId}`, data);
+    return response.data;
+  },
+
+  deleteDomain: async (domainId) => {
+    const response = await api.delete(`/admin/domains/${domainId}`);
+    return response.data;
+  },
+
+  getDomainHistory: async (domain, teamId = null) => {
+    const response = await api.get('/admin/domains/history', {
+      params: { domain, teamId: teamId || undefined },
+    });
+    return response.data;
+  },
+
+  lookupDomain: async (host, teamId = null) => {
+    const response = await api.get('/admin/domains/lookup', {
+      params: { host, teamId: teamId || undefined },
+    });
+    return response.data;
+  },
+};
+
 export default api;
\ No newline at end of file
@@ -0,0 +1,264 @@
+// Type definitions for honestgpt-sdk. Keep in step with src/ and the backend responses.
+
+export type Tier = 'free' | 'pro' | 'team';
+export type ConfidenceLevel = 'high' | 'medium' | 'low';
+export type SourceQuality = 'high' | 'medium' | 'limited';
+export type AnswerMode = 'standard' | 'research';
+
+export interface ClientOptions {
+  /** API key for the public v1 API */
+  apiKey?: string | null;
+  /** API root, ending in /api. Default https://api.honestgpt.com/api */
+  baseUrl?: string;
+  /** Milliseconds to wait for a response. Default 60000 */
+  timeout?: number;
+  /** Retries for rate limits, and for network and server errors when safe to repeat. Default 2 */
+  maxRetries?: number;
+  /** Extra headers sent with every request */
+  headers?: Record<string, string>;
+  /** fetch implementation. Defaults to the global fetch */
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+}
+
+export interface IdempotentRequestOptions extends RequestOptions {
+  /** Generated when omitted */
+  idempotencyKey?: string;
+}
+
+export interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  totalPages: number;
+}
+
+export interface Source {
+  title: string;
+  url: string;
+  domain: string;
+  quality: SourceQuality;
+  type?: string;
+  snippet?: string;
+  publishedDate?: string | null;
+  citation?: number;
+  scholarly?: Record<string, unknown>;
+}
+
+export interface Claim {
+  text: string;
+  verdict: 'supported' | 'contradicted' | 'unverified';
+  [key: string]: unknown;
+}
+
+export interface AnswerResponse {
+  confidence: number;
+  confidenceLevel: ConfidenceLevel;
+  mainResponse: string;
+  shortResponse: string;
+  sources: Source[];
+  factors: Record<string, unknown>;
+  biases: string[];
+  controversies: string[];
+  limitations: string;
+  claims: Claim[];
+}
+
+export interface Answer {
+  conversationId: string;
+  /** Only when the question started a new conversation */
+  title?: string;
+  messageId: string;
+  response: AnswerResponse;
+  metadata: Record<string, unknown>;
+}
+
+export interface FactCheckVerdict {
+  rating: string;
+  basis: 'fact_checkers' | 'primary_sources' | 'none';
+  label: string;
+  [key: string]: unknown;
+}
+
+export interface FactCheck {
+  claim: string;
+  statement: string;
+  verdict: FactCheckVerdict;
+  summary: string;
+  reviews: Record<string, unknown>[];
+  factCheckArticles: (Source & { hasRating: boolean })[];
+  primarySources: Source[];
+  evidence: { claims: Claim[]; summary: Record<string, unknown> };
+  metadata: Record<string, unknown>;
+}
+
+export interface FactCheckResult {
+  conversationId: string;
+  title?: string;
+  messageId: string;
+  sources: Source[];
+  factCheck: FactCheck;
+}
+
+export interface UsageSummary {
+  used: number;
+  limit: number;
+  remaining: number;
+  resetDate?: string;
+  /** The quota is shared by the whole team */
+  pooled: boolean;
+}
+
+// Public v1 API
+
+export interface V1AskParams {
+  question: string;
+  conversationId?: string | null;
+  searchProvider?: string;
+  collectionIds?: string[];
+  mode?: AnswerMode;
+}
+
+export interface FactCheckParams {
+  claim: string;
+  conversationId?: string | null;
+  searchProvider?: string;
+}
+
+export type ApiKeyScope = 'read' | 'chat' | 'fact_check' | 'admin';
+
+export interface V1Conversation {
+  id: string;
+  title: string | null;
+  tags: string[];
+  sharedWithTeam: boolean;
+  /** Shared by another team member */
+  readOnly?: boolean;
+  createdAt: string;
+  updatedAt: string;
+  lastMessageAt: string | null;
+}
+
+export interface V1Message {
+  id: string;
+  role: 'user' | 'assistant';
+  content: string;
+  confidence?: number | null;
+  confidenceLevel?: ConfidenceLevel | null;
+  sources?: Source[];
+  claims?: Claim[];
+  biases?: string[];
+  controversies?: string[];
+  limitations?: string | null;
+  factCheck?: FactCheck | null;
+  createdAt: string;
+}
+
+export interface V1SourceRating {
+  domain: string;
+  score: number;
+  quality: SourceQuality;
+  category: string;
+  searchPriority: number | null;
+  notes: string | null;
+  updatedAt: string;
+}
+
+export interface Page<T> {
+  data: T[];
+  pagination: Pagination;
+}
+
+export declare class PublicApi {
+  ask(params: V1AskParams, options?: IdempotentRequestOptions): Promise<Answer>;
+  factCheck(params: FactCheckParams, options?: IdempotentRequestOptions): Promise<FactCheckResult>;
+  usage(): Promise<UsageSummary & {
+    tier: Tier;
+    resetDate: string | null;
+    /** The calling key's queries this calendar month */
+    apiKey: {
+      id: string;
+      name: string;
+      scopes: ApiKeyScope[];
+      rateLimitPerMinute: number;
+      used: number;
+      limit: number | null;
+      remaining: number | null;
+      resetDate: string;
+    };
+  }>;
+  openApi(): Promise<Record<string, unknown>>;
+  conversations: {
+    list(params?: { page?: number; limit?: number; scope?: 'mine' | 'team' }): Promise<Page<V1Conversation>>;
+    iterate(params?: { limit?: number; scope?: 'mine' | 'team' }): AsyncGenerator<V1Conversation>;
+    get(id: string): Promise<V1Conversation & { messages: V1Message[] }>;
+  };
+  sources: {
+    list(params?: { page?: number; limit?: number; search?: string; scope?: 'global' | 'team' }): Promise<Page<V1SourceRating>>;
+    iterate(params?: { limit?: number; search?: string; scope?: 'global' | 'team' }): AsyncGenerator<V1SourceRating>;
+  };
+}
+
+export interface RequestConfig extends RequestOptions {
+  body?: unknown;
+  query?: Record<string, string | number | boolean | null | undefined>;
+  headers?: Record<string, string>;
+  idempotencyKey?: string;
+  raw?: boolean;
+}
+
+export declare class HonestGPT {
+  constructor(options?: ClientOptions);
+  apiKey: string | null;
+  baseUrl: string;
+  readonly v1: PublicApi;
+  request<T = any>(method: string, path: string, options?: RequestConfig & { raw?: false }): Promise<T>;
+  request(method: string, path: string, options: RequestConfig & { raw: true }): Promise<Response>;
+}
+
+export default HonestGPT;
+
+// Errors
+
+export interface ErrorFields {
+  status?: number;
+  error?: string;
+  code?: string;
+  details?: unknown;
+  requestId?: string;
+  body?: unknown;
+}
+
+export declare class HonestGPTError extends Error implements ErrorFields {
+  constructor(message: string, fields?: ErrorFields);
+  status?: number;
+  /** Short error from the backend, e.g. 'Usage limit exceeded' */
+  error?: string;
+  /** Machine-readable code from the public v1 API, e.g. 'quota_exceeded' or 'insufficient_scope' */
+  code?: string;
+  details?: unknown;
+  requestId?: string;
+  body?: unknown;
+}
+
+export declare class BadRequestError extends HonestGPTError {}
+export declare class AuthenticationError extends HonestGPTError {}
+export declare class PermissionDeniedError extends HonestGPTError {}
+export declare class NotFoundError extends HonestGPTError {}
+export declare class ConflictError extends HonestGPTError {}
+
+export declare class RateLimitError extends HonestGPTError {
+  /** Seconds the backend asked to wait */
+  retryAfter?: number;
+}
+
+export declare class UsageLimitError extends RateLimitError {
+  usage?: UsageSummary;
+}
+
+export declare class ServerError extends HonestGPTError {}
+export declare class ConnectionError extends HonestGPTError {}
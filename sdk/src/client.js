@@ -0,0 +1,200 @@
+import { ConnectionError, RateLimitError, UsageLimitError, ServerError, errorFromResponse } from './errors.js';
+import { PublicApi } from './resources/publicApi.js';
+
+const DEFAULT_BASE_URL = 'https://api.honestgpt.com/api';
+const DEFAULT_TIMEOUT = 60000; // answers search and read several sources
+const DEFAULT_MAX_RETRIES = 2;
+const INITIAL_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30000;
+
+// Safe to send twice; POST and PATCH are only retried with an Idempotency-Key
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+/**
+ * Client for the honestGPT public API (v1), in Node 18+ and browsers. Requests
+ * are authenticated with the API key from the `apiKey` option. The signed-in
+ * endpoints the web app uses are not covered.
+ */
+export class HonestGPT {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key for the public v1 API
+   * @param {string} options.baseUrl - API root, ending in /api
+   * @param {number} options.timeout - Milliseconds before a request is abandoned
+   * @param {number} options.maxRetries - Retries for rate limits, network and server errors
+   * @param {Object} options.headers - Extra headers sent with every request
+   * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+   */
+  constructor({
+    apiKey = null,
+    baseUrl = DEFAULT_BASE_URL,
+    timeout = DEFAULT_TIMEOUT,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    headers = {},
+    fetch: fetchImpl = globalThis.fetch,
+  } = {}) {
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('No fetch implementation found; pass one as the fetch option');
+    }
+
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+    this.headers = headers;
+    this.fetch = fetchImpl;
+
+    this.v1 = new PublicApi(this);
+  }
+
+  /**
+   * Send a request, retrying rate limits (after the backend's retryAfter, or with
+   * exponential backoff) and, when it is safe to repeat, network and server errors
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL, e.g. '/v1/ask'
+   * @param {Object} options
+   * @param {Object} options.body - JSON body
+   * @param {Object} options.query - Query parameters; empty values are left out
+   * @param {Object} options.headers - Extra headers
+   * @param {string} options.idempotencyKey - Sent as Idempotency-Key, and makes a POST retryable
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {number} options.timeout - Overrides the client's timeout
+   * @param {boolean} options.raw - Resolve with the Response instead of parsed JSON
+   * @returns {Promise<Object|Response>} Parsed JSON body, or the Response when raw
+   */
+  async request(method, path, { body, query, headers = {}, idempotencyKey, signal, timeout, raw = false } = {}) {
+    const url = this.buildUrl(path, query);
+    const retryable = RETRYABLE_METHODS.includes(method) || Boolean(idempotencyKey);
+
+    const init = {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...this.headers,
+        ...(this.apiKey && { 'x-api-key': this.apiKey }),
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) }),
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      try {
+        const response = await this.send(url, init, { signal, timeout: timeout ?? this.timeout });
+
+        if (response.ok) {
+          return raw ? response : parseBody(response);
+        }
+
+        error = errorFromResponse(response.status, await parseBody(response), response.headers);
+      } catch (sendError) {
+        if (!(sendError instanceof ConnectionError)) {
+          throw sendError;
+        }
+        error = sendError;
+      }
+
+      if (attempt >= this.maxRetries || !shouldRetry(error, retryable, signal)) {
+        throw error;
+      }
+
+      await sleep(retryDelay(error, attempt), signal);
+    }
+  }
+
+  buildUrl(path, query) {
+    const params = new URLSearchParams(
+      Object.entries(query || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, String(value)])
+    );
+    const search = params.toString();
+
+    return `${this.baseUrl}${path}${search ? `?${search}` : ''}`;
+  }
+
+  /**
+   * One fetch with the timeout and caller's signal; failures become ConnectionError
+   */
+  async send(url, init, { signal, timeout }) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+
+    if (signal?.aborted) {
+      throw signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      // The caller's signal stays attached so it can also cancel reading the body
+      return await this.fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      signal?.removeEventListener('abort', onAbort);
+
+      // Cancelled by the caller: rethrow as is rather than as a connection problem
+      if (signal?.aborted) {
+        throw error;
+      }
+      const timedOut = controller.signal.aborted;
+      throw new ConnectionError(timedOut ? `Request timed out after ${timeout}ms` : `Network error: ${error.message}`, {
+        error: timedOut ? 'Request timed out' : 'Network error',
+      });
+    } finally {
+      // Only waiting for the response is timed; streamed bodies can take longer
+      clearTimeout(timer);
+    }
+  }
+}
+
+function shouldRetry(error, retryable, signal) {
+  if (signal?.aborted) {
+    return false;
+  }
+  // A used-up monthly quota does not free up by waiting
+  if (error instanceof UsageLimitError) {
+    return false;
+  }
+  // Rate limited requests were rejected before doing anything, so any method can be resent
+  if (error instanceof RateLimitError) {
+    return true;
+  }
+  return retryable && (error instanceof ServerError || error instanceof ConnectionError);
+}
+
+function retryDelay(error, attempt) {
+  if (error instanceof RateLimitError && error.retryAfter !== undefined) {
+    return error.retryAfter * 1000;
+  }
+
+  // Exponential backoff with jitter so clients that failed together do not retry together
+  const backoff = Math.min(MAX_RETRY_DELAY, INITIAL_RETRY_DELAY * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return { message: text };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Error classes for failed requests. The backend answers errors as
+ * { error, message, details } (the public v1 API as { error: { code, message, details } });
+ * both are read into the same fields here.
+ */
+
+export class HonestGPTError extends Error {
+  /**
+   * @param {string} message - Human-readable explanation
+   * @param {Object} fields
+   * @param {number} fields.status - HTTP status, undefined for network failures
+   * @param {string} fields.error - Short error from the backend, e.g. 'Usage limit exceeded'
+   * @param {string} fields.code - Machine-readable code (public v1 API only), e.g. 'quota_exceeded'
+   * @param {*} fields.details - Validation details or other context
+   * @param {string} fields.requestId - X-Request-Id of the failed request, when sent
+   * @param {Object} fields.body - The parsed response body
+   */
+  constructor(message, { status, error, code, details, requestId, body } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.error = error;
+    this.code = code;
+    this.details = details;
+    this.requestId = requestId;
+    this.body = body;
+  }
+}
+
+// 400: the request failed validation
+export class BadRequestError extends HonestGPTError {}
+
+// 401: no API key sent
+export class AuthenticationError extends HonestGPTError {}
+
+// 403: invalid or expired API key, a scope the key lacks, missing tier or team permission
+export class PermissionDeniedError extends HonestGPTError {}
+
+// 404
+export class NotFoundError extends HonestGPTError {}
+
+// 409, 410 and 422: conflicts such as an Idempotency-Key still in use or reused, or a gone share link
+export class ConflictError extends HonestGPTError {}
+
+/**
+ * 429: too many requests in the rate limit window. Retried automatically;
+ * thrown once the client's retries are used up.
+ */
+export class RateLimitError extends HonestGPTError {
+  constructor(message, fields = {}) {
+    super(message, fields);
+    // Seconds the backend asked us to wait, when it said
+    this.retryAfter = fields.retryAfter;
+  }
+}
+
+/**
+ * 429: the monthly query quota, or the API key's own monthly quota, is used up.
+ * Not retried, since it only frees up when the period resets.
+ */
+export class UsageLimitError extends RateLimitError {
+  constructor(message, fields = {}) {
+    super(message, fields);
+    // { used, limit, remaining, resetDate, pooled }
+    this.usage = fields.usage;
+  }
+}
+
+// 5xx, including 502 when the model or search provider failed
+export class ServerError extends HonestGPTError {}
+
+// The request never got a response: network failure or timeout
+export class ConnectionError extends HonestGPTError {}
+
+const STATUS_ERRORS = {
+  400: BadRequestError,
+  401: AuthenticationError,
+  403: PermissionDeniedError,
+  404: NotFoundError,
+  409: ConflictError,
+  410: ConflictError,
+  422: ConflictError,
+};
+
+/**
+ * Build the matching error for a failed response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed JSON body ({} when it was not JSON)
+ * @param {Headers} headers - Response headers
+ * @returns {HonestGPTError}
+ */
+export function errorFromResponse(status, body = {}, headers = null) {
+  // The v1 envelope nests the error; the rest of the API sends it flat
+  const envelope = body.error && typeof body.error === 'object';
+  const error = envelope ? body.error.code : body.error;
+  const message = (envelope ? body.error.message : body.message || body.error) || `HTTP ${status}`;
+  const details = envelope ? body.error.details : body.details;
+
+  const fields = {
+    status,
+    error,
+    code: envelope ? body.error.code : undefined,
+    details,
+    requestId: body.meta?.requestId || headers?.get('x-request-id') || undefined,
+    body,
+  };
+
+  if (status === 429) {
+    const usage = body.usage || details?.usage;
+    if (usage || error === 'Usage limit exceeded' || error === 'quota_exceeded' || error === 'key_quota_exceeded') {
+      return new UsageLimitError(message, { ...fields, usage });
+    }
+
+    const retryAfter = body.retryAfter ?? details?.retryAfter ?? parseInt(headers?.get('retry-after'));
+    return new RateLimitError(message, {
+      ...fields,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+    });
+  }
+
+  if (status >= 500) {
+    return new ServerError(message, fields);
+  }
+
+  const ErrorClass = STATUS_ERRORS[status] || HonestGPTError;
+  return new ErrorClass(message, fields);
+}
@@ -0,0 +1,15 @@
+export { HonestGPT } from './client.js';
+export {
+  HonestGPTError,
+  BadRequestError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  UsageLimitError,
+  ServerError,
+  ConnectionError,
+} from './errors.js';
+
+export { HonestGPT as default } from './client.js';
@@ -0,0 +1,87 @@
+/**
+ * The public v1 API, authenticated with the client's apiKey. Responses are
+ * unwrapped from the { success, data, meta } envelope: single resources resolve
+ * to data, lists to { data, pagination }.
+ */
+export class PublicApi {
+  constructor(client) {
+    this.client = client;
+
+    this.conversations = {
+      list: (params = {}) => this.list('/v1/conversations', params),
+      iterate: (params = {}) => this.iterate('/v1/conversations', params),
+      get: (id) => this.get(`/v1/conversations/${encodeURIComponent(id)}`),
+    };
+
+    this.sources = {
+      list: (params = {}) => this.list('/v1/sources', params),
+      iterate: (params = {}) => this.iterate('/v1/sources', params),
+    };
+  }
+
+  /**
+   * Ask a question. An Idempotency-Key is generated when none is given, so
+   * network and server errors are retried without answering (or counting) twice.
+   * @param {Object} params - { question, conversationId, searchProvider, collectionIds, mode }
+   * @param {Object} options - { idempotencyKey, signal, timeout }
+   * @returns {Promise<Object>} { conversationId, title, messageId, response, metadata }
+   */
+  ask(params, options = {}) {
+    return this.post('/v1/ask', params, options);
+  }
+
+  /**
+   * Fact-check a claim; idempotent like ask()
+   * @param {Object} params - { claim, conversationId, searchProvider }
+   * @param {Object} options - { idempotencyKey, signal, timeout }
+   * @returns {Promise<Object>} { conversationId, messageId, sources, factCheck }
+   */
+  factCheck(params, options = {}) {
+    return this.post('/v1/fact-check', params, options);
+  }
+
+  /**
+   * @returns {Promise<Object>} { tier, used, limit, remaining, resetDate, pooled }
+   */
+  usage() {
+    return this.get('/v1/usage');
+  }
+
+  /**
+   * The OpenAPI 3 document describing this API
+   */
+  openApi() {
+    return this.client.request('GET', '/v1/openapi.json');
+  }
+
+  async post(path, body, { idempotencyKey = generateIdempotencyKey(), ...options } = {}) {
+    const { data } = await this.client.request('POST', path, { body, idempotencyKey, ...options });
+    return data;
+  }
+
+  async get(path) {
+    const { data } = await this.client.request('GET', path);
+    return data;
+  }
+
+  async list(path, query) {
+    const { data, meta } = await this.client.request('GET', path, { query });
+    return { data, pagination: meta.pagination };
+  }
+
+  async *iterate(path, { limit = 100, ...query } = {}) {
+    for (let page = 1; ; page++) {
+      const { data, pagination } = await this.list(path, { ...query, page, limit });
+      yield* data;
+
+      if (page >= pagination.totalPages) {
+        return;
+      }
+    }
+  }
+}
+
+// Browsers and Node 19+ have crypto.randomUUID; without it requests go out unkeyed
+function generateIdempotencyKey() {
+  return globalThis.crypto?.randomUUID?.();
+}